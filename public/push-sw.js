@@ -0,0 +1,25 @@
+// WTWTW live alerts. /api/push/check sends `{ key, title, body, url }`; each alert key
+// doubles as the notification tag, so a retried push replaces rather than stacks.
+
+self.addEventListener("push", (event) => {
+  let alert = {};
+  try {
+    alert = event.data ? event.data.json() : {};
+  } catch {
+    alert = { title: "WTWTW", body: event.data ? event.data.text() : "" };
+  }
+  event.waitUntil(
+    self.registration.showNotification(alert.title || "WTWTW", {
+      body: alert.body || "",
+      tag: alert.key,
+      icon: "/favicon-wtwtw.svg",
+      data: { url: alert.url || "/wtwtw" },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = (event.notification.data && event.notification.data.url) || "/wtwtw";
+  event.waitUntil(self.clients.openWindow(url));
+});
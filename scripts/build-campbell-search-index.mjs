@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Build src/data/campbellRecordSearchIndex.json (git-ignored) from the committed Campbell
+ * data files. Runs at the start of `npm run build`; see campbell-search-index.mjs.
+ */
+
+import { buildRecordSearchIndex, SEARCH_INDEX_FILE, searchableRecords } from "./campbell-search-index.mjs";
+import { readDataFile, readExistingItems, writeJson } from "./campbell-sources/data-files.mjs";
+import { RECORD_TEXT_FILE } from "./campbell-sources/record-text.mjs";
+
+/** Absent until a sync has extracted document text; meetings are then searchable by title alone. */
+async function readRecordText() {
+  try {
+    return (await readDataFile(RECORD_TEXT_FILE)).items ?? [];
+  } catch {
+    console.log(`No ${RECORD_TEXT_FILE} yet; indexing meetings by title`);
+    return [];
+  }
+}
+
+async function main() {
+  const councilFeed = await readDataFile("campbellCouncilRecords.json");
+  const items = searchableRecords({
+    councilRecords: councilFeed.items,
+    publicHearings: await readExistingItems("campbellPublicHearings.json"),
+    recordTextItems: await readRecordText(),
+  });
+  const index = buildRecordSearchIndex({ generatedAt: councilFeed.generatedAt, items });
+  const indexPath = await writeJson(SEARCH_INDEX_FILE, index, { indent: 0 });
+  console.log(
+    `Indexed ${index.documents.length} civic records (${Object.keys(index.terms).length} terms) -> ${indexPath}`,
+  );
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -40,14 +40,22 @@ const TARGET_PATHS = [
   "src/lib/campbell",
   "src/data/campbell.ts",
   "src/data/campbellBusinesses.json",
+  "src/data/campbellCouncilDigests.json",
   "src/data/campbellCouncilRecords.json",
   "src/data/campbellEvents.json",
   "src/data/campbellPublicHearings.json",
+  "src/data/campbellRecordText.json",
+  "src/data/campbellSyncReport.json",
   "public/favicon-campbell.svg",
   "public/images/campbell.webp",
   "public/images/campbell",
+  "scripts/build-campbell-search-index.mjs",
   "scripts/campbell-build-routine.mjs",
   "scripts/campbell-build-state.mjs",
+  "scripts/campbell-council-digests.mjs",
+  "scripts/campbell-search-index.mjs",
+  "scripts/campbell-sources",
+  "scripts/campbell-sync-report.mjs",
   "scripts/mark-campbell-build-standard.mjs",
   "scripts/mini-crons/stanwood-campbell-build-routine/README.md",
   "scripts/sync-campbell-data.mjs",
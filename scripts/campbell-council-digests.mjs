@@ -0,0 +1,217 @@
+/**
+ * The council digest archive: a plain-English summary of every City Council and Planning
+ * Commission agenda the sync has read, and — once a meeting's minutes are posted — a
+ * "what actually happened" summary that holds the minutes up against the agenda.
+ *
+ * Works from the document text record-text.mjs extracted, so it costs no downloads. A
+ * summary is only requested from Claude when its document is new: an agenda summary is
+ * tied to the agenda URL it was written from, an outcomes summary to the minutes URL, and
+ * anything already summarized is carried forward. Meetings that have dropped off the
+ * city's lists stay in the archive (capped at MAX_ARCHIVED_MEETINGS).
+ */
+
+import Anthropic from "@anthropic-ai/sdk";
+import { normalizeKeyPart } from "./campbell-sources/text.mjs";
+
+export const COUNCIL_DIGESTS_FILE = "campbellCouncilDigests.json";
+export const MAX_ARCHIVED_MEETINGS = 150;
+/** Same model as src/lib/models.ts's CLAUDE_SONNET, which this script can't import; models.test.ts holds them equal. */
+export const DIGEST_MODEL = "claude-sonnet-5";
+/** Enough of a document for its business items; matches the live digest's agenda excerpt. */
+const MAX_PROMPT_CHARS = 12_000;
+
+export function meetingKey({ body, date, title }) {
+  return [body, date, title].map((part) => normalizeKeyPart(part)).join("|");
+}
+
+/** Agenda and minutes text from campbellRecordText.json's items, grouped into one entry per meeting. */
+export function recordMeetings(items = []) {
+  const meetings = new Map();
+
+  for (const item of items) {
+    if (item.kind !== "agenda" && item.kind !== "minutes") continue;
+    const key = meetingKey(item);
+    if (!meetings.has(key)) {
+      meetings.set(key, {
+        key,
+        body: item.body,
+        date: item.date,
+        title: item.title,
+        meetingUrl: item.meetingUrl || "",
+        agenda: null,
+        minutes: null,
+      });
+    }
+    meetings.get(key)[item.kind] = { url: item.url, text: item.text || "" };
+  }
+
+  return [...meetings.values()];
+}
+
+/** Which summaries a meeting still needs, given the archive entry it had before this sync. */
+export function pendingDigests(meeting, earlier) {
+  const agendaText = meeting.agenda?.text ?? "";
+  const minutesText = meeting.minutes?.text ?? "";
+  return {
+    agenda: Boolean(agendaText) && earlier?.agenda?.sourceUrl !== meeting.agenda.url,
+    outcomes: Boolean(agendaText && minutesText) && earlier?.outcomes?.sourceUrl !== meeting.minutes.url,
+  };
+}
+
+export function agendaDigestPrompt(meeting) {
+  return `You are summarizing a Campbell, CA ${meeting.body} meeting agenda for residents.
+
+Meeting: ${meeting.title} (${meeting.date})
+
+Given the following agenda text, produce a JSON object with these fields:
+- "summary": a 2-3 sentence plain-English summary of what this meeting covers (string)
+- "keyTopics": an array of 3-6 short bullet points about the main agenda items (string[])
+- "nextMeeting": when the next meeting of this body likely is, if the agenda says, or null (string|null)
+
+Write for a general audience. No jargon. Be specific about what's being discussed.
+
+Agenda text:
+${meeting.agenda.text.slice(0, MAX_PROMPT_CHARS)}`;
+}
+
+export function outcomesDigestPrompt(meeting) {
+  return `You are telling Campbell, CA residents what actually happened at a ${meeting.body} meeting.
+
+Meeting: ${meeting.title} (${meeting.date})
+
+Below are the meeting's agenda (what was planned) and its minutes (what happened). Produce a JSON object with these fields:
+- "summary": 2-3 plain-English sentences on what the body actually did (string)
+- "decisions": the 3-8 most important agenda items and how each ended — approved, denied, continued, amended, or discussed with no action, with the vote where the minutes give one. An array of { "item": string, "outcome": string }
+- "changes": anything that went differently from the agenda — items pulled, continued to a later date, added, or amended from the staff recommendation. An empty array if it went as planned (string[])
+
+Only use what the minutes say. Write for a general audience. No jargon.
+
+Agenda text:
+${meeting.agenda.text.slice(0, MAX_PROMPT_CHARS)}
+
+Minutes text:
+${meeting.minutes.text.slice(0, MAX_PROMPT_CHARS)}`;
+}
+
+function stripFences(text) {
+  return text.replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/i, "").trim();
+}
+
+function stringList(value) {
+  return Array.isArray(value)
+    ? value.filter((item) => typeof item === "string" && item.trim()).map((item) => item.trim())
+    : [];
+}
+
+function parseDigestJson(raw, label) {
+  let parsed;
+  try {
+    parsed = JSON.parse(stripFences(raw));
+  } catch (err) {
+    throw new Error(`${label} was not JSON: ${err.message}`);
+  }
+  if (typeof parsed?.summary !== "string" || !parsed.summary.trim()) {
+    throw new Error(`${label} has no summary`);
+  }
+  return parsed;
+}
+
+export function parseAgendaDigest(raw) {
+  const parsed = parseDigestJson(raw, "Agenda digest");
+  return {
+    summary: parsed.summary.trim(),
+    keyTopics: stringList(parsed.keyTopics),
+    nextMeeting: typeof parsed.nextMeeting === "string" && parsed.nextMeeting.trim() ? parsed.nextMeeting.trim() : null,
+  };
+}
+
+export function parseOutcomesDigest(raw) {
+  const parsed = parseDigestJson(raw, "Outcomes digest");
+  const decisions = Array.isArray(parsed.decisions) ? parsed.decisions : [];
+  return {
+    summary: parsed.summary.trim(),
+    decisions: decisions
+      .filter((decision) => typeof decision?.item === "string" && typeof decision?.outcome === "string")
+      .map((decision) => ({ item: decision.item.trim(), outcome: decision.outcome.trim() }))
+      .filter((decision) => decision.item && decision.outcome),
+    changes: stringList(parsed.changes),
+  };
+}
+
+/** A `summarize(prompt)` backed by Claude, returning the response text. */
+export function claudeSummarizer(apiKey) {
+  const client = new Anthropic({ apiKey });
+  return async (prompt) => {
+    const message = await client.messages.create({
+      model: DIGEST_MODEL,
+      max_tokens: 1024,
+      messages: [{ role: "user", content: prompt }],
+    });
+    const block = message.content[0];
+    return block?.type === "text" ? block.text.trim() : "";
+  };
+}
+
+function meetingTimestamp(digest) {
+  const parsed = Date.parse(digest.date);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+/**
+ * The next archive: every meeting in this sync's record text with whatever summaries it
+ * needed written by `summarize`, plus earlier meetings carried forward, newest first.
+ * Without `summarize` (no API key) nothing new is written and the archive just carries
+ * forward. A failed summary is counted and retried next sync.
+ */
+export async function buildCouncilDigests({ generatedAt, recordTextItems = [], previous = [], summarize = null }) {
+  const archive = new Map(previous.map((digest) => [digest.key, digest]));
+  let generated = 0;
+  let failed = 0;
+
+  for (const meeting of recordMeetings(recordTextItems)) {
+    const earlier = archive.get(meeting.key);
+    const pending = summarize ? pendingDigests(meeting, earlier) : { agenda: false, outcomes: false };
+    let agenda = earlier?.agenda ?? null;
+    let outcomes = earlier?.outcomes ?? null;
+
+    try {
+      if (pending.agenda) {
+        agenda = {
+          ...parseAgendaDigest(await summarize(agendaDigestPrompt(meeting))),
+          sourceUrl: meeting.agenda.url,
+          generatedAt,
+        };
+        generated += 1;
+      }
+      if (pending.outcomes) {
+        outcomes = {
+          ...parseOutcomesDigest(await summarize(outcomesDigestPrompt(meeting))),
+          sourceUrl: meeting.minutes.url,
+          generatedAt,
+        };
+        generated += 1;
+      }
+    } catch (err) {
+      failed += 1;
+      console.warn(`Warning: could not summarize ${meeting.title} (${meeting.date}): ${err.message}`);
+    }
+
+    if (!agenda && !outcomes) continue;
+    archive.set(meeting.key, {
+      key: meeting.key,
+      body: meeting.body,
+      date: meeting.date,
+      title: meeting.title,
+      meetingUrl: meeting.meetingUrl || earlier?.meetingUrl || "",
+      agendaUrl: meeting.agenda?.url || earlier?.agendaUrl || "",
+      minutesUrl: meeting.minutes?.url || earlier?.minutesUrl || "",
+      agenda,
+      outcomes,
+    });
+  }
+
+  const digests = [...archive.values()]
+    .sort((a, b) => meetingTimestamp(b) - meetingTimestamp(a))
+    .slice(0, MAX_ARCHIVED_MEETINGS);
+  return { digests, generated, failed };
+}
@@ -0,0 +1,180 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  buildCouncilDigests,
+  meetingKey,
+  outcomesDigestPrompt,
+  parseAgendaDigest,
+  parseOutcomesDigest,
+  pendingDigests,
+  recordMeetings,
+} from "./campbell-council-digests.mjs";
+
+const GENERATED_AT = "2026-05-14T16:00:00.000Z";
+
+const council = {
+  body: "City Council",
+  date: "May 5, 2026",
+  title: "City Council Regular Session Meeting 5/5/2026",
+  meetingUrl: "https://pub-campbell.escribemeetings.com/Meeting?Id=may",
+};
+const planning = {
+  body: "Planning Commission",
+  date: "April 28, 2026",
+  title: "Planning Commission Agenda",
+  meetingUrl: "",
+};
+
+const recordTextItems = [
+  { ...council, id: "agenda:a1", kind: "agenda", url: "https://example.com/agenda-may", text: "Agenda: sidewalk vending ordinance." },
+  { ...council, id: "minutes:m1", kind: "minutes", url: "https://example.com/minutes-may", text: "Minutes: ordinance adopted 4-1." },
+  { ...planning, id: "agenda:p1", kind: "agenda", url: "https://example.com/planning-april", text: "Agenda: Pruneyard extension." },
+  { id: "hearing:notice-1", kind: "hearing", body: "Planning Commission", date: "May 26, 2026", title: "Notice", url: "", text: "x" },
+];
+
+const agendaReply = JSON.stringify({
+  summary: "The Council takes up sidewalk vending.",
+  keyTopics: ["Sidewalk vending ordinance", "", 4],
+  nextMeeting: "May 19, 2026",
+});
+const outcomesReply = `\`\`\`json
+${JSON.stringify({
+  summary: "The Council adopted the vending ordinance.",
+  decisions: [{ item: "Sidewalk vending ordinance", outcome: "Adopted 4-1" }, { item: "Bad" }],
+  changes: [],
+})}
+\`\`\``;
+
+function fakeSummarizer() {
+  return vi.fn(async (prompt) => (prompt.includes("Minutes text:") ? outcomesReply : agendaReply));
+}
+
+describe("recordMeetings", () => {
+  it("pairs each meeting's agenda with its minutes and skips hearings", () => {
+    const meetings = recordMeetings(recordTextItems);
+    expect(meetings).toHaveLength(2);
+    expect(meetings[0]).toEqual({
+      key: meetingKey(council),
+      body: "City Council",
+      date: "May 5, 2026",
+      title: council.title,
+      meetingUrl: council.meetingUrl,
+      agenda: { url: "https://example.com/agenda-may", text: "Agenda: sidewalk vending ordinance." },
+      minutes: { url: "https://example.com/minutes-may", text: "Minutes: ordinance adopted 4-1." },
+    });
+    expect(meetings[1].minutes).toBeNull();
+    expect(meetingKey(council)).toBe("city council|may 5 2026|city council regular session meeting 5 5 2026");
+  });
+});
+
+describe("pendingDigests", () => {
+  const [meeting, planningMeeting] = recordMeetings(recordTextItems);
+
+  it("asks for each summary whose document is new", () => {
+    expect(pendingDigests(meeting, undefined)).toEqual({ agenda: true, outcomes: true });
+    expect(pendingDigests(planningMeeting, undefined)).toEqual({ agenda: true, outcomes: false });
+    expect(
+      pendingDigests(meeting, {
+        agenda: { sourceUrl: "https://example.com/agenda-may" },
+        outcomes: { sourceUrl: "https://example.com/minutes-may" },
+      }),
+    ).toEqual({ agenda: false, outcomes: false });
+    expect(pendingDigests(meeting, { agenda: { sourceUrl: "https://example.com/agenda-may-revised" }, outcomes: null }))
+      .toEqual({ agenda: true, outcomes: true });
+  });
+
+  it("skips documents that had no readable text", () => {
+    expect(pendingDigests({ ...meeting, agenda: { url: "https://example.com/agenda-may", text: "" } }, undefined))
+      .toEqual({ agenda: false, outcomes: false });
+  });
+});
+
+describe("digest replies", () => {
+  it("keeps only well-formed fields", () => {
+    expect(parseAgendaDigest(agendaReply)).toEqual({
+      summary: "The Council takes up sidewalk vending.",
+      keyTopics: ["Sidewalk vending ordinance"],
+      nextMeeting: "May 19, 2026",
+    });
+    expect(parseOutcomesDigest(outcomesReply)).toEqual({
+      summary: "The Council adopted the vending ordinance.",
+      decisions: [{ item: "Sidewalk vending ordinance", outcome: "Adopted 4-1" }],
+      changes: [],
+    });
+  });
+
+  it("rejects replies without a summary", () => {
+    expect(() => parseAgendaDigest("Sorry, I can't help")).toThrow("Agenda digest was not JSON");
+    expect(() => parseOutcomesDigest('{"decisions": []}')).toThrow("Outcomes digest has no summary");
+  });
+
+  it("gives the outcomes prompt both documents", () => {
+    const prompt = outcomesDigestPrompt(recordMeetings(recordTextItems)[0]);
+    expect(prompt).toContain("Agenda: sidewalk vending ordinance.");
+    expect(prompt).toContain("Minutes: ordinance adopted 4-1.");
+  });
+});
+
+describe("buildCouncilDigests", () => {
+  it("summarizes new meetings and lists them newest first", async () => {
+    const summarize = fakeSummarizer();
+    const { digests, generated, failed } = await buildCouncilDigests({
+      generatedAt: GENERATED_AT,
+      recordTextItems,
+      summarize,
+    });
+
+    expect(summarize).toHaveBeenCalledTimes(3);
+    expect({ generated, failed }).toEqual({ generated: 3, failed: 0 });
+    expect(digests.map((digest) => digest.date)).toEqual(["May 5, 2026", "April 28, 2026"]);
+    expect(digests[0]).toMatchObject({
+      agendaUrl: "https://example.com/agenda-may",
+      minutesUrl: "https://example.com/minutes-may",
+      agenda: { sourceUrl: "https://example.com/agenda-may", generatedAt: GENERATED_AT },
+      outcomes: { summary: "The Council adopted the vending ordinance.", sourceUrl: "https://example.com/minutes-may" },
+    });
+    expect(digests[1].outcomes).toBeNull();
+  });
+
+  it("carries summarized meetings forward, including ones no longer listed", async () => {
+    const first = await buildCouncilDigests({ generatedAt: GENERATED_AT, recordTextItems, summarize: fakeSummarizer() });
+    const archived = { ...first.digests[1], key: "planning commission|march 24 2026|agenda", date: "March 24, 2026" };
+
+    const summarize = fakeSummarizer();
+    const second = await buildCouncilDigests({
+      generatedAt: "2026-05-15T16:00:00.000Z",
+      recordTextItems,
+      previous: [...first.digests, archived],
+      summarize,
+    });
+
+    expect(summarize).not.toHaveBeenCalled();
+    expect(second.digests.map((digest) => digest.date)).toEqual(["May 5, 2026", "April 28, 2026", "March 24, 2026"]);
+    expect(second.digests[0].agenda.generatedAt).toBe(GENERATED_AT);
+  });
+
+  it("without a summarizer, only carries the archive forward", async () => {
+    const { digests, generated } = await buildCouncilDigests({ generatedAt: GENERATED_AT, recordTextItems });
+    expect(digests).toEqual([]);
+    expect(generated).toBe(0);
+  });
+
+  it("keeps what it could write when a summary fails", async () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const summarize = vi.fn(async (prompt) => {
+      if (prompt.includes("Minutes text:")) throw new Error("overloaded");
+      return agendaReply;
+    });
+
+    const { digests, generated, failed } = await buildCouncilDigests({
+      generatedAt: GENERATED_AT,
+      recordTextItems,
+      summarize,
+    });
+
+    expect({ generated, failed }).toEqual({ generated: 2, failed: 1 });
+    expect(digests[0].agenda).not.toBeNull();
+    expect(digests[0].outcomes).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining("overloaded"));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * The static search index behind /api/campbell/search, built at the start of
+ * `npm run build` (build-campbell-search-index.mjs) and never committed: every agenda,
+ * set of minutes and public hearing in the committed data files, with the full text the
+ * sync extracted into campbellRecordText.json where it has, plus an inverted index from
+ * each word to the documents that use it and how often. Documents keep only an opening
+ * excerpt for result snippets; the full text stays in campbellRecordText.json. Queries
+ * run in src/lib/campbell/recordSearch.ts.
+ */
+
+import { carryForwardRecordTexts, recordTextDocuments } from "./campbell-sources/record-text.mjs";
+
+export const SEARCH_INDEX_FILE = "campbellRecordSearchIndex.json";
+/** A word in a record's title counts this many times over one in its text. */
+const TITLE_WEIGHT = 5;
+/** Room for a couple of snippet-length windows into each document. */
+export const EXCERPT_CHARS = 600;
+
+/** Lowercase runs of letters and digits, two characters or longer. recordSearch.ts splits queries the same way. */
+export function searchTokens(value = "") {
+  return (value.toLowerCase().match(/[a-z0-9]+/g) ?? []).filter((token) => token.length >= 2);
+}
+
+/**
+ * The documents to index: one per agenda and minutes in the council records and one per
+ * public hearing, each carrying the text an earlier sync extracted for it, plus any other
+ * documents that sync read (Planning Commission agendas, which only it keeps). Before any
+ * sync has extracted text, meetings are searchable by title and hearings by their notice.
+ */
+export function searchableRecords({ councilRecords = [], publicHearings = [], recordTextItems = [] }) {
+  const documents = carryForwardRecordTexts(recordTextDocuments({ councilRecords, publicHearings }), recordTextItems);
+  const listed = new Set(documents.map((document) => document.id));
+  return [...documents, ...recordTextItems.filter((document) => !listed.has(document.id))];
+}
+
+function excerpt(text) {
+  if (text.length <= EXCERPT_CHARS) return text;
+  return text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, "");
+}
+
+/**
+ * `terms` maps each word to `[documentIndex, weightedCount]` pairs, in document order;
+ * words are sorted so a re-sync with the same text writes the same file.
+ *
+ * @param {{ generatedAt?: string | null, items?: any[] }} records The generation time and searchableRecords' documents.
+ */
+export function buildRecordSearchIndex({ generatedAt = null, items = [] }) {
+  const postings = new Map();
+
+  items.forEach((document, documentIndex) => {
+    const counts = new Map();
+    for (const token of searchTokens(document.title)) counts.set(token, (counts.get(token) ?? 0) + TITLE_WEIGHT);
+    for (const token of searchTokens(document.text)) counts.set(token, (counts.get(token) ?? 0) + 1);
+
+    for (const [term, count] of counts) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([documentIndex, count]);
+    }
+  });
+
+  return {
+    generatedAt,
+    documents: items.map(({ id, kind, body, date, title, url, meetingUrl = "", text = "" }) => ({
+      id,
+      kind,
+      body,
+      date,
+      title,
+      url,
+      meetingUrl,
+      excerpt: excerpt(text),
+    })),
+    terms: Object.fromEntries([...postings].sort(([left], [right]) => (left < right ? -1 : 1))),
+  };
+}
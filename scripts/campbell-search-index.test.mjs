@@ -0,0 +1,106 @@
+import { describe, expect, it } from "vitest";
+import { buildRecordSearchIndex, EXCERPT_CHARS, searchableRecords, searchTokens } from "./campbell-search-index.mjs";
+
+describe("searchTokens", () => {
+  it("keeps lowercase words and numbers of two or more characters", () => {
+    expect(searchTokens("Item 4.B: Approve the FY 2026-27 Budget & CIP")).toEqual([
+      "item",
+      "approve",
+      "the",
+      "fy",
+      "2026",
+      "27",
+      "budget",
+      "cip",
+    ]);
+    expect(searchTokens()).toEqual([]);
+  });
+});
+
+describe("buildRecordSearchIndex", () => {
+  const items = [
+    {
+      id: "agenda:a",
+      kind: "agenda",
+      body: "City Council",
+      date: "May 5, 2026",
+      title: "Budget Study Session",
+      url: "https://example.com/a",
+      meetingUrl: "https://example.com/meeting-a",
+      text: "Review the proposed budget. Budget questions from Council.",
+      skipped: "",
+    },
+    {
+      id: "minutes:b",
+      kind: "minutes",
+      body: "City Council",
+      date: "April 7, 2026",
+      title: "Regular Session",
+      url: "https://example.com/b",
+      text: "Council adopted the constructor contract.",
+    },
+  ];
+
+  it("maps each word to weighted counts per document, titles counting extra", () => {
+    const index = buildRecordSearchIndex({ generatedAt: "2026-05-14T16:00:00.000Z", items });
+    expect(index.generatedAt).toBe("2026-05-14T16:00:00.000Z");
+    expect(index.terms.budget).toEqual([[0, 7]]);
+    expect(index.terms.council).toEqual([[0, 1], [1, 1]]);
+    expect(index.terms.session).toEqual([[0, 5], [1, 5]]);
+    expect(Object.keys(index.terms)).toEqual([...Object.keys(index.terms)].sort());
+  });
+
+  it("keeps only the fields search needs and handles words that collide with Object members", () => {
+    const index = buildRecordSearchIndex({ items });
+    expect(index.generatedAt).toBeNull();
+    expect(index.documents[0]).not.toHaveProperty("skipped");
+    expect(index.documents[1].meetingUrl).toBe("");
+    expect(index.terms.constructor).toEqual([[1, 1]]);
+  });
+
+  it("indexes all of a document's text but keeps only an excerpt of it", () => {
+    const text = `${"Opening remarks and roll call. ".repeat(40)}Zoning amendment adopted.`;
+    const [document] = buildRecordSearchIndex({ items: [{ ...items[0], text }] }).documents;
+    expect(document).not.toHaveProperty("text");
+    expect(document.excerpt.length).toBeLessThanOrEqual(EXCERPT_CHARS);
+    expect(text.startsWith(`${document.excerpt} `)).toBe(true);
+    expect(buildRecordSearchIndex({ items: [{ ...items[0], text }] }).terms.zoning).toEqual([[0, 1]]);
+  });
+});
+
+describe("searchableRecords", () => {
+  const councilRecord = {
+    date: "May 5, 2026",
+    title: "City Council Regular Session Meeting 5/5/2026",
+    body: "City Council",
+    agendaUrl: "https://example.com/agenda-may",
+    minutesUrl: "",
+  };
+  const hearing = {
+    id: "notice-1",
+    body: "Planning Commission",
+    title: "Winchester Blvd Townhomes",
+    hearingAt: "May 26, 2026 at 7:00 p.m.",
+    summary: "Tentative map for 12 townhomes",
+    noticeUrl: "https://example.com/notice-1",
+  };
+
+  it("indexes committed records before any sync has extracted text", () => {
+    const documents = searchableRecords({ councilRecords: [councilRecord], publicHearings: [hearing] });
+    expect(documents.map((document) => [document.id, document.text])).toEqual([
+      ["agenda:https://example.com/agenda-may", undefined],
+      ["hearing:notice-1", "Tentative map for 12 townhomes"],
+    ]);
+  });
+
+  it("adds the sync's extracted text and the documents only it keeps", () => {
+    const documents = searchableRecords({
+      councilRecords: [councilRecord],
+      recordTextItems: [
+        { id: "agenda:https://example.com/agenda-may", kind: "agenda", text: "Sidewalk vending ordinance." },
+        { id: "agenda:https://example.com/planning", kind: "agenda", body: "Planning Commission", text: "Pruneyard." },
+      ],
+    });
+    expect(documents.map((document) => document.text)).toEqual(["Sidewalk vending ordinance.", "Pruneyard."]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * The source-adapter contract for sync-campbell-data.mjs, and the runner that takes an
+ * adapter from fetch to the records the sync writes.
+ *
+ * An adapter knows one upstream site: how to fetch it and how to parse what came back
+ * into records of its kind. Everything after that is shared and lives here — trimming
+ * records to the public feed, falling back to the previous sync when the site is down,
+ * holding a source whose count collapses, the report line, and the minimum counts that
+ * fail the run. Adding a source means writing an adapter and listing it in index.mjs.
+ */
+
+import { businessKey } from "./businesses.mjs";
+import { readExistingItems, readExistingSourceBusinesses, readExistingSourceEvents } from "./data-files.mjs";
+import { eventKey, eventPublicFilterReason, eventWithCleanTitle, filterPublicEvents } from "./events.mjs";
+import { sourceReport, tallyReasons } from "../campbell-sync-report.mjs";
+
+/**
+ * @typedef {object} SyncContext
+ * @property {string} generatedAt ISO timestamp of this sync run.
+ * @property {Date} referenceDate `generatedAt` as a Date; "today" for every date window.
+ */
+
+/**
+ * @typedef {object} SourceAdapter
+ * @property {string} label Source name: stamped on its records, matched when reading them back, shown in the report.
+ * @property {"events" | "businesses" | "records"} kind Which record shape `parse` produces (see SOURCE_KINDS).
+ * @property {string} sourceUrl The page a resident would visit for this source.
+ * @property {(context: SyncContext) => Promise<{ raw: any, fetched: number, expected?: number }>} fetch
+ *   Network only. `fetched` counts pages or files; `expected` is the item count the site claims, when it says.
+ * @property {(raw: any, context: SyncContext) => object[]} parse Pure: `raw` from `fetch` to records.
+ * @property {(record: object, context: SyncContext) => string} [rejectionReason]
+ *   Why a parsed record stays out of the output, or "" to keep it; on top of the kind's own filter.
+ * @property {boolean} [reuseOnFetchError] Keep the previous sync's records when the fetch fails.
+ * @property {string} [reuseWhenEmpty] Keep them when the parse comes back empty, logging this reason.
+ * @property {number} [minParsed] Fail the sync when a fresh parse finds fewer records.
+ * @property {number} [minKept] Fail the sync when fewer records would be written, whatever their origin.
+ * @property {string} [tag] Businesses: the tag this directory puts on its records.
+ * @property {boolean} [preserveSourceUrls] Businesses: records keep their own per-page source URLs.
+ * @property {string} [dataFile] Records: the src/data file holding the previous sync's records.
+ */
+
+/** What each kind adds on top of an adapter: normalization, filtering, and how to find the previous sync's records. */
+const SOURCE_KINDS = {
+  events: {
+    normalize: eventWithCleanTitle,
+    rejectionReason: (event, { referenceDate }) => eventPublicFilterReason(event, referenceDate),
+    readPrevious: async (adapter, { generatedAt, referenceDate }) =>
+      filterPublicEvents(
+        await readExistingSourceEvents({ source: adapter.label, sourceUrl: adapter.sourceUrl, generatedAt }),
+        referenceDate,
+      ),
+    keyOf: eventKey,
+    titleOf: (event) => event.title,
+  },
+  businesses: {
+    normalize: (business) => business,
+    rejectionReason: () => "",
+    readPrevious: (adapter) =>
+      readExistingSourceBusinesses({
+        tag: adapter.tag,
+        source: adapter.label,
+        sourceUrl: adapter.sourceUrl,
+        preserveSourceUrls: adapter.preserveSourceUrls,
+      }),
+    keyOf: businessKey,
+    titleOf: (business) => business.name,
+  },
+  records: {
+    normalize: (record) => record,
+    rejectionReason: () => "",
+    readPrevious: async (adapter) => (adapter.dataFile ? readExistingItems(adapter.dataFile) : []),
+    keyOf: (record) => `${record.date}|${record.title}`,
+    titleOf: (record) => `${record.title} (${record.date})`,
+  },
+};
+
+/**
+ * Settle one source from its fetch outcome and the previous sync's records: what it
+ * parsed, what gets written, and its report line. `outcome` is `fetch`'s result, or
+ * `{ error }` when it threw. Pure apart from the warning logged for a reused source.
+ */
+export function settleSource(adapter, outcome, previous, context) {
+  const kind = SOURCE_KINDS[adapter.kind];
+  const parsed = outcome.error ? [] : adapter.parse(outcome.raw, context).map(kind.normalize);
+  const note = outcome.error
+    ? `Reused previous ${adapter.label} because ${outcome.error.message}`
+    : parsed.length === 0 && adapter.reuseWhenEmpty
+      ? `Reused previous ${adapter.label} because ${adapter.reuseWhenEmpty}`
+      : "";
+  const reportFields = {
+    label: adapter.label,
+    kind: adapter.kind,
+    sourceUrl: adapter.sourceUrl,
+    fetched: outcome.fetched ?? 0,
+    previous,
+    keyOf: kind.keyOf,
+    titleOf: kind.titleOf,
+  };
+
+  if (note) {
+    console.warn(`Warning: ${note}`);
+    const report = sourceReport({ ...reportFields, parsed: previous.length, kept: previous, note });
+    return { parsed: previous, kept: previous, report, expected: 0 };
+  }
+
+  const reasons = parsed.map(
+    (record) => adapter.rejectionReason?.(record, context) || kind.rejectionReason(record, context),
+  );
+  const kept = parsed.filter((_, index) => !reasons[index]);
+  const report = sourceReport({
+    ...reportFields,
+    parsed: parsed.length,
+    rejectionReasons: tallyReasons(reasons),
+    kept,
+  });
+  const held = report.status === "held";
+  return {
+    parsed: held ? previous : parsed,
+    kept: held ? previous : kept,
+    report,
+    expected: outcome.expected ?? 0,
+  };
+}
+
+/** Fetch, parse and settle one source. A failed fetch only throws for sources that can't fall back. */
+export async function runSource(adapter, context) {
+  const previous = await SOURCE_KINDS[adapter.kind].readPrevious(adapter, context);
+  let outcome;
+  try {
+    outcome = await adapter.fetch(context);
+  } catch (err) {
+    if (!adapter.reuseOnFetchError) throw err;
+    outcome = { error: err, fetched: 0 };
+  }
+  return settleSource(adapter, outcome, previous, context);
+}
+
+/**
+ * Throw when a source came back too thin to trust. Counts from this run's parse are
+ * only checked when the run used them — a reused or held source is already running on
+ * records that passed these checks in an earlier sync.
+ */
+export function assertSourceMinimums(adapter, { parsed, kept, report, expected }) {
+  const fresh = report.status === "ok";
+  if (fresh && adapter.minParsed && parsed.length < adapter.minParsed) {
+    throw new Error(`${adapter.label} parse returned only ${parsed.length} items`);
+  }
+  if (fresh && expected && parsed.length < expected) {
+    throw new Error(`${adapter.label} parse returned ${parsed.length}/${expected} visible items`);
+  }
+  if (adapter.minKept && kept.length < adapter.minKept) {
+    throw new Error(`${adapter.label} kept only ${kept.length} items`);
+  }
+}
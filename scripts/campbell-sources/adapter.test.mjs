@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from "vitest";
+import { assertSourceMinimums, settleSource } from "./adapter.mjs";
+
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+function listing(title, day = 20) {
+  return {
+    title,
+    date: "",
+    cost: "",
+    location: "",
+    description: "",
+    url: "",
+    imageUrl: "",
+    startDate: `2026-05-${day}T18:00:00`,
+    source: "Test Events",
+  };
+}
+
+/** An adapter whose "site" is a list of titles. */
+const adapter = {
+  label: "Test Events",
+  kind: "events",
+  sourceUrl: "https://example.com/events",
+  minParsed: 2,
+  fetch: async () => ({ raw: [], fetched: 1 }),
+  parse: (titles) => titles.map((title) => listing(title)),
+};
+const previous = ["A", "B", "C", "D", "E", "F", "G", "H"].map((title) => listing(title));
+
+describe("settleSource", () => {
+  it("keeps a fresh parse, minus what the public filter rejects", () => {
+    const result = settleSource(adapter, { raw: ["A", "B", "Pool Closed for Maintenance"], fetched: 1 }, previous.slice(0, 3), context);
+    expect(result.parsed).toHaveLength(3);
+    expect(result.kept.map((event) => event.title)).toEqual(["A", "B"]);
+    expect(result.report).toMatchObject({
+      status: "ok",
+      fetched: 1,
+      parsed: 3,
+      rejected: 1,
+      rejectionReasons: { "closure notice": 1 },
+      kept: 2,
+      previous: 3,
+      removed: 1,
+    });
+  });
+
+  it("normalizes titles before keying them", () => {
+    const result = settleSource(adapter, { raw: ["Transpsortation Forum"], fetched: 1 }, [], context);
+    expect(result.kept[0].title).toBe("Transportation Forum");
+  });
+
+  it("holds the previous records when the count collapses", () => {
+    const result = settleSource(adapter, { raw: ["A"], fetched: 1 }, previous, context);
+    expect(result.report.status).toBe("held");
+    expect(result.kept).toBe(previous);
+    expect(result.parsed).toBe(previous);
+  });
+
+  it("reuses the previous records after a failed fetch or an empty parse it distrusts", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const failed = settleSource(adapter, { error: new Error("503 Service Unavailable"), fetched: 0 }, previous, context);
+    expect(failed.kept).toBe(previous);
+    expect(failed.report).toMatchObject({
+      status: "reused",
+      note: "Reused previous Test Events because 503 Service Unavailable",
+    });
+
+    const empty = settleSource({ ...adapter, reuseWhenEmpty: "the page listed nothing" }, { raw: [], fetched: 1 }, previous, context);
+    expect(empty.report.note).toBe("Reused previous Test Events because the page listed nothing");
+    expect(warn).toHaveBeenCalledTimes(2);
+    warn.mockRestore();
+  });
+
+  it("applies an adapter's own rejection reasons", () => {
+    const picky = { ...adapter, rejectionReason: (event) => (event.title === "B" ? "not ours" : "") };
+    const result = settleSource(picky, { raw: ["A", "B"], fetched: 1 }, [], context);
+    expect(result.kept.map((event) => event.title)).toEqual(["A"]);
+    expect(result.report.rejectionReasons).toEqual({ "not ours": 1 });
+  });
+});
+
+describe("assertSourceMinimums", () => {
+  it("checks a fresh parse against its minimum and the site's own count", () => {
+    const thin = settleSource(adapter, { raw: ["A"], fetched: 1 }, [], context);
+    expect(() => assertSourceMinimums(adapter, thin)).toThrow("Test Events parse returned only 1 items");
+
+    const short = settleSource(adapter, { raw: ["A", "B"], fetched: 1, expected: 3 }, [], context);
+    expect(() => assertSourceMinimums(adapter, short)).toThrow("Test Events parse returned 2/3 visible items");
+  });
+
+  it("lets a held source through on its previous records, but not below minKept", () => {
+    const held = settleSource(adapter, { raw: ["A"], fetched: 1 }, previous, context);
+    expect(() => assertSourceMinimums(adapter, held)).not.toThrow();
+    expect(() => assertSourceMinimums({ ...adapter, minKept: 10 }, held)).toThrow("Test Events kept only 8 items");
+  });
+});
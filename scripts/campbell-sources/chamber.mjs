@@ -0,0 +1,168 @@
+/**
+ * The Campbell Chamber of Commerce's GrowthZone site (business.campbellchamber.net):
+ * the member directory, paged A–Z, and the events search, paged by infinite scroll.
+ */
+
+import { isCampbellLocatedBusiness } from "./businesses.mjs";
+import { fetchText, sleep } from "./http.mjs";
+import { absoluteUrl, cleanHtml, cleanSentence } from "./text.mjs";
+
+const CHAMBER_BASE_URL = "https://business.campbellchamber.net";
+const CHAMBER_DIRECTORY_URL = `${CHAMBER_BASE_URL}/list`;
+const CHAMBER_ALPHA_SLUGS = ["0-9", ..."abcdefghijklmnopqrstuvwxyz"];
+const CHAMBER_EVENT_LOOKAHEAD_DAYS = 360;
+const CHAMBER_EVENTS_URL = `${CHAMBER_BASE_URL}/events/search?Lookahead=${CHAMBER_EVENT_LOOKAHEAD_DAYS}`;
+const CHAMBER_EVENTS_SCROLL_URL = `${CHAMBER_BASE_URL}/events/searchscroll`;
+/** Pause between GrowthZone page requests. */
+const PAGE_DELAY_MS = 175;
+
+export function parseChamberBusinesses(html, sourceUrl) {
+  return html
+    .split('<div class="gz-list-card-wrapper')
+    .slice(1)
+    .map((block) => {
+      const card = `<div class="gz-list-card-wrapper${block}`;
+      const titleLink = card.match(/<h5[^>]*class="[^"]*gz-card-title[^"]*"[^>]*>[\s\S]*?<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>[\s\S]*?<\/h5>/i);
+      const name = cleanHtml(titleLink?.[2] ?? "");
+      const url = absoluteUrl(titleLink?.[1] ?? "", CHAMBER_BASE_URL);
+      const description = cleanHtml(card.match(/<p[^>]*class="[^"]*gz-member-description[^"]*"[^>]*>([\s\S]*?)<\/p>/i)?.[1] ?? "").slice(0, 260);
+      const addressBlock = card.match(/<li[^>]*class="[^"]*gz-card-address[^"]*"[^>]*>([\s\S]*?)<\/li>/i)?.[1] ?? "";
+      const streetParts = [...addressBlock.matchAll(/<span[^>]*class="[^"]*gz-street-address[^"]*"[^>]*>([\s\S]*?)<\/span>/gi)]
+        .map(([, part]) => cleanHtml(part))
+        .filter(Boolean);
+      const city = cleanHtml(addressBlock.match(/<span[^>]*class="[^"]*gz-address-city[^"]*"[^>]*>([\s\S]*?)<\/span>/i)?.[1] ?? "");
+      const cityStateZip = cleanHtml(addressBlock.match(/<div[^>]*itemprop="citystatezip"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+      const address = [...streetParts, cityStateZip].filter(Boolean).join(", ");
+      const phone = cleanHtml(card.match(/<li[^>]*class="[^"]*gz-card-phone[^"]*"[^>]*>[\s\S]*?<span>([\s\S]*?)<\/span>/i)?.[1] ?? "");
+      const websiteUrl = absoluteUrl(card.match(/<li[^>]*class="[^"]*gz-card-website[^"]*"[^>]*>[\s\S]*?<a[^>]*href="([^"]+)"/i)?.[1] ?? "", CHAMBER_BASE_URL);
+      const imageUrl = absoluteUrl(card.match(/<img[^>]*class="[^"]*gz-results-img[^"]*"[^>]*src="([^"]+)"/i)?.[1] ?? "", CHAMBER_BASE_URL);
+
+      if (!name || !url) return null;
+
+      return {
+        name,
+        phone,
+        address,
+        city,
+        url,
+        websiteUrl,
+        imageUrl,
+        description,
+        tags: ["Chamber"],
+        source: "Campbell Chamber Directory",
+        sourceUrl,
+      };
+    })
+    .filter(Boolean);
+}
+
+export function parseGrowthZoneResultsCount(html) {
+  const value = cleanHtml(html.match(/<span[^>]*class="[^"]*gz-results-count[^"]*"[^>]*>([\s\S]*?)<\/span>/i)?.[1] ?? "");
+  return Number(value.replace(/,/g, "")) || 0;
+}
+
+export function parseChamberEventCards(html) {
+  return html
+    .split('<div class="gz-list-card-wrapper')
+    .slice(1)
+    .map((block) => {
+      const card = `<div class="gz-list-card-wrapper${block}`;
+      const titleLink = card.match(/<h5[^>]*class="[^"]*gz-card-title[^"]*"[^>]*>[\s\S]*?<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i);
+      const title = cleanHtml(titleLink?.[2] ?? "");
+      const url = absoluteUrl(titleLink?.[1] ?? "", CHAMBER_BASE_URL);
+      const description = cleanHtml(card.match(/<p[^>]*class="[^"]*gz-events-description[^"]*"[^>]*>([\s\S]*?)<\/p>/i)?.[1] ?? "").slice(0, 280);
+      const imageUrl = absoluteUrl(card.match(/<img[^>]*class="[^"]*gz-events-img[^"]*"[^>]*src="([^"]+)"/i)?.[1] ?? "", CHAMBER_BASE_URL);
+      const dateSpans = [...card.matchAll(/<span[^>]*content="([^"]+)"[^>]*>([\s\S]*?)<\/span>/gi)]
+        .map(([, content, label]) => ({
+          content: cleanSentence(content),
+          label: cleanHtml(label),
+        }))
+        .filter((date) => date.content && date.label);
+      const startDate = dateSpans[0]?.content ?? "";
+      const visibleDates = dateSpans.map((date) => date.label);
+      const metaEndDate = cleanSentence(card.match(/<meta[^>]*content="([^"]+)"/i)?.[1] ?? "");
+      const endDate = dateSpans[1]?.content || metaEndDate;
+      const categories = [...card.matchAll(/<span[^>]*class="[^"]*gz-cat[^"]*"[^>]*>([\s\S]*?)<\/span>/gi)]
+        .map(([, category]) => cleanHtml(category))
+        .filter((category) => category && category !== "Categories:");
+
+      if (!title || !url || !startDate) return null;
+
+      return {
+        title,
+        date: visibleDates.length > 1 ? visibleDates.join(" - ") : visibleDates[0] || startDate,
+        cost: "",
+        location: "",
+        description,
+        url,
+        imageUrl,
+        category: "Chamber",
+        startDate,
+        ...(endDate && endDate !== startDate ? { endDate } : {}),
+        source: "Campbell Chamber Events",
+        sourceUrl: CHAMBER_EVENTS_URL,
+        ...(categories.length ? { topics: categories } : {}),
+      };
+    })
+    .filter(Boolean);
+}
+
+async function fetchChamberEventsHtml() {
+  const firstPage = await fetchText(CHAMBER_EVENTS_URL);
+  const total = parseGrowthZoneResultsCount(firstPage);
+  const firstPageEvents = parseChamberEventCards(firstPage);
+  const pageSize = firstPageEvents.length || 10;
+  const pages = Math.min(Math.ceil((total || firstPageEvents.length) / pageSize), 12);
+  const pagesHtml = [firstPage];
+
+  for (let page = 2; page <= pages; page += 1) {
+    await sleep(PAGE_DELAY_MS);
+    const url = `${CHAMBER_EVENTS_SCROLL_URL}?page=${page}&rendermode=partial&lookahead=${CHAMBER_EVENT_LOOKAHEAD_DAYS}`;
+    const html = await fetchText(url);
+    if (!/\S/.test(html)) break;
+    pagesHtml.push(html);
+  }
+
+  return {
+    html: pagesHtml.join("\n"),
+    total,
+    pages: pagesHtml.length,
+  };
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const chamberDirectory = {
+  label: "Campbell Chamber Directory",
+  kind: "businesses",
+  sourceUrl: CHAMBER_DIRECTORY_URL,
+  tag: "Chamber",
+  preserveSourceUrls: true,
+  reuseOnFetchError: true,
+  minParsed: 300,
+  minKept: 150,
+  async fetch() {
+    const pages = [];
+    for (const slug of CHAMBER_ALPHA_SLUGS) {
+      await sleep(PAGE_DELAY_MS);
+      const sourceUrl = `${CHAMBER_BASE_URL}/list/searchalpha/${slug}`;
+      pages.push({ html: await fetchText(sourceUrl), sourceUrl });
+    }
+    return { raw: pages, fetched: pages.length };
+  },
+  parse: (pages) => pages.flatMap(({ html, sourceUrl }) => parseChamberBusinesses(html, sourceUrl)),
+  // The Chamber lists members across the county; the guide keeps the ones in Campbell.
+  rejectionReason: (business) => (isCampbellLocatedBusiness(business) ? "" : "outside Campbell"),
+};
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const chamberEvents = {
+  label: "Campbell Chamber Events",
+  kind: "events",
+  sourceUrl: CHAMBER_EVENTS_URL,
+  minParsed: 10,
+  async fetch() {
+    const { html, total, pages } = await fetchChamberEventsHtml();
+    return { raw: html, fetched: pages, expected: total };
+  },
+  parse: (html) => parseChamberEventCards(html),
+};
@@ -0,0 +1,62 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { chamberDirectory, chamberEvents, parseGrowthZoneResultsCount } from "./chamber.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+// Thursday, May 14, 2026, 9 AM Pacific.
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+const PAGE_URL = "https://business.campbellchamber.net/list/searchalpha/a";
+
+describe("chamberDirectory", () => {
+  const businesses = chamberDirectory.parse([{ html: fixture("chamber-directory.html"), sourceUrl: PAGE_URL }], context);
+
+  it("reads member cards with the page they came from", () => {
+    expect(businesses.map((business) => business.name)).toEqual([
+      "Ainsley House",
+      "Bay Area Insurance Group",
+      "Hamilton Dental",
+    ]);
+    expect(businesses[0]).toMatchObject({
+      phone: "(408) 866-2119",
+      city: "Campbell",
+      url: "https://business.campbellchamber.net/list/member/ainsley-house-campbell-101",
+      websiteUrl: "https://www.campbellmuseums.com/",
+      imageUrl: "https://growthzonecmsprodeastus.azureedge.net/sites/1234/logo-ainsley.png",
+      description: "Historic 1925 home and gardens operated by the Campbell Museums.",
+      tags: ["Chamber"],
+      sourceUrl: PAGE_URL,
+    });
+    expect(businesses[1].address).toContain("55 S Market St, Suite 900");
+  });
+
+  it("rejects members outside Campbell, counting a 95008 ZIP as Campbell", () => {
+    expect(businesses.map((business) => chamberDirectory.rejectionReason(business, context))).toEqual([
+      "",
+      "outside Campbell",
+      "",
+    ]);
+  });
+});
+
+describe("chamberEvents", () => {
+  const html = fixture("chamber-events.html");
+  const events = chamberEvents.parse(html, context);
+
+  it("reads dated event cards and the site's own count", () => {
+    expect(parseGrowthZoneResultsCount(html)).toBe(3);
+    expect(events.map((event) => event.title)).toEqual(["Ribbon Cutting: Orchard City Kitchen", "Business After Hours"]);
+  });
+
+  it("takes start and end from the schema spans, falling back to the meta end", () => {
+    expect(events[0]).toMatchObject({
+      date: "May 21, 2026 5:30 PM - 6:30 PM",
+      startDate: "2026-05-21T17:30:00",
+      endDate: "2026-05-21T18:30:00",
+      imageUrl: "https://business.campbellchamber.net/content/events/ribbon.jpg",
+      topics: ["Ribbon Cutting"],
+      source: "Campbell Chamber Events",
+    });
+    expect(events[1]).toMatchObject({ date: "Jun 11, 2026", endDate: "2026-06-11T19:00:00" });
+    expect(events[1]).not.toHaveProperty("topics");
+  });
+});
@@ -0,0 +1,308 @@
+/**
+ * The City of Campbell's website (campbellca.gov): the community calendar, the
+ * Planning Commission's Agenda Center page and the public-notice archives.
+ */
+
+import { fetchText } from "./http.mjs";
+import { eventEndsBeforeReferenceDay } from "./events.mjs";
+import {
+  absoluteUrl,
+  cleanHtml,
+  cleanSentence,
+  decodeHtml,
+  extractCell,
+  extractLink,
+  MONTH_NUMBERS,
+} from "./text.mjs";
+
+const CITY_BASE_URL = "https://www.campbellca.gov";
+const CITY_CALENDAR_URL = `${CITY_BASE_URL}/calendar.aspx?view=list&CID=0`;
+// City Council agendas moved from the CivicEngage Agenda Center (frozen at
+// Oct 7, 2025) to the city's eScribe portal (escribe.mjs); Planning Commission
+// still posts to the Agenda Center.
+const PLANNING_COMMISSION_URL = `${CITY_BASE_URL}/AgendaCenter/Planning-Commission-6`;
+export const PUBLIC_NOTICES_URL = `${CITY_BASE_URL}/530/Public-Notices`;
+const PUBLIC_NOTICE_ARCHIVES = [
+  { body: "City Council", href: `${CITY_BASE_URL}/Archive.aspx?AMID=43`, limit: 8 },
+  { body: "Planning Commission", href: `${CITY_BASE_URL}/Archive.aspx?AMID=44`, limit: 10 },
+];
+
+function parseCityCalendarEndDate(date = "", startDate = "") {
+  const cleaned = cleanSentence(date);
+  const match = cleaned.match(/-\s*([A-Z][a-z]+)\s+(\d{1,2}),\s+(\d{4})/);
+  if (!match) return "";
+
+  const month = MONTH_NUMBERS[match[1].slice(0, 3).toLowerCase()];
+  if (!month) return "";
+
+  const day = match[2].padStart(2, "0");
+  const datePart = `${match[3]}-${month}-${day}`;
+  if (datePart === startDate.slice(0, 10)) return "";
+
+  return `${datePart}T23:59:59`;
+}
+
+function cityCalendarIsoDate(year, month, day, hour = 0, minute = 0, second = 0) {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}T${String(hour).padStart(2, "0")}:${String(minute).padStart(2, "0")}:${String(second).padStart(2, "0")}`;
+}
+
+function parseCityCalendarTime(hour, minute = "0", meridiem = "") {
+  let parsedHour = Number(hour);
+  const lowerMeridiem = meridiem.toLowerCase();
+  if (lowerMeridiem === "pm" && parsedHour < 12) parsedHour += 12;
+  if (lowerMeridiem === "am" && parsedHour === 12) parsedHour = 0;
+  return {
+    hour: parsedHour,
+    minute: Number(minute),
+  };
+}
+
+function cityCalendarDateParts(year, month, day, offsetDays = 0) {
+  const date = new Date(Number(year), Number(month) - 1, Number(day) + offsetDays);
+  return {
+    year: date.getFullYear(),
+    month: date.getMonth() + 1,
+    day: date.getDate(),
+  };
+}
+
+function parseCityCalendarDate(date = "") {
+  const cleaned = cleanSentence(date);
+  const start = cleaned.match(/^([A-Z][a-z]+)\s+(\d{1,2}),\s+(\d{4})(?:,\s+(\d{1,2})(?::(\d{2}))?\s*(AM|PM))?/i);
+  if (!start) return { startDate: "", endDate: "" };
+
+  const startMonth = MONTH_NUMBERS[start[1].slice(0, 3).toLowerCase()];
+  if (!startMonth) return { startDate: "", endDate: "" };
+
+  const startTime = start[4]
+    ? parseCityCalendarTime(start[4], start[5], start[6])
+    : { hour: 0, minute: 0 };
+  const startDate = cityCalendarIsoDate(start[3], startMonth, start[2], startTime.hour, startTime.minute);
+  const range = { startDate, endDate: "" };
+  const endText = cleaned.slice(start[0].length).match(/^\s*-\s*(.+)$/)?.[1] ?? "";
+  if (!endText) return range;
+
+  const explicitEnd = endText.match(/^([A-Z][a-z]+)\s+(\d{1,2}),\s+(\d{4}),?\s+(\d{1,2})(?::(\d{2}))?\s*(AM|PM)/i);
+  const sameDayEnd = endText.match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)/i);
+  const endMatch = explicitEnd ?? sameDayEnd;
+  if (!endMatch) return range;
+
+  const endTime = explicitEnd
+    ? parseCityCalendarTime(explicitEnd[4], explicitEnd[5], explicitEnd[6])
+    : parseCityCalendarTime(sameDayEnd[1], sameDayEnd[2], sameDayEnd[3]);
+  const endParts = explicitEnd
+    ? {
+        year: Number(explicitEnd[3]),
+        month: Number(MONTH_NUMBERS[explicitEnd[1].slice(0, 3).toLowerCase()]),
+        day: Number(explicitEnd[2]),
+      }
+    : cityCalendarDateParts(start[3], startMonth, start[2]);
+
+  if (!endParts.month) return range;
+
+  if (!explicitEnd) {
+    const endBeforeStart =
+      endTime.hour < startTime.hour ||
+      (endTime.hour === startTime.hour && endTime.minute < startTime.minute);
+    if (endBeforeStart) {
+      Object.assign(endParts, cityCalendarDateParts(start[3], startMonth, start[2], 1));
+    }
+  }
+
+  range.endDate = cityCalendarIsoDate(endParts.year, endParts.month, endParts.day, endTime.hour, endTime.minute);
+  return range;
+}
+
+function canonicalCityCalendarUrl(url = "", startDate = "") {
+  const dateMatch = startDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!url || !dateMatch) return url;
+
+  try {
+    const parsed = new URL(url);
+    if (!parsed.searchParams.has("EID")) return url;
+
+    parsed.searchParams.set("month", String(Number(dateMatch[2])));
+    parsed.searchParams.set("year", dateMatch[1]);
+    parsed.searchParams.set("day", String(Number(dateMatch[3])));
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
+
+export function cityCalendarMonthUrls(referenceDate = new Date()) {
+  const currentMonth = new Date(referenceDate);
+  currentMonth.setDate(1);
+  currentMonth.setHours(0, 0, 0, 0);
+
+  const nextMonth = new Date(currentMonth);
+  nextMonth.setMonth(currentMonth.getMonth() + 1);
+
+  return [currentMonth, nextMonth].map((date) =>
+    `${CITY_CALENDAR_URL}&year=${date.getFullYear()}&month=${date.getMonth() + 1}`,
+  );
+}
+
+function splitCalendarBlocks(html) {
+  const starts = [...html.matchAll(/<div[^>]*id="CID\d+"[^>]*class="[^"]*calendar[^"]*"[^>]*>/gi)];
+  return starts.map((match, index) => {
+    const start = match.index ?? 0;
+    const end = starts[index + 1]?.index ?? html.length;
+    return html.slice(start, end);
+  });
+}
+
+function extractCalendarLocation(itemHtml) {
+  const locationFromSubheader = itemHtml.match(/<div[^>]*class="[^"]*eventLocation[^"]*"[^>]*>[\s\S]*?<div[^>]*class="[^"]*name[^"]*"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "";
+  const locationFromSchema = itemHtml.match(/<span[^>]*itemprop="location"[\s\S]*?<span[^>]*itemprop="name"[^>]*>([\s\S]*?)<\/span>/i)?.[1] ?? "";
+  const location = cleanHtml(locationFromSubheader || locationFromSchema);
+
+  return location === "Event Location" ? "" : location;
+}
+
+export function parseCityCalendarEvents(html) {
+  return splitCalendarBlocks(html).flatMap((block) => {
+    const category = cleanHtml(block.match(/<h2[^>]*class="[^"]*title[^"]*"[^>]*>([\s\S]*?)<\/h2>/i)?.[1] ?? "");
+    const items = [...block.matchAll(/<li>\s*([\s\S]*?)\s*<\/li>/gi)];
+
+    return items
+      .map(([, itemHtml]) => {
+        const titleLink = itemHtml.match(/<a[^>]*id="eventTitle_[^"]+"[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i);
+        const title = cleanHtml(titleLink?.[2] ?? "");
+        const date = cleanHtml(itemHtml.match(/<div[^>]*class="date"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+        const parsedDate = parseCityCalendarDate(date);
+        const startDate =
+          cleanHtml(itemHtml.match(/<span[^>]*itemprop="startDate"[^>]*>([\s\S]*?)<\/span>/i)?.[1] ?? "") ||
+          parsedDate.startDate;
+        const url = canonicalCityCalendarUrl(absoluteUrl(titleLink?.[1] ?? "", CITY_BASE_URL), startDate);
+        const description = cleanHtml(
+          itemHtml.match(/<p[^>]*itemprop="description"[^>]*>([\s\S]*?)<\/p>/i)?.[1] ??
+          itemHtml.match(/<div[^>]*itemscope[^>]*>[\s\S]*?<\/div>\s*<p>([\s\S]*?)<\/p>/i)?.[1] ??
+          "",
+        ).slice(0, 280);
+        const location = extractCalendarLocation(itemHtml);
+        const endDate = parsedDate.endDate || parseCityCalendarEndDate(date, startDate);
+
+        if (!title || !url) return null;
+
+        return {
+          title,
+          date,
+          cost: "",
+          location,
+          description,
+          url,
+          imageUrl: "",
+          category,
+          startDate,
+          ...(endDate ? { endDate } : {}),
+          source: "City of Campbell Calendar",
+          sourceUrl: CITY_CALENDAR_URL,
+        };
+      })
+      .filter(Boolean);
+  });
+}
+
+export function parseAgendaCenterRecords(html, { tableId, body, sourceUrl }) {
+  const table = html.match(new RegExp(`<table[^>]*id="${tableId}"[^>]*>([\\s\\S]*?)<\\/table>`, "i"))?.[1] ?? "";
+  const rows = [...table.matchAll(/<tr[^>]*class="[^"]*catAgendaRow[^"]*"[^>]*>([\s\S]*?)<\/tr>/gi)];
+
+  return rows
+    .map(([, row]) => {
+      const dateLabel = decodeHtml(row.match(/<strong[^>]*aria-label="Agenda for ([^"]+)"/i)?.[1] ?? cleanHtml(row.match(/<strong[^>]*>([\s\S]*?)<\/strong>/i)?.[1] ?? ""));
+      const agendaLink = row.match(/<a[^>]*href="([^"]*\/AgendaCenter\/ViewFile\/Agenda\/[^"]+)"[^>]*>([\s\S]*?)<\/a>/i);
+      const minutesLink = extractLink(extractCell(row, "minutes"));
+      const mediaLink = extractLink(extractCell(row, "media"));
+      const title = cleanHtml(agendaLink?.[2] ?? "");
+      const agendaUrl = absoluteUrl(agendaLink?.[1] ?? "", CITY_BASE_URL);
+
+      if (!dateLabel || !title || !agendaUrl) return null;
+
+      return {
+        date: dateLabel,
+        title,
+        body,
+        agendaUrl,
+        minutesUrl: absoluteUrl(minutesLink, CITY_BASE_URL),
+        mediaUrl: absoluteUrl(mediaLink, CITY_BASE_URL),
+        source: "Campbell Agenda Center",
+        sourceUrl,
+      };
+    })
+    .filter(Boolean)
+    .slice(0, 24);
+}
+
+export function parsePublicNoticeArchive(html, { body, href, limit }) {
+  const blocks = [...html.matchAll(/<table[^>]*summary="Archive Details"[^>]*>([\s\S]*?)<\/table>/gi)];
+
+  return blocks
+    .map(([, block]) => {
+      const link = block.match(/<a[^>]*href="([^"]*Archive\.aspx\?ADID=\d+)"[^>]*>\s*<span>([\s\S]*?)<\/span>\s*<\/a>/i);
+      const title = cleanHtml(link?.[2] ?? "");
+      const noticeUrl = absoluteUrl(link?.[1] ?? "", CITY_BASE_URL);
+      const id = noticeUrl.match(/ADID=(\d+)/)?.[1] ?? "";
+
+      if (!title || !noticeUrl || !id) return null;
+
+      return {
+        id,
+        body,
+        title,
+        noticeUrl,
+        source: `${body} public notices`,
+        sourceUrl: href,
+      };
+    })
+    .filter(Boolean)
+    .slice(0, limit);
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const cityCalendar = {
+  label: "City of Campbell Calendar",
+  kind: "events",
+  sourceUrl: CITY_CALENDAR_URL,
+  // Campbell's official calendar can naturally dip below eight visible events
+  // late in a month; the merged feed threshold still catches broad breaks.
+  minParsed: 5,
+  async fetch({ referenceDate }) {
+    const pages = await Promise.all(cityCalendarMonthUrls(referenceDate).map((url) => fetchText(url)));
+    return { raw: pages, fetched: pages.length };
+  },
+  parse: (pages, { referenceDate }) =>
+    pages
+      .flatMap((html) => parseCityCalendarEvents(html))
+      .filter((event) => !eventEndsBeforeReferenceDay(event, referenceDate)),
+};
+
+/** Planning Commission agendas; they feed public hearings rather than a file of their own. */
+export const planningCommissionRecords = {
+  label: "Planning Commission Records",
+  kind: "records",
+  sourceUrl: PLANNING_COMMISSION_URL,
+  minParsed: 5,
+  async fetch() {
+    return { raw: await fetchText(PLANNING_COMMISSION_URL), fetched: 1 };
+  },
+  parse: (html) =>
+    parseAgendaCenterRecords(html, {
+      tableId: "table6",
+      body: "Planning Commission",
+      sourceUrl: PLANNING_COMMISSION_URL,
+    }),
+};
+
+/** Posted hearing notices, one archive per body; each notice's PDF is read in hearings.mjs. */
+export const publicNoticeArchives = {
+  label: "Public Notices",
+  kind: "records",
+  sourceUrl: PUBLIC_NOTICES_URL,
+  async fetch() {
+    const pages = await Promise.all(PUBLIC_NOTICE_ARCHIVES.map((archive) => fetchText(archive.href)));
+    return { raw: pages, fetched: pages.length };
+  },
+  parse: (pages) =>
+    PUBLIC_NOTICE_ARCHIVES.flatMap((archive, index) => parsePublicNoticeArchive(pages[index] ?? "", archive)),
+};
@@ -0,0 +1,73 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { cityCalendar, cityCalendarMonthUrls, planningCommissionRecords, publicNoticeArchives } from "./city.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+// Thursday, May 14, 2026, 9 AM Pacific.
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("cityCalendar", () => {
+  const events = cityCalendar.parse([fixture("city-calendar.html")], context);
+
+  it("fetches this month and next", () => {
+    expect(cityCalendarMonthUrls(context.referenceDate)).toEqual([
+      "https://www.campbellca.gov/calendar.aspx?view=list&CID=0&year=2026&month=5",
+      "https://www.campbellca.gov/calendar.aspx?view=list&CID=0&year=2026&month=6",
+    ]);
+  });
+
+  it("reads each calendar's events under its heading, dropping ones already over", () => {
+    expect(events.map((event) => [event.category, event.title])).toEqual([
+      ["Community Events", "Concerts in the Park"],
+      ["City Council", "City Council Regular Meeting"],
+      ["City Council", "Late Night Budget Workshop"],
+    ]);
+    expect(events[0]).toMatchObject({
+      location: "Orchard City Green",
+      description: "Free summer concerts on the Green.",
+      url: "https://www.campbellca.gov/Calendar.aspx?EID=4821&month=5&year=2026&day=20",
+      source: "City of Campbell Calendar",
+    });
+  });
+
+  it("parses time ranges, preferring the page's own startDate", () => {
+    expect(events[0]).toMatchObject({ startDate: "2026-05-20T18:00:00", endDate: "2026-05-20T20:00:00" });
+    expect(events[1].startDate).toBe("2026-06-02T19:30:00");
+    expect(events[1].location).toBe("City Hall Council Chamber");
+    expect(events[2]).toMatchObject({ startDate: "2026-06-09T22:00:00", endDate: "2026-06-10T01:00:00" });
+  });
+});
+
+describe("planningCommissionRecords", () => {
+  it("reads agenda rows from the Planning Commission table only", () => {
+    const records = planningCommissionRecords.parse(fixture("planning-agenda-center.html"), context);
+    expect(records).toEqual([
+      {
+        date: "May 12, 2026",
+        title: "Planning Commission Regular Meeting",
+        body: "Planning Commission",
+        agendaUrl: "https://www.campbellca.gov/AgendaCenter/ViewFile/Agenda/_05122026-2101",
+        minutesUrl: "https://www.campbellca.gov/AgendaCenter/ViewFile/Minutes/_05122026-2101",
+        mediaUrl: "",
+        source: "Campbell Agenda Center",
+        sourceUrl: "https://www.campbellca.gov/AgendaCenter/Planning-Commission-6",
+      },
+      expect.objectContaining({ date: "Apr 28, 2026", mediaUrl: "https://www.youtube.com/watch?v=pc0428" }),
+    ]);
+  });
+});
+
+describe("publicNoticeArchives", () => {
+  it("lists each archive's notices under its body", () => {
+    const notices = publicNoticeArchives.parse([fixture("public-notice-archive.html"), ""], context);
+    expect(notices.map((notice) => notice.id)).toEqual(["5712", "5698", "5650"]);
+    expect(notices[0]).toEqual({
+      id: "5712",
+      body: "City Council",
+      title: "Notice of Public Hearing - 400 E Hamilton Ave",
+      noticeUrl: "https://www.campbellca.gov/Archive.aspx?ADID=5712",
+      source: "City Council public notices",
+      sourceUrl: "https://www.campbellca.gov/Archive.aspx?AMID=43",
+    });
+  });
+});
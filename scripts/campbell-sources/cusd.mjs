@@ -0,0 +1,158 @@
+/**
+ * Campbell Union School District events, from the public Google Calendar ICS feeds
+ * behind campbellusd.org's calendar page.
+ */
+
+import { compareEventsByStart } from "./events.mjs";
+import { fetchIcsText } from "./http.mjs";
+import { cleanHtml } from "./text.mjs";
+
+const CUSD_CALENDAR_URL = "https://www.campbellusd.org/calendar?locale=en";
+export const CUSD_ICS_SOURCES = [
+  { label: "CUSD District Wide Events", id: "campbellusd.org_0nc5m32rifu1o7qnfhpi7k2nb0" },
+  { label: "CUSD Public Meetings", id: "campbellusd.org_0k9apnhonup1kh5g71gfu76q8k" },
+  { label: "CUSD No School Days", id: "campbellusd.org_dmvesuq2lbtv4spus72hhfb570" },
+].map((source) => ({
+  ...source,
+  href: `https://calendar.google.com/calendar/ical/${encodeURIComponent(`${source.id}@group.calendar.google.com`)}/public/basic.ics`,
+}));
+
+function unfoldIcs(value = "") {
+  return value.replace(/\r?\n[ \t]/g, "");
+}
+
+function readIcsProperty(block = "", name = "") {
+  return block.match(new RegExp(`^${name}(?:;[^:]*)?:(.*)$`, "m"))?.[1]?.trim() ?? "";
+}
+
+function decodeIcsValue(value = "") {
+  return value
+    .replace(/\\n/g, " ")
+    .replace(/\\,/g, ",")
+    .replace(/\\;/g, ";")
+    .replace(/\\\\/g, "\\")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Same as src/lib/campbell/dateHelpers.ts's CAMPBELL_TIME_ZONE, which this script can't import. */
+const CAMPBELL_TIME_ZONE = "America/Los_Angeles";
+
+/** The wall-clock fields of `date` in Campbell, the way src/lib/ics.ts's zonedParts reads them. */
+function campbellParts(date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: CAMPBELL_TIME_ZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((part) => [part.type, part.value]));
+}
+
+/**
+ * The instant a Campbell wall-clock time falls on: read the same fields as UTC, see what
+ * Campbell's clock says at that instant, and shift by the difference.
+ */
+function campbellTime(year, month, day, hour = 0, minute = 0, second = 0) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  const p = campbellParts(new Date(asUtc));
+  const readBack = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return new Date(asUtc - (readBack - asUtc));
+}
+
+/** A DTSTART/DTEND value as an instant; dates and floating times are read as Campbell time. */
+function parseIcsDate(value = "") {
+  const dateOnly = value.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (dateOnly) return campbellTime(+dateOnly[1], +dateOnly[2], +dateOnly[3]);
+
+  const dateTime = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z?$/);
+  if (!dateTime) return null;
+
+  const [year, month, day, hour, minute, second] = dateTime.slice(1).map(Number);
+  return value.endsWith("Z")
+    ? new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+    : campbellTime(year, month, day, hour, minute, second);
+}
+
+/** `2026-05-20T18:30:00` — Campbell wall-clock time, the shape the other event sources write. */
+function campbellIso(date) {
+  const parts = campbellParts(date);
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+export function parseIcsEvents(text, { label, sourceUrl, calendarUrl, generatedAt }) {
+  const now = campbellParts(new Date(generatedAt));
+  const today = campbellTime(+now.year, +now.month, +now.day);
+  const oneYearOut = campbellTime(+now.year + 1, +now.month, +now.day);
+
+  return [...unfoldIcs(text).matchAll(/BEGIN:VEVENT([\s\S]*?)END:VEVENT/g)]
+    .map(([, block]) => {
+      const startValue = readIcsProperty(block, "DTSTART");
+      const endValue = readIcsProperty(block, "DTEND");
+      const start = parseIcsDate(startValue);
+      const end = parseIcsDate(endValue);
+      const title = decodeIcsValue(readIcsProperty(block, "SUMMARY"));
+      const location = decodeIcsValue(readIcsProperty(block, "LOCATION"));
+      const description = decodeIcsValue(cleanHtml(readIcsProperty(block, "DESCRIPTION"))).slice(0, 280);
+      const url = decodeIcsValue(readIcsProperty(block, "URL")) || calendarUrl;
+
+      if (!title || !start) return null;
+      if (start < today || start > oneYearOut) return null;
+
+      const date = new Intl.DateTimeFormat("en-US", {
+        timeZone: CAMPBELL_TIME_ZONE,
+        month: "short",
+        day: "numeric",
+        year: "numeric",
+        ...(startValue.length > 8 ? { hour: "numeric", minute: "2-digit", timeZoneName: "short" } : {}),
+      }).format(start);
+
+      const event = {
+        title,
+        date,
+        cost: "",
+        location,
+        description: description || `From ${label}.`,
+        url,
+        imageUrl: "",
+        category: "Schools",
+        startDate: campbellIso(start),
+        source: "Campbell Union School District Events",
+        sourceUrl,
+        topics: [label],
+      };
+
+      if (end && end.getTime() !== start.getTime()) {
+        const adjustedEnd = endValue.length === 8 ? new Date(end.getTime() - 1) : end;
+        event.endDate = campbellIso(adjustedEnd);
+      }
+
+      return event;
+    })
+    .filter(Boolean)
+    .sort(compareEventsByStart);
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const schoolEvents = {
+  label: "Campbell Union School District Events",
+  kind: "events",
+  sourceUrl: CUSD_CALENDAR_URL,
+  async fetch() {
+    const calendars = await Promise.all(CUSD_ICS_SOURCES.map((source) => fetchIcsText(source.href)));
+    return { raw: calendars, fetched: calendars.length };
+  },
+  parse: (calendars, { generatedAt }) =>
+    CUSD_ICS_SOURCES.flatMap((source, index) =>
+      parseIcsEvents(calendars[index] ?? "", {
+        label: source.label,
+        sourceUrl: source.href,
+        calendarUrl: CUSD_CALENDAR_URL,
+        generatedAt,
+      }),
+    ),
+};
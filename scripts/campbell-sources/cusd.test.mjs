@@ -0,0 +1,33 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { CUSD_ICS_SOURCES, schoolEvents } from "./cusd.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+// Thursday, May 14, 2026, 9 AM Pacific.
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("schoolEvents", () => {
+  const events = schoolEvents.parse([fixture("cusd.ics"), "", ""], context);
+
+  it("reads upcoming events from each calendar, tagged with its name", () => {
+    expect(events.map((event) => event.title)).toEqual(["Board of Trustees Regular Meeting", "Memorial Day - No School"]);
+    expect(events.every((event) => event.topics[0] === CUSD_ICS_SOURCES[0].label)).toBe(true);
+    expect(events[0].sourceUrl).toBe(CUSD_ICS_SOURCES[0].href);
+  });
+
+  it("unfolds and unescapes properties and converts UTC times to Campbell time", () => {
+    expect(events[0]).toMatchObject({
+      date: "May 20, 2026, 6:30 PM PDT",
+      location: "District Office, 155 N 3rd St, Campbell",
+      description: "Open session begins at 6:30 p.m. Agenda posted on the district website.",
+      startDate: "2026-05-20T18:30:00",
+      endDate: "2026-05-20T20:00:00",
+      url: "https://www.campbellusd.org/calendar?locale=en",
+      category: "Schools",
+    });
+  });
+
+  it("ends an all-day event on its last day rather than the exclusive DTEND", () => {
+    expect(events[1]).toMatchObject({ date: "May 25, 2026", startDate: "2026-05-25T00:00:00", endDate: "2026-05-25T23:59:59" });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * The previous sync's output in src/data, read back as the fallback for a source
+ * that's down and the baseline for the sync report, and the writer for the next one.
+ */
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { compareEventsByStart, eventEndTimestamp, eventTimestamp, splitEventSourceNames } from "./events.mjs";
+
+const ROOT = resolve(dirname(fileURLToPath(import.meta.url)), "../..");
+const DATA_DIR = resolve(ROOT, "src/data");
+
+export async function readExistingSourceBusinesses({ tag, source, sourceUrl, preserveSourceUrls = false }) {
+  const existingPath = resolve(DATA_DIR, "campbellBusinesses.json");
+  let payload;
+
+  try {
+    payload = JSON.parse(await readFile(existingPath, "utf8"));
+  } catch (err) {
+    console.warn(`Warning: could not read previous Campbell businesses for ${source}: ${err.message}`);
+    return [];
+  }
+
+  return (Array.isArray(payload.items) ? payload.items : [])
+    .filter((business) => {
+      return (
+        (business.tags ?? []).includes(tag) ||
+        business.source === source ||
+        business.sourceUrl === sourceUrl ||
+        (business.additionalSourceUrls ?? []).includes(sourceUrl)
+      );
+    })
+    .map((business) => {
+      const existingAdditionalUrls = business.additionalSourceUrls ?? [];
+      return {
+        ...business,
+        tags: [tag],
+        source,
+        sourceUrl: preserveSourceUrls ? (business.sourceUrl || sourceUrl) : sourceUrl,
+        ...(
+          preserveSourceUrls
+            ? (existingAdditionalUrls.length ? { additionalSourceUrls: existingAdditionalUrls } : {})
+            : { additionalSourceUrls: [] }
+        ),
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function readExistingSourceEvents({ source, sourceUrl, generatedAt }) {
+  const existingPath = resolve(DATA_DIR, "campbellEvents.json");
+  let payload;
+
+  try {
+    payload = JSON.parse(await readFile(existingPath, "utf8"));
+  } catch (err) {
+    console.warn(`Warning: could not read previous Campbell events for ${source}: ${err.message}`);
+    return [];
+  }
+
+  const today = new Date(generatedAt);
+  today.setHours(0, 0, 0, 0);
+  const oneYearOut = new Date(today);
+  oneYearOut.setFullYear(oneYearOut.getFullYear() + 1);
+
+  return (Array.isArray(payload.items) ? payload.items : [])
+    .filter((event) => {
+      const fromSource =
+        splitEventSourceNames(event.source).includes(source) ||
+        event.sourceUrl === sourceUrl ||
+        (event.additionalSourceUrls ?? []).includes(sourceUrl);
+      if (!fromSource) return false;
+
+      const startTimestamp = eventTimestamp(event);
+      const endTimestamp = eventEndTimestamp(event);
+      if (startTimestamp === Number.MAX_SAFE_INTEGER && endTimestamp === Number.MAX_SAFE_INTEGER) return true;
+
+      const effectiveStart = startTimestamp === Number.MAX_SAFE_INTEGER ? endTimestamp : startTimestamp;
+      const effectiveEnd = endTimestamp === Number.MAX_SAFE_INTEGER ? startTimestamp : endTimestamp;
+      return effectiveEnd >= today.getTime() && effectiveStart <= oneYearOut.getTime();
+    })
+    .sort(compareEventsByStart);
+}
+
+export async function readDataFile(filename) {
+  return JSON.parse(await readFile(resolve(DATA_DIR, filename), "utf8"));
+}
+
+export async function readExistingItems(filename) {
+  try {
+    const payload = await readDataFile(filename);
+    return Array.isArray(payload.items) ? payload.items : [];
+  } catch (err) {
+    console.warn(`Warning: could not read previous ${filename}: ${err.message}`);
+    return [];
+  }
+}
+
+/** `indent: 0` for generated files nobody reads in a diff, like the search index. */
+export async function writeJson(filename, payload, { indent = 2 } = {}) {
+  await mkdir(DATA_DIR, { recursive: true });
+  const target = resolve(DATA_DIR, filename);
+  let nextPayload = payload;
+
+  try {
+    const existingPayload = JSON.parse(await readFile(target, "utf8"));
+    const { generatedAt: existingGeneratedAt, ...existingComparable } = existingPayload;
+    const { generatedAt: nextGeneratedAt, ...nextComparable } = payload;
+
+    if (
+      existingGeneratedAt &&
+      nextGeneratedAt &&
+      JSON.stringify(existingComparable) === JSON.stringify(nextComparable)
+    ) {
+      nextPayload = { ...payload, generatedAt: existingGeneratedAt };
+    }
+  } catch {
+    // New or unreadable file: write the freshly generated payload.
+  }
+
+  await writeFile(target, `${JSON.stringify(nextPayload, null, indent)}\n`, "utf8");
+  return target;
+}
@@ -0,0 +1,183 @@
+/**
+ * Text out of the city's PDF and Word documents — agenda packets and public-hearing
+ * notices. Extraction shells out to `pdftotext` (poppler) and macOS `textutil`, so a
+ * machine without them gets `{ text: "", skipped }` rather than an error; callers
+ * treat a skipped document as one with nothing to say.
+ */
+
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { spawnSync } from "node:child_process";
+import { tmpdir } from "node:os";
+import { resolve } from "node:path";
+import { curlRequest, USER_AGENT } from "./http.mjs";
+
+const MAX_DOCUMENT_BYTES = 4_000_000;
+/** Notices and agenda hearing items sit up front; search indexing asks for more. */
+const DEFAULT_LAST_PAGE = 8;
+
+export async function fetchDocumentText(url, { lastPage = DEFAULT_LAST_PAGE } = {}) {
+  // eScribe rejects Node's TLS trust store; download those PDFs via curl.
+  if (new URL(url).hostname.endsWith("escribemeetings.com")) {
+    let buffer;
+    try {
+      buffer = curlRequest(url, { maxBytes: MAX_DOCUMENT_BYTES });
+    } catch (err) {
+      return { text: "", skipped: err.message || "Failed to fetch PDF via curl" };
+    }
+    return documentBufferToText(buffer, { contentType: "application/pdf", lastPage });
+  }
+
+  let contentLength = 0;
+  let contentType = "";
+  try {
+    const head = await fetch(url, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(15_000),
+      headers: {
+        "user-agent": USER_AGENT,
+        "accept": "application/pdf",
+      },
+    });
+    contentLength = Number(head.headers.get("content-length") ?? 0);
+    contentType = head.headers.get("content-type") ?? "";
+  } catch {
+    contentLength = 0;
+  }
+
+  if (contentLength > MAX_DOCUMENT_BYTES) {
+    return { text: "", skipped: `PDF is ${Math.round(contentLength / 1024 / 1024)}MB` };
+  }
+
+  const res = await fetch(url, {
+    signal: AbortSignal.timeout(25_000),
+    headers: {
+      "user-agent": USER_AGENT,
+      "accept": "application/pdf",
+    },
+  });
+
+  if (!res.ok) {
+    return { text: "", skipped: `Failed to fetch PDF: ${res.status}` };
+  }
+  const getContentLength = Number(res.headers.get("content-length") ?? 0);
+  if (getContentLength > MAX_DOCUMENT_BYTES) {
+    return { text: "", skipped: `PDF is ${Math.round(getContentLength / 1024 / 1024)}MB` };
+  }
+  contentType ||= res.headers.get("content-type") ?? "";
+
+  let buffer;
+  try {
+    buffer = await readLimitedResponse(res, MAX_DOCUMENT_BYTES);
+  } catch (err) {
+    return { text: "", skipped: err.message || "PDF exceeded read limit" };
+  }
+  return documentBufferToText(buffer, { contentType, lastPage });
+}
+
+function bufferLooksLikePdf(buffer) {
+  return buffer.subarray(0, 5).toString("latin1") === "%PDF-";
+}
+
+function bufferLooksLikeOleDocument(buffer) {
+  return buffer.length >= 8 &&
+    buffer[0] === 0xd0 &&
+    buffer[1] === 0xcf &&
+    buffer[2] === 0x11 &&
+    buffer[3] === 0xe0 &&
+    buffer[4] === 0xa1 &&
+    buffer[5] === 0xb1 &&
+    buffer[6] === 0x1a &&
+    buffer[7] === 0xe1;
+}
+
+export async function documentBufferToText(buffer, { contentType = "", lastPage = DEFAULT_LAST_PAGE } = {}) {
+  const normalizedType = contentType.toLowerCase();
+  if (normalizedType.includes("pdf") || bufferLooksLikePdf(buffer)) {
+    return pdfBufferToText(buffer, { lastPage });
+  }
+
+  if (
+    normalizedType.includes("msword") ||
+    normalizedType.includes("wordprocessingml") ||
+    bufferLooksLikeOleDocument(buffer)
+  ) {
+    return wordBufferToText(buffer, {
+      extension: normalizedType.includes("wordprocessingml") ? ".docx" : ".doc",
+    });
+  }
+
+  return { text: "", skipped: `Unsupported notice document type${contentType ? `: ${contentType}` : ""}` };
+}
+
+export async function pdfBufferToText(buffer, { lastPage = DEFAULT_LAST_PAGE } = {}) {
+  const dir = await mkdtemp(resolve(tmpdir(), "campbell-notice-"));
+  const pdfPath = resolve(dir, "notice.pdf");
+
+  try {
+    await writeFile(pdfPath, buffer);
+    const result = spawnSync(
+      "pdftotext",
+      ["-f", "1", "-l", String(lastPage), "-layout", pdfPath, "-"],
+      { encoding: "utf8", maxBuffer: 2 * 1024 * 1024 },
+    );
+
+    if (result.error) {
+      return { text: "", skipped: result.error.message };
+    }
+    if (result.status !== 0 && !result.stdout) {
+      return { text: "", skipped: result.stderr.trim() || "pdftotext failed" };
+    }
+
+    return { text: result.stdout, skipped: "" };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function wordBufferToText(buffer, { extension = ".doc" } = {}) {
+  const dir = await mkdtemp(resolve(tmpdir(), "campbell-notice-"));
+  const docPath = resolve(dir, `notice${extension}`);
+
+  try {
+    await writeFile(docPath, buffer);
+    const result = spawnSync(
+      "textutil",
+      ["-convert", "txt", "-stdout", docPath],
+      { encoding: "utf8", maxBuffer: 2 * 1024 * 1024 },
+    );
+
+    if (result.error) {
+      return { text: "", skipped: result.error.message };
+    }
+    if (result.status !== 0 && !result.stdout) {
+      return { text: "", skipped: result.stderr.trim() || "textutil failed" };
+    }
+
+    return { text: result.stdout, skipped: "" };
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function readLimitedResponse(res, limitBytes) {
+  if (!res.body) {
+    return Buffer.from(await res.arrayBuffer());
+  }
+
+  const chunks = [];
+  let total = 0;
+  const reader = res.body.getReader();
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.byteLength;
+    if (total > limitBytes) {
+      await reader.cancel();
+      throw new Error(`PDF exceeds ${Math.round(limitBytes / 1024 / 1024)}MB limit`);
+    }
+    chunks.push(Buffer.from(value));
+  }
+
+  return Buffer.concat(chunks);
+}
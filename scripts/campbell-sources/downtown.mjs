@@ -0,0 +1,146 @@
+/**
+ * Downtown Campbell (downtowncampbell.com): the business directory and the events page.
+ */
+
+import { fetchText } from "./http.mjs";
+import { absoluteUrl, cleanHtml, cleanSentence, extractCell, truncateEventDescription } from "./text.mjs";
+
+const BASE_URL = "https://www.downtowncampbell.com";
+const DIRECTORY_URL = `${BASE_URL}/directory/all`;
+const EVENTS_URL = `${BASE_URL}/events`;
+
+export function parseDirectory(html) {
+  const body = html.match(/<tbody>([\s\S]*?)<\/tbody>/i)?.[1] ?? "";
+  const rows = [...body.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)];
+
+  return rows
+    .map(([, row]) => {
+      const nameCell = extractCell(row, "location_name");
+      const link = nameCell.match(/<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i);
+      const name = cleanHtml(link?.[2] ?? nameCell);
+      const url = absoluteUrl(link?.[1] ?? "", BASE_URL);
+      const phone = cleanHtml(extractCell(row, "location_phone"));
+      const address = cleanHtml(extractCell(row, "location_street"));
+
+      if (!name || !url) return null;
+
+      return {
+        name,
+        phone,
+        address,
+        url,
+        websiteUrl: "",
+        description: "",
+        tags: ["Downtown"],
+        source: "Downtown Campbell Directory",
+        sourceUrl: DIRECTORY_URL,
+      };
+    })
+    .filter(Boolean);
+}
+
+function downtownYearForMonthDay(month, day, referenceDate = new Date()) {
+  const referenceYear = referenceDate.getFullYear();
+  const candidate = new Date(referenceYear, month - 1, day);
+  const reference = new Date(referenceYear, referenceDate.getMonth(), referenceDate.getDate());
+  const daysFromReference = Math.round((candidate.getTime() - reference.getTime()) / 86_400_000);
+
+  // Downtown omits the year on some upcoming cards. If the month/day appears
+  // far behind the sync date, it is almost certainly an early-next-year event.
+  return daysFromReference < -45 ? referenceYear + 1 : referenceYear;
+}
+
+function downtownIsoDate(year, month, day, time = "00:00:00") {
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}T${time}`;
+}
+
+function parseDowntownDateRange(date = "", referenceDate = new Date()) {
+  const cleaned = cleanSentence(date);
+  const fullDate = cleaned.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+  if (fullDate) {
+    const year = fullDate[3].length === 2 ? `20${fullDate[3]}` : fullDate[3];
+    return { startDate: downtownIsoDate(year, fullDate[1], fullDate[2]) };
+  }
+
+  const monthDayRange = cleaned.match(/^(\d{1,2})\/(\d{1,2})(?:\s*-\s*(\d{1,2})\/(\d{1,2}))?/);
+  if (!monthDayRange) return { startDate: "" };
+
+  const startMonth = Number(monthDayRange[1]);
+  const startDay = Number(monthDayRange[2]);
+  const startYear = downtownYearForMonthDay(startMonth, startDay, referenceDate);
+  const range = { startDate: downtownIsoDate(startYear, startMonth, startDay) };
+
+  if (monthDayRange[3] && monthDayRange[4]) {
+    const endMonth = Number(monthDayRange[3]);
+    const endDay = Number(monthDayRange[4]);
+    const endYear = endMonth < startMonth ? startYear + 1 : startYear;
+    range.endDate = downtownIsoDate(endYear, endMonth, endDay, "23:59:59");
+  }
+
+  return range;
+}
+
+export function parseDowntownEvents(html, referenceDate = new Date()) {
+  const articles = [...html.matchAll(/<article\b[\s\S]*?<\/article>/gi)];
+
+  return articles
+    .map(([article]) => {
+      const titleLink = article.match(/<h3[^>]*class="[^"]*node-title[^"]*"[^>]*>\s*<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>\s*<\/h3>/i);
+      const image = article.match(/<img[^>]*src="([^"]+)"/i);
+      const body = article.match(/<div[^>]*class="[^"]*eventbody[^"]*"[^>]*>([\s\S]*?)<\/div>/i);
+
+      const title = cleanHtml(titleLink?.[2] ?? "");
+      const url = absoluteUrl(titleLink?.[1] ?? "", BASE_URL);
+      const date = cleanHtml(article.match(/<div[^>]*class="date"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+      const cost = cleanHtml(article.match(/<div[^>]*class="[^"]*field-cost[^"]*"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+      const location = cleanHtml(article.match(/<div[^>]*class="[^"]*location-name[^"]*"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+      const description = truncateEventDescription(cleanHtml(body?.[1] ?? ""));
+      const imageUrl = absoluteUrl(image?.[1] ?? "", BASE_URL);
+      const { startDate, endDate } = parseDowntownDateRange(date, referenceDate);
+
+      if (!title || !url) return null;
+
+      return {
+        title,
+        date,
+        cost,
+        location,
+        description,
+        url,
+        imageUrl,
+        category: "Downtown",
+        startDate,
+        ...(endDate ? { endDate } : {}),
+        source: "Downtown Campbell Events",
+        sourceUrl: EVENTS_URL,
+      };
+    })
+    .filter(Boolean);
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const downtownDirectory = {
+  label: "Downtown Campbell Directory",
+  kind: "businesses",
+  sourceUrl: DIRECTORY_URL,
+  tag: "Downtown",
+  reuseOnFetchError: true,
+  minKept: 50,
+  async fetch() {
+    return { raw: await fetchText(DIRECTORY_URL), fetched: 1 };
+  },
+  parse: (html) => parseDirectory(html),
+};
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const downtownEvents = {
+  label: "Downtown Campbell Events",
+  kind: "events",
+  sourceUrl: EVENTS_URL,
+  reuseOnFetchError: true,
+  minParsed: 10,
+  async fetch() {
+    return { raw: await fetchText(EVENTS_URL), fetched: 1 };
+  },
+  parse: (html, { referenceDate }) => parseDowntownEvents(html, referenceDate),
+};
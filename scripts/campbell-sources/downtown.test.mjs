@@ -0,0 +1,47 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { downtownDirectory, downtownEvents } from "./downtown.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+// Thursday, May 14, 2026, 9 AM Pacific.
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("downtownDirectory", () => {
+  it("reads each linked directory row and skips unlinked ones", () => {
+    const businesses = downtownDirectory.parse(fixture("downtown-directory.html"), context);
+    expect(businesses.map((business) => business.name)).toEqual(["Orchard City Kitchen", "Rootstock Wine Bar & Bistro"]);
+    expect(businesses[0]).toEqual({
+      name: "Orchard City Kitchen",
+      phone: "(408) 340-5285",
+      address: "1875 S Bascom Ave",
+      url: "https://www.downtowncampbell.com/directory/orchard-city-kitchen",
+      websiteUrl: "",
+      description: "",
+      tags: ["Downtown"],
+      source: "Downtown Campbell Directory",
+      sourceUrl: "https://www.downtowncampbell.com/directory/all",
+    });
+  });
+});
+
+describe("downtownEvents", () => {
+  const events = downtownEvents.parse(fixture("downtown-events.html"), context);
+
+  it("reads titled event cards with absolute links", () => {
+    expect(events.map((event) => event.title)).toEqual(["Campbell Farmers' Market", "Boogie on the Avenue", "Winter Walk"]);
+    expect(events[0]).toMatchObject({
+      cost: "Free",
+      location: "Campbell Ave",
+      url: "https://www.downtowncampbell.com/events/campbell-farmers-market",
+      imageUrl: "https://www.downtowncampbell.com/sites/default/files/styles/teaser/public/farmers-market.jpg",
+      category: "Downtown",
+      source: "Downtown Campbell Events",
+    });
+  });
+
+  it("dates year-less cards relative to the sync, rolling far-past ones into next year", () => {
+    expect(events[0].startDate).toBe("2026-05-17T00:00:00");
+    expect(events[1]).toMatchObject({ startDate: "2026-05-30T00:00:00", endDate: "2026-06-01T23:59:59" });
+    expect(events[2].startDate).toBe("2027-01-10T00:00:00");
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * City Council meetings from the city's eScribe portal (pub-campbell.escribemeetings.com).
+ * The portal's calendar view is backed by a JSON endpoint that lists each meeting with
+ * its agenda, minutes and video links.
+ */
+
+import { curlRequest } from "./http.mjs";
+import { absoluteUrl, compactText, decodeHtml } from "./text.mjs";
+
+const ESCRIBE_BASE_URL = "https://pub-campbell.escribemeetings.com";
+export const ESCRIBE_PORTAL_URL = `${ESCRIBE_BASE_URL}/`;
+const ESCRIBE_CALENDAR_API_URL = `${ESCRIBE_BASE_URL}/MeetingsCalendarView.aspx/GetCalendarMeetings`;
+const ESCRIBE_LOOKBACK_DAYS = 150;
+const ESCRIBE_LOOKAHEAD_DAYS = 45;
+
+function parseEscribeStartDate(value = "") {
+  // eScribe dates look like "2026/06/02 19:00:36".
+  const match = value.match(/^(\d{4})\/(\d{2})\/(\d{2})/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+function pickEscribeDoc(docs, type, format = "") {
+  return docs.find((doc) => doc?.Type === type && (!format || (doc?.Format ?? "").toLowerCase() === format));
+}
+
+function escribeDocUrl(doc) {
+  return doc?.Url ? absoluteUrl(doc.Url, ESCRIBE_BASE_URL) : "";
+}
+
+/** Council records, newest first, from a `GetCalendarMeetings` response. */
+export function parseEscribeMeetings(payload) {
+  const meetings = Array.isArray(payload?.d) ? payload.d : [];
+
+  return meetings
+    .map((meeting) => {
+      const startDate = parseEscribeStartDate(meeting?.StartDate ?? "");
+      const docs = Array.isArray(meeting?.MeetingDocumentLink) ? meeting.MeetingDocumentLink : [];
+      const agendaPdf = pickEscribeDoc(docs, "AgendaCover") ?? pickEscribeDoc(docs, "Agenda", ".pdf");
+      const agendaHtml = docs.find((doc) => doc?.Type === "Agenda" && doc?.Format === "HTML");
+      const minutes = pickEscribeDoc(docs, "PostMinutes", ".pdf")
+        ?? pickEscribeDoc(docs, "PostMinutes")
+        ?? pickEscribeDoc(docs, "MinutesWithAttachments");
+      const video = docs.find((doc) => doc?.Type === "Video");
+      const agendaUrl = escribeDocUrl(agendaPdf) || escribeDocUrl(agendaHtml);
+      const name = compactText(decodeHtml(meeting?.MeetingName ?? ""));
+
+      if (!startDate || !agendaUrl || !name) return null;
+
+      return {
+        sortKey: startDate.getTime(),
+        record: {
+          date: startDate.toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" }),
+          title: `${name} ${startDate.getMonth() + 1}/${startDate.getDate()}/${startDate.getFullYear()}`,
+          body: "City Council",
+          agendaUrl,
+          agendaHtmlUrl: escribeDocUrl(agendaHtml),
+          minutesUrl: escribeDocUrl(minutes),
+          mediaUrl: escribeDocUrl(video),
+          meetingUrl: meeting?.Url ?? "",
+          source: "Campbell meeting portal",
+          sourceUrl: ESCRIBE_PORTAL_URL,
+        },
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.sortKey - a.sortKey)
+    .map(({ record }) => record)
+    .slice(0, 24);
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const councilRecords = {
+  label: "City Council Records",
+  kind: "records",
+  sourceUrl: ESCRIBE_PORTAL_URL,
+  dataFile: "campbellCouncilRecords.json",
+  minKept: 5,
+  async fetch({ referenceDate }) {
+    const toDateInput = (date) => date.toISOString().slice(0, 10);
+    const now = referenceDate.getTime();
+    const raw = curlRequest(ESCRIBE_CALENDAR_API_URL, {
+      method: "POST",
+      contentType: "application/json",
+      body: JSON.stringify({
+        calendarStartDate: toDateInput(new Date(now - ESCRIBE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000)),
+        calendarEndDate: toDateInput(new Date(now + ESCRIBE_LOOKAHEAD_DAYS * 24 * 60 * 60 * 1000)),
+      }),
+    });
+    return { raw: JSON.parse(raw.toString("utf8")), fetched: 1 };
+  },
+  parse: (payload) => parseEscribeMeetings(payload),
+};
@@ -0,0 +1,37 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { councilRecords } from "./escribe.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("councilRecords", () => {
+  const records = councilRecords.parse(JSON.parse(fixture("escribe-meetings.json")), context);
+
+  it("lists meetings with an agenda, newest first", () => {
+    expect(records.map((record) => record.title)).toEqual([
+      "City Council Special Meeting & Study Session 5/19/2026",
+      "City Council Regular Session 5/5/2026",
+    ]);
+  });
+
+  it("prefers the agenda cover PDF and keeps the HTML agenda, minutes and video", () => {
+    expect(records[1]).toEqual({
+      date: "May 5, 2026",
+      title: "City Council Regular Session 5/5/2026",
+      body: "City Council",
+      agendaUrl: "https://pub-campbell.escribemeetings.com/FileStream.ashx?DocumentId=8101",
+      agendaHtmlUrl: "https://pub-campbell.escribemeetings.com/Meeting.aspx?Id=3f1a&Agenda=Agenda&lang=English",
+      minutesUrl: "https://pub-campbell.escribemeetings.com/FileStream.ashx?DocumentId=8140",
+      mediaUrl: "https://www.youtube.com/watch?v=cc0505",
+      meetingUrl: "https://pub-campbell.escribemeetings.com/Meeting.aspx?Id=3f1a&Agenda=Agenda&lang=English",
+      source: "Campbell meeting portal",
+      sourceUrl: "https://pub-campbell.escribemeetings.com/",
+    });
+    expect(records[0]).toMatchObject({ agendaHtmlUrl: "", minutesUrl: "", mediaUrl: "" });
+  });
+
+  it("treats a response without meetings as empty", () => {
+    expect(councilRecords.parse({}, context)).toEqual([]);
+  });
+});
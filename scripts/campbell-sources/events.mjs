@@ -0,0 +1,344 @@
+/**
+ * The event record shape every events adapter produces, and what the sync does with
+ * those records once they're parsed: the public-feed filter (`eventRejectionReason`)
+ * and the cross-feed merge (`mergeEventFeeds`). Adapters only parse; nothing in here
+ * knows about a particular site beyond the source names it matches on.
+ */
+
+import { cleanSentence, normalizeKeyPart } from "./text.mjs";
+
+export function eventTimestamp(event) {
+  const parsed = Date.parse(event.startDate || "");
+  return Number.isNaN(parsed) ? Number.MAX_SAFE_INTEGER : parsed;
+}
+
+export function eventEndTimestamp(event) {
+  const parsed = Date.parse(event.endDate || event.startDate || "");
+  return Number.isNaN(parsed) ? Number.MAX_SAFE_INTEGER : parsed;
+}
+
+/** Earliest start first, then by title — the order every feed and the merged file use. */
+export function compareEventsByStart(a, b) {
+  return eventTimestamp(a) - eventTimestamp(b) || a.title.localeCompare(b.title);
+}
+
+export function eventEndsBeforeReferenceDay(event, referenceDate = new Date()) {
+  const referenceDay = new Date(referenceDate);
+  referenceDay.setHours(0, 0, 0, 0);
+  return eventEndTimestamp(event) < referenceDay.getTime();
+}
+
+export function eventKey(event) {
+  const startDate = event.startDate || event.date || "";
+  const hasSpecificTime = /\d{4}-\d{2}-\d{2}T(?!00:00)/.test(startDate);
+  const title = normalizeKeyPart(event.title);
+  const titleKey = hasSpecificTime
+    ? title.split(" ").slice(0, 3).join(" ") || title
+    : title;
+  const dateKey = hasSpecificTime ? startDate.slice(0, 16) : startDate.slice(0, 10);
+  return `${titleKey}|${dateKey}`;
+}
+
+export function splitEventSourceNames(source = "") {
+  return source
+    .split(/\s+\+\s+/)
+    .map((name) => name.trim())
+    .filter(Boolean);
+}
+
+function eventDateKey(event) {
+  return (event.startDate || event.date || "").slice(0, 10);
+}
+
+function eventSeriesDateKey(event) {
+  const words = normalizeKeyPart(event.title).split(" ").filter(Boolean);
+  const titleKey = words.slice(0, 3).join(" ") || words.join(" ");
+  return `${titleKey}|${eventDateKey(event)}`;
+}
+
+function hasSpecificEventTime(event) {
+  return /\d{4}-\d{2}-\d{2}T(?!00:00)/.test(event.startDate || "");
+}
+
+const GENERIC_EVENT_TITLE_WORDS = new Set([
+  "and",
+  "annual",
+  "campbell",
+  "center",
+  "class",
+  "classes",
+  "concert",
+  "event",
+  "events",
+  "for",
+  "from",
+  "national",
+  "present",
+  "presents",
+  "show",
+  "the",
+  "theatre",
+  "touring",
+  "tribute",
+  "with",
+]);
+
+function eventTitleTokens(title = "") {
+  return normalizeKeyPart(title)
+    .split(" ")
+    .filter((word) => word.length > 2 && !GENERIC_EVENT_TITLE_WORDS.has(word));
+}
+
+function titleTokensOverlap(firstTitle = "", secondTitle = "") {
+  const firstTokens = new Set(eventTitleTokens(firstTitle));
+  const secondTokens = new Set(eventTitleTokens(secondTitle));
+  let overlap = 0;
+
+  for (const token of firstTokens) {
+    if (secondTokens.has(token)) overlap += 1;
+  }
+
+  return overlap;
+}
+
+function eventLocationsOverlap(firstEvent, secondEvent) {
+  const first = normalizeKeyPart(firstEvent.location ?? "").replace(/\bcampbell\b/g, "").trim();
+  const second = normalizeKeyPart(secondEvent.location ?? "").replace(/\bcampbell\b/g, "").trim();
+  if (!first || !second) return false;
+  return first.includes(second) || second.includes(first);
+}
+
+function eventTitlesLookSame(firstEvent, secondEvent) {
+  const firstTitle = normalizeKeyPart(firstEvent.title);
+  const secondTitle = normalizeKeyPart(secondEvent.title);
+  if (!firstTitle || !secondTitle) return false;
+  if (firstTitle === secondTitle) return true;
+  if (firstTitle.length > 10 && secondTitle.includes(firstTitle)) return true;
+  if (secondTitle.length > 10 && firstTitle.includes(secondTitle)) return true;
+
+  const overlap = titleTokensOverlap(firstEvent.title, secondEvent.title);
+  if (overlap >= 3) return true;
+  return overlap >= 2 && eventLocationsOverlap(firstEvent, secondEvent);
+}
+
+function eventTitleIsGenericPlaceholder(title = "") {
+  const normalized = normalizeKeyPart(title);
+  return normalized === "theatre event";
+}
+
+function eventIsUnresolvedGenericPlaceholder(event) {
+  return eventTitleIsGenericPlaceholder(event.title);
+}
+
+function eventListingsAreGenericVenueDuplicate(firstEvent, secondEvent) {
+  if (!eventLocationsOverlap(firstEvent, secondEvent)) return false;
+  return eventTitleIsGenericPlaceholder(firstEvent.title) || eventTitleIsGenericPlaceholder(secondEvent.title);
+}
+
+function eventListingsLookSame(firstEvent, secondEvent) {
+  if (eventDateKey(firstEvent) !== eventDateKey(secondEvent)) return false;
+  if (eventSeriesDateKey(firstEvent) === eventSeriesDateKey(secondEvent)) return true;
+  return eventTitlesLookSame(firstEvent, secondEvent);
+}
+
+export function cleanEventTitle(value = "") {
+  return cleanSentence(value)
+    .replace(/\bTranspsortation\b/g, "Transportation");
+}
+
+export function eventWithCleanTitle(event) {
+  return {
+    ...event,
+    title: cleanEventTitle(event.title ?? ""),
+  };
+}
+
+export function eventRejectionReason(event) {
+  const title = cleanSentence(event.title);
+  const text = [
+    title,
+    event.category ?? "",
+    event.source ?? "",
+    event.description ?? "",
+    ...(event.topics ?? []),
+  ].join(" ");
+
+  if ((event.topics ?? []).includes("CUSD No School Days")) return "school closure";
+  if ((event.topics ?? []).includes("CUSD District Wide Events") && /\b(?:all-staff|admin|ceta|coaches?|dlt|leadership|retreat|faculty senate|classified rep council|superintendent (?:parent|student) advisory council|professional development)\b/i.test(title)) {
+    return "school internal notice";
+  }
+  if (/campbell community center pool calendar/i.test(event.category ?? "") && /\b(?:closed|closure|no\b|practice|team)\b/i.test(title)) {
+    return "pool operations notice";
+  }
+  if (/campbell library events/i.test(event.source ?? "") && /\bclosed\b/i.test(title)) {
+    return "library closure";
+  }
+
+  const titleBlocks = [
+    [/\bno\s+.+\bpractice\b/i, "practice absence"],
+    [/\b(?:team|wave|swim)\s+practice\b/i, "team practice"],
+    [/\b(?:cancelled|canceled|closure)\b/i, "cancellation notice"],
+    [/\b(?:library|pool|facility|programs?|office)\s+closed\b/i, "closure notice"],
+    [/\bclosed\s+for\b/i, "closure notice"],
+    [/\bno\s+(?:class|classes|programs?|practice|school|swim)\b/i, "absence notice"],
+    [/^CCC Pool Closed$/i, "pool closure"],
+    [/^Juneteenth Holiday \(programs closed\)$/i, "school closure"],
+    [/^(?:Thanksgiving|Winter|Spring|Presidents'? Week)\s+Break$/i, "school break"],
+    [/\bProfessional Development Day\b/i, "school staff day"],
+    [/\bCAASPP Window\b/i, "testing window"],
+    [/\bIntervention Conferences\b/i, "school admin window"],
+    [/\b(?:application|registration)\s+deadline\b/i, "deadline"],
+    [/\btryouts?\b/i, "tryout notice"],
+  ];
+
+  for (const [pattern, reason] of titleBlocks) {
+    if (pattern.test(title)) return reason;
+  }
+
+  if (/\b(?:SUID|SUNet ID)\b/i.test(text)) return "affiliate-only";
+  if (/\b(?:staff training|pay day|fidelity appointment|terminalfour)\b/i.test(text)) return "internal notice";
+
+  return "";
+}
+
+export function eventPublicFilterReason(event, referenceDate = new Date()) {
+  return eventRejectionReason(event) || (eventEndsBeforeReferenceDay(event, referenceDate) ? "past event" : "");
+}
+
+export function filterPublicEvents(events, referenceDate = new Date()) {
+  return events.filter((event) => !eventPublicFilterReason(event, referenceDate));
+}
+
+function mergeEventRecords(existing, event) {
+  const sourceNames = new Set([
+    ...splitEventSourceNames(existing.source),
+    ...splitEventSourceNames(event.source),
+  ]);
+  const sourceUrls = new Set([
+    existing.sourceUrl,
+    ...(existing.additionalSourceUrls ?? []),
+    event.sourceUrl,
+    ...(event.additionalSourceUrls ?? []),
+  ].filter(Boolean));
+  const topics = new Set([...(existing.topics ?? []), ...(event.topics ?? [])]);
+
+  return {
+    ...existing,
+    date: existing.date || event.date,
+    startDate: existing.startDate || event.startDate,
+    endDate: existing.endDate || event.endDate,
+    cost: existing.cost || event.cost,
+    location: existing.location || event.location,
+    description: existing.description || event.description,
+    imageUrl: existing.imageUrl || event.imageUrl,
+    url: existing.url || event.url,
+    category: existing.category || event.category,
+    source: [...sourceNames].join(" + "),
+    additionalSourceUrls: [...sourceUrls].filter((url) => url !== existing.sourceUrl),
+    ...(topics.size ? { topics: [...topics] } : {}),
+  };
+}
+
+function eventSpecificTimesMatch(firstEvent, secondEvent) {
+  if (!hasSpecificEventTime(firstEvent) || !hasSpecificEventTime(secondEvent)) return false;
+
+  const firstStart = eventTimestamp(firstEvent);
+  const secondStart = eventTimestamp(secondEvent);
+  if (firstStart === Number.MAX_SAFE_INTEGER || secondStart === Number.MAX_SAFE_INTEGER) return false;
+  if (Math.abs(firstStart - secondStart) > 60_000) return false;
+
+  if (firstEvent.endDate && secondEvent.endDate) {
+    const firstEnd = eventEndTimestamp(firstEvent);
+    const secondEnd = eventEndTimestamp(secondEvent);
+    if (firstEnd === Number.MAX_SAFE_INTEGER || secondEnd === Number.MAX_SAFE_INTEGER) return false;
+    if (Math.abs(firstEnd - secondEnd) <= 60_000) return true;
+
+    return eventTitlesLookSame(firstEvent, secondEvent) && eventLocationsOverlap(firstEvent, secondEvent);
+  }
+
+  return true;
+}
+
+function eventShouldBePrimary(candidate, existing) {
+  const candidateGeneric = eventTitleIsGenericPlaceholder(candidate.title);
+  const existingGeneric = eventTitleIsGenericPlaceholder(existing.title);
+  if (candidateGeneric !== existingGeneric) return !candidateGeneric;
+  return false;
+}
+
+function mergeSimilarEventListings(events) {
+  const mergedEvents = [];
+
+  for (const event of events) {
+    const existingIndex = mergedEvents.findIndex((existingEvent) =>
+      eventSpecificTimesMatch(existingEvent, event) &&
+      (eventListingsLookSame(existingEvent, event) || eventListingsAreGenericVenueDuplicate(existingEvent, event)),
+    );
+
+    if (existingIndex < 0) {
+      mergedEvents.push(event);
+      continue;
+    }
+
+    const existingEvent = mergedEvents[existingIndex];
+    mergedEvents[existingIndex] = eventShouldBePrimary(event, existingEvent)
+      ? mergeEventRecords(event, existingEvent)
+      : mergeEventRecords(existingEvent, event);
+  }
+
+  return mergedEvents;
+}
+
+export function mergeEventFeeds(...feeds) {
+  const byKey = new Map();
+
+  for (const rawEvent of feeds.flat()) {
+    const event = eventWithCleanTitle(rawEvent);
+    const key = eventKey(event);
+    const existing = byKey.get(key);
+
+    if (!existing) {
+      byKey.set(key, event);
+      continue;
+    }
+
+    byKey.set(key, mergeEventRecords(existing, event));
+  }
+
+  const mergedEvents = mergeSimilarEventListings([...byKey.values()]);
+  const detailedEvents = [];
+
+  for (const event of mergedEvents) {
+    if (!hasSpecificEventTime(event)) continue;
+    detailedEvents.push(event);
+  }
+
+  const mergedBroadDowntownEvents = new Set();
+
+  for (const event of mergedEvents) {
+    const sources = splitEventSourceNames(event.source);
+    if (!sources.includes("Downtown Campbell Events") || hasSpecificEventTime(event)) continue;
+
+    const matchingDetailedEvents = detailedEvents.filter((detailedEvent) =>
+      eventListingsLookSame(event, detailedEvent),
+    );
+
+    for (const detailedEvent of matchingDetailedEvents) {
+      Object.assign(detailedEvent, mergeEventRecords(detailedEvent, event));
+    }
+
+    if (matchingDetailedEvents.length > 0) {
+      mergedBroadDowntownEvents.add(event);
+    }
+  }
+
+  return mergedEvents
+    .filter((event) => {
+      if (eventIsUnresolvedGenericPlaceholder(event)) return false;
+
+      const sources = splitEventSourceNames(event.source);
+      if (!sources.includes("Downtown Campbell Events") || hasSpecificEventTime(event)) return true;
+      return !mergedBroadDowntownEvents.has(event);
+    })
+    .sort(compareEventsByStart);
+}
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { eventKey, eventRejectionReason, filterPublicEvents, mergeEventFeeds } from "./events.mjs";
+
+function event(overrides) {
+  return {
+    title: "Event",
+    date: "",
+    cost: "",
+    location: "",
+    description: "",
+    url: "",
+    imageUrl: "",
+    ...overrides,
+  };
+}
+
+const downtownConcert = event({
+  title: "Concerts in the Park: The Houserockers",
+  startDate: "2026-05-20T18:00:00",
+  location: "Orchard City Green",
+  source: "Downtown Campbell Events",
+  sourceUrl: "https://www.downtowncampbell.com/events",
+});
+const cityConcert = event({
+  title: "Concerts in the Park",
+  startDate: "2026-05-20T18:00:00",
+  endDate: "2026-05-20T20:00:00",
+  location: "Orchard City Green, Campbell",
+  description: "Free summer concerts on the Green.",
+  source: "City of Campbell Calendar",
+  sourceUrl: "https://www.campbellca.gov/calendar.aspx?view=list&CID=0",
+});
+
+describe("eventKey", () => {
+  it("keys timed events by their title's first words and start minute", () => {
+    expect(eventKey(downtownConcert)).toBe("concerts in the|2026-05-20T18:00");
+    expect(eventKey(event({ title: "Spring Fair", startDate: "2026-05-16T00:00:00" }))).toBe("spring fair|2026-05-16");
+  });
+});
+
+describe("eventRejectionReason", () => {
+  it("names why a listing stays out of the public feed", () => {
+    expect(eventRejectionReason(event({ title: "Library Closed", source: "Campbell Library Events" }))).toBe("library closure");
+    expect(eventRejectionReason(event({ title: "Swim Team Practice" }))).toBe("team practice");
+    expect(eventRejectionReason(event({ title: "Memorial Day", topics: ["CUSD No School Days"] }))).toBe("school closure");
+    expect(eventRejectionReason(cityConcert)).toBe("");
+  });
+
+  it("drops events that ended before the reference day", () => {
+    const past = event({ title: "Spring Cleanup", startDate: "2026-05-01T00:00:00" });
+    expect(filterPublicEvents([past, cityConcert], new Date("2026-05-14T16:00:00Z"))).toEqual([cityConcert]);
+  });
+});
+
+describe("mergeEventFeeds", () => {
+  it("merges one listing from two feeds, keeping the first feed's record and every source", () => {
+    const [merged, ...rest] = mergeEventFeeds([cityConcert], [downtownConcert]);
+    expect(rest).toEqual([]);
+    expect(merged).toMatchObject({
+      title: "Concerts in the Park",
+      description: "Free summer concerts on the Green.",
+      source: "City of Campbell Calendar + Downtown Campbell Events",
+      additionalSourceUrls: ["https://www.downtowncampbell.com/events"],
+    });
+  });
+
+  it("sorts by start and cleans known title typos", () => {
+    const early = event({ title: "Transpsortation Forum", startDate: "2026-05-18T18:00:00" });
+    expect(mergeEventFeeds([cityConcert], [early]).map((e) => e.title)).toEqual([
+      "Transportation Forum",
+      "Concerts in the Park",
+    ]);
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Public hearings, assembled from the other records sources rather than fetched from
+ * one: the PUBLIC HEARING section of recent Council and Planning Commission agendas,
+ * plus the city's posted hearing notices. Each agenda and notice is a PDF, so this is
+ * the slow part of the sync — one paced document fetch per record.
+ */
+
+import { fetchDocumentText } from "./documents.mjs";
+import { sleep } from "./http.mjs";
+import { cleanSentence, compactText, normalizeText } from "./text.mjs";
+
+function cleanNoticeText(value = "") {
+  return cleanSentence(value)
+    .replace(/\bbeer\s*&\s*wind\b/gi, "beer & wine");
+}
+
+function parseNoticeHearingTime(text) {
+  const cleaned = compactText(text);
+  const match = cleaned.match(/(?:hour of|at)\s+([0-9]{1,2}(?::[0-9]{2})?\s*(?:a\.?m\.?|p\.?m\.?|AM|PM))[\s\S]{0,220}?\bon\s+(?:(?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),?\s+)?([A-Z][a-z]+\.?\s+\d{1,2},\s+\d{4})/i);
+  if (!match) return "";
+
+  return cleanSentence(`${match[2]} at ${match[1]}`);
+}
+
+function parseAgendaMeetingTime(text, fallbackDate) {
+  const cleaned = compactText(text);
+  const match = cleaned.match(/((?:Monday|Tuesday|Wednesday|Thursday|Friday|Saturday|Sunday),?\s+)?([A-Z][a-z]+\.?\s+\d{1,2},\s+\d{4})\s*[|I]\s*([0-9]{1,2}:[0-9]{2}\s*(?:AM|PM))/i);
+  if (match) return cleanSentence(`${match[2]} at ${match[3]}`);
+
+  return fallbackDate;
+}
+
+function extractProjectAddress(text) {
+  const line = text
+    .replace(/\r/g, "\n")
+    .split("\n")
+    .find((candidate) => /Project Address:/i.test(candidate));
+  if (line) {
+    const address = line.replace(/^.*Project Address:\s*/i, "").trim().split(/\s{2,}/)[0] ?? "";
+    return cleanSentence(address);
+  }
+
+  const match = text.match(/Project Address:\s*([\s\S]*?)(?=\s+(?:Zoning|Project Description|Neighborhood|Council District|File No\.|APN:|$))/i);
+  return cleanSentence(match?.[1] ?? "");
+}
+
+function extractProjectDescription(text) {
+  const match = text.match(/Project Description:\s*([\s\S]*?)(?=\s+(?:Council District|File No\.|APN:|Applicant:|Property Owner:|You may participate|Application Type:|Project Planner:|$))/i);
+  if (match) return cleanSentence(match[1]);
+
+  const cityNotice =
+    text.match(/Public Hearing to consider\s+([\s\S]*?)(?=\s+(?:Interested persons|This public hearing|Please be advised|Questions may be|In compliance|$))/i) ??
+    text.match(/time and place(?:\s+for\s+(?:a\s+)?Public Hearing)?\s+(?:to consider|for)\s+([\s\S]*?)(?=\s+(?:Interested persons|This public hearing|Please be advised|Questions may be|In compliance|$))/i);
+  return cleanSentence(cityNotice?.[1] ?? "");
+}
+
+export function parseNoticeDetails(text) {
+  const normalized = normalizeText(text);
+  return {
+    hearingAt: parseNoticeHearingTime(normalized),
+    address: extractProjectAddress(text),
+    summary: extractProjectDescription(text),
+    fileNo: cleanSentence(normalized.match(/File No\.:\s*([A-Z0-9-]+)/i)?.[1] ?? ""),
+    planner: cleanSentence(normalized.match(/Project Planner:\s*([^\n]+)/i)?.[1] ?? ""),
+  };
+}
+
+export function parseAgendaPublicHearingItems(text, record) {
+  const normalized = normalizeText(text);
+  const section = normalized.match(/\nPUBLIC HEARING\n([\s\S]*?)(?=\n(?:NEW BUSINESS|OLD BUSINESS|STUDY SESSION|STAFF AND COMMITTEE REPORTS|STAFF REPORTS|ADJOURNMENT|CONSENT|COMMUNICATIONS)\n|$)/i)?.[1] ?? "";
+  if (!section) return [];
+
+  const meetingAt = parseAgendaMeetingTime(normalized, record.date);
+  const itemMatches = [...section.matchAll(/\n?\s*(\d+)\.\s+([^\n]+)\n([\s\S]*?)(?=\n\s*\d+\.\s+[^\n]+\n|$)/g)];
+
+  return itemMatches
+    .map(([, itemNumber, rawTitle, rawBody]) => {
+      const title = cleanSentence(rawTitle);
+      const body = normalizeText(rawBody);
+      const summary = cleanSentence(
+        body.match(/Public Hearing to\s+([\s\S]*?)(?=\s+(?:File No\.|Project Planner:|Recommended Action:|Staff is recommending|$))/i)?.[1] ?? "",
+      );
+
+      if (!title || !summary) return null;
+
+      return {
+        id: `agenda-${record.body.toLowerCase().replace(/[^a-z0-9]+/g, "-")}-${record.date.replace(/[^a-z0-9]+/gi, "-")}-${itemNumber}`,
+        body: record.body,
+        title,
+        hearingAt: meetingAt,
+        summary,
+        address: "",
+        fileNo: cleanSentence(body.match(/File No\.:\s*([A-Z0-9-]+)/i)?.[1] ?? ""),
+        planner: cleanSentence(body.match(/Project Planner:\s*([^.\n]+)/i)?.[1] ?? ""),
+        sourceType: "Agenda item",
+        source: record.source,
+        sourceUrl: record.agendaUrl,
+        agendaUrl: record.agendaUrl,
+        noticeUrl: "",
+        extractionNote: "",
+      };
+    })
+    .filter(Boolean);
+}
+
+function hearingTimestamp(item) {
+  if (!item.hearingAt) return 0;
+  const normalized = item.hearingAt
+    .replace(/\bat\b/i, "")
+    .replace(/a\.m\./gi, "AM")
+    .replace(/p\.m\./gi, "PM");
+  const parsed = Date.parse(normalized);
+  return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+function richerText(first = "", second = "") {
+  const left = first.trim();
+  const right = second.trim();
+  return right.length > left.length ? right : left;
+}
+
+function hearingRecordsReferToSameFile(first, second) {
+  if (!first.fileNo || !second.fileNo) return false;
+  if (first.fileNo !== second.fileNo) return false;
+  if (first.body !== second.body) return false;
+
+  const firstTime = hearingTimestamp(first);
+  const secondTime = hearingTimestamp(second);
+  if (firstTime && secondTime) return firstTime === secondTime;
+
+  return compactText(first.hearingAt).toLowerCase() === compactText(second.hearingAt).toLowerCase();
+}
+
+function mergeHearingRecords(first, second) {
+  const primary = first.noticeUrl ? first : second.noticeUrl ? second : first;
+  const secondary = primary === first ? second : first;
+  const agendaUrl =
+    first.agendaUrl ||
+    second.agendaUrl ||
+    (first.sourceType === "Agenda item" ? first.sourceUrl : "") ||
+    (second.sourceType === "Agenda item" ? second.sourceUrl : "");
+
+  return {
+    ...primary,
+    hearingAt: primary.hearingAt || secondary.hearingAt,
+    summary: richerText(primary.summary, secondary.summary),
+    address: primary.address || secondary.address,
+    fileNo: primary.fileNo || secondary.fileNo,
+    planner: primary.planner || secondary.planner,
+    agendaUrl,
+    extractionNote: primary.extractionNote || secondary.extractionNote,
+  };
+}
+
+export function dedupeHearingRecords(items) {
+  const merged = [];
+
+  for (const item of items) {
+    const existingIndex = merged.findIndex((existing) => {
+      const exactKey = `${item.body}|${item.title}|${item.hearingAt}`;
+      const existingKey = `${existing.body}|${existing.title}|${existing.hearingAt}`;
+      return exactKey === existingKey || hearingRecordsReferToSameFile(existing, item);
+    });
+
+    if (existingIndex < 0) {
+      merged.push(item);
+      continue;
+    }
+
+    merged[existingIndex] = mergeHearingRecords(merged[existingIndex], item);
+  }
+
+  return merged;
+}
+
+/**
+ * Hearings from the newest Council and Planning Commission agendas and the posted
+ * notices (`publicNoticeArchives` in city.mjs), deduplicated, newest first.
+ */
+export async function parsePublicHearings({ councilRecords, planningRecords, notices }) {
+  const hearingItems = [];
+  const agendaRecords = [
+    ...councilRecords.slice(0, 6),
+    ...planningRecords.slice(0, 8),
+  ];
+
+  for (const record of agendaRecords) {
+    await sleep(300);
+    const pdf = await fetchDocumentText(record.agendaUrl);
+    if (!pdf.text) continue;
+    hearingItems.push(...parseAgendaPublicHearingItems(pdf.text, record));
+  }
+
+  for (const notice of notices) {
+    await sleep(300);
+    const pdf = await fetchDocumentText(notice.noticeUrl);
+    const details = pdf.text ? parseNoticeDetails(pdf.text) : {};
+    const summary = cleanNoticeText(details.summary || notice.title);
+
+    if (!details.hearingAt && !details.summary && !pdf.skipped) continue;
+
+    hearingItems.push({
+      id: `notice-${notice.id}`,
+      body: notice.body,
+      title: cleanNoticeText(notice.title),
+      hearingAt: details.hearingAt ?? "",
+      summary,
+      address: details.address ?? "",
+      fileNo: details.fileNo ?? "",
+      planner: details.planner ?? "",
+      sourceType: "Public notice",
+      source: notice.source,
+      sourceUrl: notice.sourceUrl,
+      noticeUrl: notice.noticeUrl,
+      extractionNote: pdf.skipped || "",
+    });
+  }
+
+  return dedupeHearingRecords(hearingItems)
+    .sort((a, b) => hearingTimestamp(b) - hearingTimestamp(a))
+    .slice(0, 24);
+}
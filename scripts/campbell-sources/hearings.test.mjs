@@ -0,0 +1,63 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { dedupeHearingRecords, parseAgendaPublicHearingItems, parseNoticeDetails } from "./hearings.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+const AGENDA_URL = "https://www.campbellca.gov/AgendaCenter/ViewFile/Agenda/_05122026-2101";
+const record = {
+  body: "Planning Commission",
+  date: "May 12, 2026",
+  source: "Campbell Agenda Center",
+  agendaUrl: AGENDA_URL,
+};
+
+describe("parseNoticeDetails", () => {
+  it("reads the hearing time and project fields from a notice's text", () => {
+    expect(parseNoticeDetails(fixture("hearing-notice.txt"))).toEqual({
+      hearingAt: "May 26, 2026 at 7:30 p.m.",
+      address: "400 E Hamilton Ave",
+      summary: "Site and Architectural Review Permit to allow a two-story addition to a single-family home.",
+      fileNo: "PLN-2026-019",
+      planner: "Stephen Rose, Associate Planner",
+    });
+  });
+});
+
+describe("parseAgendaPublicHearingItems", () => {
+  const items = parseAgendaPublicHearingItems(fixture("planning-agenda.txt"), record);
+
+  it("reads only the PUBLIC HEARING section's items", () => {
+    expect(items.map((item) => item.title)).toEqual([
+      "PLN-2026-012 (Conditional Use Permit)",
+      "PLN-2026-019 (Site and Architectural Review)",
+    ]);
+  });
+
+  it("takes the meeting time from the agenda header", () => {
+    expect(items[0]).toMatchObject({
+      id: "agenda-planning-commission-May-12-2026-1",
+      hearingAt: "May 12, 2026 at 7:30 PM",
+      summary: "consider a Conditional Use Permit to allow a wine bar with outdoor seating at 1 W Campbell Ave.",
+      fileNo: "PLN-2026-012",
+      planner: "Daniel Fama, Senior Planner",
+      sourceType: "Agenda item",
+      agendaUrl: AGENDA_URL,
+    });
+  });
+});
+
+describe("dedupeHearingRecords", () => {
+  it("folds an agenda item into the notice for the same file and hearing", () => {
+    const [agendaItem] = parseAgendaPublicHearingItems(fixture("planning-agenda.txt"), record);
+    const notice = {
+      ...agendaItem,
+      id: "notice-5712",
+      summary: "Conditional Use Permit to allow a wine bar with outdoor seating and late-night hours at 1 W Campbell Ave in the downtown district.",
+      sourceType: "Public notice",
+      agendaUrl: "",
+      noticeUrl: "https://www.campbellca.gov/Archive.aspx?ADID=5712",
+    };
+    const [merged] = dedupeHearingRecords([agendaItem, notice]);
+    expect(merged).toMatchObject({ id: "notice-5712", agendaUrl: AGENDA_URL, summary: notice.summary });
+  });
+});
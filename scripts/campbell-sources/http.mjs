@@ -0,0 +1,60 @@
+/**
+ * Network access for the Campbell source adapters. Everything identifies itself with
+ * the same user agent, and eScribe goes through system curl (see `curlRequest`).
+ */
+
+import { spawnSync } from "node:child_process";
+
+export const USER_AGENT = "stanwood.dev Campbell guide data sync (public pages; respectful one-shot fetch)";
+
+async function fetchWithAccept(url, accept) {
+  const res = await fetch(url, {
+    headers: {
+      "user-agent": USER_AGENT,
+      "accept": accept,
+    },
+  });
+
+  if (!res.ok) {
+    throw new Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+  }
+
+  return res.text();
+}
+
+export function fetchText(url) {
+  return fetchWithAccept(url, "text/html,application/xhtml+xml");
+}
+
+export function fetchIcsText(url) {
+  return fetchWithAccept(url, "text/calendar,text/plain");
+}
+
+/** Paced fetches for sites paged one request at a time (the Chamber's GrowthZone pages). */
+export function sleep(ms) {
+  return new Promise((resolveSleep) => setTimeout(resolveSleep, ms));
+}
+
+// Node's bundled CA store rejects escribemeetings.com's certificate chain
+// (UNABLE_TO_GET_ISSUER_CERT_LOCALLY), so eScribe requests go through system
+// curl, which uses the OS trust store.
+export function curlRequest(url, { method = "GET", body = "", contentType = "", maxBytes = 0 } = {}) {
+  const args = [
+    "-sS",
+    "--fail",
+    "--max-time", "30",
+    "-A", USER_AGENT,
+    "-X", method,
+  ];
+  if (contentType) args.push("-H", `Content-Type: ${contentType}`);
+  if (body) args.push("--data", body);
+  if (maxBytes > 0) args.push("--max-filesize", String(maxBytes));
+  args.push(url);
+
+  const result = spawnSync("curl", args, { maxBuffer: 32 * 1024 * 1024 });
+  if (result.error) throw result.error;
+  if (result.status !== 0) {
+    throw new Error(`curl ${method} ${url} failed: ${result.stderr?.toString().trim() || `exit ${result.status}`}`);
+  }
+  return result.stdout;
+}
@@ -0,0 +1,27 @@
+/**
+ * Every source the Campbell sync reads, by what it produces. Order matters within a
+ * list: when two feeds describe the same event or business, the earlier one's record
+ * leads the merge.
+ */
+
+import { chamberDirectory, chamberEvents } from "./chamber.mjs";
+import { cityCalendar, planningCommissionRecords, publicNoticeArchives } from "./city.mjs";
+import { schoolEvents } from "./cusd.mjs";
+import { downtownDirectory, downtownEvents } from "./downtown.mjs";
+import { councilRecords } from "./escribe.mjs";
+import { libraryEvents } from "./library.mjs";
+import { heritageTheatreEvents, museumsEvents } from "./wix.mjs";
+
+export const BUSINESS_SOURCES = [downtownDirectory, chamberDirectory];
+
+export const EVENT_SOURCES = [
+  cityCalendar,
+  downtownEvents,
+  libraryEvents,
+  museumsEvents,
+  heritageTheatreEvents,
+  chamberEvents,
+  schoolEvents,
+];
+
+export { councilRecords, planningCommissionRecords, publicNoticeArchives };
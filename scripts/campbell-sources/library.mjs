@@ -0,0 +1,135 @@
+/**
+ * The Campbell branch page of the Santa Clara County Library District (sccld.org),
+ * whose in-person events widget lists the library's upcoming programs.
+ */
+
+import { cleanEventTitle } from "./events.mjs";
+import { fetchText } from "./http.mjs";
+import { absoluteUrl, cleanHtml, cleanSentence, decodeHtml, MONTH_NUMBERS, normalizeKeyPart } from "./text.mjs";
+
+const SCCLD_CAMPBELL_LIBRARY_URL = "https://sccld.org/locations/campbell/";
+
+function parseLibraryEventStartDate(dateTime = "", referenceDate = new Date()) {
+  const match = cleanSentence(dateTime).match(/\b([A-Z][a-z]{2})\s+(\d{1,2})(?:st|nd|rd|th)?\s*\|\s*(\d{1,2})(?::(\d{2}))?\s*([ap]m)?/i);
+  if (!match) return "";
+
+  const month = MONTH_NUMBERS[match[1].slice(0, 3).toLowerCase()];
+  if (!month) return "";
+
+  let year = referenceDate.getFullYear();
+  const day = match[2].padStart(2, "0");
+  let hour = Number(match[3]);
+  const minute = (match[4] ?? "00").padStart(2, "0");
+  const meridiem = (match[5] ?? "").toLowerCase();
+
+  if (meridiem === "pm" && hour < 12) hour += 12;
+  if (meridiem === "am" && hour === 12) hour = 0;
+
+  const candidate = new Date(year, Number(month) - 1, Number(day));
+  const referenceStart = new Date(referenceDate);
+  referenceStart.setHours(0, 0, 0, 0);
+  if (candidate.getTime() < referenceStart.getTime() - 30 * 24 * 60 * 60 * 1000) {
+    year += 1;
+  }
+
+  return `${year}-${month}-${day}T${String(hour).padStart(2, "0")}:${minute}:00`;
+}
+
+function extractLibraryEventsSection(html) {
+  const start = html.search(/<section[\s\S]{0,1000}?In-Person\s*<span[^>]*>\s*Events/i);
+  if (start < 0) return "";
+
+  const nextSection = html.slice(start + 1).search(/<section[\s\S]{0,1000}?Online\s*<span[^>]*>\s*Events/i);
+  if (nextSection < 0) return html.slice(start);
+
+  return html.slice(start, start + 1 + nextSection);
+}
+
+function titleLooksTruncated(title = "") {
+  return /(?:\u2026|\.{3})$/.test(title.trim());
+}
+
+function titleBase(title = "") {
+  return cleanEventTitle(title).replace(/\s*(?:\u2026|\.{3})$/, "").trim();
+}
+
+function libraryAnalyticsTitleCandidates(itemHtml = "") {
+  return [...itemHtml.matchAll(/\b(?:data-impression|data-analytics)='([^']+)'/gi)]
+    .flatMap(([, rawPayload]) => {
+      try {
+        const payload = JSON.parse(decodeHtml(rawPayload));
+        const entries = Array.isArray(payload) ? payload : [payload];
+
+        return entries.flatMap((entry) => [
+          entry?.entities?.event?.event_series_title,
+          entry?.entities?.event?.event_title,
+          entry?.entities?.metadata?.metadata_value,
+          entry?.entities?.ui?.ui_component_label,
+        ]);
+      } catch {
+        return [];
+      }
+    })
+    .map((candidate) => cleanEventTitle(candidate ?? ""))
+    .filter(Boolean);
+}
+
+function libraryEventTitle(itemHtml = "", fallbackTitle = "") {
+  const fallback = cleanEventTitle(fallbackTitle);
+  if (!titleLooksTruncated(fallback)) return fallback;
+
+  const fallbackBase = normalizeKeyPart(titleBase(fallback));
+  const fullTitle = libraryAnalyticsTitleCandidates(itemHtml)
+    .find((candidate) => {
+      if (titleLooksTruncated(candidate)) return false;
+      return normalizeKeyPart(candidate).startsWith(fallbackBase);
+    });
+
+  return fullTitle || fallback;
+}
+
+export function parseLibraryEvents(html, referenceDate = new Date()) {
+  const section = extractLibraryEventsSection(html);
+  const events = [...section.matchAll(/<li[^>]*class="[^"]*c-events-widget__event[^"]*"[^>]*>([\s\S]*?)<\/li>/gi)];
+
+  return events
+    .map(([, itemHtml]) => {
+      const titleLink = itemHtml.match(/<h3[^>]*class="[^"]*c-events-widget__event-title[^"]*"[^>]*>[\s\S]*?<a[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/i);
+      const title = libraryEventTitle(itemHtml, cleanHtml(titleLink?.[2] ?? ""));
+      const url = absoluteUrl(titleLink?.[1] ?? "", "https://sccl.bibliocommons.com");
+      const date = cleanHtml(itemHtml.match(/<div[^>]*data-key="event-date-time"[^>]*>([\s\S]*?)<\/div>/i)?.[1] ?? "");
+      const location = cleanHtml(
+        itemHtml.match(/<div[^>]*class="[^"]*c-events-widget__event-location[^"]*"[^>]*>[\s\S]*?<span[^>]*class="[^"]*notranslate[^"]*"[^>]*>([\s\S]*?)<\/span>/i)?.[1] ?? "",
+      );
+      const startDate = parseLibraryEventStartDate(date, referenceDate);
+
+      if (!title || !url || !date) return null;
+
+      return {
+        title,
+        date,
+        cost: "Free",
+        location: location || "Campbell Library",
+        description: "",
+        url,
+        imageUrl: "",
+        category: "Campbell Library",
+        startDate,
+        source: "Campbell Library Events",
+        sourceUrl: SCCLD_CAMPBELL_LIBRARY_URL,
+      };
+    })
+    .filter(Boolean);
+}
+
+/** @type {import("./adapter.mjs").SourceAdapter} */
+export const libraryEvents = {
+  label: "Campbell Library Events",
+  kind: "events",
+  sourceUrl: SCCLD_CAMPBELL_LIBRARY_URL,
+  reuseOnFetchError: true,
+  async fetch() {
+    return { raw: await fetchText(SCCLD_CAMPBELL_LIBRARY_URL), fetched: 1 };
+  },
+  parse: (html, { referenceDate }) => parseLibraryEvents(html, referenceDate),
+};
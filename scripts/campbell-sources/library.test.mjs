@@ -0,0 +1,40 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { libraryEvents } from "./library.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+// Thursday, May 14, 2026, 9 AM Pacific.
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("libraryEvents", () => {
+  const events = libraryEvents.parse(fixture("library.html"), context);
+
+  it("reads the in-person events widget and skips the online one", () => {
+    expect(events.map((event) => event.title)).not.toContain("Virtual Author Talk");
+    expect(events[0]).toEqual({
+      title: "Family Storytime",
+      date: "Tue, May 19th | 10:30am",
+      cost: "Free",
+      location: "Campbell Library Program Room",
+      description: "",
+      url: "https://sccl.bibliocommons.com/events/6641e0f2b4",
+      imageUrl: "",
+      category: "Campbell Library",
+      startDate: "2026-05-19T10:30:00",
+      source: "Campbell Library Events",
+      sourceUrl: "https://sccld.org/locations/campbell/",
+    });
+  });
+
+  it("recovers truncated titles from the analytics payload", () => {
+    expect(events[1]).toMatchObject({
+      title: "Teen Advisory Board: Summer Reading Volunteers",
+      location: "Campbell Library",
+      startDate: "2026-05-20T16:00:00",
+    });
+  });
+
+  it("keeps closures for the public filter to reject", () => {
+    expect(events[2]).toMatchObject({ title: "Library Closed", startDate: "2026-05-25T00:00:00" });
+  });
+});
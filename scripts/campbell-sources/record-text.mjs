@@ -0,0 +1,110 @@
+/**
+ * Full text of the civic records, for the council-records search (indexed by
+ * scripts/campbell-search-index.mjs). One document per agenda and per set of minutes on
+ * the Council and Planning Commission lists, read with the same PDF helpers as
+ * hearings.mjs, plus one per public hearing carrying its own summary. Posted agendas and
+ * minutes don't change, so text extracted by an earlier sync is carried forward rather
+ * than fetched again — only new documents cost a download.
+ */
+
+import { fetchDocumentText } from "./documents.mjs";
+import { sleep } from "./http.mjs";
+import { compactText } from "./text.mjs";
+
+export const RECORD_TEXT_FILE = "campbellRecordText.json";
+/** Enough pages for a full agenda or set of minutes, not a whole staff-report packet. */
+const RECORD_TEXT_LAST_PAGE = 40;
+export const MAX_RECORD_TEXT_CHARS = 40_000;
+
+function meetingDocument(record, kind, url) {
+  return {
+    id: `${kind}:${url}`,
+    kind,
+    body: record.body || "City Council",
+    date: record.date,
+    title: record.title,
+    url,
+    meetingUrl: record.meetingUrl || "",
+  };
+}
+
+/**
+ * The searchable documents behind this sync's records. Meeting documents come back
+ * without `text`; hearings, which have no document of their own to read, come back with it.
+ */
+export function recordTextDocuments({ councilRecords = [], planningRecords = [], publicHearings = [] }) {
+  const documents = new Map();
+
+  for (const record of [...councilRecords, ...planningRecords]) {
+    if (record.agendaUrl) {
+      const document = meetingDocument(record, "agenda", record.agendaUrl);
+      if (!documents.has(document.id)) documents.set(document.id, document);
+    }
+    if (record.minutesUrl) {
+      const document = meetingDocument(record, "minutes", record.minutesUrl);
+      if (!documents.has(document.id)) documents.set(document.id, document);
+    }
+  }
+
+  for (const hearing of publicHearings) {
+    documents.set(`hearing:${hearing.id}`, {
+      id: `hearing:${hearing.id}`,
+      kind: "hearing",
+      body: hearing.body,
+      date: hearing.hearingAt,
+      title: hearing.title,
+      url: hearing.noticeUrl || hearing.agendaUrl || hearing.sourceUrl,
+      meetingUrl: "",
+      text: compactText([hearing.summary, hearing.address, hearing.fileNo, hearing.planner].filter(Boolean).join(" ")),
+    });
+  }
+
+  return [...documents.values()];
+}
+
+/** Give each meeting document the text an earlier sync already extracted for it, when there is some. */
+export function carryForwardRecordTexts(documents, previous = []) {
+  const previousText = new Map(
+    previous
+      .filter((document) => document.kind !== "hearing" && document.text)
+      .map((document) => [document.id, document.text]),
+  );
+
+  return documents.map((document) =>
+    document.text === undefined && previousText.has(document.id)
+      ? { ...document, text: previousText.get(document.id) }
+      : document,
+  );
+}
+
+/**
+ * Extract text for every document still without it, one paced download at a time. A
+ * document that can't be read stays searchable by title, with `skipped` saying why.
+ */
+export async function extractRecordTexts(documents, previous = []) {
+  const items = [];
+  let fetched = 0;
+
+  for (const document of carryForwardRecordTexts(documents, previous)) {
+    if (document.text !== undefined) {
+      items.push(document);
+      continue;
+    }
+
+    await sleep(300);
+    fetched += 1;
+    let extracted;
+    try {
+      extracted = await fetchDocumentText(document.url, { lastPage: RECORD_TEXT_LAST_PAGE });
+    } catch (err) {
+      extracted = { text: "", skipped: err.message };
+    }
+    items.push({
+      ...document,
+      text: compactText(extracted.text).slice(0, MAX_RECORD_TEXT_CHARS),
+      ...(extracted.skipped ? { skipped: extracted.skipped } : {}),
+    });
+  }
+
+  return { items, fetched };
+}
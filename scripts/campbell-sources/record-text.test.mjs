@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { carryForwardRecordTexts, recordTextDocuments } from "./record-text.mjs";
+
+const councilRecord = {
+  date: "May 5, 2026",
+  title: "City Council Regular Session Meeting 5/5/2026",
+  body: "City Council",
+  agendaUrl: "https://pub-campbell.escribemeetings.com/FileStream.ashx?DocumentId=1901",
+  minutesUrl: "https://pub-campbell.escribemeetings.com/FileStream.ashx?DocumentId=1950",
+  meetingUrl: "https://pub-campbell.escribemeetings.com/Meeting?Id=abc",
+};
+const planningRecord = {
+  date: "May 12, 2026",
+  title: "Planning Commission Agenda",
+  body: "Planning Commission",
+  agendaUrl: "https://www.campbellca.gov/AgendaCenter/ViewFile/Agenda/_05122026-100",
+  minutesUrl: "",
+};
+const hearing = {
+  id: "notice-3456",
+  body: "Planning Commission",
+  title: "1875 S Bascom Ave - Entitlement Extension",
+  hearingAt: "May 26, 2026 at 7:00 p.m.",
+  summary: "consider an  extension of the Pruneyard phasing deadlines",
+  address: "1875 S Bascom Ave.",
+  fileNo: "PLN-2026-82",
+  planner: "",
+  sourceUrl: "https://www.campbellca.gov/Archive.aspx?AMID=44",
+  noticeUrl: "https://www.campbellca.gov/Archive.aspx?ADID=3456",
+};
+
+describe("recordTextDocuments", () => {
+  it("lists one document per agenda, minutes and hearing", () => {
+    const documents = recordTextDocuments({
+      councilRecords: [councilRecord],
+      planningRecords: [planningRecord],
+      publicHearings: [hearing],
+    });
+
+    expect(documents.map((document) => document.id)).toEqual([
+      `agenda:${councilRecord.agendaUrl}`,
+      `minutes:${councilRecord.minutesUrl}`,
+      `agenda:${planningRecord.agendaUrl}`,
+      "hearing:notice-3456",
+    ]);
+    expect(documents[1]).toEqual({
+      id: `minutes:${councilRecord.minutesUrl}`,
+      kind: "minutes",
+      body: "City Council",
+      date: "May 5, 2026",
+      title: councilRecord.title,
+      url: councilRecord.minutesUrl,
+      meetingUrl: councilRecord.meetingUrl,
+    });
+    expect(documents[2].meetingUrl).toBe("");
+    expect(documents[3]).toMatchObject({
+      kind: "hearing",
+      date: "May 26, 2026 at 7:00 p.m.",
+      url: hearing.noticeUrl,
+      text: "consider an extension of the Pruneyard phasing deadlines 1875 S Bascom Ave. PLN-2026-82",
+    });
+  });
+
+  it("lists a document shared by two records once", () => {
+    const documents = recordTextDocuments({ councilRecords: [councilRecord, { ...councilRecord, title: "Duplicate" }] });
+    expect(documents).toHaveLength(2);
+    expect(documents[0].title).toBe(councilRecord.title);
+  });
+});
+
+describe("carryForwardRecordTexts", () => {
+  it("reuses earlier text for the same document and leaves the rest to fetch", () => {
+    const documents = recordTextDocuments({ councilRecords: [councilRecord], publicHearings: [hearing] });
+    const previous = [
+      { id: `agenda:${councilRecord.agendaUrl}`, kind: "agenda", text: "Earlier agenda text" },
+      { id: `minutes:${councilRecord.minutesUrl}`, kind: "minutes", text: "", skipped: "pdftotext failed" },
+      { id: "hearing:notice-3456", kind: "hearing", text: "Stale hearing summary" },
+    ];
+
+    const carried = carryForwardRecordTexts(documents, previous);
+    expect(carried[0].text).toBe("Earlier agenda text");
+    expect(carried[1].text).toBeUndefined();
+    expect(carried[2].text).toBe(documents[2].text);
+  });
+});
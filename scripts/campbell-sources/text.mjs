@@ -0,0 +1,131 @@
+/**
+ * HTML and text cleanup shared by the Campbell source adapters. Every upstream site
+ * is scraped with regular expressions rather than a DOM, so these helpers are the
+ * whole toolkit: decode entities, strip tags, collapse whitespace.
+ */
+
+export const MONTH_NUMBERS = {
+  jan: "01",
+  feb: "02",
+  mar: "03",
+  apr: "04",
+  may: "05",
+  jun: "06",
+  jul: "07",
+  aug: "08",
+  sep: "09",
+  oct: "10",
+  nov: "11",
+  dec: "12",
+};
+
+export function decodeHtml(value = "") {
+  return value
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&#x([a-f0-9]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, "&")
+    .replace(/&quot;/g, '"')
+    .replace(/&#039;/g, "'")
+    .replace(/&apos;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&thinsp;/g, " ")
+    .replace(/&ndash;/g, "-")
+    .replace(/&mdash;/g, "-")
+    .replace(/&middot;/g, ".")
+    .replace(/&rsquo;/g, "'")
+    .replace(/&lsquo;/g, "'")
+    .replace(/&rdquo;/g, '"')
+    .replace(/&ldquo;/g, '"')
+    .replace(/&hellip;/g, "...")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\u2014/g, " - ");
+}
+
+export function cleanHtml(value = "") {
+  return decodeHtml(value)
+    .replace(/<script[\s\S]*?<\/script>/gi, " ")
+    .replace(/<style[\s\S]*?<\/style>/gi, " ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function stripHtmlToText(html = "") {
+  return html
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, "")
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, "")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+export function absoluteUrl(href, base) {
+  if (!href) return "";
+  try {
+    return new URL(decodeHtml(href), base).toString();
+  } catch {
+    return "";
+  }
+}
+
+export function extractJsonScript(html, id) {
+  const match = html.match(new RegExp(`<script[^>]*id="${id}"[^>]*>([\\s\\S]*?)<\\/script>`, "i"));
+  if (!match) return null;
+
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    throw new Error(`Failed to parse ${id}: ${err.message}`);
+  }
+}
+
+export function extractCell(rowHtml, className) {
+  const cell = rowHtml.match(new RegExp(`<td[^>]*class="[^"]*${className}[^"]*"[^>]*>([\\s\\S]*?)<\\/td>`, "i"));
+  return cell?.[1] ?? "";
+}
+
+export function extractLink(cellHtml = "") {
+  return cellHtml.match(/<a[^>]*href="([^"]+)"/i)?.[1] ?? "";
+}
+
+export function normalizeText(value = "") {
+  return value
+    .replace(/\r/g, "\n")
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .replace(/[ \t]+/g, " ")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+export function compactText(value = "") {
+  return normalizeText(value).replace(/\s+/g, " ").trim();
+}
+
+export function cleanSentence(value = "") {
+  return compactText(value)
+    .replace(/\s+,/g, ",")
+    .replace(/\s+\./g, ".")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+}
+
+export function truncateEventDescription(value = "", maxLength = 280) {
+  const cleaned = cleanSentence(value);
+  if (cleaned.length <= maxLength) return cleaned;
+
+  const clipped = cleaned.slice(0, maxLength);
+  const wordBoundary = clipped.replace(/\s+\S*$/, "").replace(/[,\s]+$/, "").trim();
+  return `${wordBoundary || clipped.trim()}...`;
+}
+
+export function normalizeKeyPart(value = "") {
+  return cleanSentence(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
@@ -0,0 +1,141 @@
+/**
+ * Wix-hosted events pages — the Campbell Museums and the Heritage Theatre. Wix renders
+ * its events widget client-side, but the page ships the data in a `wix-warmup-data`
+ * JSON script, which is what gets parsed.
+ */
+
+import { compareEventsByStart, eventKey } from "./events.mjs";
+import { fetchText } from "./http.mjs";
+import { absoluteUrl, cleanHtml, cleanSentence, extractJsonScript } from "./text.mjs";
+
+const CAMPBELL_MUSEUMS_BASE_URL = "https://www.campbellmuseums.com";
+const CAMPBELL_MUSEUMS_EVENTS_URL = `${CAMPBELL_MUSEUMS_BASE_URL}/events-main`;
+const HERITAGE_THEATRE_BASE_URL = "https://www.heritagetheatre.org";
+const HERITAGE_THEATRE_EVENTS_URL = `${HERITAGE_THEATRE_BASE_URL}/events-1`;
+
+function extractWixImageUrl(image) {
+  if (!image || typeof image !== "object") return "";
+
+  const direct = image.url || image.src || image.mediaImage?.url || image.image?.url || "";
+  if (direct) return direct;
+
+  const id = image.id || image.uri || image.mediaImage?.id || image.image?.id || "";
+  if (/^https?:\/\//i.test(id)) return id;
+  if (id) return `https://static.wixstatic.com/media/${id}`;
+
+  return "";
+}
+
+function extractWixCost(event) {
+  const registration = event.registration ?? {};
+  const tickets = registration.tickets ?? registration.ticketing ?? {};
+  const cost =
+    tickets.lowestPriceFormatted ??
+    tickets.lowestTicketPriceFormatted ??
+    tickets.priceFormatted ??
+    tickets.price ??
+    "";
+
+  return cleanSentence(typeof cost === "string" ? cost : String(cost));
+}
+
+function extractWixLocation(event) {
+  const name = cleanSentence(event.location?.name ?? "");
+  const address = cleanSentence(event.location?.address ?? "");
+
+  if (!name || name.toLowerCase() === "campbell") return address || name;
+  return name;
+}
+
+export function parseWixEvents(html, { baseUrl, sourceUrl, source, category }) {
+  const warmupData = extractJsonScript(html, "wix-warmup-data");
+  const appsWarmupData = warmupData?.appsWarmupData ?? {};
+  const byId = new Map();
+
+  for (const app of Object.values(appsWarmupData)) {
+    if (!app || typeof app !== "object") continue;
+
+    for (const widget of Object.values(app)) {
+      const wixEvents = widget?.events?.events;
+      if (!Array.isArray(wixEvents)) continue;
+
+      for (const event of wixEvents) {
+        const dates = widget?.dates?.events?.[event.id] ?? {};
+        const title = cleanSentence(event.title ?? "");
+        const descriptionSource =
+          typeof event.description === "string" ? event.description :
+          typeof event.about === "string" ? event.about :
+          "";
+        const date = cleanSentence(
+          dates.fullDate ??
+          event.scheduling?.startDateFormatted ??
+          event.scheduling?.formattedStartDate ??
+          "",
+        );
+        const startDate = cleanSentence(
+          dates.startDateISOFormatNotUTC ??
+          event.scheduling?.config?.startDate ??
+          event.scheduling?.startDate ??
+          "",
+        );
+        const endDate = cleanSentence(
+          dates.endDateISOFormatNotUTC ??
+          event.scheduling?.config?.endDate ??
+          event.scheduling?.endDate ??
+          "",
+        );
+
+        if (!title || !date) continue;
+
+        const key = event.id || eventKey({ title, startDate, date });
+        byId.set(key, {
+          title,
+          date,
+          cost: extractWixCost(event),
+          location: extractWixLocation(event),
+          description: cleanSentence(cleanHtml(descriptionSource)).slice(0, 280),
+          url: event.slug ? absoluteUrl(`/event-details/${event.slug}`, baseUrl) : sourceUrl,
+          imageUrl: extractWixImageUrl(event.mainImage ?? event.coverImage ?? event.image),
+          category,
+          startDate,
+          ...(endDate && endDate !== startDate ? { endDate } : {}),
+          source,
+          sourceUrl,
+        });
+      }
+    }
+  }
+
+  return [...byId.values()].sort(compareEventsByStart);
+}
+
+/** @returns {import("./adapter.mjs").SourceAdapter} */
+function wixEventsSource({ label, category, baseUrl, sourceUrl, ...options }) {
+  return {
+    label,
+    kind: "events",
+    sourceUrl,
+    minParsed: 1,
+    ...options,
+    async fetch() {
+      return { raw: await fetchText(sourceUrl), fetched: 1 };
+    },
+    parse: (html) => parseWixEvents(html, { baseUrl, sourceUrl, source: label, category }),
+  };
+}
+
+export const museumsEvents = wixEventsSource({
+  label: "Campbell Museums Events",
+  category: "Museums",
+  baseUrl: CAMPBELL_MUSEUMS_BASE_URL,
+  sourceUrl: CAMPBELL_MUSEUMS_EVENTS_URL,
+  // The museums' warmup payload is sometimes served without its events.
+  reuseWhenEmpty: "the Wix warmup payload contained no events",
+});
+
+export const heritageTheatreEvents = wixEventsSource({
+  label: "Campbell Heritage Theatre Events",
+  category: "Heritage Theatre",
+  baseUrl: HERITAGE_THEATRE_BASE_URL,
+  sourceUrl: HERITAGE_THEATRE_EVENTS_URL,
+});
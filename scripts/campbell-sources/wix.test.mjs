@@ -0,0 +1,43 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { heritageTheatreEvents, museumsEvents } from "./wix.mjs";
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8");
+const context = { generatedAt: "2026-05-14T16:00:00.000Z", referenceDate: new Date("2026-05-14T16:00:00.000Z") };
+
+describe("Wix events", () => {
+  const events = museumsEvents.parse(fixture("wix-events.html"), context);
+
+  it("reads the warmup payload's dated events in start order", () => {
+    expect(events.map((event) => event.title)).toEqual(["History Talk: The Orchard Years", "Ice Cream Social"]);
+  });
+
+  it("fills cost, venue, image and detail link from the event", () => {
+    expect(events[1]).toEqual({
+      title: "Ice Cream Social",
+      date: "Jun 13, 2026, 1:00 PM – 4:00 PM",
+      cost: "$5.00",
+      location: "300 Grant St, Campbell, CA 95008, USA",
+      description: "Old-fashioned ice cream on the Ainsley House lawn.",
+      url: "https://www.campbellmuseums.com/event-details/ice-cream-social-2026-06-13",
+      imageUrl: "https://static.wixstatic.com/media/a1b2c3_icecream~mv2.jpg",
+      category: "Museums",
+      startDate: "2026-06-13T13:00:00",
+      endDate: "2026-06-13T16:00:00",
+      source: "Campbell Museums Events",
+      sourceUrl: "https://www.campbellmuseums.com/events-main",
+    });
+  });
+
+  it("drops an end equal to the start and links slugless events to the listing", () => {
+    expect(events[0]).not.toHaveProperty("endDate");
+    expect(events[0].url).toBe("https://www.campbellmuseums.com/events-main");
+  });
+
+  it("labels each site's events as its own source", () => {
+    const theatre = heritageTheatreEvents.parse(fixture("wix-events.html"), context);
+    expect(theatre[0]).toMatchObject({ category: "Heritage Theatre", source: "Campbell Heritage Theatre Events" });
+    expect(museumsEvents.parse("<html></html>", context)).toEqual([]);
+    expect(museumsEvents.reuseWhenEmpty).toBeTruthy();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Run report and regression guard for sync-campbell-data.mjs.
+ *
+ * A source site that changes its markup rarely breaks a parser outright — it returns
+ * fewer items, and the sync would happily write them. Every source gets a line in the
+ * report (what was fetched, parsed, rejected and kept, and how that compares to the
+ * previous sync), and a source whose count falls off a cliff keeps its previous data
+ * instead. The report is written to src/data/campbellSyncReport.json for the Campbell
+ * guide's data tab.
+ */
+
+/** A source is held when it loses more than this share of its items… */
+export const MAX_DROP_FRACTION = 0.5;
+/** …and at least this many, so a three-event calendar dipping to one isn't an alarm. */
+export const MIN_DROP_ITEMS = 5;
+/** Titles listed per side of a diff; the counts carry the rest. */
+const DIFF_SAMPLE_SIZE = 3;
+
+/** Statuses worst-first, so a run's status is its worst source's. */
+const STATUS_ORDER = ["held", "reused", "ok"];
+
+/** Whether `current` is a sharp enough drop from `previous` to refuse. */
+export function isSharpDrop(current, previous) {
+  return previous - current >= MIN_DROP_ITEMS && current < previous * (1 - MAX_DROP_FRACTION);
+}
+
+/** `["past event", "", "past event", "deadline"]` → `{ "past event": 2, deadline: 1 }`, most common first. */
+export function tallyReasons(reasons) {
+  const counts = new Map();
+  for (const reason of reasons) {
+    if (reason) counts.set(reason, (counts.get(reason) ?? 0) + 1);
+  }
+  return Object.fromEntries([...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
+
+/** What came and went between two syncs of one source, by item key. */
+export function diffItems(previous, current, { keyOf, titleOf }) {
+  const previousKeys = new Set(previous.map(keyOf));
+  const currentKeys = new Set(current.map(keyOf));
+  const added = current.filter((item) => !previousKeys.has(keyOf(item)));
+  const removed = previous.filter((item) => !currentKeys.has(keyOf(item)));
+  return {
+    added: added.length,
+    removed: removed.length,
+    addedTitles: added.slice(0, DIFF_SAMPLE_SIZE).map(titleOf),
+    removedTitles: removed.slice(0, DIFF_SAMPLE_SIZE).map(titleOf),
+  };
+}
+
+/**
+ * One source's report line. `kept` is what this run would write and `previous` what the
+ * last sync had; when the drop between them is sharp the line comes back `held`, and the
+ * caller writes `previous` instead. A source whose fetch failed (`note` set) is already
+ * running on previous data, so it's `reused` and never held.
+ */
+export function sourceReport({
+  label,
+  kind,
+  sourceUrl,
+  fetched,
+  parsed,
+  rejectionReasons = {},
+  kept,
+  previous,
+  keyOf,
+  titleOf,
+  note = "",
+}) {
+  const reused = Boolean(note);
+  const held = !reused && isSharpDrop(kept.length, previous.length);
+  const written = held ? previous : kept;
+  return {
+    label,
+    kind,
+    sourceUrl,
+    status: held ? "held" : reused ? "reused" : "ok",
+    fetched,
+    parsed,
+    rejected: Object.values(rejectionReasons).reduce((sum, n) => sum + n, 0),
+    rejectionReasons,
+    kept: written.length,
+    previous: previous.length,
+    ...diffItems(previous, written, { keyOf, titleOf }),
+    note: held
+      ? `Kept the previous ${previous.length} items: this run found only ${kept.length}, a drop of ${Math.round((1 - kept.length / previous.length) * 100)}%`
+      : note,
+  };
+}
+
+export function buildSyncReport(generatedAt, sources) {
+  const statuses = sources.map((source) => source.status);
+  return {
+    generatedAt,
+    status: STATUS_ORDER.find((status) => statuses.includes(status)) ?? "ok",
+    sources,
+  };
+}
+
+/** One console line per source: `[held] Campbell Library Events: 1 parsed, 0 rejected, 9 kept (was 9, +0/-0)`. */
+export function describeSourceReport(source) {
+  const line = `[${source.status}] ${source.label}: ${source.parsed} parsed, ${source.rejected} rejected, ${source.kept} kept (was ${source.previous}, +${source.added}/-${source.removed})`;
+  return source.note ? `${line} — ${source.note}` : line;
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildSyncReport,
+  describeSourceReport,
+  diffItems,
+  isSharpDrop,
+  sourceReport,
+  tallyReasons,
+} from "./campbell-sync-report.mjs";
+
+const item = (title) => ({ title });
+const titles = (...names) => names.map(item);
+const keys = { keyOf: (entry) => entry.title.toLowerCase(), titleOf: (entry) => entry.title };
+
+describe("isSharpDrop", () => {
+  it("needs both a large share and a meaningful number of items", () => {
+    expect(isSharpDrop(1, 20)).toBe(true);
+    expect(isSharpDrop(10, 20)).toBe(false);
+    expect(isSharpDrop(9, 20)).toBe(true);
+    expect(isSharpDrop(0, 4)).toBe(false);
+    expect(isSharpDrop(30, 20)).toBe(false);
+  });
+});
+
+describe("tallyReasons", () => {
+  it("counts reasons most common first and ignores kept items", () => {
+    expect(tallyReasons(["past event", "", "deadline", "past event"])).toEqual({ "past event": 2, deadline: 1 });
+    expect(Object.keys(tallyReasons(["b", "a", "b"]))).toEqual(["b", "a"]);
+  });
+});
+
+describe("diffItems", () => {
+  it("reports what came and went by key", () => {
+    expect(diffItems(titles("Market", "Storytime"), titles("market", "Concert"), keys)).toEqual({
+      added: 1,
+      removed: 1,
+      addedTitles: ["Concert"],
+      removedTitles: ["Storytime"],
+    });
+  });
+});
+
+describe("sourceReport", () => {
+  const base = {
+    label: "Campbell Library Events",
+    kind: "events",
+    sourceUrl: "https://example.com/library",
+    ...keys,
+  };
+
+  it("passes a normal run through", () => {
+    const previous = titles("A", "B", "C");
+    const kept = titles("A", "B", "C", "D");
+    const report = sourceReport({ ...base, fetched: 5, parsed: 5, rejectionReasons: { "past event": 1 }, kept, previous });
+    expect(report).toMatchObject({ status: "ok", rejected: 1, kept: 4, previous: 3, added: 1, removed: 0, note: "" });
+  });
+
+  it("holds a source whose count collapses", () => {
+    const previous = titles("A", "B", "C", "D", "E", "F", "G", "H", "I", "J");
+    const report = sourceReport({ ...base, fetched: 1, parsed: 1, kept: titles("A"), previous });
+    expect(report.status).toBe("held");
+    expect(report.kept).toBe(10);
+    expect(report.added + report.removed).toBe(0);
+    expect(report.note).toBe("Kept the previous 10 items: this run found only 1, a drop of 90%");
+    expect(describeSourceReport(report)).toBe(
+      "[held] Campbell Library Events: 1 parsed, 0 rejected, 10 kept (was 10, +0/-0) — Kept the previous 10 items: this run found only 1, a drop of 90%",
+    );
+  });
+
+  it("marks a failed fetch as reused rather than held", () => {
+    const previous = titles("A", "B");
+    const report = sourceReport({ ...base, fetched: 0, parsed: 0, kept: previous, previous, note: "Fetch failed: 503" });
+    expect(report).toMatchObject({ status: "reused", kept: 2, note: "Fetch failed: 503" });
+  });
+});
+
+describe("buildSyncReport", () => {
+  it("takes the worst source status", () => {
+    expect(buildSyncReport("2026-05-14T08:00:00.000Z", [{ status: "ok" }, { status: "reused" }]).status).toBe("reused");
+    expect(buildSyncReport("2026-05-14T08:00:00.000Z", [{ status: "held" }, { status: "reused" }]).status).toBe("held");
+    expect(buildSyncReport("2026-05-14T08:00:00.000Z", []).status).toBe("ok");
+  });
+});
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+/**
+ * generate-vapid-keys.mjs
+ *
+ * Prints a fresh VAPID key pair for WTWTW live alerts, ready to paste into
+ * .env.local (and the Vercel project). Browsers subscribed under one public
+ * key stop receiving pushes if it changes, so generate once per deployment.
+ *
+ * Usage: npm run push:keys
+ */
+
+function base64Url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+const { publicKey, privateKey } = await crypto.subtle.generateKey(
+  { name: "ECDSA", namedCurve: "P-256" },
+  true,
+  ["sign", "verify"],
+);
+const raw = new Uint8Array(await crypto.subtle.exportKey("raw", publicKey));
+const jwk = await crypto.subtle.exportKey("jwk", privateKey);
+
+console.log(`VAPID_PUBLIC_KEY=${base64Url(raw)}`);
+console.log(`VAPID_PRIVATE_KEY=${jwk.d}`);
+console.log("VAPID_SUBJECT=mailto:you@example.com");
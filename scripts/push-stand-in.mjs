@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+/**
+ * push-stand-in.mjs
+ *
+ * A local stand-in for a browser push service, so WTWTW live alerts can be
+ * exercised end to end without a real browser. It mints subscriptions,
+ * accepts pushes the way FCM or Mozilla's autopush would, checks the VAPID
+ * signature, decrypts the aes128gcm payload, and logs the alert.
+ *
+ *   POST /subscriptions   → a PushSubscription JSON to sign up with
+ *   POST /push/<id>       → where /api/push/check delivers (410 for unknown ids)
+ *   GET  /received        → every alert decrypted so far
+ *
+ * Usage (with `npm run dev` and VAPID keys in .env.local):
+ *   npm run push:stand-in
+ *   curl -s -X POST localhost:8790/subscriptions \
+ *     | jq '{subscription: ., teams: ["mlb-giants"], bigInning: true}' \
+ *     | curl -s -X POST localhost:4321/api/push/subscription -H 'content-type: application/json' -d @-
+ *   curl localhost:4321/api/push/check
+ *
+ * Env vars:
+ *   PUSH_STAND_IN_PORT — listen port (default 8790)
+ */
+
+import { createServer } from "http";
+
+const PORT = Number(process.env.PUSH_STAND_IN_PORT || 8790);
+const ORIGIN = `http://localhost:${PORT}`;
+const ECDH = { name: "ECDH", namedCurve: "P-256" };
+
+/** id → { privateKey, publicKey (raw bytes), auth (bytes) } */
+const subscriptions = new Map();
+const received = [];
+
+const b64u = (bytes) => Buffer.from(bytes).toString("base64url");
+const fromB64u = (text) => new Uint8Array(Buffer.from(text, "base64url"));
+const utf8 = (text) => new TextEncoder().encode(text);
+const concat = (...parts) => new Uint8Array(Buffer.concat(parts.map((p) => Buffer.from(p))));
+
+async function hmac(key, data) {
+  const k = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", k, data));
+}
+
+async function mintSubscription() {
+  const id = b64u(crypto.getRandomValues(new Uint8Array(9)));
+  const pair = await crypto.subtle.generateKey(ECDH, true, ["deriveBits"]);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+  const auth = crypto.getRandomValues(new Uint8Array(16));
+  subscriptions.set(id, { privateKey: pair.privateKey, publicKey, auth });
+  return { endpoint: `${ORIGIN}/push/${id}`, expirationTime: null, keys: { p256dh: b64u(publicKey), auth: b64u(auth) } };
+}
+
+/** Check `vapid t=<jwt>, k=<key>`: an ES256 signature by k, for this origin, not expired. */
+async function verifyVapid(header) {
+  const match = /^vapid t=([^,\s]+),\s*k=([A-Za-z0-9_-]+)$/.exec(header || "");
+  if (!match) return "missing or malformed Authorization header";
+  const [, jwt, k] = match;
+  const [h, c, sig] = jwt.split(".");
+  const key = await crypto.subtle.importKey("raw", fromB64u(k), { name: "ECDSA", namedCurve: "P-256" }, false, ["verify"]);
+  const ok = await crypto.subtle.verify({ name: "ECDSA", hash: "SHA-256" }, key, fromB64u(sig || ""), utf8(`${h}.${c}`));
+  if (!ok) return "bad VAPID signature";
+  const claims = JSON.parse(Buffer.from(c, "base64url").toString());
+  if (claims.aud !== ORIGIN) return `aud ${claims.aud} isn't ${ORIGIN}`;
+  if (!(claims.exp > Date.now() / 1000)) return "VAPID token expired";
+  return null;
+}
+
+async function decrypt(sub, body) {
+  const salt = body.slice(0, 16);
+  const idLength = body[20];
+  const senderPublic = body.slice(21, 21 + idLength);
+  const ciphertext = body.slice(21 + idLength);
+
+  const senderKey = await crypto.subtle.importKey("raw", senderPublic, ECDH, false, []);
+  const ecdhSecret = new Uint8Array(await crypto.subtle.deriveBits({ name: "ECDH", public: senderKey }, sub.privateKey, 256));
+  const prkKey = await hmac(sub.auth, ecdhSecret);
+  const ikm = await hmac(prkKey, concat(utf8("WebPush: info\0"), sub.publicKey, senderPublic, [1]));
+  const prk = await hmac(salt, ikm);
+  const cek = (await hmac(prk, concat(utf8("Content-Encoding: aes128gcm\0"), [1]))).slice(0, 16);
+  const nonce = (await hmac(prk, concat(utf8("Content-Encoding: nonce\0"), [1]))).slice(0, 12);
+
+  const aesKey = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["decrypt"]);
+  const padded = new Uint8Array(await crypto.subtle.decrypt({ name: "AES-GCM", iv: nonce }, aesKey, ciphertext));
+  // Strip trailing zero padding, then the 0x02 last-record delimiter.
+  let end = padded.length - 1;
+  while (end > 0 && padded[end] === 0) end--;
+  return new TextDecoder().decode(padded.slice(0, end));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => resolve(new Uint8Array(Buffer.concat(chunks))));
+    req.on("error", reject);
+  });
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(body === undefined ? "" : JSON.stringify(body, null, 2));
+}
+
+const server = createServer(async (req, res) => {
+  try {
+    const path = new URL(req.url, ORIGIN).pathname;
+    if (req.method === "POST" && path === "/subscriptions") return send(res, 201, await mintSubscription());
+    if (req.method === "GET" && path === "/received") return send(res, 200, received);
+
+    const pushMatch = /^\/push\/([A-Za-z0-9_-]+)$/.exec(path);
+    if (req.method === "POST" && pushMatch) {
+      const sub = subscriptions.get(pushMatch[1]);
+      if (!sub) return send(res, 410, { error: "No such subscription" });
+      const problem = await verifyVapid(req.headers.authorization);
+      if (problem) return send(res, 401, { error: problem });
+      if (req.headers["content-encoding"] !== "aes128gcm") return send(res, 415, { error: "Expected aes128gcm" });
+      const alert = JSON.parse(await decrypt(sub, await readBody(req)));
+      received.push({ at: new Date().toISOString(), subscription: pushMatch[1], ttl: req.headers.ttl, alert });
+      console.log(`[push ${pushMatch[1]}] ${alert.title} — ${alert.body} → ${alert.url}`);
+      return send(res, 201);
+    }
+    send(res, 404, { error: "Not found" });
+  } catch (err) {
+    console.error(err);
+    send(res, 400, { error: err instanceof Error ? err.message : String(err) });
+  }
+});
+
+server.listen(PORT, () => console.log(`Push stand-in listening on ${ORIGIN}`));
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * record-scoreboard-fixtures.mjs
+ *
+ * Records today's scoreboards into src/data/scoreboardFixtures/<league>.json,
+ * the boards /api/scoreboard/[league] serves when SCOREBOARD_FIXTURES=1. It
+ * reads through the dev server's proxy, so a recording has already passed the
+ * same validation the live route applies.
+ *
+ * Usage (with `npm run dev` running without SCOREBOARD_FIXTURES):
+ *   npm run scoreboard:record             # re-record every existing fixture
+ *   npm run scoreboard:record -- nba wnba # record (or add) specific leagues
+ *
+ * Env vars:
+ *   SCOREBOARD_ORIGIN — dev server to read from (default http://localhost:4321)
+ *   SCOREBOARD_DATE   — YYYYMMDD day to record (default: the server's today)
+ */
+
+import { readdir, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+import { fileURLToPath } from "url";
+
+const FIXTURE_DIR = join(dirname(fileURLToPath(import.meta.url)), "../src/data/scoreboardFixtures");
+const ORIGIN = process.env.SCOREBOARD_ORIGIN || "http://localhost:4321";
+const DATE = process.env.SCOREBOARD_DATE || "";
+
+async function leaguesToRecord() {
+  const args = process.argv.slice(2);
+  if (args.length > 0) return args;
+  const files = await readdir(FIXTURE_DIR);
+  return files.filter((f) => f.endsWith(".json")).map((f) => f.replace(/\.json$/, ""));
+}
+
+async function record(league) {
+  const query = DATE ? `?dates=${DATE}` : "";
+  const res = await fetch(`${ORIGIN}/api/scoreboard/${league}${query}`);
+  if (!res.ok) throw new Error(`${league}: ${res.status} ${await res.text()}`);
+  const source = res.headers.get("x-scoreboard-source");
+  if (source !== "espn" && source !== "cache") {
+    throw new Error(`${league}: got a ${source} board — is SCOREBOARD_FIXTURES set on the dev server?`);
+  }
+  const board = await res.json();
+  await writeFile(join(FIXTURE_DIR, `${league}.json`), JSON.stringify(board, null, 2) + "\n");
+  return board.events.length;
+}
+
+const leagues = await leaguesToRecord();
+let failed = 0;
+for (const league of leagues) {
+  try {
+    const count = await record(league);
+    console.log(`✓ ${league}: ${count} event(s)`);
+  } catch (err) {
+    failed++;
+    console.error(`✗ ${err instanceof Error ? err.message : err}`);
+  }
+}
+process.exit(failed > 0 ? 1 : 0);
@@ -2,7 +2,7 @@ import { useEffect, useMemo, useRef, useState } from "react";
 import {
   broadcastsOf,
   fetchEventsForLeagues,
-  getTrackedTeamsContext,
+  loadTrackedTeamsContext,
   isLiveEvent,
   statusTextOf,
   teamSideOf,
@@ -14,6 +14,9 @@ import {
 import { MS_PER_MINUTE } from "../lib/time";
 import { formatHourMinuteInTz, PACIFIC_TZ } from "../lib/dateFormat";
 import { findActiveWindow, type BigInningSchedule } from "../lib/bigInning";
+import { seriesStatusLabel } from "../lib/playoffs/series";
+import { readWatchServices } from "../lib/watchProfile/client";
+import { useSpoilerShield } from "../hooks/useSpoilerShield";
 import RecapMatchup from "./RecapMatchup";
 
 const POLL_MS = MS_PER_MINUTE;
@@ -27,6 +30,8 @@ interface LiveGame {
   away: TeamSide;
   home: TeamSide;
   isPlayoff: boolean;
+  /** "Game 6 · OKC leads 3-2" for a playoff series game. */
+  seriesLabel: string | null;
   statusText: string;
   watchHref: string;
   watchLabel: string;
@@ -42,6 +47,8 @@ export default function LiveSports() {
   const [games, setGames] = useState<LiveGame[]>([]);
   const [schedule, setSchedule] = useState<BigInningSchedule | null>(null);
   const [now, setNow] = useState<number>(() => Date.now());
+  // Live scores are spoilers too, for anyone saving the game for later.
+  const spoilerShield = useSpoilerShield();
   const cancelledRef = useRef(false);
 
   // Big Inning schedule — fetched from our /api/big-inning endpoint and
@@ -87,7 +94,8 @@ export default function LiveSports() {
     let intervalId: ReturnType<typeof setInterval> | null = null;
 
     async function tick() {
-      const { leagues, lookup } = getTrackedTeamsContext();
+      const { leagues, lookup } = await loadTrackedTeamsContext();
+      const services = readWatchServices();
 
       const ymd = yyyymmddInPT(new Date());
 
@@ -107,7 +115,7 @@ export default function LiveSports() {
           homeAbbr: homeSide.abbr,
           isLive: true,
           broadcasts: broadcastsOf(event),
-          matchedKey: match.matched?.key,
+          services,
         });
 
         next.push({
@@ -116,6 +124,7 @@ export default function LiveSports() {
           away: awaySide,
           home: homeSide,
           isPlayoff: match.isPlayoff,
+          seriesLabel: match.series ? seriesStatusLabel(match.series) : null,
           statusText: statusTextOf(event, "Live"),
           watchHref: watch.href,
           watchLabel: watch.label,
@@ -172,11 +181,16 @@ export default function LiveSports() {
           target="_blank"
           rel="noopener"
           style={{ borderLeftColor: g.accent }}
-          title={`${g.away.shortName} ${g.away.score} — ${g.home.shortName} ${g.home.score} · ${g.statusText}`}
+          title={
+            spoilerShield
+              ? `${g.away.shortName} @ ${g.home.shortName} · ${g.statusText}`
+              : `${g.away.shortName} ${g.away.score} — ${g.home.shortName} ${g.home.score} · ${g.statusText}`
+          }
         >
           <RecapMatchup
             away={g.away}
             home={g.home}
+            shielded={spoilerShield}
             renderScore={(team) => (
               <span className="recap-score live">{team.score}</span>
             )}
@@ -186,7 +200,7 @@ export default function LiveSports() {
               <span className="recap-live-dot" />
               <span>
                 LIVE
-                {g.isPlayoff ? " · Playoff" : ""} · {g.statusText}
+                {g.seriesLabel ? ` · ${g.seriesLabel}` : g.isPlayoff ? " · Playoff" : ""} · {g.statusText}
               </span>
             </span>
             <span className="recap-watch">Watch on {g.watchLabel} ↗</span>
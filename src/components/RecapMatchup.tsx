@@ -5,16 +5,20 @@ import type { TeamSide } from "../lib/wtwtwSports";
  * The away @ home row shared by LiveSports and YesterdaySports. The two differ
  * only in how a score renders — live games always show one, finals hide it for
  * basketball and colour it by win/loss — so scores come in via `renderScore`.
+ * `shielded` (the spoiler shield, for a game not yet marked seen) drops them.
  */
 export default function RecapMatchup<T extends TeamSide>({
   away,
   home,
-  renderScore,
+  renderScore: renderTeamScore,
+  shielded = false,
 }: {
   away: T;
   home: T;
   renderScore: (team: T) => ReactNode;
+  shielded?: boolean;
 }) {
+  const renderScore = (team: T) => (shielded ? null : renderTeamScore(team));
   return (
     <div className="recap-matchup">
       <div className="recap-team">
@@ -5,6 +5,37 @@ import { safeGet, safeSet } from "../lib/localStorage";
 import { daysSince } from "../lib/time";
 import { formatMonthDay } from "../lib/dateFormat";
 import { useCopyToClipboard } from "../hooks/useCopyToClipboard";
+import { slugify } from "../lib/slug";
+import { workoutToFit, workoutToGarminJson } from "../lib/swim/workoutExport";
+import { parseWorkoutText } from "../lib/swim/workoutParser";
+import { latestCss, loadCssHistory, logSession, saveCssTest } from "../lib/swim/storage";
+import type { CssEntry } from "../lib/swim/storage";
+import type { LoggedSession } from "../lib/swim/sessionLog";
+import type { CssTest } from "../lib/swim/paceZones";
+import { DEFAULT_POOL_LENGTH, isValidPoolLength, MAX_POOL_LENGTH, MIN_POOL_LENGTH, POOL_PRESETS, poolLabel } from "../lib/swim/pool";
+import type { PoolPreset } from "../lib/swim/pool";
+import {
+  CSS_TEST,
+  cssParam,
+  downloadFile,
+  DURATIONS,
+  equipmentParam,
+  FOCUSES,
+  linkedDuration,
+  linkedPace,
+  linkedUnit,
+  PACES,
+  paceInput,
+  poolParam,
+  readUrlParams,
+} from "./swim-workout/shared";
+import { ActionButton, BuildButton, HeaderBadge, ResultHeader } from "./swim-workout/ui";
+import PlanMode from "./swim-workout/PlanMode";
+import type { OpenedSession } from "./swim-workout/PlanMode";
+import LanesMode from "./swim-workout/LanesMode";
+import LogMode from "./swim-workout/LogMode";
+import CssPanel from "./swim-workout/CssPanel";
+import LogSessionForm from "./swim-workout/LogSessionForm";
 
 // ─── History helpers ────────────────────────────────────────────────────────────
 
@@ -13,12 +44,20 @@ interface HistoryEntry {
   totalDistance: number;
   estimatedMinutes: number;
   unit: "meters" | "yards";
+  /** Pool length in `unit`, when it isn't a 25. */
+  poolLength?: number;
   pace: string;
   duration: number;
   focus: WorkoutFocus;
   seed: number;
   timestamp: number;
   equipment: EquipmentOptions;
+  /** CSS the send-offs were built from, for zone-paced workouts. */
+  css?: string;
+  /** Pinned main set, e.g. a CSS test. */
+  mainSet?: string;
+  /** Original text for imported workouts, which have no seed to regenerate from. */
+  source?: string;
 }
 
 const HISTORY_KEY = "laplab_history";
@@ -28,8 +67,13 @@ function loadHistory(): HistoryEntry[] {
   return safeGet<HistoryEntry[]>(HISTORY_KEY) ?? [];
 }
 
+/** Generated workouts are identified by seed, imported ones by their text. */
+function historyId(entry: HistoryEntry): string {
+  return entry.source ?? String(entry.seed);
+}
+
 function saveToHistory(entry: HistoryEntry) {
-  const existing = loadHistory().filter((past) => past.seed !== entry.seed);
+  const existing = loadHistory().filter((past) => historyId(past) !== historyId(entry));
   const updated = [entry, ...existing].slice(0, HISTORY_MAX);
   safeSet(HISTORY_KEY, updated);
 }
@@ -41,37 +85,13 @@ function formatRelativeDate(timestamp: number): string {
   return formatMonthDay(timestamp);
 }
 
-// ─── URL param helpers ──────────────────────────────────────────────────────────
-
-const VALID_FOCUSES: WorkoutFocus[] = ["any", "endurance", "speed", "technique"];
-
-function readUrlParams() {
-  if (typeof window === "undefined") return null;
-  const params = new URLSearchParams(window.location.search);
-  const duration = params.get("d") ? parseInt(params.get("d")!, 10) : null;
-  const pace = params.get("p");
-  const unit = params.get("u") as "meters" | "yards" | null;
-  const seedParam = params.get("s") ? parseInt(params.get("s")!, 10) : null;
-  const focusParam = params.get("f") as WorkoutFocus | null;
-  const focus = focusParam && VALID_FOCUSES.includes(focusParam) ? focusParam : null;
-  const eqParam = params.get("eq");
-  let equipment: EquipmentOptions | null = null;
-  if (eqParam !== null) {
-    const gears = eqParam.split(",");
-    equipment = {
-      pull: gears.includes("pull"),
-      kickboard: gears.includes("kickboard"),
-      fins: gears.includes("fins"),
-    };
-  }
-  return { duration, pace, unit, seed: seedParam, focus, equipment };
-}
+// ─── Text export ───────────────────────────────────────────────────────────────
 
 function workoutToText(workout: Workout): string {
   const unit = workout.unit === "meters" ? "m" : "y";
   const lines: string[] = [
     workout.name,
-    `${workout.totalDistance.toLocaleString()}${unit}  ·  ~${workout.estimatedMinutes} min  ·  Pace: ${workout.pace}/100${unit}`,
+    `${workout.totalDistance.toLocaleString()}${unit}  ·  ~${workout.estimatedMinutes} min  ·  Pace: ${workout.pace}/100${unit}${workout.css ? `  ·  CSS: ${workout.css}/100${unit}` : ""}${workout.poolLength ? `  ·  ${workout.poolLength}${unit} pool` : ""}`,
     "",
   ];
   for (const section of workout.sections) {
@@ -97,72 +117,6 @@ function workoutToText(workout: Workout): string {
   return lines.join("\n");
 }
 
-interface DurationOption {
-  value: number;
-  label: string;
-}
-
-interface PaceOption {
-  value: string;
-  label: string;
-}
-
-interface FocusOption {
-  value: WorkoutFocus;
-  label: string;
-  description: string;
-}
-
-// ─── Constants ─────────────────────────────────────────────────────────────────
-
-const FOCUSES: FocusOption[] = [
-  { value: "any",       label: "Any",        description: "Surprise me" },
-  { value: "endurance", label: "Endurance",  description: "Long, steady sets" },
-  { value: "speed",     label: "Speed",      description: "Intervals & sprints" },
-  { value: "technique", label: "Technique",  description: "Drills, IM & strokes" },
-];
-
-const DURATIONS: DurationOption[] = [
-  { value: 30, label: "30 min" },
-  { value: 45, label: "45 min" },
-  { value: 60, label: "1 hour" },
-  { value: 90, label: "1.5 hours" },
-  { value: 120, label: "2 hours" },
-];
-
-// Paces are shown exactly as stored ("1:30"), so the label is always the value.
-const paceOptions = (times: string[]): PaceOption[] =>
-  times.map((time) => ({ value: time, label: time }));
-
-const PACES: Record<string, PaceOption[]> = {
-  meters: paceOptions([
-    "1:20", "1:25", "1:30", "1:35", "1:40", "1:45",
-    "1:50", "1:55", "2:00", "2:10", "2:20", "2:30",
-  ]),
-  yards: paceOptions([
-    "1:10", "1:15", "1:20", "1:25", "1:30", "1:35",
-    "1:40", "1:45", "1:50", "2:00", "2:10", "2:20",
-  ]),
-};
-
-// ─── Chevron SVG pattern (for background flair) ────────────────────────────────
-
-function ChevronPattern({ className = "" }: { className?: string }) {
-  return (
-    <svg
-      className={className}
-      viewBox="0 0 200 60"
-      fill="none"
-      xmlns="http://www.w3.org/2000/svg"
-      preserveAspectRatio="none"
-    >
-      <path d="M0 60 L50 10 L100 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.15" />
-      <path d="M50 60 L100 10 L150 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.1" />
-      <path d="M100 60 L150 10 L200 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.15" />
-    </svg>
-  );
-}
-
 // ─── Equipment badge ───────────────────────────────────────────────────────────
 
 const EQUIPMENT_CONFIG: Record<string, { label: string; icon: string; bg: string }> = {
@@ -286,6 +240,8 @@ function PrintWorkout({ workout }: { workout: Workout | null }) {
         <h1 className="text-2xl font-bold tracking-tight">{workout.name}</h1>
         <p className="text-sm text-gray-500 mt-1">
           {workout.totalDistance} {unit} · ~{workout.estimatedMinutes} min · Pace: {workout.pace}/{unit === "m" ? "100m" : "100y"}
+          {workout.css && ` · CSS: ${workout.css}/${unit === "m" ? "100m" : "100y"}`}
+          {workout.poolLength && ` · ${workout.poolLength}${unit} pool`}
         </p>
       </div>
 
@@ -337,22 +293,32 @@ function PrintSetLine({ item, unit }: { item: WorkoutItem; unit: string }) {
 
 // ─── Main component ────────────────────────────────────────────────────────────
 
+type Mode = "workout" | "plan" | "import" | "log" | "lanes";
+
+const MODES: { value: Mode; label: string }[] = [
+  { value: "workout", label: "Single workout" },
+  { value: "plan", label: "Training plan" },
+  { value: "import", label: "Import" },
+  { value: "lanes", label: "Lanes" },
+  { value: "log", label: "Log" },
+];
+
+/**
+ * Lap Lab: the mode switcher, the settings every mode shares, and the single-workout view
+ * that generated, imported and plan-session workouts all open in. The plan, lanes and log
+ * modes live in ./swim-workout.
+ */
 export default function SwimWorkout() {
   // Initialize from URL params if present
-  const [unit, setUnit] = useState<"meters" | "yards">(() => {
-    const params = readUrlParams();
-    return params?.unit === "yards" ? "yards" : "meters";
-  });
-  const [duration, setDuration] = useState(() => {
+  const [unit, setUnit] = useState<"meters" | "yards">(() => linkedUnit(readUrlParams()));
+  const [poolLength, setPoolLength] = useState(() => readUrlParams()?.poolLength ?? DEFAULT_POOL_LENGTH);
+  const [customPool, setCustomPool] = useState(() => {
     const params = readUrlParams();
-    return params?.duration && DURATIONS.some((d) => d.value === params.duration) ? params.duration! : 60;
-  });
-  const [pace, setPace] = useState(() => {
-    const params = readUrlParams();
-    const urlUnit = params?.unit === "yards" ? "yards" : "meters";
-    if (params?.pace && PACES[urlUnit].some((x) => x.value === params.pace)) return params.pace!;
-    return urlUnit === "meters" ? "1:45" : "1:35";
+    const length = params?.poolLength ?? DEFAULT_POOL_LENGTH;
+    return !POOL_PRESETS.some((preset) => preset.unit === linkedUnit(params) && preset.length === length);
   });
+  const [duration, setDuration] = useState(() => linkedDuration(readUrlParams()));
+  const [pace, setPace] = useState(() => linkedPace(readUrlParams()));
   const [focus, setFocus] = useState<WorkoutFocus>(() => {
     const params = readUrlParams();
     return params?.focus ?? "any";
@@ -361,140 +327,231 @@ export default function SwimWorkout() {
     const params = readUrlParams();
     return params?.equipment ?? ALL_EQUIPMENT;
   });
+  const [mode, setMode] = useState<Mode>(() => {
+    const params = readUrlParams();
+    if (params?.plan) return "plan";
+    return params?.lanes ? "lanes" : "workout";
+  });
+  const [useZones, setUseZones] = useState(() => Boolean(readUrlParams()?.css));
+  // A shared link's CSS wins until the user saves a test of their own or switches pools.
+  const [css, setCss] = useState<string | null>(() => readUrlParams()?.css ?? null);
+  const [cssHistory, setCssHistory] = useState<CssEntry[]>([]);
+  const [importText, setImportText] = useState("");
+  const [importWarnings, setImportWarnings] = useState<string[]>([]);
   const [workout, setWorkout] = useState<Workout | null>(null);
+  // Set while the workout is a plan session, which shares as its plan rather than by seed.
+  const [planLink, setPlanLink] = useState<string | null>(null);
   const [animating, setAnimating] = useState(false);
   const { copied: copiedLink, copy: copyLinkToClipboard } = useCopyToClipboard();
   const { copied: copiedText, copy: copyTextToClipboard } = useCopyToClipboard();
   const [history, setHistory] = useState<HistoryEntry[]>([]);
+  const [logging, setLogging] = useState(false);
+  const [loggedWorkout, setLoggedWorkout] = useState<Workout | null>(null);
   const workoutRef = useRef<HTMLDivElement>(null);
 
   useEffect(() => {
     setHistory(loadHistory());
+    const saved = loadCssHistory();
+    setCssHistory(saved);
+    setCss((linked) => linked ?? latestCss(saved, unit)?.css ?? null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  // Auto-generate from URL seed on first mount
+  // A new workout starts with the log form closed.
+  useEffect(() => {
+    setLogging(false);
+  }, [workout]);
+
+  // Auto-generate from URL seed on first mount; plan and lane sheet links are their modes' to open.
   useEffect(() => {
     const params = readUrlParams();
-    if (params?.seed) {
-      const urlUnit = params.unit === "yards" ? "yards" : "meters";
-      const urlDuration = params.duration && DURATIONS.some((x) => x.value === params.duration) ? params.duration! : 60;
-      const defaultPace = urlUnit === "meters" ? "1:45" : "1:35";
-      const urlPace = params.pace && PACES[urlUnit].some((x) => x.value === params.pace) ? params.pace! : defaultPace;
-      const urlFocus = params.focus ?? "any";
-      const urlEquipment = params.equipment ?? ALL_EQUIPMENT;
-      setWorkout(generateWorkout({ duration: urlDuration, pace: urlPace, unit: urlUnit, seed: params.seed, focus: urlFocus, equipment: urlEquipment }));
-    }
+    if (!params?.seed || params.plan || params.lanes) return;
+    setWorkout(generateWorkout({
+      duration: linkedDuration(params),
+      pace: paceInput(linkedPace(params), params.css),
+      unit: linkedUnit(params),
+      poolLength: params.poolLength,
+      seed: params.seed,
+      focus: params.focus ?? "any",
+      equipment: params.equipment ?? ALL_EQUIPMENT,
+      mainSet: params.mainSet ?? undefined,
+    }));
   }, []);
 
-  // When unit changes, reset pace to default for that unit
+  // When unit changes, reset pace to the unit's default; plan and lanes modes adjust their own.
   const handleUnitChange = (newUnit: "meters" | "yards") => {
     setUnit(newUnit);
     setPace(PACES[newUnit][0].value); // 1:10 SCY, 1:20 LCM
+    setCss(latestCss(cssHistory, newUnit)?.css ?? null);
   };
 
-  const generate = useCallback((scroll = true) => {
-    const seed = Math.floor(Math.random() * 2147483647);
-    const w = generateWorkout({ duration, pace, unit, seed, focus, equipment });
+  const selectPool = (preset: PoolPreset) => {
+    if (preset.unit !== unit) handleUnitChange(preset.unit);
+    setPoolLength(preset.length);
+    setCustomPool(false);
+  };
+
+  const saveCss = (test: CssTest) => {
+    const entry = saveCssTest(test, unit);
+    setCssHistory(loadCssHistory());
+    setCss(entry.css);
+    setUseZones(true);
+  };
+
+  // Zones only apply once there's a CSS to build them from; imports keep their written send-offs.
+  const activeCss = useZones && mode !== "import" ? css : null;
+
+  const showWorkout = useCallback((w: Workout | null, link: string | null, scroll: boolean) => {
     setAnimating(true);
     setWorkout(w);
+    setPlanLink(link);
     setTimeout(() => setAnimating(false), 400);
+    if (scroll) {
+      setTimeout(() => {
+        workoutRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+      }, 100);
+    }
+  }, []);
+
+  const openPlanSession = useCallback((session: OpenedSession | null, scroll: boolean) => {
+    showWorkout(session?.workout ?? null, session?.link ?? null, scroll);
+  }, [showWorkout]);
+
+  const generate = useCallback((scroll = true, mainSet?: string) => {
+    const seed = Math.floor(Math.random() * 2147483647);
+    const w = generateWorkout({ duration, pace: paceInput(pace, activeCss), unit, poolLength, seed, focus, equipment, mainSet });
+    showWorkout(w, null, scroll);
 
     const entry: HistoryEntry = {
       name: w.name,
       totalDistance: w.totalDistance,
       estimatedMinutes: w.estimatedMinutes,
       unit,
+      ...(poolLength !== DEFAULT_POOL_LENGTH ? { poolLength } : {}),
       pace,
       duration,
       focus,
       seed,
       timestamp: Date.now(),
       equipment,
+      ...(activeCss ? { css: activeCss } : {}),
+      ...(mainSet ? { mainSet } : {}),
     };
     saveToHistory(entry);
     setHistory(loadHistory());
-
-    if (scroll) {
-      setTimeout(() => {
-        workoutRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
-      }, 100);
+  }, [duration, pace, activeCss, unit, poolLength, focus, equipment, showWorkout]);
+
+  const importWorkout = useCallback((text: string, importUnit: "meters" | "yards", importPace: string, importPool: number) => {
+    const { workout: w, warnings } = parseWorkoutText(text, { unit: importUnit, pace: importPace, poolLength: importPool });
+    setImportWarnings(warnings);
+    if (!w) {
+      setImportWarnings(["No sets found — try lines like \"8x100 free @1:40\"", ...warnings]);
+      return;
     }
-  }, [duration, pace, unit, focus, equipment]);
+    showWorkout(w, null, true);
+
+    saveToHistory({
+      name: w.name,
+      totalDistance: w.totalDistance,
+      estimatedMinutes: w.estimatedMinutes,
+      unit: importUnit,
+      ...(importPool !== DEFAULT_POOL_LENGTH ? { poolLength: importPool } : {}),
+      pace: importPace,
+      duration: w.duration,
+      focus: "any",
+      seed: 0,
+      timestamp: Date.now(),
+      equipment: ALL_EQUIPMENT,
+      source: text,
+    });
+    setHistory(loadHistory());
+  }, [showWorkout]);
 
   const loadFromHistory = useCallback((entry: HistoryEntry) => {
+    const entryPool = entry.poolLength ?? DEFAULT_POOL_LENGTH;
     setUnit(entry.unit);
-    setDuration(entry.duration);
+    setPoolLength(entryPool);
+    setCustomPool(!POOL_PRESETS.some((preset) => preset.unit === entry.unit && preset.length === entryPool));
     setPace(entry.pace);
+    if (entry.source) {
+      setMode("import");
+      setImportText(entry.source);
+      importWorkout(entry.source, entry.unit, entry.pace, entryPool);
+      return;
+    }
+    setDuration(entry.duration);
     setFocus(entry.focus);
     setEquipment(entry.equipment);
+    setUseZones(Boolean(entry.css));
+    if (entry.css) setCss(entry.css);
     const w = generateWorkout({
       duration: entry.duration,
-      pace: entry.pace,
+      pace: paceInput(entry.pace, entry.css ?? null),
       unit: entry.unit,
+      poolLength: entryPool,
       seed: entry.seed,
       focus: entry.focus,
       equipment: entry.equipment,
+      mainSet: entry.mainSet,
     });
-    setAnimating(true);
-    setWorkout(w);
-    setTimeout(() => setAnimating(false), 400);
-    setTimeout(() => {
-      workoutRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
-    }, 100);
-  }, []);
+    showWorkout(w, null, true);
+  }, [importWorkout, showWorkout]);
 
   const handlePrint = () => {
     window.print();
   };
 
   const copyLink = useCallback(() => {
+    if (planLink) {
+      copyLinkToClipboard(planLink);
+      return;
+    }
     if (!workout?.seed) return;
     const url = new URL(window.location.href);
-    const eqKeys = (Object.keys(equipment) as Array<keyof EquipmentOptions>).filter(k => equipment[k]);
-    const allEnabled = eqKeys.length === 3;
-    url.search = `?d=${duration}&p=${encodeURIComponent(pace)}&u=${unit}&s=${workout.seed}${focus !== "any" ? `&f=${focus}` : ""}${!allEnabled ? `&eq=${eqKeys.join(",")}` : ""}`;
+    // The CSS test is never drawn at random, so its link has to pin it.
+    const pinned = workout.name === CSS_TEST ? `&ms=${encodeURIComponent(CSS_TEST)}` : "";
+    url.search = `?d=${duration}&p=${encodeURIComponent(pace)}${cssParam(workout.css)}&u=${unit}${poolParam(workout.poolLength)}&s=${workout.seed}${focus !== "any" ? `&f=${focus}` : ""}${equipmentParam(equipment)}${pinned}`;
     url.hash = "";
     copyLinkToClipboard(url.toString());
-  }, [workout, duration, pace, unit, focus, equipment, copyLinkToClipboard]);
+  }, [planLink, workout, duration, pace, unit, focus, equipment, copyLinkToClipboard]);
 
   const copyText = useCallback(() => {
     if (!workout) return;
     copyTextToClipboard(workoutToText(workout));
   }, [workout, copyTextToClipboard]);
 
+  const exportFit = useCallback(() => {
+    if (!workout) return;
+    const slug = slugify(workout.name, 60) || "workout";
+    downloadFile(`${slug}.fit`, new Blob([workoutToFit(workout)], { type: "application/vnd.ant.fit" }));
+  }, [workout]);
+
+  const exportJson = useCallback(() => {
+    if (!workout) return;
+    const slug = slugify(workout.name, 60) || "workout";
+    const json = JSON.stringify(workoutToGarminJson(workout), null, 2);
+    downloadFile(`${slug}.json`, new Blob([json], { type: "application/json" }));
+  }, [workout]);
+
+  const saveLoggedSession = useCallback((session: LoggedSession) => {
+    logSession(session);
+    setLoggedWorkout(workout);
+    setLogging(false);
+  }, [workout]);
+
+  // Imported workouts have no seed, so there's nothing to shuffle or share by link.
+  const imported = workout !== null && workout.seed === undefined;
   const currentPaces = PACES[unit];
   const unitLabel = unit === "meters" ? "m" : "y";
 
-  return (
+  // ─── Shared settings, in the order every mode shows them ──────────────
+  const settings = (
     <>
-      {/* ─── Configuration ─────────────────────────────────────────────── */}
-      <div className="mt-8 space-y-6 print:hidden">
-        {/* Unit toggle */}
-        <div>
-          <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
-            Pool
-          </label>
-          <div className="flex gap-1 rounded-xl bg-stone-100 p-1 w-fit">
-            {(["yards", "meters"] as const).map((u) => (
-              <button
-                key={u}
-                onClick={() => handleUnitChange(u)}
-                className={`rounded-lg px-5 py-2 text-sm font-semibold transition-all ${
-                  unit === u
-                    ? "bg-white text-teal-700 shadow-sm"
-                    : "text-stone-500 hover:text-stone-700"
-                }`}
-              >
-                {u === "yards" ? "Yards (SCY)" : "Meters (LCM)"}
-              </button>
-            ))}
-          </div>
-        </div>
-
-        {/* Duration */}
+      {/* Duration */}
+      {mode !== "import" && (
         <div>
           <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
-            Duration
+            {mode === "plan" ? "Typical session" : "Duration"}
           </label>
           <div className="flex flex-wrap gap-2">
             {DURATIONS.map((d) => (
@@ -512,30 +569,97 @@ export default function SwimWorkout() {
             ))}
           </div>
         </div>
+      )}
 
-        {/* Pace */}
+      {/* Pace — lanes pick one per lane */}
+      {mode !== "lanes" && (
         <div>
-          <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
-            Pace per 100{unitLabel}
-          </label>
-          <div className="grid grid-cols-4 gap-2">
-            {currentPaces.map((p) => (
-              <button
-                key={p.value}
-                onClick={() => setPace(p.value)}
-                className={`rounded-xl px-4 py-2.5 text-sm font-mono font-semibold transition-all ${
-                  pace === p.value
-                    ? "bg-teal-600 text-white shadow-md shadow-teal-300/40"
-                    : "bg-white/70 text-stone-600 border border-stone-200 hover:border-teal-300 hover:text-teal-700"
-                }`}
-              >
-                {p.label}
-              </button>
-            ))}
+          <div className="flex items-center justify-between mb-2">
+            <label className="block text-xs font-bold uppercase tracking-wider text-stone-400">
+              {useZones && mode !== "import" ? "CSS zones" : `Pace per 100${unitLabel}`}
+            </label>
+            {mode !== "import" && (
+              <div className="flex gap-1 rounded-lg bg-stone-100 p-0.5">
+                {([
+                  { value: false, label: "Pace" },
+                  { value: true, label: "CSS zones" },
+                ]).map((option) => (
+                  <button
+                    key={option.label}
+                    onClick={() => setUseZones(option.value)}
+                    className={`rounded-md px-3 py-1 text-[11px] font-semibold transition-all ${
+                      useZones === option.value
+                        ? "bg-white text-teal-700 shadow-sm"
+                        : "text-stone-500 hover:text-stone-700"
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            )}
           </div>
+          {useZones && mode !== "import" ? (
+            <CssPanel
+              unit={unit}
+              css={css ?? ""}
+              history={cssHistory.filter((entry) => entry.unit === unit)}
+              onSave={saveCss}
+              onSwimTest={() => {
+                setMode("workout");
+                generate(true, CSS_TEST);
+              }}
+            />
+          ) : (
+            <div className="grid grid-cols-4 gap-2">
+              {currentPaces.map((p) => (
+                <button
+                  key={p.value}
+                  onClick={() => setPace(p.value)}
+                  className={`rounded-xl px-4 py-2.5 text-sm font-mono font-semibold transition-all ${
+                    pace === p.value
+                      ? "bg-teal-600 text-white shadow-md shadow-teal-300/40"
+                      : "bg-white/70 text-stone-600 border border-stone-200 hover:border-teal-300 hover:text-teal-700"
+                  }`}
+                >
+                  {p.label}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
+      )}
 
-        {/* Focus */}
+      {/* Import text */}
+      {mode === "import" && (
+        <div>
+          <label htmlFor="laplab-import" className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+            Paste a workout
+          </label>
+          <textarea
+            id="laplab-import"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+            rows={10}
+            spellCheck={false}
+            placeholder={"Warmup\n400 free\n\nMain set:\n8x100 free @1:40 desc 1-4\n3 rounds:\n  200 pull @3:00\n  4x50 kick fins @:55\n\nCooldown\n200 back easy"}
+            className="w-full rounded-xl bg-white/70 border border-stone-200 px-4 py-3 font-mono text-sm text-stone-700 placeholder:text-stone-300 focus:border-teal-400 focus:outline-none"
+          />
+          <p className="mt-1.5 text-[11px] text-stone-400">
+            Reps × distance, stroke, gear and <span className="font-mono">@</span> send-offs. Your pace above is used to estimate time.
+          </p>
+          {importWarnings.length > 0 && (
+            <ul className="mt-2 space-y-0.5 text-[11px] text-amber-700">
+              {importWarnings.map((warning, i) => (
+                <li key={i}>{warning}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Focus — plans choose their own per session */}
+      {(mode === "workout" || mode === "lanes") && (
         <div>
           <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
             Focus
@@ -559,8 +683,10 @@ export default function SwimWorkout() {
             ))}
           </div>
         </div>
+      )}
 
-        {/* Equipment */}
+      {/* Equipment */}
+      {mode !== "import" && (
         <div>
           <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
             Equipment available
@@ -587,86 +713,195 @@ export default function SwimWorkout() {
           </div>
           <p className="mt-1.5 text-[11px] text-stone-400">Uncheck gear you don't have — we'll skip those sets.</p>
         </div>
+      )}
+    </>
+  );
 
-        {/* Recent workouts */}
-        {history.length > 0 && (
+  return (
+    <>
+      {/* ─── Configuration ─────────────────────────────────────────────── */}
+      <div className="mt-8 space-y-6 print:hidden">
+        {/* Mode toggle */}
+        <div className="flex gap-1 rounded-xl bg-stone-100 p-1 w-fit">
+          {MODES.map((m) => (
+            <button
+              key={m.value}
+              onClick={() => setMode(m.value)}
+              className={`rounded-lg px-5 py-2 text-sm font-semibold transition-all ${
+                mode === m.value
+                  ? "bg-white text-teal-700 shadow-sm"
+                  : "text-stone-500 hover:text-stone-700"
+              }`}
+            >
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Pool */}
+        {mode !== "log" && (
           <div>
             <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
-              Recent
+              Pool
             </label>
-            <div className="space-y-1.5">
-              {history.map((entry, i) => {
-                const unitLabel = entry.unit === "meters" ? "m" : "y";
-                return (
+            <div className="flex flex-wrap items-center gap-2">
+              <div className="flex gap-1 rounded-xl bg-stone-100 p-1 w-fit">
+                {POOL_PRESETS.map((preset) => (
                   <button
-                    key={i}
-                    onClick={() => loadFromHistory(entry)}
-                    className="w-full flex items-center justify-between gap-3 rounded-xl bg-white/70 border border-stone-200 px-4 py-2.5 text-left hover:border-teal-300 hover:bg-white transition-all group"
+                    key={preset.label}
+                    onClick={() => selectPool(preset)}
+                    className={`rounded-lg px-4 py-2 text-sm font-semibold transition-all ${
+                      !customPool && unit === preset.unit && poolLength === preset.length
+                        ? "bg-white text-teal-700 shadow-sm"
+                        : "text-stone-500 hover:text-stone-700"
+                    }`}
                   >
-                    <div className="flex-1 min-w-0">
-                      <div className="text-sm font-semibold text-stone-700 group-hover:text-teal-700 truncate">
-                        {entry.name}
-                      </div>
-                      <div className="text-[11px] text-stone-400 mt-0.5">
-                        {entry.totalDistance.toLocaleString()}{unitLabel} · ~{entry.estimatedMinutes} min · {entry.pace}/100{unitLabel}
-                      </div>
-                    </div>
-                    <div className="flex items-center gap-2 shrink-0">
-                      <span className="text-[11px] text-stone-400">{formatRelativeDate(entry.timestamp)}</span>
-                      <svg className="w-3.5 h-3.5 text-stone-300 group-hover:text-teal-500 transition-colors" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                        <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-                      </svg>
-                    </div>
+                    {preset.label} <span className="font-normal opacity-70">{preset.course}</span>
                   </button>
-                );
-              })}
+                ))}
+                <button
+                  onClick={() => setCustomPool(true)}
+                  className={`rounded-lg px-4 py-2 text-sm font-semibold transition-all ${
+                    customPool
+                      ? "bg-white text-teal-700 shadow-sm"
+                      : "text-stone-500 hover:text-stone-700"
+                  }`}
+                >
+                  Custom
+                </button>
+              </div>
+              {customPool && (
+                <div className="flex items-center gap-1.5">
+                  <input
+                    type="number"
+                    min={MIN_POOL_LENGTH}
+                    max={MAX_POOL_LENGTH}
+                    defaultValue={poolLength}
+                    onChange={(e) => {
+                      const length = parseInt(e.target.value, 10);
+                      if (isValidPoolLength(length)) setPoolLength(length);
+                    }}
+                    aria-label="Pool length"
+                    className="w-20 rounded-lg bg-white border border-stone-200 px-3 py-2 font-mono text-sm text-stone-700 focus:border-teal-400 focus:outline-none"
+                  />
+                  {(["yards", "meters"] as const).map((u) => (
+                    <button
+                      key={u}
+                      onClick={() => unit !== u && handleUnitChange(u)}
+                      className={`rounded-lg px-3 py-2 text-sm font-semibold transition-all ${
+                        unit === u
+                          ? "bg-teal-600 text-white shadow-sm"
+                          : "bg-white/70 text-stone-500 border border-stone-200 hover:text-stone-700"
+                      }`}
+                    >
+                      {u === "yards" ? "y" : "m"}
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
+            {customPool && (
+              <p className="mt-1.5 text-[11px] text-stone-400">
+                Sets snap to whole lengths of a {poolLabel(poolLength, unit)} pool.
+              </p>
+            )}
           </div>
         )}
+      </div>
 
-        {/* Generate button */}
-        <button
-          onClick={() => generate()}
-          className="group relative w-full rounded-2xl px-6 py-4 text-lg font-bold text-white shadow-lg shadow-teal-400/30 hover:shadow-xl hover:shadow-teal-400/40 transition-all active:scale-[0.98] overflow-hidden"
-          style={{
-            background: "linear-gradient(135deg, #0d9488, #0891b2, #06b6d4, #0d9488)",
-            backgroundSize: "300% 300%",
-            animation: "gradientShift 6s ease infinite",
-          }}
+      {mode === "log" && <LogMode unit={unit} />}
+
+      {/* Plans and lane sheets stay mounted, so switching modes and back keeps them. */}
+      <div hidden={mode !== "plan"}>
+        <PlanMode
+          unit={unit}
+          poolLength={poolLength}
+          duration={duration}
+          pace={pace}
+          css={activeCss}
+          equipment={equipment}
+          openWorkout={workout}
+          onOpenSession={openPlanSession}
         >
-          <span className="relative z-10">
-            {workout ? "New Workout" : "Generate Workout"}
-          </span>
-          <ChevronPattern className="absolute inset-0 w-full h-full text-white opacity-30" />
-        </button>
+          {mode === "plan" && settings}
+        </PlanMode>
       </div>
 
+      <div hidden={mode !== "lanes"}>
+        <LanesMode unit={unit} poolLength={poolLength} duration={duration} focus={focus} equipment={equipment}>
+          {mode === "lanes" && settings}
+        </LanesMode>
+      </div>
+
+      {(mode === "workout" || mode === "import") && (
+        <div className="mt-6 space-y-6 print:hidden">
+          {settings}
+
+          {/* Recent workouts */}
+          {history.length > 0 && (
+            <div>
+              <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+                Recent
+              </label>
+              <div className="space-y-1.5">
+                {history.map((entry, i) => {
+                  const unitLabel = entry.unit === "meters" ? "m" : "y";
+                  return (
+                    <button
+                      key={i}
+                      onClick={() => loadFromHistory(entry)}
+                      className="w-full flex items-center justify-between gap-3 rounded-xl bg-white/70 border border-stone-200 px-4 py-2.5 text-left hover:border-teal-300 hover:bg-white transition-all group"
+                    >
+                      <div className="flex-1 min-w-0">
+                        <div className="text-sm font-semibold text-stone-700 group-hover:text-teal-700 truncate">
+                          {entry.name}
+                        </div>
+                        <div className="text-[11px] text-stone-400 mt-0.5">
+                          {entry.totalDistance.toLocaleString()}{unitLabel} · ~{entry.estimatedMinutes} min · {entry.css ? `CSS ${entry.css}` : entry.pace}/100{unitLabel}
+                        </div>
+                      </div>
+                      <div className="flex items-center gap-2 shrink-0">
+                        <span className="text-[11px] text-stone-400">{formatRelativeDate(entry.timestamp)}</span>
+                        <svg className="w-3.5 h-3.5 text-stone-300 group-hover:text-teal-500 transition-colors" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                          <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                        </svg>
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <BuildButton
+            onClick={() => {
+              if (mode === "import") importWorkout(importText, unit, pace, poolLength);
+              else generate();
+            }}
+          >
+            {mode === "import" ? "Import Workout" : workout && !planLink ? "New Workout" : "Generate Workout"}
+          </BuildButton>
+        </div>
+      )}
+
       {/* ─── Workout Display ───────────────────────────────────────────── */}
-      {workout && (
+      {workout && mode !== "log" && mode !== "lanes" && (
         <div
           ref={workoutRef}
           className={`mt-10 print:hidden ${animating ? "animate-fadeIn" : ""}`}
         >
           {/* Workout header card */}
-          <div className="relative overflow-hidden rounded-2xl bg-gradient-to-br from-teal-700 via-teal-600 to-cyan-600 p-6 sm:p-8 text-white shadow-xl shadow-teal-900/20">
-            <ChevronPattern className="absolute inset-0 w-full h-full text-white" />
-            <div className="relative z-10">
-              <h2 className="text-2xl sm:text-3xl font-extrabold tracking-tight">
-                {workout.name}
-              </h2>
-              <div className="mt-3 flex flex-wrap gap-3 text-sm">
-                <span className="inline-flex items-center gap-1.5 rounded-full bg-white/20 backdrop-blur-sm px-3 py-1 font-semibold">
-                  🏊 {workout.totalDistance.toLocaleString()} {unitLabel}
-                </span>
-                <span className="inline-flex items-center gap-1.5 rounded-full bg-white/20 backdrop-blur-sm px-3 py-1 font-semibold">
-                  ⏱ ~{workout.estimatedMinutes} min
-                </span>
-                <span className="inline-flex items-center gap-1.5 rounded-full bg-white/20 backdrop-blur-sm px-3 py-1 font-semibold">
-                  💨 {workout.pace}/100{unitLabel}
-                </span>
-              </div>
-            </div>
-          </div>
+          <ResultHeader title={workout.name}>
+            <HeaderBadge>🏊 {workout.totalDistance.toLocaleString()} {unitLabel}</HeaderBadge>
+            {workout.poolLength && (
+              <HeaderBadge>📏 {workout.poolLength}{unitLabel} pool</HeaderBadge>
+            )}
+            <HeaderBadge>⏱ ~{workout.estimatedMinutes} min</HeaderBadge>
+            <HeaderBadge>💨 {workout.pace}/100{unitLabel}</HeaderBadge>
+            {workout.css && (
+              <HeaderBadge>🎯 CSS {workout.css}/100{unitLabel}</HeaderBadge>
+            )}
+          </ResultHeader>
 
           {/* Sections */}
           <div className="mt-6 space-y-4">
@@ -677,19 +912,15 @@ export default function SwimWorkout() {
 
           {/* Action buttons */}
           <div className="mt-6 flex flex-wrap gap-3 print:hidden">
-            <button
-              onClick={() => generate(false)}
-              className="flex items-center gap-2 rounded-xl bg-white/70 border border-stone-200 px-5 py-2.5 text-sm font-semibold text-stone-700 shadow-sm hover:bg-white hover:border-teal-300 hover:text-teal-700 transition-all active:scale-[0.97] backdrop-blur-sm"
-            >
-              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
-              </svg>
-              Shuffle
-            </button>
-            <button
-              onClick={copyText}
-              className="flex items-center gap-2 rounded-xl bg-white/70 border border-stone-200 px-5 py-2.5 text-sm font-semibold text-stone-700 shadow-sm hover:bg-white hover:border-teal-300 hover:text-teal-700 transition-all active:scale-[0.97] backdrop-blur-sm"
-            >
+            {!planLink && !imported && (
+              <ActionButton onClick={() => generate(false)}>
+                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                  <path strokeLinecap="round" strokeLinejoin="round" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15" />
+                </svg>
+                Shuffle
+              </ActionButton>
+            )}
+            <ActionButton onClick={copyText}>
               {copiedText ? (
                 <svg className="w-4 h-4 text-teal-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
                   <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
@@ -700,37 +931,65 @@ export default function SwimWorkout() {
                 </svg>
               )}
               {copiedText ? "Copied!" : "Copy"}
-            </button>
-            <button
-              onClick={copyLink}
-              className="flex items-center gap-2 rounded-xl bg-white/70 border border-stone-200 px-5 py-2.5 text-sm font-semibold text-stone-700 shadow-sm hover:bg-white hover:border-teal-300 hover:text-teal-700 transition-all active:scale-[0.97] backdrop-blur-sm"
-            >
-              {copiedLink ? (
-                <svg className="w-4 h-4 text-teal-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
-                </svg>
-              ) : (
-                <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
-                  <path strokeLinecap="round" strokeLinejoin="round" d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
-                </svg>
-              )}
-              {copiedLink ? "Copied!" : "Share"}
-            </button>
-            <button
-              onClick={handlePrint}
-              className="flex items-center gap-2 rounded-xl bg-white/70 border border-stone-200 px-5 py-2.5 text-sm font-semibold text-stone-700 shadow-sm hover:bg-white hover:border-teal-300 hover:text-teal-700 transition-all active:scale-[0.97] backdrop-blur-sm"
-            >
+            </ActionButton>
+            {!imported && (
+              <ActionButton onClick={copyLink}>
+                {copiedLink ? (
+                  <svg className="w-4 h-4 text-teal-600" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+                  </svg>
+                ) : (
+                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                    <path strokeLinecap="round" strokeLinejoin="round" d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1" />
+                  </svg>
+                )}
+                {copiedLink ? "Copied!" : "Share"}
+              </ActionButton>
+            )}
+            <ActionButton onClick={handlePrint}>
               <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
                 <path strokeLinecap="round" strokeLinejoin="round" d="M17 17h2a2 2 0 002-2v-4a2 2 0 00-2-2H5a2 2 0 00-2 2v4a2 2 0 002 2h2m2 4h6a2 2 0 002-2v-4a2 2 0 00-2-2H9a2 2 0 00-2 2v4a2 2 0 002 2zm8-12V5a2 2 0 00-2-2H9a2 2 0 00-2 2v4h10z" />
               </svg>
               Print
-            </button>
+            </ActionButton>
+            <ActionButton onClick={exportFit} title="Download a FIT workout file for Garmin and other watches">
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              .FIT
+            </ActionButton>
+            <ActionButton onClick={exportJson} title="Download a Garmin Connect-style structured workout">
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
+              </svg>
+              JSON
+            </ActionButton>
+            <ActionButton
+              onClick={() => setLogging((open) => !open)}
+              disabled={loggedWorkout === workout}
+              title="Record your time, effort and notes for this swim"
+              className="disabled:opacity-60 disabled:hover:border-stone-200 disabled:hover:text-stone-700"
+            >
+              <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}>
+                <path strokeLinecap="round" strokeLinejoin="round" d="M5 13l4 4L19 7" />
+              </svg>
+              {loggedWorkout === workout ? "Logged" : "Log swim"}
+            </ActionButton>
           </div>
+
+          {logging && loggedWorkout !== workout && (
+            <LogSessionForm
+              key={`${workout.seed ?? workout.name}-${workout.totalDistance}`}
+              workout={workout}
+              onSave={saveLoggedSession}
+              onCancel={() => setLogging(false)}
+            />
+          )}
         </div>
       )}
 
       {/* ─── Print-only view (clean, single-page layout) ─────────────── */}
-      <PrintWorkout workout={workout} />
+      {mode !== "lanes" && <PrintWorkout workout={workout} />}
     </>
   );
 }
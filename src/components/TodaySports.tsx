@@ -1,12 +1,13 @@
 import { useEffect, useState } from "react";
 import {
   fetchEventsForLeagues,
-  getTrackedTeamsContext,
+  loadTrackedTeamsContext,
   isPreEvent,
   trackedGames,
   yyyymmddInPT,
 } from "../lib/wtwtwSports";
 import { formatHourMinuteInTz, PACIFIC_TZ } from "../lib/dateFormat";
+import { seriesStatusLabel } from "../lib/playoffs/series";
 
 interface TodayGame {
   id: string;
@@ -16,6 +17,7 @@ interface TodayGame {
   startTime: string;
   startSortKey: number;
   isPlayoff: boolean;
+  seriesLabel: string | null;
   accent: string;
 }
 
@@ -27,7 +29,7 @@ export default function TodaySports() {
     let cancelled = false;
 
     async function load() {
-      const { leagues, lookup } = getTrackedTeamsContext();
+      const { leagues, lookup } = await loadTrackedTeamsContext();
 
       const ymd = yyyymmddInPT(new Date());
       const results = await fetchEventsForLeagues(leagues, ymd);
@@ -48,6 +50,7 @@ export default function TodaySports() {
           startTime: formatHourMinuteInTz(event.date, PACIFIC_TZ) + " PT",
           startSortKey: new Date(event.date).getTime(),
           isPlayoff: match.isPlayoff,
+          seriesLabel: match.series ? seriesStatusLabel(match.series) : null,
           accent: match.accent,
         });
       }
@@ -76,7 +79,13 @@ export default function TodaySports() {
           key={g.id}
           className="schedule-chip"
           style={{ borderLeftColor: g.accent }}
-          title={g.isPlayoff ? "NBA Playoffs · " + g.startTime : g.startTime}
+          title={
+            g.seriesLabel
+              ? `${g.seriesLabel} · ${g.startTime}`
+              : g.isPlayoff
+                ? "Playoffs · " + g.startTime
+                : g.startTime
+          }
         >
           <span className="schedule-teams">
             <span>{g.awayAbbr}</span>
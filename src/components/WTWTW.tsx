@@ -6,11 +6,49 @@ import {
   getTeam,
   getTeamsByLeague,
 } from "../lib/teamRegistry";
-import { safeGet, safeSet } from "../lib/localStorage";
+import { safeGet } from "../lib/localStorage";
 import { fetchEspnScoreboard, formatYYYYMMDD } from "../lib/sportsCore";
 import { toErrMsg } from "../lib/apiHelpers";
 import { formatHourMinute, formatHourMinuteInTz } from "../lib/dateFormat";
 import { msSince } from "../lib/time";
+import { useCopyToClipboard } from "../hooks/useCopyToClipboard";
+import { useSpoilerShield } from "../hooks/useSpoilerShield";
+import {
+  WTWTW_LS_KEY,
+  createSharedProfile,
+  forgetProfile,
+  markRecapSeen,
+  readProfileId,
+  readSeenRecaps,
+  readWatchServices,
+  saveWatchPrefs,
+  saveWatchServices,
+  setSpoilerShield,
+  syncWatchProfile,
+} from "../lib/watchProfile/client";
+import {
+  WATCH_TIER_LABELS,
+  espnEventKey,
+  finishedGameTier,
+  watchTierStars,
+  type ESPNEvent,
+} from "../lib/wtwtwSports";
+import { profileUrl } from "../lib/watchProfile/profile";
+import {
+  STREAMING_SERVICES,
+  TV_MARKETS,
+  type StreamingService,
+  type WatchServices,
+} from "../lib/watchProfile/services";
+import {
+  disableLiveAlerts,
+  enableLiveAlerts,
+  pushSupported,
+  readLiveAlertSettings,
+  setBigInningAlerts,
+  updateLiveAlerts,
+  type LiveAlertSettings,
+} from "../lib/push/client";
 
 // ── Types ──────────────────────────────────────────────────────────────────
 
@@ -19,35 +57,6 @@ interface DayInfo {
   yyyymmdd: string;
 }
 
-interface ESPNCompetitor {
-  team?: {
-    displayName?: string;
-    abbreviation?: string;
-  };
-  homeAway?: string;
-  score?: string;
-}
-
-interface ESPNGameStatus {
-  type?: {
-    name?: string;
-    shortDetail?: string;
-    description?: string;
-  };
-  displayClock?: string;
-  period?: number;
-}
-
-interface ESPNEvent {
-  date: string;
-  name?: string;
-  competitions?: Array<{
-    competitors?: ESPNCompetitor[];
-    status?: ESPNGameStatus;
-    broadcasts?: Array<{ names?: string[] }>;
-  }>;
-}
-
 interface Candidate {
   priorityIndex: number;
   team: TeamEntry;
@@ -91,10 +100,10 @@ function tzAbbr(iana: string): string {
 
 // ── localStorage ───────────────────────────────────────────────────────────
 
-const LS_KEY = "wtwtw:v1";
-
+// The local copy of the watch profile; `saveWatchPrefs` also pushes it to the shared
+// profile when this device has joined one.
 function loadPrefs(): WTWTWPrefs {
-  const parsed = safeGet<{ teams: unknown; timezone: unknown }>(LS_KEY);
+  const parsed = safeGet<{ teams: unknown; timezone: unknown }>(WTWTW_LS_KEY);
   if (parsed && Array.isArray(parsed.teams) && typeof parsed.timezone === "string") {
     const valid = (parsed.teams as string[]).filter(
       (k) => TEAM_REGISTRY[k] !== undefined
@@ -105,7 +114,7 @@ function loadPrefs(): WTWTWPrefs {
 }
 
 function savePrefs(prefs: WTWTWPrefs): void {
-  safeSet(LS_KEY, prefs);
+  saveWatchPrefs(prefs);
 }
 
 // ── ESPN helpers ────────────────────────────────────────────────────────────
@@ -228,9 +237,15 @@ function getBroadcastNames(event: ESPNEvent): string[] {
   return names.slice(0, 3);
 }
 
+/** `★★☆ Worth a watch` — what a shielded final shows instead of its status and score. */
+function tierText(event: ESPNEvent): string {
+  const tier = finishedGameTier(event);
+  return `${watchTierStars(tier)} ${WATCH_TIER_LABELS[tier]}`;
+}
+
 // ── Game Status Badge ──────────────────────────────────────────────────────
 
-function GameStatusBadge({ event }: { event: ESPNEvent }) {
+function GameStatusBadge({ event, shielded }: { event: ESPNEvent; shielded: boolean }) {
   const state = getGameState(event);
   const detail = getStatusDetail(event);
 
@@ -271,7 +286,7 @@ function GameStatusBadge({ event }: { event: ESPNEvent }) {
           fontFamily: "'JetBrains Mono', monospace",
         }}
       >
-        {detail || "FINAL"}
+        {shielded ? tierText(event) : detail || "FINAL"}
       </span>
     );
   }
@@ -281,10 +296,35 @@ function GameStatusBadge({ event }: { event: ESPNEvent }) {
 
 // ── Score Display ──────────────────────────────────────────────────────────
 
-function ScoreDisplay({ event }: { event: ESPNEvent }) {
+function ScoreDisplay({
+  event,
+  shielded,
+  onReveal,
+}: {
+  event: ESPNEvent;
+  shielded: boolean;
+  onReveal: () => void;
+}) {
   const scores = getScores(event);
   if (!scores) return null;
 
+  if (shielded) {
+    return (
+      <button
+        onClick={onReveal}
+        className="mt-2 w-full rounded-lg px-3 py-2 text-xs font-medium text-left transition-colors"
+        style={{
+          background: "rgba(255,255,255,0.04)",
+          border: "1px solid rgba(255,255,255,0.06)",
+          color: "rgba(255,255,255,0.45)",
+          fontFamily: "'JetBrains Mono', monospace",
+        }}
+      >
+        Score hidden · tap to reveal
+      </button>
+    );
+  }
+
   const comps = event.competitions?.[0]?.competitors || [];
   const awayTeam = comps.find((c) => c.homeAway === "away");
   const homeTeam = comps.find((c) => c.homeAway === "home");
@@ -341,6 +381,322 @@ function ScoreDisplay({ event }: { event: ESPNEvent }) {
   );
 }
 
+// ── Shared profile ─────────────────────────────────────────────────────────
+
+function SharedProfileSection() {
+  const [profileId, setProfileId] = useState<string | null>(() => readProfileId());
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  const { copied, copy } = useCopyToClipboard();
+  const link = profileId ? profileUrl(window.location.origin, profileId) : null;
+
+  async function share() {
+    setBusy(true);
+    setMessage(null);
+    const result = await createSharedProfile();
+    setBusy(false);
+    if (typeof result === "string") setMessage(result);
+    else setProfileId(result.id);
+  }
+
+  function leave() {
+    forgetProfile();
+    setProfileId(null);
+  }
+
+  const buttonStyle = {
+    color: "rgba(255,255,255,0.6)",
+    background: "rgba(255,255,255,0.05)",
+  };
+
+  return (
+    <div className="mb-5">
+      <label
+        className="block text-xs font-medium mb-2 uppercase tracking-wider"
+        style={{ color: "rgba(255,255,255,0.4)" }}
+      >
+        Shared across devices
+      </label>
+      {link ? (
+        <>
+          <div className="flex flex-wrap items-center gap-2">
+            <code
+              className="text-xs px-2 py-1 rounded truncate max-w-full"
+              style={{ background: "rgba(255,255,255,0.05)", color: "#a5b4fc" }}
+            >
+              {link}
+            </code>
+            <button
+              onClick={() => copy(link)}
+              className="text-xs font-medium px-3 py-1 rounded-full transition-colors"
+              style={buttonStyle}
+            >
+              {copied ? "Copied!" : "Copy link"}
+            </button>
+            <button
+              onClick={leave}
+              className="text-xs font-medium px-3 py-1 rounded-full transition-colors"
+              style={buttonStyle}
+            >
+              Stop syncing here
+            </button>
+          </div>
+          <p className="text-xs mt-2" style={{ color: "rgba(255,255,255,0.3)" }}>
+            Open this link on the TV, phone or laptop — they'll all follow the same teams and recaps.
+          </p>
+        </>
+      ) : (
+        <div className="flex flex-wrap items-center gap-3">
+          <button
+            onClick={share}
+            disabled={busy}
+            className="text-xs font-medium px-3 py-1.5 rounded-full transition-colors"
+            style={buttonStyle}
+          >
+            {busy ? "Creating…" : "Create a shared profile"}
+          </button>
+          <span className="text-xs" style={{ color: "rgba(255,255,255,0.3)" }}>
+            {message ?? "Teams are saved on this device only."}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ── Calendar feed ──────────────────────────────────────────────────────────
+
+/** webcal:// link to the ICS feed — follows the shared profile when there is one. */
+function calendarFeedUrl(teams: string[]): string {
+  const url = new URL("/api/wtwtw/calendar.ics", window.location.origin);
+  const profileId = readProfileId();
+  if (profileId) url.searchParams.set("profile", profileId);
+  else url.searchParams.set("teams", teams.join(","));
+  return url.toString().replace(/^https?:/, "webcal:");
+}
+
+function CalendarFeedSection({ teams }: { teams: string[] }) {
+  const { copied, copy } = useCopyToClipboard();
+  if (teams.length === 0) return null;
+  const feed = calendarFeedUrl(teams);
+  const buttonStyle = {
+    color: "rgba(255,255,255,0.6)",
+    background: "rgba(255,255,255,0.05)",
+  };
+
+  return (
+    <div className="mb-5">
+      <label
+        className="block text-xs font-medium mb-2 uppercase tracking-wider"
+        style={{ color: "rgba(255,255,255,0.4)" }}
+      >
+        Calendar
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <a
+          href={feed}
+          className="text-xs font-medium px-3 py-1.5 rounded-full transition-colors"
+          style={buttonStyle}
+        >
+          Subscribe
+        </a>
+        <button
+          onClick={() => copy(feed)}
+          className="text-xs font-medium px-3 py-1.5 rounded-full transition-colors"
+          style={buttonStyle}
+        >
+          {copied ? "Copied!" : "Copy feed URL"}
+        </button>
+        <span className="text-xs" style={{ color: "rgba(255,255,255,0.3)" }}>
+          Next two weeks of games, with where to watch.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// ── Spoiler shield ─────────────────────────────────────────────────────────
+
+function SpoilerShieldSection() {
+  const shielded = useSpoilerShield();
+  return (
+    <div className="mb-5">
+      <label
+        className="block text-xs font-medium mb-2 uppercase tracking-wider"
+        style={{ color: "rgba(255,255,255,0.4)" }}
+      >
+        Spoilers
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={() => setSpoilerShield(!shielded)}
+          aria-pressed={shielded}
+          className="text-xs font-medium px-3 py-1.5 rounded-full transition-all"
+          style={{
+            background: shielded ? "rgba(99, 102, 241, 0.3)" : "rgba(255,255,255,0.05)",
+            color: shielded ? "#a5b4fc" : "rgba(255,255,255,0.6)",
+            border: shielded ? "1px solid rgba(99, 102, 241, 0.4)" : "1px solid transparent",
+          }}
+        >
+          {shielded ? "Hiding scores" : "Hide scores"}
+        </button>
+        <span className="text-xs" style={{ color: "rgba(255,255,255,0.3)" }}>
+          Here and on the TV, finals show stars instead of scores until you've watched them.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// ── My services ────────────────────────────────────────────────────────────
+
+function MyServicesSection({ teams }: { teams: string[] }) {
+  const [watch, setWatch] = useState<WatchServices | null>(null);
+  // Read after mount so the server render and hydration agree.
+  useEffect(() => setWatch(readWatchServices()), []);
+  if (!watch) return null;
+
+  function update(next: WatchServices) {
+    setWatch(next);
+    saveWatchServices(next);
+    // Alert taps route the same way, so the push signup carries the services too.
+    void updateLiveAlerts(teams);
+  }
+
+  function toggleService(key: StreamingService) {
+    const owned = new Set(watch!.services);
+    if (owned.has(key)) owned.delete(key);
+    else owned.add(key);
+    update({ ...watch!, services: STREAMING_SERVICES.map((s) => s.key).filter((k) => owned.has(k)) });
+  }
+
+  return (
+    <div className="mb-5">
+      <label
+        className="block text-xs font-medium mb-2 uppercase tracking-wider"
+        style={{ color: "rgba(255,255,255,0.4)" }}
+      >
+        My services
+      </label>
+      <div className="flex flex-wrap gap-2">
+        {STREAMING_SERVICES.map((service) => {
+          const on = watch.services.includes(service.key);
+          return (
+            <button
+              key={service.key}
+              onClick={() => toggleService(service.key)}
+              aria-pressed={on}
+              className="text-xs font-medium px-3 py-1.5 rounded-full transition-all"
+              style={{
+                background: on ? "rgba(99, 102, 241, 0.3)" : "rgba(255,255,255,0.05)",
+                color: on ? "#a5b4fc" : "rgba(255,255,255,0.6)",
+                border: on ? "1px solid rgba(99, 102, 241, 0.4)" : "1px solid transparent",
+              }}
+            >
+              {service.label}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 mt-3">
+        <select
+          value={watch.homeMarket ?? ""}
+          onChange={(e) => update({ ...watch, homeMarket: e.target.value || null })}
+          aria-label="Home TV market"
+          className="text-xs font-medium px-3 py-1.5 rounded-full focus:outline-none"
+          style={{ background: "rgba(255,255,255,0.05)", color: "rgba(255,255,255,0.7)", border: "1px solid transparent" }}
+        >
+          <option value="">No home market</option>
+          {TV_MARKETS.map((m) => (
+            <option key={m.key} value={m.key}>
+              {m.label}
+            </option>
+          ))}
+        </select>
+        <span className="text-xs" style={{ color: "rgba(255,255,255,0.3)" }}>
+          Watch links open the service that has the game — local teams on the regional channel, not a blacked-out package.
+        </span>
+      </div>
+    </div>
+  );
+}
+
+// ── Live alerts ────────────────────────────────────────────────────────────
+
+function LiveAlertsSection({ teams }: { teams: string[] }) {
+  const [supported, setSupported] = useState(false);
+  const [settings, setSettings] = useState<LiveAlertSettings | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState<string | null>(null);
+  // Read after mount so the server render and hydration agree.
+  useEffect(() => {
+    setSupported(pushSupported());
+    setSettings(readLiveAlertSettings());
+  }, []);
+  if (!supported) return null;
+  const on = settings !== null;
+  const toggleStyle = (active: boolean) => ({
+    background: active ? "rgba(99, 102, 241, 0.3)" : "rgba(255,255,255,0.05)",
+    color: active ? "#a5b4fc" : "rgba(255,255,255,0.6)",
+    border: active ? "1px solid rgba(99, 102, 241, 0.4)" : "1px solid transparent",
+  });
+
+  async function toggle() {
+    setBusy(true);
+    setMessage(null);
+    if (on) {
+      await disableLiveAlerts();
+      setSettings(null);
+    } else {
+      const result = await enableLiveAlerts(teams, true);
+      if (result === true) setSettings(readLiveAlertSettings());
+      else setMessage(result);
+    }
+    setBusy(false);
+  }
+
+  function toggleBigInning() {
+    const next = { bigInning: !settings?.bigInning };
+    setSettings(next);
+    void setBigInningAlerts(teams, next.bigInning);
+  }
+
+  return (
+    <div className="mb-5">
+      <label
+        className="block text-xs font-medium mb-2 uppercase tracking-wider"
+        style={{ color: "rgba(255,255,255,0.4)" }}
+      >
+        Live alerts
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        <button
+          onClick={toggle}
+          disabled={busy}
+          aria-pressed={on}
+          className="text-xs font-medium px-3 py-1.5 rounded-full transition-all"
+          style={toggleStyle(on)}
+        >
+          {busy ? "…" : on ? "Alerts on" : "Turn on alerts"}
+        </button>
+        {on && (
+          <button
+            onClick={toggleBigInning}
+            aria-pressed={settings.bigInning}
+            className="text-xs font-medium px-3 py-1.5 rounded-full transition-all"
+            style={toggleStyle(settings.bigInning)}
+          >
+            Big Inning
+          </button>
+        )}
+        <span className="text-xs" style={{ color: "rgba(255,255,255,0.3)" }}>
+          {message ?? "A buzz when your team's game gets close or goes to overtime."}
+        </span>
+      </div>
+    </div>
+  );
+}
+
 // ── Settings Panel ─────────────────────────────────────────────────────────
 
 function SettingsPanel({
@@ -468,6 +824,16 @@ function SettingsPanel({
         </div>
       </div>
 
+      <SharedProfileSection />
+
+      <CalendarFeedSection teams={prefs.teams} />
+
+      <SpoilerShieldSection />
+
+      <MyServicesSection teams={prefs.teams} />
+
+      <LiveAlertsSection teams={prefs.teams} />
+
       {/* My Teams */}
       <div className="mb-5">
         <label
@@ -649,11 +1015,37 @@ export default function WTWTW() {
   >(new Map());
   const [lastRefresh, setLastRefresh] = useState<Date | null>(null);
   const [refreshing, setRefreshing] = useState(false);
+  const spoilerShield = useSpoilerShield();
+  const [seenRecaps, setSeenRecaps] = useState<Set<string>>(() => readSeenRecaps());
 
   useEffect(() => {
     savePrefs(prefs);
   }, [prefs]);
 
+  // Alerts follow the teams, including ones picked on another device sharing the profile.
+  useEffect(() => {
+    void updateLiveAlerts(prefs.teams);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [prefs.teams.join(",")]);
+
+  // Pick up changes made on another device sharing this profile.
+  useEffect(() => {
+    let alive = true;
+    const hadTeams = prefs.teams.length > 0;
+    syncWatchProfile().then((state) => {
+      if (!alive) return;
+      setPrefs((prev) =>
+        prev.teams.join(",") === state.teams.join(",") && prev.timezone === state.timezone
+          ? prev
+          : { teams: state.teams, timezone: state.timezone },
+      );
+      if (!hadTeams && state.teams.length > 0) setSettingsOpen(false);
+      setSeenRecaps(new Set(state.seenRecaps));
+    });
+    return () => { alive = false; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
   const teams = useMemo(
     () =>
       prefs.teams
@@ -711,6 +1103,18 @@ export default function WTWTW() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [teamKeys]);
 
+  // Seen marks are shared with the /tv recap tiles, so revealing here reveals there.
+  function isShielded(c: Candidate): boolean {
+    if (!spoilerShield || getGameState(c.event) === "scheduled") return false;
+    return !seenRecaps.has(espnEventKey(c.team.league, c.event));
+  }
+
+  function revealScore(c: Candidate) {
+    const key = espnEventKey(c.team.league, c.event);
+    markRecapSeen(key);
+    setSeenRecaps((prev) => new Set(prev).add(key));
+  }
+
   const picks = useMemo<DayPick[]>(() => {
     if (teams.length === 0 || rawData.size === 0) return [];
     return days.map((day) => {
@@ -871,6 +1275,7 @@ export default function WTWTW() {
             const broadcasts = pick ? getBroadcastNames(pick.event) : [];
             const gameState = pick ? getGameState(pick.event) : "scheduled";
             const today = isToday(day.yyyymmdd);
+            const pickShielded = !!pick && isShielded(pick);
 
             return (
               <div
@@ -912,7 +1317,7 @@ export default function WTWTW() {
                       </span>
                     )}
                   </div>
-                  {pick && <GameStatusBadge event={pick.event} />}
+                  {pick && <GameStatusBadge event={pick.event} shielded={pickShielded} />}
                 </div>
 
                 {pick ? (
@@ -971,7 +1376,11 @@ export default function WTWTW() {
 
                       {/* Score display for live/final games */}
                       {(gameState === "live" || gameState === "final") && (
-                        <ScoreDisplay event={pick.event} />
+                        <ScoreDisplay
+                          event={pick.event}
+                          shielded={pickShielded}
+                          onReveal={() => revealScore(pick)}
+                        />
                       )}
                     </div>
 
@@ -995,6 +1404,7 @@ export default function WTWTW() {
                           const otherState = getGameState(other.event);
                           const otherScores = otherState !== "scheduled" ? getScores(other.event) : null;
                           const otherDetail = getStatusDetail(other.event);
+                          const otherShielded = isShielded(other);
                           return (
                             <div
                               key={`${other.event.date}|${other.event.name}`}
@@ -1018,8 +1428,11 @@ export default function WTWTW() {
                                     color: otherState === "live" ? "#22c55e" : "rgba(255,255,255,0.3)",
                                   }}
                                 >
-                                  {otherScores.away}–{otherScores.home}
-                                  {otherDetail ? ` · ${otherDetail}` : ""}
+                                  {!otherShielded
+                                    ? `${otherScores.away}–${otherScores.home}${otherDetail ? ` · ${otherDetail}` : ""}`
+                                    : otherState === "final"
+                                      ? tierText(other.event)
+                                      : otherDetail || "LIVE"}
                                 </span>
                               ) : (
                                 <span
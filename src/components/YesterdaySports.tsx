@@ -6,7 +6,8 @@ import {
   fetchEventsForLeagues,
   fetchMlbGamePks,
   fetchWnbaGameIds,
-  getTrackedTeamsContext,
+  finishedGameTier,
+  loadTrackedTeamsContext,
   isFinalEvent,
   isLatestStartedEventForTrackedTeams,
   latestStartedAtByTrackedTeam,
@@ -16,13 +17,19 @@ import {
   teamSideOf,
   trackedGames,
   watchRecordingUrl,
+  watchTierStars,
   yyyymmddInPT,
   DEFAULT_TEAM_ACCENT,
+  WATCH_TIER_LABELS,
   type ESPNCompetitor,
   type ESPNEvent,
   type TeamSide as TeamSideBase,
+  type WatchTier,
 } from "../lib/wtwtwSports";
 import { MS_PER_DAY } from "../lib/time";
+import { seriesStatusLabel, type SeriesState } from "../lib/playoffs/series";
+import { markRecapSeen, readSeenRecaps, readWatchServices } from "../lib/watchProfile/client";
+import { useSpoilerShield } from "../hooks/useSpoilerShield";
 import RecapMatchup from "./RecapMatchup";
 
 interface YesterdayGame {
@@ -32,12 +39,17 @@ interface YesterdayGame {
   away: TeamSide;
   home: TeamSide;
   isPlayoff: boolean;
+  /** Where the playoff series stood going into this game. */
+  series: SeriesState | null;
   isBestWnba: boolean;
   wnbaBadge?: string;
   statusText: string;
+  tier: WatchTier;
   watchHref: string;
   watchLabel: string;
   accent: string;
+  /** Used instead of `accent` while shielded, when `accent` follows the winner. */
+  shieldedAccent?: string;
 }
 
 interface TeamSide extends TeamSideBase {
@@ -52,7 +64,12 @@ function teamSide(c: ESPNCompetitor): TeamSide {
   return { ...teamSideOf(c), winner: !!c.winner };
 }
 
-function recapTitle(g: YesterdayGame): string {
+function tierText(g: YesterdayGame): string {
+  return `${watchTierStars(g.tier)} ${WATCH_TIER_LABELS[g.tier]}`;
+}
+
+function recapTitle(g: YesterdayGame, shielded: boolean): string {
+  if (shielded) return `${g.away.shortName} @ ${g.home.shortName} · ${tierText(g)}`;
   if (isBasketballLeague(g.league)) {
     return `${g.away.shortName} @ ${g.home.shortName} · ${g.statusText}`;
   }
@@ -63,8 +80,18 @@ function recapEventId(league: string, iso: string, ev: ESPNEvent): string {
   return espnEventKey(league, ev, iso);
 }
 
-function recapBadge(g: YesterdayGame): string {
+function recapBadge(g: YesterdayGame, shielded: boolean): string {
+  if (shielded) {
+    // The series as it stood going in says what was at stake without saying who won.
+    const playoffLead = g.series ? seriesStatusLabel(g.series) : "Playoff";
+    const lead = g.isBestWnba ? g.wnbaBadge || "Best WNBA game" : g.isPlayoff ? playoffLead : null;
+    return lead ? `${lead} · ${tierText(g)}` : tierText(g);
+  }
   if (g.isBestWnba) return g.wnbaBadge || "Best WNBA game";
+  if (g.series) {
+    const game = `Game ${g.series.gameNumber} · Final`;
+    return g.series.summary ? `${game} · ${g.series.summary}` : game;
+  }
   if (g.isPlayoff) return "Playoff · Final";
   return "Final";
 }
@@ -72,12 +99,16 @@ function recapBadge(g: YesterdayGame): string {
 export default function YesterdaySports() {
   const [games, setGames] = useState<YesterdayGame[]>([]);
   const [ready, setReady] = useState(false);
+  // Recaps someone in the household already opened, on any screen sharing the profile.
+  const [seenRecaps, setSeenRecaps] = useState<Set<string>>(() => new Set());
+  const spoilerShield = useSpoilerShield();
 
   useEffect(() => {
     let cancelled = false;
 
     async function load() {
-      const { leagues, lookup } = getTrackedTeamsContext();
+      const { leagues, lookup } = await loadTrackedTeamsContext();
+      const services = readWatchServices();
 
       const days = [new Date(), new Date(Date.now() - MS_PER_DAY)].map((d) => {
         const ymd = yyyymmddInPT(d);
@@ -133,7 +164,7 @@ export default function YesterdaySports() {
             awayAbbr: awaySide.abbr,
             homeAbbr: homeSide.abbr,
             isoDate: iso,
-            matchedKey: match.matched?.key,
+            services,
             mlbGamePks,
             wnbaGameIds,
           });
@@ -145,8 +176,10 @@ export default function YesterdaySports() {
             away: awaySide,
             home: homeSide,
             isPlayoff: match.isPlayoff,
+            series: match.series,
             isBestWnba: false,
             statusText: statusTextOf(event, "Final"),
+            tier: finishedGameTier(event),
             watchHref: watch.href,
             watchLabel: watch.label,
             accent: match.accent,
@@ -183,6 +216,7 @@ export default function YesterdaySports() {
                 awayAbbr: awaySide.abbr,
                 homeAbbr: homeSide.abbr,
                 isoDate: yDay.iso,
+                services,
                 wnbaGameIds,
               });
               const winner = awaySide.winner ? awaySide : homeSide;
@@ -194,16 +228,21 @@ export default function YesterdaySports() {
                 away: awaySide,
                 home: homeSide,
                 isPlayoff: false,
+                series: null,
                 isBestWnba: true,
                 wnbaBadge: pick?.isOverallBest
                   ? "Best WNBA game"
                   : "Next best WNBA game",
                 statusText,
+                tier: finishedGameTier(best),
                 watchHref: watch.href,
                 watchLabel: watch.label,
                 accent:
                   teamColorByAbbr("basketball/wnba", winner.abbr) ||
                   DEFAULT_TEAM_ACCENT,
+                shieldedAccent:
+                  teamColorByAbbr("basketball/wnba", homeSide.abbr) ||
+                  DEFAULT_TEAM_ACCENT,
               });
             }
           }
@@ -218,6 +257,7 @@ export default function YesterdaySports() {
 
       if (!cancelled) {
         setGames(next);
+        setSeenRecaps(readSeenRecaps());
         setReady(true);
       }
     }
@@ -235,20 +275,27 @@ export default function YesterdaySports() {
       {games.map((g) => {
         const hideScores = isBasketballLeague(g.league);
         const primeWnbaAuth = g.league === "basketball/wnba";
+        const seen = seenRecaps.has(g.id);
+        const shielded = spoilerShield && !seen;
         return (
           <a
             key={g.id}
-            className="recap-tile"
+            className={seen ? "recap-tile seen" : "recap-tile"}
             href={g.watchHref}
             target="_blank"
             rel="noopener"
             data-wnba-auth-launch={primeWnbaAuth ? "true" : undefined}
-            style={{ borderLeftColor: g.accent }}
-            title={recapTitle(g)}
+            style={{ borderLeftColor: shielded ? g.shieldedAccent || g.accent : g.accent }}
+            title={recapTitle(g, shielded)}
+            onClick={() => {
+              markRecapSeen(g.id);
+              setSeenRecaps((prev) => new Set(prev).add(g.id));
+            }}
           >
             <RecapMatchup
               away={g.away}
               home={g.home}
+              shielded={shielded}
               renderScore={(team) =>
                 hideScores ? null : (
                   <span className={`recap-score ${team.winner ? "win" : "lose"}`}>
@@ -259,7 +306,7 @@ export default function YesterdaySports() {
             />
             <div className="recap-meta">
               <span className="recap-final">
-                {recapBadge(g)}
+                {seen ? `${recapBadge(g, false)} · Seen` : recapBadge(g, shielded)}
               </span>
               <span className="recap-watch">Watch on {g.watchLabel} ↗</span>
             </div>
@@ -1,6 +1,7 @@
 import { useState } from "react";
 import { ChevronDown, ChevronUp, Map as MapIcon } from "lucide-react";
 import { CAMPBELL_METRICS, SOURCE_URLS } from "../../data/campbell";
+import SyncHealth from "./SyncHealth";
 
 const MAP_LINKS = [
   { label: "Zoning map", desc: "Residential, commercial, and industrial districts", href: SOURCE_URLS.cityGisPublic },
@@ -71,6 +72,10 @@ export default function CityData() {
           </div>
         )}
       </div>
+
+      <div className="cb-data-footer">
+        <SyncHealth />
+      </div>
     </div>
   );
 }
@@ -9,6 +9,7 @@ import {
   startOfDay,
 } from "../../lib/campbell/dateHelpers";
 import { preferredCouncilRecord, type CampbellCouncilRecord } from "../../lib/campbell/types";
+import RecordSearch from "./RecordSearch";
 import SourceCardGrid from "./SourceCardGrid";
 
 interface PublicHearing {
@@ -129,6 +130,8 @@ export default function CivicRecords() {
 
   return (
     <div className="cb-records">
+      <RecordSearch />
+
       <section className="cb-live-record-panel" aria-label="Campbell public hearings and notices">
         <div className="cb-live-record-head">
           <div>
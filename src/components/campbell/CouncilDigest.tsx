@@ -6,14 +6,24 @@ import {
   parseCampbellDate,
   startOfDay,
 } from "../../lib/campbell/dateHelpers";
+import { getCouncilDigestArchive } from "../../lib/campbell/agendaScraper";
 import {
   preferredCouncilRecord,
   type CampbellCouncilRecord,
+  type CouncilMeetingDigest,
   type DigestSummary,
 } from "../../lib/campbell/types";
 import councilFeed from "../../data/campbellCouncilRecords.json";
 
 const LATEST_COUNCIL_RECORD = preferredCouncilRecord(councilFeed.items as CampbellCouncilRecord[]);
+const DIGEST_ARCHIVE = getCouncilDigestArchive();
+const ARCHIVE_DISPLAY_LIMIT = 6;
+
+const ARCHIVE_FILTERS = [
+  { id: "all", label: "All meetings" },
+  { id: "City Council", label: "City Council" },
+  { id: "Planning Commission", label: "Planning Commission" },
+];
 
 function councilSourceLooksStale() {
   const latestDate = parseCampbellDate(LATEST_COUNCIL_RECORD?.date ?? "");
@@ -25,7 +35,7 @@ function councilSourceLooksStale() {
   return ageDays > COUNCIL_SOURCE_STALE_AFTER_DAYS;
 }
 
-export default function CouncilDigest() {
+function LatestDigest() {
   const [digest, setDigest] = useState<DigestSummary | null>(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -134,3 +144,154 @@ export default function CouncilDigest() {
     </div>
   );
 }
+
+function ArchivedMeeting({ meeting }: { meeting: CouncilMeetingDigest }) {
+  return (
+    <div className="cb-digest-archive-body">
+      {meeting.agenda && (
+        <div className="cb-digest-archive-part">
+          <h5>On the agenda</h5>
+          <p className="cb-digest-summary">{meeting.agenda.summary}</p>
+          {meeting.agenda.keyTopics.length > 0 && (
+            <div className="cb-digest-topics">
+              <ul>
+                {meeting.agenda.keyTopics.map((topic, i) => (
+                  <li key={i}>{topic}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      {meeting.outcomes ? (
+        <div className="cb-digest-archive-part cb-digest-outcomes">
+          <h5>What actually happened</h5>
+          <p className="cb-digest-summary">{meeting.outcomes.summary}</p>
+          {meeting.outcomes.decisions.length > 0 && (
+            <dl className="cb-digest-decisions">
+              {meeting.outcomes.decisions.map((decision, i) => (
+                <div key={i}>
+                  <dt>{decision.item}</dt>
+                  <dd>{decision.outcome}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+          {meeting.outcomes.changes.length > 0 && (
+            <div className="cb-digest-topics">
+              <h4>Changed from the agenda</h4>
+              <ul>
+                {meeting.outcomes.changes.map((change, i) => (
+                  <li key={i}>{change}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="cb-digest-archive-pending">
+          {meeting.minutesUrl
+            ? "Minutes are posted; the summary of what happened arrives with the next data sync."
+            : "Minutes are usually approved at the following meeting. The summary of what happened appears once they're posted."}
+        </p>
+      )}
+
+      <div className="cb-record-links">
+        {meeting.agendaUrl && (
+          <a href={meeting.agendaUrl} target="_blank" rel="noopener noreferrer">
+            Agenda
+          </a>
+        )}
+        {meeting.minutesUrl && (
+          <a href={meeting.minutesUrl} target="_blank" rel="noopener noreferrer">
+            Minutes
+          </a>
+        )}
+        {meeting.meetingUrl && (
+          <a href={meeting.meetingUrl} target="_blank" rel="noopener noreferrer">
+            Meeting page
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function DigestArchive() {
+  const [bodyFilter, setBodyFilter] = useState("all");
+  const [openKey, setOpenKey] = useState<string | null>(null);
+  const [showAll, setShowAll] = useState(false);
+
+  if (DIGEST_ARCHIVE.length === 0) return null;
+
+  const meetings = DIGEST_ARCHIVE.filter((meeting) => bodyFilter === "all" || meeting.body === bodyFilter);
+  const visibleMeetings = showAll ? meetings : meetings.slice(0, ARCHIVE_DISPLAY_LIMIT);
+  const hiddenMeetingCount = meetings.length - visibleMeetings.length;
+
+  return (
+    <section className="cb-digest-archive" aria-label="Council meeting digest archive">
+      <div className="cb-digest-archive-head">
+        <h4>Meeting archive</h4>
+        <p>
+          Every Council and Planning Commission agenda, summarized when it posts. Once the minutes are out, see what
+          actually happened next to what was planned.
+        </p>
+      </div>
+
+      <div className="cb-hearing-filters" role="group" aria-label="Digest archive filters">
+        {ARCHIVE_FILTERS.map((filter) => (
+          <button
+            key={filter.id}
+            type="button"
+            className={bodyFilter === filter.id ? "is-active" : ""}
+            onClick={() => {
+              setBodyFilter(filter.id);
+              setShowAll(false);
+            }}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="cb-digest-archive-list">
+        {visibleMeetings.map((meeting) => {
+          const open = openKey === meeting.key;
+          return (
+            <article className="cb-digest-archive-item" key={meeting.key}>
+              <button
+                type="button"
+                className="cb-digest-archive-toggle"
+                aria-expanded={open}
+                onClick={() => setOpenKey(open ? null : meeting.key)}
+              >
+                <span className="cb-digest-archive-date">{meeting.date}</span>
+                <strong>{meeting.title}</strong>
+                <em>{meeting.outcomes ? "Agenda + outcomes" : "Agenda"}</em>
+              </button>
+              {open && <ArchivedMeeting meeting={meeting} />}
+            </article>
+          );
+        })}
+      </div>
+
+      {meetings.length === 0 && <p className="cb-hearing-empty">No summarized meetings for this body yet.</p>}
+
+      {hiddenMeetingCount > 0 && (
+        <button type="button" className="cb-digest-btn" onClick={() => setShowAll(true)}>
+          Show {hiddenMeetingCount} older meeting{hiddenMeetingCount === 1 ? "" : "s"}
+        </button>
+      )}
+    </section>
+  );
+}
+
+export default function CouncilDigest() {
+  return (
+    <>
+      <LatestDigest />
+      <DigestArchive />
+    </>
+  );
+}
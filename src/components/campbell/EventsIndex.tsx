@@ -1,35 +1,27 @@
 import { useEffect, useMemo, useState } from "react";
 import { EVENT_SOURCES } from "../../data/campbell";
 import eventFeed from "../../data/campbellEvents.json";
-import { addCampbellDays, endOfDay, startOfDay, CAMPBELL_TIME_ZONE } from "../../lib/campbell/dateHelpers";
+import { endOfDay, startOfDay, CAMPBELL_TIME_ZONE } from "../../lib/campbell/dateHelpers";
 import {
-  campbellWeekendWindow,
   compareResidentEvents,
   eventEnd,
   eventDateLabel,
-  eventInWindow,
   eventStart,
 } from "../../lib/campbell/eventDates";
+import {
+  ALL_CATEGORY_FILTER,
+  ALL_SOURCE_FILTER,
+  type CampbellEvent,
+  type EventViewFilter,
+  eventMatchesCategory,
+  eventMatchesQuery,
+  eventMatchesSource,
+  eventMatchesView,
+} from "../../lib/campbell/eventFilters";
+import { campbellEventsFeedUrl } from "../../lib/campbell/eventSubscriptions";
 import GhostInput from "./GhostInput";
 import SourceCardGrid from "./SourceCardGrid";
 
-interface CampbellEvent {
-  title: string;
-  date: string;
-  cost: string;
-  location: string;
-  description: string;
-  url: string;
-  imageUrl: string;
-  category?: string;
-  source?: string;
-  sourceUrl?: string;
-  startDate?: string;
-  endDate?: string;
-  additionalSourceUrls?: string[];
-  topics?: string[];
-}
-
 interface EventSourceMeta {
   label: string;
   sourceUrl: string;
@@ -39,10 +31,9 @@ interface EventSourceMeta {
 const feed = eventFeed as typeof eventFeed & { sources?: EventSourceMeta[] };
 const EVENTS = feed.items as CampbellEvent[];
 const SOURCE_COUNTS = feed.sources ?? [];
-const ALL_SOURCE_FILTER = "all";
-const ALL_CATEGORY_FILTER = "all";
 const EVENT_DISPLAY_LIMIT = 18;
-type EventViewFilter = "today" | "weekend" | "all" | "next14" | "next30" | "public";
+// Feed links point here until the browser reports its own origin.
+const DEFAULT_FEED_ORIGIN = "https://stanwood.dev";
 const HASH_VIEW_FILTERS: Record<string, EventViewFilter> = {
   "#campbell-events-next14": "next14",
   "#campbell-events-weekend": "weekend",
@@ -135,61 +126,6 @@ function eventCardSourceLabel(event: CampbellEvent) {
   return "";
 }
 
-function eventMatchesSource(event: CampbellEvent, sourceFilter: string) {
-  if (sourceFilter === ALL_SOURCE_FILTER) return true;
-  const sourceText = [
-    event.source ?? "",
-    event.sourceUrl ?? "",
-    ...(event.additionalSourceUrls ?? []),
-  ].join(" ");
-  return sourceText.includes(sourceFilter);
-}
-
-function eventMatchesView(event: CampbellEvent, viewFilter: EventViewFilter, referenceDay: Date) {
-  if (viewFilter === "all") return true;
-
-  const text = [
-    event.title,
-    event.category ?? "",
-    event.source ?? "",
-    event.description,
-  ].join(" ");
-
-  if (viewFilter === "public") {
-    return /council|commission|committee|board|meeting|hearing/i.test(text);
-  }
-
-  const startOfReferenceDay = startOfDay(referenceDay);
-
-  if (viewFilter === "today") {
-    return eventInWindow(event, startOfReferenceDay, endOfDay(startOfReferenceDay));
-  }
-
-  if (viewFilter === "weekend") {
-    const weekend = campbellWeekendWindow(startOfReferenceDay);
-    return eventInWindow(event, weekend.start, weekend.end);
-  }
-
-  const windowDays = viewFilter === "next14" ? 14 : 30;
-  const windowEnd = endOfDay(addCampbellDays(startOfReferenceDay, windowDays));
-  return eventInWindow(event, startOfReferenceDay, windowEnd);
-}
-
-function eventMatchesQuery(event: CampbellEvent, query: string) {
-  const needle = query.trim().toLowerCase();
-  if (!needle) return true;
-  return [
-    event.title,
-    event.date,
-    event.location,
-    event.cost,
-    event.description,
-    event.category ?? "",
-    event.source ?? "",
-    ...(event.topics ?? []),
-  ].some((value) => value.toLowerCase().includes(needle));
-}
-
 function viewFilterFromHash(hash: string) {
   return HASH_VIEW_FILTERS[hash.toLowerCase()] ?? null;
 }
@@ -289,6 +225,9 @@ export default function EventsIndex() {
   const [showAll, setShowAll] = useState(false);
   const [failedImageUrls, setFailedImageUrls] = useState<Set<string>>(() => new Set());
   const [referenceDay] = useState(() => startOfDay(new Date()));
+  const [feedOrigin, setFeedOrigin] = useState(DEFAULT_FEED_ORIGIN);
+
+  useEffect(() => setFeedOrigin(window.location.origin), []);
 
   useEffect(() => {
     function syncViewFromHash() {
@@ -306,7 +245,7 @@ export default function EventsIndex() {
   const filteredEvents = useMemo(() => {
     return EVENTS.filter((event) => {
       if (!eventMatchesSource(event, sourceFilter)) return false;
-      if (categoryFilter !== ALL_CATEGORY_FILTER && event.category !== categoryFilter) return false;
+      if (!eventMatchesCategory(event, categoryFilter)) return false;
       if (!eventMatchesView(event, viewFilter, referenceDay)) return false;
       return eventMatchesQuery(event, query);
     }).sort((a, b) => compareDisplayEvents(a, b, referenceDay));
@@ -323,6 +262,7 @@ export default function EventsIndex() {
     query,
   );
   const contextLabel = eventContextLabel(viewFilter, sourceFilter, categoryFilter, query);
+  const feedFilters = { source: sourceFilter, category: categoryFilter, view: viewFilter, query };
   const filtersAreActive =
     query.trim().length > 0 ||
     sourceFilter !== ALL_SOURCE_FILTER ||
@@ -455,6 +395,12 @@ export default function EventsIndex() {
       <p className="cb-event-context" aria-live="polite">
         {contextLabel}
       </p>
+      <p className="cb-event-subscribe">
+        Follow these events:{" "}
+        <a href={campbellEventsFeedUrl("ics", feedFilters, feedOrigin)}>Add to calendar</a>
+        {" · "}
+        <a href={campbellEventsFeedUrl("rss", feedFilters, feedOrigin)}>RSS</a>
+      </p>
 
       <div className="cb-live-events">
         {visibleEvents.map((event) => {
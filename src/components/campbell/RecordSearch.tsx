@@ -0,0 +1,199 @@
+import { type FormEvent, useEffect, useState } from "react";
+import {
+  ALL_BODIES_FILTER,
+  RECORD_DATE_FILTERS,
+  RECORD_SEARCH_BODIES,
+  highlightParts,
+  recordSearchPath,
+  type RecordDateFilter,
+  type RecordSearchKind,
+  type RecordSearchResults,
+} from "../../lib/campbell/recordSearch";
+
+const BODY_FILTERS = [
+  { id: ALL_BODIES_FILTER, label: "All bodies" },
+  ...RECORD_SEARCH_BODIES.map((body) => ({ id: body, label: body })),
+];
+
+const KIND_LABELS: Record<RecordSearchKind, string> = {
+  agenda: "Agenda",
+  minutes: "Minutes",
+  hearing: "Public hearing",
+};
+
+function Highlighted({ text, terms }: { text: string; terms: string[] }) {
+  return (
+    <>
+      {highlightParts(text, terms).map((part, index) =>
+        part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>,
+      )}
+    </>
+  );
+}
+
+export default function RecordSearch() {
+  const [input, setInput] = useState("");
+  const [query, setQuery] = useState("");
+  const [body, setBody] = useState(ALL_BODIES_FILTER);
+  const [date, setDate] = useState<RecordDateFilter>("any");
+  const [results, setResults] = useState<RecordSearchResults | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  // The route answers 503 when no build has written the search index.
+  const [unavailable, setUnavailable] = useState(false);
+
+  useEffect(() => {
+    if (!query) return;
+    const controller = new AbortController();
+
+    async function search() {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await fetch(recordSearchPath({ query, body, date }), { signal: controller.signal });
+        const data = await res.json();
+        if (res.status === 503) {
+          setUnavailable(true);
+          return;
+        }
+        if (!res.ok) {
+          setError(data.error || "Search failed");
+          return;
+        }
+        setResults(data);
+      } catch {
+        if (!controller.signal.aborted) setError("Something went wrong. Try again.");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }
+
+    search();
+    return () => controller.abort();
+  }, [query, body, date]);
+
+  function submit(event: FormEvent<HTMLFormElement>) {
+    event.preventDefault();
+    setQuery(input.trim());
+  }
+
+  function clearSearch() {
+    setInput("");
+    setQuery("");
+    setResults(null);
+    setError(null);
+  }
+
+  const shownResults = query ? results : null;
+
+  return (
+    <section className="cb-live-record-panel" aria-label="Search Campbell agendas, minutes, and hearings">
+      <div className="cb-live-record-head">
+        <div>
+          <span className="cb-live-record-kicker">Record search</span>
+          <h4>Search agendas, minutes, and hearings</h4>
+          <p>
+            Full text of the City Council and Planning Commission packets on the city's portals, plus every
+            public hearing notice. Try an address, a project, or a topic.
+          </p>
+        </div>
+      </div>
+
+      {unavailable ? (
+        <p className="cb-record-search-status">
+          Record search isn't available here yet: its index is built with the site.
+        </p>
+      ) : (
+        <>
+          <form className="cb-record-search" role="search" onSubmit={submit}>
+            <input
+              type="search"
+              className="cb-record-search-input"
+              placeholder="Search council records"
+              aria-label="Search council records"
+              value={input}
+              onChange={(event) => setInput(event.target.value)}
+            />
+            <button type="submit" className="cb-record-search-btn" disabled={!input.trim()}>
+              Search
+            </button>
+            {query && (
+              <button type="button" className="cb-filter-reset" onClick={clearSearch}>
+                Clear
+              </button>
+            )}
+          </form>
+
+          <div className="cb-hearing-filters" role="group" aria-label="Record search body filters">
+            {BODY_FILTERS.map((filter) => (
+              <button
+                key={filter.id}
+                type="button"
+                className={body === filter.id ? "is-active" : ""}
+                onClick={() => setBody(filter.id)}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+          <div className="cb-hearing-filters" role="group" aria-label="Record search date filters">
+            {RECORD_DATE_FILTERS.map((filter) => (
+              <button
+                key={filter.id}
+                type="button"
+                className={date === filter.id ? "is-active" : ""}
+                onClick={() => setDate(filter.id)}
+              >
+                {filter.label}
+              </button>
+            ))}
+          </div>
+
+          {loading && <p className="cb-record-search-status">Searching...</p>}
+          {!loading && error && <p className="cb-record-search-status">{error}</p>}
+          {!loading && !error && shownResults && (
+            <p className="cb-record-search-status" aria-live="polite">
+              {shownResults.total === 0
+                ? `No records mention "${shownResults.query}" with these filters.`
+                : `${shownResults.total} record${shownResults.total === 1 ? "" : "s"} mention "${shownResults.query}"${
+                    shownResults.total > shownResults.hits.length ? `; showing the top ${shownResults.hits.length}` : ""
+                  }.`}
+            </p>
+          )}
+
+          {!loading && !error && shownResults && shownResults.hits.length > 0 && (
+            <div className="cb-council-record-list">
+              {shownResults.hits.map((hit) => (
+                <article className="cb-record-hit" key={hit.id}>
+                  <div className="cb-hearing-topline">
+                    <span>{hit.body}</span>
+                    <em>{KIND_LABELS[hit.kind]}</em>
+                  </div>
+                  <h4>
+                    <Highlighted text={hit.title} terms={hit.terms} />
+                  </h4>
+                  {hit.date && <p className="cb-record-hit-date">{hit.date}</p>}
+                  {hit.snippet && (
+                    <p className="cb-record-hit-snippet">
+                      <Highlighted text={hit.snippet} terms={hit.terms} />
+                    </p>
+                  )}
+                  <div className="cb-record-links">
+                    <a href={hit.url} target="_blank" rel="noopener noreferrer">
+                      {hit.kind === "hearing" ? "Notice" : KIND_LABELS[hit.kind]}
+                    </a>
+                    {hit.meetingUrl && (
+                      <a href={hit.meetingUrl} target="_blank" rel="noopener noreferrer">
+                        Meeting page
+                      </a>
+                    )}
+                  </div>
+                </article>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
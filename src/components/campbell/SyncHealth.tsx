@@ -0,0 +1,102 @@
+import { useState } from "react";
+import { ChevronDown, ChevronUp, Activity } from "lucide-react";
+import { CAMPBELL_TIME_ZONE } from "../../lib/campbell/dateHelpers";
+import type { CampbellSyncReport, CampbellSyncSource, CampbellSyncStatus } from "../../lib/campbell/types";
+
+// Written by the sync (scripts/campbell-sync-report.mjs); until its first run there is no
+// report, and the glob comes back empty.
+const syncReports = import.meta.glob<CampbellSyncReport>("../../data/campbellSyncReport.json", {
+  eager: true,
+  import: "default",
+});
+const REPORT: CampbellSyncReport | undefined = Object.values(syncReports)[0];
+
+const STATUS_LABELS: Record<CampbellSyncStatus, string> = {
+  ok: "Healthy",
+  reused: "Fetch failed — showing last sync",
+  held: "Sharp drop — kept last sync",
+};
+
+function reasonsText(source: CampbellSyncSource) {
+  return Object.entries(source.rejectionReasons)
+    .map(([reason, count]) => `${count} ${reason}`)
+    .join(", ");
+}
+
+function changeText(source: CampbellSyncSource) {
+  if (source.added === 0 && source.removed === 0) return "No change since the last sync";
+  return `+${source.added} new, −${source.removed} gone since the last sync (was ${source.previous})`;
+}
+
+function SourceRow({ source }: { source: CampbellSyncSource }) {
+  const reasons = reasonsText(source);
+  return (
+    <li className={`cb-sync-source is-${source.status}`}>
+      <div className="cb-sync-source-head">
+        <a href={source.sourceUrl} target="_blank" rel="noopener noreferrer">
+          {source.label}
+        </a>
+        <span className="cb-sync-status">{STATUS_LABELS[source.status]}</span>
+      </div>
+      <p className="cb-sync-counts">
+        {source.fetched} fetched · {source.parsed} parsed · {source.rejected} rejected · {source.kept} kept
+      </p>
+      <p className="cb-sync-detail">{changeText(source)}</p>
+      {reasons && <p className="cb-sync-detail">Rejected: {reasons}</p>}
+      {source.note && <p className="cb-sync-detail">{source.note}</p>}
+    </li>
+  );
+}
+
+/** The nightly sync's per-source run report: what each feed returned and whether it was trusted. */
+export default function SyncHealth() {
+  const [open, setOpen] = useState(false);
+  const ToggleIcon = open ? ChevronUp : ChevronDown;
+
+  if (!REPORT) {
+    return (
+      <p className="cb-data-gis-note">
+        The nightly data sync will publish a source-by-source health report here.
+      </p>
+    );
+  }
+
+  const flagged = REPORT.sources.filter((source) => source.status !== "ok").length;
+
+  return (
+    <div className="cb-sync-health">
+      <button
+        className="cb-data-gis-toggle"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-controls="campbell-sync-report"
+      >
+        <span>
+          <Activity size={16} strokeWidth={2.2} aria-hidden="true" />
+          {flagged === 0
+            ? `All ${REPORT.sources.length} sources healthy`
+            : `${flagged} of ${REPORT.sources.length} sources need a look`}
+        </span>
+        <ToggleIcon size={16} strokeWidth={2.2} aria-hidden="true" />
+      </button>
+      {open && (
+        <div id="campbell-sync-report">
+          <ul className="cb-sync-list">
+            {REPORT.sources.map((source) => (
+              <SourceRow key={source.label} source={source} />
+            ))}
+          </ul>
+          <p className="cb-data-gis-note">
+            Last sync{" "}
+            {new Date(REPORT.generatedAt).toLocaleString("en-US", {
+              timeZone: CAMPBELL_TIME_ZONE,
+              dateStyle: "medium",
+              timeStyle: "short",
+            })}
+            . A source that suddenly returns far fewer items keeps its previous data until someone checks its parser.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
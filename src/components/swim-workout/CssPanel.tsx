@@ -0,0 +1,131 @@
+import { useState } from "react";
+import { formatTime, parsePace } from "../../lib/workoutEngine";
+import { isValidCssTest, paceZones, ZONE_LABELS } from "../../lib/swim/paceZones";
+import type { CssTest, SetIntent } from "../../lib/swim/paceZones";
+import { formatMonthDay } from "../../lib/dateFormat";
+import type { CssEntry } from "../../lib/swim/storage";
+
+interface Props {
+  unit: "meters" | "yards";
+  /** Active CSS per 100 ("1:32"), or "" before the first test. */
+  css: string;
+  /** Saved tests for this unit, newest first. */
+  history: CssEntry[];
+  onSave: (test: CssTest) => void;
+  onSwimTest: () => void;
+}
+
+const ZONE_ORDER: SetIntent[] = ["recovery", "aerobic", "threshold", "race", "sprint"];
+const TIME_PATTERN = /^\d{1,2}:\d{2}$/;
+
+function parseTrial(text: string): number | null {
+  return TIME_PATTERN.test(text.trim()) ? parsePace(text.trim()) : null;
+}
+
+/** "−3s" when CSS got faster than the previous test, "+2s" when slower. */
+function cssChange(entry: CssEntry, previous: CssEntry | undefined): string | null {
+  if (!previous) return null;
+  const diff = parsePace(entry.css) - parsePace(previous.css);
+  if (diff === 0) return "±0s";
+  return diff < 0 ? `−${-diff}s` : `+${diff}s`;
+}
+
+export default function CssPanel({ unit, css, history, onSave, onSwimTest }: Props) {
+  const [t400, setT400] = useState("");
+  const [t200, setT200] = useState("");
+  const [error, setError] = useState<string | null>(null);
+  const unitLabel = unit === "meters" ? "m" : "y";
+  const zones = css ? paceZones(parsePace(css)) : null;
+
+  const save = () => {
+    const test = { t400: parseTrial(t400), t200: parseTrial(t200) };
+    if (test.t400 === null || test.t200 === null) {
+      setError("Enter both times as m:ss, e.g. 5:40 and 2:40.");
+      return;
+    }
+    if (!isValidCssTest({ t400: test.t400, t200: test.t200 })) {
+      setError("Those times don't look like a 400 and a 200 swum all-out — double-check them.");
+      return;
+    }
+    setError(null);
+    setT400("");
+    setT200("");
+    onSave({ t400: test.t400, t200: test.t200 });
+  };
+
+  return (
+    <div className="rounded-xl bg-white/70 border border-stone-200 p-4 space-y-4">
+      <div className="flex flex-wrap items-end gap-3">
+        {([
+          { label: `400${unitLabel} time`, value: t400, set: setT400, placeholder: "5:40" },
+          { label: `200${unitLabel} time`, value: t200, set: setT200, placeholder: "2:40" },
+        ]).map((field) => (
+          <label key={field.label} className="block">
+            <span className="block text-[11px] text-stone-500 mb-1">{field.label}</span>
+            <input
+              value={field.value}
+              onChange={(e) => field.set(e.target.value)}
+              inputMode="numeric"
+              placeholder={field.placeholder}
+              className="w-24 rounded-lg bg-white border border-stone-200 px-3 py-2 font-mono text-sm text-stone-700 placeholder:text-stone-300 focus:border-teal-400 focus:outline-none"
+            />
+          </label>
+        ))}
+        <button
+          onClick={save}
+          className="rounded-lg bg-teal-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-teal-700 transition-all"
+        >
+          Save test
+        </button>
+        <button
+          onClick={onSwimTest}
+          className="rounded-lg border border-stone-200 px-4 py-2 text-sm font-semibold text-stone-600 hover:border-teal-300 hover:text-teal-700 transition-all"
+        >
+          Swim a CSS test
+        </button>
+      </div>
+      {error && <p className="text-[11px] text-amber-700">{error}</p>}
+
+      {zones ? (
+        <div>
+          <div className="text-sm text-stone-700">
+            CSS <span className="font-mono font-semibold">{css}</span>/100{unitLabel}
+          </div>
+          <div className="mt-2 grid grid-cols-5 gap-1.5 text-center">
+            {ZONE_ORDER.map((intent) => (
+              <div key={intent} className="rounded-lg bg-stone-50 px-1 py-1.5">
+                <div className="text-[10px] font-bold uppercase tracking-wider text-stone-400">{ZONE_LABELS[intent]}</div>
+                <div className="font-mono text-sm text-stone-700">{formatTime(zones[intent])}</div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p className="text-[11px] text-stone-400">
+          Swim a 400 and a 200 all-out with full rest between, then enter both times. CSS is (400 − 200) ÷ 2 per 100.
+        </p>
+      )}
+
+      {history.length > 0 && (
+        <div>
+          <div className="text-[11px] font-bold uppercase tracking-wider text-stone-400 mb-1">Past tests</div>
+          <ul className="space-y-0.5 text-[11px] text-stone-500">
+            {history.map((entry, i) => {
+              const change = cssChange(entry, history[i + 1]);
+              return (
+                <li key={entry.timestamp} className="flex items-center gap-3 font-mono">
+                  <span className="w-14">{formatMonthDay(entry.timestamp)}</span>
+                  <span className="text-stone-700">{entry.css}</span>
+                  <span className="text-stone-400">{formatTime(entry.t400)} / {formatTime(entry.t200)}</span>
+                  {change && (
+                    <span className={change.startsWith("−") ? "text-teal-600" : "text-stone-400"}>{change}</span>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { isSetGroup } from "../../lib/workoutEngine";
+import type { SetItem } from "../../lib/workoutEngine";
+import type { LaneSheet } from "../../lib/swim/lanes";
+
+interface Props {
+  sheet: LaneSheet;
+  /** Plain black-on-white table for the printed coach sheet. */
+  print?: boolean;
+}
+
+export interface LaneRow {
+  section: string;
+  description: string;
+  /** Set inside a `Nx through:` group. */
+  nested: boolean;
+  /** Header row for a group, with its rounds. */
+  group?: number;
+  /** One item per lane, fastest first. */
+  cells: SetItem[];
+}
+
+/** Line the lanes' workouts up set by set — they share one structure, so positions match. */
+export function laneRows(sheet: LaneSheet): LaneRow[] {
+  const rows: LaneRow[] = [];
+  sheet.reference.sections.forEach((section, s) => {
+    section.items.forEach((item, i) => {
+      const cells = sheet.lanes.map((lane) => lane.workout.sections[s].items[i]);
+      if (!isSetGroup(item)) {
+        rows.push({ section: section.name, description: item.description, nested: false, cells });
+        return;
+      }
+      rows.push({ section: section.name, description: item.description, nested: false, group: item.reps, cells });
+      item.items.forEach((sub, j) => {
+        rows.push({
+          section: section.name,
+          description: sub.description,
+          nested: true,
+          cells: cells.map((cell) => cell.items![j]),
+        });
+      });
+    });
+  });
+  return rows;
+}
+
+/** "6 × 100 @ 2:05" */
+export function laneCell(item: SetItem, unit: string): string {
+  const reps = item.reps > 1 ? `${item.reps} × ` : "";
+  const timing = item.intervalDisplay ? ` @ ${item.intervalDisplay}` : "";
+  return `${reps}${item.distance}${unit}${timing}`;
+}
+
+export default function LaneSheetView({ sheet, print = false }: Props) {
+  const unit = sheet.reference.unit === "meters" ? "m" : "y";
+  const rows = laneRows(sheet);
+  const cellClass = print ? "px-2 py-1 border-b border-gray-200" : "px-3 py-2 border-b border-stone-100";
+
+  return (
+    <div className={print ? "" : "overflow-x-auto rounded-xl bg-white/70 border border-stone-200"}>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className={print ? "text-xs text-gray-600" : "text-xs text-stone-400"}>
+            <th className={`${cellClass} text-left font-bold uppercase tracking-wider`}>Set</th>
+            {sheet.lanes.map((lane) => (
+              <th key={lane.lane} className={`${cellClass} text-left font-bold`}>
+                <div className="uppercase tracking-wider">Lane {lane.lane}</div>
+                <div className="font-mono font-normal">{lane.pace}/100{unit}</div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => {
+            const firstInSection = i === 0 || rows[i - 1].section !== row.section;
+            return [
+              firstInSection && (
+                <tr key={`${row.section}-header`}>
+                  <td
+                    colSpan={sheet.lanes.length + 1}
+                    className={`${cellClass} pt-3 text-xs font-bold uppercase tracking-wider ${print ? "text-gray-600" : "text-teal-700"}`}
+                  >
+                    {row.section}
+                  </td>
+                </tr>
+              ),
+              <tr key={i} className={print ? "" : "text-stone-600"}>
+                <td className={`${cellClass} ${row.nested ? "pl-6" : ""}`}>{row.description}</td>
+                {row.cells.map((cell, lane) => (
+                  <td key={lane} className={`${cellClass} font-mono whitespace-nowrap`}>
+                    {row.group ? "" : laneCell(cell, unit)}
+                  </td>
+                ))}
+              </tr>,
+            ];
+          })}
+          <tr className="font-semibold">
+            <td className={cellClass}>Total</td>
+            {sheet.lanes.map((lane) => (
+              <td key={lane.lane} className={`${cellClass} font-mono`}>
+                {lane.workout.totalDistance.toLocaleString()}{unit}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,235 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import type { ReactNode } from "react";
+import { ALL_EQUIPMENT } from "../../lib/workoutEngine";
+import type { EquipmentOptions, WorkoutFocus } from "../../lib/workoutEngine";
+import { generateLaneSheet, MAX_LANES, MIN_LANES } from "../../lib/swim/lanes";
+import type { LaneSheet } from "../../lib/swim/lanes";
+import { useCopyToClipboard } from "../../hooks/useCopyToClipboard";
+import { equipmentParam, linkedDuration, linkedUnit, PACES, poolParam, readUrlParams } from "./shared";
+import { ActionButton, BuildButton, HeaderBadge, ResultHeader } from "./ui";
+import LaneSheetView, { laneCell, laneRows } from "./LaneSheetView";
+
+interface Props {
+  unit: "meters" | "yards";
+  poolLength: number;
+  duration: number;
+  focus: WorkoutFocus;
+  equipment: EquipmentOptions;
+  /** The shared duration, focus and equipment pickers, shown under the lane paces. */
+  children: ReactNode;
+}
+
+function laneSheetToText(sheet: LaneSheet): string {
+  const { reference } = sheet;
+  const unit = reference.unit === "meters" ? "m" : "y";
+  const lines: string[] = [
+    `${reference.name} — ${sheet.lanes.length} lanes`,
+    `~${reference.duration} min${reference.poolLength ? `  ·  ${reference.poolLength}${unit} pool` : ""}`,
+    "",
+  ];
+  let section = "";
+  for (const row of laneRows(sheet)) {
+    if (row.section !== section) {
+      if (section) lines.push("");
+      section = row.section;
+      lines.push(`─── ${section} ───`);
+    }
+    lines.push(`${row.nested ? "    " : "  "}${row.description}`);
+    if (row.group) continue;
+    row.cells.forEach((cell, i) => {
+      lines.push(`${row.nested ? "      " : "    "}Lane ${sheet.lanes[i].lane} (${sheet.lanes[i].pace}): ${laneCell(cell, unit)}`);
+    });
+  }
+  lines.push("");
+  lines.push(sheet.lanes.map((lane) => `Lane ${lane.lane}: ${lane.workout.totalDistance.toLocaleString()}${unit}`).join("  ·  "));
+  lines.push("");
+  lines.push("Generated by Lap Lab · stanwood.dev/swim");
+  return lines.join("\n");
+}
+
+/** Coach's deck sheet: every lane's version of each set side by side. */
+function PrintLaneSheet({ sheet }: { sheet: LaneSheet }) {
+  const { reference } = sheet;
+  const unit = reference.unit === "meters" ? "m" : "y";
+
+  return (
+    <div className="print-workout hidden print:block p-8 max-w-[900px] mx-auto">
+      <div className="text-center mb-6">
+        <h1 className="text-2xl font-bold tracking-tight">{reference.name}</h1>
+        <p className="text-sm text-gray-500 mt-1">
+          {sheet.lanes.length} lanes · ~{reference.duration} min
+          {reference.poolLength && ` · ${reference.poolLength}${unit} pool`}
+        </p>
+      </div>
+
+      <LaneSheetView sheet={sheet} print />
+
+      <div className="text-center mt-6 pt-4 border-t border-gray-200">
+        <p className="text-xs text-gray-400">Generated by Lap Lab · stanwood.dev/swim</p>
+      </div>
+    </div>
+  );
+}
+
+/** Lap Lab's Lanes mode: one workout scaled across a squad's lane paces, with a printable coach sheet. */
+export default function LanesMode({ unit, poolLength, duration, focus, equipment, children }: Props) {
+  const [lanePaces, setLanePaces] = useState<string[]>(() => {
+    const params = readUrlParams();
+    if (params?.lanes) return params.lanes;
+    return params?.unit === "yards" ? ["1:20", "1:35", "1:50"] : ["1:30", "1:45", "2:00"];
+  });
+  const [laneSheet, setLaneSheet] = useState<LaneSheet | null>(null);
+  const [animating, setAnimating] = useState(false);
+  const { copied: copiedLink, copy: copyLinkToClipboard } = useCopyToClipboard();
+  const { copied: copiedText, copy: copyTextToClipboard } = useCopyToClipboard();
+  const sheetRef = useRef<HTMLDivElement>(null);
+
+  // Paces the other unit doesn't offer fall back to its fastest.
+  const currentPaces = PACES[unit];
+  const paces = lanePaces.map((p) => (currentPaces.some((x) => x.value === p) ? p : currentPaces[0].value));
+  const unitLabel = unit === "meters" ? "m" : "y";
+
+  // Auto-generate from a shared lane sheet link on first mount
+  useEffect(() => {
+    const params = readUrlParams();
+    if (!params?.seed || !params.lanes) return;
+    setLaneSheet(generateLaneSheet({
+      duration: linkedDuration(params),
+      paces: params.lanes,
+      unit: linkedUnit(params),
+      poolLength: params.poolLength,
+      seed: params.seed,
+      focus: params.focus ?? "any",
+      equipment: params.equipment ?? ALL_EQUIPMENT,
+    }));
+  }, []);
+
+  const buildLanes = (scroll = true) => {
+    const sheet = generateLaneSheet({
+      duration,
+      paces,
+      unit,
+      poolLength,
+      seed: Math.floor(Math.random() * 2147483647),
+      focus,
+      equipment,
+    });
+    setAnimating(true);
+    setLaneSheet(sheet);
+    setTimeout(() => setAnimating(false), 400);
+    if (scroll) {
+      setTimeout(() => {
+        sheetRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+      }, 100);
+    }
+  };
+
+  const setLanePace = (lane: number, value: string) => {
+    setLanePaces(paces.map((p, i) => (i === lane ? value : p)));
+  };
+
+  const addLane = () => {
+    const slowest = currentPaces.findIndex((x) => x.value === paces[paces.length - 1]);
+    setLanePaces([...paces, currentPaces[Math.min(currentPaces.length - 1, slowest + 2)].value]);
+  };
+
+  const copyLink = useCallback(() => {
+    if (!laneSheet?.reference.seed) return;
+    const url = new URL(window.location.href);
+    const { reference } = laneSheet;
+    const sheetPaces = laneSheet.lanes.map((lane) => lane.pace).join(",");
+    url.search = `?lp=${encodeURIComponent(sheetPaces)}&d=${reference.duration}&u=${reference.unit}${poolParam(reference.poolLength)}&s=${reference.seed}${focus !== "any" ? `&f=${focus}` : ""}${equipmentParam(equipment)}`;
+    url.hash = "";
+    copyLinkToClipboard(url.toString());
+  }, [laneSheet, focus, equipment, copyLinkToClipboard]);
+
+  return (
+    <>
+      <div className="mt-6 space-y-6 print:hidden">
+        {/* Lane paces */}
+        <div>
+          <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+            Lane paces per 100{unitLabel}
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            {paces.map((lanePace, i) => (
+              <div key={i} className="flex items-center gap-1 rounded-xl bg-white/70 border border-stone-200 pl-3 pr-1 py-1">
+                <span className="text-[11px] font-bold uppercase tracking-wider text-stone-400">Lane {i + 1}</span>
+                <select
+                  value={lanePace}
+                  onChange={(e) => setLanePace(i, e.target.value)}
+                  aria-label={`Lane ${i + 1} pace`}
+                  className="bg-transparent px-1 py-1 font-mono text-sm font-semibold text-stone-700 focus:outline-none"
+                >
+                  {currentPaces.map((p) => (
+                    <option key={p.value} value={p.value}>{p.label}</option>
+                  ))}
+                </select>
+                {paces.length > MIN_LANES && (
+                  <button
+                    onClick={() => setLanePaces(paces.filter((_, j) => j !== i))}
+                    aria-label={`Remove lane ${i + 1}`}
+                    className="px-1.5 text-xs text-stone-300 hover:text-red-500 transition-colors"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            ))}
+            {paces.length < MAX_LANES && (
+              <button
+                onClick={addLane}
+                className="rounded-xl px-4 py-2 text-sm font-semibold text-stone-500 border border-dashed border-stone-300 hover:border-teal-300 hover:text-teal-700 transition-all"
+              >
+                + Lane
+              </button>
+            )}
+          </div>
+          <p className="mt-1.5 text-[11px] text-stone-400">
+            The workout is built for the fastest lane. Slower lanes swim the same sets on the same clock, with fewer repeats or shorter swims.
+          </p>
+        </div>
+
+        {children}
+
+        <BuildButton onClick={() => buildLanes()}>
+          {laneSheet ? "New Lane Sheet" : "Build Lane Sheet"}
+        </BuildButton>
+      </div>
+
+      {/* ─── Lane Sheet Display ────────────────────────────────────────── */}
+      {laneSheet && (
+        <div
+          ref={sheetRef}
+          className={`mt-10 print:hidden ${animating ? "animate-fadeIn" : ""}`}
+        >
+          <ResultHeader title={laneSheet.reference.name}>
+            <HeaderBadge>🏊 {laneSheet.lanes.length} lanes</HeaderBadge>
+            {laneSheet.reference.poolLength && (
+              <HeaderBadge>📏 {laneSheet.reference.poolLength}{unitLabel} pool</HeaderBadge>
+            )}
+            <HeaderBadge>⏱ ~{laneSheet.reference.duration} min</HeaderBadge>
+            <HeaderBadge>
+              💨 {laneSheet.lanes[0].pace}–{laneSheet.lanes[laneSheet.lanes.length - 1].pace}/100{unitLabel}
+            </HeaderBadge>
+          </ResultHeader>
+
+          <div className="mt-6">
+            <LaneSheetView sheet={laneSheet} />
+          </div>
+
+          <div className="mt-6 flex flex-wrap gap-3">
+            <ActionButton onClick={() => buildLanes(false)}>Shuffle</ActionButton>
+            <ActionButton onClick={() => copyTextToClipboard(laneSheetToText(laneSheet))}>
+              {copiedText ? "Copied!" : "Copy"}
+            </ActionButton>
+            <ActionButton onClick={copyLink}>{copiedLink ? "Copied!" : "Share"}</ActionButton>
+            <ActionButton onClick={() => window.print()}>Print coach sheet</ActionButton>
+          </div>
+        </div>
+      )}
+
+      {laneSheet && <PrintLaneSheet sheet={laneSheet} />}
+    </>
+  );
+}
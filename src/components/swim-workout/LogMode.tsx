@@ -0,0 +1,47 @@
+import { useCallback, useEffect, useState } from "react";
+import { deleteLoggedSession, loadSessionLog, saveSessionLog } from "../../lib/swim/storage";
+import { exportLog, mergeSessions, parseLogBackup } from "../../lib/swim/sessionLog";
+import type { LoggedSession } from "../../lib/swim/sessionLog";
+import { downloadFile } from "./shared";
+import SessionLogView from "./SessionLogView";
+
+interface Props {
+  unit: "meters" | "yards";
+}
+
+/** Lap Lab's Log mode: the swims logged on this device, read fresh each time the tab opens. */
+export default function LogMode({ unit }: Props) {
+  const [sessions, setSessions] = useState<LoggedSession[]>([]);
+
+  useEffect(() => {
+    setSessions(loadSessionLog());
+  }, []);
+
+  const exportSessionLog = useCallback(() => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`lap-lab-log-${date}.json`, new Blob([exportLog(sessions)], { type: "application/json" }));
+  }, [sessions]);
+
+  const importSessionLog = useCallback((text: string): string | null => {
+    try {
+      const merged = mergeSessions(loadSessionLog(), parseLogBackup(text));
+      saveSessionLog(merged);
+      setSessions(merged);
+      return null;
+    } catch (err) {
+      return err instanceof Error ? err.message : "Couldn't read that file.";
+    }
+  }, []);
+
+  return (
+    <div className="mt-6 print:hidden">
+      <SessionLogView
+        sessions={sessions}
+        unit={unit}
+        onDelete={(id) => setSessions(deleteLoggedSession(id))}
+        onExport={exportSessionLog}
+        onImport={importSessionLog}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { useMemo, useState } from "react";
+import type { Workout } from "../../lib/workoutEngine";
+import { loggableSets, parseDuration, RPE_OPTIONS, sessionFromWorkout } from "../../lib/swim/sessionLog";
+import type { LoggedSession, LoggedSet } from "../../lib/swim/sessionLog";
+
+interface Props {
+  workout: Workout;
+  onSave: (session: LoggedSession) => void;
+  onCancel: () => void;
+}
+
+const INPUT_CLASS =
+  "rounded-lg bg-white border border-stone-200 px-3 py-1.5 font-mono text-sm text-stone-700 placeholder:text-stone-300 focus:border-teal-400 focus:outline-none";
+
+export default function LogSessionForm({ workout, onSave, onCancel }: Props) {
+  const sets = useMemo(() => loggableSets(workout), [workout]);
+  const [total, setTotal] = useState("");
+  const [setTimes, setSetTimes] = useState<string[]>(() => sets.map(() => ""));
+  const [rpe, setRpe] = useState<number | null>(null);
+  const [notes, setNotes] = useState("");
+  const [error, setError] = useState<string | null>(null);
+
+  const save = () => {
+    const totalSeconds = total.trim() ? parseDuration(total) : undefined;
+    if (totalSeconds === null) {
+      setError("Enter the total time as h:mm:ss or mm:ss.");
+      return;
+    }
+    const timed: LoggedSet[] = [];
+    for (const [i, set] of sets.entries()) {
+      const text = setTimes[i].trim();
+      const seconds = text ? parseDuration(text) : undefined;
+      if (seconds === null) {
+        setError(`Set times should be m:ss, e.g. 1:32 — check "${text}".`);
+        return;
+      }
+      timed.push(seconds ? { ...set, seconds } : set);
+    }
+    onSave(
+      sessionFromWorkout(workout, {
+        ...(totalSeconds ? { totalSeconds } : {}),
+        sets: timed,
+        ...(rpe ? { rpe } : {}),
+        ...(notes.trim() ? { notes: notes.trim() } : {}),
+      }),
+    );
+  };
+
+  return (
+    <div className="mt-4 rounded-xl bg-white/70 border border-stone-200 p-4 space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <label className="block">
+          <span className="block text-[11px] text-stone-500 mb-1">Total time</span>
+          <input value={total} onChange={(e) => setTotal(e.target.value)} placeholder="58:30" className={`w-28 ${INPUT_CLASS}`} />
+        </label>
+        <div>
+          <span className="block text-[11px] text-stone-500 mb-1">Effort (RPE)</span>
+          <div className="flex gap-1">
+            {RPE_OPTIONS.map((n) => (
+              <button
+                key={n}
+                onClick={() => setRpe(rpe === n ? null : n)}
+                className={`w-7 h-7 rounded-md text-xs font-semibold transition-all ${
+                  rpe === n ? "bg-teal-600 text-white" : "bg-stone-100 text-stone-500 hover:text-stone-700"
+                }`}
+              >
+                {n}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div>
+        <span className="block text-[11px] text-stone-500 mb-1">Average time per rep (optional)</span>
+        <div className="space-y-1">
+          {sets.map((set, i) => (
+            <div key={i} className="flex items-center gap-3">
+              <input
+                value={setTimes[i]}
+                onChange={(e) => setSetTimes((prev) => prev.map((t, j) => (j === i ? e.target.value : t)))}
+                placeholder="m:ss"
+                aria-label={`Time per rep for ${set.label}`}
+                className={`w-20 ${INPUT_CLASS}`}
+              />
+              <span className="text-xs text-stone-500 truncate">
+                <span className="text-stone-400">{set.section} ·</span> {set.label}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <label className="block">
+        <span className="block text-[11px] text-stone-500 mb-1">Notes</span>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={2}
+          placeholder="Felt strong on the main set, shoulder a bit tight"
+          className={`w-full ${INPUT_CLASS} font-sans`}
+        />
+      </label>
+
+      {error && <p className="text-[11px] text-amber-700">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          onClick={save}
+          className="rounded-lg bg-teal-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-teal-700 transition-all"
+        >
+          Save to log
+        </button>
+        <button
+          onClick={onCancel}
+          className="rounded-lg px-4 py-2 text-sm font-semibold text-stone-500 hover:text-stone-700 transition-all"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
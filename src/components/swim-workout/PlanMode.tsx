@@ -0,0 +1,229 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import type { ReactNode } from "react";
+import { ALL_EQUIPMENT } from "../../lib/workoutEngine";
+import type { EquipmentOptions, Workout } from "../../lib/workoutEngine";
+import { generatePlan, PLAN_SESSION_OPTIONS, PLAN_WEEK_OPTIONS, RACE_DISTANCES } from "../../lib/swim/trainingPlan";
+import type { PlanSession, TrainingPlan } from "../../lib/swim/trainingPlan";
+import { useCopyToClipboard } from "../../hooks/useCopyToClipboard";
+import { cssParam, equipmentParam, linkedDuration, linkedPace, linkedUnit, paceInput, poolParam, readUrlParams } from "./shared";
+import { ActionButton, BuildButton, HeaderBadge, ResultHeader } from "./ui";
+import PlanView from "./PlanView";
+import type { PlanSelection } from "./PlanView";
+
+/** A plan session opened in the single-workout view, with the link that reopens it. */
+export interface OpenedSession {
+  workout: Workout;
+  link: string;
+}
+
+interface Props {
+  unit: "meters" | "yards";
+  poolLength: number;
+  duration: number;
+  pace: string;
+  /** CSS the sessions are zone-paced from, or null for the picked pace. */
+  css: string | null;
+  equipment: EquipmentOptions;
+  /** The workout the single-workout view is showing, so the plan can highlight its session. */
+  openWorkout: Workout | null;
+  /** Show a session in the single-workout view, or clear it when a new plan is built. */
+  onOpenSession: (session: OpenedSession | null, scroll: boolean) => void;
+  /** The shared session length, pace and equipment pickers, shown under the plan's own. */
+  children: ReactNode;
+}
+
+/** Plan links rebuild every session from the plan's own inputs, not the current pickers. */
+function planLink(plan: TrainingPlan, selection: PlanSelection | null): string {
+  const url = new URL(window.location.href);
+  const selected = selection ? `&ps=${selection.week}.${selection.slot}` : "";
+  url.search = `?plan=${plan.raceDistance}&w=${plan.weeks.length}&n=${plan.sessionsPerWeek}&d=${plan.sessionMinutes}&p=${encodeURIComponent(plan.pace)}${cssParam(plan.css)}&u=${plan.unit}${poolParam(plan.poolLength)}&s=${plan.seed}${equipmentParam(plan.equipment)}${selected}`;
+  url.hash = "";
+  return url.toString();
+}
+
+/** The plan session `workout` belongs to, if it's one of this plan's. */
+function sessionOf(plan: TrainingPlan, workout: Workout | null): PlanSelection | null {
+  for (const week of plan.weeks) {
+    const session = week.sessions.find((s) => s.workout === workout);
+    if (session) return { week: week.week, slot: session.slot };
+  }
+  return null;
+}
+
+/** Lap Lab's Training plan mode: a periodized block of sessions building to a goal race. */
+export default function PlanMode({ unit, poolLength, duration, pace, css, equipment, openWorkout, onOpenSession, children }: Props) {
+  const [raceDistance, setRaceDistance] = useState(() => {
+    const params = readUrlParams();
+    const options = RACE_DISTANCES[linkedUnit(params)];
+    return params?.plan && options.includes(params.plan.raceDistance) ? params.plan.raceDistance : options[options.length - 1];
+  });
+  const [planWeeks, setPlanWeeks] = useState(() => {
+    const weeks = readUrlParams()?.plan?.weeks;
+    return weeks && PLAN_WEEK_OPTIONS.includes(weeks) ? weeks : 8;
+  });
+  const [sessionsPerWeek, setSessionsPerWeek] = useState(() => {
+    const sessions = readUrlParams()?.plan?.sessionsPerWeek;
+    return sessions && PLAN_SESSION_OPTIONS.includes(sessions) ? sessions : 3;
+  });
+  const [plan, setPlan] = useState<TrainingPlan | null>(null);
+  const [animating, setAnimating] = useState(false);
+  const { copied: copiedLink, copy: copyLinkToClipboard } = useCopyToClipboard();
+  const planRef = useRef<HTMLDivElement>(null);
+
+  // Each unit has its own races; switching units aims for the longest one.
+  const races = RACE_DISTANCES[unit];
+  const race = races.includes(raceDistance) ? raceDistance : races[races.length - 1];
+  const selection = plan && sessionOf(plan, openWorkout);
+  const unitLabel = unit === "meters" ? "m" : "y";
+
+  // Auto-generate from a shared plan link on first mount
+  useEffect(() => {
+    const params = readUrlParams();
+    if (!params?.seed || !params.plan) return;
+    const linkUnit = linkedUnit(params);
+    const linkRaces = RACE_DISTANCES[linkUnit];
+    const p = generatePlan({
+      raceDistance: linkRaces.includes(params.plan.raceDistance) ? params.plan.raceDistance : linkRaces[linkRaces.length - 1],
+      weeks: params.plan.weeks && PLAN_WEEK_OPTIONS.includes(params.plan.weeks) ? params.plan.weeks : 8,
+      sessionsPerWeek: params.plan.sessionsPerWeek && PLAN_SESSION_OPTIONS.includes(params.plan.sessionsPerWeek)
+        ? params.plan.sessionsPerWeek
+        : 3,
+      sessionMinutes: linkedDuration(params),
+      pace: paceInput(linkedPace(params), params.css),
+      unit: linkUnit,
+      poolLength: params.poolLength,
+      seed: params.seed,
+      equipment: params.equipment ?? ALL_EQUIPMENT,
+    });
+    setPlan(p);
+    const selected = params.plan.selected;
+    const session = selected && p.weeks[selected.week - 1]?.sessions[selected.slot - 1];
+    if (selected && session) onOpenSession({ workout: session.workout, link: planLink(p, selected) }, false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const buildPlan = useCallback(() => {
+    const p = generatePlan({
+      raceDistance: race,
+      weeks: planWeeks,
+      sessionsPerWeek,
+      sessionMinutes: duration,
+      pace: paceInput(pace, css),
+      unit,
+      poolLength,
+      equipment,
+    });
+    setAnimating(true);
+    setPlan(p);
+    onOpenSession(null, false);
+    setTimeout(() => setAnimating(false), 400);
+    setTimeout(() => {
+      planRef.current?.scrollIntoView({ behavior: "smooth", block: "start" });
+    }, 100);
+  }, [race, planWeeks, sessionsPerWeek, duration, pace, css, unit, poolLength, equipment, onOpenSession]);
+
+  const selectPlanSession = useCallback((week: number, session: PlanSession) => {
+    if (!plan) return;
+    onOpenSession({ workout: session.workout, link: planLink(plan, { week, slot: session.slot }) }, true);
+  }, [plan, onOpenSession]);
+
+  return (
+    <>
+      <div className="mt-6 space-y-6 print:hidden">
+        {/* Plan goal */}
+        <div>
+          <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+            Goal race
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {races.map((r) => (
+              <button
+                key={r}
+                onClick={() => setRaceDistance(r)}
+                className={`rounded-xl px-5 py-2.5 text-sm font-mono font-semibold transition-all ${
+                  race === r
+                    ? "bg-teal-600 text-white shadow-md shadow-teal-300/40"
+                    : "bg-white/70 text-stone-600 border border-stone-200 hover:border-teal-300 hover:text-teal-700"
+                }`}
+              >
+                {r}{unitLabel}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid gap-6 sm:grid-cols-2">
+          <div>
+            <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+              Weeks to race
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {PLAN_WEEK_OPTIONS.map((w) => (
+                <button
+                  key={w}
+                  onClick={() => setPlanWeeks(w)}
+                  className={`rounded-xl px-4 py-2.5 text-sm font-semibold transition-all ${
+                    planWeeks === w
+                      ? "bg-teal-600 text-white shadow-md shadow-teal-300/40"
+                      : "bg-white/70 text-stone-600 border border-stone-200 hover:border-teal-300 hover:text-teal-700"
+                  }`}
+                >
+                  {w}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+              Swims per week
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {PLAN_SESSION_OPTIONS.map((n) => (
+                <button
+                  key={n}
+                  onClick={() => setSessionsPerWeek(n)}
+                  className={`rounded-xl px-4 py-2.5 text-sm font-semibold transition-all ${
+                    sessionsPerWeek === n
+                      ? "bg-teal-600 text-white shadow-md shadow-teal-300/40"
+                      : "bg-white/70 text-stone-600 border border-stone-200 hover:border-teal-300 hover:text-teal-700"
+                  }`}
+                >
+                  {n}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        {children}
+
+        <BuildButton onClick={buildPlan}>{plan ? "New Plan" : "Build Plan"}</BuildButton>
+      </div>
+
+      {/* ─── Plan Display ──────────────────────────────────────────────── */}
+      {plan && (
+        <div
+          ref={planRef}
+          className={`mt-10 print:hidden ${animating && !selection ? "animate-fadeIn" : ""}`}
+        >
+          <ResultHeader title={plan.name}>
+            <HeaderBadge>🏊 {plan.totalDistance.toLocaleString()} {plan.unit === "meters" ? "m" : "y"}</HeaderBadge>
+            <HeaderBadge>📅 {plan.sessionsPerWeek}× / week</HeaderBadge>
+            <HeaderBadge>💨 {plan.css ? `CSS ${plan.css}` : plan.pace}/100{plan.unit === "meters" ? "m" : "y"}</HeaderBadge>
+          </ResultHeader>
+          <p className="mt-4 text-[11px] text-stone-400">Tap a session to see the full workout.</p>
+          <div className="mt-2">
+            <PlanView plan={plan} selected={selection} onSelect={selectPlanSession} />
+          </div>
+          {!openWorkout && (
+            <div className="mt-6 flex flex-wrap gap-3">
+              <ActionButton onClick={() => copyLinkToClipboard(planLink(plan, null))}>
+                {copiedLink ? "Copied!" : "Share plan"}
+              </ActionButton>
+            </div>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
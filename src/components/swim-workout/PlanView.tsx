@@ -0,0 +1,83 @@
+import type { PlanPhase, PlanSession, TrainingPlan } from "../../lib/swim/trainingPlan";
+
+export interface PlanSelection {
+  week: number;
+  slot: number;
+}
+
+interface Props {
+  plan: TrainingPlan;
+  selected: PlanSelection | null;
+  onSelect: (week: number, session: PlanSession) => void;
+}
+
+const PHASE_STYLES: Record<PlanPhase, { label: string; border: string; badge: string }> = {
+  base: { label: "Base", border: "border-l-amber-400", badge: "bg-amber-500/90 text-white" },
+  build: { label: "Build", border: "border-l-teal-500", badge: "bg-teal-600 text-white" },
+  taper: { label: "Taper", border: "border-l-cyan-400", badge: "bg-cyan-500/90 text-white" },
+};
+
+const FOCUS_LABELS: Record<string, string> = {
+  any: "Mixed",
+  endurance: "Endurance",
+  speed: "Speed",
+  technique: "Technique",
+};
+
+export default function PlanView({ plan, selected, onSelect }: Props) {
+  const unitLabel = plan.unit === "meters" ? "m" : "y";
+
+  return (
+    <div className="space-y-3">
+      {plan.weeks.map((week) => {
+        const style = PHASE_STYLES[week.phase];
+        return (
+          <div key={week.week} className={`border-l-4 ${style.border} bg-white/60 rounded-r-xl p-4 backdrop-blur-sm`}>
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-bold text-stone-700">Week {week.week}</span>
+                <span className={`inline-block rounded-full px-2.5 py-0.5 text-[10px] font-bold uppercase tracking-wider ${style.badge}`}>
+                  {style.label}
+                </span>
+                {week.recovery && (
+                  <span className="inline-block rounded-full bg-stone-200 px-2.5 py-0.5 text-[10px] font-bold uppercase tracking-wider text-stone-600">
+                    Recovery
+                  </span>
+                )}
+              </div>
+              <span className="text-xs font-mono text-stone-400">
+                {week.totalDistance.toLocaleString()} {unitLabel}
+              </span>
+            </div>
+            <div className="grid gap-1.5 sm:grid-cols-2">
+              {week.sessions.map((session) => {
+                const isSelected = selected?.week === week.week && selected.slot === session.slot;
+                return (
+                  <button
+                    key={session.slot}
+                    onClick={() => onSelect(week.week, session)}
+                    className={`flex items-center justify-between gap-2 rounded-lg px-3 py-2 text-left transition-all ${
+                      isSelected
+                        ? "bg-teal-600 text-white shadow-sm"
+                        : "bg-white/70 border border-stone-200 text-stone-700 hover:border-teal-300 hover:text-teal-700"
+                    }`}
+                  >
+                    <div className="min-w-0">
+                      <div className="text-sm font-semibold truncate">{session.workout.name}</div>
+                      <div className={`text-[11px] ${isSelected ? "text-teal-100" : "text-stone-400"}`}>
+                        {FOCUS_LABELS[session.focus]} · ~{session.workout.estimatedMinutes} min
+                      </div>
+                    </div>
+                    <span className={`shrink-0 text-xs font-mono ${isSelected ? "text-teal-100" : "text-stone-400"}`}>
+                      {session.workout.totalDistance.toLocaleString()}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useMemo, useRef, useState } from "react";
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from "recharts";
+import { formatTime } from "../../lib/workoutEngine";
+import { formatMonthDay } from "../../lib/dateFormat";
+import { paceTrend, sessionPace, streaks, weeklyVolume } from "../../lib/swim/sessionLog";
+import type { LoggedSession } from "../../lib/swim/sessionLog";
+
+interface Props {
+  sessions: LoggedSession[];
+  unit: "meters" | "yards";
+  onDelete: (id: string) => void;
+  onExport: () => void;
+  /** Receives the backup file's text; returns an error message, or null once merged. */
+  onImport: (text: string) => string | null;
+}
+
+const TEAL = "#0d9488";
+const GRID_STROKE = "#e7e5e4";
+const AXIS_TICK = { fontSize: 11, fill: "#a8a29e" } as const;
+const TOOLTIP_STYLE = { fontSize: 12, borderRadius: 8, border: `1px solid ${GRID_STROKE}` } as const;
+
+function StatTile({ label, value }: { label: string; value: string }) {
+  return (
+    <div className="rounded-xl bg-white/70 border border-stone-200 px-4 py-3">
+      <div className="text-[10px] font-bold uppercase tracking-wider text-stone-400">{label}</div>
+      <div className="mt-0.5 text-lg font-bold text-stone-700">{value}</div>
+    </div>
+  );
+}
+
+export default function SessionLogView({ sessions, unit, onDelete, onExport, onImport }: Props) {
+  const fileRef = useRef<HTMLInputElement>(null);
+  const [importMessage, setImportMessage] = useState<string | null>(null);
+  const unitLabel = unit === "meters" ? "m" : "y";
+
+  const volume = useMemo(
+    () => weeklyVolume(sessions, unit).map((week) => ({ ...week, label: formatMonthDay(week.weekStart) })),
+    [sessions, unit],
+  );
+  const pace = useMemo(
+    () => paceTrend(sessions, unit).map((point) => ({ ...point, label: formatMonthDay(point.completedAt) })),
+    [sessions, unit],
+  );
+  const streak = useMemo(() => streaks(sessions), [sessions]);
+  const thisWeek = volume[volume.length - 1];
+
+  const handleFile = async (file: File) => {
+    const error = onImport(await file.text());
+    setImportMessage(error ?? `Imported ${file.name}`);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        <StatTile label="This week" value={`${thisWeek.distance.toLocaleString()}${unitLabel}`} />
+        <StatTile label="Week streak" value={`${streak.currentWeeks} wk`} />
+        <StatTile label="Longest" value={`${streak.longestWeeks} wk`} />
+        <StatTile label="Day streak" value={`${streak.currentDays} d`} />
+      </div>
+
+      {sessions.length === 0 ? (
+        <p className="text-sm text-stone-500">
+          No swims logged yet. Generate a workout, swim it, then hit <span className="font-semibold">Log swim</span> to record how it went.
+        </p>
+      ) : (
+        <>
+          <div>
+            <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+              Weekly distance ({unitLabel})
+            </label>
+            <div className="rounded-xl bg-white/70 border border-stone-200 p-3">
+              <ResponsiveContainer width="100%" height={180}>
+                <BarChart data={volume} margin={{ top: 5, right: 5, bottom: 0, left: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} vertical={false} />
+                  <XAxis dataKey="label" tick={AXIS_TICK} interval="preserveStartEnd" />
+                  <YAxis tick={AXIS_TICK} width={45} />
+                  <Tooltip
+                    contentStyle={TOOLTIP_STYLE}
+                    formatter={(value) => [`${Number(value).toLocaleString()}${unitLabel}`, "Distance"]}
+                    labelFormatter={(label) => `Week of ${label}`}
+                  />
+                  <Bar dataKey="distance" fill={TEAL} radius={[4, 4, 0, 0]} />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          {pace.length > 1 && (
+            <div>
+              <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+                Pace per 100{unitLabel}
+              </label>
+              <div className="rounded-xl bg-white/70 border border-stone-200 p-3">
+                <ResponsiveContainer width="100%" height={180}>
+                  <LineChart data={pace} margin={{ top: 5, right: 5, bottom: 0, left: 0 }}>
+                    <CartesianGrid strokeDasharray="3 3" stroke={GRID_STROKE} vertical={false} />
+                    <XAxis dataKey="label" tick={AXIS_TICK} interval="preserveStartEnd" />
+                    {/* Reversed so getting faster reads as going up. */}
+                    <YAxis tick={AXIS_TICK} width={45} reversed domain={["dataMin - 3", "dataMax + 3"]} tickFormatter={(v) => formatTime(v)} />
+                    <Tooltip
+                      contentStyle={TOOLTIP_STYLE}
+                      formatter={(value) => [`${formatTime(Number(value))}/100${unitLabel}`, "Pace"]}
+                    />
+                    <Line type="monotone" dataKey="pace" stroke={TEAL} strokeWidth={2.5} dot={{ r: 3 }} />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-xs font-bold uppercase tracking-wider text-stone-400 mb-2">
+              Logged swims
+            </label>
+            <div className="space-y-1.5">
+              {sessions.map((session) => {
+                const sessionUnit = session.unit === "meters" ? "m" : "y";
+                const pacePer100 = sessionPace(session, session.unit);
+                return (
+                  <div key={session.id} className="flex items-start justify-between gap-3 rounded-xl bg-white/70 border border-stone-200 px-4 py-2.5">
+                    <div className="flex-1 min-w-0">
+                      <div className="text-sm font-semibold text-stone-700 truncate">{session.name}</div>
+                      <div className="text-[11px] text-stone-400 mt-0.5">
+                        {formatMonthDay(session.completedAt)} · {session.totalDistance.toLocaleString()}{sessionUnit}
+                        {session.totalSeconds ? ` · ${formatTime(session.totalSeconds)}` : ""}
+                        {pacePer100 ? ` · ${formatTime(pacePer100)}/100${sessionUnit}` : ""}
+                        {session.rpe ? ` · RPE ${session.rpe}` : ""}
+                      </div>
+                      {session.notes && <div className="text-xs text-stone-500 mt-1">{session.notes}</div>}
+                    </div>
+                    <button
+                      onClick={() => onDelete(session.id)}
+                      aria-label={`Delete ${session.name}`}
+                      className="shrink-0 text-xs text-stone-300 hover:text-red-500 transition-colors"
+                    >
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        </>
+      )}
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button
+          onClick={onExport}
+          disabled={sessions.length === 0}
+          className="rounded-xl bg-white/70 border border-stone-200 px-4 py-2 text-sm font-semibold text-stone-700 hover:border-teal-300 hover:text-teal-700 transition-all disabled:opacity-40"
+        >
+          Export backup
+        </button>
+        <button
+          onClick={() => fileRef.current?.click()}
+          className="rounded-xl bg-white/70 border border-stone-200 px-4 py-2 text-sm font-semibold text-stone-700 hover:border-teal-300 hover:text-teal-700 transition-all"
+        >
+          Import backup
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          aria-hidden="true"
+          tabIndex={-1}
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            if (file) handleFile(file);
+            e.target.value = "";
+          }}
+        />
+        {importMessage && <span className="text-[11px] text-stone-500">{importMessage}</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+// Options, link parameters and helpers shared by Lap Lab's modes.
+
+import type { EquipmentOptions, WorkoutFocus, WorkoutInput } from "../../lib/workoutEngine";
+import { DEFAULT_POOL_LENGTH, isValidPoolLength } from "../../lib/swim/pool";
+import { MAX_LANES, MIN_LANES } from "../../lib/swim/lanes";
+import type { PlanSelection } from "./PlanView";
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+
+interface DurationOption {
+  value: number;
+  label: string;
+}
+
+interface PaceOption {
+  value: string;
+  label: string;
+}
+
+interface FocusOption {
+  value: WorkoutFocus;
+  label: string;
+  description: string;
+}
+
+export const FOCUSES: FocusOption[] = [
+  { value: "any",       label: "Any",        description: "Surprise me" },
+  { value: "endurance", label: "Endurance",  description: "Long, steady sets" },
+  { value: "speed",     label: "Speed",      description: "Intervals & sprints" },
+  { value: "technique", label: "Technique",  description: "Drills, IM & strokes" },
+];
+
+export const DURATIONS: DurationOption[] = [
+  { value: 30, label: "30 min" },
+  { value: 45, label: "45 min" },
+  { value: 60, label: "1 hour" },
+  { value: 90, label: "1.5 hours" },
+  { value: 120, label: "2 hours" },
+];
+
+// Paces are shown exactly as stored ("1:30"), so the label is always the value.
+const paceOptions = (times: string[]): PaceOption[] =>
+  times.map((time) => ({ value: time, label: time }));
+
+export const PACES: Record<string, PaceOption[]> = {
+  meters: paceOptions([
+    "1:20", "1:25", "1:30", "1:35", "1:40", "1:45",
+    "1:50", "1:55", "2:00", "2:10", "2:20", "2:30",
+  ]),
+  yards: paceOptions([
+    "1:10", "1:15", "1:20", "1:25", "1:30", "1:35",
+    "1:40", "1:45", "1:50", "2:00", "2:10", "2:20",
+  ]),
+};
+
+export const CSS_TEST = "CSS Test";
+
+// ─── URL param helpers ──────────────────────────────────────────────────────────
+
+const VALID_FOCUSES: WorkoutFocus[] = ["any", "endurance", "speed", "technique"];
+const CSS_PATTERN = /^\d{1,2}:\d{2}$/;
+
+export function readUrlParams() {
+  if (typeof window === "undefined") return null;
+  const params = new URLSearchParams(window.location.search);
+  const duration = params.get("d") ? parseInt(params.get("d")!, 10) : null;
+  const pace = params.get("p");
+  const unit = params.get("u") as "meters" | "yards" | null;
+  const seedParam = params.get("s") ? parseInt(params.get("s")!, 10) : null;
+  const focusParam = params.get("f") as WorkoutFocus | null;
+  const focus = focusParam && VALID_FOCUSES.includes(focusParam) ? focusParam : null;
+  const eqParam = params.get("eq");
+  let equipment: EquipmentOptions | null = null;
+  if (eqParam !== null) {
+    const gears = eqParam.split(",");
+    equipment = {
+      pull: gears.includes("pull"),
+      kickboard: gears.includes("kickboard"),
+      fins: gears.includes("fins"),
+    };
+  }
+  const planParam = params.get("plan") ? parseInt(params.get("plan")!, 10) : null;
+  const plan = planParam
+    ? {
+        raceDistance: planParam,
+        weeks: params.get("w") ? parseInt(params.get("w")!, 10) : null,
+        sessionsPerWeek: params.get("n") ? parseInt(params.get("n")!, 10) : null,
+        selected: parsePlanSelection(params.get("ps")),
+      }
+    : null;
+  const cssParam = params.get("css");
+  const css = cssParam && CSS_PATTERN.test(cssParam) ? cssParam : null;
+  const mainSet = params.get("ms");
+  const poolParam = params.get("pl") ? parseInt(params.get("pl")!, 10) : null;
+  const poolLength = poolParam && isValidPoolLength(poolParam) ? poolParam : DEFAULT_POOL_LENGTH;
+  const lanes = parseLanePaces(params.get("lp"));
+  return { duration, pace, unit, poolLength, seed: seedParam, focus, equipment, plan, css, mainSet, lanes };
+}
+
+export type UrlParams = ReturnType<typeof readUrlParams>;
+
+/** `lp=1:30,1:45,2:00` → one pace per lane */
+function parseLanePaces(value: string | null): string[] | null {
+  if (!value) return null;
+  const paces = value.split(",").filter((p) => CSS_PATTERN.test(p));
+  return paces.length >= MIN_LANES && paces.length <= MAX_LANES ? paces : null;
+}
+
+/** `ps=3.2` → week 3, session 2 */
+function parsePlanSelection(value: string | null): PlanSelection | null {
+  if (!value) return null;
+  const [week, slot] = value.split(".").map((n) => parseInt(n, 10));
+  return week > 0 && slot > 0 ? { week, slot } : null;
+}
+
+export function linkedUnit(params: UrlParams): "meters" | "yards" {
+  return params?.unit === "yards" ? "yards" : "meters";
+}
+
+/** The link's duration when it's one of the pickers', else an hour. */
+export function linkedDuration(params: UrlParams): number {
+  return params?.duration && DURATIONS.some((d) => d.value === params.duration) ? params.duration : 60;
+}
+
+/** The link's pace when it's one of its unit's, else that unit's default. */
+export function linkedPace(params: UrlParams): string {
+  const unit = linkedUnit(params);
+  if (params?.pace && PACES[unit].some((x) => x.value === params.pace)) return params.pace;
+  return unit === "meters" ? "1:45" : "1:35";
+}
+
+export function equipmentParam(equipment: EquipmentOptions): string {
+  const eqKeys = (Object.keys(equipment) as Array<keyof EquipmentOptions>).filter(k => equipment[k]);
+  return eqKeys.length === 3 ? "" : `&eq=${eqKeys.join(",")}`;
+}
+
+/** 25 is the default pool, so only other lengths go in the link. */
+export function poolParam(poolLength: number | undefined): string {
+  return poolLength && poolLength !== DEFAULT_POOL_LENGTH ? `&pl=${poolLength}` : "";
+}
+
+/** Zone-paced links carry the CSS alongside the fallback pace. */
+export function cssParam(css: string | undefined): string {
+  return css ? `&css=${encodeURIComponent(css)}` : "";
+}
+
+/** The engine's pace input: a CSS profile when zones are on and calibrated, else the picked pace. */
+export function paceInput(pace: string, css: string | null): WorkoutInput["pace"] {
+  return css ? { css } : pace;
+}
+
+export function downloadFile(filename: string, blob: Blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 2000);
+}
@@ -0,0 +1,73 @@
+// Pieces every Lap Lab mode draws with: the build button, the result header card and the
+// row of actions under a result.
+
+import type { ButtonHTMLAttributes, ReactNode } from "react";
+
+// ─── Chevron SVG pattern (for background flair) ────────────────────────────────
+
+export function ChevronPattern({ className = "" }: { className?: string }) {
+  return (
+    <svg
+      className={className}
+      viewBox="0 0 200 60"
+      fill="none"
+      xmlns="http://www.w3.org/2000/svg"
+      preserveAspectRatio="none"
+    >
+      <path d="M0 60 L50 10 L100 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.15" />
+      <path d="M50 60 L100 10 L150 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.1" />
+      <path d="M100 60 L150 10 L200 60" stroke="currentColor" strokeWidth="3" fill="none" opacity="0.15" />
+    </svg>
+  );
+}
+
+export function BuildButton({ onClick, children }: { onClick: () => void; children: ReactNode }) {
+  return (
+    <button
+      onClick={onClick}
+      className="group relative w-full rounded-2xl px-6 py-4 text-lg font-bold text-white shadow-lg shadow-teal-400/30 hover:shadow-xl hover:shadow-teal-400/40 transition-all active:scale-[0.98] overflow-hidden"
+      style={{
+        background: "linear-gradient(135deg, #0d9488, #0891b2, #06b6d4, #0d9488)",
+        backgroundSize: "300% 300%",
+        animation: "gradientShift 6s ease infinite",
+      }}
+    >
+      <span className="relative z-10">{children}</span>
+      <ChevronPattern className="absolute inset-0 w-full h-full text-white opacity-30" />
+    </button>
+  );
+}
+
+/** The gradient card a workout, plan or lane sheet opens with; `children` are its badges. */
+export function ResultHeader({ title, children }: { title: string; children: ReactNode }) {
+  return (
+    <div className="relative overflow-hidden rounded-2xl bg-gradient-to-br from-teal-700 via-teal-600 to-cyan-600 p-6 sm:p-8 text-white shadow-xl shadow-teal-900/20">
+      <ChevronPattern className="absolute inset-0 w-full h-full text-white" />
+      <div className="relative z-10">
+        <h2 className="text-2xl sm:text-3xl font-extrabold tracking-tight">
+          {title}
+        </h2>
+        <div className="mt-3 flex flex-wrap gap-3 text-sm">
+          {children}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function HeaderBadge({ children }: { children: ReactNode }) {
+  return (
+    <span className="inline-flex items-center gap-1.5 rounded-full bg-white/20 backdrop-blur-sm px-3 py-1 font-semibold">
+      {children}
+    </span>
+  );
+}
+
+export function ActionButton({ className = "", ...props }: ButtonHTMLAttributes<HTMLButtonElement>) {
+  return (
+    <button
+      {...props}
+      className={`flex items-center gap-2 rounded-xl bg-white/70 border border-stone-200 px-5 py-2.5 text-sm font-semibold text-stone-700 shadow-sm hover:bg-white hover:border-teal-300 hover:text-teal-700 transition-all active:scale-[0.97] backdrop-blur-sm ${className}`}
+    />
+  );
+}
@@ -0,0 +1,11 @@
+import { useSyncExternalStore } from "react";
+import { readSpoilerShield, subscribeSpoilerShield } from "../lib/watchProfile/client";
+
+/**
+ * Whether the watch profile's spoiler shield is up. Re-renders when it's toggled in
+ * WTWTW settings, in another tab, or arrives from a shared profile on another device.
+ * Always false during server render — scores are only ever filled in client-side.
+ */
+export function useSpoilerShield(): boolean {
+  return useSyncExternalStore(subscribeSpoilerShield, readSpoilerShield, () => false);
+}
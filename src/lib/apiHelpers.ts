@@ -22,6 +22,13 @@ export function fetchWithTimeout(
   return fetch(url, { ...init, signal: AbortSignal.timeout(ms) });
 }
 
+/** Vercel Cron sends `Authorization: Bearer $CRON_SECRET`; without one set, only dev may run it. */
+export function isCronRequest(request: Request): boolean {
+  const secret = import.meta.env.CRON_SECRET ?? process.env.CRON_SECRET;
+  if (!secret) return import.meta.env.DEV;
+  return request.headers.get("authorization") === `Bearer ${secret}`;
+}
+
 export function validateLatLon(
   lat: unknown,
   lon: unknown,
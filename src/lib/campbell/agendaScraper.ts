@@ -1,9 +1,18 @@
 import digestSource from "../../data/campbellCouncilDigestSource.json";
+import type { CouncilMeetingDigest, DigestSummary } from "./types";
 
 // The nightly sync (scripts/sync-campbell-data.mjs) pulls the newest council
 // agenda from the city's eScribe portal and bundles its text here, so the
 // digest API never fetches eScribe at request time (its TLS chain is not in
 // Node's CA store, and bundled text keeps the endpoint fast and reliable).
+// It also writes the per-meeting digest archive (scripts/campbell-council-digests.mjs),
+// which only exists once a sync has run — hence a glob that comes back empty until then.
+
+const digestArchives = import.meta.glob<{ meetings: Record<string, CouncilMeetingDigest> }>(
+  "../../data/campbellCouncilDigests.json",
+  { eager: true, import: "default" },
+);
+const DIGEST_MEETINGS = Object.values(digestArchives)[0]?.meetings ?? {};
 
 export interface AgendaInfo {
   date: string;
@@ -23,3 +32,26 @@ export function getLatestAgenda(): AgendaInfo | null {
     content: agendaText,
   };
 }
+
+/** Every meeting the sync has summarized, newest first — the order the sync writes them in. */
+export function getCouncilDigestArchive(): CouncilMeetingDigest[] {
+  return Object.values(DIGEST_MEETINGS);
+}
+
+/** The sync's digest of this agenda, shaped like a live one, when it already wrote one. */
+export function getArchivedAgendaDigest(agenda: AgendaInfo): DigestSummary | null {
+  const meeting = getCouncilDigestArchive().find(
+    (digest) => digest.date === agenda.date && digest.title === agenda.title && digest.agenda,
+  );
+  if (!meeting?.agenda) return null;
+
+  return {
+    meetingDate: meeting.date,
+    title: meeting.title,
+    summary: meeting.agenda.summary,
+    keyTopics: meeting.agenda.keyTopics,
+    nextMeeting: meeting.agenda.nextMeeting,
+    sourceUrl: agenda.url,
+    generatedAt: meeting.agenda.generatedAt,
+  };
+}
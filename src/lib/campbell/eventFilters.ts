@@ -0,0 +1,91 @@
+import { addCampbellDays, endOfDay, startOfDay } from "./dateHelpers";
+import { campbellWeekendWindow, eventInWindow } from "./eventDates";
+
+/** One merged item from `campbellEvents.json`. */
+export interface CampbellEvent {
+  title: string;
+  date: string;
+  cost: string;
+  location: string;
+  description: string;
+  url: string;
+  imageUrl: string;
+  category?: string;
+  source?: string;
+  sourceUrl?: string;
+  startDate?: string;
+  endDate?: string;
+  additionalSourceUrls?: string[];
+  topics?: string[];
+}
+
+export const ALL_SOURCE_FILTER = "all";
+export const ALL_CATEGORY_FILTER = "all";
+
+export type EventViewFilter = "today" | "weekend" | "all" | "next14" | "next30" | "public";
+export const EVENT_VIEW_FILTERS: EventViewFilter[] = ["next14", "today", "weekend", "next30", "all", "public"];
+export const DEFAULT_VIEW_FILTER: EventViewFilter = "next14";
+
+export function isEventViewFilter(value: string): value is EventViewFilter {
+  return (EVENT_VIEW_FILTERS as string[]).includes(value);
+}
+
+/** Merged events list every feed they came from, so a source matches any of them. */
+export function eventMatchesSource(event: CampbellEvent, sourceFilter: string) {
+  if (sourceFilter === ALL_SOURCE_FILTER) return true;
+  const sourceText = [
+    event.source ?? "",
+    event.sourceUrl ?? "",
+    ...(event.additionalSourceUrls ?? []),
+  ].join(" ");
+  return sourceText.includes(sourceFilter);
+}
+
+export function eventMatchesCategory(event: CampbellEvent, categoryFilter: string) {
+  return categoryFilter === ALL_CATEGORY_FILTER || event.category === categoryFilter;
+}
+
+export function eventMatchesView(event: CampbellEvent, viewFilter: EventViewFilter, referenceDay: Date) {
+  if (viewFilter === "all") return true;
+
+  const text = [
+    event.title,
+    event.category ?? "",
+    event.source ?? "",
+    event.description,
+  ].join(" ");
+
+  if (viewFilter === "public") {
+    return /council|commission|committee|board|meeting|hearing/i.test(text);
+  }
+
+  const startOfReferenceDay = startOfDay(referenceDay);
+
+  if (viewFilter === "today") {
+    return eventInWindow(event, startOfReferenceDay, endOfDay(startOfReferenceDay));
+  }
+
+  if (viewFilter === "weekend") {
+    const weekend = campbellWeekendWindow(startOfReferenceDay);
+    return eventInWindow(event, weekend.start, weekend.end);
+  }
+
+  const windowDays = viewFilter === "next14" ? 14 : 30;
+  const windowEnd = endOfDay(addCampbellDays(startOfReferenceDay, windowDays));
+  return eventInWindow(event, startOfReferenceDay, windowEnd);
+}
+
+export function eventMatchesQuery(event: CampbellEvent, query: string) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return [
+    event.title,
+    event.date,
+    event.location,
+    event.cost,
+    event.description,
+    event.category ?? "",
+    event.source ?? "",
+    ...(event.topics ?? []),
+  ].some((value) => value.toLowerCase().includes(needle));
+}
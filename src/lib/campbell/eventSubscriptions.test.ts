@@ -0,0 +1,166 @@
+import { describe, expect, it } from "vitest";
+import { eventKey as syncEventKey } from "../../../scripts/campbell-sources/events.mjs";
+import type { CampbellEvent } from "./eventFilters";
+import {
+  buildEventsIcs,
+  buildEventsRss,
+  campbellEventsFeedUrl,
+  eventFeedTitle,
+  eventKey,
+  eventUid,
+  feedEvents,
+  parseEventFeedFilters,
+} from "./eventSubscriptions";
+
+function event(overrides: Partial<CampbellEvent>): CampbellEvent {
+  return {
+    title: "Event",
+    date: "",
+    cost: "",
+    location: "",
+    description: "",
+    url: "",
+    imageUrl: "",
+    ...overrides,
+  };
+}
+
+const market = event({
+  title: "Campbell Farmers' Market",
+  startDate: "2026-05-17T09:00:00",
+  endDate: "2026-05-17T13:00:00",
+  location: "Campbell Ave",
+  cost: "Free",
+  category: "Downtown",
+  source: "Downtown Campbell Events",
+  url: "https://www.downtowncampbell.com/events/market",
+});
+const storytime = event({
+  title: "Family Storytime",
+  startDate: "2026-05-19T10:30:00",
+  category: "Campbell Library",
+  source: "Campbell Library Events",
+});
+const fair = event({
+  title: "Spring Fair",
+  startDate: "2026-05-16T00:00:00",
+  endDate: "2026-05-17T00:00:00",
+  source: "City of Campbell Calendar",
+});
+const council = event({
+  title: "City Council Regular Meeting",
+  startDate: "2026-06-16T19:00:00",
+  source: "City of Campbell Calendar",
+});
+const EVENTS = [council, storytime, market, fair];
+
+// Thursday, May 14, 2026, 9 AM Pacific.
+const NOW = new Date("2026-05-14T16:00:00Z");
+
+describe("parseEventFeedFilters", () => {
+  it("reads the guide's filters, defaulting like the guide does", () => {
+    expect(parseEventFeedFilters(new URLSearchParams(""))).toEqual({
+      source: "all",
+      category: "all",
+      view: "next14",
+      query: "",
+    });
+    expect(
+      parseEventFeedFilters(new URLSearchParams("source=Campbell+Library+Events&category=Campbell+Library&view=weekend&q=+story+")),
+    ).toEqual({ source: "Campbell Library Events", category: "Campbell Library", view: "weekend", query: "story" });
+    expect(parseEventFeedFilters(new URLSearchParams("view=forever")).view).toBe("next14");
+  });
+});
+
+describe("campbellEventsFeedUrl", () => {
+  it("carries only the filters that differ from the defaults", () => {
+    const filters = { source: "Campbell Library Events", category: "all", view: "next14" as const, query: "" };
+    expect(campbellEventsFeedUrl("ics", filters, "https://stanwood.dev")).toBe(
+      "webcal://stanwood.dev/api/campbell/events.ics?source=Campbell+Library+Events",
+    );
+    expect(campbellEventsFeedUrl("rss", { ...filters, view: "weekend" }, "https://stanwood.dev")).toBe(
+      "https://stanwood.dev/api/campbell/events.rss?source=Campbell+Library+Events&view=weekend",
+    );
+  });
+});
+
+describe("eventKey", () => {
+  it("matches the sync's merge key, so UIDs survive re-syncs", () => {
+    expect(eventKey(market)).toBe("campbell farmers market|2026-05-17T09:00");
+    expect(eventKey(fair)).toBe("spring fair|2026-05-16");
+    expect(eventUid(market)).toBe("campbell-farmers-market-2026-05-17T09-00@campbell.stanwood.dev");
+  });
+
+  it("keys every listing the way the sync does", () => {
+    const listings = [
+      ...EVENTS,
+      event({ title: "Farm\u200Bers\u00A0Market ,  Spring  Edition .", startDate: "2026-05-17T09:00:00" }),
+      event({ title: "\uFEFFMovie Night:\r\nTHE   Goonies!", date: "2026-07-10" }),
+      event({ title: "Concert — Jazz @ the Park", startDate: "2026-07-11T00:00:00" }),
+      event({ title: "", startDate: "2026-07-12T18:30:00" }),
+    ];
+    for (const listing of listings) expect(eventKey(listing)).toBe(syncEventKey(listing));
+    expect(eventKey(listings[4])).toBe("farmers market spring|2026-05-17T09:00");
+  });
+});
+
+describe("feedEvents", () => {
+  it("applies the weekend window from campbellWeekendWindow", () => {
+    const weekend = feedEvents(EVENTS, parseEventFeedFilters(new URLSearchParams("view=weekend")), NOW);
+    expect(weekend.map((e) => e.title)).toEqual(["Spring Fair", "Campbell Farmers' Market"]);
+  });
+
+  it("applies the next-14-days window, source and category", () => {
+    expect(feedEvents(EVENTS, parseEventFeedFilters(new URLSearchParams()), NOW).map((e) => e.title)).toEqual([
+      "Spring Fair",
+      "Campbell Farmers' Market",
+      "Family Storytime",
+    ]);
+    expect(
+      feedEvents(EVENTS, parseEventFeedFilters(new URLSearchParams("source=Campbell+Library+Events")), NOW),
+    ).toEqual([storytime]);
+    expect(feedEvents(EVENTS, parseEventFeedFilters(new URLSearchParams("category=Downtown&view=all")), NOW)).toEqual([
+      market,
+    ]);
+  });
+});
+
+describe("eventFeedTitle", () => {
+  it("names the filters", () => {
+    expect(eventFeedTitle(parseEventFeedFilters(new URLSearchParams("source=Campbell+Library+Events&view=weekend")))).toBe(
+      "Campbell events · Campbell Library Events · this weekend",
+    );
+  });
+});
+
+describe("buildEventsIcs", () => {
+  it("writes Pacific wall times, all-day ranges and stable UIDs", () => {
+    const ics = buildEventsIcs(EVENTS, parseEventFeedFilters(new URLSearchParams("view=weekend")), NOW);
+    const lines = ics.split("\r\n");
+    expect(lines).toContain("BEGIN:VTIMEZONE");
+    expect(lines).toContain("UID:campbell-farmers-market-2026-05-17T09-00@campbell.stanwood.dev");
+    expect(lines).toContain("DTSTART;TZID=America/Los_Angeles:20260517T090000");
+    expect(lines).toContain("DTEND;TZID=America/Los_Angeles:20260517T130000");
+    expect(lines).toContain("LOCATION:Campbell Ave");
+    expect(lines).toContain("DTSTART;VALUE=DATE:20260516");
+    expect(lines).toContain("DTEND;VALUE=DATE:20260518");
+    expect(lines).toContain("X-WR-CALNAME:Campbell events · this weekend");
+  });
+
+  it("gives a timed event without an end a default length", () => {
+    const ics = buildEventsIcs([storytime], parseEventFeedFilters(new URLSearchParams()), NOW);
+    expect(ics).toContain("DTEND;TZID=America/Los_Angeles:20260519T113000");
+  });
+});
+
+describe("buildEventsRss", () => {
+  it("lists the filtered events with the same UIDs", () => {
+    const rss = buildEventsRss(EVENTS, parseEventFeedFilters(new URLSearchParams("view=weekend")), "https://stanwood.dev", NOW);
+    expect(rss).toContain("<title>Campbell Farmers&apos; Market</title>");
+    expect(rss).toContain('<guid isPermaLink="false">campbell-farmers-market-2026-05-17T09-00@campbell.stanwood.dev</guid>');
+    expect(rss).toContain("<link>https://www.downtowncampbell.com/events/market</link>");
+    expect(rss).toContain('<atom:link href="https://stanwood.dev/api/campbell/events.rss?view=weekend"');
+    expect(rss.match(/<item>/g)).toHaveLength(2);
+    expect(rss).not.toContain("Family Storytime");
+  });
+});
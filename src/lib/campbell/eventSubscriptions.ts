@@ -0,0 +1,202 @@
+// Subscribable feeds of the merged Campbell events calendar, served by
+// /api/campbell/events.ics and /api/campbell/events.rss. They take the events guide's
+// filters — calendar, topic, date view, search — so a subscription keeps showing what a
+// resident was looking at, rolling forward as the days pass.
+
+import { buildIcs, formatIcsDate, type IcsEvent } from "../ics";
+import { buildRss, type RssItem } from "../rss";
+import { MS_PER_MINUTE } from "../time";
+import { CAMPBELL_TIME_ZONE, startOfDay } from "./dateHelpers";
+import { compareResidentEvents, eventDateLabel, eventEnd, eventStart } from "./eventDates";
+import {
+  ALL_CATEGORY_FILTER,
+  ALL_SOURCE_FILTER,
+  DEFAULT_VIEW_FILTER,
+  type CampbellEvent,
+  type EventViewFilter,
+  eventMatchesCategory,
+  eventMatchesQuery,
+  eventMatchesSource,
+  eventMatchesView,
+  isEventViewFilter,
+} from "./eventFilters";
+
+export interface EventFeedFilters {
+  source: string;
+  category: string;
+  view: EventViewFilter;
+  query: string;
+}
+
+/** Calendar apps and readers are asked to re-fetch this often; the routes' CDN cache matches. */
+export const EVENT_FEED_REFRESH_MINUTES = 360;
+
+const UID_DOMAIN = "campbell.stanwood.dev";
+/** Feeds list a start time but no end often enough that a timed event needs a default length. */
+const DEFAULT_EVENT_MINUTES = 60;
+const MAX_QUERY_LENGTH = 100;
+
+const VIEW_TITLES: Record<EventViewFilter, string> = {
+  next14: "next 14 days",
+  today: "today",
+  weekend: "this weekend",
+  next30: "next 30 days",
+  all: "all dates",
+  public: "public meetings",
+};
+
+/** `?source=&category=&view=&q=` → filters, falling back to the guide's defaults. */
+export function parseEventFeedFilters(params: URLSearchParams): EventFeedFilters {
+  const view = params.get("view") || "";
+  return {
+    source: params.get("source")?.trim() || ALL_SOURCE_FILTER,
+    category: params.get("category")?.trim() || ALL_CATEGORY_FILTER,
+    view: isEventViewFilter(view) ? view : DEFAULT_VIEW_FILTER,
+    query: (params.get("q") || "").trim().slice(0, MAX_QUERY_LENGTH),
+  };
+}
+
+/** The feed URL for a set of filters — `webcal:` for the calendar, so it opens as a subscription. */
+export function campbellEventsFeedUrl(format: "ics" | "rss", filters: EventFeedFilters, origin: string): string {
+  const url = new URL(`/api/campbell/events.${format}`, origin);
+  if (filters.source !== ALL_SOURCE_FILTER) url.searchParams.set("source", filters.source);
+  if (filters.category !== ALL_CATEGORY_FILTER) url.searchParams.set("category", filters.category);
+  if (filters.view !== DEFAULT_VIEW_FILTER) url.searchParams.set("view", filters.view);
+  if (filters.query.trim()) url.searchParams.set("q", filters.query.trim());
+  const href = url.toString();
+  return format === "ics" ? href.replace(/^https?:/, "webcal:") : href;
+}
+
+/**
+ * The sync's `normalizeKeyPart` (scripts/campbell-sources/text.mjs). Its `cleanSentence` pass
+ * only tidies whitespace and punctuation, which the letters-and-digits filter drops anyway —
+ * except the zero-width characters it deletes, which would otherwise split a word in two.
+ */
+function normalizeKeyPart(value = "") {
+  return value
+    .replace(/[\u200B-\u200D\uFEFF]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function hasSpecificTime(event: CampbellEvent) {
+  return /\d{4}-\d{2}-\d{2}T(?!00:00)/.test(event.startDate || event.date || "");
+}
+
+/**
+ * The sync's merge key (`eventKey` in scripts/campbell-sources/events.mjs): title and start
+ * day, or the title's first words and start minute for timed events. The same listing
+ * keeps the same key across syncs however many feeds it merged from; the tests hold the
+ * two implementations to the same keys.
+ */
+export function eventKey(event: CampbellEvent): string {
+  const startDate = event.startDate || event.date || "";
+  const specificTime = hasSpecificTime(event);
+  const title = normalizeKeyPart(event.title);
+  const titleKey = specificTime ? title.split(" ").slice(0, 3).join(" ") || title : title;
+  const dateKey = specificTime ? startDate.slice(0, 16) : startDate.slice(0, 10);
+  return `${titleKey}|${dateKey}`;
+}
+
+export function eventUid(event: CampbellEvent): string {
+  return `${eventKey(event).replace(/[^A-Za-z0-9._-]+/g, "-")}@${UID_DOMAIN}`;
+}
+
+/** Events matching `filters` as of `now`, in the guide's order. */
+export function feedEvents(events: CampbellEvent[], filters: EventFeedFilters, now = new Date()): CampbellEvent[] {
+  const referenceDay = startOfDay(now);
+  return events
+    .filter(
+      (event) =>
+        eventStart(event) !== null &&
+        eventMatchesSource(event, filters.source) &&
+        eventMatchesCategory(event, filters.category) &&
+        eventMatchesView(event, filters.view, referenceDay) &&
+        eventMatchesQuery(event, filters.query),
+    )
+    .sort(compareResidentEvents);
+}
+
+/** "Campbell events · Library · this weekend" */
+export function eventFeedTitle(filters: EventFeedFilters): string {
+  const parts = ["Campbell events"];
+  if (filters.source !== ALL_SOURCE_FILTER) parts.push(filters.source);
+  if (filters.category !== ALL_CATEGORY_FILTER) parts.push(filters.category);
+  if (filters.query) parts.push(`"${filters.query}"`);
+  parts.push(VIEW_TITLES[filters.view]);
+  return parts.join(" · ");
+}
+
+function eventDetails(event: CampbellEvent): string {
+  return [
+    [event.location, event.cost].filter(Boolean).join(" · "),
+    event.description,
+    event.source ? `From ${event.source}` : "",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+function icsEvent(event: CampbellEvent): IcsEvent {
+  const start = eventStart(event)!;
+  const end = eventEnd(event) ?? start;
+  // Date-only listings and ones spanning several days sit on the calendar as whole days.
+  const allDay =
+    !hasSpecificTime(event) || formatIcsDate(start, CAMPBELL_TIME_ZONE) !== formatIcsDate(end, CAMPBELL_TIME_ZONE);
+  return {
+    uid: eventUid(event),
+    start,
+    end: allDay || end.getTime() > start.getTime() ? end : new Date(start.getTime() + DEFAULT_EVENT_MINUTES * MS_PER_MINUTE),
+    allDay,
+    summary: event.title,
+    description: eventDetails(event),
+    location: event.location || "Campbell, CA",
+    url: event.url || undefined,
+    status: "CONFIRMED",
+  };
+}
+
+export function buildEventsIcs(events: CampbellEvent[], filters: EventFeedFilters, now = new Date()): string {
+  return buildIcs(
+    {
+      name: eventFeedTitle(filters),
+      description: "Downtown, city, library, museum, Heritage Theatre, Chamber and school events in Campbell, CA.",
+      refreshMinutes: EVENT_FEED_REFRESH_MINUTES,
+      timeZone: CAMPBELL_TIME_ZONE,
+      events: feedEvents(events, filters, now).map(icsEvent),
+    },
+    now,
+  );
+}
+
+function rssItem(event: CampbellEvent, referenceDay: Date): RssItem {
+  return {
+    guid: eventUid(event),
+    title: event.title,
+    link: event.url || undefined,
+    description: [eventDateLabel(event, referenceDay), eventDetails(event)].filter(Boolean).join("\n"),
+    pubDate: eventStart(event) ?? undefined,
+    category: event.category,
+  };
+}
+
+export function buildEventsRss(
+  events: CampbellEvent[],
+  filters: EventFeedFilters,
+  origin: string,
+  now = new Date(),
+): string {
+  const referenceDay = startOfDay(now);
+  return buildRss(
+    {
+      title: eventFeedTitle(filters),
+      link: new URL("/campbell#campbell-events-next14", origin).toString(),
+      description: "Upcoming events in Campbell, CA, merged from the city, downtown, library, museum, theatre, Chamber and school calendars.",
+      selfUrl: campbellEventsFeedUrl("rss", filters, origin),
+      ttlMinutes: EVENT_FEED_REFRESH_MINUTES,
+      items: feedEvents(events, filters, now).map((event) => rssItem(event, referenceDay)),
+    },
+    now,
+  );
+}
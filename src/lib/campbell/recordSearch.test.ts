@@ -0,0 +1,181 @@
+import { describe, expect, it } from "vitest";
+import { buildRecordSearchIndex, searchTokens as indexTokens } from "../../../scripts/campbell-search-index.mjs";
+import { parseCampbellDate } from "./dateHelpers";
+import {
+  ALL_BODIES_FILTER,
+  highlightParts,
+  parseRecordSearchFilters,
+  recordSearchPath,
+  recordSnippet,
+  searchRecordIndex,
+  searchTokens,
+  type RecordSearchDocument,
+  type RecordSearchFilters,
+  type RecordSearchIndex,
+} from "./recordSearch";
+
+/** A campbellRecordText.json item, as the index builder takes it. */
+type RecordText = Omit<RecordSearchDocument, "excerpt"> & { text: string };
+
+function document(overrides: Partial<RecordText>): RecordText {
+  return {
+    id: "agenda:https://example.com/agenda",
+    kind: "agenda",
+    body: "City Council",
+    date: "May 5, 2026",
+    title: "City Council Regular Session Meeting 5/5/2026",
+    url: "https://example.com/agenda",
+    meetingUrl: "",
+    text: "",
+    ...overrides,
+  };
+}
+
+const DOCUMENTS = [
+  document({
+    id: "agenda:council-may",
+    date: "May 5, 2026",
+    text: "Public hearing to consider a sidewalk vending ordinance and the Bascom Avenue housing plan.",
+  }),
+  document({
+    id: "minutes:council-march",
+    kind: "minutes",
+    date: "March 3, 2026",
+    title: "City Council Regular Session Meeting 3/3/2026",
+    text: "Council approved the housing element. The housing element was adopted 5-0 after public comment.",
+  }),
+  document({
+    id: "agenda:planning-may",
+    body: "Planning Commission",
+    date: "May 12, 2026",
+    title: "Planning Commission Agenda",
+    text: "Site and architectural review for 1875 S Bascom Ave, a five-story office building at the Pruneyard.",
+  }),
+  document({
+    id: "hearing:notice-1",
+    kind: "hearing",
+    body: "Planning Commission",
+    date: "May 26, 2026 at 7:00 p.m.",
+    title: "Winchester Blvd Townhomes",
+    text: "Consider a tentative map for 12 townhomes on Winchester Boulevard.",
+  }),
+];
+
+const INDEX = buildRecordSearchIndex({ generatedAt: "2026-05-14T16:00:00.000Z", items: DOCUMENTS }) as RecordSearchIndex;
+const TODAY = parseCampbellDate("May 14, 2026")!;
+
+function filters(overrides: Partial<RecordSearchFilters>): RecordSearchFilters {
+  return { query: "", body: ALL_BODIES_FILTER, date: "any", ...overrides };
+}
+
+function search(overrides: Partial<RecordSearchFilters>) {
+  return searchRecordIndex(INDEX, filters(overrides), TODAY);
+}
+
+describe("searchTokens", () => {
+  it("splits text the same way the index builder does", () => {
+    const text = "Bascom Ave. (PLN-2026-82) — a 5-story office, O'Brien's";
+    expect(searchTokens(text)).toEqual(indexTokens(text));
+    expect(searchTokens(text)).toEqual(["bascom", "ave", "pln", "2026", "82", "story", "office", "brien"]);
+  });
+});
+
+describe("parseRecordSearchFilters", () => {
+  it("reads q, body and date, defaulting unknown values", () => {
+    expect(parseRecordSearchFilters(new URLSearchParams("q=%20housing%20&body=Planning+Commission&date=past90"))).toEqual({
+      query: "housing",
+      body: "Planning Commission",
+      date: "past90",
+    });
+    expect(parseRecordSearchFilters(new URLSearchParams("q=x&date=forever"))).toEqual({
+      query: "x",
+      body: ALL_BODIES_FILTER,
+      date: "any",
+    });
+  });
+
+  it("round-trips through recordSearchPath", () => {
+    const path = recordSearchPath(filters({ query: "bascom ave", body: "City Council", date: "upcoming" }));
+    expect(path).toBe("/api/campbell/search?q=bascom+ave&body=City+Council&date=upcoming");
+    expect(parseRecordSearchFilters(new URL(path, "https://stanwood.dev").searchParams)).toEqual(
+      filters({ query: "bascom ave", body: "City Council", date: "upcoming" }),
+    );
+    expect(recordSearchPath(filters({ query: "housing" }))).toBe("/api/campbell/search?q=housing");
+  });
+});
+
+describe("searchRecordIndex", () => {
+  it("requires every word and ranks heavier use first", () => {
+    const results = search({ query: "housing" });
+    expect(results.hits.map((hit) => hit.id)).toEqual(["minutes:council-march", "agenda:council-may"]);
+    expect(search({ query: "housing bascom" }).hits.map((hit) => hit.id)).toEqual(["agenda:council-may"]);
+    expect(search({ query: "housing winchester" }).total).toBe(0);
+  });
+
+  it("treats the last word as a prefix", () => {
+    const results = search({ query: "townh" });
+    expect(results.hits.map((hit) => hit.id)).toEqual(["hearing:notice-1"]);
+    expect(results.hits[0].terms).toEqual(["townhomes"]);
+    expect(search({ query: "townh map" }).total).toBe(0);
+  });
+
+  it("counts title words more than text words", () => {
+    expect(search({ query: "planning" }).hits[0].id).toBe("agenda:planning-may");
+  });
+
+  it("filters by body and date window", () => {
+    expect(search({ query: "bascom", body: "Planning Commission" }).hits.map((hit) => hit.id)).toEqual([
+      "agenda:planning-may",
+    ]);
+    expect(search({ query: "public", date: "upcoming" }).total).toBe(0);
+    expect(search({ query: "consider", date: "upcoming" }).hits.map((hit) => hit.id)).toEqual(["hearing:notice-1"]);
+    expect(search({ query: "council", date: "past90" }).hits.map((hit) => hit.id)).toEqual([
+      "minutes:council-march",
+      "agenda:council-may",
+    ]);
+    expect(
+      searchRecordIndex(INDEX, filters({ query: "element", date: "past90" }), parseCampbellDate("July 1, 2026")!).total,
+    ).toBe(0);
+  });
+
+  it("returns nothing for a query without searchable words", () => {
+    expect(search({ query: "a !" })).toEqual({ query: "a !", total: 0, hits: [] });
+  });
+
+  it("caps hits but reports the full total", () => {
+    const results = searchRecordIndex(INDEX, filters({ query: "council" }), TODAY, 1);
+    expect(results.total).toBe(2);
+    expect(results.hits).toHaveLength(1);
+  });
+});
+
+describe("recordSnippet", () => {
+  const text = `${"Opening remarks and roll call. ".repeat(8)}The Council heard the sidewalk vending ordinance. ${"Adjourned. ".repeat(12)}`;
+
+  it("centres on the first match and trims at word boundaries", () => {
+    const snippet = recordSnippet(text, ["sidewalk"], 40);
+    expect(snippet.startsWith("...")).toBe(true);
+    expect(snippet.endsWith("...")).toBe(true);
+    expect(snippet).toContain("the sidewalk vending ordinance");
+    expect(snippet.replace(/^\.\.\.|\.\.\.$/g, "")).toMatch(/^\S.*\S$/);
+  });
+
+  it("matches whole words only and falls back to the opening text", () => {
+    expect(recordSnippet("Sidewalks were repaved.", ["sidewalk"])).toBe("Sidewalks were repaved.");
+    expect(recordSnippet(text, ["budget"], 20)).toBe("Opening remarks and roll call. Opening...");
+  });
+});
+
+describe("highlightParts", () => {
+  it("flags each matched word, case-insensitively", () => {
+    expect(highlightParts("Bascom Ave housing; more Housing.", ["housing", "bascom"])).toEqual([
+      { text: "Bascom", match: true },
+      { text: " Ave ", match: false },
+      { text: "housing", match: true },
+      { text: "; more ", match: false },
+      { text: "Housing", match: true },
+      { text: ".", match: false },
+    ]);
+    expect(highlightParts("No terms", [])).toEqual([{ text: "No terms", match: false }]);
+  });
+});
@@ -0,0 +1,231 @@
+// Full-text search across Campbell's civic records — City Council and Planning Commission
+// agendas and minutes, and public hearings. Answers come from the static index that
+// scripts/campbell-search-index.mjs builds at deploy time out of the committed records
+// and the sync's extracted document text, so /api/campbell/search never touches the
+// city's sites at request time.
+
+import { addCampbellDays, parseCampbellDate } from "./dateHelpers";
+
+export type RecordSearchKind = "agenda" | "minutes" | "hearing";
+
+export interface RecordSearchDocument {
+  id: string;
+  kind: RecordSearchKind;
+  body: string;
+  date: string;
+  title: string;
+  url: string;
+  meetingUrl: string;
+  /** The opening of the document's text, which result snippets are cut from. */
+  excerpt: string;
+}
+
+export interface RecordSearchIndex {
+  generatedAt: string | null;
+  documents: RecordSearchDocument[];
+  /** Word → `[documentIndex, weightedCount]` pairs. */
+  terms: Record<string, number[][]>;
+}
+
+export type RecordDateFilter = "any" | "upcoming" | "past90" | "past365";
+
+export interface RecordSearchFilters {
+  query: string;
+  body: string;
+  date: RecordDateFilter;
+}
+
+export interface RecordSearchHit {
+  id: string;
+  kind: RecordSearchKind;
+  body: string;
+  date: string;
+  title: string;
+  url: string;
+  meetingUrl: string;
+  snippet: string;
+  /** The index words this record matched, for highlighting the snippet. */
+  terms: string[];
+}
+
+export interface RecordSearchResults {
+  query: string;
+  total: number;
+  hits: RecordSearchHit[];
+}
+
+export const ALL_BODIES_FILTER = "all";
+export const RECORD_SEARCH_BODIES = ["City Council", "Planning Commission"];
+
+export const RECORD_DATE_FILTERS: { id: RecordDateFilter; label: string }[] = [
+  { id: "any", label: "Any date" },
+  { id: "upcoming", label: "Upcoming" },
+  { id: "past90", label: "Past 90 days" },
+  { id: "past365", label: "Past year" },
+];
+
+export const RECORD_SEARCH_LIMIT = 20;
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_RADIUS = 90;
+
+const RECORD_DATE_FILTER_IDS = new Set<string>(RECORD_DATE_FILTERS.map((filter) => filter.id));
+
+function isRecordDateFilter(value: string): value is RecordDateFilter {
+  return RECORD_DATE_FILTER_IDS.has(value);
+}
+
+/** Lowercase runs of letters and digits, two characters or longer — the same split the index was built with. */
+export function searchTokens(value = ""): string[] {
+  return (value.toLowerCase().match(/[a-z0-9]+/g) ?? []).filter((token) => token.length >= 2);
+}
+
+/** `?q=&body=&date=` → filters; an unknown body or date window means all of them. */
+export function parseRecordSearchFilters(params: URLSearchParams): RecordSearchFilters {
+  const date = params.get("date") || "";
+  return {
+    query: (params.get("q") || "").trim().slice(0, MAX_QUERY_LENGTH),
+    body: params.get("body")?.trim() || ALL_BODIES_FILTER,
+    date: isRecordDateFilter(date) ? date : "any",
+  };
+}
+
+/** The API URL for a search, leaving out filters at their defaults. */
+export function recordSearchPath(filters: RecordSearchFilters): string {
+  const params = new URLSearchParams({ q: filters.query.trim() });
+  if (filters.body !== ALL_BODIES_FILTER) params.set("body", filters.body);
+  if (filters.date !== "any") params.set("date", filters.date);
+  return `/api/campbell/search?${params}`;
+}
+
+function recordMatchesDate(document: RecordSearchDocument, filter: RecordDateFilter, today: Date) {
+  if (filter === "any") return true;
+  const date = parseCampbellDate(document.date);
+  if (!date) return false;
+  if (filter === "upcoming") return date >= today;
+  const windowStart = addCampbellDays(today, filter === "past90" ? -90 : -365);
+  return date >= windowStart && date < today;
+}
+
+/**
+ * The index words a query word stands for. The last word is a prefix, so results
+ * keep up while someone is still typing it; the others must match whole.
+ */
+function expandToken(index: RecordSearchIndex, token: string, isLast: boolean): string[] {
+  if (!isLast) return Object.hasOwn(index.terms, token) ? [token] : [];
+  return Object.keys(index.terms).filter((term) => term.startsWith(token));
+}
+
+/**
+ * Every query word must appear in a record. Records rank by how often they use the
+ * words, weighted toward rarer words and titles, then newest first.
+ */
+export function searchRecordIndex(
+  index: RecordSearchIndex,
+  filters: RecordSearchFilters,
+  today: Date,
+  limit = RECORD_SEARCH_LIMIT,
+): RecordSearchResults {
+  const tokens = [...new Set(searchTokens(filters.query))].slice(0, MAX_QUERY_TERMS);
+  if (!tokens.length) return { query: filters.query, total: 0, hits: [] };
+
+  const documentCount = index.documents.length;
+  let scores: Map<number, number> | null = null;
+  const matchedTerms = new Map<number, Set<string>>();
+
+  for (const [tokenIndex, token] of tokens.entries()) {
+    const tokenScores = new Map<number, number>();
+    for (const term of expandToken(index, token, tokenIndex === tokens.length - 1)) {
+      const postings = index.terms[term];
+      const rarity = Math.log(1 + documentCount / postings.length);
+      for (const [documentIndex, count] of postings) {
+        tokenScores.set(documentIndex, (tokenScores.get(documentIndex) ?? 0) + count * rarity);
+        if (!matchedTerms.has(documentIndex)) matchedTerms.set(documentIndex, new Set());
+        matchedTerms.get(documentIndex)!.add(term);
+      }
+    }
+
+    const previousScores = scores;
+    scores = new Map();
+    for (const [documentIndex, score] of tokenScores) {
+      if (previousScores && !previousScores.has(documentIndex)) continue;
+      scores.set(documentIndex, (previousScores?.get(documentIndex) ?? 0) + score);
+    }
+  }
+
+  const ranked = [...(scores ?? [])]
+    .map(([documentIndex, score]) => ({ document: index.documents[documentIndex], documentIndex, score }))
+    .filter(({ document }) => filters.body === ALL_BODIES_FILTER || document.body === filters.body)
+    .filter(({ document }) => recordMatchesDate(document, filters.date, today))
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        (parseCampbellDate(b.document.date)?.getTime() ?? 0) - (parseCampbellDate(a.document.date)?.getTime() ?? 0),
+    );
+
+  return {
+    query: filters.query,
+    total: ranked.length,
+    hits: ranked.slice(0, limit).map(({ document, documentIndex }) => {
+      const terms = [...(matchedTerms.get(documentIndex) ?? [])];
+      return {
+        id: document.id,
+        kind: document.kind,
+        body: document.body,
+        date: document.date,
+        title: document.title,
+        url: document.url,
+        meetingUrl: document.meetingUrl,
+        snippet: recordSnippet(document.excerpt, terms),
+        terms,
+      };
+    }),
+  };
+}
+
+// Index words are only letters and digits, so they go into a pattern unescaped.
+function termPattern(terms: string[]) {
+  if (!terms.length) return null;
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).join("|");
+  return new RegExp(`(?<![a-z0-9])(?:${alternatives})(?![a-z0-9])`, "gi");
+}
+
+/** A window of `text` around its first matched word, cut at word boundaries. */
+export function recordSnippet(text: string, terms: string[], radius = SNIPPET_RADIUS): string {
+  const cleaned = text.replace(/\s+/g, " ").trim();
+  const match = termPattern(terms)?.exec(cleaned);
+  if (!match) {
+    if (cleaned.length <= radius * 2) return cleaned;
+    return `${cleaned.slice(0, radius * 2).replace(/\s+\S*$/, "")}...`;
+  }
+
+  const matchEnd = match.index + match[0].length;
+  let start = Math.max(0, match.index - radius);
+  let end = Math.min(cleaned.length, matchEnd + radius);
+  if (start > 0) {
+    const space = cleaned.indexOf(" ", start);
+    if (space !== -1 && space < match.index) start = space + 1;
+  }
+  if (end < cleaned.length) {
+    const space = cleaned.lastIndexOf(" ", end);
+    if (space > matchEnd) end = space;
+  }
+
+  return `${start > 0 ? "..." : ""}${cleaned.slice(start, end)}${end < cleaned.length ? "..." : ""}`;
+}
+
+/** `text` split into runs, with the matched words flagged for a `<mark>`. */
+export function highlightParts(text: string, terms: string[]): { text: string; match: boolean }[] {
+  const pattern = termPattern(terms);
+  if (!pattern) return text ? [{ text, match: false }] : [];
+
+  const parts: { text: string; match: boolean }[] = [];
+  let cursor = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > cursor) parts.push({ text: text.slice(cursor, match.index), match: false });
+    parts.push({ text: match[0], match: true });
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) parts.push({ text: text.slice(cursor), match: false });
+  return parts;
+}
@@ -8,6 +8,40 @@ export interface DigestSummary {
   generatedAt: string;
 }
 
+/** What a meeting's agenda says is coming up, summarized by the nightly sync. */
+export interface CouncilAgendaDigest {
+  summary: string;
+  keyTopics: string[];
+  nextMeeting: string | null;
+  /** The agenda document this was written from. */
+  sourceUrl: string;
+  generatedAt: string;
+}
+
+/** What the minutes say actually happened, set against the agenda. */
+export interface CouncilOutcomesDigest {
+  summary: string;
+  decisions: { item: string; outcome: string }[];
+  /** Where the meeting departed from its agenda: items pulled, continued, added or amended. */
+  changes: string[];
+  /** The minutes document this was written from. */
+  sourceUrl: string;
+  generatedAt: string;
+}
+
+/** One meeting in the council digest archive (scripts/campbell-council-digests.mjs). */
+export interface CouncilMeetingDigest {
+  key: string;
+  body: string;
+  date: string;
+  title: string;
+  meetingUrl: string;
+  agendaUrl: string;
+  minutesUrl: string;
+  agenda: CouncilAgendaDigest | null;
+  outcomes: CouncilOutcomesDigest | null;
+}
+
 export interface CampbellCouncilRecord {
   date: string;
   title: string;
@@ -36,3 +70,34 @@ export type Section =
   | "businesses"
   | "homes"
   | "data";
+
+export type CampbellSyncStatus = "ok" | "reused" | "held";
+
+/** One source's line in the nightly sync's run report (scripts/campbell-sync-report.mjs). */
+export interface CampbellSyncSource {
+  label: string;
+  kind: "events" | "businesses" | "records";
+  sourceUrl: string;
+  /** `reused`: the fetch failed, so last sync's data stands. `held`: the count fell off a cliff, likewise. */
+  status: CampbellSyncStatus;
+  /** Pages or documents fetched. */
+  fetched: number;
+  parsed: number;
+  rejected: number;
+  rejectionReasons: Record<string, number>;
+  /** Items written for this source. */
+  kept: number;
+  /** Items the previous sync had. */
+  previous: number;
+  added: number;
+  removed: number;
+  addedTitles: string[];
+  removedTitles: string[];
+  note: string;
+}
+
+export interface CampbellSyncReport {
+  generatedAt: string;
+  status: CampbellSyncStatus;
+  sources: CampbellSyncSource[];
+}
@@ -0,0 +1,51 @@
+// Browser side of the per-game summary routes: a page asks for its live games' summaries
+// after each render and re-renders once when new ones arrive.
+
+import { fetchWithTimeout } from "../apiHelpers";
+
+/** The pages re-render every 30 s; the routes cache for as long. */
+const CACHE_TTL_MS = 30_000;
+/** Give up well before the next scoreboard poll. */
+const FETCH_TIMEOUT_MS = 10_000;
+
+/**
+ * A poller for one summary route. `endpoint` takes `?ids=` and answers with the summaries
+ * keyed by event id under `field`.
+ */
+export function createSummaryPoller<T>(endpoint: string, field: string) {
+  const summaries = new Map<string, T>();
+  let lastFetch: { key: string; at: number } | null = null;
+
+  return {
+    /** The last summary fetched for a game, if any. */
+    get(gameId: string | undefined): T | null {
+      return (gameId && summaries.get(gameId)) || null;
+    },
+
+    /**
+     * Refresh the summaries for `gameIds`, at most once per TTL for the same games.
+     * Resolves true when anything new arrived, so the caller knows to re-render.
+     */
+    async refresh(gameIds: string[]): Promise<boolean> {
+      const ids = [...new Set(gameIds)].sort();
+      if (ids.length === 0) return false;
+      const key = ids.join(",");
+      if (lastFetch?.key === key && Date.now() - lastFetch.at < CACHE_TTL_MS) return false;
+      lastFetch = { key, at: Date.now() };
+
+      try {
+        const res = await fetchWithTimeout(`${endpoint}?ids=${key}`, {}, FETCH_TIMEOUT_MS);
+        if (!res.ok) return false;
+        const body: Record<string, Record<string, T> | undefined> = await res.json();
+        let changed = false;
+        for (const [id, summary] of Object.entries(body[field] || {})) {
+          if (JSON.stringify(summaries.get(id)) !== JSON.stringify(summary)) changed = true;
+          summaries.set(id, summary);
+        }
+        return changed;
+      } catch {
+        return false;
+      }
+    },
+  };
+}
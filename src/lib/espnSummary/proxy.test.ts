@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { SCOREBOARD_TTL_MS } from "../scoreboard/proxy";
+import { MAX_SUMMARY_IDS, getEspnSummaries, getEspnSummary, summaryIdsParam } from "./proxy";
+
+function respondWith(...bodies: (object | number)[]) {
+  const fetchMock = vi.fn(async (_url: string) => {
+    const body = bodies.length > 1 ? bodies.shift()! : bodies[0];
+    return typeof body === "number"
+      ? new Response("upstream error", { status: body })
+      : new Response(JSON.stringify(body), { status: 200 });
+  });
+  vi.stubGlobal("fetch", fetchMock);
+  return fetchMock;
+}
+
+const plays = (summary: unknown) => ((summary as { plays?: unknown[] }).plays ?? []).length;
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("getEspnSummary", () => {
+  it("fetches the league's summary once and serves the parsed result from cache", async () => {
+    const fetchMock = respondWith({ plays: [1, 2, 3] });
+    expect(await getEspnSummary("baseball/mlb", "101", plays)).toBe(3);
+    expect(await getEspnSummary("baseball/mlb", "101", plays)).toBe(3);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toMatch(/\/baseball\/mlb\/summary\?event=101$/);
+  });
+
+  it("caches each league's game separately", async () => {
+    const fetchMock = respondWith({ plays: [1] }, { plays: [1, 2] });
+    expect(await getEspnSummary("baseball/mlb", "102", plays)).toBe(1);
+    expect(await getEspnSummary("basketball/nba", "102", plays)).toBe(2);
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("falls back to the last good summary, or null when there was none", async () => {
+    vi.useFakeTimers();
+    respondWith({ plays: [1] }, 503);
+    expect(await getEspnSummary("basketball/nba", "103", plays)).toBe(1);
+    vi.advanceTimersByTime(SCOREBOARD_TTL_MS + 1);
+    expect(await getEspnSummary("basketball/nba", "103", plays)).toBe(1);
+    expect(await getEspnSummary("basketball/nba", "104", plays)).toBeNull();
+  });
+});
+
+describe("getEspnSummaries", () => {
+  it("keys summaries by event id and leaves out games ESPN never served", async () => {
+    respondWith({ plays: [1] }, 500);
+    expect(await getEspnSummaries("hockey/nhl", ["105", "106"], plays)).toEqual({ "105": 1 });
+  });
+});
+
+describe("summaryIdsParam", () => {
+  const ids = (query: string) => summaryIdsParam(new URL(`https://stanwood.dev/api/mlb/boxscores${query}`));
+
+  it("accepts one to MAX_SUMMARY_IDS numeric ids", () => {
+    expect(ids("?ids=401,402")).toEqual(["401", "402"]);
+    expect(ids(`?ids=${Array.from({ length: MAX_SUMMARY_IDS }, (_, i) => i).join(",")}`)).toHaveLength(MAX_SUMMARY_IDS);
+  });
+
+  it("rejects missing, malformed or too many ids", () => {
+    expect(ids("")).toBeNull();
+    expect(ids("?ids=401,abc")).toBeNull();
+    expect(ids(`?ids=${Array.from({ length: MAX_SUMMARY_IDS + 1 }, (_, i) => i).join(",")}`)).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+// Server side of the per-game summary routes (/api/mlb/boxscores, /api/nba/situations):
+// ESPN's game summaries, slimmed by each feature's parser and cached per game. A live
+// game's summary changes every play, so it keeps the scoreboard's TTL; a failed read falls
+// back to the last good one.
+
+import { fetchWithTimeout } from "../apiHelpers";
+import { ESPN_SPORTS_BASE } from "../sportsCore";
+import { SCOREBOARD_TTL_MS } from "../scoreboard/proxy";
+import { createTtlCache } from "../ttlCache";
+
+/** Most event ids one request may ask for. */
+export const MAX_SUMMARY_IDS = 20;
+// A full slate is fifteen games a league; yesterday's age out first.
+const MAX_CACHED_GAMES = 80;
+const ESPN_TIMEOUT_MS = 8000;
+
+const caches = new Map<string, ReturnType<typeof createTtlCache<unknown>>>();
+
+function cacheFor(key: string) {
+  let cache = caches.get(key);
+  if (!cache) {
+    if (caches.size >= MAX_CACHED_GAMES) caches.delete(caches.keys().next().value!);
+    cache = createTtlCache<unknown>(SCOREBOARD_TTL_MS);
+    caches.set(key, cache);
+  }
+  return cache;
+}
+
+/**
+ * One game's summary from `leaguePath` (e.g. "baseball/mlb"), slimmed by `parse`, or null
+ * when ESPN has never served it. Each feature caches under its own league, so `parse` is
+ * always the same for a given game.
+ */
+export async function getEspnSummary<T>(
+  leaguePath: string,
+  eventId: string,
+  parse: (summary: unknown) => T,
+): Promise<T | null> {
+  const cache = cacheFor(`${leaguePath}/${eventId}`);
+  const fresh = cache.get() as T | null;
+  if (fresh) return fresh;
+  try {
+    const res = await fetchWithTimeout(`${ESPN_SPORTS_BASE}/${leaguePath}/summary?event=${eventId}`, {}, ESPN_TIMEOUT_MS);
+    if (!res.ok) throw new Error(`ESPN ${leaguePath} summary ${eventId} failed (${res.status})`);
+    const parsed = parse(await res.json());
+    cache.set(parsed);
+    return parsed;
+  } catch {
+    return cache.stale() as T | null;
+  }
+}
+
+/** Summaries for several games at once, keyed by event id; games ESPN has never served are left out. */
+export async function getEspnSummaries<T>(
+  leaguePath: string,
+  eventIds: string[],
+  parse: (summary: unknown) => T,
+): Promise<Record<string, T>> {
+  const summaries: Record<string, T> = {};
+  await Promise.all(
+    eventIds.map(async (id) => {
+      const summary = await getEspnSummary(leaguePath, id, parse);
+      if (summary) summaries[id] = summary;
+    }),
+  );
+  return summaries;
+}
+
+/** The `ids` query parameter as ESPN event ids, or null when it's missing, too long or malformed. */
+export function summaryIdsParam(url: URL): string[] | null {
+  const ids = (url.searchParams.get("ids") || "").split(",").filter(Boolean);
+  if (ids.length === 0 || ids.length > MAX_SUMMARY_IDS || !ids.every((id) => /^\d+$/.test(id))) return null;
+  return ids;
+}
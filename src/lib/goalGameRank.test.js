@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import {
+  goalGameWatchScore,
+  goalSportOf,
+  rankLiveGoalGames,
+  soccerMinute,
+  soccerStrength,
+} from "./goalGameRank";
+import { espnGame } from "./testing/espnGame";
+
+/** A live game between two evenly matched teams. */
+function game(fixture) {
+  return espnGame({ statusName: "STATUS_IN_PROGRESS", records: ["20-20-5", "20-20-5"], ...fixture });
+}
+
+describe("goalSportOf", () => {
+  it("maps ESPN league paths to a goal sport", () => {
+    expect(goalSportOf("hockey/nhl")).toBe("hockey");
+    expect(goalSportOf("soccer/usa.nwsl")).toBe("soccer");
+    expect(goalSportOf("basketball/nba")).toBeNull();
+  });
+});
+
+describe("hockey watch score", () => {
+  it("ranks a tied third period above a one-goal second", () => {
+    const tiedThird = game({ period: 3, clock: "08:00", scores: ["2", "2"] });
+    const closeSecond = game({ period: 2, clock: "08:00", scores: ["2", "1"] });
+    expect(goalGameWatchScore(tiedThird, "hockey")).toBeGreaterThan(
+      goalGameWatchScore(closeSecond, "hockey") * 1.5,
+    );
+  });
+
+  it("boosts a one-goal game once the goalie can be pulled", () => {
+    const early = game({ period: 3, clock: "06:00", scores: ["3", "2"] });
+    const late = game({ period: 3, clock: "02:00", scores: ["3", "2"] });
+    const earlyScore = goalGameWatchScore(early, "hockey");
+    const lateScore = goalGameWatchScore(late, "hockey");
+    // Beyond the few minutes of extra progress, the late one-goal bonus applies.
+    expect(lateScore / earlyScore).toBeGreaterThan(1.15);
+  });
+
+  it("pins overtime at the ceiling and scores a shootout higher still", () => {
+    const ot = game({ period: 4, clock: "03:00", scores: ["1", "1"] });
+    const so = game({ period: 5, clock: "0:00", statusName: "STATUS_SHOOTOUT", scores: ["1", "1"] });
+    const startOfThird = game({ period: 3, clock: "20:00", scores: ["1", "1"] });
+    expect(goalGameWatchScore(ot, "hockey")).toBeGreaterThan(goalGameWatchScore(startOfThird, "hockey"));
+    expect(goalGameWatchScore(so, "hockey")).toBeGreaterThan(goalGameWatchScore(ot, "hockey"));
+  });
+
+  it("writes off a three-goal game", () => {
+    const blowout = game({ period: 3, clock: "10:00", scores: ["5", "1"] });
+    expect(goalGameWatchScore(blowout, "hockey")).toBe(0);
+  });
+});
+
+describe("soccer watch score", () => {
+  const draws = { records: ["8-6-6", "8-6-6"] };
+
+  it("reads stoppage time into the match minute", () => {
+    expect(soccerMinute({ displayClock: "67'" })).toBe(67);
+    expect(soccerMinute({ displayClock: "90'+3'" })).toBe(93);
+  });
+
+  it("rates teams by points per game from W-D-L", () => {
+    expect(soccerStrength({ records: [{ summary: "10-0-0" }] })).toBe(1);
+    expect(soccerStrength({ records: [{ summary: "0-10-0" }] })).toBeCloseTo(1 / 3);
+    expect(soccerStrength({})).toBe(0.5);
+  });
+
+  it("rewards a late equalizer over a late goalless draw", () => {
+    const equalized = game({ period: 2, clock: "84'", scores: ["2", "2"], ...draws });
+    const goalless = game({ period: 2, clock: "84'", scores: ["0", "0"], ...draws });
+    const firstHalf = game({ period: 1, clock: "30'", scores: ["1", "1"], ...draws });
+    expect(goalGameWatchScore(equalized, "soccer")).toBeGreaterThan(goalGameWatchScore(goalless, "soccer"));
+    expect(goalGameWatchScore(goalless, "soccer")).toBeGreaterThan(goalGameWatchScore(firstHalf, "soccer"));
+  });
+
+  it("scores penalty kicks above extra time", () => {
+    const extraTime = game({ period: 3, clock: "100'", scores: ["1", "1"], ...draws });
+    const pens = game({ period: 5, clock: "120'", scores: ["1", "1"], ...draws });
+    expect(goalGameWatchScore(pens, "soccer")).toBeGreaterThan(goalGameWatchScore(extraTime, "soccer"));
+  });
+});
+
+describe("rankLiveGoalGames", () => {
+  it("keeps live games only, best first", () => {
+    const ranked = rankLiveGoalGames(
+      [
+        game({ id: "blowout", period: 3, clock: "05:00", scores: ["4", "0"] }),
+        game({ id: "final", state: "post", period: 3, clock: "0:00", scores: ["2", "2"] }),
+        game({ id: "tied", period: 3, clock: "05:00", scores: ["2", "2"] }),
+      ],
+      "hockey",
+    );
+    expect(ranked.map((r) => r.game.id)).toEqual(["tied", "blowout"]);
+  });
+});
@@ -0,0 +1,151 @@
+// Goal-sport watchability — live watch scores for NHL and soccer (MLS, NWSL).
+// Same closeness × quality × pace shape as NBA Now and MLB GameRank, tuned for
+// low-scoring games where one goal is the whole story.
+
+import {
+  type Competitor,
+  type Game,
+  type Status,
+  isLive,
+  parseScore,
+  progressMultiplier,
+  watchScoreBase,
+} from "./sportsCore";
+
+export type GoalSport = "hockey" | "soccer";
+
+/** Scale for `scoreToPercent` — a shootout between two unbeaten teams lands here. */
+export const MAX_GOAL_WATCH_SCORE = 600;
+
+// --- Constants ---
+
+// One goal apart keeps 70 points of closeness, two keeps 40, three is a blowout.
+const CLOSENESS_PENALTY = 30;
+const MAX_PROGRESS_MULTIPLIER = 2.0;
+const OVERTIME_MULTIPLIER = 3.5;
+// A shootout or penalty kicks is decided on the very next attempt.
+const SHOOTOUT_MULTIPLIER = 4.0;
+
+const HOCKEY_PERIOD_MINUTES = 20;
+const HOCKEY_REGULATION_PERIODS = 3;
+// Last few minutes of the third, when a trailing team pulls its goalie.
+const HOCKEY_EXTRA_ATTACKER_MINUTES = 5;
+
+const SOCCER_MINUTES = 90;
+const SOCCER_LATE_MINUTE = 75;
+
+// A tie with the clock running down, and the "chasing the equalizer" one-goal game.
+const LATE_TIE_BONUS = 1.4;
+const LATE_ONE_GOAL_BONUS = 1.2;
+
+// --- Shared helpers ---
+
+export function goalSportOf(leaguePath: string): GoalSport | null {
+  if (leaguePath.startsWith("hockey/")) return "hockey";
+  if (leaguePath.startsWith("soccer/")) return "soccer";
+  return null;
+}
+
+function isShootout(status: Status): boolean {
+  const type = status.type;
+  return /shootout/i.test(type?.name || "") || /\bSO\b|shootout|pens/i.test(type?.shortDetail || "");
+}
+
+/**
+ * ESPN soccer records read W-D-L. Rate a team by points per game (3 for a win, 1 for a
+ * draw) so a draw-heavy side isn't scored as though every draw were a loss.
+ */
+export function soccerStrength(competitor: Competitor): number {
+  const parts = (competitor.records?.[0]?.summary || "").split("-").map(Number);
+  if (parts.length !== 3 || parts.some(isNaN)) return 0.5;
+  const [wins, draws, losses] = parts;
+  const games = wins + draws + losses;
+  return games > 0 ? (3 * wins + draws) / (3 * games) : 0.5;
+}
+
+// --- Hockey ---
+
+function hockeyClockMinutes(status: Status): number {
+  const [minStr, secStr] = (status.displayClock || "20:00").split(":");
+  return parseFloat(minStr || "0") + parseFloat(secStr || "0") / 60;
+}
+
+function hockeyProgress(status: Status): number {
+  const period = status.period || 0;
+  if (period === 0) return 0;
+  const elapsed =
+    (period - 1) * HOCKEY_PERIOD_MINUTES + (HOCKEY_PERIOD_MINUTES - hockeyClockMinutes(status));
+  return Math.max(0, elapsed / (HOCKEY_PERIOD_MINUTES * HOCKEY_REGULATION_PERIODS));
+}
+
+function hockeyPace(status: Status, scoreDelta: number): number {
+  if (isShootout(status)) return SHOOTOUT_MULTIPLIER;
+  // Playoff OT is sudden death whichever period it reaches, so it pins the ceiling.
+  if ((status.period || 0) > HOCKEY_REGULATION_PERIODS) return OVERTIME_MULTIPLIER;
+
+  const pace = progressMultiplier(hockeyProgress(status), MAX_PROGRESS_MULTIPLIER);
+  if (status.period !== HOCKEY_REGULATION_PERIODS) return pace;
+  if (scoreDelta === 0) return pace * LATE_TIE_BONUS;
+  if (scoreDelta === 1 && hockeyClockMinutes(status) <= HOCKEY_EXTRA_ATTACKER_MINUTES) {
+    return pace * LATE_ONE_GOAL_BONUS;
+  }
+  return pace;
+}
+
+// --- Soccer ---
+
+/** `67'` → 67, `90'+3'` → 93. */
+export function soccerMinute(status: Status): number {
+  const parts = (status.displayClock || "").match(/\d+/g) || [];
+  return parts.reduce((sum, n) => sum + parseInt(n, 10), 0);
+}
+
+function soccerPace(status: Status, scoreDelta: number, goals: number): number {
+  const period = status.period || 0;
+  if (period >= 5 || isShootout(status)) return SHOOTOUT_MULTIPLIER;
+  if (period >= 3) return OVERTIME_MULTIPLIER;
+
+  const minute = soccerMinute(status);
+  const pace = progressMultiplier(minute / SOCCER_MINUTES, MAX_PROGRESS_MULTIPLIER);
+  if (minute < SOCCER_LATE_MINUTE) return pace;
+  // Only a scoring draw counts as a late equalizer; 0–0 at 80' is closeness enough.
+  if (scoreDelta === 0 && goals > 0) return pace * LATE_TIE_BONUS;
+  if (scoreDelta === 1) return pace * LATE_ONE_GOAL_BONUS;
+  return pace;
+}
+
+// --- Scoring ---
+
+export function goalGameWatchScore(game: Game, sport: GoalSport): number {
+  const comp = game.competitions?.[0];
+  if (!comp?.status) return 0;
+
+  const base = watchScoreBase(
+    comp,
+    CLOSENESS_PENALTY,
+    sport === "soccer" ? soccerStrength : undefined,
+  );
+  if (!base) return 0;
+
+  const paceMultiplier =
+    sport === "hockey"
+      ? hockeyPace(comp.status, base.scoreDelta)
+      : soccerPace(
+          comp.status,
+          base.scoreDelta,
+          (comp.competitors || []).reduce((sum, c) => sum + parseScore(c.score), 0),
+        );
+
+  return base.closenessScore * base.qualityMultiplier * paceMultiplier;
+}
+
+/** Live ("in" state) games ranked by watch score, best first. */
+export function rankLiveGoalGames(
+  events: Game[],
+  sport: GoalSport,
+): { game: Game; score: number }[] {
+  return events
+    .filter((e) => isLive(e.competitions?.[0]?.status))
+    .map((game) => ({ game, score: goalGameWatchScore(game, sport) }))
+    .sort((a, b) => b.score - a.score);
+}
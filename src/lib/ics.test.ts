@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { buildIcs, escapeIcsText, foldIcsLine, formatIcsDate, formatIcsLocal, formatIcsUtc } from "./ics";
+
+describe("ics", () => {
+  it("escapes text values", () => {
+    expect(escapeIcsText("Giants, Cubs; rain\\delay\nmaybe")).toBe("Giants\\, Cubs\\; rain\\\\delay\\nmaybe");
+  });
+
+  it("folds long lines at 75 octets without splitting characters", () => {
+    const line = `SUMMARY:${"é".repeat(60)}`;
+    const folded = foldIcsLine(line);
+    const encoder = new TextEncoder();
+    for (const part of folded.split("\r\n")) {
+      expect(encoder.encode(part).length).toBeLessThanOrEqual(75);
+    }
+    expect(folded.replace(/\r\n /g, "")).toBe(line);
+    expect(foldIcsLine("SHORT:line")).toBe("SHORT:line");
+  });
+
+  it("formats UTC timestamps", () => {
+    expect(formatIcsUtc(new Date("2026-05-21T02:30:00.000Z"))).toBe("20260521T023000Z");
+  });
+
+  it("builds a calendar with CRLF line endings", () => {
+    const ics = buildIcs(
+      {
+        name: "Games",
+        refreshMinutes: 60,
+        events: [
+          {
+            uid: "1@test",
+            start: new Date("2026-05-21T02:30:00Z"),
+            end: new Date("2026-05-21T05:30:00Z"),
+            summary: "Giants @ Cubs",
+            url: "https://example.com",
+            status: "CONFIRMED",
+          },
+        ],
+      },
+      new Date("2026-05-20T00:00:00Z"),
+    );
+    const lines = ics.split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCALENDAR");
+    expect(lines).toContain("DTSTAMP:20260520T000000Z");
+    expect(lines).toContain("DTEND:20260521T053000Z");
+    expect(lines).toContain("REFRESH-INTERVAL;VALUE=DURATION:PT60M");
+    expect(lines.at(-2)).toBe("END:VCALENDAR");
+    expect(ics.endsWith("\r\n")).toBe(true);
+  });
+
+  it("formats wall-clock times and dates in a zone", () => {
+    // 02:30 UTC on May 21 is 7:30 PM on May 20 in Pacific daylight time.
+    expect(formatIcsLocal(new Date("2026-05-21T02:30:00Z"), "America/Los_Angeles")).toBe("20260520T193000");
+    expect(formatIcsDate(new Date("2026-05-21T02:30:00Z"), "America/Los_Angeles")).toBe("20260520");
+    expect(formatIcsDate(new Date("2026-05-21T02:30:00Z"))).toBe("20260521");
+  });
+
+  it("writes zoned times with a VTIMEZONE, and all-day events as exclusive date ranges", () => {
+    const ics = buildIcs(
+      {
+        name: "Events",
+        timeZone: "America/Los_Angeles",
+        events: [
+          {
+            uid: "concert@test",
+            start: new Date("2026-12-05T03:00:00Z"),
+            end: new Date("2026-12-05T05:00:00Z"),
+            summary: "Concert",
+          },
+          {
+            uid: "fair@test",
+            start: new Date("2026-08-22T07:00:00Z"),
+            end: new Date("2026-08-23T07:00:00Z"),
+            summary: "Fair",
+            allDay: true,
+          },
+        ],
+      },
+      new Date("2026-05-20T00:00:00Z"),
+    );
+    const lines = ics.split("\r\n");
+    expect(lines).toContain("X-WR-TIMEZONE:America/Los_Angeles");
+    expect(lines).toContain("TZID:America/Los_Angeles");
+    expect(lines).toContain("RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU");
+    // Dec 4, 7 PM PST.
+    expect(lines).toContain("DTSTART;TZID=America/Los_Angeles:20261204T190000");
+    expect(lines).toContain("DTEND;TZID=America/Los_Angeles:20261204T210000");
+    expect(lines).toContain("DTSTART;VALUE=DATE:20260822");
+    expect(lines).toContain("DTEND;VALUE=DATE:20260824");
+    expect(lines.indexOf("END:VTIMEZONE")).toBeLessThan(lines.indexOf("BEGIN:VEVENT"));
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for subscribable feeds. Covers what calendar
+ * apps need to show and refresh events — escaping, line folding, UTC or zoned
+ * timestamps, all-day dates — and nothing more (no recurrence, no attendees).
+ */
+
+export interface IcsEvent {
+  /** Stable across refreshes, so calendar apps update the event instead of duplicating it. */
+  uid: string;
+  start: Date;
+  end: Date;
+  summary: string;
+  description?: string;
+  location?: string;
+  url?: string;
+  status?: "CONFIRMED" | "TENTATIVE" | "CANCELLED";
+  /** Written as dates rather than times; `end` is the last day the event runs. */
+  allDay?: boolean;
+}
+
+export interface IcsCalendar {
+  /** Shown as the calendar's name when subscribing (X-WR-CALNAME). */
+  name: string;
+  description?: string;
+  /** How often subscribers should re-fetch, in minutes. */
+  refreshMinutes?: number;
+  /**
+   * Write times as wall-clock times in this zone, with its VTIMEZONE, instead of UTC —
+   * and count all-day events' dates there too.
+   */
+  timeZone?: IcsTimeZone;
+  events: IcsEvent[];
+}
+
+const PRODID = "-//stanwood.dev//Feeds//EN";
+const MAX_LINE_OCTETS = 75;
+
+/** VTIMEZONE definitions for the zones feeds are published in (US rules since 2007). */
+const VTIMEZONES = {
+  "America/Los_Angeles": [
+    "BEGIN:VTIMEZONE",
+    "TZID:America/Los_Angeles",
+    "X-LIC-LOCATION:America/Los_Angeles",
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:-0800",
+    "TZOFFSETTO:-0700",
+    "TZNAME:PDT",
+    "DTSTART:19700308T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:-0700",
+    "TZOFFSETTO:-0800",
+    "TZNAME:PST",
+    "DTSTART:19701101T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ],
+};
+
+export type IcsTimeZone = keyof typeof VTIMEZONES;
+
+/** Escape a TEXT value: backslashes, separators and newlines. */
+export function escapeIcsText(text: string): string {
+  return text
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/** Fold a content line at 75 octets, never splitting a UTF-8 character. */
+export function foldIcsLine(line: string): string {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+  const parts: string[] = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75.
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/** `20260521T023000Z` */
+export function formatIcsUtc(date: Date): string {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function zonedParts(date: Date, timeZone: string): Record<string, string> {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  return Object.fromEntries(parts.map((p) => [p.type, p.value]));
+}
+
+/** `20260520T193000` — wall-clock time in `timeZone`, for a TZID-qualified property. */
+export function formatIcsLocal(date: Date, timeZone: string): string {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}${p.month}${p.day}T${p.hour}${p.minute}${p.second}`;
+}
+
+/** `20260520` — the calendar day `date` falls on in `timeZone` (UTC without one). */
+export function formatIcsDate(date: Date, timeZone = "UTC"): string {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}${p.month}${p.day}`;
+}
+
+function nextIcsDate(ymd: string): string {
+  const next = new Date(Date.UTC(Number(ymd.slice(0, 4)), Number(ymd.slice(4, 6)) - 1, Number(ymd.slice(6, 8)) + 1));
+  return formatIcsDate(next);
+}
+
+function timeLines(event: IcsEvent, timeZone: IcsTimeZone | undefined): string[] {
+  if (event.allDay) {
+    // DTEND is exclusive for dates: the day after the last one.
+    return [
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.start, timeZone)}`,
+      `DTEND;VALUE=DATE:${nextIcsDate(formatIcsDate(event.end, timeZone))}`,
+    ];
+  }
+  if (timeZone) {
+    return [
+      `DTSTART;TZID=${timeZone}:${formatIcsLocal(event.start, timeZone)}`,
+      `DTEND;TZID=${timeZone}:${formatIcsLocal(event.end, timeZone)}`,
+    ];
+  }
+  return [`DTSTART:${formatIcsUtc(event.start)}`, `DTEND:${formatIcsUtc(event.end)}`];
+}
+
+function eventLines(event: IcsEvent, stamp: string, timeZone: IcsTimeZone | undefined): string[] {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${stamp}`,
+    ...timeLines(event, timeZone),
+    `SUMMARY:${escapeIcsText(event.summary)}`,
+  ];
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+export function buildIcs(calendar: IcsCalendar, now = new Date()): string {
+  const stamp = formatIcsUtc(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendar.name)}`,
+  ];
+  if (calendar.description) lines.push(`X-WR-CALDESC:${escapeIcsText(calendar.description)}`);
+  if (calendar.refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${calendar.refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${calendar.refreshMinutes}M`);
+  }
+  if (calendar.timeZone) {
+    lines.push(`X-WR-TIMEZONE:${calendar.timeZone}`);
+    lines.push(...VTIMEZONES[calendar.timeZone]);
+  }
+  for (const event of calendar.events) lines.push(...eventLines(event, stamp, calendar.timeZone));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
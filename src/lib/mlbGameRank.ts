@@ -23,9 +23,14 @@ import {
   scoreToPercent,
   parseScore,
   getAwayHome,
-  ESPN_SPORTS_BASE,
 } from "./sportsCore";
 import { safeGet } from "./localStorage";
+import { seriesStakesMultiplier } from "./playoffs/series";
+import { STAKES_EXPLANATION, gameStakes, stakesMultiplier, type PlayoffRace } from "./standings/race";
+import { watchPlayoffRace } from "./standings/client";
+import { detectStorylines, storylineMultiplier, type MlbBoxscore, type Storyline } from "./mlbStorylines/storylines";
+import { boxscoreFor, refreshBoxscores } from "./mlbStorylines/client";
+import { fillWatchTimelines, watchTimelineSlot } from "./watchHistory/client";
 
 // ── MLB-specific types ──
 
@@ -48,14 +53,20 @@ interface MLBSituation {
 
 // ── MLB-specific constants ──
 
-const API_URL = `${ESPN_SPORTS_BASE}/baseball/mlb/scoreboard`;
-const MAX_WATCH_SCORE = 400;
+const API_URL = "/api/scoreboard/mlb";
+export const MAX_WATCH_SCORE = 400;
 const CLOSENESS_PENALTY = 15;
 const EXTRA_INNINGS_MULTIPLIER = 3.5;
 const MAX_PROGRESS_MULTIPLIER = 2.5;
 const LATE_INNING_THRESHOLD = 7;
 const LATE_INNING_BONUS = 1.5;
 const RUNNERS_ON_BASE_BONUS = 0.15;
+const TIMELINE_COLOR = "#fbbf24";
+
+// MLB's playoff race, once /api/standings has answered; rankings use it from then on.
+let playoffRace: PlayoffRace | null = null;
+// The scoreboard the page last rendered, so a late boxscore reply re-renders the newest scores.
+let latestEvents: Game[] = [];
 
 // ── Baseball-specific ranking helpers ──
 
@@ -86,7 +97,11 @@ function getRunnersOnBase(situation: MLBSituation | undefined): number {
   return count;
 }
 
-function computeWatchScore(game: Game): number {
+export function computeWatchScore(
+  game: Game,
+  race: PlayoffRace | null = null,
+  box: MlbBoxscore | null = null,
+): number {
   const comp = game.competitions?.[0];
   if (!comp) return 0;
 
@@ -111,7 +126,10 @@ function computeWatchScore(game: Game): number {
     base.qualityMultiplier *
     paceMultiplier *
     lateBonus *
-    runnerBonus
+    runnerBonus *
+    seriesStakesMultiplier(game) *
+    stakesMultiplier(game, race) *
+    storylineMultiplier(detectStorylines(game, box))
   );
 }
 
@@ -318,11 +336,29 @@ function formatFirstPitch(dateStr: string): string {
   return formatGameTime(dateStr, true);
 }
 
+function renderStorylineBadge(storyline: Storyline): string {
+  return `<span title="${esc(storyline.detail)}" style="display:inline-flex;align-items:center;font-family:Orbitron,monospace;font-size:8px;font-weight:700;letter-spacing:0.12em;text-transform:uppercase;padding:2px 6px;border-radius:3px;color:#fbbf24;background:rgba(251,191,36,0.12);border:1px solid rgba(251,191,36,0.3);white-space:nowrap;">${esc(storyline.label)}</span>`;
+}
+
+function renderStorylines(storylines: Storyline[]): string {
+  if (storylines.length === 0) return "";
+  return `
+    <div style="display:flex;flex-direction:column;align-items:center;gap:4px;margin-top:10px;">
+      ${storylines
+        .map(
+          (s) =>
+            `<div style="display:flex;align-items:center;gap:6px;">${renderStorylineBadge(s)}<span style="font-size:11px;color:rgba(255,255,255,0.45);">${esc(s.detail)}</span></div>`,
+        )
+        .join("")}
+    </div>
+  `;
+}
+
 function renderHeroCard(game: Game): string {
   const comp = game.competitions?.[0];
   const status = comp?.status;
   const live = isLive(status);
-  const watchScore = computeWatchScore(game);
+  const watchScore = computeWatchScore(game, playoffRace, boxscoreFor(game.id));
   const situation = comp?.situation as MLBSituation | undefined;
 
   const { away, home } = getAwayHome(comp?.competitors || []);
@@ -382,6 +418,7 @@ function renderHeroCard(game: Game): string {
             ${live ? "LIVE &middot; " : ""}${statusLabel(status)}
           </div>
         </div>
+        ${renderStorylines(detectStorylines(game, boxscoreFor(game.id)))}
       </div>
 
       ${hasScores ? renderRHE(away, home) : ""}
@@ -407,6 +444,7 @@ function renderHeroCard(game: Game): string {
         </div>
         <div style="font-family:Orbitron,monospace;font-size:10px;font-weight:700;color:#fbbf24;text-shadow:0 0 8px rgba(251,191,36,0.3);flex-shrink:0;min-width:30px;text-align:right;">${barPct}%</div>
       </div>
+      ${watchTimelineSlot(game.id)}
     </div>
   `;
 }
@@ -437,6 +475,7 @@ function renderGameRow(game: Game, rank: number, isPreGame: boolean, watchPct?:
 
   const awayScoreStyle = scoreColorStyle(awayNum, homeNum, showScores, 8);
   const homeScoreStyle = scoreColorStyle(homeNum, awayNum, showScores, 8);
+  const [storyline] = isPreGame ? [] : detectStorylines(game, boxscoreFor(game.id));
 
   return `
     <div class="game-row px-3 py-2.5" data-away="${awayAbbrStr}" data-home="${homeAbbrStr}" style="display:flex;align-items:center;gap:12px;">
@@ -472,6 +511,7 @@ function renderGameRow(game: Game, rank: number, isPreGame: boolean, watchPct?:
           ${live ? '<div class="live-dot" style="width:5px;height:5px;"></div>' : ""}
           <span class="font-score text-xs" style="color:${live ? "#fca5a5" : "rgba(255,255,255,0.5)"};">${statusText}</span>
         </div>
+        ${storyline ? `<div style="display:flex;justify-content:flex-end;margin-top:3px;">${renderStorylineBadge(storyline)}</div>` : ""}
         ${renderBroadcastBadges(comp!, true)}
         ${watchPct != null ? `<div style="display:flex;align-items:center;gap:4px;justify-content:flex-end;margin-top:3px;"><div style="height:2px;width:36px;border-radius:1px;background:rgba(0,0,0,0.3);overflow:hidden;"><div style="height:100%;width:${watchPct}%;border-radius:1px;background:linear-gradient(90deg,#d97706,#fbbf24);"></div></div><span style="font-family:Orbitron,monospace;font-size:8px;font-weight:600;color:#fbbf24;">${watchPct}%</span></div>` : ""}
       </div>
@@ -480,7 +520,7 @@ function renderGameRow(game: Game, rank: number, isPreGame: boolean, watchPct?:
 }
 
 function renderNoGames(events: Game[]): string {
-  const scheduled = rankPreGames(events);
+  const scheduled = rankPreGames(events, (g) => stakesMultiplier(g, playoffRace));
 
   if (scheduled.length > 0) {
     const best = scheduled[0].game;
@@ -531,7 +571,7 @@ function renderNoGames(events: Game[]): string {
   `;
 }
 
-function renderHowItWorks(): string {
+function renderHowItWorks(events: Game[]): string {
   const factors = [
     {
       icon: "⚡",
@@ -558,7 +598,23 @@ function renderHowItWorks(): string {
       label: "Extra innings",
       desc: "Any game that goes past the 9th gets a major watchability multiplier.",
     },
+    {
+      icon: "🔥",
+      label: "Storylines",
+      desc: "A no-hitter or perfect game in progress, a cycle watch or a multi-homer night lifts the score — the biggest one counts.",
+    },
+    {
+      icon: "🏁",
+      label: "Playoff stakes",
+      desc: STAKES_EXPLANATION,
+    },
   ];
+  const stakes = events.flatMap((game) => {
+    const s = gameStakes(game, playoffRace);
+    if (!s) return [];
+    const { away, home } = getAwayHome(game.competitions?.[0]?.competitors || []);
+    return [`<div><span style="font-family:Orbitron,monospace;font-size:10px;color:rgba(255,255,255,0.5);">${teamAbbr(away)} @ ${teamAbbr(home)}</span> ${esc(s.reason)}</div>`];
+  });
 
   const factorHtml = factors.map((f) => `
     <div style="display:flex;gap:10px;align-items:flex-start;">
@@ -576,6 +632,11 @@ function renderHowItWorks(): string {
       <div style="display:flex;flex-direction:column;gap:10px;">
         ${factorHtml}
       </div>
+      ${
+        stakes.length > 0
+          ? `<div style="margin-top:12px;padding-top:10px;border-top:1px solid rgba(255,255,255,0.06);display:flex;flex-direction:column;gap:6px;font-size:12px;color:rgba(255,255,255,0.3);">${stakes.join("")}</div>`
+          : ""
+      }
     </div>
   `;
 }
@@ -659,7 +720,7 @@ function renderSlateOverview(events: Game[], sectionLabel: string): string {
 }
 
 function renderRankedGames(events: Game[], sectionLabel: string): string {
-  const preGames = rankPreGames(events);
+  const preGames = rankPreGames(events, (g) => stakesMultiplier(g, playoffRace));
   if (preGames.length === 0) return "";
   const title = preGames.length === 1 ? sectionLabel : sectionLabel + ", Ranked";
   return `
@@ -673,7 +734,7 @@ function renderRankedGames(events: Game[], sectionLabel: string): string {
 function renderFinalScores(events: Game[]): string {
   const finished = events
     .filter((e) => e.competitions?.[0]?.status?.type?.state === "post")
-    .map((g) => ({ game: g, score: computeWatchScore(g) }))
+    .map((g) => ({ game: g, score: computeWatchScore(g, playoffRace, boxscoreFor(g.id)) }))
     .sort((a, b) => b.score - a.score);
   if (finished.length === 0) return "";
   return `
@@ -685,6 +746,7 @@ function renderFinalScores(events: Game[]): string {
 }
 
 function render(allEvents: Game[]): void {
+  latestEvents = allEvents;
   const content = document.getElementById("content");
   if (!content) return;
 
@@ -699,20 +761,26 @@ function render(allEvents: Game[]): void {
   });
   const dayLabel = getGameDayLabel(events);
 
+  // Storylines past the no-hitters need boxscores; re-render once when they land.
+  const liveIds = liveGames.flatMap((g) => (g.id ? [g.id] : []));
+  void refreshBoxscores(liveIds).then((changed) => {
+    if (changed) render(latestEvents);
+  });
+
   if (liveGames.length === 0) {
     content.innerHTML =
       renderNoGames(events) +
       renderSlateOverview(events, dayLabel) +
       renderFinalScores(events) +
       renderRankedGames(events, dayLabel) +
-      renderHowItWorks();
+      renderHowItWorks(events);
     highlightFavorites();
     document.fonts.ready.then(fitHeroLines);
     return;
   }
 
   const ranked = liveGames
-    .map((g) => ({ game: g, score: computeWatchScore(g) }))
+    .map((g) => ({ game: g, score: computeWatchScore(g, playoffRace, boxscoreFor(g.id)) }))
     .sort((a, b) => b.score - a.score);
 
   const best = ranked[0];
@@ -731,9 +799,10 @@ function render(allEvents: Game[]): void {
   html += renderSlateOverview(events, dayLabel);
   html += renderRankedGames(events, "Coming Up");
   html += renderFinalScores(events);
-  html += renderHowItWorks();
+  html += renderHowItWorks(events);
   content.innerHTML = html;
   highlightFavorites();
+  fillWatchTimelines("baseball/mlb", TIMELINE_COLOR);
   document.fonts.ready.then(fitHeroLines);
 }
 
@@ -752,6 +821,9 @@ function highlightFavorites(): void {
 
 export function init(): void {
   (window as unknown as Record<string, unknown>).__mlbHighlight = highlightFavorites;
+  watchPlayoffRace("mlb", (race) => {
+    playoffRace = race;
+  });
   initSportsApp(API_URL, render, {
     errorBtnId: "mlb-retry-btn",
     retryBtnStyle: "background:rgba(0,0,0,0.3);color:#fbbf24;border:1px solid rgba(255,255,255,0.1);cursor:pointer;",
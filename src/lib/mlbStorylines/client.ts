@@ -0,0 +1,13 @@
+// Browser side of the storylines: MLB GameRank asks for its live games' boxscores after
+// each render and re-renders once when new ones arrive.
+
+import { createSummaryPoller } from "../espnSummary/client";
+import type { MlbBoxscore } from "./storylines";
+
+const boxscores = createSummaryPoller<MlbBoxscore>("/api/mlb/boxscores", "boxscores");
+
+/** The last boxscore fetched for a game, if any. */
+export const boxscoreFor = boxscores.get;
+
+/** Refresh the boxscores for `gameIds`; resolves true when anything new arrived. */
+export const refreshBoxscores = boxscores.refresh;
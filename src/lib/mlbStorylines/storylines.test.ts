@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import { espnGame } from "../testing/espnGame";
+import { STORYLINE_MULTIPLIERS, detectStorylines, parseBoxscore, storylineMultiplier } from "./storylines";
+
+function game({ state = "in", inning = 7, detail = "Bot 7th", awayHits = "0", homeHits = "5", homeErrors = "0" } = {}): Game {
+  return espnGame({
+    state,
+    period: inning,
+    detail,
+    teams: ["COL", "LAD"],
+    hits: [awayHits, homeHits],
+    errors: ["1", homeErrors],
+  });
+}
+
+function play(type: string, batter: string) {
+  return { type: { text: type }, participants: [{ type: "pitcher", athlete: { id: "p1" } }, { type: "batter", athlete: { id: batter } }] };
+}
+
+function summary(plays: ReturnType<typeof play>[]) {
+  return {
+    boxscore: {
+      players: [
+        {
+          team: { abbreviation: "COL" },
+          statistics: [{ type: "batting", athletes: [{ athlete: { id: "c1", shortName: "E. Tovar" } }] }],
+        },
+        {
+          team: { abbreviation: "LAD" },
+          statistics: [
+            { type: "batting", athletes: [{ athlete: { id: "d1", shortName: "S. Ohtani" } }, { athlete: { id: "d2", shortName: "M. Betts" } }] },
+            { type: "pitching", athletes: [{ athlete: { id: "p1", shortName: "Y. Yamamoto" } }] },
+          ],
+        },
+      ],
+    },
+    plays,
+  };
+}
+
+describe("parseBoxscore", () => {
+  it("tallies hit types per batter and free passes per batting team", () => {
+    const box = parseBoxscore(
+      summary([play("Home Run", "d1"), play("Double", "d1"), play("Walk", "c1"), play("Strikeout Swinging", "d2"), play("Hit By Pitch", "c1")]),
+    );
+    expect(box.batters).toEqual([{ id: "d1", name: "S. Ohtani", team: "LAD", singles: 0, doubles: 1, triples: 0, homeRuns: 1 }]);
+    expect(box.freePasses).toEqual({ COL: 2 });
+  });
+
+  it("copes with an empty summary", () => {
+    expect(parseBoxscore(null)).toEqual({ batters: [], freePasses: {} });
+  });
+});
+
+describe("detectStorylines", () => {
+  it("spots a no-hitter from the scoreboard alone, from the 6th on", () => {
+    expect(detectStorylines(game())).toEqual([
+      { kind: "no-hitter", label: "No-hitter", detail: "LAD is no-hitting COL (Bot 7th)" },
+    ]);
+    expect(detectStorylines(game({ inning: 4, detail: "Top 4th" }))).toEqual([]);
+    expect(detectStorylines(game({ awayHits: "1" }))).toEqual([]);
+  });
+
+  it("upgrades to a perfect game when the boxscore shows nobody reached", () => {
+    const clean = parseBoxscore(summary([]));
+    expect(detectStorylines(game(), clean)[0].kind).toBe("perfect-game");
+    expect(detectStorylines(game({ homeErrors: "1" }), clean)[0].kind).toBe("no-hitter");
+    expect(detectStorylines(game(), parseBoxscore(summary([play("Walk", "c1")])))[0].kind).toBe("no-hitter");
+    expect(detectStorylines(game({ state: "post", detail: "Final" }), clean)[0].detail).toBe("LAD threw a perfect game");
+  });
+
+  it("watches for the cycle while the game's live", () => {
+    const box = parseBoxscore(summary([play("Single", "d2"), play("Double", "d2"), play("Home Run", "d2")]));
+    const [cycle] = detectStorylines(game({ awayHits: "4" }), box);
+    expect(cycle).toEqual({ kind: "cycle-watch", label: "Cycle watch", detail: "M. Betts is a triple away from the cycle" });
+    expect(detectStorylines(game({ state: "post", awayHits: "4" }), box)).toEqual([]);
+  });
+
+  it("calls out multi-homer nights, biggest storyline first", () => {
+    const box = parseBoxscore(summary([play("Home Run", "d1"), play("Home Run", "d1"), play("Home Run", "d1")]));
+    const storylines = detectStorylines(game(), box);
+    expect(storylines.map((s) => s.label)).toEqual(["Perfect game", "3-homer game"]);
+    expect(storylineMultiplier(storylines)).toBe(STORYLINE_MULTIPLIERS["perfect-game"]);
+    expect(storylineMultiplier([])).toBe(1);
+  });
+});
@@ -0,0 +1,199 @@
+// MLB storylines — the things that make a game worth turning on whatever the score: a
+// no-hitter or perfect game in progress, a batter a hit away from the cycle, a multi-homer
+// night. No-hitters come straight off the scoreboard's hit totals; the rest need ESPN's
+// game summary, slimmed here to per-batter hit types.
+
+import { type Competitor, type Game, getAwayHome, parseScore } from "../sportsCore";
+
+export type StorylineKind = "perfect-game" | "no-hitter" | "cycle-watch" | "cycle" | "multi-homer";
+
+export interface Storyline {
+  kind: StorylineKind;
+  /** Short badge text, e.g. "No-hitter". */
+  label: string;
+  /** "Kershaw is a triple away from the cycle" — the badge's tooltip and hero line. */
+  detail: string;
+}
+
+export interface BatterLine {
+  id: string;
+  name: string;
+  /** Batting team's abbreviation. */
+  team: string;
+  singles: number;
+  doubles: number;
+  triples: number;
+  homeRuns: number;
+}
+
+/** The slice of ESPN's game summary storylines read. */
+export interface MlbBoxscore {
+  batters: BatterLine[];
+  /** Walks and hit batters drawn, by batting team — what separates a perfect game. */
+  freePasses: Record<string, number>;
+}
+
+// A no-hitter only becomes a story once the pitcher is past the early innings.
+const NO_HITTER_MIN_INNING = 6;
+
+/** Most drama first; a game's watch score takes the biggest, they don't stack. */
+export const STORYLINE_MULTIPLIERS: Record<StorylineKind, number> = {
+  "perfect-game": 1.6,
+  "no-hitter": 1.4,
+  "cycle-watch": 1.2,
+  cycle: 1.1,
+  "multi-homer": 1.1,
+};
+
+const HIT_TYPES: Record<string, "singles" | "doubles" | "triples" | "homeRuns"> = {
+  single: "singles",
+  double: "doubles",
+  triple: "triples",
+  "home run": "homeRuns",
+};
+const FREE_PASSES = new Set(["walk", "intentional walk", "hit by pitch"]);
+
+// ── ESPN summary ──
+
+interface SummaryAthlete {
+  athlete?: { id?: string; displayName?: string; shortName?: string };
+}
+
+interface EspnSummary {
+  boxscore?: {
+    players?: Array<{
+      team?: { abbreviation?: string };
+      statistics?: Array<{ type?: string; athletes?: SummaryAthlete[] }>;
+    }>;
+  };
+  plays?: Array<{
+    type?: { text?: string };
+    participants?: Array<{ type?: string; athlete?: { id?: string } }>;
+  }>;
+}
+
+/** Per-batter hit types and each side's free passes, from ESPN's play-by-play. */
+export function parseBoxscore(raw: unknown): MlbBoxscore {
+  const summary = (raw ?? {}) as EspnSummary;
+  const batters = new Map<string, BatterLine>();
+  for (const side of summary.boxscore?.players || []) {
+    const team = (side.team?.abbreviation || "").toUpperCase();
+    const batting = side.statistics?.find((s) => s.type === "batting");
+    for (const { athlete } of batting?.athletes || []) {
+      if (!athlete?.id) continue;
+      batters.set(athlete.id, {
+        id: athlete.id,
+        name: athlete.shortName || athlete.displayName || "",
+        team,
+        singles: 0,
+        doubles: 0,
+        triples: 0,
+        homeRuns: 0,
+      });
+    }
+  }
+
+  const freePasses: Record<string, number> = {};
+  for (const play of summary.plays || []) {
+    const type = (play.type?.text || "").trim().toLowerCase();
+    const batterId = play.participants?.find((p) => p.type === "batter")?.athlete?.id;
+    const batter = batterId ? batters.get(batterId) : undefined;
+    if (!batter) continue;
+    if (HIT_TYPES[type]) batter[HIT_TYPES[type]]++;
+    else if (FREE_PASSES.has(type)) freePasses[batter.team] = (freePasses[batter.team] ?? 0) + 1;
+  }
+
+  return {
+    batters: [...batters.values()].filter((b) => b.singles + b.doubles + b.triples + b.homeRuns > 0),
+    freePasses,
+  };
+}
+
+// ── Detection ──
+
+// Raw, not `teamAbbr`: details are plain text, escaped where they're rendered.
+function abbrOf(c: Competitor): string {
+  return (c.team?.abbreviation || "").toUpperCase();
+}
+
+function hitsOf(c: Competitor): number | null {
+  return c.hits === undefined || c.hits === "" ? null : parseScore(c.hits);
+}
+
+function noHitStorylines(game: Game, box: MlbBoxscore | null): Storyline[] {
+  const comp = game.competitions?.[0];
+  const status = comp?.status;
+  const state = status?.type?.state;
+  if (!comp || (state !== "in" && state !== "post")) return [];
+  if ((status?.period || 0) < NO_HITTER_MIN_INNING) return [];
+  const { away, home } = getAwayHome(comp.competitors || []);
+  if (!away || !home) return [];
+
+  const out: Storyline[] = [];
+  for (const [batting, pitching] of [
+    [away, home],
+    [home, away],
+  ] as const) {
+    if (hitsOf(batting) !== 0) continue;
+    const done = state === "post";
+    const perfect = box !== null && !(box.freePasses[abbrOf(batting)] ?? 0) && parseScore(pitching.errors) === 0;
+    const inning = status?.type?.shortDetail;
+    const through = done || !inning ? "" : ` (${inning})`;
+    out.push(
+      perfect
+        ? {
+            kind: "perfect-game",
+            label: "Perfect game",
+            detail: `${abbrOf(pitching)} ${done ? "threw a perfect game" : "hasn't allowed a baserunner"}${through}`,
+          }
+        : {
+            kind: "no-hitter",
+            label: "No-hitter",
+            detail: `${abbrOf(pitching)} ${done ? "no-hit" : "is no-hitting"} ${abbrOf(batting)}${through}`,
+          },
+    );
+  }
+  return out;
+}
+
+function hitTypes(b: BatterLine): number {
+  return [b.singles, b.doubles, b.triples, b.homeRuns].filter((n) => n > 0).length;
+}
+
+function missingForCycle(b: BatterLine): string {
+  if (!b.singles) return "a single";
+  if (!b.doubles) return "a double";
+  if (!b.triples) return "a triple";
+  return "a homer";
+}
+
+function batterStorylines(game: Game, box: MlbBoxscore): Storyline[] {
+  const live = game.competitions?.[0]?.status?.type?.state === "in";
+  const out: Storyline[] = [];
+  for (const b of box.batters) {
+    const types = hitTypes(b);
+    if (types === 4) out.push({ kind: "cycle", label: "Cycle", detail: `${b.name} hit for the cycle` });
+    else if (types === 3 && live) {
+      out.push({ kind: "cycle-watch", label: "Cycle watch", detail: `${b.name} is ${missingForCycle(b)} away from the cycle` });
+    }
+    if (b.homeRuns >= 2) {
+      out.push({
+        kind: "multi-homer",
+        label: b.homeRuns >= 3 ? `${b.homeRuns}-homer game` : "Multi-homer",
+        detail: `${b.name} has ${b.homeRuns} home runs`,
+      });
+    }
+  }
+  return out;
+}
+
+/** Every storyline in a game, biggest first. `box` adds what the scoreboard can't show. */
+export function detectStorylines(game: Game, box: MlbBoxscore | null = null): Storyline[] {
+  const found = [...noHitStorylines(game, box), ...(box ? batterStorylines(game, box) : [])];
+  return found.sort((a, b) => STORYLINE_MULTIPLIERS[b.kind] - STORYLINE_MULTIPLIERS[a.kind]);
+}
+
+/** Watch-score multiplier for a game's biggest storyline; 1 without one. */
+export function storylineMultiplier(storylines: Storyline[]): number {
+  return storylines.length > 0 ? STORYLINE_MULTIPLIERS[storylines[0].kind] : 1;
+}
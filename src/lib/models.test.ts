@@ -0,0 +1,9 @@
+import { describe, expect, it } from "vitest";
+import { DIGEST_MODEL } from "../../scripts/campbell-council-digests.mjs";
+import { CLAUDE_SONNET } from "./models";
+
+describe("model ids", () => {
+  it("has the council digest sync use the same Sonnet as the site", () => {
+    expect(DIGEST_MODEL).toBe(CLAUDE_SONNET);
+  });
+});
@@ -23,15 +23,26 @@ import {
   scoreToPercent,
   parseScore,
   getAwayHome,
-  ESPN_SPORTS_BASE,
 } from "./sportsCore";
+import { seriesStakesMultiplier } from "./playoffs/series";
+import { STAKES_EXPLANATION, gameStakes, stakesMultiplier, type PlayoffRace } from "./standings/race";
+import { watchPlayoffRace } from "./standings/client";
+import { type NbaPlayByPlay, type NbaSituation, nbaSituation, situationMultiplier } from "./nbaSituation/situation";
+import { playByPlayFor, refreshPlayByPlay } from "./nbaSituation/client";
+import { fillWatchTimelines, watchTimelineSlot } from "./watchHistory/client";
 
 // --- Constants ---
-const API_URL = `${ESPN_SPORTS_BASE}/basketball/nba/scoreboard`;
-const MAX_WATCH_SCORE = 400;
+const API_URL = "/api/scoreboard/nba";
+export const MAX_WATCH_SCORE = 400;
 const CLOSENESS_PENALTY = 4;
 const OT_MULTIPLIER = 3.5;
 const MAX_PROGRESS_MULTIPLIER = 2.0;
+const TIMELINE_COLOR = "#f97316";
+
+// The NBA's playoff race, once /api/standings has answered; rankings use it from then on.
+let playoffRace: PlayoffRace | null = null;
+// The scoreboard the page last rendered, so a late play-by-play reply re-renders the newest scores.
+let latestEvents: Game[] = [];
 
 // --- Ranking algorithm ---
 
@@ -54,7 +65,11 @@ function isOvertime(status: Status): boolean {
   return (status?.period || 0) > 4;
 }
 
-function computeWatchScore(game: Game): number {
+export function computeWatchScore(
+  game: Game,
+  race: PlayoffRace | null = null,
+  pbp: NbaPlayByPlay | null = null,
+): number {
   const comp = game.competitions?.[0];
   if (!comp) return 0;
 
@@ -68,7 +83,14 @@ function computeWatchScore(game: Game): number {
     ? OT_MULTIPLIER
     : progressMultiplier(gameProgress(status), MAX_PROGRESS_MULTIPLIER);
 
-  return base.closenessScore * base.qualityMultiplier * paceMultiplier;
+  return (
+    base.closenessScore *
+    base.qualityMultiplier *
+    paceMultiplier *
+    seriesStakesMultiplier(game) *
+    stakesMultiplier(game, race) *
+    situationMultiplier(nbaSituation(game, pbp))
+  );
 }
 
 // --- Broadcast helpers ---
@@ -121,6 +143,42 @@ function formatTipoff(dateStr: string): string {
   return formatGameTime(dateStr);
 }
 
+function renderSituationPanel(situation: NbaSituation): string {
+  const lines: Array<{ tag: string; text: string }> = [];
+  if (situation.run) {
+    const { team, points, allowed } = situation.run;
+    lines.push({ tag: "RUN", text: `${team} on a ${points}-${allowed} run` });
+  }
+  if (situation.leadChanges) {
+    lines.push({
+      tag: "LEAD",
+      text: `${situation.leadChanges} lead ${situation.leadChanges === 1 ? "change" : "changes"}`,
+    });
+  }
+  for (const star of situation.foulTrouble) {
+    lines.push({ tag: "FOULS", text: `${star.name} (${star.team}) has ${star.fouls} fouls` });
+  }
+  if (!situation.clutch && lines.length === 0) return "";
+
+  return `
+    <div class="situation-panel">
+      ${situation.clutch ? `<div style="text-align:center;margin-bottom:${lines.length > 0 ? 6 : 0}px;"><span class="clutch-badge">Clutch Time</span></div>` : ""}
+      <div style="display:flex;gap:16px;font-size:11px;justify-content:center;flex-wrap:wrap;">
+        ${lines
+          .map(
+            (l) => `
+          <div>
+            <span style="color:rgba(255,255,255,0.3);font-family:Orbitron,monospace;font-size:9px;letter-spacing:0.1em;">${l.tag}</span>
+            <span style="color:rgba(255,255,255,0.7);margin-left:4px;">${esc(l.text)}</span>
+          </div>
+        `,
+          )
+          .join("")}
+      </div>
+    </div>
+  `;
+}
+
 // --- Card renderers ---
 
 function renderHeroCard(game: Game): string {
@@ -128,7 +186,8 @@ function renderHeroCard(game: Game): string {
   const competitors = comp?.competitors || [];
   const status = comp?.status!;
   const live = isLive(status);
-  const watchScore = computeWatchScore(game);
+  const pbp = playByPlayFor(game.id);
+  const watchScore = computeWatchScore(game, playoffRace, pbp);
   const barPct = scoreToPercent(watchScore, MAX_WATCH_SCORE);
 
   const { away, home } = getAwayHome(competitors);
@@ -181,6 +240,7 @@ function renderHeroCard(game: Game): string {
             ${live ? "LIVE \u00b7 " : ""}${statusLabel(status)}
           </div>
         </div>
+        ${renderSituationPanel(nbaSituation(game, pbp))}
         <div class="watch-meter mt-4">
           <div class="watch-meter-label">WATCHABILITY</div>
           <div class="watch-bar-track">
@@ -188,6 +248,7 @@ function renderHeroCard(game: Game): string {
           </div>
           <div class="watch-meter-value">${barPct}%</div>
         </div>
+        ${watchTimelineSlot(game.id)}
       </div>
     </div>
   `;
@@ -266,7 +327,7 @@ function renderGameRow(
 }
 
 function renderNoGames(events: Game[]): string {
-  const preGames = rankPreGames(events);
+  const preGames = rankPreGames(events, (g) => stakesMultiplier(g, playoffRace));
 
   if (preGames.length === 0) {
     const postGames = events.filter((e) => e.competitions?.[0]?.status?.type?.state === "post");
@@ -311,7 +372,7 @@ function renderRankedGames(
   events: Game[],
   sectionLabel: string,
 ): string {
-  const preGames = rankPreGames(events);
+  const preGames = rankPreGames(events, (g) => stakesMultiplier(g, playoffRace));
 
   if (preGames.length === 0) return "";
 
@@ -325,7 +386,42 @@ function renderRankedGames(
   `;
 }
 
+function renderHowItWorks(events: Game[]): string {
+  const factors = [
+    { label: "Closeness", desc: "Tight games score higher. Every point of margin cuts the score." },
+    { label: "Game clock", desc: "The later it gets in a close game, the bigger the boost." },
+    { label: "Team quality", desc: "Two winning teams in a tight game beat a close one between lottery teams." },
+    { label: "Overtime", desc: "Any game past regulation gets the biggest multiplier there is." },
+    {
+      label: "Situation",
+      desc: "Clutch time (the last five minutes within five) gets a boost, and so do a scoring run, a game that keeps trading the lead, and a leading scorer in foul trouble.",
+    },
+    { label: "Playoff stakes", desc: STAKES_EXPLANATION },
+  ];
+  const stakes = events.flatMap((game) => {
+    const s = gameStakes(game, playoffRace);
+    if (!s) return [];
+    const { away, home } = getAwayHome(game.competitions?.[0]?.competitors || []);
+    return [`<div><span class="font-score" style="color:#a1a1aa;">${teamAbbr(away)} @ ${teamAbbr(home)}</span> ${esc(s.reason)}</div>`];
+  });
+
+  return `
+    <div style="margin-top:28px;padding:16px 18px;background:#0a0a12;border:1px solid #1f1f30;border-radius:10px;">
+      <div class="font-score" style="font-size:9px;font-weight:700;letter-spacing:0.2em;text-transform:uppercase;color:rgba(249,115,22,0.6);margin-bottom:12px;">How It Works</div>
+      <div style="display:flex;flex-direction:column;gap:8px;font-size:12px;color:#71717a;">
+        ${factors.map((f) => `<div><span class="font-score" style="font-size:10px;font-weight:700;letter-spacing:0.12em;text-transform:uppercase;color:#a1a1aa;">${f.label}</span> ${f.desc}</div>`).join("")}
+      </div>
+      ${
+        stakes.length > 0
+          ? `<div style="margin-top:12px;padding-top:10px;border-top:1px solid #1f1f30;display:flex;flex-direction:column;gap:6px;font-size:11px;color:#71717a;">${stakes.join("")}</div>`
+          : ""
+      }
+    </div>
+  `;
+}
+
 function render(events: Game[]): void {
+  latestEvents = events;
   const content = document.getElementById("content")!;
 
   const liveGames = events.filter((e) => {
@@ -335,16 +431,23 @@ function render(events: Game[]): void {
 
   const dayLabel = getGameDayLabel(events);
 
+  // Runs, lead changes and foul trouble need play-by-play; re-render once when it lands.
+  const liveIds = liveGames.flatMap((g) => (g.id ? [g.id] : []));
+  void refreshPlayByPlay(liveIds).then((changed) => {
+    if (changed) render(latestEvents);
+  });
+
   if (liveGames.length === 0) {
     content.innerHTML =
       renderNoGames(events) +
-      renderRankedGames(events, dayLabel);
+      renderRankedGames(events, dayLabel) +
+      renderHowItWorks(events);
     document.fonts.ready.then(fitHeroLines);
     return;
   }
 
   const ranked = liveGames
-    .map((g) => ({ game: g, score: computeWatchScore(g) }))
+    .map((g) => ({ game: g, score: computeWatchScore(g, playoffRace, playByPlayFor(g.id)) }))
     .sort((a, b) => b.score - a.score);
 
   const best = ranked[0];
@@ -362,8 +465,10 @@ function render(events: Game[]): void {
   }
 
   html += renderRankedGames(events, "Up Next");
+  html += renderHowItWorks(events);
 
   content.innerHTML = html;
+  fillWatchTimelines("basketball/nba", TIMELINE_COLOR);
   document.fonts.ready.then(fitHeroLines);
 }
 
@@ -371,6 +476,9 @@ function render(events: Game[]): void {
 
 /** Initialize NBA Now: set date label, start fetching + auto-refresh. */
 export function init(): void {
+  watchPlayoffRace("nba", (race) => {
+    playoffRace = race;
+  });
   initSportsApp(API_URL, render, {
     retryBtnStyle:
       "background:#111118;color:#ff6b2b;border:1px solid #1f1f30;cursor:pointer;",
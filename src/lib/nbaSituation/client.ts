@@ -0,0 +1,13 @@
+// Browser side of the situation panel: NBA Now asks for its live games' play-by-play after
+// each render and re-renders once when new plays arrive.
+
+import { createSummaryPoller } from "../espnSummary/client";
+import type { NbaPlayByPlay } from "./situation";
+
+const playByPlay = createSummaryPoller<NbaPlayByPlay>("/api/nba/situations", "situations");
+
+/** The last play-by-play fetched for a game, if any. */
+export const playByPlayFor = playByPlay.get;
+
+/** Refresh the play-by-play for `gameIds`; resolves true when anything new arrived. */
+export const refreshPlayByPlay = playByPlay.refresh;
@@ -0,0 +1,160 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import { espnGame } from "../testing/espnGame";
+import {
+  CLUTCH_MULTIPLIER,
+  RUN_MULTIPLIER,
+  currentRun,
+  leadChanges,
+  nbaSituation,
+  parsePlayByPlay,
+  situationMultiplier,
+  type NbaPlayByPlay,
+} from "./situation";
+
+function game({ state = "in", period = 4, clock = "3:12", awayScore = "101", homeScore = "98" } = {}): Game {
+  return espnGame({ state, period, clock, teams: ["lal", "BOS"], scores: [awayScore, homeScore] });
+}
+
+function athlete(name: string, fouls: string, points: string, didNotPlay = false) {
+  return { didNotPlay, athlete: { shortName: name }, stats: didNotPlay ? [] : ["30", fouls, points] };
+}
+
+describe("parsePlayByPlay", () => {
+  it("keeps the score after each basket and each team's two leading scorers", () => {
+    const pbp = parsePlayByPlay({
+      boxscore: {
+        players: [
+          {
+            team: { abbreviation: "LAL" },
+            statistics: [
+              {
+                keys: ["minutes", "fouls", "points"],
+                athletes: [athlete("L. James", "4", "22"), athlete("A. Davis", "2", "25"), athlete("A. Reaves", "1", "9"), athlete("J. Vanderbilt", "", "", true)],
+              },
+            ],
+          },
+        ],
+      },
+      plays: [
+        { scoringPlay: false, awayScore: 0, homeScore: 0 },
+        { scoringPlay: true, awayScore: 2, homeScore: 0 },
+        { scoringPlay: true, awayScore: 2, homeScore: 0 },
+        { scoringPlay: true, awayScore: 2, homeScore: 3 },
+      ],
+    });
+    expect(pbp.scores).toEqual([
+      [2, 0],
+      [2, 3],
+    ]);
+    expect(pbp.stars).toEqual([
+      { name: "A. Davis", team: "LAL", points: 25, fouls: 2 },
+      { name: "L. James", team: "LAL", points: 22, fouls: 4 },
+    ]);
+  });
+
+  it("copes with an empty summary", () => {
+    expect(parsePlayByPlay(null)).toEqual({ scores: [], stars: [] });
+  });
+});
+
+describe("leadChanges", () => {
+  it("counts the lead passing between teams, not ties", () => {
+    expect(
+      leadChanges([
+        [2, 0],
+        [2, 2],
+        [4, 2],
+        [4, 5],
+        [6, 5],
+      ]),
+    ).toBe(2);
+    expect(leadChanges([])).toBe(0);
+  });
+});
+
+describe("currentRun", () => {
+  it("finds the widest stretch ending now with the other side held to a basket or two", () => {
+    expect(
+      currentRun([
+        [10, 10],
+        [10, 12],
+        [13, 12],
+        [15, 12],
+        [15, 14],
+        [18, 14],
+        [20, 14],
+        [22, 14],
+      ]),
+    ).toEqual({ side: "away", points: 12, allowed: 2 });
+  });
+
+  it("is null without a run worth calling", () => {
+    expect(
+      currentRun([
+        [2, 0],
+        [2, 2],
+        [5, 2],
+        [5, 4],
+      ]),
+    ).toBeNull();
+    expect(currentRun([])).toBeNull();
+  });
+});
+
+describe("nbaSituation", () => {
+  const pbp: NbaPlayByPlay = {
+    scores: [
+      [90, 98],
+      [93, 98],
+      [96, 98],
+      [99, 98],
+      [101, 98],
+    ],
+    stars: [
+      { name: "A. Davis", team: "LAL", points: 25, fouls: 5 },
+      { name: "J. Tatum", team: "BOS", points: 30, fouls: 6 },
+      { name: "J. Brown", team: "BOS", points: 18, fouls: 3 },
+    ],
+  };
+
+  it("calls clutch time from the scoreboard alone", () => {
+    expect(nbaSituation(game())).toEqual({ clutch: true, run: null, leadChanges: null, foulTrouble: [] });
+    expect(nbaSituation(game({ clock: "5:01" })).clutch).toBe(false);
+    expect(nbaSituation(game({ awayScore: "110" })).clutch).toBe(false);
+    expect(nbaSituation(game({ period: 3 })).clutch).toBe(false);
+    expect(nbaSituation(game({ period: 5, clock: "4:00" })).clutch).toBe(true);
+  });
+
+  it("adds the run, lead changes and stars in foul trouble from play-by-play", () => {
+    expect(nbaSituation(game(), pbp)).toEqual({
+      clutch: true,
+      run: { team: "LAL", points: 11, allowed: 0 },
+      leadChanges: 1,
+      foulTrouble: [{ name: "A. Davis", team: "LAL", points: 25, fouls: 5 }],
+    });
+  });
+
+  it("sets the foul-trouble bar by period", () => {
+    const early = nbaSituation(game({ period: 2, clock: "8:00" }), pbp).foulTrouble.map((s) => s.name);
+    expect(early).toEqual(["A. Davis", "J. Brown"]);
+  });
+
+  it("only describes live games", () => {
+    expect(nbaSituation(game({ state: "post" }), pbp)).toEqual({
+      clutch: false,
+      run: null,
+      leadChanges: null,
+      foulTrouble: [],
+    });
+  });
+});
+
+describe("situationMultiplier", () => {
+  it("stacks the signals, and leaves a quiet game alone", () => {
+    expect(situationMultiplier({ clutch: false, run: null, leadChanges: 3, foulTrouble: [] })).toBe(1);
+    expect(
+      situationMultiplier({ clutch: true, run: { team: "LAL", points: 10, allowed: 0 }, leadChanges: 3, foulTrouble: [] }),
+    ).toBeCloseTo(CLUTCH_MULTIPLIER * RUN_MULTIPLIER);
+  });
+});
@@ -0,0 +1,196 @@
+// NBA in-game situation — what a close score alone doesn't show: a team on a run, a game
+// that keeps trading leads, clutch time, a star sitting on too many fouls. Clutch time
+// comes straight off the scoreboard; the rest needs ESPN's game summary, slimmed here to
+// the score after every basket and each team's leading scorers.
+
+import { type Game, getAwayHome, parseScore } from "../sportsCore";
+
+export type Side = "away" | "home";
+
+/** A leading scorer's line, for spotting foul trouble. */
+export interface StarLine {
+  name: string;
+  /** Team abbreviation. */
+  team: string;
+  points: number;
+  fouls: number;
+}
+
+/** The slice of ESPN's game summary the situation reads. */
+export interface NbaPlayByPlay {
+  /** Away and home score after each scoring play, oldest first. */
+  scores: Array<[number, number]>;
+  stars: StarLine[];
+}
+
+export interface ScoringRun {
+  /** Abbreviation of the team on the run. */
+  team: string;
+  points: number;
+  /** What the other side scored during it — the 2 in a 12-2 run. */
+  allowed: number;
+}
+
+export interface NbaSituation {
+  /** Last five minutes of the fourth or overtime, within five. */
+  clutch: boolean;
+  run: ScoringRun | null;
+  /** Null until play-by-play has loaded. */
+  leadChanges: number | null;
+  foulTrouble: StarLine[];
+}
+
+// Clutch time as the NBA defines it.
+const CLUTCH_MINUTES = 5;
+const CLUTCH_MARGIN = 5;
+/** A run is a stretch outscoring the other side by this much, ending now… */
+const RUN_MIN_MARGIN = 8;
+/** …with the other side held to at most this many points through it. */
+const RUN_MAX_ALLOWED = 4;
+/** Leading scorers per team worth watching for foul trouble. */
+const STARS_PER_TEAM = 2;
+const FOUL_OUT = 6;
+/** A seesaw game: this many lead changes and counting. */
+const SEESAW_LEAD_CHANGES = 10;
+
+export const CLUTCH_MULTIPLIER = 1.25;
+export const RUN_MULTIPLIER = 1.1;
+export const SEESAW_MULTIPLIER = 1.1;
+export const FOUL_TROUBLE_MULTIPLIER = 1.05;
+
+// ── ESPN summary ──
+
+interface EspnSummary {
+  boxscore?: {
+    players?: Array<{
+      team?: { abbreviation?: string };
+      statistics?: Array<{
+        keys?: string[];
+        athletes?: Array<{
+          starter?: boolean;
+          didNotPlay?: boolean;
+          athlete?: { displayName?: string; shortName?: string };
+          stats?: string[];
+        }>;
+      }>;
+    }>;
+  };
+  plays?: Array<{ scoringPlay?: boolean; awayScore?: number; homeScore?: number }>;
+}
+
+function parseStars(summary: EspnSummary): StarLine[] {
+  return (summary.boxscore?.players || []).flatMap((side) => {
+    const team = (side.team?.abbreviation || "").toUpperCase();
+    const table = side.statistics?.[0];
+    const pointsAt = table?.keys?.indexOf("points") ?? -1;
+    const foulsAt = table?.keys?.indexOf("fouls") ?? -1;
+    if (pointsAt < 0 || foulsAt < 0) return [];
+    return (table?.athletes || [])
+      .filter((a) => !a.didNotPlay && a.stats?.length)
+      .map((a) => ({
+        name: a.athlete?.shortName || a.athlete?.displayName || "",
+        team,
+        points: parseScore(a.stats![pointsAt]),
+        fouls: parseScore(a.stats![foulsAt]),
+      }))
+      .sort((a, b) => b.points - a.points)
+      .slice(0, STARS_PER_TEAM);
+  });
+}
+
+/** The score after every basket and each team's leading scorers, from ESPN's summary. */
+export function parsePlayByPlay(raw: unknown): NbaPlayByPlay {
+  const summary = (raw ?? {}) as EspnSummary;
+  const scores: Array<[number, number]> = [];
+  for (const play of summary.plays || []) {
+    if (!play.scoringPlay || typeof play.awayScore !== "number" || typeof play.homeScore !== "number") continue;
+    const last = scores[scores.length - 1];
+    if (last && last[0] === play.awayScore && last[1] === play.homeScore) continue;
+    scores.push([play.awayScore, play.homeScore]);
+  }
+  return { scores, stars: parseStars(summary) };
+}
+
+// ── Signals ──
+
+function clockMinutes(displayClock: string | undefined): number {
+  const [min, sec] = (displayClock || "0:00").split(":");
+  return parseFloat(min || "0") + parseFloat(sec || "0") / 60;
+}
+
+/** Times the lead has passed from one team to the other; ties in between don't count. */
+export function leadChanges(scores: Array<[number, number]>): number {
+  let leader: Side | null = null;
+  let changes = 0;
+  for (const [away, home] of scores) {
+    const now: Side | null = away > home ? "away" : home > away ? "home" : null;
+    if (!now) continue;
+    if (leader && now !== leader) changes++;
+    leader = now;
+  }
+  return changes;
+}
+
+/**
+ * The biggest run still going: the stretch, ending at the latest basket, that one side
+ * won by the widest margin while holding the other to a basket or two.
+ */
+export function currentRun(scores: Array<[number, number]>): { side: Side; points: number; allowed: number } | null {
+  if (scores.length === 0) return null;
+  const timeline: Array<[number, number]> = [[0, 0], ...scores];
+  const [awayNow, homeNow] = timeline[timeline.length - 1];
+
+  let best: { side: Side; points: number; allowed: number } | null = null;
+  for (const side of ["away", "home"] as const) {
+    const mine = side === "away" ? 0 : 1;
+    const theirs = 1 - mine;
+    const now = [awayNow, homeNow];
+    for (let i = timeline.length - 2; i >= 0; i--) {
+      const points = now[mine] - timeline[i][mine];
+      const allowed = now[theirs] - timeline[i][theirs];
+      if (allowed > RUN_MAX_ALLOWED) break;
+      if (points - allowed >= RUN_MIN_MARGIN && (!best || points - allowed > best.points - best.allowed)) {
+        best = { side, points, allowed };
+      }
+    }
+  }
+  return best;
+}
+
+/** Fouls that put a player in trouble by this period: two in the first, five in the fourth. */
+function foulLimit(period: number): number {
+  return Math.min(Math.max(period, 1) + 1, FOUL_OUT - 1);
+}
+
+/** What's happening in a live game right now. `pbp` adds what the scoreboard can't show. */
+export function nbaSituation(game: Game, pbp: NbaPlayByPlay | null = null): NbaSituation {
+  const comp = game.competitions?.[0];
+  const status = comp?.status;
+  const none: NbaSituation = { clutch: false, run: null, leadChanges: null, foulTrouble: [] };
+  if (!comp || status?.type?.state !== "in") return none;
+
+  const { away, home } = getAwayHome(comp.competitors || []);
+  const period = status.period || 0;
+  const margin = Math.abs(parseScore(away?.score) - parseScore(home?.score));
+  const clutch = period >= 4 && clockMinutes(status.displayClock) <= CLUTCH_MINUTES && margin <= CLUTCH_MARGIN;
+  if (!pbp) return { ...none, clutch };
+
+  const run = currentRun(pbp.scores);
+  const runTeam = run ? (run.side === "away" ? away : home)?.team?.abbreviation : undefined;
+  return {
+    clutch,
+    run: run && runTeam ? { team: runTeam.toUpperCase(), points: run.points, allowed: run.allowed } : null,
+    leadChanges: leadChanges(pbp.scores),
+    foulTrouble: pbp.stars.filter((s) => s.fouls >= foulLimit(period) && s.fouls < FOUL_OUT),
+  };
+}
+
+/** Watch-score multiplier for a game's situation; the signals stack. */
+export function situationMultiplier(situation: NbaSituation): number {
+  return (
+    (situation.clutch ? CLUTCH_MULTIPLIER : 1) *
+    (situation.run ? RUN_MULTIPLIER : 1) *
+    ((situation.leadChanges ?? 0) >= SEESAW_LEAD_CHANGES ? SEESAW_MULTIPLIER : 1) *
+    (situation.foulTrouble.length > 0 ? FOUL_TROUBLE_MULTIPLIER : 1)
+  );
+}
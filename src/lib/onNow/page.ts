@@ -0,0 +1,167 @@
+// On Now — renderer for /on-now: the best live game in any league, then everything else
+// that's on, all ranked by the normalized watch score from /api/on-now.
+
+import {
+  type Game,
+  broadcastBadgeRow,
+  esc,
+  escUrl,
+  fitHeroLines,
+  getAwayHome,
+  initSportsApp,
+  parseScore,
+  teamAbbr,
+  teamColor,
+  teamFullName,
+  teamMascot,
+} from "../sportsCore";
+import type { OnNowEntry } from "./rank";
+
+const API_URL = "/api/on-now";
+// No national broadcaster means a regional sports network or a league streaming package.
+const LOCAL_BROADCAST = "Local TV";
+
+function statusText(game: Game): string {
+  return game.competitions?.[0]?.status?.type?.shortDetail || "Live";
+}
+
+function networkOf(entry: OnNowEntry): string {
+  return entry.broadcasts[0] || LOCAL_BROADCAST;
+}
+
+function leagueChip(entry: OnNowEntry): string {
+  return `<span class="league-chip">${esc(entry.leagueLabel)}</span>`;
+}
+
+function broadcastBadges(entry: OnNowEntry, compact: boolean): string {
+  const badges = entry.broadcasts.length
+    ? entry.broadcasts.map((b) => `<span class="broadcast-badge national">${esc(b)}</span>`).join("")
+    : `<span class="broadcast-badge local">${LOCAL_BROADCAST}</span>`;
+  return broadcastBadgeRow(badges, compact);
+}
+
+function watchMeter(pct: number): string {
+  return `
+    <div class="watch-meter mt-4">
+      <div class="watch-meter-label">WATCHABILITY</div>
+      <div class="watch-bar-track">
+        <div class="watch-bar-fill" style="width: ${pct}%;"></div>
+      </div>
+      <div class="watch-meter-value">${pct}%</div>
+    </div>
+  `;
+}
+
+function renderHeroCard(entry: OnNowEntry): string {
+  const comp = entry.game.competitions![0];
+  const { away, home } = getAwayHome(comp.competitors || []);
+  const awayLogo = escUrl(away?.team?.logo || "");
+  const homeLogo = escUrl(home?.team?.logo || "");
+
+  return `
+    <div class="hero-card p-6">
+      <div class="text-center mb-4">${leagueChip(entry)}</div>
+      <div class="hero-sentence">
+        <div class="hero-line">the best thing</div>
+        <div class="hero-line">on right now is the</div>
+        <div class="hero-line hl-team">${teamMascot(away)}</div>
+        <div class="hero-line">versus the</div>
+        <div class="hero-line hl-team">${teamMascot(home)}</div>
+        <div class="hero-line">on <span class="hl-network">${esc(networkOf(entry))}</span></div>
+      </div>
+
+      <div style="display:flex;align-items:center;justify-content:center;gap:28px;margin-top:28px;">
+        ${awayLogo ? `<img src="${awayLogo}" alt="${teamFullName(away)}" width="80" height="80" style="object-fit:contain;opacity:0.9;" />` : ""}
+        <div class="score-detail" style="flex-direction:column;gap:6px;">
+          <span>${teamAbbr(away)} ${parseScore(away?.score)}</span>
+          <span class="score-dash">—</span>
+          <span>${teamAbbr(home)} ${parseScore(home?.score)}</span>
+        </div>
+        ${homeLogo ? `<img src="${homeLogo}" alt="${teamFullName(home)}" width="80" height="80" style="object-fit:contain;opacity:0.9;" />` : ""}
+      </div>
+
+      <div style="margin-top:16px;" class="text-center">
+        <div class="flex justify-center">
+          <div class="status-pill live"><div class="live-dot"></div>LIVE · ${esc(statusText(entry.game))}</div>
+        </div>
+        ${broadcastBadges(entry, false)}
+        ${watchMeter(entry.pct)}
+      </div>
+    </div>
+  `;
+}
+
+function teamLine(entry: OnNowEntry, side: "away" | "home"): string {
+  const comp = entry.game.competitions![0];
+  const competitor = getAwayHome(comp.competitors || [])[side];
+  const logo = escUrl(competitor?.team?.logo || "");
+  return `
+    <div class="flex items-center justify-between">
+      <div class="flex items-center gap-2">
+        ${
+          logo
+            ? `<img src="${logo}" alt="${teamFullName(competitor)}" width="16" height="16" style="object-fit:contain;" />`
+            : `<div style="width:16px;height:16px;border-radius:50%;background:${teamColor(competitor)};"></div>`
+        }
+        <span class="font-score text-xs font-semibold tracking-wider" style="color:#e4e4e7;">${teamAbbr(competitor)}</span>
+      </div>
+      <span class="font-score text-sm font-bold tracking-wider" style="color:#e4e4e7;">${esc(competitor?.score ?? "")}</span>
+    </div>
+  `;
+}
+
+function renderGameRow(entry: OnNowEntry, rank: number): string {
+  return `
+    <div class="game-row px-3 py-2.5" style="display:flex;align-items:center;gap:12px;">
+      <div style="font-family:Orbitron,monospace;font-size:10px;color:#52525b;width:24px;text-align:right;flex-shrink:0;">${rank}</div>
+      <div class="flex-1 min-w-0">
+        ${teamLine(entry, "away")}
+        <div class="mt-0.5">${teamLine(entry, "home")}</div>
+      </div>
+      <div class="text-right flex-shrink-0" style="min-width: 90px;">
+        <div class="flex items-center justify-end gap-1.5">
+          ${leagueChip(entry)}
+          <span class="font-score text-xs" style="color:#a1a1aa;">${esc(statusText(entry.game))}</span>
+        </div>
+        ${broadcastBadges(entry, true)}
+        <div style="display:flex;align-items:center;gap:4px;justify-content:flex-end;margin-top:3px;"><div style="height:2px;width:36px;border-radius:1px;background:rgba(63,63,70,0.5);overflow:hidden;"><div style="height:100%;width:${entry.pct}%;border-radius:1px;background:#a78bfa;"></div></div><span style="font-family:Orbitron,monospace;font-size:8px;font-weight:600;color:#a78bfa;">${entry.pct}%</span></div>
+      </div>
+    </div>
+  `;
+}
+
+function renderNothingLive(): string {
+  return `
+    <div class="hero-card p-8" style="display:flex;align-items:center;justify-content:center;min-height:160px;">
+      <div class="font-score" style="font-size:24px;font-weight:800;letter-spacing:0.12em;text-transform:uppercase;color:#3f3f46;text-align:center;">Nothing Live Right Now</div>
+    </div>
+  `;
+}
+
+function render(entries: OnNowEntry[]): void {
+  const content = document.getElementById("content")!;
+  if (entries.length === 0) {
+    content.innerHTML = renderNothingLive();
+    return;
+  }
+
+  const [best, ...others] = entries;
+  let html = renderHeroCard(best);
+  if (others.length > 0) {
+    html += `
+      <div class="section-header mt-6 mb-3">Also On</div>
+      <div class="space-y-1.5">
+        ${others.map((entry, i) => renderGameRow(entry, i + 2)).join("")}
+      </div>
+    `;
+  }
+  content.innerHTML = html;
+  document.fonts.ready.then(fitHeroLines);
+}
+
+/** Initialize On Now: set date label, start fetching + auto-refresh. */
+export function init(): void {
+  initSportsApp<OnNowEntry>(API_URL, render, {
+    retryBtnStyle: "background:#111118;color:#a78bfa;border:1px solid #1f1f30;cursor:pointer;",
+  });
+}
@@ -0,0 +1,102 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import { espnGame } from "../testing/espnGame";
+import { LEAGUES } from "../teamRegistry";
+import { ON_NOW_SCORERS, clockedWatchScore, rankOnNow, slimGame } from "./rank";
+
+function game({
+  id,
+  away = 0,
+  home = 0,
+  period = 1,
+  clock = "10:00",
+  state = "in",
+  national = [] as string[],
+}: {
+  id: string;
+  away?: number;
+  home?: number;
+  period?: number;
+  clock?: string;
+  state?: string;
+  national?: string[];
+}): Game {
+  return espnGame({
+    id,
+    state,
+    period,
+    clock,
+    detail: `P${period} ${clock}`,
+    teams: ["AWY", "HME"],
+    scores: [away, home],
+    records: ["10-10", "10-10"],
+    national,
+    competition: { odds: [{ details: "HME -3.5" }] },
+  });
+}
+
+describe("ON_NOW_SCORERS", () => {
+  it("scores every league in the registry", () => {
+    for (const { path } of LEAGUES) expect(ON_NOW_SCORERS[path], path).toBeDefined();
+  });
+});
+
+describe("clockedWatchScore", () => {
+  const football = { periods: 4, periodMinutes: 15, closenessPenalty: 6 };
+
+  it("builds through the fourth quarter and peaks in overtime", () => {
+    const early = clockedWatchScore(game({ id: "1", away: 7, home: 3, period: 1, clock: "10:00" }), football);
+    const late = clockedWatchScore(game({ id: "1", away: 7, home: 3, period: 4, clock: "2:00" }), football);
+    const ot = clockedWatchScore(game({ id: "1", away: 20, home: 20, period: 5, clock: "8:00" }), football);
+    expect(late).toBeGreaterThan(early);
+    expect(ot).toBeGreaterThan(late);
+  });
+});
+
+describe("rankOnNow", () => {
+  it("puts every sport's live games on one scale, best first", () => {
+    const ranked = rankOnNow([
+      // A blowout midway through an NBA game…
+      { league: "basketball/nba", events: [game({ id: "nba", away: 60, home: 88, period: 3, clock: "6:00" })] },
+      // …against a tied NHL game in overtime and a finished one.
+      {
+        league: "hockey/nhl",
+        events: [
+          game({ id: "nhl", away: 2, home: 2, period: 4, clock: "3:00", national: ["TNT"] }),
+          game({ id: "done", away: 1, home: 4, period: 3, state: "post" }),
+        ],
+      },
+    ]);
+    expect(ranked.map((e) => [e.league, e.game.id])).toEqual([
+      ["hockey/nhl", "nhl"],
+      ["basketball/nba", "nba"],
+    ]);
+    expect(ranked[0]).toMatchObject({ leagueLabel: "NHL", broadcasts: ["TNT"] });
+    for (const entry of ranked) {
+      expect(entry.pct).toBeGreaterThanOrEqual(0);
+      expect(entry.pct).toBeLessThanOrEqual(100);
+    }
+  });
+
+  it("breaks ties in league order", () => {
+    const tied = game({ id: "x", period: 0, clock: "0:00" });
+    const ranked = rankOnNow([
+      { league: "soccer/usa.nwsl", events: [{ ...tied, id: "nwsl" }] },
+      { league: "soccer/usa.1", events: [{ ...tied, id: "mls" }] },
+    ]);
+    expect(ranked.map((e) => e.game.id)).toEqual(["mls", "nwsl"]);
+  });
+
+  it("skips leagues it doesn't know", () => {
+    expect(rankOnNow([{ league: "cricket/ipl", events: [game({ id: "1" })] }])).toEqual([]);
+  });
+});
+
+describe("slimGame", () => {
+  it("keeps what the page renders and drops the rest", () => {
+    const slim = slimGame(game({ id: "1", away: 3, home: 2, national: ["ESPN"] }));
+    const comp = slim.competitions![0];
+    expect(Object.keys(comp).sort()).toEqual(["competitors", "status"]);
+    expect(comp.competitors![0]).toMatchObject({ homeAway: "away", score: "3", team: { abbreviation: "AWY" } });
+  });
+});
@@ -0,0 +1,140 @@
+// What's on right now, across every league WTWTW knows. Each sport's watch score is
+// calibrated to its own max (NBA Now and MLB GameRank top out at 400, the goal sports at
+// 600), so live games are compared as a percentage of that max — the same normalization
+// the watch-score timelines store.
+
+import {
+  type Competitor,
+  type Game,
+  type Status,
+  getBroadcasts,
+  progressMultiplier,
+  scoreToPercent,
+  watchScoreBase,
+} from "../sportsCore";
+import { seriesStakesMultiplier } from "../playoffs/series";
+import { LEAGUES } from "../teamRegistry";
+import { WATCH_SCORERS, type WatchScorer } from "../watchHistory/scorers";
+
+export interface OnNowEntry {
+  /** ESPN league path, e.g. "hockey/nhl". */
+  league: string;
+  /** Short league label from `LEAGUES`, e.g. "NHL". */
+  leagueLabel: string;
+  /** The game, trimmed to what the page renders. */
+  game: Game;
+  /** Watch score as a percentage of its sport's max. */
+  pct: number;
+  /** National broadcasters from `getBroadcasts`. */
+  broadcasts: string[];
+}
+
+// --- Clocked sports without a page of their own ---
+
+interface ClockFormat {
+  periods: number;
+  periodMinutes: number;
+  closenessPenalty: number;
+}
+
+/** Same calibration as NBA Now, so a tight fourth quarter reads alike in every clocked sport. */
+const MAX_CLOCKED_WATCH_SCORE = 400;
+const OVERTIME_MULTIPLIER = 3.5;
+const MAX_PROGRESS_MULTIPLIER = 2.0;
+
+// Basketball keeps NBA Now's 4 points per point of margin; a football field goal is 3
+// and a touchdown 7, so a one-score game keeps about half its closeness.
+const WNBA: ClockFormat = { periods: 4, periodMinutes: 10, closenessPenalty: 4 };
+const COLLEGE_BASKETBALL: ClockFormat = { periods: 2, periodMinutes: 20, closenessPenalty: 4 };
+const FOOTBALL: ClockFormat = { periods: 4, periodMinutes: 15, closenessPenalty: 6 };
+
+function clockProgress(status: Status, format: ClockFormat): number {
+  const period = status.period || 0;
+  if (period === 0) return 0;
+  const [minStr, secStr] = (status.displayClock || `${format.periodMinutes}:00`).split(":");
+  const clockMinutes = parseFloat(minStr || "0") + parseFloat(secStr || "0") / 60;
+  const elapsed = (period - 1) * format.periodMinutes + (format.periodMinutes - clockMinutes);
+  return Math.max(0, elapsed / (format.periods * format.periodMinutes));
+}
+
+/** Closeness × quality × pace × series stakes for a game played on a countdown clock. */
+export function clockedWatchScore(game: Game, format: ClockFormat): number {
+  const comp = game.competitions?.[0];
+  if (!comp?.status) return 0;
+  const base = watchScoreBase(comp, format.closenessPenalty);
+  if (!base) return 0;
+  const paceMultiplier =
+    (comp.status.period || 0) > format.periods
+      ? OVERTIME_MULTIPLIER
+      : progressMultiplier(clockProgress(comp.status, format), MAX_PROGRESS_MULTIPLIER);
+  return base.closenessScore * base.qualityMultiplier * paceMultiplier * seriesStakesMultiplier(game);
+}
+
+function clockedScorer(format: ClockFormat): WatchScorer {
+  return { score: (game) => clockedWatchScore(game, format), max: MAX_CLOCKED_WATCH_SCORE };
+}
+
+/** A scorer for every league in `LEAGUES`. */
+export const ON_NOW_SCORERS: Record<string, WatchScorer> = {
+  ...WATCH_SCORERS,
+  "basketball/wnba": clockedScorer(WNBA),
+  "basketball/mens-college-basketball": clockedScorer(COLLEGE_BASKETBALL),
+  "football/nfl": clockedScorer(FOOTBALL),
+  "football/college-football": clockedScorer(FOOTBALL),
+};
+
+// --- Ranking ---
+
+function slimCompetitor(c: Competitor): Competitor {
+  return {
+    homeAway: c.homeAway,
+    score: c.score,
+    team: c.team && {
+      abbreviation: c.team.abbreviation,
+      displayName: c.team.displayName,
+      location: c.team.location,
+      name: c.team.name,
+      logo: c.team.logo,
+      color: c.team.color,
+    },
+    records: c.records?.slice(0, 1),
+  };
+}
+
+/** Just the fields the page renders — a full ESPN event carries plays, odds and leaders. */
+export function slimGame(game: Game): Game {
+  const comp = game.competitions?.[0];
+  return {
+    id: game.id,
+    date: game.date,
+    competitions: comp
+      ? [{ status: comp.status, competitors: (comp.competitors || []).map(slimCompetitor) }]
+      : [],
+  };
+}
+
+/**
+ * Every live game on the given scoreboards, best first. Ties keep `LEAGUES` order, so
+ * the ranking is stable from one refresh to the next.
+ */
+export function rankOnNow(boards: Array<{ league: string; events: Game[] }>): OnNowEntry[] {
+  const order = LEAGUES.map((l) => l.path);
+  const entries: OnNowEntry[] = [];
+  for (const { league, events } of boards) {
+    const scorer = ON_NOW_SCORERS[league];
+    const info = LEAGUES.find((l) => l.path === league);
+    if (!scorer || !info) continue;
+    for (const game of events) {
+      const comp = game.competitions?.[0];
+      if (comp?.status?.type?.state !== "in") continue;
+      entries.push({
+        league,
+        leagueLabel: info.label,
+        game: slimGame(game),
+        pct: scoreToPercent(scorer.score(game), scorer.max),
+        broadcasts: getBroadcasts(comp).national,
+      });
+    }
+  }
+  return entries.sort((a, b) => b.pct - a.pct || order.indexOf(a.league) - order.indexOf(b.league));
+}
@@ -0,0 +1,130 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import { buildBracket, roundName } from "./bracket";
+
+const IDS: Record<string, string> = { OKC: "25", DEN: "7", BOS: "2", NY: "18", CLE: "5" };
+
+function playoffGame({
+  date,
+  title,
+  away,
+  home,
+  wins,
+  state = "post",
+  winner,
+}: {
+  date: string;
+  title: string;
+  away: string;
+  home: string;
+  /** Series wins as ESPN reports them on this game, by abbreviation. */
+  wins: Record<string, number>;
+  state?: string;
+  winner?: string;
+}): Game {
+  return {
+    date,
+    competitions: [
+      {
+        competitors: [
+          { id: IDS[home], homeAway: "home", winner: winner === home, team: { abbreviation: home, name: home } },
+          { id: IDS[away], homeAway: "away", winner: winner === away, team: { abbreviation: away, name: away } },
+        ],
+        status: { type: { state, completed: state === "post" } },
+        series: {
+          type: "playoff",
+          title,
+          summary: "",
+          totalCompetitions: 7,
+          competitors: Object.entries(wins).map(([abbr, w]) => ({ id: IDS[abbr], wins: w })),
+        },
+      },
+    ],
+  };
+}
+
+describe("roundName", () => {
+  it("puts both conferences and leagues in one column per round", () => {
+    expect(roundName("East 1st Round")).toBe("1st Round");
+    expect(roundName("West Semifinals")).toBe("Semifinals");
+    expect(roundName("West Finals")).toBe("Conference Finals");
+    expect(roundName("NBA Finals")).toBe("NBA Finals");
+    expect(roundName("ALDS")).toBe("Division Series");
+    expect(roundName("NLCS")).toBe("Championship Series");
+    expect(roundName("AL Wild Card Series")).toBe("Wild Card Series");
+    expect(roundName("")).toBe("Playoffs");
+  });
+});
+
+describe("buildBracket", () => {
+  const events = [
+    playoffGame({
+      date: "2026-05-06T02:00Z",
+      title: "West Semifinals",
+      away: "DEN",
+      home: "OKC",
+      wins: { OKC: 1, DEN: 0 },
+      winner: "OKC",
+    }),
+    playoffGame({
+      date: "2026-05-04T02:00Z",
+      title: "East Semifinals",
+      away: "NY",
+      home: "BOS",
+      wins: { BOS: 4, NY: 1 },
+      winner: "BOS",
+    }),
+    playoffGame({
+      date: "2026-05-08T02:00Z",
+      title: "West Semifinals",
+      away: "DEN",
+      home: "OKC",
+      wins: { OKC: 1, DEN: 1 },
+      winner: "DEN",
+    }),
+    playoffGame({
+      date: "2026-05-10T02:00Z",
+      title: "West Semifinals",
+      away: "OKC",
+      home: "DEN",
+      wins: { OKC: 1, DEN: 1 },
+      state: "pre",
+    }),
+    playoffGame({
+      date: "2026-05-20T00:00Z",
+      title: "East Finals",
+      away: "CLE",
+      home: "BOS",
+      wins: { BOS: 0, CLE: 0 },
+      state: "pre",
+    }),
+  ];
+
+  it("groups games into series and series into rounds, in the order they started", () => {
+    const rounds = buildBracket(events, "basketball/nba");
+    expect(rounds.map((r) => r.name)).toEqual(["Semifinals", "Conference Finals"]);
+    expect(rounds[0].series.map((s) => s.id)).toEqual(["BOS-NY", "DEN-OKC"]);
+  });
+
+  it("tallies each series from its most current game and finds the next one", () => {
+    const west = buildBracket(events, "basketball/nba")[0].series[1];
+    expect(west.teams.map((t) => [t.abbr, t.wins])).toEqual([
+      ["OKC", 1],
+      ["DEN", 1],
+    ]);
+    expect(west.played).toBe(2);
+    expect(west.winner).toBeNull();
+    expect(west.nextGame).toEqual({ date: "2026-05-10T02:00Z", live: false, label: "Game 3 · Series tied 1-1" });
+    // Registry color, not ESPN's.
+    expect(west.teams[0].color).toMatch(/^#[0-9A-Fa-f]{6}$/);
+  });
+
+  it("marks a clinched series and drops its next game", () => {
+    const east = buildBracket(events, "basketball/nba")[0].series[0];
+    expect(east).toMatchObject({ completed: true, winner: "BOS", nextGame: null });
+  });
+
+  it("skips games outside a series", () => {
+    expect(buildBracket([{ date: "2026-05-01T00:00Z", competitions: [{}] }], "basketball/nba")).toEqual([]);
+  });
+});
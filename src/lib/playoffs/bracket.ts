@@ -0,0 +1,155 @@
+// Playoff bracket — every postseason game a league has played or scheduled, grouped into
+// series and the series into rounds, in the order the rounds were played.
+
+import { type Competitor, type Game, getAwayHome, teamColor } from "../sportsCore";
+import { teamColorByAbbr } from "../wtwtwSports";
+import { parseSeriesState, seriesStatusLabel, seriesWinsOf, winsToClinch } from "./series";
+
+export interface BracketTeam {
+  abbr: string;
+  name: string;
+  logo: string;
+  /** Registry color, or ESPN's when the team isn't in the registry. */
+  color: string;
+  wins: number;
+}
+
+export interface BracketNextGame {
+  date: string;
+  live: boolean;
+  /** "Game 5 · BOS leads 3-1" — the state going in. */
+  label: string;
+}
+
+export interface BracketSeries {
+  id: string;
+  /** Game 1's home team first — the higher seed. */
+  teams: [BracketTeam, BracketTeam];
+  bestOf: number;
+  /** ESPN's summary, e.g. "OKC leads series 3-2". */
+  summary: string;
+  completed: boolean;
+  /** Abbreviation of the team that clinched, once someone has. */
+  winner: string | null;
+  played: number;
+  nextGame: BracketNextGame | null;
+}
+
+export interface BracketRound {
+  name: string;
+  series: BracketSeries[];
+}
+
+/** `LEAGUES` keys with best-of series worth a bracket. */
+export const BRACKET_LEAGUES = ["nba", "wnba", "mlb"];
+
+const DEFAULT_BEST_OF = 7;
+const DEFAULT_TEAM_COLOR = "#71717a";
+
+/**
+ * One name per round across conferences and leagues: "East 1st Round" and "West 1st Round"
+ * share a column, as do the ALDS and NLDS. A conference's own finals stay distinct from
+ * the league finals.
+ */
+export function roundName(title: string): string {
+  const t = title.trim();
+  if (/^(AL|NL)\s*DS$/i.test(t) || /^(AL|NL) Division Series$/i.test(t)) return "Division Series";
+  if (/^(AL|NL)\s*CS$/i.test(t) || /^(AL|NL) Championship Series$/i.test(t)) return "Championship Series";
+  if (/^(AL|NL) Wild Card/i.test(t)) return "Wild Card Series";
+  if (/^(East|West)(ern Conference)? Finals$/i.test(t)) return "Conference Finals";
+  return t.replace(/^(East|West)(ern Conference)?\s+/i, "") || "Playoffs";
+}
+
+function stateOf(game: Game): string {
+  return game.competitions?.[0]?.status?.type?.state || "pre";
+}
+
+function dateOf(game: Game): number {
+  return game.date ? new Date(game.date).getTime() : 0;
+}
+
+function abbrOf(c: Competitor | undefined): string {
+  return (c?.team?.abbreviation || "").toUpperCase();
+}
+
+function bracketTeam(league: string, c: Competitor, wins: number): BracketTeam {
+  const abbr = abbrOf(c);
+  return {
+    abbr,
+    name: c.team?.name || c.team?.displayName || abbr,
+    logo: c.team?.logo || "",
+    color: teamColorByAbbr(league, abbr) || teamColor(c, DEFAULT_TEAM_COLOR),
+    wins,
+  };
+}
+
+function totalWins(wins: Map<string, number>): number {
+  return [...wins.values()].reduce((a, b) => a + b, 0);
+}
+
+function buildSeries(league: string, id: string, games: Game[]): BracketSeries {
+  // ESPN reports the series as of now on every game; the tally never goes down, so the
+  // game with the most wins counted is the most current.
+  let latest = games[0];
+  let latestWins = seriesWinsOf(latest)!;
+  for (const game of games) {
+    const wins = seriesWinsOf(game)!;
+    if (totalWins(wins) > totalWins(latestWins)) {
+      latest = game;
+      latestWins = wins;
+    }
+  }
+
+  const firstComp = games[0].competitions![0];
+  const { away, home } = getAwayHome(firstComp.competitors || []);
+  const series = latest.competitions![0].series!;
+  const bestOf = series.totalCompetitions || DEFAULT_BEST_OF;
+  const teams: [BracketTeam, BracketTeam] = [
+    bracketTeam(league, home, latestWins.get(abbrOf(home)) ?? 0),
+    bracketTeam(league, away, latestWins.get(abbrOf(away)) ?? 0),
+  ];
+  const clincher = teams.find((t) => t.wins >= winsToClinch(bestOf));
+
+  const upcoming = games.find((g) => stateOf(g) === "in") ?? games.find((g) => stateOf(g) === "pre");
+  const upcomingState = upcoming ? parseSeriesState(upcoming) : null;
+
+  return {
+    id,
+    teams,
+    bestOf,
+    summary: series.summary || "",
+    completed: !!series.completed || !!clincher,
+    winner: clincher?.abbr ?? null,
+    played: games.filter((g) => stateOf(g) === "post").length,
+    nextGame:
+      upcoming && upcomingState && !clincher
+        ? { date: upcoming.date || "", live: stateOf(upcoming) === "in", label: seriesStatusLabel(upcomingState) }
+        : null,
+  };
+}
+
+/** Group a league's postseason games into series, and the series into rounds. */
+export function buildBracket(events: Game[], league: string): BracketRound[] {
+  const bySeries = new Map<string, { round: string; games: Game[] }>();
+  const sorted = [...events].sort((a, b) => dateOf(a) - dateOf(b));
+  for (const game of sorted) {
+    const comp = game.competitions?.[0];
+    const wins = seriesWinsOf(game);
+    if (!comp?.series || !wins) continue;
+    // Two teams meet at most once a postseason, so the pair names the series.
+    const id = [...wins.keys()].sort().join("-");
+    const entry = bySeries.get(id);
+    if (entry) entry.games.push(game);
+    else bySeries.set(id, { round: roundName(comp.series.title || ""), games: [game] });
+  }
+
+  // Insertion order follows each series' first game, so rounds and their series come
+  // out in the order they started.
+  const rounds = new Map<string, BracketSeries[]>();
+  for (const [id, { round, games }] of bySeries) {
+    const list = rounds.get(round) ?? [];
+    list.push(buildSeries(league, id, games));
+    rounds.set(round, list);
+  }
+  return [...rounds].map(([name, series]) => ({ name, series }));
+}
@@ -0,0 +1,84 @@
+// Playoffs — renderer for /playoffs: one league's bracket from /api/playoffs/[league],
+// round by round, each series with its standing and next game. `?league=` picks the league.
+
+import { esc, escUrl, initSportsApp } from "../sportsCore";
+import { formatHourMinuteInTz, formatMonthDay, PACIFIC_TZ } from "../dateFormat";
+import { BRACKET_LEAGUES, type BracketRound, type BracketSeries, type BracketTeam } from "./bracket";
+
+const DEFAULT_LEAGUE = "nba";
+
+function selectedLeague(): string {
+  const key = new URLSearchParams(window.location.search).get("league") || "";
+  return BRACKET_LEAGUES.includes(key) ? key : DEFAULT_LEAGUE;
+}
+
+function teamLine(team: BracketTeam, series: BracketSeries): string {
+  const eliminated = series.winner !== null && series.winner !== team.abbr;
+  const logo = escUrl(team.logo);
+  return `
+    <div class="flex items-center justify-between" style="opacity:${eliminated ? 0.4 : 1};">
+      <div class="flex items-center gap-2">
+        <div style="width:3px;height:18px;border-radius:2px;background:${esc(team.color)};"></div>
+        ${logo ? `<img src="${logo}" alt="" width="18" height="18" style="object-fit:contain;" />` : ""}
+        <span class="font-score text-xs font-semibold tracking-wider" style="color:#e4e4e7;">${esc(team.abbr)}</span>
+        <span class="text-xs" style="color:#71717a;">${esc(team.name)}</span>
+      </div>
+      <span class="font-score text-sm font-bold" style="color:${series.winner === team.abbr ? "#a78bfa" : "#e4e4e7"};">${team.wins}</span>
+    </div>
+  `;
+}
+
+function nextGameText(series: BracketSeries): string {
+  const next = series.nextGame;
+  if (!next) return esc(series.summary || (series.completed ? "Series over" : ""));
+  if (next.live) return `<span class="series-live">LIVE</span> · ${esc(next.label)}`;
+  const when = next.date
+    ? `${formatMonthDay(next.date)} · ${formatHourMinuteInTz(next.date, PACIFIC_TZ)} PT`
+    : "TBD";
+  return `${esc(next.label)} · ${esc(when)}`;
+}
+
+function renderSeries(series: BracketSeries): string {
+  return `
+    <div class="series-card px-3 py-2.5">
+      ${teamLine(series.teams[0], series)}
+      <div class="mt-1">${teamLine(series.teams[1], series)}</div>
+      <div class="series-meta mt-2">${nextGameText(series)}</div>
+    </div>
+  `;
+}
+
+function renderNoBracket(): string {
+  return `
+    <div class="hero-card p-8" style="display:flex;align-items:center;justify-content:center;min-height:160px;">
+      <div class="font-score" style="font-size:20px;font-weight:800;letter-spacing:0.12em;text-transform:uppercase;color:#3f3f46;text-align:center;">No Playoffs Right Now</div>
+    </div>
+  `;
+}
+
+function render(rounds: BracketRound[]): void {
+  const content = document.getElementById("content")!;
+  if (rounds.length === 0) {
+    content.innerHTML = renderNoBracket();
+    return;
+  }
+  content.innerHTML = rounds
+    .map(
+      (round) => `
+        <div class="section-header mt-6 mb-3">${esc(round.name)}</div>
+        <div class="space-y-1.5">${round.series.map(renderSeries).join("")}</div>
+      `,
+    )
+    .join("");
+}
+
+/** Initialize Playoffs: mark the league tab, start fetching + auto-refresh. */
+export function init(): void {
+  const league = selectedLeague();
+  document.querySelectorAll<HTMLAnchorElement>("[data-league]").forEach((tab) => {
+    tab.classList.toggle("active", tab.dataset.league === league);
+  });
+  initSportsApp<BracketRound>(`/api/playoffs/${league}`, render, {
+    retryBtnStyle: "background:#111118;color:#a78bfa;border:1px solid #1f1f30;cursor:pointer;",
+  });
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import {
+  ELIMINATION_MULTIPLIER,
+  WINNER_TAKE_ALL_MULTIPLIER,
+  parseSeriesState,
+  seriesStakesMultiplier,
+  seriesStatusLabel,
+  type SeriesGame,
+} from "./series";
+
+function seriesGame({
+  awayWins,
+  homeWins,
+  state = "pre",
+  winner,
+  game,
+  bestOf = 7,
+  type = "playoff",
+}: {
+  awayWins: number;
+  homeWins: number;
+  state?: string;
+  winner?: "away" | "home";
+  game?: number;
+  bestOf?: number;
+  type?: string;
+}): SeriesGame {
+  return {
+    competitions: [
+      {
+        competitors: [
+          { id: "1", homeAway: "home", winner: winner === "home", team: { abbreviation: "okc" } },
+          { id: "2", homeAway: "away", winner: winner === "away", team: { abbreviation: "DEN" } },
+        ],
+        status: { type: { state, completed: state === "post" } },
+        series: {
+          type,
+          title: "West Semifinals",
+          summary: "Series summary",
+          totalCompetitions: bestOf,
+          competitors: [
+            { id: "1", wins: homeWins },
+            { id: "2", wins: awayWins },
+          ],
+        },
+        notes: game ? [{ headline: `West Semifinals - Game ${game}` }] : [],
+      },
+    ],
+  };
+}
+
+describe("parseSeriesState", () => {
+  it("reads the series going into a scheduled game", () => {
+    expect(parseSeriesState(seriesGame({ awayWins: 2, homeWins: 3, game: 6 }))).toMatchObject({
+      title: "West Semifinals",
+      bestOf: 7,
+      gameNumber: 6,
+      awayAbbr: "DEN",
+      homeAbbr: "OKC",
+      awayWins: 2,
+      homeWins: 3,
+      stakes: "elimination",
+    });
+  });
+
+  it("takes a finished game's result back out of the tally", () => {
+    const state = parseSeriesState(seriesGame({ awayWins: 4, homeWins: 3, state: "post", winner: "away" }))!;
+    expect([state.awayWins, state.homeWins]).toEqual([3, 3]);
+    expect(state.gameNumber).toBe(7);
+    expect(state.stakes).toBe("winner-take-all");
+  });
+
+  it("ignores the regular-season head-to-head series", () => {
+    expect(parseSeriesState(seriesGame({ awayWins: 1, homeWins: 1, type: "season" }))).toBeNull();
+    expect(parseSeriesState({ competitions: [{}] })).toBeNull();
+  });
+});
+
+describe("seriesStatusLabel", () => {
+  it("names the game and who leads", () => {
+    expect(seriesStatusLabel(parseSeriesState(seriesGame({ awayWins: 2, homeWins: 3, game: 6 }))!)).toBe(
+      "Game 6 · OKC leads 3-2",
+    );
+    expect(seriesStatusLabel(parseSeriesState(seriesGame({ awayWins: 3, homeWins: 3 }))!)).toBe(
+      "Game 7 · Series tied 3-3",
+    );
+    expect(seriesStatusLabel(parseSeriesState(seriesGame({ awayWins: 0, homeWins: 0 }))!)).toBe("Game 1");
+    expect(seriesStatusLabel(parseSeriesState(seriesGame({ awayWins: 0, homeWins: 0, bestOf: 1 }))!)).toBe(
+      "West Semifinals",
+    );
+  });
+});
+
+describe("seriesStakesMultiplier", () => {
+  it("boosts elimination and winner-take-all games only", () => {
+    expect(seriesStakesMultiplier(seriesGame({ awayWins: 1, homeWins: 1 }))).toBe(1);
+    expect(seriesStakesMultiplier(seriesGame({ awayWins: 3, homeWins: 1 }))).toBe(ELIMINATION_MULTIPLIER);
+    expect(seriesStakesMultiplier(seriesGame({ awayWins: 3, homeWins: 3 }))).toBe(WINNER_TAKE_ALL_MULTIPLIER);
+    // A wild-card series is best of three: 1-1 means one game for everything.
+    expect(seriesStakesMultiplier(seriesGame({ awayWins: 1, homeWins: 1, bestOf: 3 }))).toBe(WINNER_TAKE_ALL_MULTIPLIER);
+    expect(seriesStakesMultiplier({})).toBe(1);
+  });
+});
@@ -0,0 +1,139 @@
+// Playoff series state, parsed from the `series` and `notes` ESPN attaches to postseason
+// competitions: which game of the series this is, where the series stands going into it,
+// and whether someone's season ends tonight.
+
+/** The `series` block on an ESPN postseason competition. */
+export interface EspnSeries {
+  type?: string;
+  title?: string;
+  /** "OKC leads series 3-2" — as of now, so it already counts a finished game. */
+  summary?: string;
+  completed?: boolean;
+  totalCompetitions?: number;
+  competitors?: Array<{ id?: string; wins?: number }>;
+}
+
+/** Just the fields series parsing reads; both sportsCore's `Game` and `ESPNEvent` fit. */
+export interface SeriesGame {
+  competitions?: Array<{
+    competitors?: Array<{ id?: string; homeAway?: string; winner?: boolean; team?: { abbreviation?: string } }>;
+    status?: { type?: { state?: string; completed?: boolean } };
+    series?: EspnSeries;
+    notes?: Array<{ headline?: string }>;
+  }>;
+}
+
+/** How much is riding on a game: a clinching chance for one side, or for both. */
+export type SeriesStakes = "none" | "elimination" | "winner-take-all";
+
+export interface SeriesState {
+  /** Round name, e.g. "West Finals" or "ALCS". */
+  title: string;
+  bestOf: number;
+  gameNumber: number;
+  awayAbbr: string;
+  homeAbbr: string;
+  /** Series wins going into this game, so a final's label never spoils it. */
+  awayWins: number;
+  homeWins: number;
+  /** ESPN's summary as of now — for a final, including this game's result. */
+  summary: string;
+  stakes: SeriesStakes;
+}
+
+const DEFAULT_BEST_OF = 7;
+/** A team can be eliminated tonight: Game 5 at 3-1, Game 6 at 3-2. */
+export const ELIMINATION_MULTIPLIER = 1.25;
+/** Both teams one win from moving on: Game 7, or a one-game playoff. */
+export const WINNER_TAKE_ALL_MULTIPLIER = 1.5;
+
+export function winsToClinch(bestOf: number): number {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+/** Series wins per team abbreviation as ESPN reports them now, or null without series data. */
+export function seriesWinsOf(game: SeriesGame): Map<string, number> | null {
+  const comp = game.competitions?.[0];
+  const series = comp?.series;
+  // Regular-season games carry a "season" series (the head-to-head tally); not a playoff.
+  if (!comp || !series?.competitors || series.type === "season") return null;
+  const out = new Map<string, number>();
+  for (const c of comp.competitors || []) {
+    const abbr = (c.team?.abbreviation || "").toUpperCase();
+    const entry = series.competitors.find((s) => s.id !== undefined && s.id === c.id);
+    if (abbr && entry) out.set(abbr, entry.wins ?? 0);
+  }
+  return out.size === 2 ? out : null;
+}
+
+function gameNumberFrom(notes: Array<{ headline?: string }> | undefined): number | null {
+  for (const note of notes || []) {
+    const m = /\bGame (\d+)\b/i.exec(note.headline || "");
+    if (m) return parseInt(m[1], 10);
+  }
+  return null;
+}
+
+function stakesFor(awayWins: number, homeWins: number, bestOf: number): SeriesStakes {
+  const oneAway = winsToClinch(bestOf) - 1;
+  if (awayWins === oneAway && homeWins === oneAway) return "winner-take-all";
+  if (awayWins === oneAway || homeWins === oneAway) return "elimination";
+  return "none";
+}
+
+/** Where a playoff series stands going into `game`, or null for games outside a series. */
+export function parseSeriesState(game: SeriesGame): SeriesState | null {
+  const comp = game.competitions?.[0];
+  const wins = seriesWinsOf(game);
+  if (!comp?.series || !wins) return null;
+
+  const away = comp.competitors?.find((c) => c.homeAway === "away");
+  const home = comp.competitors?.find((c) => c.homeAway === "home");
+  const awayAbbr = (away?.team?.abbreviation || "").toUpperCase();
+  const homeAbbr = (home?.team?.abbreviation || "").toUpperCase();
+  if (!awayAbbr || !homeAbbr) return null;
+
+  let awayWins = wins.get(awayAbbr) ?? 0;
+  let homeWins = wins.get(homeAbbr) ?? 0;
+  const type = comp.status?.type;
+  if (type?.completed || type?.state === "post") {
+    // ESPN's tally already counts a finished game; take it back out.
+    if (away?.winner) awayWins = Math.max(0, awayWins - 1);
+    if (home?.winner) homeWins = Math.max(0, homeWins - 1);
+  }
+
+  const bestOf = comp.series.totalCompetitions || DEFAULT_BEST_OF;
+  return {
+    title: comp.series.title || "Playoffs",
+    bestOf,
+    gameNumber: gameNumberFrom(comp.notes) ?? awayWins + homeWins + 1,
+    awayAbbr,
+    homeAbbr,
+    awayWins,
+    homeWins,
+    summary: comp.series.summary || "",
+    stakes: stakesFor(awayWins, homeWins, bestOf),
+  };
+}
+
+/** "Game 6 · OKC leads 3-2", "Game 7 · Series tied 3-3" — the state going in. */
+export function seriesStatusLabel(state: SeriesState): string {
+  const { awayWins, homeWins } = state;
+  if (state.bestOf === 1) return state.title;
+  if (awayWins + homeWins === 0) return `Game ${state.gameNumber}`;
+  const standing =
+    awayWins === homeWins
+      ? `Series tied ${awayWins}-${homeWins}`
+      : awayWins > homeWins
+        ? `${state.awayAbbr} leads ${awayWins}-${homeWins}`
+        : `${state.homeAbbr} leads ${homeWins}-${awayWins}`;
+  return `Game ${state.gameNumber} · ${standing}`;
+}
+
+/** Watch-score multiplier for what's riding on the game; 1 outside a series. */
+export function seriesStakesMultiplier(game: SeriesGame): number {
+  const stakes = parseSeriesState(game)?.stakes;
+  if (stakes === "winner-take-all") return WINNER_TAKE_ALL_MULTIPLIER;
+  if (stakes === "elimination") return ELIMINATION_MULTIPLIER;
+  return 1;
+}
@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import {
+  CLOSE_GAME_PCT,
+  MAX_SENT_ALERT_KEYS,
+  appendSentAlerts,
+  bigInningAlert,
+  liveGameAlerts,
+  normalizePushSignup,
+  unsentAlerts,
+} from "./alerts";
+import { DEFAULT_WATCH_SERVICES } from "../watchProfile/services";
+import { espnGame } from "../testing/espnGame";
+
+function game({ id = "401", away = "CHC", home = "SF", period = 7, state = "in", detail = "Bot 7th" } = {}): Game {
+  return espnGame({ id, state, period, detail, teams: [away, home], scores: ["3", "3"] });
+}
+
+describe("liveGameAlerts", () => {
+  it("alerts a tracked team's game once it's a must-watch", () => {
+    const [alert] = liveGameAlerts("baseball/mlb", game(), CLOSE_GAME_PCT, ["mlb-giants"]);
+    expect(alert).toEqual({
+      key: "401:close",
+      title: "Giants game is a must-watch",
+      body: "CHC 3 @ SF 3 · Bot 7th",
+      url: "https://tv.youtube.com/",
+    });
+    expect(liveGameAlerts("baseball/mlb", game(), CLOSE_GAME_PCT - 1, ["mlb-giants"])).toEqual([]);
+  });
+
+  it("calls extra innings and overtime by sport", () => {
+    const extras = liveGameAlerts("baseball/mlb", game({ home: "STL", period: 10, detail: "Top 10th" }), 0, ["mlb-cubs"]);
+    expect(extras.map((a) => [a.key, a.title, a.url])).toEqual([
+      ["401:ot", "Extra innings: Cubs", "https://www.mlb.com/tv"],
+    ]);
+    const ot = liveGameAlerts("hockey/nhl", game({ away: "SJ", home: "VGK", period: 4, detail: "OT" }), 0, ["nhl-sharks"]);
+    expect(ot.map((a) => a.title)).toEqual(["Overtime: Sharks"]);
+    expect(liveGameAlerts("hockey/nhl", game({ away: "SJ", home: "VGK", period: 3 }), 0, ["nhl-sharks"])).toEqual([]);
+  });
+
+  it("opens the game on the subscriber's own services", () => {
+    const services = { services: ["mlb-tv" as const], homeMarket: "new-york" };
+    const [alert] = liveGameAlerts("baseball/mlb", game(), CLOSE_GAME_PCT, ["mlb-giants"], services);
+    expect(alert.url).toBe("https://www.mlb.com/tv");
+  });
+
+  it("ignores untracked teams, other leagues and games that aren't live", () => {
+    expect(liveGameAlerts("baseball/mlb", game({ period: 10 }), 90, ["mlb-yankees"])).toEqual([]);
+    expect(liveGameAlerts("basketball/wnba", game({ period: 10 }), 90, ["mlb-giants"])).toEqual([]);
+    expect(liveGameAlerts("baseball/mlb", game({ period: 10, state: "post" }), 90, ["mlb-giants"])).toEqual([]);
+  });
+});
+
+describe("bigInningAlert", () => {
+  it("keys on the window start and says when it ends in Pacific time", () => {
+    const alert = bigInningAlert({ start: "2026-05-20T23:00:00.000Z", end: "2026-05-21T05:00:00.000Z" });
+    expect(alert.key).toBe("big-inning:2026-05-20T23:00:00.000Z");
+    expect(alert.body).toBe("Live look-ins across the league until 10:00 PM PT.");
+  });
+});
+
+describe("sent alerts", () => {
+  const close = { key: "401:close", title: "", body: "", url: "" };
+  const ot = { key: "401:ot", title: "", body: "", url: "" };
+
+  it("sends each alert key once", () => {
+    expect(unsentAlerts([close, ot, close], ["401:close"])).toEqual([ot]);
+  });
+
+  it("keeps the newest keys", () => {
+    const sent = Array.from({ length: MAX_SENT_ALERT_KEYS }, (_, i) => `${i}:close`);
+    const next = appendSentAlerts(sent, ["401:ot"]);
+    expect(next).toHaveLength(MAX_SENT_ALERT_KEYS);
+    expect(next.at(-1)).toBe("401:ot");
+    expect(next[0]).toBe("1:close");
+  });
+});
+
+describe("normalizePushSignup", () => {
+  const keys = { p256dh: "B".repeat(87), auth: "a".repeat(22) };
+
+  it("keeps known teams and the Big Inning choice", () => {
+    const signup = normalizePushSignup({
+      subscription: { endpoint: "https://fcm.googleapis.com/fcm/send/x", keys },
+      teams: ["mlb-giants", "nope", "mlb-giants"],
+      bigInning: true,
+    });
+    expect(signup).toEqual({
+      subscription: { endpoint: "https://fcm.googleapis.com/fcm/send/x", keys },
+      teams: ["mlb-giants"],
+      bigInning: true,
+      ...DEFAULT_WATCH_SERVICES,
+    });
+  });
+
+  it("only accepts the local stand-in's http endpoint when asked to", () => {
+    const local = { subscription: { endpoint: "http://localhost:8790/push/abc", keys }, teams: [] };
+    expect(normalizePushSignup(local)).toBeNull();
+    expect(normalizePushSignup(local, true)?.subscription.endpoint).toBe("http://localhost:8790/push/abc");
+    expect(normalizePushSignup({ ...local, subscription: { endpoint: "http://example.com/push", keys } }, true)).toBeNull();
+  });
+
+  it("rejects malformed keys", () => {
+    expect(
+      normalizePushSignup({ subscription: { endpoint: "https://push.example/x", keys: { p256dh: "short", auth: keys.auth } } }),
+    ).toBeNull();
+  });
+});
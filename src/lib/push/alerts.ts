@@ -0,0 +1,175 @@
+// Live alerts: which moments are worth buzzing a phone for. A tracked team's game turning
+// into a must-watch, a game going past regulation, and a Big Inning window opening. Each
+// alert has a stable key so a subscriber hears about a moment once, however many cron
+// ticks it lasts.
+
+import type { BigInningWindow } from "../bigInning";
+import { PACIFIC_TZ } from "../dateFormat";
+import { getAwayHome, type Game } from "../sportsCore";
+import { TEAM_REGISTRY } from "../teamRegistry";
+import { DEFAULT_WATCH_SERVICES, normalizeWatchServices, type WatchServices } from "../watchProfile/services";
+import { watchRecordingUrl } from "../wtwtwSports";
+import type { WebPushSubscription } from "./webPush";
+
+export interface PushAlert {
+  /** Dedupe key — `${gameId}:close`, `${gameId}:ot` or `big-inning:${start}`. */
+  key: string;
+  title: string;
+  body: string;
+  /** Where tapping the notification goes: the live stream, routed like WTWTW's watch links. */
+  url: string;
+}
+
+/** What a device signed up for, as stored alongside its push subscription. */
+export interface PushSignup extends WatchServices {
+  subscription: WebPushSubscription;
+  /** TeamEntry keys whose games alert. */
+  teams: string[];
+  bigInning: boolean;
+}
+
+/** Watch-score percentage (see `scoreToPercent`) where a game becomes worth switching to. */
+export const CLOSE_GAME_PCT = 70;
+/** Sent keys kept per subscriber; a night's alerts fit comfortably. */
+export const MAX_SENT_ALERT_KEYS = 100;
+export const MAX_ALERT_TEAMS = 10;
+
+const MLB_TV_URL = "https://www.mlb.com/tv";
+const MAX_ENDPOINT_LENGTH = 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_-]{16,200}$/;
+
+// Periods in a regulation game; anything past this is overtime (or extra innings).
+const REGULATION_PERIODS: Record<string, number> = {
+  basketball: 4,
+  football: 4,
+  baseball: 9,
+  hockey: 3,
+  soccer: 2,
+};
+
+function trackedTeamsIn(league: string, game: Game, teamKeys: string[]) {
+  const abbrs = new Set(
+    (game.competitions?.[0]?.competitors || []).map((c) => (c.team?.abbreviation || "").toUpperCase()),
+  );
+  return teamKeys
+    .map((k) => TEAM_REGISTRY[k])
+    .filter((t) => t && t.league === league && abbrs.has(t.abbreviation.toUpperCase()));
+}
+
+/** True once the game has gone past its sport's regulation periods. */
+export function isPastRegulation(league: string, game: Game): boolean {
+  const regulation = REGULATION_PERIODS[league.split("/")[0]];
+  const period = game.competitions?.[0]?.status?.period || 0;
+  return regulation !== undefined && period > regulation;
+}
+
+/**
+ * Alerts one live game earns for a subscriber following `teamKeys`: a must-watch
+ * watch score and going to overtime. Games without a tracked team earn none. The tap
+ * goes wherever the subscriber's own `services` can show the game.
+ */
+export function liveGameAlerts(
+  league: string,
+  game: Game,
+  pct: number,
+  teamKeys: string[],
+  services: WatchServices = DEFAULT_WATCH_SERVICES,
+): PushAlert[] {
+  const comp = game.competitions?.[0];
+  if (!game.id || comp?.status?.type?.state !== "in" || (comp.competitors || []).length < 2) return [];
+  const tracked = trackedTeamsIn(league, game, teamKeys);
+  if (tracked.length === 0) return [];
+
+  const { away, home } = getAwayHome(comp.competitors!);
+  const matchup = `${away.team?.abbreviation || "Away"} ${away.score ?? 0} @ ${home.team?.abbreviation || "Home"} ${home.score ?? 0}`;
+  const detail = comp.status?.type?.shortDetail || "";
+  const url = watchRecordingUrl({
+    league,
+    awayAbbr: away.team?.abbreviation,
+    homeAbbr: home.team?.abbreviation,
+    isLive: true,
+    broadcasts: (comp.geoBroadcasts || []).map((b) => b.media?.shortName || "").filter(Boolean),
+    services,
+  }).href;
+  const body = detail ? `${matchup} · ${detail}` : matchup;
+
+  const alerts: PushAlert[] = [];
+  if (pct >= CLOSE_GAME_PCT) {
+    alerts.push({ key: `${game.id}:close`, title: `${tracked[0].label} game is a must-watch`, body, url });
+  }
+  if (isPastRegulation(league, game)) {
+    const what = league.startsWith("baseball/") ? "Extra innings" : "Overtime";
+    alerts.push({ key: `${game.id}:ot`, title: `${what}: ${tracked[0].label}`, body, url });
+  }
+  return alerts;
+}
+
+export function bigInningAlert(w: BigInningWindow): PushAlert {
+  const end = new Date(w.end).toLocaleTimeString("en-US", {
+    hour: "numeric",
+    minute: "2-digit",
+    timeZone: PACIFIC_TZ,
+  });
+  return {
+    key: `big-inning:${w.start}`,
+    title: "MLB Big Inning is on",
+    body: `Live look-ins across the league until ${end} PT.`,
+    url: MLB_TV_URL,
+  };
+}
+
+/** Alerts not already sent, each once even if two rules produced the same key. */
+export function unsentAlerts(alerts: PushAlert[], sent: string[]): PushAlert[] {
+  const seen = new Set(sent);
+  return alerts.filter((a) => {
+    if (seen.has(a.key)) return false;
+    seen.add(a.key);
+    return true;
+  });
+}
+
+/** Sent keys after delivering `keys`, newest last, capped at {@link MAX_SENT_ALERT_KEYS}. */
+export function appendSentAlerts(sent: string[], keys: string[]): string[] {
+  return [...sent.filter((k) => !keys.includes(k)), ...keys].slice(-MAX_SENT_ALERT_KEYS);
+}
+
+function isPushEndpoint(endpoint: string, allowLocal: boolean): boolean {
+  try {
+    const url = new URL(endpoint);
+    if (url.protocol === "https:") return true;
+    // The local push stand-in (scripts/push-stand-in.mjs) listens on plain http.
+    return allowLocal && url.protocol === "http:" && url.hostname === "localhost";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate an untrusted signup body: `{ subscription: PushSubscription.toJSON(), teams,
+ * bigInning, services, homeMarket }`. Unknown teams are dropped; a bad subscription
+ * rejects the whole thing.
+ */
+export function normalizePushSignup(input: unknown, allowLocal = false): PushSignup | null {
+  if (!input || typeof input !== "object") return null;
+  const record = input as Record<string, unknown>;
+  const sub = record.subscription as { endpoint?: unknown; keys?: { p256dh?: unknown; auth?: unknown } } | undefined;
+  const endpoint = sub?.endpoint;
+  const p256dh = sub?.keys?.p256dh;
+  const auth = sub?.keys?.auth;
+  if (typeof endpoint !== "string" || endpoint.length > MAX_ENDPOINT_LENGTH) return null;
+  if (!isPushEndpoint(endpoint, allowLocal)) return null;
+  if (typeof p256dh !== "string" || typeof auth !== "string") return null;
+  if (!KEY_PATTERN.test(p256dh) || !KEY_PATTERN.test(auth)) return null;
+
+  const teams = Array.isArray(record.teams)
+    ? Array.from(
+        new Set(record.teams.filter((k): k is string => typeof k === "string" && TEAM_REGISTRY[k] !== undefined)),
+      ).slice(0, MAX_ALERT_TEAMS)
+    : [];
+  return {
+    subscription: { endpoint, keys: { p256dh, auth } },
+    teams,
+    bigInning: record.bigInning === true,
+    ...normalizeWatchServices(record),
+  };
+}
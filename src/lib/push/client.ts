@@ -0,0 +1,113 @@
+// Browser side of WTWTW's live alerts: registers /push-sw.js, subscribes through the
+// browser's push service with this server's VAPID key, and keeps the server's copy of
+// what this device follows current. The alert settings live in localStorage so the
+// settings panel can render them without waiting on the service worker.
+
+import { safeGet, safeRemove, safeSet } from "../localStorage";
+import { readWatchServices } from "../watchProfile/client";
+import { base64UrlDecode } from "./webPush";
+
+const ALERTS_LS_KEY = "wtwtw:alerts:v1";
+const SW_URL = "/push-sw.js";
+const ENDPOINT = "/api/push/subscription";
+
+export interface LiveAlertSettings {
+  bigInning: boolean;
+}
+
+export function pushSupported(): boolean {
+  return (
+    typeof window !== "undefined" &&
+    "serviceWorker" in navigator &&
+    "PushManager" in window &&
+    "Notification" in window
+  );
+}
+
+/** This device's alert settings, or null when alerts are off here. */
+export function readLiveAlertSettings(): LiveAlertSettings | null {
+  const stored = safeGet<{ bigInning?: unknown }>(ALERTS_LS_KEY);
+  return stored ? { bigInning: stored.bigInning === true } : null;
+}
+
+async function currentSubscription(): Promise<PushSubscription | null> {
+  const registration = await navigator.serviceWorker.getRegistration(SW_URL);
+  return (await registration?.pushManager.getSubscription()) ?? null;
+}
+
+async function saveSignup(subscription: PushSubscription, teams: string[], bigInning: boolean): Promise<true | string> {
+  const res = await fetch(ENDPOINT, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    // Alert taps open the stream the way this device's watch links do.
+    body: JSON.stringify({ subscription: subscription.toJSON(), teams, bigInning, ...readWatchServices() }),
+  });
+  if (!res.ok) return res.status === 503 ? "Live alerts aren't set up on this server." : "Couldn't save alerts.";
+  return true;
+}
+
+/**
+ * Ask for notification permission, subscribe, and sign this device up for `teams`.
+ * Returns true, or a message saying why alerts couldn't be turned on.
+ */
+export async function enableLiveAlerts(teams: string[], bigInning: boolean): Promise<true | string> {
+  if (!pushSupported()) return "This browser can't receive push notifications.";
+  try {
+    const keyRes = await fetch(ENDPOINT);
+    if (!keyRes.ok) return "Live alerts aren't set up on this server.";
+    const { publicKey } = (await keyRes.json()) as { publicKey: string };
+
+    if ((await Notification.requestPermission()) !== "granted") {
+      return "Notifications are blocked for this site.";
+    }
+    const registration = await navigator.serviceWorker.register(SW_URL);
+    await navigator.serviceWorker.ready;
+    const subscription =
+      (await registration.pushManager.getSubscription()) ??
+      (await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: base64UrlDecode(publicKey),
+      }));
+
+    const saved = await saveSignup(subscription, teams, bigInning);
+    if (saved === true) safeSet(ALERTS_LS_KEY, { bigInning });
+    return saved;
+  } catch {
+    return "Couldn't turn on alerts.";
+  }
+}
+
+/** Re-send what this device follows after the teams, services or Big Inning setting change. */
+export async function updateLiveAlerts(teams: string[]): Promise<void> {
+  const settings = readLiveAlertSettings();
+  if (!settings || !pushSupported()) return;
+  try {
+    const subscription = await currentSubscription();
+    if (subscription) await saveSignup(subscription, teams, settings.bigInning);
+  } catch {
+    // Offline: the next change carries this one along.
+  }
+}
+
+export async function setBigInningAlerts(teams: string[], bigInning: boolean): Promise<void> {
+  if (!readLiveAlertSettings()) return;
+  safeSet(ALERTS_LS_KEY, { bigInning });
+  await updateLiveAlerts(teams);
+}
+
+export async function disableLiveAlerts(): Promise<void> {
+  safeRemove(ALERTS_LS_KEY);
+  if (!pushSupported()) return;
+  try {
+    const subscription = await currentSubscription();
+    if (!subscription) return;
+    await fetch(ENDPOINT, {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ endpoint: subscription.endpoint }),
+    });
+    await subscription.unsubscribe();
+  } catch {
+    // The check route drops the subscription once the push service reports it gone.
+  }
+}
@@ -0,0 +1,22 @@
+import { neon, type NeonQueryFunction } from "@neondatabase/serverless";
+
+let sqlClient: NeonQueryFunction<false, false> | null = null;
+
+function databaseUrl(): string | undefined {
+  return import.meta.env.PUSH_DATABASE_URL ??
+    process.env.PUSH_DATABASE_URL ??
+    process.env.POSTGRES_URL ??
+    process.env.DATABASE_URL;
+}
+
+export function hasPushDatabase(): boolean {
+  return Boolean(databaseUrl());
+}
+
+export function getPushSql(): NeonQueryFunction<false, false> {
+  if (sqlClient) return sqlClient;
+  const url = databaseUrl();
+  if (!url) throw new Error("PUSH_DATABASE_URL is not configured.");
+  sqlClient = neon(url);
+  return sqlClient;
+}
@@ -0,0 +1,109 @@
+import { normalizeWatchServices } from "../watchProfile/services";
+import { getPushSql } from "./db";
+import type { PushSignup } from "./alerts";
+
+export interface StoredPushSignup extends PushSignup {
+  /** Alert keys already delivered to this device, oldest first. */
+  sentAlerts: string[];
+}
+
+interface SubscriptionRow {
+  endpoint: string;
+  p256dh: string;
+  auth: string;
+  teams: unknown;
+  big_inning: boolean;
+  services: unknown;
+  home_market: string | null;
+  sent_alerts: unknown;
+}
+
+function stringList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === "string") : [];
+}
+
+let tableReady: Promise<unknown> | null = null;
+
+function ensureSubscriptionTable(): Promise<unknown> {
+  const sql = getPushSql();
+  tableReady ??= sql`
+    CREATE TABLE IF NOT EXISTS push_subscriptions (
+      endpoint text PRIMARY KEY,
+      p256dh text NOT NULL,
+      auth text NOT NULL,
+      teams jsonb NOT NULL DEFAULT '[]'::jsonb,
+      big_inning boolean NOT NULL DEFAULT false,
+      services jsonb,
+      home_market text,
+      sent_alerts jsonb NOT NULL DEFAULT '[]'::jsonb,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      updated_at timestamptz NOT NULL DEFAULT now()
+    )
+  `
+    // Signups from before alerts followed "my services".
+    .then(() => sql`ALTER TABLE push_subscriptions ADD COLUMN IF NOT EXISTS services jsonb`)
+    .then(() => sql`ALTER TABLE push_subscriptions ADD COLUMN IF NOT EXISTS home_market text`)
+    .catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  return tableReady;
+}
+
+/** Sign a device up, or change what an existing signup follows. Sent history is kept. */
+export async function upsertPushSignup(signup: PushSignup): Promise<void> {
+  await ensureSubscriptionTable();
+  const sql = getPushSql();
+  const { endpoint, keys } = signup.subscription;
+  await sql`
+    INSERT INTO push_subscriptions (endpoint, p256dh, auth, teams, big_inning, services, home_market)
+    VALUES (
+      ${endpoint},
+      ${keys.p256dh},
+      ${keys.auth},
+      ${JSON.stringify(signup.teams)}::jsonb,
+      ${signup.bigInning},
+      ${JSON.stringify(signup.services)}::jsonb,
+      ${signup.homeMarket}
+    )
+    ON CONFLICT (endpoint) DO UPDATE SET
+      p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      teams = EXCLUDED.teams,
+      big_inning = EXCLUDED.big_inning,
+      services = EXCLUDED.services,
+      home_market = EXCLUDED.home_market,
+      updated_at = now()
+  `;
+}
+
+export async function deletePushSignup(endpoint: string): Promise<void> {
+  await ensureSubscriptionTable();
+  const sql = getPushSql();
+  await sql`DELETE FROM push_subscriptions WHERE endpoint = ${endpoint}`;
+}
+
+export async function listPushSignups(): Promise<StoredPushSignup[]> {
+  await ensureSubscriptionTable();
+  const sql = getPushSql();
+  const rows = (await sql`
+    SELECT endpoint, p256dh, auth, teams, big_inning, services, home_market, sent_alerts
+    FROM push_subscriptions
+  `) as SubscriptionRow[];
+  return rows.map((row) => ({
+    subscription: { endpoint: row.endpoint, keys: { p256dh: row.p256dh, auth: row.auth } },
+    teams: stringList(row.teams),
+    bigInning: row.big_inning === true,
+    ...normalizeWatchServices({ services: row.services, homeMarket: row.home_market }),
+    sentAlerts: stringList(row.sent_alerts),
+  }));
+}
+
+export async function recordSentAlerts(endpoint: string, sentAlerts: string[]): Promise<void> {
+  const sql = getPushSql();
+  await sql`
+    UPDATE push_subscriptions
+    SET sent_alerts = ${JSON.stringify(sentAlerts)}::jsonb
+    WHERE endpoint = ${endpoint}
+  `;
+}
@@ -0,0 +1,10 @@
+import type { VapidKeys } from "./webPush";
+
+/** This server's VAPID identity (`npm run push:keys` makes one), or null when alerts are off. */
+export function getVapidKeys(): VapidKeys | null {
+  const publicKey = import.meta.env.VAPID_PUBLIC_KEY ?? process.env.VAPID_PUBLIC_KEY;
+  const privateKey = import.meta.env.VAPID_PRIVATE_KEY ?? process.env.VAPID_PRIVATE_KEY;
+  if (!publicKey || !privateKey) return null;
+  const subject = import.meta.env.VAPID_SUBJECT ?? process.env.VAPID_SUBJECT;
+  return { publicKey, privateKey, subject: subject || "mailto:alerts@stanwood.dev" };
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it } from "vitest";
+import { base64UrlDecode, base64UrlEncode, encryptPayload, vapidAuthorization } from "./webPush";
+
+const ECDH = { name: "ECDH", namedCurve: "P-256" } as const;
+
+async function hmac(key: Uint8Array<ArrayBuffer>, data: Uint8Array<ArrayBuffer>) {
+  const k = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", k, data));
+}
+
+const bytes = (...parts: Array<Uint8Array | number[] | string>) =>
+  new Uint8Array(
+    parts.flatMap((p) => (typeof p === "string" ? [...new TextEncoder().encode(p)] : [...p])),
+  );
+
+/** What the browser does on receipt (RFC 8291 §3.4), written independently of the sender. */
+async function decryptAsBrowser(
+  body: Uint8Array<ArrayBuffer>,
+  ua: { privateKey: CryptoKey; publicKey: Uint8Array<ArrayBuffer> },
+  auth: Uint8Array<ArrayBuffer>,
+) {
+  const salt = body.slice(0, 16);
+  const recordSize = new DataView(body.buffer).getUint32(16);
+  const senderPublic = body.slice(21, 21 + body[20]);
+  const senderKey = await crypto.subtle.importKey("raw", senderPublic, ECDH, false, []);
+  const secret = new Uint8Array(await crypto.subtle.deriveBits({ name: "ECDH", public: senderKey }, ua.privateKey, 256));
+  const ikm = await hmac(await hmac(auth, secret), bytes("WebPush: info\0", ua.publicKey, senderPublic, [1]));
+  const prk = await hmac(salt, ikm);
+  const cek = (await hmac(prk, bytes("Content-Encoding: aes128gcm\0", [1]))).slice(0, 16);
+  const nonce = (await hmac(prk, bytes("Content-Encoding: nonce\0", [1]))).slice(0, 12);
+  const key = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["decrypt"]);
+  const plain = new Uint8Array(
+    await crypto.subtle.decrypt({ name: "AES-GCM", iv: nonce }, key, body.slice(21 + body[20])),
+  );
+  return { recordSize, delimiter: plain.at(-1), text: new TextDecoder().decode(plain.slice(0, -1)) };
+}
+
+describe("base64url", () => {
+  it("round-trips without padding or URL-unsafe characters", () => {
+    const raw = new Uint8Array([251, 255, 191, 0, 1]);
+    const encoded = base64UrlEncode(raw);
+    expect(encoded).toBe("-_-_AAE");
+    expect([...base64UrlDecode(encoded)]).toEqual([...raw]);
+  });
+});
+
+describe("encryptPayload", () => {
+  it("produces a single aes128gcm record the subscriber can decrypt", async () => {
+    const pair = (await crypto.subtle.generateKey(ECDH, true, ["deriveBits"])) as CryptoKeyPair;
+    const publicKey = new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey));
+    const auth = crypto.getRandomValues(new Uint8Array(16));
+    const payload = JSON.stringify({ title: "Overtime: Warriors", body: "GS 110 @ LAL 110 · OT 4:12" });
+
+    const body = await encryptPayload({ p256dh: base64UrlEncode(publicKey), auth: base64UrlEncode(auth) }, payload);
+    expect(body[20]).toBe(65);
+
+    const decrypted = await decryptAsBrowser(body, { privateKey: pair.privateKey, publicKey }, auth);
+    expect(decrypted).toEqual({ recordSize: 4096, delimiter: 2, text: payload });
+  });
+});
+
+describe("vapidAuthorization", () => {
+  it("signs an ES256 JWT for the push service's origin", async () => {
+    const pair = (await crypto.subtle.generateKey({ name: "ECDSA", namedCurve: "P-256" }, true, [
+      "sign",
+      "verify",
+    ])) as CryptoKeyPair;
+    const publicKey = base64UrlEncode(new Uint8Array(await crypto.subtle.exportKey("raw", pair.publicKey)));
+    const { d } = await crypto.subtle.exportKey("jwk", pair.privateKey);
+    const now = Date.UTC(2026, 9, 19, 3, 0);
+
+    const header = await vapidAuthorization(
+      "https://fcm.googleapis.com/fcm/send/abc123",
+      { publicKey, privateKey: d!, subject: "mailto:test@example.com" },
+      now,
+    );
+    const match = /^vapid t=([^.]+)\.([^.]+)\.([^,]+), k=(.+)$/.exec(header);
+    expect(match).not.toBeNull();
+    const [, h, c, sig, k] = match!;
+    expect(k).toBe(publicKey);
+    expect(JSON.parse(new TextDecoder().decode(base64UrlDecode(c)))).toEqual({
+      aud: "https://fcm.googleapis.com",
+      exp: now / 1000 + 12 * 60 * 60,
+      sub: "mailto:test@example.com",
+    });
+    const valid = await crypto.subtle.verify(
+      { name: "ECDSA", hash: "SHA-256" },
+      pair.publicKey,
+      base64UrlDecode(sig),
+      new TextEncoder().encode(`${h}.${c}`),
+    );
+    expect(valid).toBe(true);
+  });
+});
@@ -0,0 +1,171 @@
+// Web Push sender: VAPID auth (RFC 8292) and aes128gcm payload encryption (RFC 8291)
+// on WebCrypto, so the cron route can reach browser push services without a push
+// library. Keys travel base64url-encoded, the way PushSubscription.toJSON() gives them.
+
+import { fetchWithTimeout } from "../apiHelpers";
+
+export interface PushSubscriptionKeys {
+  /** The browser's P-256 public key, uncompressed (65 bytes). */
+  p256dh: string;
+  /** 16-byte auth secret. */
+  auth: string;
+}
+
+export interface WebPushSubscription {
+  endpoint: string;
+  keys: PushSubscriptionKeys;
+}
+
+export interface VapidKeys {
+  /** Uncompressed P-256 public key — also what the browser subscribes with. */
+  publicKey: string;
+  /** The private scalar `d`. */
+  privateKey: string;
+  /** `mailto:` or https contact the push service can reach about abuse. */
+  subject: string;
+}
+
+/** "sent", or "gone" when the push service says the subscription no longer exists. */
+export type PushResult = "sent" | "gone" | "failed";
+
+const RECORD_SIZE = 4096;
+const VAPID_TTL_SECONDS = 12 * 60 * 60;
+const PUSH_TIMEOUT_MS = 10_000;
+const ONE = new Uint8Array([1]);
+// Single-record payload: plaintext is followed by this delimiter and no padding.
+const LAST_RECORD = new Uint8Array([2]);
+
+export function base64UrlEncode(bytes: Uint8Array): string {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function base64UrlDecode(text: string): Uint8Array<ArrayBuffer> {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/") + "===".slice((text.length + 3) % 4);
+  const binary = atob(base64);
+  const out = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) out[i] = binary.charCodeAt(i);
+  return out;
+}
+
+function utf8(text: string): Uint8Array<ArrayBuffer> {
+  return new Uint8Array(new TextEncoder().encode(text));
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array<ArrayBuffer> {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+async function hmac(key: Uint8Array<ArrayBuffer>, data: Uint8Array<ArrayBuffer>): Promise<Uint8Array<ArrayBuffer>> {
+  const k = await crypto.subtle.importKey("raw", key, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return new Uint8Array(await crypto.subtle.sign("HMAC", k, data));
+}
+
+/**
+ * Encrypt `payload` for one subscription as a single aes128gcm record:
+ * salt ‖ record size ‖ key id length ‖ sender public key ‖ ciphertext.
+ */
+export async function encryptPayload(
+  keys: PushSubscriptionKeys,
+  payload: string,
+  salt: Uint8Array<ArrayBuffer> = crypto.getRandomValues(new Uint8Array(16)),
+): Promise<Uint8Array<ArrayBuffer>> {
+  const uaPublic = base64UrlDecode(keys.p256dh);
+  const authSecret = base64UrlDecode(keys.auth);
+
+  const sender = (await crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, true, [
+    "deriveBits",
+  ])) as CryptoKeyPair;
+  const asPublic = new Uint8Array(await crypto.subtle.exportKey("raw", sender.publicKey));
+  const uaKey = await crypto.subtle.importKey("raw", uaPublic, { name: "ECDH", namedCurve: "P-256" }, false, []);
+  const ecdhSecret = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: "ECDH", public: uaKey }, sender.privateKey, 256),
+  );
+
+  // HKDF by hand: every output here fits in one SHA-256 block.
+  const prkKey = await hmac(authSecret, ecdhSecret);
+  const ikm = await hmac(prkKey, concat(utf8("WebPush: info\0"), uaPublic, asPublic, ONE));
+  const prk = await hmac(salt, ikm);
+  const cek = (await hmac(prk, concat(utf8("Content-Encoding: aes128gcm\0"), ONE))).slice(0, 16);
+  const nonce = (await hmac(prk, concat(utf8("Content-Encoding: nonce\0"), ONE))).slice(0, 12);
+
+  const aesKey = await crypto.subtle.importKey("raw", cek, "AES-GCM", false, ["encrypt"]);
+  const ciphertext = new Uint8Array(
+    await crypto.subtle.encrypt({ name: "AES-GCM", iv: nonce }, aesKey, concat(utf8(payload), LAST_RECORD)),
+  );
+
+  const recordSize = new Uint8Array(4);
+  new DataView(recordSize.buffer).setUint32(0, RECORD_SIZE);
+  return concat(salt, recordSize, new Uint8Array([asPublic.length]), asPublic, ciphertext);
+}
+
+/** `vapid t=<ES256 JWT>, k=<public key>` for a push to `endpoint`. */
+export async function vapidAuthorization(endpoint: string, vapid: VapidKeys, now = Date.now()): Promise<string> {
+  const pub = base64UrlDecode(vapid.publicKey);
+  const key = await crypto.subtle.importKey(
+    "jwk",
+    {
+      kty: "EC",
+      crv: "P-256",
+      d: vapid.privateKey,
+      x: base64UrlEncode(pub.slice(1, 33)),
+      y: base64UrlEncode(pub.slice(33, 65)),
+    },
+    { name: "ECDSA", namedCurve: "P-256" },
+    false,
+    ["sign"],
+  );
+  const header = base64UrlEncode(utf8(JSON.stringify({ typ: "JWT", alg: "ES256" })));
+  const claims = base64UrlEncode(
+    utf8(
+      JSON.stringify({
+        aud: new URL(endpoint).origin,
+        exp: Math.floor(now / 1000) + VAPID_TTL_SECONDS,
+        sub: vapid.subject,
+      }),
+    ),
+  );
+  // WebCrypto signs ECDSA as raw r ‖ s, which is exactly the JWS encoding.
+  const signature = new Uint8Array(
+    await crypto.subtle.sign({ name: "ECDSA", hash: "SHA-256" }, key, utf8(`${header}.${claims}`)),
+  );
+  return `vapid t=${header}.${claims}.${base64UrlEncode(signature)}, k=${vapid.publicKey}`;
+}
+
+/** Deliver one notification. Alerts are only useful now, so an offline device drops them. */
+export async function sendWebPush(
+  subscription: WebPushSubscription,
+  payload: unknown,
+  vapid: VapidKeys,
+  ttlSeconds = 300,
+): Promise<PushResult> {
+  try {
+    const body = await encryptPayload(subscription.keys, JSON.stringify(payload));
+    const res = await fetchWithTimeout(
+      subscription.endpoint,
+      {
+        method: "POST",
+        headers: {
+          Authorization: await vapidAuthorization(subscription.endpoint, vapid),
+          "Content-Encoding": "aes128gcm",
+          "Content-Type": "application/octet-stream",
+          TTL: String(ttlSeconds),
+          Urgency: "high",
+        },
+        body,
+      },
+      PUSH_TIMEOUT_MS,
+    );
+    if (res.status === 404 || res.status === 410) return "gone";
+    return res.ok ? "sent" : "failed";
+  } catch {
+    return "failed";
+  }
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from "vitest";
+import { buildRss, escapeXml, formatRssDate } from "./rss";
+
+describe("rss", () => {
+  it("escapes XML text", () => {
+    expect(escapeXml(`Rock & Roll <Live> "Tonight" it's`)).toBe("Rock &amp; Roll &lt;Live&gt; &quot;Tonight&quot; it&apos;s");
+  });
+
+  it("formats RFC 822 dates", () => {
+    expect(formatRssDate(new Date("2026-05-21T02:30:00Z"))).toBe("Thu, 21 May 2026 02:30:00 GMT");
+  });
+
+  it("builds a channel with its items", () => {
+    const rss = buildRss(
+      {
+        title: "Events & more",
+        link: "https://example.com/events",
+        description: "Things to do",
+        selfUrl: "https://example.com/feed.rss?a=1&b=2",
+        ttlMinutes: 60,
+        items: [
+          { guid: "1@test", title: "Concert", link: "https://example.com/1", pubDate: new Date("2026-05-21T02:30:00Z") },
+          { guid: "2@test", title: "Fair" },
+        ],
+      },
+      new Date("2026-05-20T00:00:00Z"),
+    );
+    expect(rss.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<rss version="2.0"')).toBe(true);
+    expect(rss).toContain("<title>Events &amp; more</title>");
+    expect(rss).toContain('<atom:link href="https://example.com/feed.rss?a=1&amp;b=2" rel="self"');
+    expect(rss).toContain("<lastBuildDate>Wed, 20 May 2026 00:00:00 GMT</lastBuildDate>");
+    expect(rss).toContain("<ttl>60</ttl>");
+    expect(rss).toContain('<guid isPermaLink="false">1@test</guid>');
+    expect(rss).toContain("<pubDate>Thu, 21 May 2026 02:30:00 GMT</pubDate>");
+    expect(rss.match(/<item>/g)).toHaveLength(2);
+    expect(rss.match(/<link>/g)).toHaveLength(2);
+  });
+});
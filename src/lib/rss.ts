@@ -0,0 +1,79 @@
+/**
+ * Minimal RSS 2.0 writer for subscribable feeds — the channel, its items, escaping and
+ * RFC 822 dates, and nothing more (no enclosures, no namespaces beyond Atom's self link).
+ */
+
+export interface RssItem {
+  /** Stable across refreshes, so readers don't show an item as new twice. */
+  guid: string;
+  title: string;
+  link?: string;
+  description?: string;
+  pubDate?: Date;
+  category?: string;
+}
+
+export interface RssChannel {
+  title: string;
+  /** The page the feed mirrors. */
+  link: string;
+  description: string;
+  /** The feed's own URL, advertised as its `atom:link rel="self"`. */
+  selfUrl?: string;
+  /** How long readers may cache the feed, in minutes. */
+  ttlMinutes?: number;
+  items: RssItem[];
+}
+
+const XML_ESCAPES: Record<string, string> = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+export function escapeXml(text: string): string {
+  return text.replace(/[&<>"']/g, (c) => XML_ESCAPES[c] ?? c);
+}
+
+/** `Wed, 20 May 2026 19:30:00 GMT` — RFC 822 as RSS wants it. */
+export function formatRssDate(date: Date): string {
+  return date.toUTCString();
+}
+
+function element(name: string, value: string | undefined): string[] {
+  return value ? [`<${name}>${escapeXml(value)}</${name}>`] : [];
+}
+
+function itemLines(item: RssItem): string[] {
+  const fields = [
+    ...element("title", item.title),
+    ...element("link", item.link),
+    ...element("description", item.description),
+    ...element("category", item.category),
+    `<guid isPermaLink="false">${escapeXml(item.guid)}</guid>`,
+    ...(item.pubDate ? [`<pubDate>${formatRssDate(item.pubDate)}</pubDate>`] : []),
+  ];
+  return ["    <item>", ...fields.map((line) => `      ${line}`), "    </item>"];
+}
+
+export function buildRss(channel: RssChannel, now = new Date()): string {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    "  <channel>",
+    ...element("title", channel.title).map((l) => `    ${l}`),
+    ...element("link", channel.link).map((l) => `    ${l}`),
+    ...element("description", channel.description).map((l) => `    ${l}`),
+    ...(channel.selfUrl
+      ? [`    <atom:link href="${escapeXml(channel.selfUrl)}" rel="self" type="application/rss+xml" />`]
+      : []),
+    `    <lastBuildDate>${formatRssDate(now)}</lastBuildDate>`,
+    ...(channel.ttlMinutes ? [`    <ttl>${channel.ttlMinutes}</ttl>`] : []),
+    ...channel.items.flatMap(itemLines),
+    "  </channel>",
+    "</rss>",
+  ];
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,115 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  SCOREBOARD_TTL_MS,
+  clearScoreboardCache,
+  getPostseasonScoreboard,
+  getScoreboard,
+  leagueByKey,
+} from "./proxy";
+
+const nba = leagueByKey("nba")!;
+const DAY = "20261019";
+
+function board(id: string) {
+  return { events: [{ id, date: "2026-10-20T02:00Z", competitions: [] }] };
+}
+
+function respondWith(...bodies: (object | number)[]) {
+  const fetchMock = vi.fn(async () => {
+    const body = bodies.length > 1 ? bodies.shift()! : bodies[0];
+    return typeof body === "number"
+      ? new Response("upstream error", { status: body })
+      : new Response(JSON.stringify(body), { status: 200 });
+  });
+  vi.stubGlobal("fetch", fetchMock);
+  return fetchMock;
+}
+
+beforeEach(() => {
+  clearScoreboardCache();
+  vi.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+describe("getScoreboard", () => {
+  it("serves a second read from cache", async () => {
+    const fetchMock = respondWith(board("a"));
+    expect((await getScoreboard(nba, DAY)).source).toBe("espn");
+    const second = await getScoreboard(nba, DAY);
+    expect(second.source).toBe("cache");
+    expect(second.board.events[0].id).toBe("a");
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("shares one ESPN request between concurrent callers", async () => {
+    const fetchMock = respondWith(board("a"));
+    const results = await Promise.all([getScoreboard(nba, DAY), getScoreboard(nba, DAY)]);
+    expect(results.map((r) => r.source)).toEqual(["espn", "espn"]);
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+  });
+
+  it("caches each day separately", async () => {
+    const fetchMock = respondWith(board("a"), board("b"));
+    await getScoreboard(nba, DAY);
+    expect((await getScoreboard(nba, "20261020")).board.events[0].id).toBe("b");
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  it("falls back to the last good board when ESPN fails", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    respondWith(board("a"), 503);
+    await getScoreboard(nba, DAY);
+    vi.advanceTimersByTime(SCOREBOARD_TTL_MS + 1);
+    const result = await getScoreboard(nba, DAY);
+    expect(result.source).toBe("stale");
+    expect(result.board.events[0].id).toBe("a");
+  });
+
+  it("falls back when ESPN changes shape", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+    respondWith(board("a"), { sports: [] });
+    await getScoreboard(nba, DAY);
+    vi.advanceTimersByTime(SCOREBOARD_TTL_MS + 1);
+    expect((await getScoreboard(nba, DAY)).source).toBe("stale");
+  });
+
+  it("throws when there's no good board to fall back to", async () => {
+    respondWith(503);
+    await expect(getScoreboard(nba, DAY)).rejects.toThrow(/503/);
+  });
+
+  it("serves recorded boards in fixture mode without touching ESPN", async () => {
+    vi.stubEnv("SCOREBOARD_FIXTURES", "1");
+    const fetchMock = respondWith(503);
+    const result = await getScoreboard(nba, DAY);
+    expect(result.source).toBe("fixture");
+    expect(result.board.events.length).toBeGreaterThan(0);
+    const noFixture = leagueByKey("ncaaf")!;
+    expect((await getScoreboard(noFixture, DAY)).board.events).toEqual([]);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
+
+describe("getPostseasonScoreboard", () => {
+  it("asks ESPN for the playoff games in the range, cached apart from single days", async () => {
+    const fetchMock = respondWith(board("post"), board("day"));
+    await getPostseasonScoreboard(nba, "20260401", "20260701");
+    expect(fetchMock).toHaveBeenCalledWith(expect.stringMatching(/dates=20260401-20260701&seasontype=3&/), expect.anything());
+    expect((await getPostseasonScoreboard(nba, "20260401", "20260701")).source).toBe("cache");
+    expect((await getScoreboard(nba, DAY)).board.events[0].id).toBe("day");
+  });
+
+  it("keeps only postseason games from a recorded board", async () => {
+    vi.stubEnv("SCOREBOARD_FIXTURES", "1");
+    const { board: recorded } = await getPostseasonScoreboard(leagueByKey("mlb")!, "20260901", "20261101");
+    expect(recorded.events.length).toBeGreaterThan(0);
+    expect(recorded.events.every((ev) => ev.season?.type === 3)).toBe(true);
+    expect((await getPostseasonScoreboard(nba, "20260901", "20261101")).board.events).toEqual([]);
+  });
+});
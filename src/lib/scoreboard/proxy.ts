@@ -0,0 +1,134 @@
+// Server side of /api/scoreboard/[league]: one validated, cached ESPN read per league and
+// day, shared by every tab, the family TV and the cron routes on a warm instance. When
+// ESPN errors or changes shape, the last good board is served stale instead.
+//
+// Setting SCOREBOARD_FIXTURES=1 serves the recorded boards in src/data/scoreboardFixtures
+// (refresh them with `npm run scoreboard:record`) so tests and local dev never touch ESPN.
+
+import { fetchWithTimeout } from "../apiHelpers";
+import { ESPN_SPORTS_BASE } from "../sportsCore";
+import { LEAGUES, type LeagueInfo } from "../teamRegistry";
+import { createTtlCache } from "../ttlCache";
+import { parseScoreboard, type Scoreboard } from "./schema";
+
+/** Where a board came from — sent as the `X-Scoreboard-Source` header. */
+export type ScoreboardSource = "espn" | "cache" | "stale" | "fixture";
+
+export interface ScoreboardResult {
+  board: Scoreboard;
+  source: ScoreboardSource;
+}
+
+/** Live games move every play, but thirty seconds is as fresh as any page polls. */
+export const SCOREBOARD_TTL_MS = 30_000;
+// Seven days of every league is 63 boards; older days age out first.
+const MAX_CACHED_BOARDS = 100;
+const ESPN_TIMEOUT_MS = 8000;
+// ESPN's season type for playoffs; a full NBA postseason is under 100 games.
+const POSTSEASON_TYPE = 3;
+const POSTSEASON_LIMIT = 500;
+
+type BoardCache = ReturnType<typeof createTtlCache<Scoreboard>>;
+
+const caches = new Map<string, BoardCache>();
+const inflight = new Map<string, Promise<Scoreboard>>();
+
+const fixtureLoaders = import.meta.glob<unknown>("../../data/scoreboardFixtures/*.json", { import: "default" });
+
+export function leagueByKey(key: string): LeagueInfo | undefined {
+  return LEAGUES.find((l) => l.key === key);
+}
+
+export function leagueByPath(path: string): LeagueInfo | undefined {
+  return LEAGUES.find((l) => l.path === path);
+}
+
+export function scoreboardFixturesEnabled(): boolean {
+  return (import.meta.env.SCOREBOARD_FIXTURES ?? process.env.SCOREBOARD_FIXTURES) === "1";
+}
+
+function cacheFor(cacheKey: string): BoardCache {
+  let cache = caches.get(cacheKey);
+  if (!cache) {
+    if (caches.size >= MAX_CACHED_BOARDS) caches.delete(caches.keys().next().value!);
+    cache = createTtlCache<Scoreboard>(SCOREBOARD_TTL_MS);
+    caches.set(cacheKey, cache);
+  }
+  return cache;
+}
+
+/** `dates` is one YYYYMMDD day or a YYYYMMDD-YYYYMMDD range; `query` adds ESPN params. */
+async function fetchBoard(league: LeagueInfo, dates: string, query = ""): Promise<Scoreboard> {
+  const res = await fetchWithTimeout(
+    `${ESPN_SPORTS_BASE}/${league.path}/scoreboard?dates=${dates}${query}`,
+    {},
+    ESPN_TIMEOUT_MS,
+  );
+  if (!res.ok) throw new Error(`ESPN ${league.path} ${dates} failed (${res.status})`);
+  const { events, dropped } = parseScoreboard(await res.json());
+  if (dropped > 0) console.warn(`scoreboard ${league.path} ${dates}: dropped ${dropped} malformed event(s)`);
+  return { events };
+}
+
+/** The recorded board for a league, whatever the date; leagues without one are empty. */
+export async function loadFixtureBoard(league: LeagueInfo): Promise<Scoreboard> {
+  const load = fixtureLoaders[`../../data/scoreboardFixtures/${league.key}.json`];
+  if (!load) return { events: [] };
+  return { events: parseScoreboard(await load()).events };
+}
+
+/**
+ * One league's scoreboard for a Pacific-time day. Concurrent callers share a single
+ * ESPN request; a failed request falls back to the last good board, and only throws
+ * when there's never been one.
+ */
+export async function getScoreboard(league: LeagueInfo, yyyymmdd: string): Promise<ScoreboardResult> {
+  if (scoreboardFixturesEnabled()) return { board: await loadFixtureBoard(league), source: "fixture" };
+  return cachedBoard(`${league.key}:${yyyymmdd}`, () => fetchBoard(league, yyyymmdd));
+}
+
+/**
+ * Every postseason game a league played or scheduled between two Pacific-time days — the
+ * raw material for a playoff bracket. Cached and shared like a single day's board.
+ */
+export async function getPostseasonScoreboard(
+  league: LeagueInfo,
+  fromYyyymmdd: string,
+  toYyyymmdd: string,
+): Promise<ScoreboardResult> {
+  if (scoreboardFixturesEnabled()) {
+    const { events } = await loadFixtureBoard(league);
+    return { board: { events: events.filter((ev) => ev.season?.type === POSTSEASON_TYPE) }, source: "fixture" };
+  }
+  const dates = `${fromYyyymmdd}-${toYyyymmdd}`;
+  return cachedBoard(`${league.key}:post:${dates}`, () =>
+    fetchBoard(league, dates, `&seasontype=${POSTSEASON_TYPE}&limit=${POSTSEASON_LIMIT}`),
+  );
+}
+
+async function cachedBoard(cacheKey: string, load: () => Promise<Scoreboard>): Promise<ScoreboardResult> {
+  const cache = cacheFor(cacheKey);
+  const fresh = cache.get();
+  if (fresh) return { board: fresh, source: "cache" };
+
+  let request = inflight.get(cacheKey);
+  if (!request) {
+    request = load().finally(() => inflight.delete(cacheKey));
+    inflight.set(cacheKey, request);
+  }
+  try {
+    const board = await request;
+    cache.set(board);
+    return { board, source: "espn" };
+  } catch (err) {
+    const stale = cache.stale();
+    if (stale) return { board: stale, source: "stale" };
+    throw err;
+  }
+}
+
+/** Drop every cached board — for tests. */
+export function clearScoreboardCache(): void {
+  caches.clear();
+  inflight.clear();
+}
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { parseScoreboard } from "./schema";
+
+const event = (id: string, homeScore: unknown = "3") => ({
+  id,
+  date: "2026-10-20T02:00Z",
+  competitions: [
+    {
+      competitors: [
+        { homeAway: "home", score: homeScore, team: { abbreviation: "SF" } },
+        { homeAway: "away", score: "2", team: { abbreviation: "LAD" } },
+      ],
+      status: { period: 7, type: { state: "in", shortDetail: "Top 7th" } },
+    },
+  ],
+});
+
+describe("parseScoreboard", () => {
+  it("keeps fields it doesn't validate", () => {
+    const { events } = parseScoreboard({ events: [{ ...event("1"), weather: { temperature: 61 } }] });
+    expect(events[0]).toMatchObject({ id: "1", weather: { temperature: 61 } });
+  });
+
+  it("turns numeric scores into the strings every reader parses", () => {
+    const { events } = parseScoreboard({ events: [event("1", 5)] });
+    expect(events[0].competitions?.[0].competitors?.[0].score).toBe("5");
+  });
+
+  it("drops a malformed event and keeps the rest", () => {
+    const { events, dropped } = parseScoreboard({ events: [event("1"), { id: "tbd" }, event("2")] });
+    expect(events.map((e) => e.id)).toEqual(["1", "2"]);
+    expect(dropped).toBe(1);
+  });
+
+  it("accepts an empty day", () => {
+    expect(parseScoreboard({ events: [] })).toEqual({ events: [], dropped: 0 });
+  });
+
+  it("throws when the board changed shape", () => {
+    expect(() => parseScoreboard({ sports: [] })).toThrow(/no events array/);
+    expect(() => parseScoreboard({ events: [{ id: "1", date: 20261020 }] })).toThrow(/expected shape/);
+  });
+});
@@ -0,0 +1,100 @@
+// The slice of ESPN's scoreboard JSON the sports pages actually read — `Game` in
+// sportsCore and `ESPNEvent` in wtwtwSports — as zod schemas. Objects are loose so the
+// fields nobody validates pass through untouched; what's checked is that the fields we
+// render still have the types we render them as.
+
+import { z } from "zod";
+
+// ESPN has sent scores as both "3" and 3; every reader parses a string.
+const score = z.union([z.string(), z.number()]).transform(String);
+
+const TeamSchema = z.looseObject({
+  abbreviation: z.string().optional(),
+  displayName: z.string().optional(),
+  shortDisplayName: z.string().optional(),
+  location: z.string().optional(),
+  name: z.string().optional(),
+  logo: z.string().optional(),
+  color: z.string().optional(),
+});
+
+const CompetitorSchema = z.looseObject({
+  id: z.string().optional(),
+  homeAway: z.string().optional(),
+  score: score.optional(),
+  winner: z.boolean().optional(),
+  team: TeamSchema.optional(),
+  records: z.array(z.looseObject({ type: z.string().optional(), summary: z.string().optional() })).optional(),
+});
+
+const StatusSchema = z.looseObject({
+  period: z.number().optional(),
+  displayClock: z.string().optional(),
+  type: z
+    .looseObject({
+      name: z.string().optional(),
+      state: z.string().optional(),
+      completed: z.boolean().optional(),
+      description: z.string().optional(),
+      detail: z.string().optional(),
+      shortDetail: z.string().optional(),
+    })
+    .optional(),
+});
+
+const SeriesSchema = z.looseObject({
+  type: z.string().optional(),
+  title: z.string().optional(),
+  summary: z.string().optional(),
+  completed: z.boolean().optional(),
+  totalCompetitions: z.number().optional(),
+  competitors: z.array(z.looseObject({ id: z.string().optional(), wins: z.number().optional() })).optional(),
+});
+
+const CompetitionSchema = z.looseObject({
+  competitors: z.array(CompetitorSchema).optional(),
+  status: StatusSchema.optional(),
+  series: SeriesSchema.optional(),
+  notes: z.array(z.looseObject({ headline: z.string().optional() })).optional(),
+  broadcasts: z.array(z.looseObject({ names: z.array(z.string()).optional() })).optional(),
+  geoBroadcasts: z
+    .array(
+      z.looseObject({
+        market: z.looseObject({ type: z.string().optional() }).optional(),
+        media: z.looseObject({ shortName: z.string().optional() }).optional(),
+      }),
+    )
+    .optional(),
+});
+
+export const ScoreboardEventSchema = z.looseObject({
+  id: z.string().optional(),
+  date: z.string(),
+  name: z.string().optional(),
+  shortName: z.string().optional(),
+  season: z.looseObject({ type: z.number().optional(), slug: z.string().optional() }).optional(),
+  competitions: z.array(CompetitionSchema).optional(),
+});
+
+export type ScoreboardEvent = z.infer<typeof ScoreboardEventSchema>;
+
+export interface Scoreboard {
+  events: ScoreboardEvent[];
+}
+
+/**
+ * Validate a raw scoreboard. A single odd event (ESPN does post the occasional
+ * placeholder) is dropped; a board with no `events` array, or where no event passes,
+ * means ESPN changed shape and throws so the caller can fall back.
+ */
+export function parseScoreboard(raw: unknown): Scoreboard & { dropped: number } {
+  const events = (raw as { events?: unknown } | null)?.events;
+  if (!Array.isArray(events)) throw new Error("Scoreboard has no events array");
+  const parsed = events.map((e) => ScoreboardEventSchema.safeParse(e));
+  const valid = parsed.flatMap((r) => (r.success ? [r.data] : []));
+  if (events.length > 0 && valid.length === 0) {
+    const first = parsed.find((r) => !r.success);
+    throw new Error(`No scoreboard event matched the expected shape: ${first?.error?.issues[0]?.message ?? "unknown"}`);
+  }
+  return { events: valid, dropped: events.length - valid.length };
+}
@@ -4,6 +4,8 @@
 
 import { esc, escUrl } from "./htmlUtils";
 import { PACIFIC_TZ } from "./dateFormat";
+import { LEAGUES } from "./teamRegistry";
+import type { EspnSeries } from "./playoffs/series";
 
 // Re-export so sport modules don't need to import htmlUtils separately
 export { esc, escUrl };
@@ -19,7 +21,9 @@ export const ESPN_SPORTS_BASE = "https://site.api.espn.com/apis/site/v2/sports";
 // ── Shared ESPN types ──
 
 export interface Competitor {
+  id?: string;
   homeAway?: string;
+  winner?: boolean;
   score?: string;
   hits?: string;
   errors?: string;
@@ -51,6 +55,9 @@ export interface Competition {
   competitors?: Competitor[];
   status?: Status;
   situation?: unknown;
+  /** Postseason only: the series this game belongs to (see playoffs/series). */
+  series?: EspnSeries;
+  notes?: Array<{ headline?: string }>;
   geoBroadcasts?: Array<{
     market?: { type?: string };
     media?: { shortName?: string };
@@ -58,6 +65,7 @@ export interface Competition {
 }
 
 export interface Game {
+  id?: string;
   date?: string;
   competitions?: Competition[];
 }
@@ -106,11 +114,13 @@ interface WatchScoreBase {
  * The closeness × quality half of a live-game watch score. Every sport derives these
  * two factors identically from competitor scores and records, then layers its own
  * pace/situation multipliers on top. Returns null when the competition has no matchup
- * to score.
+ * to score. `strength` rates a team 0–1 from its record; sports whose records aren't
+ * plain W-L (soccer's W-D-L) pass their own.
  */
 export function watchScoreBase(
   comp: Competition,
   closenessPenalty: number,
+  strength: (competitor: Competitor) => number = (c) => winPct(parseRecord(c)),
 ): WatchScoreBase | null {
   const competitors = comp.competitors || [];
   if (competitors.length < 2) return null;
@@ -118,8 +128,7 @@ export function watchScoreBase(
   const scoreDelta = Math.abs(
     parseScore(competitors[0].score) - parseScore(competitors[1].score),
   );
-  const avgWinPct =
-    (winPct(parseRecord(competitors[0])) + winPct(parseRecord(competitors[1]))) / 2;
+  const avgWinPct = (strength(competitors[0]) + strength(competitors[1])) / 2;
 
   return {
     scoreDelta,
@@ -133,7 +142,7 @@ export function progressMultiplier(progress: number, maxBonus: number): number {
   return 1.0 + Math.min(progress, 1.0) * maxBonus;
 }
 
-function computePreGameScore(game: Game): number {
+function computePreGameScore(game: Game, stakes: number): number {
   const comp = game.competitions?.[0];
   if (!comp) return 0;
   const competitors = comp.competitors || [];
@@ -142,14 +151,20 @@ function computePreGameScore(game: Game): number {
   const rec2 = parseRecord(competitors[1]);
   const avg = (winPct(rec1) + winPct(rec2)) / 2;
   const diff = Math.abs(winPct(rec1) - winPct(rec2));
-  return avg * 100 * (1.0 - diff);
+  return avg * 100 * (1.0 - diff) * stakes;
 }
 
-/** Upcoming ("pre" state) games ranked by watch quality, best first. */
-export function rankPreGames(events: Game[]): { game: Game; score: number }[] {
+/**
+ * Upcoming ("pre" state) games ranked by watch quality, best first. `stakes` weighs what
+ * the standings put on a game (see standings/race); without it only records count.
+ */
+export function rankPreGames(
+  events: Game[],
+  stakes: (game: Game) => number = () => 1,
+): { game: Game; score: number }[] {
   return events
     .filter((e) => e.competitions?.[0]?.status?.type?.state === "pre")
-    .map((game) => ({ game, score: computePreGameScore(game) }))
+    .map((game) => ({ game, score: computePreGameScore(game, stakes(game)) }))
     .sort((a, b) => b.score - a.score);
 }
 
@@ -299,13 +314,19 @@ export function formatYYYYMMDD(d: Date = new Date()): string {
 
 /**
  * Fetch ESPN's public scoreboard JSON for a given league + date. The event shape
- * varies by league and consumer needs, so callers parameterize the type.
+ * varies by league and consumer needs, so callers parameterize the type. In the
+ * browser, known leagues go through the cached /api/scoreboard proxy instead, so a
+ * houseful of tabs makes one ESPN request between them.
  */
 export async function fetchEspnScoreboard<T = unknown>(
   leaguePath: string,
   yyyymmdd: string,
 ): Promise<{ events?: T[] }> {
-  const url = `${ESPN_SPORTS_BASE}/${leaguePath}/scoreboard?dates=${yyyymmdd}`;
+  const league = LEAGUES.find((l) => l.path === leaguePath);
+  const url =
+    typeof window !== "undefined" && league
+      ? `/api/scoreboard/${league.key}?dates=${yyyymmdd}`
+      : `${ESPN_SPORTS_BASE}/${leaguePath}/scoreboard?dates=${yyyymmdd}`;
   const res = await fetch(url);
   if (!res.ok) throw new Error(`ESPN ${leaguePath} ${yyyymmdd} failed (${res.status})`);
   return res.json();
@@ -341,9 +362,9 @@ export function fitHeroLines(): void {
  * Standard fetch→render loop used by all sports engines.
  * Handles loading/content/error element visibility and retry button.
  */
-function createFetchLoop(
+function createFetchLoop<T>(
   apiUrl: string,
-  renderFn: (events: Game[]) => void,
+  renderFn: (events: T[]) => void,
   opts: { errorBtnId?: string; retryBtnStyle?: string } = {},
 ) {
   const errorBtnId = opts.errorBtnId || "retryBtn";
@@ -358,7 +379,7 @@ function createFetchLoop(
       const res = await fetch(apiUrl);
       if (!res.ok) throw new Error(`ESPN returned ${res.status}`);
       const data = await res.json();
-      const events: Game[] = data?.events || [];
+      const events: T[] = data?.events || [];
 
       loading.style.display = "none";
       errorEl.style.display = "none";
@@ -387,11 +408,12 @@ function createFetchLoop(
 }
 
 /**
- * Standard init: set date label, start polling, listen for resize.
+ * Standard init: set date label, start polling, listen for resize. `events` is read off
+ * the response — ESPN's games, or the entries of an API shaped like it.
  */
-export function initSportsApp(
+export function initSportsApp<T = Game>(
   apiUrl: string,
-  renderFn: (events: Game[]) => void,
+  renderFn: (events: T[]) => void,
   opts: { errorBtnId?: string; retryBtnStyle?: string } = {},
 ): void {
   const dateLabelEl = document.getElementById("dateLabel");
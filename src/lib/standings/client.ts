@@ -0,0 +1,28 @@
+// Browser side of the playoff race: NBA Now and MLB GameRank load it once per page and
+// rank with whatever has arrived. Until it does (or if it never does), stakes are neutral.
+
+import type { PlayoffRace } from "./race";
+
+/** Standings move a few times a night; the pages poll scores every 30 s. */
+const REFRESH_MS = 15 * 60_000;
+
+/**
+ * Keep a league's race fresh for the life of the page. `onRace` gets each new race; the
+ * caller keeps it and ranks with it on its next render.
+ */
+export function watchPlayoffRace(leagueKey: string, onRace: (race: PlayoffRace) => void): void {
+  async function load() {
+    try {
+      const res = await fetch(`/api/standings/${leagueKey}`);
+      if (!res.ok) return;
+      const race: PlayoffRace = await res.json();
+      if (race?.teams) onRace(race);
+    } catch {
+      // No standings just means no stakes bonus.
+    }
+  }
+  void load();
+  setInterval(() => {
+    if (!document.hidden) void load();
+  }, REFRESH_MS);
+}
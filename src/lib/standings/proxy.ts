@@ -0,0 +1,43 @@
+// Server side of /api/standings/[league]: ESPN's standings, turned into the playoff race
+// and cached per league. Standings only move when a game ends, so a stale race beats none
+// when ESPN errors.
+
+import { fetchWithTimeout } from "../apiHelpers";
+import type { LeagueInfo } from "../teamRegistry";
+import { createTtlCache } from "../ttlCache";
+import { buildPlayoffRace, parseStandings, type PlayoffRace } from "./race";
+
+// Standings live under ESPN's v2 API, not the site API the scoreboards use.
+const ESPN_STANDINGS_BASE = "https://site.api.espn.com/apis/v2/sports";
+export const STANDINGS_TTL_MS = 15 * 60_000;
+const ESPN_TIMEOUT_MS = 8000;
+
+const caches = new Map<string, ReturnType<typeof createTtlCache<PlayoffRace>>>();
+
+async function fetchRace(league: LeagueInfo): Promise<PlayoffRace> {
+  const res = await fetchWithTimeout(`${ESPN_STANDINGS_BASE}/${league.path}/standings`, {}, ESPN_TIMEOUT_MS);
+  if (!res.ok) throw new Error(`ESPN ${league.path} standings failed (${res.status})`);
+  const race = buildPlayoffRace(parseStandings(await res.json()), league.path);
+  if (!race) throw new Error(`No playoff race for ${league.path}`);
+  return race;
+}
+
+/** A league's playoff race; falls back to the last good one, and throws only without one. */
+export async function getPlayoffRace(league: LeagueInfo): Promise<PlayoffRace> {
+  let cache = caches.get(league.key);
+  if (!cache) {
+    cache = createTtlCache<PlayoffRace>(STANDINGS_TTL_MS);
+    caches.set(league.key, cache);
+  }
+  const fresh = cache.get();
+  if (fresh) return fresh;
+  try {
+    const race = await fetchRace(league);
+    cache.set(race);
+    return race;
+  } catch (err) {
+    const stale = cache.stale();
+    if (stale) return stale;
+    throw err;
+  }
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import type { Game } from "../sportsCore";
+import {
+  BOTH_IN_RACE_MULTIPLIER,
+  NOTHING_AT_STAKE_MULTIPLIER,
+  ONE_IN_RACE_MULTIPLIER,
+  buildPlayoffRace,
+  gameStakes,
+  parseStandings,
+  stakesMultiplier,
+} from "./race";
+
+function entry(abbreviation: string, wins: number, losses: number, clincher = "") {
+  return {
+    team: { abbreviation },
+    stats: [
+      { name: "wins", value: wins },
+      { name: "losses", value: losses },
+      ...(clincher ? [{ name: "clincher", displayValue: clincher }] : []),
+    ],
+  };
+}
+
+// An AL race with a week left: six spots, SEA and TEX fighting over the last one.
+const AL = {
+  abbreviation: "AL",
+  standings: {
+    entries: [
+      entry("NYY", 95, 60, "y"),
+      entry("HOU", 92, 63, "x"),
+      entry("CLE", 90, 65),
+      entry("BAL", 88, 67),
+      entry("KC", 86, 69),
+      entry("SEA", 84, 71),
+      entry("TEX", 83, 72),
+      entry("DET", 77, 78),
+      entry("CHW", 55, 100, "e"),
+    ],
+  },
+};
+const NL = { abbreviation: "NL", standings: { entries: [entry("LAD", 97, 58, "z"), entry("COL", 50, 105, "e")] } };
+
+const race = buildPlayoffRace(parseStandings({ children: [AL, NL] }), "baseball/mlb")!;
+
+function game(away: string, home: string): Game {
+  return {
+    competitions: [
+      {
+        competitors: [
+          { homeAway: "away", team: { abbreviation: away } },
+          { homeAway: "home", team: { abbreviation: home } },
+        ],
+      },
+    ],
+  };
+}
+
+describe("parseStandings", () => {
+  it("rejects a reshaped response", () => {
+    expect(() => parseStandings({ standings: [] })).toThrow(/expected shape/);
+  });
+});
+
+describe("buildPlayoffRace", () => {
+  it("measures every team against its league's last spot", () => {
+    expect(race.teams.SEA).toMatchObject({ group: "AL", seed: 6, gamesFromLine: 1, status: "in-the-hunt" });
+    expect(race.teams.TEX).toMatchObject({ seed: 7, gamesFromLine: -1, status: "in-the-hunt" });
+    expect(race.teams.NYY.status).toBe("clinched");
+    expect(race.teams.CHW.status).toBe("eliminated");
+  });
+
+  it("keeps quiet early in the season", () => {
+    const april = buildPlayoffRace(
+      parseStandings({ children: [{ abbreviation: "AL", standings: { entries: [entry("SEA", 10, 8), entry("TEX", 9, 9)] } }] }),
+      "baseball/mlb",
+    )!;
+    expect(april.teams.SEA.status).toBe("none");
+  });
+
+  it("has no race for leagues it doesn't know", () => {
+    expect(buildPlayoffRace([], "soccer/usa.1")).toBeNull();
+  });
+});
+
+describe("gameStakes", () => {
+  it("boosts a game between two bubble teams the most", () => {
+    expect(gameStakes(game("TEX", "SEA"), race)).toEqual({
+      multiplier: BOTH_IN_RACE_MULTIPLIER,
+      reason: "Playoff race: TEX is 1 game behind the playoff line; SEA is 1 game inside the playoff line.",
+    });
+  });
+
+  it("boosts a game with one bubble team a little", () => {
+    expect(stakesMultiplier(game("DET", "NYY"), race)).toBe(1);
+    expect(stakesMultiplier(game("SEA", "NYY"), race)).toBe(ONE_IN_RACE_MULTIPLIER);
+  });
+
+  it("marks down a game with nothing left to play for", () => {
+    expect(gameStakes(game("CHW", "LAD"), race)?.multiplier).toBe(NOTHING_AT_STAKE_MULTIPLIER);
+  });
+
+  it("is neutral without standings or in the playoffs", () => {
+    expect(stakesMultiplier(game("TEX", "SEA"), null)).toBe(1);
+    const postseason = game("TEX", "SEA");
+    const comp = postseason.competitions![0];
+    comp.competitors![0].id = "13";
+    comp.competitors![1].id = "12";
+    comp.series = { type: "playoff", competitors: [{ id: "13", wins: 1 }, { id: "12", wins: 0 }] };
+    expect(gameStakes(postseason, race)).toBeNull();
+  });
+});
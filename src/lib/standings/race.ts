@@ -0,0 +1,217 @@
+// Playoff race — where every team stands against its league's playoff line, from ESPN's
+// standings, and what that puts at stake in a regular-season game. Late in the season a
+// game between two bubble teams outranks one between two locked-in top seeds; once both
+// teams' fates are settled the game matters a little less.
+
+import { z } from "zod";
+import type { Game } from "../sportsCore";
+import { parseSeriesState } from "../playoffs/series";
+
+export type RaceStatus = "clinched" | "eliminated" | "in-the-hunt" | "none";
+
+export interface TeamRace {
+  abbr: string;
+  /** Conference or league the team's seed is counted in, e.g. "East" or "AL". */
+  group: string;
+  seed: number;
+  /** Positive: games clear of the first team out. Negative: games behind the last team in. */
+  gamesFromLine: number;
+  status: RaceStatus;
+}
+
+export interface PlayoffRace {
+  /** "play-in line" for the NBA, "playoff line" elsewhere. */
+  lineLabel: string;
+  teams: Record<string, TeamRace>;
+}
+
+export interface GameStakes {
+  multiplier: number;
+  /** Why, in a sentence — "Playoff race: SEA is 1 game behind the playoff line." */
+  reason: string;
+}
+
+interface RaceFormat {
+  /** Teams per group that make the line. */
+  spots: number;
+  seasonGames: number;
+  /** Within this many games of the line counts as in the hunt. */
+  raceWindow: number;
+  /** One table for the whole league, whatever conferences ESPN groups it by. */
+  singleTable?: boolean;
+  lineLabel: string;
+}
+
+const RACE_FORMATS: Record<string, RaceFormat> = {
+  // The 10th seed makes the play-in; that's the line bubble teams fight over.
+  "basketball/nba": { spots: 10, seasonGames: 82, raceWindow: 3, lineLabel: "play-in line" },
+  "basketball/wnba": { spots: 8, seasonGames: 44, raceWindow: 2, singleTable: true, lineLabel: "playoff line" },
+  "baseball/mlb": { spots: 6, seasonGames: 162, raceWindow: 4, lineLabel: "playoff line" },
+};
+
+/** Standings only shape a game once this much of the season is played. */
+const LATE_SEASON_FRACTION = 0.7;
+
+export const BOTH_IN_RACE_MULTIPLIER = 1.3;
+export const ONE_IN_RACE_MULTIPLIER = 1.15;
+export const NOTHING_AT_STAKE_MULTIPLIER = 0.9;
+
+/** Shown under "How it works" on the pages that rank with it. */
+export const STAKES_EXPLANATION =
+  "Late in the season, games with playoff spots on the line get a boost — more when both teams are in the race. Games between teams whose fates are settled rank a little lower.";
+
+export function hasPlayoffRace(league: string): boolean {
+  return league in RACE_FORMATS;
+}
+
+// ── ESPN standings ──
+
+const StatSchema = z.looseObject({
+  name: z.string().optional(),
+  value: z.number().optional(),
+  displayValue: z.string().optional(),
+});
+
+const EntrySchema = z.looseObject({
+  team: z.looseObject({ abbreviation: z.string() }),
+  stats: z.array(StatSchema).optional(),
+});
+
+const GroupSchema = z.looseObject({
+  name: z.string().optional(),
+  abbreviation: z.string().optional(),
+  standings: z.looseObject({ entries: z.array(EntrySchema) }),
+});
+
+const StandingsSchema = z.looseObject({ children: z.array(GroupSchema) });
+
+interface StandingRow {
+  abbr: string;
+  group: string;
+  wins: number;
+  losses: number;
+  /** ESPN's clinch marker: "x", "y", "z", "w" and "*" clinched, "e" eliminated. */
+  clincher: string;
+}
+
+function stat(stats: z.infer<typeof StatSchema>[] | undefined, name: string): z.infer<typeof StatSchema> | undefined {
+  return stats?.find((s) => s.name === name);
+}
+
+/** Flatten ESPN's `/standings` JSON into one row per team. Throws when the shape changed. */
+export function parseStandings(raw: unknown): StandingRow[] {
+  const parsed = StandingsSchema.safeParse(raw);
+  if (!parsed.success) throw new Error(`Standings didn't match the expected shape: ${parsed.error.issues[0]?.message}`);
+  return parsed.data.children.flatMap((group) =>
+    group.standings.entries.map((entry) => ({
+      abbr: entry.team.abbreviation.toUpperCase(),
+      group: group.abbreviation || group.name || "",
+      wins: stat(entry.stats, "wins")?.value ?? 0,
+      losses: stat(entry.stats, "losses")?.value ?? 0,
+      clincher: (stat(entry.stats, "clincher")?.displayValue || "").trim().toLowerCase(),
+    })),
+  );
+}
+
+// ── The race ──
+
+function pct(row: StandingRow): number {
+  const games = row.wins + row.losses;
+  return games > 0 ? row.wins / games : 0.5;
+}
+
+/** Games between two records, the way standings count them. */
+function gamesBetween(a: StandingRow, b: StandingRow): number {
+  return (a.wins - b.wins + (b.losses - a.losses)) / 2;
+}
+
+function raceStatus(row: StandingRow, gamesFromLine: number, format: RaceFormat): RaceStatus {
+  if (row.clincher === "e") return "eliminated";
+  // "pi" is the NBA's clinched-a-play-in-spot marker: still racing for the top six.
+  if (row.clincher && row.clincher !== "pi") return "clinched";
+  const played = row.wins + row.losses;
+  const gamesLeft = Math.max(0, format.seasonGames - played);
+  if (gamesFromLine > gamesLeft) return "clinched";
+  if (-gamesFromLine > gamesLeft) return "eliminated";
+  if (played < format.seasonGames * LATE_SEASON_FRACTION) return "none";
+  return Math.abs(gamesFromLine) <= format.raceWindow ? "in-the-hunt" : "none";
+}
+
+/** Every team's place against its group's playoff line, or null for leagues without a race. */
+export function buildPlayoffRace(rows: StandingRow[], league: string): PlayoffRace | null {
+  const format = RACE_FORMATS[league];
+  if (!format) return null;
+
+  const groups = new Map<string, StandingRow[]>();
+  for (const row of rows) {
+    const key = format.singleTable ? "" : row.group;
+    groups.set(key, [...(groups.get(key) ?? []), row]);
+  }
+
+  const teams: Record<string, TeamRace> = {};
+  for (const group of groups.values()) {
+    const sorted = [...group].sort((a, b) => pct(b) - pct(a));
+    const lastIn = sorted[format.spots - 1];
+    const firstOut = sorted[format.spots];
+    sorted.forEach((row, i) => {
+      const inside = i < format.spots;
+      const gamesFromLine = !lastIn || !firstOut ? 0 : inside ? gamesBetween(row, firstOut) : gamesBetween(row, lastIn);
+      teams[row.abbr] = {
+        abbr: row.abbr,
+        group: row.group,
+        seed: i + 1,
+        gamesFromLine,
+        status: raceStatus(row, gamesFromLine, format),
+      };
+    });
+  }
+  return { lineLabel: format.lineLabel, teams };
+}
+
+function gamesText(n: number): string {
+  return `${n} ${n === 1 ? "game" : "games"}`;
+}
+
+function describe(team: TeamRace, lineLabel: string): string {
+  if (team.gamesFromLine > 0) return `${team.abbr} is ${gamesText(team.gamesFromLine)} inside the ${lineLabel}`;
+  if (team.gamesFromLine < 0) return `${team.abbr} is ${gamesText(-team.gamesFromLine)} behind the ${lineLabel}`;
+  return `${team.abbr} is right on the ${lineLabel}`;
+}
+
+function isSettled(team: TeamRace): boolean {
+  return team.status === "clinched" || team.status === "eliminated";
+}
+
+/**
+ * What the standings put at stake in a regular-season game, or null when they don't move
+ * it — early in the season, in the playoffs, or without standings.
+ */
+export function gameStakes(game: Game, race: PlayoffRace | null): GameStakes | null {
+  if (!race || parseSeriesState(game)) return null;
+  const abbrs = (game.competitions?.[0]?.competitors || []).map((c) => (c.team?.abbreviation || "").toUpperCase());
+  const teams = abbrs.map((a) => race.teams[a]).filter((t): t is TeamRace => !!t);
+  if (teams.length < 2) return null;
+
+  const racing = teams.filter((t) => t.status === "in-the-hunt");
+  if (racing.length === 2) {
+    return {
+      multiplier: BOTH_IN_RACE_MULTIPLIER,
+      reason: `Playoff race: ${racing.map((t) => describe(t, race.lineLabel)).join("; ")}.`,
+    };
+  }
+  if (racing.length === 1) {
+    return { multiplier: ONE_IN_RACE_MULTIPLIER, reason: `Playoff race: ${describe(racing[0], race.lineLabel)}.` };
+  }
+  if (teams.every(isSettled)) {
+    return {
+      multiplier: NOTHING_AT_STAKE_MULTIPLIER,
+      reason: "Little at stake: both teams' playoff fates are settled.",
+    };
+  }
+  return null;
+}
+
+/** Watch-score multiplier for a game's standings stakes; 1 when they don't move it. */
+export function stakesMultiplier(game: Game, race: PlayoffRace | null): number {
+  return gameStakes(game, race)?.multiplier ?? 1;
+}
@@ -0,0 +1,138 @@
+/**
+ * Minimal writer for Garmin's FIT binary format — just enough to emit workout files.
+ *
+ * A FIT file is a 14-byte header, a stream of records, and a trailing CRC. Each
+ * record is either a definition (declaring the field layout for a local message
+ * type) or a data message using a previously declared layout. Everything here is
+ * little-endian; strings are fixed-width, null-terminated and zero-padded.
+ *
+ * Field numbers and enum values come from the FIT SDK profile (Profile.xlsx).
+ */
+
+export type FitBaseType = "enum" | "uint8" | "uint16" | "uint32" | "uint32z" | "string";
+
+export interface FitField {
+  /** Field definition number from the FIT profile. */
+  num: number;
+  type: FitBaseType;
+  /** Byte width for strings; ignored for numeric types. */
+  size?: number;
+}
+
+export interface FitMessageType {
+  /** Global message number from the FIT profile (e.g. 26 = workout). */
+  global: number;
+  fields: Record<string, FitField>;
+}
+
+const BASE_TYPES: Record<FitBaseType, { id: number; size: number; invalid: number }> = {
+  enum: { id: 0x00, size: 1, invalid: 0xff },
+  uint8: { id: 0x02, size: 1, invalid: 0xff },
+  uint16: { id: 0x84, size: 2, invalid: 0xffff },
+  uint32: { id: 0x86, size: 4, invalid: 0xffffffff },
+  uint32z: { id: 0x8c, size: 4, invalid: 0 },
+  string: { id: 0x07, size: 1, invalid: 0 },
+};
+
+/** FIT epoch: 1989-12-31T00:00:00Z, in Unix seconds. */
+const FIT_EPOCH_SECONDS = 631065600;
+const PROTOCOL_VERSION = 0x20;
+const PROFILE_VERSION = 2132;
+const HEADER_SIZE = 14;
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+/** The FIT CRC-16 over `bytes`, continuing from `crc`. */
+export function fitCrc(bytes: Uint8Array, crc = 0): number {
+  for (const byte of bytes) {
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+/** Seconds since the FIT epoch, the unit of every FIT timestamp. */
+export function toFitTimestamp(date: Date): number {
+  return Math.floor(date.getTime() / 1000) - FIT_EPOCH_SECONDS;
+}
+
+function fieldSize(field: FitField): number {
+  return field.type === "string" ? field.size ?? 16 : BASE_TYPES[field.type].size;
+}
+
+/**
+ * Accumulates FIT records and produces the finished file. Declare each message
+ * type once with `define`, then `write` as many messages of it as needed.
+ * Fields left out of a `write` call are encoded as the type's invalid value.
+ */
+export function createFitWriter() {
+  const records: number[] = [];
+  const locals = new Map<FitMessageType, number>();
+
+  function pushUint(value: number, size: number) {
+    for (let i = 0; i < size; i++) records.push((value >>> (8 * i)) & 0xff);
+  }
+
+  function pushString(value: string, size: number) {
+    const bytes = new TextEncoder().encode(value);
+    // Leave room for the terminator; callers keep strings ASCII so this never splits a character.
+    const length = Math.min(bytes.length, size - 1);
+    for (let i = 0; i < size; i++) records.push(i < length ? bytes[i] : 0);
+  }
+
+  return {
+    /** Emit a definition record for `type`, assigning it the next local message number. */
+    define(type: FitMessageType): void {
+      if (locals.has(type)) return;
+      const local = locals.size;
+      if (local > 15) throw new Error("FIT supports at most 16 local message types");
+      locals.set(type, local);
+      const fields = Object.values(type.fields);
+      records.push(0x40 | local, 0, 0);
+      pushUint(type.global, 2);
+      records.push(fields.length);
+      for (const field of fields) {
+        records.push(field.num, fieldSize(field), BASE_TYPES[field.type].id);
+      }
+    },
+
+    /** Emit a data record for a previously defined `type`. */
+    write(type: FitMessageType, values: Record<string, number | string | undefined>): void {
+      const local = locals.get(type);
+      if (local === undefined) throw new Error(`FIT message ${type.global} written before it was defined`);
+      records.push(local);
+      for (const [name, field] of Object.entries(type.fields)) {
+        const value = values[name];
+        if (field.type === "string") {
+          pushString(typeof value === "string" ? value : "", fieldSize(field));
+        } else {
+          const numeric = typeof value === "number" ? Math.round(value) : BASE_TYPES[field.type].invalid;
+          pushUint(numeric, fieldSize(field));
+        }
+      }
+    },
+
+    /** Wrap the records in a header and trailing CRC. */
+    finish(): Uint8Array<ArrayBuffer> {
+      const file = new Uint8Array(HEADER_SIZE + records.length + 2);
+      const view = new DataView(file.buffer);
+      view.setUint8(0, HEADER_SIZE);
+      view.setUint8(1, PROTOCOL_VERSION);
+      view.setUint16(2, PROFILE_VERSION, true);
+      view.setUint32(4, records.length, true);
+      file.set([0x2e, 0x46, 0x49, 0x54], 8); // ".FIT"
+      view.setUint16(12, fitCrc(file.subarray(0, 12)), true);
+      file.set(records, HEADER_SIZE);
+      const end = HEADER_SIZE + records.length;
+      view.setUint16(end, fitCrc(file.subarray(0, end)), true);
+      return file;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from "vitest";
+import { generateLaneSheet, scaleWorkoutToPace } from "./lanes";
+import { groupDistance, isSetGroup, parsePace } from "../workoutEngine";
+
+function flatten(items) {
+  return items.flatMap((item) => (isSetGroup(item) ? [item, ...flatten(item.items)] : [item]));
+}
+
+function itemsOf(workout) {
+  return workout.sections.flatMap((section) => flatten(section.items));
+}
+
+const input = { duration: 60, unit: "yards", focus: "any", seed: 42, paces: ["2:00", "1:30", "1:45"] };
+
+describe("generateLaneSheet", () => {
+  it("orders lanes fastest first and builds the reference at the fastest pace", () => {
+    const sheet = generateLaneSheet(input);
+    expect(sheet.lanes.map((lane) => lane.pace)).toEqual(["1:30", "1:45", "2:00"]);
+    expect(sheet.lanes.map((lane) => lane.lane)).toEqual([1, 2, 3]);
+    expect(sheet.lanes[0].workout).toBe(sheet.reference);
+    expect(sheet.reference.pace).toBe("1:30");
+  });
+
+  it("keeps every lane on the same sets", () => {
+    const sheet = generateLaneSheet(input);
+    const shape = (workout) => itemsOf(workout).map((item) => [item.description, item.stroke]);
+    for (const lane of sheet.lanes) {
+      expect(lane.workout.sections.map((s) => s.name)).toEqual(sheet.reference.sections.map((s) => s.name));
+      expect(shape(lane.workout)).toEqual(shape(sheet.reference));
+    }
+  });
+
+  it("fits slower lanes inside the fastest lane's clock", () => {
+    for (let seed = 1; seed <= 30; seed++) {
+      const sheet = generateLaneSheet({ ...input, seed });
+      const reference = itemsOf(sheet.reference);
+      for (const lane of sheet.lanes.slice(1)) {
+        const ratio = parsePace(lane.pace) / parsePace("1:30");
+        itemsOf(lane.workout).forEach((item, i) => {
+          const original = reference[i];
+          if (isSetGroup(item)) return;
+          if (original.interval && original.reps > 1) {
+            expect(item.distance).toBe(original.distance);
+            expect(item.reps * item.interval).toBeLessThanOrEqual(original.reps * original.interval);
+            expect(item.interval).toBeGreaterThanOrEqual(original.interval);
+          } else {
+            expect(item.distance).toBeLessThanOrEqual(original.distance);
+            expect(item.distance / ratio).toBeLessThanOrEqual(original.distance);
+          }
+        });
+        expect(lane.workout.totalDistance).toBeLessThan(sheet.reference.totalDistance);
+      }
+    }
+  });
+});
+
+describe("scaleWorkoutToPace", () => {
+  const workout = {
+    name: "Test",
+    duration: 30,
+    pace: "1:30",
+    unit: "yards",
+    totalDistance: 1300,
+    estimatedMinutes: 25,
+    sections: [
+      { name: "Warmup", distance: 300, items: [{ reps: 1, distance: 300, description: "Easy free", stroke: "free" }] },
+      {
+        name: "Main Set",
+        distance: 1000,
+        items: [
+          { reps: 8, distance: 100, interval: 100, intervalDisplay: "1:40", description: "Hold pace", stroke: "free" },
+          {
+            reps: 2,
+            distance: 100,
+            description: "2x through:",
+            stroke: "free",
+            isGroup: true,
+            items: [{ reps: 1, distance: 100, interval: 120, intervalDisplay: "2:00", description: "Fast", stroke: "free" }],
+          },
+        ],
+      },
+    ],
+  };
+
+  it("slows repeats down and drops reps, cutting single swims to whole lengths", () => {
+    const slow = scaleWorkoutToPace(workout, "1:30", "2:00");
+    const [warmup, main] = slow.sections;
+    expect(warmup.items[0].distance).toBe(225);
+    expect(main.items[0]).toMatchObject({ reps: 5, distance: 100, interval: 135, intervalDisplay: "2:15" });
+    expect(main.items[1].items[0]).toMatchObject({ reps: 1, distance: 75, interval: 120 });
+    expect(main.distance).toBe(groupDistance(main.items));
+    expect(slow.totalDistance).toBe(225 + 500 + 150);
+    expect(slow.pace).toBe("2:00");
+  });
+
+  it("leaves the workout alone at the same pace", () => {
+    const same = scaleWorkoutToPace(workout, "1:30", "1:30");
+    expect(same.totalDistance).toBe(workout.totalDistance);
+    expect(same.sections[1].items[0].reps).toBe(8);
+  });
+});
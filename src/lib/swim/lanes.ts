@@ -0,0 +1,90 @@
+/**
+ * Group practice: one workout, several lanes of different speeds.
+ *
+ * The workout is generated once at the fastest lane's pace, which fixes the set
+ * structure and the clock window of every set. Slower lanes swim the same sets
+ * inside the same windows: repeats keep their distance but get a slower send-off
+ * and fewer reps, and single swims keep their send-off (or none) but are cut to
+ * the whole lengths they can cover in the time.
+ */
+
+import {
+  estimateMinutes,
+  generateWorkout,
+  groupDistance,
+  isSetGroup,
+  parsePace,
+  roundTo5,
+  withIntervalDisplay,
+} from "../workoutEngine";
+import type { SetItem, Workout, WorkoutInput } from "../workoutEngine";
+import { DEFAULT_POOL_LENGTH } from "./pool";
+
+export interface Lane {
+  /** 1-based, fastest lane first. */
+  lane: number;
+  pace: string;
+  workout: Workout;
+}
+
+export interface LaneSheet {
+  /** The fastest lane's workout, which every other lane is scaled from. */
+  reference: Workout;
+  lanes: Lane[];
+}
+
+export type LaneInput = Omit<WorkoutInput, "pace" | "mainSet"> & {
+  /** One pace per 100 for each lane, in any order. */
+  paces: string[];
+};
+
+export const MIN_LANES = 2;
+export const MAX_LANES = 6;
+
+function scaleItem(item: SetItem, ratio: number, poolLength: number): SetItem {
+  if (isSetGroup(item)) {
+    const items = item.items.map((sub) => scaleItem(sub, ratio, poolLength));
+    return { ...item, items, distance: groupDistance(items) };
+  }
+
+  if (item.interval && item.reps > 1) {
+    // Same distance on a slower send-off, as many reps as fit in the original window.
+    const interval = roundTo5(item.interval * ratio);
+    const window = item.reps * item.interval;
+    return { ...item, interval, reps: Math.max(1, Math.floor(window / interval)) };
+  }
+
+  // A single swim keeps its window and gives up distance, in whole lengths.
+  const lengths = Math.max(1, Math.floor(item.distance / ratio / poolLength));
+  return { ...item, distance: Math.min(item.distance, lengths * poolLength) };
+}
+
+/** `workout` (built at `referencePace`) re-fit so a swimmer at `lanePace` finishes each set in the same window. */
+export function scaleWorkoutToPace(workout: Workout, referencePace: string, lanePace: string): Workout {
+  const ratio = parsePace(lanePace) / parsePace(referencePace);
+  const poolLength = workout.poolLength ?? DEFAULT_POOL_LENGTH;
+  const sections = workout.sections.map((section) => {
+    const items = section.items.map((item) => scaleItem(item, ratio, poolLength));
+    return { name: section.name, items: withIntervalDisplay(items), distance: groupDistance(items) };
+  });
+  return {
+    ...workout,
+    pace: lanePace,
+    sections,
+    totalDistance: sections.reduce((total, section) => total + section.distance, 0),
+    estimatedMinutes: estimateMinutes(sections, parsePace(lanePace)),
+  };
+}
+
+export function generateLaneSheet({ paces, ...input }: LaneInput): LaneSheet {
+  const ordered = [...paces].sort((a, b) => parsePace(a) - parsePace(b));
+  const reference = generateWorkout({ ...input, pace: ordered[0] });
+  return {
+    reference,
+    lanes: ordered.map((pace, i) => ({
+      lane: i + 1,
+      pace,
+      workout: i === 0 ? reference : scaleWorkoutToPace(reference, ordered[0], pace),
+    })),
+  };
+}
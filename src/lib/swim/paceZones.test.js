@@ -0,0 +1,66 @@
+import { describe, it, expect } from "vitest";
+import { generateWorkout } from "../workoutEngine";
+import { cssFromTest, isValidCssTest, paceZones, zonePace } from "./paceZones";
+
+describe("cssFromTest", () => {
+  it("is half the gap between the 400 and 200", () => {
+    // 5:40 and 2:40 → 180s / 2 = 1:30 per 100
+    expect(cssFromTest({ t400: 340, t200: 160 })).toBe(90);
+  });
+
+  it("rejects pairs that can't both be all-out swims", () => {
+    expect(isValidCssTest({ t400: 340, t200: 160 })).toBe(true);
+    expect(isValidCssTest({ t400: 160, t200: 340 })).toBe(false);
+    expect(isValidCssTest({ t400: 300, t200: 160 })).toBe(false);
+    expect(isValidCssTest({ t400: 0, t200: 0 })).toBe(false);
+  });
+});
+
+describe("paceZones", () => {
+  it("orders zones from easiest to fastest around CSS", () => {
+    const zones = paceZones(90);
+    expect(zones.recovery).toBeGreaterThan(zones.aerobic);
+    expect(zones.aerobic).toBeGreaterThan(zones.threshold);
+    expect(zones.threshold).toBeGreaterThan(90);
+    expect(zones.race).toBeLessThan(90);
+    expect(zones.sprint).toBeLessThan(zones.race);
+  });
+
+  it("slows strokes and kick relative to free, and speeds up fins", () => {
+    const zones = paceZones(90);
+    const free = zonePace(zones, "threshold");
+    expect(zonePace(zones, "threshold", "breast")).toBeGreaterThan(free);
+    expect(zonePace(zones, "threshold", "kick")).toBeGreaterThan(zonePace(zones, "threshold", "back"));
+    expect(zonePace(zones, "threshold", "fins")).toBeLessThan(free);
+  });
+});
+
+describe("generateWorkout with a CSS profile", () => {
+  const base = { duration: 60, unit: "meters", seed: 11 };
+
+  it("reports the CSS and its aerobic pace", () => {
+    const w = generateWorkout({ ...base, pace: { css: "1:30" } });
+    expect(w.css).toBe("1:30");
+    expect(w.pace).toBe("1:38");
+  });
+
+  it("builds a different set of send-offs than a single pace", () => {
+    const zoned = generateWorkout({ ...base, pace: { css: "1:30" } });
+    const flat = generateWorkout({ ...base, pace: "1:30" });
+    expect(zoned.name).toBe(flat.name);
+    expect(JSON.stringify(zoned.sections)).not.toBe(JSON.stringify(flat.sections));
+  });
+
+  it("leaves single-pace workouts without a CSS", () => {
+    expect(generateWorkout({ ...base, pace: "1:30" }).css).toBeUndefined();
+  });
+
+  it("only swims the CSS test when it's pinned", () => {
+    for (let seed = 1; seed <= 40; seed++) {
+      expect(generateWorkout({ ...base, seed, pace: "1:30", focus: "speed" }).name).not.toBe("CSS Test");
+    }
+    const test = generateWorkout({ ...base, pace: { css: "1:30" }, mainSet: "CSS Test" });
+    const main = test.sections.find((s) => s.name === "Main Set");
+    expect(main.items.map((i) => i.distance)).toEqual([400, 100, 200]);
+  });
+});
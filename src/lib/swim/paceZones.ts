@@ -0,0 +1,84 @@
+/**
+ * Critical Swim Speed (CSS) calibration and the training zones derived from it.
+ *
+ * CSS is the pace a swimmer can hold at threshold, estimated from two all-out
+ * time trials: (T400 − T200) / 2 gives seconds per 100. Each set intent then
+ * swims at a fixed offset from CSS, and strokes/gear scale that pace so a
+ * 100 breast or a kick set gets a realistic send-off.
+ */
+
+/** What a set is for — decides which zone its send-off is built from. */
+export type SetIntent = "recovery" | "aerobic" | "threshold" | "race" | "sprint";
+
+/** Strokes plus the gear that changes speed enough to matter for a send-off. */
+export type IntervalStroke =
+  | "free" | "back" | "breast" | "fly" | "IM" | "choice" | "mixed"
+  | "pull" | "kick" | "finsKick" | "fins";
+
+/** Pace per 100 (seconds) for each intent. */
+export type PaceZones = Record<SetIntent, number>;
+
+export interface CssTest {
+  /** 400 time trial, in seconds. */
+  t400: number;
+  /** 200 time trial, in seconds. */
+  t200: number;
+}
+
+/** Seconds per 100 added to (or taken off) CSS for each intent. */
+const ZONE_OFFSETS: PaceZones = {
+  recovery: 15,
+  aerobic: 8,
+  threshold: 2,
+  race: -2,
+  sprint: -6,
+};
+
+/** Stroke and gear pace relative to freestyle at the same effort. */
+export const STROKE_FACTORS: Record<IntervalStroke, number> = {
+  free: 1,
+  back: 1.1,
+  breast: 1.22,
+  fly: 1.12,
+  IM: 1.12,
+  choice: 1.08,
+  mixed: 1.1,
+  pull: 1.02,
+  kick: 1.35,
+  finsKick: 1.15,
+  fins: 0.9,
+};
+
+export const ZONE_LABELS: Record<SetIntent, string> = {
+  recovery: "Recovery",
+  aerobic: "Aerobic",
+  threshold: "Threshold",
+  race: "Race pace",
+  sprint: "Sprint",
+};
+
+/** A test is only usable if the 400 is slower per 100 than the 200, as it always is in practice. */
+export function isValidCssTest({ t400, t200 }: CssTest): boolean {
+  return t200 > 0 && t400 > t200 * 2 && t400 < t200 * 3;
+}
+
+/** CSS in seconds per 100 from a 400/200 time-trial pair. */
+export function cssFromTest({ t400, t200 }: CssTest): number {
+  return (t400 - t200) / 2;
+}
+
+/** Per-intent paces from a CSS (seconds per 100). */
+export function paceZones(css: number): PaceZones {
+  return {
+    recovery: css + ZONE_OFFSETS.recovery,
+    aerobic: css + ZONE_OFFSETS.aerobic,
+    threshold: css + ZONE_OFFSETS.threshold,
+    race: css + ZONE_OFFSETS.race,
+    sprint: css + ZONE_OFFSETS.sprint,
+  };
+}
+
+/** Pace per 100 for a set of the given intent and stroke. */
+export function zonePace(zones: PaceZones, intent: SetIntent, stroke: IntervalStroke = "free"): number {
+  return zones[intent] * STROKE_FACTORS[stroke];
+}
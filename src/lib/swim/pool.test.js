@@ -0,0 +1,63 @@
+import { describe, it, expect } from "vitest";
+import { generateWorkout } from "../workoutEngine";
+import { isValidPoolLength, snapToLengths, wallPaceAdjust } from "./pool";
+
+function allItems(workout) {
+  return workout.sections.flatMap((s) => s.items.flatMap((i) => i.items ?? [i]));
+}
+
+describe("pool helpers", () => {
+  it("slows long course and speeds up short pools relative to a 25", () => {
+    expect(wallPaceAdjust(25)).toBe(0);
+    expect(wallPaceAdjust(50)).toBeGreaterThan(0);
+    expect(wallPaceAdjust(20)).toBeLessThan(0);
+  });
+
+  it("snaps to the nearest whole length, rounding halves down but never below one", () => {
+    expect(snapToLengths(75, 50)).toBe(50);
+    expect(snapToLengths(150, 20)).toBe(140);
+    expect(snapToLengths(25, 50)).toBe(50);
+    expect(snapToLengths(50, 20)).toBe(40);
+    expect(snapToLengths(5, 20)).toBe(20);
+  });
+
+  it("accepts whole lengths in a sensible range", () => {
+    expect(isValidPoolLength(20)).toBe(true);
+    expect(isValidPoolLength(22.5)).toBe(false);
+    expect(isValidPoolLength(5)).toBe(false);
+  });
+});
+
+describe("generateWorkout in other pools", () => {
+  const seeds = Array.from({ length: 30 }, (_, i) => i + 1);
+
+  it("only uses whole lengths", () => {
+    for (const [poolLength, unit] of [[50, "meters"], [20, "yards"]]) {
+      for (const seed of seeds) {
+        const w = generateWorkout({ duration: 60, pace: "1:30", unit, poolLength, seed });
+        for (const item of allItems(w)) expect(item.distance % poolLength).toBe(0);
+        expect(w.poolLength).toBe(poolLength);
+      }
+    }
+  });
+
+  it("rewords drills that count in 25s", () => {
+    const descriptions = seeds.flatMap((seed) =>
+      allItems(generateWorkout({ duration: 90, pace: "1:30", unit: "meters", poolLength: 50, seed, focus: "technique" }))
+        .map((i) => i.description),
+    );
+    expect(descriptions.some((d) => /\b25\b/.test(d))).toBe(false);
+  });
+
+  it("covers less water in long course, where there are fewer walls", () => {
+    const total = (poolLength) =>
+      seeds.reduce((sum, seed) => sum + generateWorkout({ duration: 120, pace: "1:30", unit: "meters", poolLength, seed }).totalDistance, 0);
+    expect(total(50)).toBeLessThan(total(25));
+  });
+
+  it("leaves 25 pools exactly as before", () => {
+    const w = generateWorkout({ duration: 60, pace: "1:30", unit: "yards", poolLength: 25, seed: 9 });
+    expect(w).toEqual(generateWorkout({ duration: 60, pace: "1:30", unit: "yards", seed: 9 }));
+    expect(w.poolLength).toBeUndefined();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Pool lengths and what they change about a workout.
+ *
+ * The engine's templates are written for a 25 pool. Any other length gets the
+ * same sets snapped to whole lengths, and a pace adjustment for the walls: every
+ * turn is a push-off, so a 50m pool (two walls per 100) swims slower than a 25
+ * (four), and a 20y hotel pool (five) a touch faster.
+ */
+
+export interface PoolPreset {
+  /** "25y", "25m", "50m" */
+  label: string;
+  /** Competition course: short course yards, short course meters, long course meters. */
+  course: "SCY" | "SCM" | "LCM";
+  unit: "meters" | "yards";
+  length: number;
+}
+
+export const DEFAULT_POOL_LENGTH = 25;
+
+export const POOL_PRESETS: PoolPreset[] = [
+  { label: "25y", course: "SCY", unit: "yards", length: 25 },
+  { label: "25m", course: "SCM", unit: "meters", length: 25 },
+  { label: "50m", course: "LCM", unit: "meters", length: 50 },
+];
+
+/** Custom lengths are whole numbers — 15y to 100m covers every pool worth swimming in. */
+export const MIN_POOL_LENGTH = 10;
+export const MAX_POOL_LENGTH = 100;
+
+/** Seconds a push-off saves over open swimming, per wall. */
+const SECONDS_PER_WALL = 1;
+
+export function isValidPoolLength(length: number): boolean {
+  return Number.isInteger(length) && length >= MIN_POOL_LENGTH && length <= MAX_POOL_LENGTH;
+}
+
+/** Seconds per 100 to add to a 25-pool pace in this pool (negative for shorter pools). */
+export function wallPaceAdjust(poolLength: number): number {
+  const walls = (length: number) => 100 / length;
+  return SECONDS_PER_WALL * (walls(DEFAULT_POOL_LENGTH) - walls(poolLength));
+}
+
+/** Number of whole lengths closest to `distance`, never less than one. Halfway rounds down, so snapping doesn't add volume. */
+export function lengthsFor(distance: number, poolLength: number): number {
+  return Math.max(1, Math.ceil(distance / poolLength - 0.5));
+}
+
+/** `distance` rounded to whole lengths of the pool. */
+export function snapToLengths(distance: number, poolLength: number): number {
+  return lengthsFor(distance, poolLength) * poolLength;
+}
+
+/** "25y", "50m", "20y" */
+export function poolLabel(poolLength: number, unit: "meters" | "yards"): string {
+  return `${poolLength}${unit === "meters" ? "m" : "y"}`;
+}
@@ -0,0 +1,179 @@
+import { describe, it, expect } from "vitest";
+import {
+  exportLog,
+  loggableSets,
+  mergeSessions,
+  paceTrend,
+  parseDuration,
+  parseLogBackup,
+  sessionFromWorkout,
+  sessionPace,
+  streaks,
+  weeklyVolume,
+} from "./sessionLog";
+
+// Local-time dates so week and day boundaries don't depend on the runner's zone.
+const at = (y, m, d, h = 7) => new Date(y, m - 1, d, h).getTime();
+
+function session(overrides = {}) {
+  return {
+    id: String(overrides.completedAt ?? 1),
+    completedAt: at(2026, 5, 6),
+    name: "Threshold",
+    unit: "yards",
+    totalDistance: 3000,
+    sets: [],
+    ...overrides,
+  };
+}
+
+const workout = {
+  name: "Wave Set",
+  duration: 60,
+  pace: "1:30",
+  unit: "yards",
+  totalDistance: 1400,
+  estimatedMinutes: 30,
+  seed: 7,
+  sections: [
+    { name: "Warmup", distance: 400, items: [{ reps: 1, distance: 400, description: "Moderate free", stroke: "free" }] },
+    {
+      name: "Main Set",
+      distance: 1000,
+      items: [
+        { reps: 4, distance: 100, description: "Free — hold pace", stroke: "free" },
+        {
+          reps: 2,
+          distance: 300,
+          description: "2x through:",
+          stroke: "free",
+          isGroup: true,
+          items: [
+            { reps: 1, distance: 200, description: "Pull", stroke: "free" },
+            { reps: 1, distance: 100, description: "Kick", stroke: "choice" },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe("loggableSets", () => {
+  it("lists every set, multiplying group members by their rounds", () => {
+    const sets = loggableSets(workout);
+    expect(sets.map((s) => s.label)).toEqual([
+      "400y Moderate free",
+      "4 × 100y Free — hold pace",
+      "2x — 200y Pull",
+      "2x — 100y Kick",
+    ]);
+    expect(sets[2]).toMatchObject({ section: "Main Set", reps: 2, distance: 200 });
+  });
+
+  it("builds a session that keeps the seed for swimming it again", () => {
+    const logged = sessionFromWorkout(workout, { sets: [], rpe: 6 }, at(2026, 5, 6));
+    expect(logged).toMatchObject({ name: "Wave Set", unit: "yards", totalDistance: 1400, rpe: 6, seed: 7 });
+  });
+});
+
+describe("parseDuration", () => {
+  it("reads m:ss and h:mm:ss", () => {
+    expect(parseDuration("1:32")).toBe(92);
+    expect(parseDuration("58:30")).toBe(3510);
+    expect(parseDuration("1:05:30")).toBe(3930);
+  });
+
+  it("rejects anything else", () => {
+    expect(parseDuration("92")).toBeNull();
+    expect(parseDuration("1:75")).toBeNull();
+    expect(parseDuration("soon")).toBeNull();
+  });
+});
+
+describe("sessionPace", () => {
+  it("uses timed sets when there are any", () => {
+    const s = session({
+      totalSeconds: 3600,
+      sets: [
+        { section: "Main Set", label: "", reps: 4, distance: 100, seconds: 80 },
+        { section: "Main Set", label: "", reps: 2, distance: 200, seconds: 170 },
+        { section: "Cooldown", label: "", reps: 1, distance: 200 },
+      ],
+    });
+    // (4×80 + 2×170) / 800 × 100
+    expect(sessionPace(s, "yards")).toBeCloseTo(82.5);
+  });
+
+  it("falls back to total time, converting units", () => {
+    const s = session({ totalSeconds: 3000 });
+    expect(sessionPace(s, "yards")).toBe(100);
+    expect(sessionPace(s, "meters")).toBeCloseTo(100 / 0.9144);
+    expect(sessionPace(session(), "yards")).toBeNull();
+  });
+
+  it("trends timed sessions oldest first", () => {
+    const trend = paceTrend(
+      [session({ completedAt: at(2026, 5, 8), totalSeconds: 2700 }), session({ completedAt: at(2026, 5, 6), totalSeconds: 3000 }), session()],
+      "yards",
+    );
+    expect(trend.map((p) => p.pace)).toEqual([100, 90]);
+  });
+});
+
+describe("weeklyVolume", () => {
+  it("buckets sessions into Monday-start weeks, keeping empty weeks", () => {
+    const now = at(2026, 5, 13); // Wednesday
+    const weeks = weeklyVolume(
+      [
+        session({ completedAt: at(2026, 5, 11) }),
+        session({ completedAt: at(2026, 5, 12), unit: "meters", totalDistance: 2000 }),
+        session({ completedAt: at(2026, 4, 27) }),
+      ],
+      "yards",
+      4,
+      now,
+    );
+    expect(weeks).toHaveLength(4);
+    expect(weeks[3].weekStart).toBe(at(2026, 5, 11, 0));
+    expect(weeks[3]).toMatchObject({ sessions: 2, distance: 3000 + 2187 });
+    expect(weeks.map((w) => w.sessions)).toEqual([0, 1, 0, 2]);
+  });
+});
+
+describe("streaks", () => {
+  const now = at(2026, 5, 13);
+
+  it("counts weeks in a row, allowing this week to be empty so far", () => {
+    const log = [at(2026, 5, 5), at(2026, 4, 28), at(2026, 4, 21), at(2026, 4, 7), at(2026, 3, 31)].map((t) => session({ completedAt: t }));
+    expect(streaks(log, now)).toMatchObject({ currentWeeks: 3, longestWeeks: 3 });
+  });
+
+  it("counts days in a row ending today or yesterday", () => {
+    const log = [at(2026, 5, 12), at(2026, 5, 11), at(2026, 5, 9)].map((t) => session({ completedAt: t }));
+    expect(streaks(log, now).currentDays).toBe(2);
+    expect(streaks([], now)).toEqual({ currentWeeks: 0, longestWeeks: 0, currentDays: 0 });
+  });
+});
+
+describe("backup", () => {
+  it("round-trips through export and import", () => {
+    const log = [session({ id: "a" }), session({ id: "b", completedAt: at(2026, 5, 7) })];
+    expect(parseLogBackup(exportLog(log))).toEqual(log);
+  });
+
+  it("rejects files that aren't backups and drops malformed sessions", () => {
+    expect(() => parseLogBackup("{oops")).toThrow("valid JSON");
+    expect(() => parseLogBackup('{"sessions": []}')).toThrow("Lap Lab log backup");
+    const text = JSON.stringify({ version: 1, exportedAt: "", sessions: [session({ id: "a" }), { id: "bad" }] });
+    expect(parseLogBackup(text).map((s) => s.id)).toEqual(["a"]);
+  });
+
+  it("merges by id, newest first", () => {
+    const merged = mergeSessions(
+      [session({ id: "a", completedAt: at(2026, 5, 1) }), session({ id: "b", completedAt: at(2026, 5, 3), rpe: 4 })],
+      [session({ id: "b", completedAt: at(2026, 5, 3), rpe: 7 }), session({ id: "c", completedAt: at(2026, 5, 2) })],
+    );
+    expect(merged.map((s) => s.id)).toEqual(["b", "c", "a"]);
+    expect(merged[0].rpe).toBe(7);
+  });
+});
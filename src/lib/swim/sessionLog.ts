@@ -0,0 +1,282 @@
+/**
+ * Completed swims: what was actually swum, how long it took and how it felt,
+ * plus the weekly volume, pace and streak numbers the Log tab charts.
+ *
+ * Sessions live in one log per device in localStorage (see ./storage); everything
+ * here is pure so the stats can be tested without a browser.
+ */
+
+import { isSetGroup } from "../workoutEngine";
+import type { Workout } from "../workoutEngine";
+import { MS_PER_DAY } from "../time";
+
+// ─── Types ──────────────────────────────────────────────────────────────────────
+
+export interface LoggedSet {
+  section: string;
+  /** "8 × 100y Free — hold pace" */
+  label: string;
+  reps: number;
+  distance: number;
+  /** Average time per rep, in seconds. */
+  seconds?: number;
+}
+
+export interface LoggedSession {
+  id: string;
+  completedAt: number;
+  name: string;
+  unit: "meters" | "yards";
+  poolLength?: number;
+  totalDistance: number;
+  /** Whole session on the clock, rest included, in seconds. */
+  totalSeconds?: number;
+  sets: LoggedSet[];
+  /** Rate of perceived exertion, 1 (easy) to 10 (all-out). */
+  rpe?: number;
+  notes?: string;
+  /** Seed the workout was generated from, so it can be swum again. */
+  seed?: number;
+}
+
+export interface LogBackup {
+  version: 1;
+  exportedAt: string;
+  sessions: LoggedSession[];
+}
+
+export const RPE_OPTIONS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+
+const METERS_PER_YARD = 0.9144;
+const BACKUP_VERSION = 1;
+
+// ─── Building a log entry ──────────────────────────────────────────────────────
+
+function setLabel(reps: number, distance: number, unit: string, description: string): string {
+  return `${reps > 1 ? `${reps} × ` : ""}${distance}${unit} ${description}`;
+}
+
+/** Every timed piece of a workout, with group members multiplied out by their rounds. */
+export function loggableSets(workout: Workout): LoggedSet[] {
+  const unit = workout.unit === "meters" ? "m" : "y";
+  return workout.sections.flatMap((section) =>
+    section.items.flatMap((item) => {
+      if (!isSetGroup(item)) {
+        return [{ section: section.name, label: setLabel(item.reps, item.distance, unit, item.description), reps: item.reps, distance: item.distance }];
+      }
+      return item.items.map((sub) => ({
+        section: section.name,
+        label: `${item.reps}x — ${setLabel(sub.reps, sub.distance, unit, sub.description)}`,
+        reps: item.reps * sub.reps,
+        distance: sub.distance,
+      }));
+    }),
+  );
+}
+
+export function sessionFromWorkout(
+  workout: Workout,
+  actual: Pick<LoggedSession, "totalSeconds" | "sets" | "rpe" | "notes">,
+  completedAt: number = Date.now(),
+): LoggedSession {
+  return {
+    id: `${completedAt.toString(36)}-${(workout.seed ?? 0).toString(36)}`,
+    completedAt,
+    name: workout.name,
+    unit: workout.unit === "yards" ? "yards" : "meters",
+    ...(workout.poolLength ? { poolLength: workout.poolLength } : {}),
+    totalDistance: workout.totalDistance,
+    ...actual,
+    ...(workout.seed !== undefined ? { seed: workout.seed } : {}),
+  };
+}
+
+// ─── Input ─────────────────────────────────────────────────────────────────────
+
+/** "1:05:30", "52:10" or "1:25" → seconds; null if it isn't a clock time. */
+export function parseDuration(text: string): number | null {
+  const match = text.trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [, hours, minutes, seconds] = match;
+  if (parseInt(seconds, 10) >= 60 || (hours && parseInt(minutes, 10) >= 60)) return null;
+  return (parseInt(hours ?? "0", 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10);
+}
+
+// ─── Stats ─────────────────────────────────────────────────────────────────────
+
+/** Distance in `unit`, converting sessions swum in the other one. */
+export function distanceIn(session: LoggedSession, unit: "meters" | "yards"): number {
+  if (session.unit === unit) return session.totalDistance;
+  return unit === "meters"
+    ? session.totalDistance * METERS_PER_YARD
+    : session.totalDistance / METERS_PER_YARD;
+}
+
+/**
+ * Seconds per 100 in `unit`. Timed sets give swimming pace; with only a total
+ * time it's the session's pace, rest included. Null when nothing was timed.
+ */
+export function sessionPace(session: LoggedSession, unit: "meters" | "yards"): number | null {
+  const scale = distanceIn(session, unit) / session.totalDistance;
+  const timed = session.sets.filter((set) => set.seconds);
+  if (timed.length > 0) {
+    const seconds = timed.reduce((sum, set) => sum + set.reps * set.seconds!, 0);
+    const distance = timed.reduce((sum, set) => sum + set.reps * set.distance, 0) * scale;
+    return (seconds / distance) * 100;
+  }
+  if (session.totalSeconds) return (session.totalSeconds / (session.totalDistance * scale)) * 100;
+  return null;
+}
+
+/** Midnight on the Monday starting the (local) week containing `timestamp`. */
+export function weekStart(timestamp: number): number {
+  const d = new Date(timestamp);
+  d.setHours(0, 0, 0, 0);
+  const daysFromMonday = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - daysFromMonday);
+  return d.getTime();
+}
+
+/** Step back whole weeks from a Monday, staying on local midnight across DST. */
+function weeksBefore(monday: number, weeks: number): number {
+  const d = new Date(monday);
+  d.setDate(d.getDate() - weeks * 7);
+  return d.getTime();
+}
+
+export interface WeekVolume {
+  weekStart: number;
+  distance: number;
+  sessions: number;
+}
+
+/** Distance per week for the last `weeks` weeks, oldest first, including empty weeks. */
+export function weeklyVolume(
+  sessions: LoggedSession[],
+  unit: "meters" | "yards",
+  weeks = 12,
+  now: number = Date.now(),
+): WeekVolume[] {
+  const current = weekStart(now);
+  const buckets: WeekVolume[] = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    buckets.push({ weekStart: weeksBefore(current, i), distance: 0, sessions: 0 });
+  }
+  for (const session of sessions) {
+    const bucket = buckets.find((b) => b.weekStart === weekStart(session.completedAt));
+    if (!bucket) continue;
+    bucket.distance += Math.round(distanceIn(session, unit));
+    bucket.sessions += 1;
+  }
+  return buckets;
+}
+
+export interface PacePoint {
+  completedAt: number;
+  /** Seconds per 100. */
+  pace: number;
+  rpe?: number;
+}
+
+/** Pace of every timed session, oldest first. */
+export function paceTrend(sessions: LoggedSession[], unit: "meters" | "yards"): PacePoint[] {
+  return sessions
+    .map((session) => ({ session, pace: sessionPace(session, unit) }))
+    .filter((point): point is { session: LoggedSession; pace: number } => point.pace !== null)
+    .sort((a, b) => a.session.completedAt - b.session.completedAt)
+    .map(({ session, pace }) => ({
+      completedAt: session.completedAt,
+      pace: Math.round(pace),
+      ...(session.rpe ? { rpe: session.rpe } : {}),
+    }));
+}
+
+export interface Streaks {
+  /** Consecutive weeks with a swim, ending this week (or last, if this week is still empty). */
+  currentWeeks: number;
+  longestWeeks: number;
+  /** Consecutive days with a swim, ending today or yesterday. */
+  currentDays: number;
+}
+
+function runEndingAt(keys: Set<number>, end: number, step: (key: number) => number): number {
+  let run = 0;
+  for (let key = end; keys.has(key); key = step(key)) run++;
+  return run;
+}
+
+function dayStart(timestamp: number): number {
+  const d = new Date(timestamp);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+/** Back one local day, landing on midnight even across DST changes. */
+function dayBefore(day: number): number {
+  return dayStart(day - MS_PER_DAY / 2);
+}
+
+export function streaks(sessions: LoggedSession[], now: number = Date.now()): Streaks {
+  const weeks = new Set(sessions.map((s) => weekStart(s.completedAt)));
+  const days = new Set(sessions.map((s) => dayStart(s.completedAt)));
+  const previousWeek = (monday: number) => weeksBefore(monday, 1);
+
+  const thisWeek = weekStart(now);
+  const currentWeeks = runEndingAt(weeks, weeks.has(thisWeek) ? thisWeek : previousWeek(thisWeek), previousWeek);
+
+  // Measure each run back from its last week.
+  let longestWeeks = 0;
+  for (const monday of weeks) {
+    if (weeks.has(weeksBefore(monday, -1))) continue;
+    longestWeeks = Math.max(longestWeeks, runEndingAt(weeks, monday, previousWeek));
+  }
+
+  const today = dayStart(now);
+  const currentDays = runEndingAt(days, days.has(today) ? today : dayBefore(today), dayBefore);
+
+  return { currentWeeks, longestWeeks, currentDays };
+}
+
+// ─── Backup ────────────────────────────────────────────────────────────────────
+
+export function exportLog(sessions: LoggedSession[], now: Date = new Date()): string {
+  const backup: LogBackup = { version: BACKUP_VERSION, exportedAt: now.toISOString(), sessions };
+  return JSON.stringify(backup, null, 2);
+}
+
+function isLoggedSession(value: unknown): value is LoggedSession {
+  if (!value || typeof value !== "object") return false;
+  const s = value as Partial<LoggedSession>;
+  return (
+    typeof s.id === "string" &&
+    typeof s.completedAt === "number" &&
+    typeof s.name === "string" &&
+    (s.unit === "meters" || s.unit === "yards") &&
+    typeof s.totalDistance === "number" &&
+    s.totalDistance > 0 &&
+    Array.isArray(s.sets)
+  );
+}
+
+/** Read a backup file. Throws with a message fit for the user when it isn't one. */
+export function parseLogBackup(text: string): LoggedSession[] {
+  let data: unknown;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("That file isn't valid JSON.");
+  }
+  const backup = data as Partial<LogBackup>;
+  if (!backup || backup.version !== BACKUP_VERSION || !Array.isArray(backup.sessions)) {
+    throw new Error("That doesn't look like a Lap Lab log backup.");
+  }
+  return backup.sessions.filter(isLoggedSession);
+}
+
+/** Union of two logs by session id (incoming wins), newest first. */
+export function mergeSessions(existing: LoggedSession[], incoming: LoggedSession[]): LoggedSession[] {
+  const byId = new Map(existing.map((s) => [s.id, s]));
+  for (const session of incoming) byId.set(session.id, session);
+  return [...byId.values()].sort((a, b) => b.completedAt - a.completedAt);
+}
+
@@ -0,0 +1,64 @@
+import { safeGet, safeSet } from "../localStorage";
+import { formatTime } from "../workoutEngine";
+import { cssFromTest } from "./paceZones";
+import type { CssTest } from "./paceZones";
+import { mergeSessions } from "./sessionLog";
+import type { LoggedSession } from "./sessionLog";
+
+// ─── CSS history ────────────────────────────────────────────────────────────────
+
+export interface CssEntry extends CssTest {
+  /** CSS per 100 as "m:ss". */
+  css: string;
+  unit: "meters" | "yards";
+  timestamp: number;
+}
+
+const CSS_KEY = "laplab_css";
+const CSS_MAX = 20;
+
+/** Every saved CSS test, newest first. */
+export function loadCssHistory(): CssEntry[] {
+  return safeGet<CssEntry[]>(CSS_KEY) ?? [];
+}
+
+/** Most recent CSS for a pool unit — a yards test doesn't calibrate a meters pool. */
+export function latestCss(history: CssEntry[], unit: "meters" | "yards"): CssEntry | null {
+  return history.find((entry) => entry.unit === unit) ?? null;
+}
+
+export function saveCssTest(test: CssTest, unit: "meters" | "yards", timestamp = Date.now()): CssEntry {
+  const entry: CssEntry = {
+    ...test,
+    css: formatTime(Math.round(cssFromTest(test))),
+    unit,
+    timestamp,
+  };
+  safeSet(CSS_KEY, [entry, ...loadCssHistory()].slice(0, CSS_MAX));
+  return entry;
+}
+
+// ─── Session log ────────────────────────────────────────────────────────────────
+
+const LOG_KEY = "laplab_log";
+
+/** Completed swims, newest first. */
+export function loadSessionLog(): LoggedSession[] {
+  return safeGet<LoggedSession[]>(LOG_KEY) ?? [];
+}
+
+export function saveSessionLog(sessions: LoggedSession[]): void {
+  safeSet(LOG_KEY, sessions);
+}
+
+export function logSession(session: LoggedSession): LoggedSession[] {
+  const updated = mergeSessions(loadSessionLog(), [session]);
+  saveSessionLog(updated);
+  return updated;
+}
+
+export function deleteLoggedSession(id: string): LoggedSession[] {
+  const updated = loadSessionLog().filter((session) => session.id !== id);
+  saveSessionLog(updated);
+  return updated;
+}
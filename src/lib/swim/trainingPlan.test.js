@@ -0,0 +1,116 @@
+import { describe, it, expect } from "vitest";
+import { generatePlan, planPhases, planVolumes } from "./trainingPlan";
+
+describe("planPhases", () => {
+  it("ends every block with a taper", () => {
+    for (const weeks of [4, 6, 8, 10, 12]) {
+      const phases = planPhases(weeks);
+      expect(phases).toHaveLength(weeks);
+      expect(phases[weeks - 1]).toBe("taper");
+    }
+  });
+
+  it("runs base before build before taper", () => {
+    const order = { base: 0, build: 1, taper: 2 };
+    const phases = planPhases(10);
+    for (let i = 1; i < phases.length; i++) {
+      expect(order[phases[i]]).toBeGreaterThanOrEqual(order[phases[i - 1]]);
+    }
+    expect(phases).toContain("base");
+    expect(phases).toContain("build");
+  });
+
+  it("uses a two-week taper once the block is long enough", () => {
+    expect(planPhases(6).filter((p) => p === "taper")).toHaveLength(1);
+    expect(planPhases(8).filter((p) => p === "taper")).toHaveLength(2);
+  });
+});
+
+describe("planVolumes", () => {
+  it("drops volume every fourth week", () => {
+    const volumes = planVolumes(planPhases(12));
+    expect(volumes[3].recovery).toBe(true);
+    expect(volumes[7].recovery).toBe(true);
+    expect(volumes[3].volume).toBeLessThan(volumes[2].volume);
+  });
+
+  it("climbs week over week between recovery weeks", () => {
+    const volumes = planVolumes(planPhases(12));
+    expect(volumes[1].volume).toBeGreaterThan(volumes[0].volume);
+    expect(volumes[2].volume).toBeGreaterThan(volumes[1].volume);
+  });
+
+  it("tapers into race week", () => {
+    const volumes = planVolumes(planPhases(8));
+    expect(volumes[7].volume).toBeLessThan(volumes[6].volume);
+    expect(volumes[6].volume).toBeLessThan(volumes[5].volume);
+  });
+});
+
+describe("generatePlan", () => {
+  const defaults = {
+    raceDistance: 1650,
+    weeks: 8,
+    sessionsPerWeek: 3,
+    sessionMinutes: 60,
+    pace: "1:30",
+    unit: "yards",
+    seed: 42,
+  };
+
+  it("builds one week per requested week with the requested sessions", () => {
+    const plan = generatePlan(defaults);
+    expect(plan.weeks).toHaveLength(8);
+    for (const week of plan.weeks) {
+      expect(week.sessions).toHaveLength(3);
+    }
+    expect(plan.name).toBe("1650y in 8 weeks");
+  });
+
+  it("is reproducible from the plan seed", () => {
+    const a = generatePlan(defaults);
+    const b = generatePlan(defaults);
+    expect(a.totalDistance).toBe(b.totalDistance);
+    expect(a.weeks.map((w) => w.sessions.map((s) => s.seed))).toEqual(
+      b.weeks.map((w) => w.sessions.map((s) => s.seed)),
+    );
+  });
+
+  it("gives every session its own seed", () => {
+    const plan = generatePlan(defaults);
+    const seeds = plan.weeks.flatMap((w) => w.sessions.map((s) => s.seed));
+    expect(new Set(seeds).size).toBe(seeds.length);
+  });
+
+  it("totals match the sum of the sessions", () => {
+    const plan = generatePlan(defaults);
+    for (const week of plan.weeks) {
+      const sum = week.sessions.reduce((acc, s) => acc + s.workout.totalDistance, 0);
+      expect(week.totalDistance).toBe(sum);
+    }
+    expect(plan.totalDistance).toBe(plan.weeks.reduce((acc, w) => acc + w.totalDistance, 0));
+  });
+
+  it("swims less in race week than at peak", () => {
+    const plan = generatePlan(defaults);
+    const peak = Math.max(...plan.weeks.map((w) => w.totalDistance));
+    expect(plan.weeks[7].totalDistance).toBeLessThan(peak);
+  });
+
+  it("opens the build phase with a time trial and ends on race pace", () => {
+    const plan = generatePlan(defaults);
+    const firstBuild = plan.weeks.find((w) => w.phase === "build");
+    expect(firstBuild.sessions[0].workout.name).toBe("Time Trial");
+    const last = plan.weeks[7].sessions[2];
+    expect(last.workout.name).toBe("Race Pace");
+  });
+
+  it("keeps speed work out of recovery weeks", () => {
+    const plan = generatePlan({ ...defaults, weeks: 12 });
+    for (const week of plan.weeks.filter((w) => w.recovery)) {
+      for (const session of week.sessions) {
+        expect(session.focus).not.toBe("speed");
+      }
+    }
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Multi-week training plans built on top of `generateWorkout`.
+ *
+ * A plan is a periodized block for one race goal:
+ *  - Base  — aerobic volume and technique, volume climbing week over week
+ *  - Build — speed and threshold work at peak volume
+ *  - Taper — shorter, sharper sessions ending in race week
+ *
+ * Every fourth base/build week is a recovery week at reduced volume. Each
+ * session is an ordinary seeded workout, so a whole plan is reproducible from
+ * its inputs plus one plan seed — which is what makes it shareable by URL.
+ */
+
+import { ALL_EQUIPMENT, generateWorkout } from "../workoutEngine";
+import type { EquipmentOptions, Workout, WorkoutFocus, WorkoutInput } from "../workoutEngine";
+import { DEFAULT_POOL_LENGTH } from "./pool";
+
+// ─── Types ──────────────────────────────────────────────────────────────────────
+
+export type PlanPhase = "base" | "build" | "taper";
+
+export interface PlanInput {
+  /** Goal race distance in the plan's unit, e.g. 1650 (yards) or 1500 (meters). */
+  raceDistance: number;
+  weeks: number;
+  sessionsPerWeek: number;
+  /** Typical session length in minutes at full volume. */
+  sessionMinutes: number;
+  /** Comfortable pace per 100, or a CSS profile to build every session's send-offs from zones. */
+  pace: WorkoutInput["pace"];
+  unit: "meters" | "yards";
+  /** Pool length in `unit` every session is swum in; defaults to 25. */
+  poolLength?: number;
+  seed?: number;
+  equipment?: EquipmentOptions;
+}
+
+export interface PlanSession {
+  /** 1-based position within the week. */
+  slot: number;
+  focus: WorkoutFocus;
+  duration: number;
+  seed: number;
+  /** Main-set template pinned for key sessions (time trial, race rehearsal). */
+  mainSet?: string;
+  workout: Workout;
+}
+
+export interface PlanWeek {
+  /** 1-based week number. */
+  week: number;
+  phase: PlanPhase;
+  recovery: boolean;
+  /** Fraction of full session volume this week is built at. */
+  volume: number;
+  totalDistance: number;
+  sessions: PlanSession[];
+}
+
+export interface TrainingPlan {
+  name: string;
+  raceDistance: number;
+  unit: "meters" | "yards";
+  /** Aerobic pace per 100 the sessions are built at. */
+  pace: string;
+  /** CSS per 100 when the plan was built from a CSS profile. */
+  css?: string;
+  /** Pool length in `unit`, when it isn't a 25. */
+  poolLength?: number;
+  sessionsPerWeek: number;
+  sessionMinutes: number;
+  equipment: EquipmentOptions;
+  totalDistance: number;
+  weeks: PlanWeek[];
+  seed: number;
+}
+
+// ─── Constants ─────────────────────────────────────────────────────────────────
+
+export const PLAN_WEEK_OPTIONS = [4, 6, 8, 10, 12];
+export const PLAN_SESSION_OPTIONS = [2, 3, 4, 5];
+
+/** Common pool race distances per unit — the goals offered in the plan picker. */
+export const RACE_DISTANCES: Record<"meters" | "yards", number[]> = {
+  meters: [400, 800, 1500],
+  yards: [500, 1000, 1650],
+};
+
+/** Session focus rotation within a week, per phase. */
+const PHASE_FOCUS: Record<PlanPhase, WorkoutFocus[]> = {
+  base: ["endurance", "technique", "endurance", "any", "endurance"],
+  build: ["speed", "endurance", "speed", "technique", "endurance"],
+  taper: ["speed", "technique", "any", "speed", "technique"],
+};
+
+const RECOVERY_EVERY = 4;
+const RECOVERY_VOLUME = 0.7;
+const START_VOLUME = 0.85;
+const VOLUME_STEP = 0.05;
+const PEAK_VOLUME = 1.15;
+/** Taper volumes, counted back from race week (last entry is race week). */
+const TAPER_VOLUMES = [0.75, 0.55];
+
+const SHORTEST_SESSION = 20;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Mix a plan seed with a session position into an independent 31-bit workout seed. */
+function sessionSeed(planSeed: number, week: number, slot: number): number {
+  let h = Math.imul(planSeed ^ 0x9e3779b9, 0x85ebca6b);
+  h = Math.imul(h ^ (week * 0x27d4eb2d), 0xc2b2ae35);
+  h = Math.imul(h ^ (slot * 0x165667b1), 0x85ebca6b);
+  return ((h ^ (h >>> 16)) >>> 0) % 2147483647 || 1;
+}
+
+/** Taper length: one week for short blocks, two once there is room to build first. */
+function taperWeeks(weeks: number): number {
+  return weeks >= 8 ? 2 : 1;
+}
+
+/** Split a block into phases: taper at the end, the rest ~45% base / 55% build. */
+export function planPhases(weeks: number): PlanPhase[] {
+  const taper = Math.min(taperWeeks(weeks), weeks);
+  const training = weeks - taper;
+  const base = Math.max(training > 1 ? 1 : 0, Math.round(training * 0.45));
+  return Array.from({ length: weeks }, (_, i) => {
+    if (i < base) return "base";
+    if (i < training) return "build";
+    return "taper";
+  });
+}
+
+/**
+ * Volume factor for every week: a steady climb through base and build with a
+ * drop every fourth week, then the taper steps down into race week.
+ */
+export function planVolumes(phases: PlanPhase[]): Array<{ volume: number; recovery: boolean }> {
+  const taperStart = phases.indexOf("taper");
+  const trainingWeeks = taperStart === -1 ? phases.length : taperStart;
+  let loadedWeeks = 0;
+
+  return phases.map((phase, i) => {
+    if (phase === "taper") {
+      const fromEnd = phases.length - 1 - i;
+      const volumes = TAPER_VOLUMES.slice(-(phases.length - taperStart));
+      return { volume: volumes[volumes.length - 1 - fromEnd], recovery: false };
+    }
+    // Never schedule a recovery week right before the taper — that's what the taper is for.
+    const recovery = (i + 1) % RECOVERY_EVERY === 0 && i < trainingWeeks - 1;
+    if (recovery) return { volume: RECOVERY_VOLUME, recovery };
+    const volume = Math.min(PEAK_VOLUME, START_VOLUME + loadedWeeks * VOLUME_STEP);
+    loadedWeeks++;
+    return { volume: Math.round(volume * 100) / 100, recovery };
+  });
+}
+
+/** Scale the base session length by a week's volume, in whole 5-minute steps. */
+function sessionDuration(sessionMinutes: number, volume: number): number {
+  return Math.max(SHORTEST_SESSION, Math.round((sessionMinutes * volume) / 5) * 5);
+}
+
+/**
+ * Key sessions get a pinned main set: a time trial to open the build phase
+ * (re-checking pace before the hard weeks) and race-pace work as the final
+ * session of the plan.
+ */
+function keySessionMainSet(phase: PlanPhase, previousPhase: PlanPhase | undefined, slot: number, isLast: boolean): string | undefined {
+  if (isLast) return "Race Pace";
+  if (slot === 1 && phase === "build" && previousPhase === "base") return "Time Trial";
+  return undefined;
+}
+
+function planName(raceDistance: number, unit: "meters" | "yards", weeks: number): string {
+  return `${raceDistance}${unit === "meters" ? "m" : "y"} in ${weeks} weeks`;
+}
+
+// ─── Generator ─────────────────────────────────────────────────────────────────
+
+export function generatePlan({
+  raceDistance,
+  weeks,
+  sessionsPerWeek,
+  sessionMinutes,
+  pace,
+  unit,
+  poolLength,
+  seed,
+  equipment,
+}: PlanInput): TrainingPlan {
+  const planSeed = seed ?? Math.floor(Math.random() * 2147483647);
+  const phases = planPhases(weeks);
+  const volumes = planVolumes(phases);
+  const built: PlanWeek[] = [];
+
+  phases.forEach((phase, i) => {
+    const week = i + 1;
+    const { volume, recovery } = volumes[i];
+    const focuses = PHASE_FOCUS[phase];
+    const duration = sessionDuration(sessionMinutes, volume);
+
+    const sessions: PlanSession[] = [];
+    for (let slot = 1; slot <= sessionsPerWeek; slot++) {
+      const isLast = week === weeks && slot === sessionsPerWeek;
+      // Recovery weeks trade the speed slots for easy aerobic swimming.
+      const rotated = focuses[(slot - 1) % focuses.length];
+      const focus: WorkoutFocus = recovery && rotated === "speed" ? "endurance" : rotated;
+      const mainSet = keySessionMainSet(phase, phases[i - 1], slot, isLast);
+      const sSeed = sessionSeed(planSeed, week, slot);
+      const workout = generateWorkout({ duration, pace, unit, poolLength, seed: sSeed, focus, equipment, mainSet });
+      sessions.push({ slot, focus, duration, seed: sSeed, mainSet, workout });
+    }
+
+    built.push({
+      week,
+      phase,
+      recovery,
+      volume,
+      totalDistance: sessions.reduce((total, s) => total + s.workout.totalDistance, 0),
+      sessions,
+    });
+  });
+
+  return {
+    name: planName(raceDistance, unit, weeks),
+    raceDistance,
+    unit,
+    // Every session shares the same base pace — the aerobic zone when built from CSS.
+    pace: built[0].sessions[0].workout.pace,
+    ...(typeof pace === "string" ? {} : { css: pace.css }),
+    ...(poolLength && poolLength !== DEFAULT_POOL_LENGTH ? { poolLength } : {}),
+    sessionsPerWeek,
+    sessionMinutes,
+    equipment: equipment ?? ALL_EQUIPMENT,
+    totalDistance: built.reduce((total, w) => total + w.totalDistance, 0),
+    weeks: built,
+    seed: planSeed,
+  };
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect } from "vitest";
+import { generateWorkout } from "../workoutEngine";
+import { fitCrc } from "./fitEncoder";
+import { workoutToFit, workoutToGarminJson, workoutToSteps } from "./workoutExport";
+
+const sample = {
+  name: "Wave Set",
+  duration: 60,
+  pace: "1:30",
+  unit: "yards",
+  totalDistance: 1400,
+  estimatedMinutes: 30,
+  seed: 7,
+  sections: [
+    {
+      name: "Warmup",
+      distance: 400,
+      items: [{ reps: 1, distance: 400, description: "Moderate free", stroke: "free" }],
+    },
+    {
+      name: "Main Set",
+      distance: 1000,
+      items: [
+        { reps: 4, distance: 100, interval: 100, intervalDisplay: "1:40", description: "Free — hold pace", stroke: "free" },
+        {
+          reps: 2,
+          distance: 300,
+          description: "2x through:",
+          stroke: "free",
+          isGroup: true,
+          items: [
+            { reps: 1, distance: 200, interval: 200, intervalDisplay: "3:20", description: "Pull", stroke: "free", equipment: "pull" },
+            { reps: 1, distance: 100, description: "Kick", stroke: "choice", equipment: "kickboard" },
+          ],
+        },
+      ],
+    },
+  ],
+};
+
+describe("workoutToSteps", () => {
+  it("keeps single continuous swims as plain swim steps", () => {
+    const [warmup] = workoutToSteps(sample);
+    expect(warmup).toMatchObject({ kind: "swim", distance: 400, intensity: "warmup" });
+  });
+
+  it("turns reps into a repeat block with a rest step from the interval", () => {
+    const steps = workoutToSteps(sample);
+    expect(steps[1]).toEqual({
+      kind: "repeat",
+      times: 4,
+      steps: [
+        expect.objectContaining({ kind: "swim", distance: 100, intensity: "active" }),
+        { kind: "rest", seconds: 10 },
+      ],
+    });
+  });
+
+  it("turns set groups into a repeat block over the whole round", () => {
+    const group = workoutToSteps(sample)[2];
+    expect(group.kind).toBe("repeat");
+    expect(group.times).toBe(2);
+    expect(group.steps.map((s) => s.kind)).toEqual(["swim", "rest", "swim"]);
+  });
+});
+
+describe("workoutToFit", () => {
+  const file = workoutToFit(sample, new Date("2026-05-01T12:00:00Z"));
+
+  it("writes a valid FIT header", () => {
+    expect(file[0]).toBe(14);
+    expect(String.fromCharCode(...file.subarray(8, 12))).toBe(".FIT");
+    const view = new DataView(file.buffer);
+    expect(view.getUint32(4, true)).toBe(file.length - 16);
+    expect(fitCrc(file.subarray(0, 14))).toBe(0);
+  });
+
+  it("ends in a CRC covering the whole file", () => {
+    expect(fitCrc(file)).toBe(0);
+  });
+
+  it("encodes generated workouts too", () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const bytes = workoutToFit(generateWorkout({ duration: 60, pace: "1:30", unit: "meters", seed }));
+      expect(fitCrc(bytes)).toBe(0);
+    }
+  });
+});
+
+describe("workoutToGarminJson", () => {
+  const json = workoutToGarminJson(sample);
+
+  it("describes a swimming workout in the pool's unit", () => {
+    expect(json.workoutName).toBe("Wave Set");
+    expect(json.sportType.sportTypeKey).toBe("swimming");
+    expect(json.poolLengthUnit.unitKey).toBe("yard");
+  });
+
+  it("carries the workout's pool length, defaulting to a 25", () => {
+    expect(json.poolLength).toBe(25);
+    expect(workoutToGarminJson({ ...sample, unit: "meters", poolLength: 50 }).poolLength).toBe(50);
+  });
+
+  it("nests repeat groups with their iteration counts", () => {
+    const [warmup, reps, group] = json.workoutSegments[0].workoutSteps;
+    expect(warmup.stepType.stepTypeKey).toBe("warmup");
+    expect(reps.type).toBe("RepeatGroupDTO");
+    expect(reps.numberOfIterations).toBe(4);
+    expect(group.workoutSteps).toHaveLength(3);
+    expect(group.workoutSteps[0].equipmentType.equipmentTypeKey).toBe("pull_buoy");
+    expect(group.workoutSteps[1].stepType.stepTypeKey).toBe("rest");
+  });
+
+  it("numbers steps in order through nested groups", () => {
+    const orders = [];
+    const walk = (steps) => steps.forEach((s) => { orders.push(s.stepOrder); if (s.workoutSteps) walk(s.workoutSteps); });
+    walk(json.workoutSegments[0].workoutSteps);
+    expect(orders).toEqual(orders.map((_, i) => i + 1));
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Export a generated workout for loading onto a watch: a FIT workout file and a
+ * Garmin Connect-style structured JSON document.
+ *
+ * Both formats are built from the same step tree: every set becomes a swim step,
+ * any send-off interval leaves a timed rest step behind it, and anything done more
+ * than once — `8 × 100` or a `3x through:` group — becomes a repeat block.
+ */
+
+import { isSetGroup, parsePace } from "../workoutEngine";
+import type { SetItem, Workout } from "../workoutEngine";
+import { createFitWriter, toFitTimestamp } from "./fitEncoder";
+import type { FitMessageType } from "./fitEncoder";
+import { DEFAULT_POOL_LENGTH } from "./pool";
+
+// ─── Step tree ─────────────────────────────────────────────────────────────────
+
+export type StepIntensity = "warmup" | "active" | "cooldown";
+
+export type ExportStep =
+  | {
+      kind: "swim";
+      /** Distance in the workout's own unit. */
+      distance: number;
+      stroke: SetItem["stroke"];
+      equipment?: SetItem["equipment"];
+      description: string;
+      section: string;
+      intensity: StepIntensity;
+    }
+  | { kind: "rest"; seconds: number }
+  | { kind: "repeat"; times: number; steps: ExportStep[] };
+
+const METERS_PER_YARD = 0.9144;
+
+function sectionIntensity(name: string): StepIntensity {
+  if (name === "Warmup") return "warmup";
+  if (name === "Cooldown") return "cooldown";
+  return "active";
+}
+
+/** Rest left on the clock after swimming `distance` at `pacePer100`, rounded to 5s like the intervals. */
+function restSeconds(item: SetItem, pacePer100: number): number {
+  if (!item.interval) return 0;
+  const swim = (item.distance / 100) * pacePer100;
+  return Math.max(0, Math.round((item.interval - swim) / 5) * 5);
+}
+
+function itemSteps(item: SetItem, section: string, pacePer100: number): ExportStep[] {
+  if (isSetGroup(item)) {
+    const round = item.items.flatMap((sub) => itemSteps(sub, section, pacePer100));
+    return item.reps > 1 ? [{ kind: "repeat", times: item.reps, steps: round }] : round;
+  }
+
+  const rep: ExportStep[] = [{
+    kind: "swim",
+    distance: item.distance,
+    stroke: item.stroke,
+    equipment: item.equipment,
+    description: item.description,
+    section,
+    intensity: sectionIntensity(section),
+  }];
+  const rest = restSeconds(item, pacePer100);
+  if (rest > 0) rep.push({ kind: "rest", seconds: rest });
+  return item.reps > 1 ? [{ kind: "repeat", times: item.reps, steps: rep }] : rep;
+}
+
+/** The workout as a tree of swim, rest and repeat steps, in swim order. */
+export function workoutToSteps(workout: Workout): ExportStep[] {
+  const pacePer100 = parsePace(workout.pace);
+  return workout.sections.flatMap((section) =>
+    section.items.flatMap((item) => itemSteps(item, section.name, pacePer100)),
+  );
+}
+
+function toMeters(distance: number, unit: string): number {
+  return unit === "yards" ? distance * METERS_PER_YARD : distance;
+}
+
+/** Watches render a small character set; keep step text to plain ASCII. */
+function asciiText(text: string): string {
+  return text
+    .replace(/—/g, "-")
+    .replace(/→/g, "->")
+    .replace(/×/g, "x")
+    .replace(/[^\x20-\x7e]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function stepNote(step: Extract<ExportStep, { kind: "swim" }>): string {
+  return step.equipment ? `${step.description} [${step.equipment}]` : step.description;
+}
+
+function isDrill(description: string): boolean {
+  return /drill|scull/i.test(description);
+}
+
+// ─── FIT ───────────────────────────────────────────────────────────────────────
+
+/** FIT profile enums used below. */
+const FIT = {
+  file: { workout: 5 },
+  manufacturer: { development: 255 },
+  sport: { swimming: 5 },
+  subSport: { lapSwimming: 17 },
+  displayMeasure: { metric: 0, statute: 1 },
+  duration: { time: 0, distance: 1, repeatUntilStepsComplete: 6 },
+  target: { open: 2, swimStroke: 11 },
+  intensity: { active: 0, rest: 1, warmup: 2, cooldown: 3 },
+} as const;
+
+const FIT_STROKES: Partial<Record<SetItem["stroke"], number>> = {
+  free: 0,
+  back: 1,
+  breast: 2,
+  fly: 3,
+  mixed: 5,
+  IM: 6,
+};
+const FIT_DRILL_STROKE = 4;
+
+const FIT_EQUIPMENT: Record<NonNullable<SetItem["equipment"]>, number> = {
+  fins: 1,
+  kickboard: 2,
+  pull: 4,
+};
+
+const FILE_ID: FitMessageType = {
+  global: 0,
+  fields: {
+    type: { num: 0, type: "enum" },
+    manufacturer: { num: 1, type: "uint16" },
+    product: { num: 2, type: "uint16" },
+    serialNumber: { num: 3, type: "uint32z" },
+    timeCreated: { num: 4, type: "uint32" },
+  },
+};
+
+const WORKOUT: FitMessageType = {
+  global: 26,
+  fields: {
+    sport: { num: 4, type: "enum" },
+    numValidSteps: { num: 6, type: "uint16" },
+    name: { num: 8, type: "string", size: 32 },
+    subSport: { num: 11, type: "enum" },
+    poolLength: { num: 14, type: "uint16" },
+    poolLengthUnit: { num: 15, type: "enum" },
+  },
+};
+
+const WORKOUT_STEP: FitMessageType = {
+  global: 27,
+  fields: {
+    messageIndex: { num: 254, type: "uint16" },
+    name: { num: 0, type: "string", size: 16 },
+    durationType: { num: 1, type: "enum" },
+    durationValue: { num: 2, type: "uint32" },
+    targetType: { num: 3, type: "enum" },
+    targetValue: { num: 4, type: "uint32" },
+    intensity: { num: 7, type: "enum" },
+    notes: { num: 8, type: "string", size: 64 },
+    equipment: { num: 9, type: "enum" },
+  },
+};
+
+type FitStepValues = Record<string, number | string | undefined>;
+
+/**
+ * Flatten the step tree into FIT's linear form: a repeat is written *after* the
+ * steps it covers, pointing back at the index of its first step.
+ */
+function fitSteps(steps: ExportStep[], unit: string, out: FitStepValues[] = []): FitStepValues[] {
+  for (const step of steps) {
+    if (step.kind === "swim") {
+      const stroke = isDrill(step.description) ? FIT_DRILL_STROKE : FIT_STROKES[step.stroke];
+      out.push({
+        messageIndex: out.length,
+        name: asciiText(step.section),
+        durationType: FIT.duration.distance,
+        durationValue: toMeters(step.distance, unit) * 100,
+        targetType: stroke === undefined ? FIT.target.open : FIT.target.swimStroke,
+        targetValue: stroke ?? 0,
+        intensity: FIT.intensity[step.intensity],
+        notes: asciiText(stepNote(step)),
+        equipment: step.equipment ? FIT_EQUIPMENT[step.equipment] : 0,
+      });
+    } else if (step.kind === "rest") {
+      out.push({
+        messageIndex: out.length,
+        name: "Rest",
+        durationType: FIT.duration.time,
+        durationValue: step.seconds * 1000,
+        targetType: FIT.target.open,
+        intensity: FIT.intensity.rest,
+      });
+    } else {
+      const first = out.length;
+      fitSteps(step.steps, unit, out);
+      out.push({
+        messageIndex: out.length,
+        durationType: FIT.duration.repeatUntilStepsComplete,
+        durationValue: first,
+        targetValue: step.times,
+      });
+    }
+  }
+  return out;
+}
+
+/** Encode the workout as a FIT workout file (lap swimming in the workout's pool). */
+export function workoutToFit(workout: Workout, created: Date = new Date()): Uint8Array<ArrayBuffer> {
+  const steps = fitSteps(workoutToSteps(workout), workout.unit);
+  const writer = createFitWriter();
+
+  writer.define(FILE_ID);
+  writer.write(FILE_ID, {
+    type: FIT.file.workout,
+    manufacturer: FIT.manufacturer.development,
+    product: 0,
+    serialNumber: workout.seed || 1,
+    timeCreated: toFitTimestamp(created),
+  });
+
+  writer.define(WORKOUT);
+  writer.write(WORKOUT, {
+    sport: FIT.sport.swimming,
+    subSport: FIT.subSport.lapSwimming,
+    numValidSteps: steps.length,
+    name: asciiText(workout.name),
+    poolLength: toMeters(workout.poolLength ?? DEFAULT_POOL_LENGTH, workout.unit) * 100,
+    poolLengthUnit: workout.unit === "yards" ? FIT.displayMeasure.statute : FIT.displayMeasure.metric,
+  });
+
+  writer.define(WORKOUT_STEP);
+  for (const step of steps) writer.write(WORKOUT_STEP, step);
+
+  return writer.finish();
+}
+
+// ─── Garmin Connect JSON ───────────────────────────────────────────────────────
+
+const GARMIN_SPORT = { sportTypeId: 4, sportTypeKey: "swimming" };
+
+const GARMIN_STEP_TYPES = {
+  warmup: { stepTypeId: 1, stepTypeKey: "warmup" },
+  cooldown: { stepTypeId: 2, stepTypeKey: "cooldown" },
+  active: { stepTypeId: 3, stepTypeKey: "interval" },
+  rest: { stepTypeId: 5, stepTypeKey: "rest" },
+  repeat: { stepTypeId: 6, stepTypeKey: "repeat" },
+};
+
+const GARMIN_CONDITIONS = {
+  time: { conditionTypeId: 2, conditionTypeKey: "time" },
+  distance: { conditionTypeId: 3, conditionTypeKey: "distance" },
+  iterations: { conditionTypeId: 7, conditionTypeKey: "iterations" },
+};
+
+const GARMIN_STROKES: Record<SetItem["stroke"], { strokeTypeId: number; strokeTypeKey: string }> = {
+  choice: { strokeTypeId: 1, strokeTypeKey: "any_stroke" },
+  back: { strokeTypeId: 2, strokeTypeKey: "backstroke" },
+  breast: { strokeTypeId: 3, strokeTypeKey: "breaststroke" },
+  fly: { strokeTypeId: 5, strokeTypeKey: "fly" },
+  free: { strokeTypeId: 6, strokeTypeKey: "free" },
+  IM: { strokeTypeId: 7, strokeTypeKey: "individual_medley" },
+  mixed: { strokeTypeId: 8, strokeTypeKey: "mixed" },
+};
+const GARMIN_DRILL = { strokeTypeId: 4, strokeTypeKey: "drill" };
+
+const GARMIN_EQUIPMENT: Record<NonNullable<SetItem["equipment"]>, { equipmentTypeId: number; equipmentTypeKey: string }> = {
+  fins: { equipmentTypeId: 1, equipmentTypeKey: "fins" },
+  kickboard: { equipmentTypeId: 2, equipmentTypeKey: "kickboard" },
+  pull: { equipmentTypeId: 4, equipmentTypeKey: "pull_buoy" },
+};
+
+function garminUnit(unit: string) {
+  return unit === "yards"
+    ? { unitId: 3, unitKey: "yard", factor: 91.44 }
+    : { unitId: 1, unitKey: "meter", factor: 100 };
+}
+
+interface GarminCounter {
+  order: number;
+}
+
+function garminSteps(steps: ExportStep[], unit: string, counter: GarminCounter): unknown[] {
+  return steps.map((step) => {
+    const stepOrder = ++counter.order;
+    if (step.kind === "swim") {
+      return {
+        type: "ExecutableStepDTO",
+        stepOrder,
+        stepType: GARMIN_STEP_TYPES[step.intensity],
+        endCondition: GARMIN_CONDITIONS.distance,
+        endConditionValue: Math.round(toMeters(step.distance, unit) * 100) / 100,
+        preferredEndConditionUnit: garminUnit(unit),
+        strokeType: isDrill(step.description) ? GARMIN_DRILL : GARMIN_STROKES[step.stroke],
+        equipmentType: step.equipment ? GARMIN_EQUIPMENT[step.equipment] : { equipmentTypeId: 0, equipmentTypeKey: null },
+        description: stepNote(step),
+      };
+    }
+    if (step.kind === "rest") {
+      return {
+        type: "ExecutableStepDTO",
+        stepOrder,
+        stepType: GARMIN_STEP_TYPES.rest,
+        endCondition: GARMIN_CONDITIONS.time,
+        endConditionValue: step.seconds,
+      };
+    }
+    return {
+      type: "RepeatGroupDTO",
+      stepOrder,
+      stepType: GARMIN_STEP_TYPES.repeat,
+      numberOfIterations: step.times,
+      endCondition: GARMIN_CONDITIONS.iterations,
+      endConditionValue: step.times,
+      smartRepeat: false,
+      workoutSteps: garminSteps(step.steps, unit, counter),
+    };
+  });
+}
+
+/** The workout as a Garmin Connect-style structured workout document. */
+export function workoutToGarminJson(workout: Workout) {
+  const unit = garminUnit(workout.unit);
+  return {
+    workoutName: workout.name,
+    description: "Generated by Lap Lab · stanwood.dev/swim",
+    sportType: GARMIN_SPORT,
+    poolLength: workout.poolLength ?? DEFAULT_POOL_LENGTH,
+    poolLengthUnit: unit,
+    estimatedDurationInSecs: workout.estimatedMinutes * 60,
+    estimatedDistanceInMeters: Math.round(toMeters(workout.totalDistance, workout.unit)),
+    workoutSegments: [
+      {
+        segmentOrder: 1,
+        sportType: GARMIN_SPORT,
+        workoutSteps: garminSteps(workoutToSteps(workout), workout.unit, { order: 0 }),
+      },
+    ],
+  };
+}
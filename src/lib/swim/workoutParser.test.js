@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import { parseSetLine, parseWorkoutText } from "./workoutParser";
+
+const opts = { unit: "yards", pace: "1:30" };
+
+describe("parseSetLine", () => {
+  it("reads reps, distance, stroke and interval", () => {
+    expect(parseSetLine("8x100 free @1:40 desc 1-4", 90)).toEqual({
+      reps: 8,
+      distance: 100,
+      interval: 100,
+      description: "Free desc 1-4",
+      stroke: "free",
+    });
+  });
+
+  it("reads a single swim with no reps or interval", () => {
+    expect(parseSetLine("400 back easy", 90)).toMatchObject({ reps: 1, distance: 400, stroke: "back" });
+  });
+
+  it("accepts unit suffixes, × and 'on' send-offs", () => {
+    expect(parseSetLine("6 × 50y fly on :55", 90)).toMatchObject({ reps: 6, distance: 50, stroke: "fly", interval: 55 });
+  });
+
+  it("turns rest notation into a send-off at the given pace", () => {
+    // 100 at 1:30 + :15 rest → 1:45
+    expect(parseSetLine("4x100 IM rest :15", 90)).toMatchObject({ stroke: "IM", interval: 105 });
+    expect(parseSetLine("4x100 free 20s rest", 90)).toMatchObject({ interval: 110 });
+  });
+
+  it("picks up equipment", () => {
+    expect(parseSetLine("4x50 kick w/ fins @1:00", 90).equipment).toBe("fins");
+    expect(parseSetLine("300 pull", 90).equipment).toBe("pull");
+    expect(parseSetLine("200 kick", 90).equipment).toBe("kickboard");
+  });
+
+  it("returns null for non-set lines", () => {
+    expect(parseSetLine("Main set:", 90)).toBeNull();
+    expect(parseSetLine("go hard", 90)).toBeNull();
+  });
+});
+
+describe("parseWorkoutText", () => {
+  const text = `Tuesday Masters
+Warmup
+400 free
+4x50 choice @1:00
+
+Main set:
+8x100 free @1:40 desc 1-4
+3 rounds:
+  200 pull w/ paddles @3:00
+  2x50 kick fins @:55
+Cooldown
+200 back easy`;
+
+  it("splits sections and names the workout from its first line", () => {
+    const { workout, warnings } = parseWorkoutText(text, opts);
+    expect(warnings).toEqual([]);
+    expect(workout.name).toBe("Tuesday Masters");
+    expect(workout.sections.map((s) => s.name)).toEqual(["Warmup", "Main Set", "Cooldown"]);
+  });
+
+  it("groups indented lines under a rounds header", () => {
+    const { workout } = parseWorkoutText(text, opts);
+    const main = workout.sections[1];
+    expect(main.items).toHaveLength(2);
+    const group = main.items[1];
+    expect(group.isGroup).toBe(true);
+    expect(group.reps).toBe(3);
+    expect(group.items.map((i) => i.distance)).toEqual([200, 50]);
+    expect(main.distance).toBe(800 + 3 * 300);
+  });
+
+  it("recomputes totals and formats intervals", () => {
+    const { workout } = parseWorkoutText(text, opts);
+    expect(workout.totalDistance).toBe(600 + 1700 + 200);
+    expect(workout.sections[1].items[0].intervalDisplay).toBe("1:40");
+    expect(workout.estimatedMinutes).toBeGreaterThan(0);
+    expect(workout.unit).toBe("yards");
+  });
+
+  it("supports braced groups", () => {
+    const { workout } = parseWorkoutText("2x {\n100 free @1:30\n50 back @:50\n}\n200 free", opts);
+    const [group, after] = workout.sections[0].items;
+    expect(group.reps).toBe(2);
+    expect(group.items).toHaveLength(2);
+    expect(after.distance).toBe(200);
+  });
+
+  it("puts unlabelled sets in the main set", () => {
+    const { workout } = parseWorkoutText("10x100 free @1:30", opts);
+    expect(workout.name).toBe("Imported Workout");
+    expect(workout.sections[0].name).toBe("Main Set");
+  });
+
+  it("reports lines it can't read", () => {
+    const { workout, warnings } = parseWorkoutText("Warmup\n400 free\nthen go hard", opts);
+    expect(workout).not.toBeNull();
+    expect(warnings).toEqual(['Line 3: couldn\'t read "then go hard"']);
+  });
+
+  it("returns no workout when there are no sets", () => {
+    expect(parseWorkoutText("just some notes", opts).workout).toBeNull();
+  });
+});
@@ -0,0 +1,256 @@
+/**
+ * Parse coach-style free-text workouts into the Lap Lab `Workout` model.
+ *
+ * Understands the notation most coaches write on a whiteboard or in an email:
+ *
+ *   Warmup
+ *   400 free
+ *   Main set:
+ *   8x100 free @1:40 desc 1-4
+ *   3 rounds:
+ *     200 pull w/ paddles @3:00
+ *     4x50 kick fins @:55
+ *   Cooldown
+ *   200 back easy
+ *
+ * Set lines are `[reps x] distance [unit] description [@ interval | rest :15]`.
+ * Lines ending in `:` (or matching a known section name) start a section;
+ * `N rounds:` / `Nx through:` / `Nx {` start a group that runs over the following
+ * indented lines (or until `}` or a blank line). Totals and the time estimate are
+ * recomputed with the generator's own pace math.
+ */
+
+import { estimateMinutes, groupDistance, parsePace, roundTo5, withIntervalDisplay } from "../workoutEngine";
+import type { Section, SetItem, Workout } from "../workoutEngine";
+import { DEFAULT_POOL_LENGTH } from "./pool";
+
+export interface ParseResult {
+  workout: Workout | null;
+  /** Lines that couldn't be read, quoted with their line number. */
+  warnings: string[];
+}
+
+interface ParseOptions {
+  unit: "meters" | "yards";
+  /** Pace per 100, used to turn rest notation into send-offs and to estimate time. */
+  pace: string;
+  /** Pool length in `unit`, carried onto the workout for export; distances are kept as written. */
+  poolLength?: number;
+}
+
+const DEFAULT_NAME = "Imported Workout";
+const DEFAULT_SECTION = "Main Set";
+
+const SECTION_NAMES: Array<[RegExp, string]> = [
+  [/^warm[\s-]?up$/i, "Warmup"],
+  [/^pre[\s-]?set$/i, "Pre-Set"],
+  [/^main(\s+set)?$/i, "Main Set"],
+  [/^cool[\s-]?down$/i, "Cooldown"],
+  [/^warm[\s-]?down$/i, "Cooldown"],
+];
+
+const STROKE_WORDS: Array<[RegExp, SetItem["stroke"]]> = [
+  [/\b(free(style)?|fr)\b/i, "free"],
+  [/\b(back(stroke)?|bk)\b/i, "back"],
+  [/\b(breast(stroke)?|br)\b/i, "breast"],
+  [/\b(fly|butterfly)\b/i, "fly"],
+  [/\bim\b/i, "IM"],
+  [/\b(choice|ch)\b/i, "choice"],
+  [/\b(mixed|stroke)\b/i, "mixed"],
+];
+
+const SET_LINE = /^(?:(\d+)\s*[x×]\s*)?(\d+)\s*(m|meters?|y|yds?|yards?)?(?=\s|@|$)\s*(.*)$/i;
+const GROUP_LINE = /^(\d+)\s*(?:x|×|rounds?)\s*(?:through|of)?\s*(:|\{)?\s*$/i;
+const INTERVAL = /(?:@|\bon\b)\s*(\d*:\d{2})/i;
+const REST = /(?:\brest\b|\br\b)\s*:?(\d*:?\d{1,2})\s*(?:s\b|sec\b)?|(\d+)\s*(?:s|sec)\s+rest\b/i;
+
+/** "1:40" or ":45" → seconds */
+function parseClock(text: string): number {
+  if (!text.includes(":")) return parseInt(text, 10);
+  const [m, s] = text.split(":");
+  return (parseInt(m, 10) || 0) * 60 + parseInt(s, 10);
+}
+
+function detectStroke(text: string): SetItem["stroke"] {
+  for (const [pattern, stroke] of STROKE_WORDS) {
+    if (pattern.test(text)) return stroke;
+  }
+  return "free";
+}
+
+function detectEquipment(text: string): SetItem["equipment"] {
+  if (/\bfins?\b/i.test(text)) return "fins";
+  if (/\b(pull|buoy|paddles?)\b/i.test(text)) return "pull";
+  if (/\b(kick|board)\b/i.test(text)) return "kickboard";
+  return undefined;
+}
+
+function cleanDescription(text: string): string {
+  const tidy = text.replace(/\s+/g, " ").replace(/^[-–—,:\s]+|[-–—,\s]+$/g, "").trim();
+  return tidy.charAt(0).toUpperCase() + tidy.slice(1);
+}
+
+function sectionHeader(line: string): string | null {
+  const bare = line.replace(/:$/, "").trim();
+  for (const [pattern, name] of SECTION_NAMES) {
+    if (pattern.test(bare)) return name;
+  }
+  if (line.endsWith(":") && !/^\d/.test(line)) return cleanDescription(bare);
+  return null;
+}
+
+/** Parse one set line into an item, or null if it isn't one. */
+export function parseSetLine(line: string, pacePer100: number): SetItem | null {
+  const match = line.trim().replace(/^[-•*]\s*/, "").match(SET_LINE);
+  if (!match) return null;
+  const [, repsText, distText, , rest] = match;
+  const reps = repsText ? parseInt(repsText, 10) : 1;
+  const distance = parseInt(distText, 10);
+  if (!reps || !distance) return null;
+
+  let text = rest;
+  let interval: number | undefined;
+  const intervalMatch = text.match(INTERVAL);
+  if (intervalMatch) {
+    interval = parseClock(intervalMatch[1]);
+    text = text.replace(intervalMatch[0], " ");
+  } else {
+    const restMatch = text.match(REST);
+    if (restMatch) {
+      const restSec = parseClock(restMatch[1] ?? restMatch[2]);
+      interval = roundTo5((distance / 100) * pacePer100 + restSec);
+      text = text.replace(restMatch[0], " ");
+    }
+  }
+
+  const stroke = detectStroke(text);
+  const equipment = detectEquipment(text);
+  const item: SetItem = {
+    reps,
+    distance,
+    description: cleanDescription(text) || "Free",
+    stroke,
+  };
+  if (interval) item.interval = interval;
+  if (equipment) item.equipment = equipment;
+  return item;
+}
+
+function groupItem(rounds: number, items: SetItem[]): SetItem {
+  return {
+    reps: rounds,
+    distance: groupDistance(items),
+    description: `${rounds}x through:`,
+    stroke: "free",
+    isGroup: true,
+    items,
+  };
+}
+
+function indentOf(raw: string): number {
+  return raw.length - raw.trimStart().length;
+}
+
+export function parseWorkoutText(text: string, { unit, pace, poolLength }: ParseOptions): ParseResult {
+  const pacePer100 = parsePace(pace);
+  const warnings: string[] = [];
+  const sections: Array<Pick<Section, "name" | "items">> = [];
+  let name: string | null = null;
+  let current: Pick<Section, "name" | "items"> | null = null;
+  let group: { rounds: number; indent: number; memberIndent: number; braced: boolean; items: SetItem[] } | null = null;
+
+  const target = () => {
+    if (!current) {
+      current = { name: DEFAULT_SECTION, items: [] };
+      sections.push(current);
+    }
+    return current;
+  };
+
+  const closeGroup = () => {
+    if (group && group.items.length > 0) target().items.push(groupItem(group.rounds, group.items));
+    group = null;
+  };
+
+  const lines = text.split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim();
+
+    if (!line) {
+      if (group && !group.braced) closeGroup();
+      return;
+    }
+    if (line === "}") {
+      closeGroup();
+      return;
+    }
+
+    // An unbraced group whose members are indented ends at the first line back at its own level.
+    if (group && !group.braced && group.memberIndent > group.indent && indentOf(raw) <= group.indent) {
+      closeGroup();
+    }
+
+    const groupMatch = line.match(GROUP_LINE);
+    if (groupMatch) {
+      closeGroup();
+      group = {
+        rounds: parseInt(groupMatch[1], 10),
+        indent: indentOf(raw),
+        memberIndent: -1,
+        braced: groupMatch[2] === "{",
+        items: [],
+      };
+      return;
+    }
+
+    const item = parseSetLine(line, pacePer100);
+    if (item) {
+      if (group) {
+        if (group.items.length === 0) group.memberIndent = indentOf(raw);
+        group.items.push(item);
+      } else {
+        target().items.push(item);
+      }
+      return;
+    }
+
+    const header = sectionHeader(line);
+    if (header) {
+      closeGroup();
+      current = { name: header, items: [] };
+      sections.push(current);
+      return;
+    }
+
+    if (name === null && sections.length === 0 && !group) {
+      name = cleanDescription(line);
+      return;
+    }
+    warnings.push(`Line ${i + 1}: couldn't read "${line}"`);
+  });
+  closeGroup();
+
+  const filled = sections.filter((section) => section.items.length > 0);
+  if (filled.length === 0) return { workout: null, warnings };
+
+  const built: Section[] = filled.map((section) => ({
+    name: section.name,
+    items: withIntervalDisplay(section.items),
+    distance: groupDistance(section.items),
+  }));
+  const estimatedMinutes = estimateMinutes(built, pacePer100);
+
+  return {
+    workout: {
+      name: name ?? DEFAULT_NAME,
+      duration: estimatedMinutes,
+      pace,
+      unit,
+      ...(poolLength && poolLength !== DEFAULT_POOL_LENGTH ? { poolLength } : {}),
+      totalDistance: built.reduce((total, section) => total + section.distance, 0),
+      estimatedMinutes,
+      sections: built,
+    },
+    warnings,
+  };
+}
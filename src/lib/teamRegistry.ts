@@ -27,6 +27,10 @@ export const LEAGUES: LeagueInfo[] = [
   { key: "wnba", label: "WNBA", path: "basketball/wnba" },
   { key: "mlb", label: "MLB", path: "baseball/mlb" },
   { key: "ncaam", label: "College BBall", path: "basketball/mens-college-basketball" },
+  { key: "ncaaf", label: "College FB", path: "football/college-football" },
+  { key: "nhl", label: "NHL", path: "hockey/nhl" },
+  { key: "mls", label: "MLS", path: "soccer/usa.1" },
+  { key: "nwsl", label: "NWSL", path: "soccer/usa.nwsl" },
 ];
 
 // ---------------------------------------------------------------------------
@@ -226,6 +230,133 @@ const NCAAM_TEAMS: TeamEntry[] = [
   { key: "ncaam-texas", label: "Texas", fullName: "Texas Longhorns", abbreviation: "TEX", league: "basketball/mens-college-basketball", color: "#BF5700", textColor: "#EE7733" },
 ];
 
+// ---------------------------------------------------------------------------
+// College Football (~25 major programs)
+// ---------------------------------------------------------------------------
+const NCAAF_TEAMS: TeamEntry[] = [
+  { key: "ncaaf-alabama", label: "Alabama", fullName: "Alabama Crimson Tide", abbreviation: "ALA", league: "football/college-football", color: "#9E1B32", textColor: "#DD4455" },
+  { key: "ncaaf-georgia", label: "Georgia", fullName: "Georgia Bulldogs", abbreviation: "UGA", league: "football/college-football", color: "#BA0C2F", textColor: "#EE3355" },
+  { key: "ncaaf-ohio-state", label: "Ohio State", fullName: "Ohio State Buckeyes", abbreviation: "OSU", league: "football/college-football", color: "#BB0000", textColor: "#EE3333" },
+  { key: "ncaaf-michigan", label: "Michigan", fullName: "Michigan Wolverines", abbreviation: "MICH", league: "football/college-football", color: "#00274C", textColor: "#FFCB05" },
+  { key: "ncaaf-texas", label: "Texas", fullName: "Texas Longhorns", abbreviation: "TEX", league: "football/college-football", color: "#BF5700", textColor: "#EE7733" },
+  { key: "ncaaf-usc", label: "USC", fullName: "USC Trojans", abbreviation: "USC", league: "football/college-football", color: "#990000", textColor: "#FFCC00" },
+  { key: "ncaaf-oregon", label: "Oregon", fullName: "Oregon Ducks", abbreviation: "ORE", league: "football/college-football", color: "#154733", textColor: "#FEE123" },
+  { key: "ncaaf-lsu", label: "LSU", fullName: "LSU Tigers", abbreviation: "LSU", league: "football/college-football", color: "#461D7C", textColor: "#FDD023" },
+  { key: "ncaaf-clemson", label: "Clemson", fullName: "Clemson Tigers", abbreviation: "CLEM", league: "football/college-football", color: "#F56600", textColor: "#FF8833" },
+  { key: "ncaaf-notre-dame", label: "Notre Dame", fullName: "Notre Dame Fighting Irish", abbreviation: "ND", league: "football/college-football", color: "#0C2340", textColor: "#C99700" },
+  { key: "ncaaf-penn-state", label: "Penn State", fullName: "Penn State Nittany Lions", abbreviation: "PSU", league: "football/college-football", color: "#041E42", textColor: "#4477CC" },
+  { key: "ncaaf-florida-st", label: "Florida State", fullName: "Florida State Seminoles", abbreviation: "FSU", league: "football/college-football", color: "#782F40", textColor: "#CEB888" },
+  { key: "ncaaf-tennessee", label: "Tennessee", fullName: "Tennessee Volunteers", abbreviation: "TENN", league: "football/college-football", color: "#FF8200", textColor: "#FFAA44" },
+  { key: "ncaaf-oklahoma", label: "Oklahoma", fullName: "Oklahoma Sooners", abbreviation: "OU", league: "football/college-football", color: "#841617", textColor: "#CC3333" },
+  { key: "ncaaf-florida", label: "Florida", fullName: "Florida Gators", abbreviation: "FLA", league: "football/college-football", color: "#0021A5", textColor: "#FA4616" },
+  { key: "ncaaf-auburn", label: "Auburn", fullName: "Auburn Tigers", abbreviation: "AUB", league: "football/college-football", color: "#0C2340", textColor: "#E87722" },
+  { key: "ncaaf-texas-am", label: "Texas A&M", fullName: "Texas A&M Aggies", abbreviation: "TA&M", league: "football/college-football", color: "#500000", textColor: "#AA3333" },
+  { key: "ncaaf-washington", label: "Washington", fullName: "Washington Huskies", abbreviation: "WASH", league: "football/college-football", color: "#4B2E83", textColor: "#B7A57A" },
+  { key: "ncaaf-utah", label: "Utah", fullName: "Utah Utes", abbreviation: "UTAH", league: "football/college-football", color: "#CC0000", textColor: "#EE3333" },
+  { key: "ncaaf-wisconsin", label: "Wisconsin", fullName: "Wisconsin Badgers", abbreviation: "WIS", league: "football/college-football", color: "#C5050C", textColor: "#EE3344" },
+  { key: "ncaaf-miami", label: "Miami", fullName: "Miami Hurricanes", abbreviation: "MIA", league: "football/college-football", color: "#F47321", textColor: "#FF9955" },
+  { key: "ncaaf-ole-miss", label: "Ole Miss", fullName: "Ole Miss Rebels", abbreviation: "MISS", league: "football/college-football", color: "#CE1126", textColor: "#EE4455" },
+  { key: "ncaaf-stanford", label: "Stanford", fullName: "Stanford Cardinal", abbreviation: "STAN", league: "football/college-football", color: "#8C1515", textColor: "#CC3333" },
+  { key: "ncaaf-cal", label: "Cal", fullName: "California Golden Bears", abbreviation: "CAL", league: "football/college-football", color: "#003262", textColor: "#FDB515" },
+  { key: "ncaaf-ucla", label: "UCLA", fullName: "UCLA Bruins", abbreviation: "UCLA", league: "football/college-football", color: "#2D68C4", textColor: "#F2A900" },
+];
+
+// ---------------------------------------------------------------------------
+// NHL (32 teams)
+// ---------------------------------------------------------------------------
+const NHL_TEAMS: TeamEntry[] = [
+  { key: "nhl-ducks", label: "Ducks", fullName: "Anaheim Ducks", abbreviation: "ANA", league: "hockey/nhl", color: "#F47A38", textColor: "#FF9A5C" },
+  { key: "nhl-bruins", label: "Bruins", fullName: "Boston Bruins", abbreviation: "BOS", league: "hockey/nhl", color: "#FFB81C", textColor: "#FFCC55" },
+  { key: "nhl-sabres", label: "Sabres", fullName: "Buffalo Sabres", abbreviation: "BUF", league: "hockey/nhl", color: "#003087", textColor: "#3366CC" },
+  { key: "nhl-flames", label: "Flames", fullName: "Calgary Flames", abbreviation: "CGY", league: "hockey/nhl", color: "#C8102E", textColor: "#EE4455" },
+  { key: "nhl-hurricanes", label: "Hurricanes", fullName: "Carolina Hurricanes", abbreviation: "CAR", league: "hockey/nhl", color: "#CC0000", textColor: "#EE3333" },
+  { key: "nhl-blackhawks", label: "Blackhawks", fullName: "Chicago Blackhawks", abbreviation: "CHI", league: "hockey/nhl", color: "#CF0A2C", textColor: "#EE3355" },
+  { key: "nhl-avalanche", label: "Avalanche", fullName: "Colorado Avalanche", abbreviation: "COL", league: "hockey/nhl", color: "#6F263D", textColor: "#AA4466" },
+  { key: "nhl-blue-jackets", label: "Blue Jackets", fullName: "Columbus Blue Jackets", abbreviation: "CBJ", league: "hockey/nhl", color: "#002654", textColor: "#3366BB" },
+  { key: "nhl-stars", label: "Stars", fullName: "Dallas Stars", abbreviation: "DAL", league: "hockey/nhl", color: "#006847", textColor: "#22AA77" },
+  { key: "nhl-red-wings", label: "Red Wings", fullName: "Detroit Red Wings", abbreviation: "DET", league: "hockey/nhl", color: "#CE1126", textColor: "#EE4455" },
+  { key: "nhl-oilers", label: "Oilers", fullName: "Edmonton Oilers", abbreviation: "EDM", league: "hockey/nhl", color: "#041E42", textColor: "#FF4C00" },
+  { key: "nhl-panthers", label: "Panthers", fullName: "Florida Panthers", abbreviation: "FLA", league: "hockey/nhl", color: "#C8102E", textColor: "#EE4455" },
+  { key: "nhl-kings", label: "Kings", fullName: "Los Angeles Kings", abbreviation: "LA", league: "hockey/nhl", color: "#111111", textColor: "#A2AAAD" },
+  { key: "nhl-wild", label: "Wild", fullName: "Minnesota Wild", abbreviation: "MIN", league: "hockey/nhl", color: "#154734", textColor: "#44AA77" },
+  { key: "nhl-canadiens", label: "Canadiens", fullName: "Montreal Canadiens", abbreviation: "MTL", league: "hockey/nhl", color: "#AF1E2D", textColor: "#DD4455" },
+  { key: "nhl-predators", label: "Predators", fullName: "Nashville Predators", abbreviation: "NSH", league: "hockey/nhl", color: "#FFB81C", textColor: "#FFCC55" },
+  { key: "nhl-devils", label: "Devils", fullName: "New Jersey Devils", abbreviation: "NJ", league: "hockey/nhl", color: "#CE1126", textColor: "#EE4455" },
+  { key: "nhl-islanders", label: "Islanders", fullName: "New York Islanders", abbreviation: "NYI", league: "hockey/nhl", color: "#00539B", textColor: "#3388DD" },
+  { key: "nhl-rangers", label: "Rangers", fullName: "New York Rangers", abbreviation: "NYR", league: "hockey/nhl", color: "#0038A8", textColor: "#4477DD" },
+  { key: "nhl-senators", label: "Senators", fullName: "Ottawa Senators", abbreviation: "OTT", league: "hockey/nhl", color: "#C52032", textColor: "#EE4455" },
+  { key: "nhl-flyers", label: "Flyers", fullName: "Philadelphia Flyers", abbreviation: "PHI", league: "hockey/nhl", color: "#F74902", textColor: "#FF7733" },
+  { key: "nhl-penguins", label: "Penguins", fullName: "Pittsburgh Penguins", abbreviation: "PIT", league: "hockey/nhl", color: "#000000", textColor: "#FCB514" },
+  { key: "nhl-sharks", label: "Sharks", fullName: "San Jose Sharks", abbreviation: "SJ", league: "hockey/nhl", color: "#006D75", textColor: "#22AAB0" },
+  { key: "nhl-kraken", label: "Kraken", fullName: "Seattle Kraken", abbreviation: "SEA", league: "hockey/nhl", color: "#001628", textColor: "#99D9D9" },
+  { key: "nhl-blues", label: "Blues", fullName: "St. Louis Blues", abbreviation: "STL", league: "hockey/nhl", color: "#002F87", textColor: "#4477DD" },
+  { key: "nhl-lightning", label: "Lightning", fullName: "Tampa Bay Lightning", abbreviation: "TB", league: "hockey/nhl", color: "#002868", textColor: "#4477DD" },
+  { key: "nhl-maple-leafs", label: "Maple Leafs", fullName: "Toronto Maple Leafs", abbreviation: "TOR", league: "hockey/nhl", color: "#00205B", textColor: "#4466CC" },
+  { key: "nhl-mammoth", label: "Mammoth", fullName: "Utah Mammoth", abbreviation: "UTAH", league: "hockey/nhl", color: "#010101", textColor: "#71AFE5" },
+  { key: "nhl-canucks", label: "Canucks", fullName: "Vancouver Canucks", abbreviation: "VAN", league: "hockey/nhl", color: "#00205B", textColor: "#4477DD" },
+  { key: "nhl-golden-knights", label: "Golden Knights", fullName: "Vegas Golden Knights", abbreviation: "VGK", league: "hockey/nhl", color: "#B4975A", textColor: "#D4B77A" },
+  { key: "nhl-capitals", label: "Capitals", fullName: "Washington Capitals", abbreviation: "WSH", league: "hockey/nhl", color: "#041E42", textColor: "#C8102E" },
+  { key: "nhl-jets", label: "Jets", fullName: "Winnipeg Jets", abbreviation: "WPG", league: "hockey/nhl", color: "#041E42", textColor: "#55A0E0" },
+];
+
+// ---------------------------------------------------------------------------
+// MLS (30 teams)
+// ---------------------------------------------------------------------------
+const MLS_TEAMS: TeamEntry[] = [
+  { key: "mls-atlanta", label: "Atlanta United", fullName: "Atlanta United FC", abbreviation: "ATL", league: "soccer/usa.1", color: "#80000A", textColor: "#CC3344" },
+  { key: "mls-austin", label: "Austin FC", fullName: "Austin FC", abbreviation: "ATX", league: "soccer/usa.1", color: "#00B140", textColor: "#33DD66" },
+  { key: "mls-charlotte", label: "Charlotte FC", fullName: "Charlotte FC", abbreviation: "CLT", league: "soccer/usa.1", color: "#1A85C8", textColor: "#44AAEE" },
+  { key: "mls-chicago", label: "Fire", fullName: "Chicago Fire FC", abbreviation: "CHI", league: "soccer/usa.1", color: "#7CCDEF", textColor: "#99DDFF" },
+  { key: "mls-cincinnati", label: "FC Cincinnati", fullName: "FC Cincinnati", abbreviation: "CIN", league: "soccer/usa.1", color: "#F05323", textColor: "#FF7744" },
+  { key: "mls-colorado", label: "Rapids", fullName: "Colorado Rapids", abbreviation: "COL", league: "soccer/usa.1", color: "#862633", textColor: "#BB4455" },
+  { key: "mls-columbus", label: "Crew", fullName: "Columbus Crew", abbreviation: "CLB", league: "soccer/usa.1", color: "#FEDD00", textColor: "#FFE944" },
+  { key: "mls-dc", label: "D.C. United", fullName: "D.C. United", abbreviation: "DC", league: "soccer/usa.1", color: "#000000", textColor: "#EF3E42" },
+  { key: "mls-dallas", label: "FC Dallas", fullName: "FC Dallas", abbreviation: "DAL", league: "soccer/usa.1", color: "#BF0D3E", textColor: "#EE3366" },
+  { key: "mls-houston", label: "Dynamo", fullName: "Houston Dynamo FC", abbreviation: "HOU", league: "soccer/usa.1", color: "#FF6B00", textColor: "#FF8F3F" },
+  { key: "mls-miami", label: "Inter Miami", fullName: "Inter Miami CF", abbreviation: "MIA", league: "soccer/usa.1", color: "#F7B5CD", textColor: "#FFCCDD" },
+  { key: "mls-la-galaxy", label: "Galaxy", fullName: "LA Galaxy", abbreviation: "LA", league: "soccer/usa.1", color: "#00245D", textColor: "#FFD200" },
+  { key: "mls-lafc", label: "LAFC", fullName: "Los Angeles FC", abbreviation: "LAFC", league: "soccer/usa.1", color: "#000000", textColor: "#C39E6D" },
+  { key: "mls-minnesota", label: "Minnesota United", fullName: "Minnesota United FC", abbreviation: "MIN", league: "soccer/usa.1", color: "#8CD2F4", textColor: "#AADDFF" },
+  { key: "mls-montreal", label: "CF Montréal", fullName: "CF Montréal", abbreviation: "MTL", league: "soccer/usa.1", color: "#0033A1", textColor: "#4477DD" },
+  { key: "mls-nashville", label: "Nashville SC", fullName: "Nashville SC", abbreviation: "NSH", league: "soccer/usa.1", color: "#ECE83A", textColor: "#F5F266" },
+  { key: "mls-new-england", label: "Revolution", fullName: "New England Revolution", abbreviation: "NE", league: "soccer/usa.1", color: "#0A2240", textColor: "#CE0E2D" },
+  { key: "mls-nycfc", label: "NYCFC", fullName: "New York City FC", abbreviation: "NYC", league: "soccer/usa.1", color: "#6CACE4", textColor: "#88CCFF" },
+  { key: "mls-red-bulls", label: "Red Bulls", fullName: "New York Red Bulls", abbreviation: "NY", league: "soccer/usa.1", color: "#ED1E36", textColor: "#FF4455" },
+  { key: "mls-orlando", label: "Orlando City", fullName: "Orlando City SC", abbreviation: "ORL", league: "soccer/usa.1", color: "#633492", textColor: "#9966CC" },
+  { key: "mls-philadelphia", label: "Union", fullName: "Philadelphia Union", abbreviation: "PHI", league: "soccer/usa.1", color: "#071B2C", textColor: "#B19B69" },
+  { key: "mls-portland", label: "Timbers", fullName: "Portland Timbers", abbreviation: "POR", league: "soccer/usa.1", color: "#004812", textColor: "#33AA55" },
+  { key: "mls-rsl", label: "Real Salt Lake", fullName: "Real Salt Lake", abbreviation: "RSL", league: "soccer/usa.1", color: "#B30838", textColor: "#DD3366" },
+  { key: "mls-san-diego", label: "San Diego FC", fullName: "San Diego FC", abbreviation: "SD", league: "soccer/usa.1", color: "#000000", textColor: "#697A7C" },
+  { key: "mls-san-jose", label: "Earthquakes", fullName: "San Jose Earthquakes", abbreviation: "SJ", league: "soccer/usa.1", color: "#0067B1", textColor: "#3399DD" },
+  { key: "mls-seattle", label: "Sounders", fullName: "Seattle Sounders FC", abbreviation: "SEA", league: "soccer/usa.1", color: "#5D9741", textColor: "#88CC66" },
+  { key: "mls-skc", label: "Sporting KC", fullName: "Sporting Kansas City", abbreviation: "SKC", league: "soccer/usa.1", color: "#002F65", textColor: "#91B0D5" },
+  { key: "mls-st-louis", label: "St. Louis City", fullName: "St. Louis City SC", abbreviation: "STL", league: "soccer/usa.1", color: "#DD004A", textColor: "#FF3377" },
+  { key: "mls-toronto", label: "Toronto FC", fullName: "Toronto FC", abbreviation: "TOR", league: "soccer/usa.1", color: "#B81137", textColor: "#EE4466" },
+  { key: "mls-vancouver", label: "Whitecaps", fullName: "Vancouver Whitecaps FC", abbreviation: "VAN", league: "soccer/usa.1", color: "#00245E", textColor: "#9DC2EA" },
+];
+
+// ---------------------------------------------------------------------------
+// NWSL (16 teams)
+// ---------------------------------------------------------------------------
+const NWSL_TEAMS: TeamEntry[] = [
+  { key: "nwsl-angel-city", label: "Angel City", fullName: "Angel City FC", abbreviation: "LA", league: "soccer/usa.nwsl", color: "#000000", textColor: "#F4C6BE" },
+  { key: "nwsl-bay", label: "Bay FC", fullName: "Bay FC", abbreviation: "BAY", league: "soccer/usa.nwsl", color: "#051C2C", textColor: "#A0D2E7" },
+  { key: "nwsl-boston", label: "Legacy", fullName: "Boston Legacy FC", abbreviation: "BOS", league: "soccer/usa.nwsl", color: "#0B2341", textColor: "#4A90D9" },
+  { key: "nwsl-chicago", label: "Stars", fullName: "Chicago Stars FC", abbreviation: "CHI", league: "soccer/usa.nwsl", color: "#41B6E6", textColor: "#77CCEE" },
+  { key: "nwsl-denver", label: "Summit", fullName: "Denver Summit FC", abbreviation: "DEN", league: "soccer/usa.nwsl", color: "#1F3A60", textColor: "#7FA7D9" },
+  { key: "nwsl-gotham", label: "Gotham", fullName: "Gotham FC", abbreviation: "NJ", league: "soccer/usa.nwsl", color: "#000000", textColor: "#9DD3DF" },
+  { key: "nwsl-houston", label: "Dash", fullName: "Houston Dash", abbreviation: "HOU", league: "soccer/usa.nwsl", color: "#F36F21", textColor: "#FF9044" },
+  { key: "nwsl-kc", label: "Current", fullName: "Kansas City Current", abbreviation: "KC", league: "soccer/usa.nwsl", color: "#62CBC9", textColor: "#88DDDB" },
+  { key: "nwsl-nc", label: "Courage", fullName: "North Carolina Courage", abbreviation: "NC", league: "soccer/usa.nwsl", color: "#00416B", textColor: "#C9A66B" },
+  { key: "nwsl-orlando", label: "Pride", fullName: "Orlando Pride", abbreviation: "ORL", league: "soccer/usa.nwsl", color: "#633492", textColor: "#9966CC" },
+  { key: "nwsl-portland", label: "Thorns", fullName: "Portland Thorns FC", abbreviation: "POR", league: "soccer/usa.nwsl", color: "#971D1F", textColor: "#DD4444" },
+  { key: "nwsl-louisville", label: "Racing", fullName: "Racing Louisville FC", abbreviation: "LOU", league: "soccer/usa.nwsl", color: "#C5B4E3", textColor: "#D9CCF0" },
+  { key: "nwsl-san-diego", label: "Wave", fullName: "San Diego Wave FC", abbreviation: "SD", league: "soccer/usa.nwsl", color: "#032E62", textColor: "#3F8EFC" },
+  { key: "nwsl-seattle", label: "Reign", fullName: "Seattle Reign FC", abbreviation: "SEA", league: "soccer/usa.nwsl", color: "#10263B", textColor: "#B8A26A" },
+  { key: "nwsl-utah", label: "Royals", fullName: "Utah Royals FC", abbreviation: "UTA", league: "soccer/usa.nwsl", color: "#FDB71A", textColor: "#FFCC55" },
+  { key: "nwsl-washington", label: "Spirit", fullName: "Washington Spirit", abbreviation: "WAS", league: "soccer/usa.nwsl", color: "#000000", textColor: "#E31837" },
+];
+
 // ---------------------------------------------------------------------------
 // Build the unified registry keyed by `key`
 // ---------------------------------------------------------------------------
@@ -235,6 +366,10 @@ const ALL_TEAMS: TeamEntry[] = [
   ...WNBA_TEAMS,
   ...MLB_TEAMS,
   ...NCAAM_TEAMS,
+  ...NCAAF_TEAMS,
+  ...NHL_TEAMS,
+  ...MLS_TEAMS,
+  ...NWSL_TEAMS,
 ];
 
 export const TEAM_REGISTRY: Record<string, TeamEntry> = ALL_TEAMS.reduce(
@@ -0,0 +1,64 @@
+// Test fixture for the ESPN scoreboard event every sport's ranker and detector reads: one
+// competition with its status and an away and a home competitor. Each sport's tests pass
+// the fields that sport reads — a hockey shootout's status name, a baseball line's hits
+// and errors, national broadcasts — and anything left out is left off the event, the way
+// ESPN omits it.
+
+import type { Competition, Competitor, Game } from "../sportsCore";
+
+/** Away then home. */
+type Pair<T> = readonly [T, T];
+
+export interface GameFixture {
+  id?: string;
+  state?: string;
+  /** `status.type.name`, e.g. STATUS_SHOOTOUT. */
+  statusName?: string;
+  period?: number;
+  clock?: string;
+  /** `status.type.shortDetail`, e.g. "Bot 7th". */
+  detail?: string;
+  teams?: Pair<string>;
+  scores?: Pair<string | number>;
+  records?: Pair<string>;
+  hits?: Pair<string>;
+  errors?: Pair<string>;
+  /** Short names of the national networks carrying the game. */
+  national?: string[];
+  /** Any other competition fields, e.g. the `odds` a full scoreboard carries. */
+  competition?: Record<string, unknown>;
+}
+
+function competitor(homeAway: "away" | "home", side: 0 | 1, fixture: GameFixture): Competitor {
+  const { teams, scores, records, hits, errors } = fixture;
+  return {
+    homeAway,
+    ...(scores && { score: String(scores[side]) }),
+    ...(hits && { hits: hits[side] }),
+    ...(errors && { errors: errors[side] }),
+    ...(teams && { team: { abbreviation: teams[side] } }),
+    ...(records && { records: [{ summary: records[side] }] }),
+  };
+}
+
+export function espnGame(fixture: GameFixture = {}): Game {
+  const { id, state = "in", statusName, period, clock, detail, national, competition } = fixture;
+  const type = {
+    state,
+    ...(statusName !== undefined && { name: statusName }),
+    ...(detail !== undefined && { shortDetail: detail }),
+  };
+  const built: Competition = {
+    status: {
+      ...(period !== undefined && { period }),
+      ...(clock !== undefined && { displayClock: clock }),
+      type,
+    },
+    competitors: [competitor("away", 0, fixture), competitor("home", 1, fixture)],
+    ...(national && {
+      geoBroadcasts: national.map((shortName) => ({ market: { type: "National" }, media: { shortName } })),
+    }),
+    ...competition,
+  };
+  return { ...(id !== undefined && { id }), competitions: [built] };
+}
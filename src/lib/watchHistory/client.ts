@@ -0,0 +1,41 @@
+// Browser side of the watch-score timelines: the hero cards render a placeholder, then
+// this fetches the game's samples and draws the sparkline into it.
+
+import { esc } from "../htmlUtils";
+import { renderWatchTimeline, type TimelineLeague, type WatchScoreSample } from "./history";
+
+const ENDPOINT = "/api/watch-score/history";
+/** The pages re-render every 30 s; the sampler only writes every couple of minutes. */
+const CACHE_TTL_MS = 60_000;
+
+const cache = new Map<string, { at: number; promise: Promise<WatchScoreSample[]> }>();
+
+function fetchTimeline(league: TimelineLeague, gameId: string): Promise<WatchScoreSample[]> {
+  const key = `${league}|${gameId}`;
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_TTL_MS) return hit.promise;
+
+  const params = new URLSearchParams({ league, ids: gameId });
+  const promise = fetch(`${ENDPOINT}?${params}`)
+    .then((res) => (res.ok ? res.json() : null))
+    .then((body: { timelines?: Record<string, WatchScoreSample[]> } | null) => body?.timelines?.[gameId] ?? [])
+    .catch(() => []);
+  cache.set(key, { at: Date.now(), promise });
+  return promise;
+}
+
+/** Where a hero card wants its timeline. Nothing for games ESPN didn't give an id. */
+export function watchTimelineSlot(gameId: string | undefined): string {
+  return gameId ? `<div data-watch-timeline="${esc(gameId)}"></div>` : "";
+}
+
+/** Fill every timeline slot on the page. A game with too little history stays blank. */
+export function fillWatchTimelines(league: TimelineLeague, color: string): void {
+  document.querySelectorAll<HTMLElement>("[data-watch-timeline]").forEach((slot) => {
+    const gameId = slot.dataset.watchTimeline;
+    if (!gameId) return;
+    void fetchTimeline(league, gameId).then((samples) => {
+      if (slot.isConnected) slot.innerHTML = renderWatchTimeline(samples, { color });
+    });
+  });
+}
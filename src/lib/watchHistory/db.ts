@@ -0,0 +1,22 @@
+import { neon, type NeonQueryFunction } from "@neondatabase/serverless";
+
+let sqlClient: NeonQueryFunction<false, false> | null = null;
+
+function databaseUrl(): string | undefined {
+  return import.meta.env.WATCH_HISTORY_DATABASE_URL ??
+    process.env.WATCH_HISTORY_DATABASE_URL ??
+    process.env.POSTGRES_URL ??
+    process.env.DATABASE_URL;
+}
+
+export function hasWatchHistoryDatabase(): boolean {
+  return Boolean(databaseUrl());
+}
+
+export function getWatchHistorySql(): NeonQueryFunction<false, false> {
+  if (sqlClient) return sqlClient;
+  const url = databaseUrl();
+  if (!url) throw new Error("WATCH_HISTORY_DATABASE_URL is not configured.");
+  sqlClient = neon(url);
+  return sqlClient;
+}
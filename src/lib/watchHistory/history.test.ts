@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { isTimelineLeague, peakSample, renderWatchTimeline, timelinePoints } from "./history";
+
+const samples = [
+  { at: 0, pct: 20, detail: "Q1 8:00" },
+  { at: 60_000, pct: 85, detail: "Q4 2:13" },
+  { at: 120_000, pct: 85, detail: "Q4 0:40" },
+  { at: 180_000, pct: 50, detail: "Final" },
+];
+
+describe("watch-score timelines", () => {
+  it("takes the first sample to reach the peak", () => {
+    expect(peakSample(samples)?.detail).toBe("Q4 2:13");
+    expect(peakSample([])).toBeNull();
+  });
+
+  it("plots time across and percentage up", () => {
+    const points = timelinePoints(samples, 300, 100);
+    expect(points[0]).toEqual({ x: 0, y: 80 });
+    expect(points[3].x).toBe(300);
+    expect(points[1].y).toBeCloseTo(15);
+  });
+
+  it("marks the peak moment and waits for two samples", () => {
+    const svg = renderWatchTimeline(samples, { color: "#f97316" });
+    expect(svg).toContain("Peak 85% · Q4 2:13");
+    expect(svg).toContain("<circle");
+    expect(renderWatchTimeline(samples.slice(0, 1), { color: "#f97316" })).toBe("");
+  });
+
+  it("only answers for sampled leagues", () => {
+    expect(isTimelineLeague("hockey/nhl")).toBe(true);
+    expect(isTimelineLeague("basketball/wnba")).toBe(false);
+    expect(isTimelineLeague(null)).toBe(false);
+  });
+});
@@ -0,0 +1,88 @@
+// Watch-score timelines: each live game's watchability sampled through the night, so a
+// hero card can show how the game built and where it peaked. Every sport records the
+// same sample — a 0–100 percentage of its own max score — so one sparkline serves
+// NBA Now, MLB GameRank and the goal sports alike.
+
+import { esc } from "../htmlUtils";
+
+export interface WatchScoreSample {
+  /** Epoch ms the scoreboard was read. */
+  at: number;
+  /** Watch score as a percentage of the sport's max (see `scoreToPercent`). */
+  pct: number;
+  /** ESPN's short status at that moment, e.g. "Q4 2:13" or "Bot 9th". */
+  detail: string;
+}
+
+/** Leagues the sampler scores; the history endpoint only answers for these. */
+export const TIMELINE_LEAGUES = [
+  "basketball/nba",
+  "baseball/mlb",
+  "hockey/nhl",
+  "soccer/usa.1",
+  "soccer/usa.nwsl",
+] as const;
+
+export type TimelineLeague = (typeof TIMELINE_LEAGUES)[number];
+
+/** A game night is over well within this; older samples are pruned. */
+export const HISTORY_RETENTION_DAYS = 2;
+export const MAX_TIMELINE_GAMES = 20;
+
+export function isTimelineLeague(league: string | null): league is TimelineLeague {
+  return TIMELINE_LEAGUES.includes(league as TimelineLeague);
+}
+
+/** The highest sample; the earliest one wins a tie, since that's when it got good. */
+export function peakSample(samples: WatchScoreSample[]): WatchScoreSample | null {
+  let peak: WatchScoreSample | null = null;
+  for (const s of samples) {
+    if (!peak || s.pct > peak.pct) peak = s;
+  }
+  return peak;
+}
+
+/** Plot samples by time across `width`, 0–100% up `height`. */
+export function timelinePoints(
+  samples: WatchScoreSample[],
+  width: number,
+  height: number,
+): Array<{ x: number; y: number }> {
+  if (samples.length === 0) return [];
+  const start = samples[0].at;
+  const span = samples[samples.length - 1].at - start;
+  return samples.map((s) => ({
+    x: span > 0 ? ((s.at - start) / span) * width : width,
+    y: height - (Math.min(100, Math.max(0, s.pct)) / 100) * height,
+  }));
+}
+
+/**
+ * Sparkline of a game's watchability with a dot on its peak moment, as an SVG string
+ * for the hero cards' HTML templates. Empty until there are two samples to join.
+ */
+export function renderWatchTimeline(
+  samples: WatchScoreSample[],
+  opts: { color: string; width?: number; height?: number },
+): string {
+  if (samples.length < 2) return "";
+  const width = opts.width ?? 240;
+  const height = opts.height ?? 36;
+  const points = timelinePoints(samples, width, height);
+  const line = points.map((p, i) => `${i === 0 ? "M" : "L"}${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" ");
+  const area = `${line} L${width},${height} L0,${height} Z`;
+  const peak = peakSample(samples)!;
+  const peakPoint = points[samples.indexOf(peak)];
+  const caption = `Peak ${peak.pct}%${peak.detail ? ` · ${peak.detail}` : ""}`;
+
+  return `
+    <div style="margin-top:12px;">
+      <svg viewBox="-4 -4 ${width + 8} ${height + 8}" width="100%" height="${height + 8}" preserveAspectRatio="none" role="img" aria-label="Watchability over the game. ${esc(caption)}">
+        <path d="${area}" fill="${esc(opts.color)}" fill-opacity="0.12" />
+        <path d="${line}" fill="none" stroke="${esc(opts.color)}" stroke-width="1.5" vector-effect="non-scaling-stroke" />
+        <circle cx="${peakPoint.x.toFixed(1)}" cy="${peakPoint.y.toFixed(1)}" r="3" fill="${esc(opts.color)}" />
+      </svg>
+      <div style="font-family:Orbitron,monospace;font-size:8px;font-weight:600;letter-spacing:0.15em;color:rgba(255,255,255,0.35);text-align:right;text-transform:uppercase;">${esc(caption)}</div>
+    </div>
+  `;
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { espnGame } from "../testing/espnGame";
+import { TIMELINE_LEAGUES } from "./history";
+import { WATCH_SCORERS, sampleScoreboard } from "./scorers";
+
+/** A fourth-quarter game between two winning teams. */
+function game(id: string | undefined, state: string, scores: [string, string]) {
+  return espnGame({ id, state, period: 4, clock: "1:30", detail: "1:30 - 4th", scores, records: ["30-20", "30-20"] });
+}
+
+describe("sampleScoreboard", () => {
+  it("has a scorer for every timeline league", () => {
+    expect(Object.keys(WATCH_SCORERS).sort()).toEqual([...TIMELINE_LEAGUES].sort());
+  });
+
+  it("samples live games with ids as a percentage of the sport's max", () => {
+    const samples = sampleScoreboard(
+      "basketball/nba",
+      [
+        game("1", "in", ["101", "100"]),
+        game("2", "in", ["120", "90"]),
+        game("3", "post", ["100", "99"]),
+        game(undefined, "in", ["88", "88"]),
+      ],
+      1_000,
+    );
+    expect(samples.map((s) => s.gameId)).toEqual(["1", "2"]);
+    expect(samples[0].sample).toMatchObject({ at: 1_000, detail: "1:30 - 4th" });
+    expect(samples[0].sample.pct).toBeGreaterThan(samples[1].sample.pct);
+    expect(samples[0].sample.pct).toBeLessThanOrEqual(100);
+  });
+});
@@ -0,0 +1,46 @@
+// Which ranker scores which league. Each one is the same closeness × quality × pace
+// model (`watchScoreBase` × `progressMultiplier` and its sport's bonuses) the live pages
+// use, so a sampled timeline matches the watch meter beside it. The sampler doesn't load
+// standings, so a late-season stakes bonus (standings/race) shows on the meter only.
+
+import { scoreToPercent, type Game } from "../sportsCore";
+import { computeWatchScore as nbaWatchScore, MAX_WATCH_SCORE as NBA_MAX_WATCH_SCORE } from "../nbaNow";
+import { computeWatchScore as mlbWatchScore, MAX_WATCH_SCORE as MLB_MAX_WATCH_SCORE } from "../mlbGameRank";
+import { MAX_GOAL_WATCH_SCORE, goalGameWatchScore } from "../goalGameRank";
+import type { TimelineLeague, WatchScoreSample } from "./history";
+
+export interface WatchScorer {
+  score: (game: Game) => number;
+  max: number;
+}
+
+export const WATCH_SCORERS: Record<TimelineLeague, WatchScorer> = {
+  "basketball/nba": { score: nbaWatchScore, max: NBA_MAX_WATCH_SCORE },
+  "baseball/mlb": { score: mlbWatchScore, max: MLB_MAX_WATCH_SCORE },
+  "hockey/nhl": { score: (g) => goalGameWatchScore(g, "hockey"), max: MAX_GOAL_WATCH_SCORE },
+  "soccer/usa.1": { score: (g) => goalGameWatchScore(g, "soccer"), max: MAX_GOAL_WATCH_SCORE },
+  "soccer/usa.nwsl": { score: (g) => goalGameWatchScore(g, "soccer"), max: MAX_GOAL_WATCH_SCORE },
+};
+
+/** One sample per live game on a scoreboard; games without an id can't be looked up later. */
+export function sampleScoreboard(
+  league: TimelineLeague,
+  events: Game[],
+  at: number,
+): Array<{ gameId: string; sample: WatchScoreSample }> {
+  const scorer = WATCH_SCORERS[league];
+  const out: Array<{ gameId: string; sample: WatchScoreSample }> = [];
+  for (const game of events) {
+    const status = game.competitions?.[0]?.status;
+    if (!game.id || status?.type?.state !== "in") continue;
+    out.push({
+      gameId: game.id,
+      sample: {
+        at,
+        pct: scoreToPercent(scorer.score(game), scorer.max),
+        detail: status.type?.shortDetail || "",
+      },
+    });
+  }
+  return out;
+}
@@ -0,0 +1,76 @@
+import { getWatchHistorySql } from "./db";
+import type { WatchScoreSample } from "./history";
+
+interface SampleRow {
+  game_id: string;
+  sampled_at: Date | string;
+  pct: number;
+  detail: string;
+}
+
+let tableReady: Promise<unknown> | null = null;
+
+function ensureSampleTable(): Promise<unknown> {
+  const sql = getWatchHistorySql();
+  tableReady ??= sql`
+    CREATE TABLE IF NOT EXISTS watch_score_samples (
+      league text NOT NULL,
+      game_id text NOT NULL,
+      sampled_at timestamptz NOT NULL,
+      pct smallint NOT NULL,
+      detail text NOT NULL DEFAULT '',
+      PRIMARY KEY (league, game_id, sampled_at)
+    )
+  `.catch((err) => {
+    tableReady = null;
+    throw err;
+  });
+  return tableReady;
+}
+
+/** Store one scoreboard read's samples. Re-running the same minute is a no-op. */
+export async function recordSamples(
+  league: string,
+  samples: Array<{ gameId: string; sample: WatchScoreSample }>,
+): Promise<void> {
+  if (samples.length === 0) return;
+  await ensureSampleTable();
+  const sql = getWatchHistorySql();
+  const rows = samples.map(({ gameId, sample }) => ({ game_id: gameId, ...sample }));
+  await sql`
+    INSERT INTO watch_score_samples (league, game_id, sampled_at, pct, detail)
+    SELECT ${league}, r.game_id, to_timestamp(r.at / 1000.0), r.pct, r.detail
+    FROM jsonb_to_recordset(${JSON.stringify(rows)}::jsonb) AS r(game_id text, at bigint, pct int, detail text)
+    ON CONFLICT DO NOTHING
+  `;
+}
+
+export async function pruneSamples(before: Date): Promise<void> {
+  await ensureSampleTable();
+  const sql = getWatchHistorySql();
+  await sql`DELETE FROM watch_score_samples WHERE sampled_at < ${before.toISOString()}`;
+}
+
+/** Each requested game's samples, oldest first. Games with none are left out. */
+export async function getTimelines(
+  league: string,
+  gameIds: string[],
+): Promise<Record<string, WatchScoreSample[]>> {
+  await ensureSampleTable();
+  const sql = getWatchHistorySql();
+  const rows = (await sql`
+    SELECT game_id, sampled_at, pct, detail
+    FROM watch_score_samples
+    WHERE league = ${league} AND game_id = ANY(${gameIds})
+    ORDER BY sampled_at
+  `) as SampleRow[];
+  const out: Record<string, WatchScoreSample[]> = {};
+  for (const row of rows) {
+    (out[row.game_id] ??= []).push({
+      at: new Date(row.sampled_at).getTime(),
+      pct: row.pct,
+      detail: row.detail,
+    });
+  }
+  return out;
+}
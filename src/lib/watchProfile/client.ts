@@ -0,0 +1,229 @@
+// Browser side of the shared watch profile. localStorage stays the working copy every
+// screen reads synchronously; when this device has joined a profile, it's refreshed
+// from the server before the rails load and pushed back after each change.
+
+import { safeGet, safeGetString, safeRemove, safeSet, safeSetString } from "../localStorage";
+import { MAX_SEEN_RECAPS, PROFILE_PARAM, isValidProfileId, normalizeProfileUpdate } from "./profile";
+import type { WatchProfile, WatchProfileUpdate } from "./profile";
+import { normalizeWatchServices, type WatchServices } from "./services";
+
+/** WTWTW's saved picks — `{ teams, timezone }`, read by every sports rail. */
+export const WTWTW_LS_KEY = "wtwtw:v1";
+const SEEN_LS_KEY = "wtwtw:seen:v1";
+const SPOILER_LS_KEY = "wtwtw:spoilers:v1";
+const SERVICES_LS_KEY = "wtwtw:services:v1";
+/** Fired on `window` when the spoiler shield is toggled in this tab. */
+const SPOILER_EVENT = "wtwtw:spoilers";
+const PROFILE_LS_KEY = "wtwtw:profile";
+const ENDPOINT = "/api/wtwtw/profile";
+
+/** Sibling rails on one page share a fetch; polling rails pick up remote changes after this. */
+const SYNC_TTL_MS = 60_000;
+const PUSH_DEBOUNCE_MS = 800;
+
+function defaultTimezone(): string {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    return "America/New_York";
+  }
+}
+
+/**
+ * The profile this device follows. Opening a `?profile=` link joins it, so the TV only
+ * has to be pointed at the link once.
+ */
+export function readProfileId(): string | null {
+  if (typeof window !== "undefined") {
+    const fromUrl = new URLSearchParams(window.location.search).get(PROFILE_PARAM);
+    if (isValidProfileId(fromUrl)) {
+      safeSetString(PROFILE_LS_KEY, fromUrl);
+      return fromUrl;
+    }
+  }
+  const stored = safeGetString(PROFILE_LS_KEY);
+  return isValidProfileId(stored) ? stored : null;
+}
+
+export function forgetProfile(): void {
+  safeRemove(PROFILE_LS_KEY);
+  syncing = null;
+}
+
+export function loadLocalWatchState(): WatchProfileUpdate {
+  const prefs = safeGet<{ teams?: unknown; timezone?: unknown }>(WTWTW_LS_KEY);
+  const seen = safeGet<unknown>(SEEN_LS_KEY);
+  const spoilerShield = safeGet<unknown>(SPOILER_LS_KEY) === true;
+  const services = readWatchServices();
+  return (
+    normalizeProfileUpdate({
+      teams: prefs?.teams ?? [],
+      timezone: typeof prefs?.timezone === "string" ? prefs.timezone : defaultTimezone(),
+      seenRecaps: seen ?? [],
+      spoilerShield,
+      ...services,
+    }) ?? { teams: [], timezone: defaultTimezone(), seenRecaps: [], spoilerShield, ...services }
+  );
+}
+
+function saveLocalWatchState(state: WatchProfileUpdate): void {
+  const shieldChanged = readSpoilerShield() !== state.spoilerShield;
+  safeSet(WTWTW_LS_KEY, { teams: state.teams, timezone: state.timezone });
+  safeSet(SEEN_LS_KEY, state.seenRecaps);
+  safeSet(SPOILER_LS_KEY, state.spoilerShield);
+  safeSet(SERVICES_LS_KEY, { services: state.services, homeMarket: state.homeMarket });
+  if (shieldChanged) notifySpoilerShield();
+}
+
+function signature(state: WatchProfileUpdate): string {
+  return JSON.stringify(state);
+}
+
+let lastSynced: string | null = null;
+let syncing: { at: number; promise: Promise<WatchProfileUpdate> } | null = null;
+
+async function fetchProfile(id: string): Promise<WatchProfile | null> {
+  const res = await fetch(`${ENDPOINT}?id=${id}`);
+  if (res.status === 404) {
+    // The profile is gone; fall back to this device's own picks.
+    forgetProfile();
+    return null;
+  }
+  if (!res.ok) return null;
+  return (await res.json()) as WatchProfile;
+}
+
+/**
+ * Refresh the local copy from this device's profile, if it has one, and return the
+ * state to render. Network trouble just means rendering the local copy.
+ */
+export function syncWatchProfile(): Promise<WatchProfileUpdate> {
+  const id = readProfileId();
+  if (!id) return Promise.resolve(loadLocalWatchState());
+  if (syncing && Date.now() - syncing.at < SYNC_TTL_MS) return syncing.promise;
+
+  const promise = fetchProfile(id)
+    .then((profile) => {
+      if (!profile) return loadLocalWatchState();
+      const state = normalizeProfileUpdate(profile) ?? loadLocalWatchState();
+      saveLocalWatchState(state);
+      lastSynced = signature(state);
+      return state;
+    })
+    .catch(() => loadLocalWatchState());
+  syncing = { at: Date.now(), promise };
+  return promise;
+}
+
+let pushTimer: ReturnType<typeof setTimeout> | null = null;
+
+async function pushNow(): Promise<void> {
+  const id = readProfileId();
+  if (!id) return;
+  const state = loadLocalWatchState();
+  if (signature(state) === lastSynced) return;
+  try {
+    const res = await fetch(`${ENDPOINT}?id=${id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(state),
+    });
+    if (!res.ok) return;
+    // The server merges seen marks from other screens; keep them.
+    const merged = normalizeProfileUpdate(await res.json());
+    if (merged) {
+      saveLocalWatchState(merged);
+      lastSynced = signature(merged);
+    }
+    syncing = null;
+  } catch {
+    // Offline: the next change (or the next sync) carries this one along.
+  }
+}
+
+/** Save WTWTW's picks locally and, debounced, to the profile. */
+export function saveWatchPrefs(prefs: { teams: string[]; timezone: string }): void {
+  safeSet(WTWTW_LS_KEY, prefs);
+  if (!readProfileId()) return;
+  if (pushTimer) clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    void pushNow();
+  }, PUSH_DEBOUNCE_MS);
+}
+
+export function readSeenRecaps(): Set<string> {
+  return new Set(loadLocalWatchState().seenRecaps);
+}
+
+export function markRecapSeen(key: string): void {
+  const seen = loadLocalWatchState().seenRecaps.filter((k) => k !== key);
+  safeSet(SEEN_LS_KEY, [...seen, key].slice(-MAX_SEEN_RECAPS));
+  void pushNow();
+}
+
+export function readSpoilerShield(): boolean {
+  return safeGet<unknown>(SPOILER_LS_KEY) === true;
+}
+
+function notifySpoilerShield(): void {
+  if (typeof window !== "undefined") window.dispatchEvent(new Event(SPOILER_EVENT));
+}
+
+/** Turn the spoiler shield on or off here and, when following one, on the profile. */
+export function setSpoilerShield(on: boolean): void {
+  safeSet(SPOILER_LS_KEY, on);
+  notifySpoilerShield();
+  void pushNow();
+}
+
+/**
+ * Call `onChange` whenever the shield flips — from this tab, another tab, or a profile
+ * sync. Returns the unsubscribe function.
+ */
+export function subscribeSpoilerShield(onChange: () => void): () => void {
+  const onStorage = (e: StorageEvent) => {
+    if (e.key === SPOILER_LS_KEY) onChange();
+  };
+  window.addEventListener(SPOILER_EVENT, onChange);
+  window.addEventListener("storage", onStorage);
+  return () => {
+    window.removeEventListener(SPOILER_EVENT, onChange);
+    window.removeEventListener("storage", onStorage);
+  };
+}
+
+/** This device's streaming services and home market, for routing watch links. */
+export function readWatchServices(): WatchServices {
+  return normalizeWatchServices(safeGet<unknown>(SERVICES_LS_KEY));
+}
+
+/** Save "my services" here and, when following one, on the profile. */
+export function saveWatchServices(services: WatchServices): void {
+  safeSet(SERVICES_LS_KEY, services);
+  void pushNow();
+}
+
+/**
+ * Turn this device's picks into a new shared profile and join it. Returns the profile,
+ * or an error message when the server can't store one.
+ */
+export async function createSharedProfile(): Promise<WatchProfile | string> {
+  try {
+    const res = await fetch(ENDPOINT, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(loadLocalWatchState()),
+    });
+    const body = (await res.json()) as WatchProfile | { error?: string };
+    if (!res.ok || !("id" in body)) {
+      return ("error" in body && body.error) || "Couldn't create a shared profile.";
+    }
+    safeSetString(PROFILE_LS_KEY, body.id);
+    lastSynced = signature(normalizeProfileUpdate(body) ?? loadLocalWatchState());
+    syncing = null;
+    return body;
+  } catch {
+    return "Couldn't reach the server.";
+  }
+}
@@ -0,0 +1,68 @@
+import { describe, expect, it } from "vitest";
+import {
+  MAX_PROFILE_TEAMS,
+  MAX_SEEN_RECAPS,
+  isValidProfileId,
+  newProfileId,
+  normalizeProfileUpdate,
+  profileUrl,
+} from "./profile";
+import { TEAM_REGISTRY } from "../teamRegistry";
+import { DEFAULT_WATCH_SERVICES } from "./services";
+
+describe("profile ids", () => {
+  it("mints ids that pass validation", () => {
+    const id = newProfileId();
+    expect(isValidProfileId(id)).toBe(true);
+    expect(newProfileId()).not.toBe(id);
+  });
+
+  it("rejects anything that could smuggle extra query or path", () => {
+    expect(isValidProfileId("abc")).toBe(false);
+    expect(isValidProfileId("ABCDEFGHIJ")).toBe(false);
+    expect(isValidProfileId("abcde/ghij")).toBe(false);
+    expect(isValidProfileId(null)).toBe(false);
+  });
+
+  it("builds a join link", () => {
+    expect(profileUrl("https://stanwood.dev", "abcdefghij")).toBe("https://stanwood.dev/wtwtw?profile=abcdefghij");
+  });
+});
+
+describe("normalizeProfileUpdate", () => {
+  it("keeps known teams in order, dropping unknowns and duplicates", () => {
+    const update = normalizeProfileUpdate({
+      teams: ["mlb-giants", "not-a-team", "mlb-cubs", "mlb-giants", 7],
+      timezone: "America/Los_Angeles",
+      seenRecaps: ["401", "", "402"],
+    });
+    expect(update).toEqual({
+      teams: ["mlb-giants", "mlb-cubs"],
+      timezone: "America/Los_Angeles",
+      seenRecaps: ["401", "402"],
+      spoilerShield: false,
+      ...DEFAULT_WATCH_SERVICES,
+    });
+  });
+
+  it("only turns the spoiler shield on for an explicit true", () => {
+    expect(normalizeProfileUpdate({ teams: [], timezone: "UTC", spoilerShield: true })?.spoilerShield).toBe(true);
+    expect(normalizeProfileUpdate({ teams: [], timezone: "UTC", spoilerShield: "yes" })?.spoilerShield).toBe(false);
+  });
+
+  it("caps teams and seen recaps", () => {
+    const keys = Object.keys(TEAM_REGISTRY);
+    const seen = Array.from({ length: MAX_SEEN_RECAPS + 5 }, (_, i) => `ev${i}`);
+    const update = normalizeProfileUpdate({ teams: keys, timezone: "UTC", seenRecaps: seen });
+    expect(update?.teams).toHaveLength(MAX_PROFILE_TEAMS);
+    expect(update?.seenRecaps).toHaveLength(MAX_SEEN_RECAPS);
+    expect(update?.seenRecaps[0]).toBe("ev5");
+  });
+
+  it("rejects the wrong shape or an unknown timezone", () => {
+    expect(normalizeProfileUpdate(null)).toBeNull();
+    expect(normalizeProfileUpdate({ teams: "mlb-cubs", timezone: "UTC" })).toBeNull();
+    expect(normalizeProfileUpdate({ teams: [], timezone: "Mars/Olympus_Mons" })).toBeNull();
+    expect(normalizeProfileUpdate({ teams: [], timezone: "UTC" })?.seenRecaps).toEqual([]);
+  });
+});
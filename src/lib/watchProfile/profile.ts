@@ -0,0 +1,89 @@
+// Shared watch profile: the followed teams, "seen" recaps and spoiler setting that WTWTW, the /tv
+// sports rails and any other screen in the house read from one server-side record.
+
+import { TEAM_REGISTRY } from "../teamRegistry";
+import { normalizeWatchServices, type StreamingService } from "./services";
+
+export interface WatchProfile {
+  id: string;
+  /** Ordered TeamEntry keys, highest priority first. */
+  teams: string[];
+  /** IANA timezone WTWTW's evening window is judged in. */
+  timezone: string;
+  /** Recap event keys (see `espnEventKey`) someone has already watched, oldest first. */
+  seenRecaps: string[];
+  /** Hide final scores on every screen until the recap is marked seen. */
+  spoilerShield: boolean;
+  /** Streaming services the household has, in routing preference order (see `./services`). */
+  services: StreamingService[];
+  /** `TvMarket` key the household watches from, for blackouts. */
+  homeMarket: string | null;
+  updatedAt: string;
+}
+
+export type WatchProfileUpdate = Pick<
+  WatchProfile,
+  "teams" | "timezone" | "seenRecaps" | "spoilerShield" | "services" | "homeMarket"
+>;
+
+export const MAX_PROFILE_TEAMS = 10;
+/** Recaps only matter for a day or two, so the oldest marks fall off. */
+export const MAX_SEEN_RECAPS = 200;
+export const PROFILE_PARAM = "profile";
+
+const PROFILE_ID_PATTERN = /^[a-z0-9]{10}$/;
+const ID_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+const MAX_RECAP_KEY_LENGTH = 200;
+
+export function isValidProfileId(id: unknown): id is string {
+  return typeof id === "string" && PROFILE_ID_PATTERN.test(id);
+}
+
+/** Ten random base-36 characters — short enough to read off a TV, too many to guess. */
+export function newProfileId(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  return Array.from(bytes, (b) => ID_ALPHABET[b % ID_ALPHABET.length]).join("");
+}
+
+function isValidTimezone(tz: string): boolean {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate an untrusted update (request body or stale local copy). Unknown teams,
+ * duplicates and malformed recap keys are dropped rather than rejected, so an old
+ * client can't lock itself out. Returns null when the shape is wrong outright.
+ */
+export function normalizeProfileUpdate(input: unknown): WatchProfileUpdate | null {
+  if (!input || typeof input !== "object") return null;
+  const record = input as Record<string, unknown>;
+  if (!Array.isArray(record.teams) || typeof record.timezone !== "string") return null;
+  if (!isValidTimezone(record.timezone)) return null;
+
+  const teams = Array.from(
+    new Set(record.teams.filter((k): k is string => typeof k === "string" && TEAM_REGISTRY[k] !== undefined)),
+  ).slice(0, MAX_PROFILE_TEAMS);
+  const seen = Array.isArray(record.seenRecaps) ? record.seenRecaps : [];
+  const seenRecaps = Array.from(
+    new Set(seen.filter((k): k is string => typeof k === "string" && k.length > 0 && k.length <= MAX_RECAP_KEY_LENGTH)),
+  ).slice(-MAX_SEEN_RECAPS);
+  return {
+    teams,
+    timezone: record.timezone,
+    seenRecaps,
+    spoilerShield: record.spoilerShield === true,
+    ...normalizeWatchServices(record),
+  };
+}
+
+/** `/wtwtw?profile=abc` — the link that joins another device to a profile. */
+export function profileUrl(origin: string, id: string, path = "/wtwtw"): string {
+  const url = new URL(path, origin);
+  url.searchParams.set(PROFILE_PARAM, id);
+  return url.toString();
+}
@@ -0,0 +1,177 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_WATCH_SERVICES,
+  isBlackedOut,
+  normalizeWatchServices,
+  routeLiveGame,
+  routeReplay,
+  type StreamingService,
+} from "./services";
+
+const LISTINGS = "https://www.tvguide.com/listings/";
+
+function household(services: StreamingService[], homeMarket: string | null = null) {
+  return { services, homeMarket };
+}
+
+describe("normalizeWatchServices", () => {
+  it("gives never-set services the defaults", () => {
+    expect(normalizeWatchServices(null)).toEqual(DEFAULT_WATCH_SERVICES);
+    expect(normalizeWatchServices({ homeMarket: "chicago" })).toEqual(DEFAULT_WATCH_SERVICES);
+  });
+
+  it("keeps an empty list, drops unknowns and sorts into routing order", () => {
+    expect(normalizeWatchServices({ services: [], homeMarket: null })).toEqual({ services: [], homeMarket: null });
+    expect(normalizeWatchServices({ services: ["antenna", "hulu", "sling", 3], homeMarket: "chicago" })).toEqual({
+      services: ["sling", "antenna"],
+      homeMarket: "chicago",
+    });
+  });
+
+  it("forgets a market it doesn't know", () => {
+    expect(normalizeWatchServices({ services: ["sling"], homeMarket: "atlantis" }).homeMarket).toBeNull();
+  });
+});
+
+describe("isBlackedOut", () => {
+  it("blacks out home-market teams in the package leagues only", () => {
+    const bay = household(["mlb-tv"], "bay-area");
+    expect(isBlackedOut(bay, { league: "baseball/mlb", awayAbbr: "CHC", homeAbbr: "SF" })).toBe(true);
+    expect(isBlackedOut(bay, { league: "baseball/mlb", awayAbbr: "CHC", homeAbbr: "STL" })).toBe(false);
+    expect(isBlackedOut(bay, { league: "football/nfl", awayAbbr: "DAL", homeAbbr: "SF" })).toBe(false);
+    expect(isBlackedOut(household(["mlb-tv"]), { league: "baseball/mlb", awayAbbr: "CHC", homeAbbr: "SF" })).toBe(false);
+  });
+});
+
+describe("routeLiveGame", () => {
+  describe("MLB", () => {
+    it("sends an in-market game to the regional network's carrier", () => {
+      expect(
+        routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "baseball/mlb", awayAbbr: "CHC", homeAbbr: "SF", broadcasts: ["NBCS-BA"] }),
+      ).toEqual({ href: "https://tv.youtube.com/", label: "YouTube TV" });
+    });
+
+    it("sends an out-of-market game to MLB.tv", () => {
+      expect(
+        routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "baseball/mlb", awayAbbr: "CHC", homeAbbr: "STL", broadcasts: ["Marquee"] }),
+      ).toEqual({ href: "https://www.mlb.com/tv", label: "MLB.tv" });
+      expect(
+        routeLiveGame(household(["mlb-tv"], "chicago"), { league: "baseball/mlb", awayAbbr: "LAD", homeAbbr: "SF" }).label,
+      ).toBe("MLB.tv");
+    });
+
+    it("doesn't send a blacked-out game to MLB.tv", () => {
+      const target = routeLiveGame(household(["mlb-tv"], "bay-area"), {
+        league: "baseball/mlb",
+        awayAbbr: "CHC",
+        homeAbbr: "SF",
+        broadcasts: ["NBCS-BA"],
+      });
+      expect(target).toEqual({ href: LISTINGS, label: "NBCS-BA" });
+    });
+
+    it("puts national broadcasts ahead of MLB.tv, which blacks them out", () => {
+      const game = { league: "baseball/mlb", awayAbbr: "NYY", homeAbbr: "BOS", broadcasts: ["FOX"] };
+      expect(routeLiveGame(household(["mlb-tv", "antenna"]), game).label).toBe("Antenna");
+      expect(routeLiveGame(household(["mlb-tv"]), game)).toEqual({ href: LISTINGS, label: "FOX" });
+    });
+  });
+
+  describe("NBA", () => {
+    it("follows the broadcaster to whichever service carries it", () => {
+      const game = { league: "basketball/nba", awayAbbr: "LAL", homeAbbr: "BOS" };
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { ...game, broadcasts: ["Prime Video"] }).label).toBe("Prime");
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { ...game, broadcasts: ["ESPN"] }).label).toBe("YouTube TV");
+      expect(routeLiveGame(household(["sling", "max"]), { ...game, broadcasts: ["TNT"] }).label).toBe("Sling TV");
+      expect(routeLiveGame(household(["max"]), { ...game, broadcasts: ["TNT"] }).label).toBe("Max");
+      expect(routeLiveGame(household(["peacock"]), { ...game, broadcasts: ["NBC", "Peacock"] }).label).toBe("Peacock");
+    });
+
+    it("sends out-of-market local games to League Pass", () => {
+      expect(
+        routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "basketball/nba", awayAbbr: "MIL", homeAbbr: "CHI", broadcasts: ["CHSN"] }),
+      ).toEqual({ href: "https://www.nba.com/watch/league-pass-stream", label: "League Pass" });
+    });
+
+    it("keeps the home team's local games on the regional network", () => {
+      expect(
+        routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "basketball/nba", awayAbbr: "MIL", homeAbbr: "GS", broadcasts: ["NBCS-BA"] })
+          .label,
+      ).toBe("YouTube TV");
+    });
+  });
+
+  describe("WNBA", () => {
+    it("routes local, out-of-market and over-the-air games", () => {
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "basketball/wnba", awayAbbr: "LV", homeAbbr: "GS" }).label).toBe(
+        "YouTube TV",
+      );
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "basketball/wnba", awayAbbr: "LV", homeAbbr: "NY" }).label).toBe(
+        "WNBA League Pass",
+      );
+      expect(
+        routeLiveGame(household(["antenna"]), { league: "basketball/wnba", awayAbbr: "LV", homeAbbr: "NY", broadcasts: ["ION"] })
+          .label,
+      ).toBe("Antenna");
+    });
+  });
+
+  describe("NHL", () => {
+    it("uses ESPN+ as the out-of-market package", () => {
+      const game = { league: "hockey/nhl", awayAbbr: "EDM", homeAbbr: "TOR" };
+      expect(routeLiveGame(household(["espn-plus"], "bay-area"), game).label).toBe("ESPN+");
+      expect(routeLiveGame(household(["espn-plus"], "bay-area"), { ...game, awayAbbr: "SJ" }).href).toBe(LISTINGS);
+      expect(routeLiveGame(household(["max"]), { ...game, broadcasts: ["TNT"] }).label).toBe("Max");
+    });
+  });
+
+  describe("NFL", () => {
+    it("routes network and streaming exclusives", () => {
+      const game = { league: "football/nfl", awayAbbr: "DAL", homeAbbr: "SF" };
+      expect(routeLiveGame(household(["peacock"]), { ...game, broadcasts: ["NBC"] }).label).toBe("Peacock");
+      expect(routeLiveGame(household(["antenna"]), { ...game, broadcasts: ["CBS"] }).label).toBe("Antenna");
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { ...game, broadcasts: ["Prime Video"] }).label).toBe("Prime");
+      expect(routeLiveGame(household(["youtube-tv"]), { ...game, broadcasts: ["NFL Network"] }).label).toBe("YouTube TV");
+    });
+  });
+
+  describe("college football", () => {
+    it("finds ESPN+ and conference networks", () => {
+      const game = { league: "football/college-football", awayAbbr: "UGA", homeAbbr: "ALA" };
+      expect(routeLiveGame(household(["espn-plus", "youtube-tv"]), { ...game, broadcasts: ["ESPN+"] }).label).toBe("ESPN+");
+      expect(routeLiveGame(household(["espn-plus", "sling"]), { ...game, broadcasts: ["SEC Network"] }).label).toBe("Sling TV");
+    });
+  });
+
+  describe("MLS and NWSL", () => {
+    it("names a broadcaster no service carries", () => {
+      expect(routeLiveGame(DEFAULT_WATCH_SERVICES, { league: "soccer/usa.1", broadcasts: ["Apple TV"] })).toEqual({
+        href: LISTINGS,
+        label: "Apple TV",
+      });
+      expect(routeLiveGame(household(["youtube-tv"]), { league: "soccer/usa.nwsl", broadcasts: ["CBS"] }).label).toBe(
+        "YouTube TV",
+      );
+      expect(routeLiveGame(household([]), { league: "soccer/usa.nwsl" })).toEqual({ href: LISTINGS, label: "TV listings" });
+    });
+  });
+});
+
+describe("routeReplay", () => {
+  const mlbGame = { href: "https://www.mlb.com/tv/g745123", label: "MLB.tv" };
+
+  it("deep-links into a package the household has", () => {
+    expect(routeReplay(DEFAULT_WATCH_SERVICES, "baseball/mlb", mlbGame)).toBe(mlbGame);
+    expect(routeReplay(household(["espn-plus"]), "hockey/nhl", null).label).toBe("ESPN+");
+  });
+
+  it("prefers DVR recordings over a package nobody pays for", () => {
+    expect(routeReplay(household(["sling"]), "baseball/mlb", mlbGame).label).toBe("Sling TV");
+    expect(routeReplay(household(["youtube-tv"]), "football/nfl", null).label).toBe("YouTube TV");
+  });
+
+  it("falls back to the league's page, or the listings", () => {
+    expect(routeReplay(household(["peacock"]), "baseball/mlb", mlbGame)).toBe(mlbGame);
+    expect(routeReplay(household([]), "football/nfl", null)).toEqual({ href: LISTINGS, label: "TV listings" });
+  });
+});
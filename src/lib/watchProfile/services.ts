@@ -0,0 +1,261 @@
+// "My services" on the watch profile: which streaming services (and antenna) the household
+// has, and which TV market it's in. `routeLiveGame` / `routeReplay` turn a game's ESPN
+// broadcasters into the one link this household can actually open — national networks to
+// whichever service carries them, local games to the market's regional network, and
+// out-of-market games to the league package.
+
+import { TEAM_REGISTRY } from "../teamRegistry";
+
+export type StreamingService =
+  | "youtube-tv"
+  | "sling"
+  | "peacock"
+  | "max"
+  | "espn-plus"
+  | "prime"
+  | "nba-league-pass"
+  | "wnba-league-pass"
+  | "mlb-tv"
+  | "antenna";
+
+export interface StreamingServiceInfo {
+  key: StreamingService;
+  label: string;
+  url: string;
+  /** ESPN broadcaster names, lowercased, that this service streams live. */
+  networks: string[];
+  /** Keeps cloud recordings, so a finished game can be replayed from it. */
+  dvr?: boolean;
+}
+
+export interface TvMarket {
+  key: string;
+  label: string;
+  /** Teams blacked out on the league packages here (MLB, NBA, WNBA, NHL). */
+  teams: string[];
+  /** Services carrying this market's regional sports networks. Carriage deals change most seasons. */
+  regional: StreamingService[];
+}
+
+export interface WatchServices {
+  services: StreamingService[];
+  /** `TvMarket` key, or null to never assume a blackout. */
+  homeMarket: string | null;
+}
+
+export interface WatchTarget {
+  href: string;
+  label: string;
+}
+
+// Antenna viewers need a channel, not an app; games nothing owned can show land here too.
+const LISTINGS_URL = "https://www.tvguide.com/listings/";
+
+const BROADCAST_NETWORKS = ["abc", "cbs", "fox", "nbc", "ion"];
+const CABLE_SPORTS_NETWORKS = [
+  "espn",
+  "espn2",
+  "espnu",
+  "espnews",
+  "fs1",
+  "fs2",
+  "tnt",
+  "tbs",
+  "trutv",
+  "nba tv",
+  "mlb network",
+  "nfl network",
+  "nhl network",
+  "sec network",
+  "acc network",
+  "btn",
+  "big ten network",
+  "usa network",
+];
+
+/** In the order routing prefers them when more than one carries a game; antenna last. */
+export const STREAMING_SERVICES: StreamingServiceInfo[] = [
+  {
+    key: "youtube-tv",
+    label: "YouTube TV",
+    url: "https://tv.youtube.com/",
+    networks: [...BROADCAST_NETWORKS, ...CABLE_SPORTS_NETWORKS, "cbssn", "cbs sports network", "golf channel"],
+    dvr: true,
+  },
+  {
+    key: "sling",
+    label: "Sling TV",
+    url: "https://watch.sling.com/",
+    networks: ["fox", "nbc", ...CABLE_SPORTS_NETWORKS],
+    dvr: true,
+  },
+  { key: "peacock", label: "Peacock", url: "https://www.peacocktv.com/sports", networks: ["nbc", "peacock"] },
+  { key: "max", label: "Max", url: "https://play.max.com/sports", networks: ["tnt", "tbs", "trutv"] },
+  { key: "espn-plus", label: "ESPN+", url: "https://plus.espn.com/", networks: ["espn+"] },
+  {
+    key: "prime",
+    label: "Prime",
+    url: "https://www.amazon.com/gp/video/storefront?ref_=atv_pr_sw_sc",
+    networks: ["prime video", "amazon prime video", "prime"],
+  },
+  { key: "nba-league-pass", label: "League Pass", url: "https://www.nba.com/watch/league-pass-stream", networks: [] },
+  { key: "wnba-league-pass", label: "WNBA League Pass", url: "https://www.wnba.com/watch", networks: [] },
+  { key: "mlb-tv", label: "MLB.tv", url: "https://www.mlb.com/tv", networks: ["mlb.tv"] },
+  { key: "antenna", label: "Antenna", url: LISTINGS_URL, networks: BROADCAST_NETWORKS },
+];
+
+/** Each league's out-of-market package, blacked out for the home market's teams. */
+const LEAGUE_PACKAGES: Record<string, StreamingService> = {
+  "baseball/mlb": "mlb-tv",
+  "basketball/nba": "nba-league-pass",
+  "basketball/wnba": "wnba-league-pass",
+  "hockey/nhl": "espn-plus",
+};
+
+export const TV_MARKETS: TvMarket[] = [
+  { key: "bay-area", label: "SF Bay Area", teams: ["mlb-giants", "nba-warriors", "wnba-valkyries", "nhl-sharks"], regional: ["youtube-tv"] },
+  {
+    key: "los-angeles",
+    label: "Los Angeles",
+    teams: ["mlb-dodgers", "mlb-angels", "nba-lakers", "nba-clippers", "wnba-sparks", "nhl-kings", "nhl-ducks"],
+    regional: [],
+  },
+  { key: "san-diego", label: "San Diego", teams: ["mlb-padres"], regional: [] },
+  { key: "sacramento", label: "Sacramento", teams: ["nba-kings", "mlb-athletics"], regional: ["youtube-tv"] },
+  { key: "seattle", label: "Seattle", teams: ["mlb-mariners", "wnba-storm", "nhl-kraken"], regional: [] },
+  { key: "portland", label: "Portland", teams: ["nba-blazers"], regional: [] },
+  { key: "phoenix", label: "Phoenix", teams: ["mlb-diamondbacks", "nba-suns", "wnba-mercury"], regional: [] },
+  { key: "las-vegas", label: "Las Vegas", teams: ["wnba-aces", "nhl-golden-knights"], regional: [] },
+  { key: "denver", label: "Denver", teams: ["mlb-rockies", "nba-nuggets", "nhl-avalanche"], regional: [] },
+  { key: "dallas", label: "Dallas–Fort Worth", teams: ["mlb-rangers", "nba-mavericks", "wnba-wings", "nhl-stars"], regional: [] },
+  { key: "houston", label: "Houston", teams: ["mlb-astros", "nba-rockets"], regional: [] },
+  {
+    key: "chicago",
+    label: "Chicago",
+    teams: ["mlb-cubs", "mlb-white-sox", "nba-bulls", "wnba-sky", "nhl-blackhawks"],
+    regional: [],
+  },
+  { key: "minneapolis", label: "Minneapolis–St. Paul", teams: ["mlb-twins", "nba-timberwolves", "wnba-lynx", "nhl-wild"], regional: [] },
+  { key: "detroit", label: "Detroit", teams: ["mlb-tigers", "nba-pistons", "nhl-red-wings"], regional: [] },
+  { key: "atlanta", label: "Atlanta", teams: ["mlb-braves", "nba-hawks", "wnba-dream"], regional: [] },
+  { key: "miami", label: "Miami", teams: ["mlb-marlins", "nba-heat", "nhl-panthers"], regional: [] },
+  {
+    key: "washington",
+    label: "Washington, D.C.",
+    teams: ["mlb-nationals", "nba-wizards", "wnba-mystics", "nhl-capitals"],
+    regional: [],
+  },
+  { key: "philadelphia", label: "Philadelphia", teams: ["mlb-phillies", "nba-76ers", "nhl-flyers"], regional: ["youtube-tv"] },
+  {
+    key: "new-york",
+    label: "New York",
+    teams: ["mlb-yankees", "mlb-mets", "nba-knicks", "nba-nets", "wnba-liberty", "nhl-rangers", "nhl-islanders", "nhl-devils"],
+    regional: ["youtube-tv"],
+  },
+  { key: "boston", label: "Boston", teams: ["mlb-red-sox", "nba-celtics", "nhl-bruins"], regional: ["youtube-tv"] },
+];
+
+/**
+ * What routing assumes until someone edits their services — the Bay Area household the
+ * watch links were first written for, so nobody's links move until they say otherwise.
+ */
+export const DEFAULT_WATCH_SERVICES: WatchServices = {
+  services: ["youtube-tv", "prime", "nba-league-pass", "wnba-league-pass", "mlb-tv"],
+  homeMarket: "bay-area",
+};
+
+const SERVICE_KEYS = new Set<string>(STREAMING_SERVICES.map((s) => s.key));
+const SERVICES_BY_KEY = new Map(STREAMING_SERVICES.map((s) => [s.key, s]));
+const MARKETS_BY_KEY = new Map(TV_MARKETS.map((m) => [m.key, m]));
+/** Every network some service carries — anything else ESPN lists is a regional feed. */
+const NATIONAL_NETWORKS = new Set(STREAMING_SERVICES.flatMap((s) => s.networks));
+
+function serviceInfo(key: StreamingService): StreamingServiceInfo {
+  return SERVICES_BY_KEY.get(key)!;
+}
+
+export function isStreamingService(key: unknown): key is StreamingService {
+  return typeof key === "string" && SERVICE_KEYS.has(key);
+}
+
+/**
+ * Validate untrusted services (request body or stale local copy). Unknown services are
+ * dropped; a missing list means "never set" and gets the defaults, while an empty list
+ * is a real answer. An unknown market means no market.
+ */
+export function normalizeWatchServices(input: unknown): WatchServices {
+  if (!input || typeof input !== "object") return DEFAULT_WATCH_SERVICES;
+  const record = input as Record<string, unknown>;
+  if (!Array.isArray(record.services)) return DEFAULT_WATCH_SERVICES;
+  const owned = new Set(record.services.filter(isStreamingService));
+  return {
+    // Catalog order, so routing preference never depends on the order boxes were ticked.
+    services: STREAMING_SERVICES.map((s) => s.key).filter((k) => owned.has(k)),
+    homeMarket: typeof record.homeMarket === "string" && MARKETS_BY_KEY.has(record.homeMarket) ? record.homeMarket : null,
+  };
+}
+
+function teamKeysFor(league: string, abbrs: Array<string | undefined>): string[] {
+  const wanted = new Set(abbrs.filter(Boolean).map((a) => a!.toUpperCase()));
+  return Object.values(TEAM_REGISTRY)
+    .filter((t) => t.league === league && wanted.has(t.abbreviation.toUpperCase()))
+    .map((t) => t.key);
+}
+
+/** True when either team is local to the home market, so the league package blacks the game out. */
+export function isBlackedOut(
+  services: WatchServices,
+  game: { league: string; awayAbbr?: string; homeAbbr?: string },
+): boolean {
+  const market = services.homeMarket ? MARKETS_BY_KEY.get(services.homeMarket) : undefined;
+  if (!market || !LEAGUE_PACKAGES[game.league]) return false;
+  return teamKeysFor(game.league, [game.awayAbbr, game.homeAbbr]).some((k) => market.teams.includes(k));
+}
+
+function target(key: StreamingService): WatchTarget {
+  const info = serviceInfo(key);
+  return { href: info.url, label: info.label };
+}
+
+/**
+ * Where to watch a game live. The first broadcaster one of the household's services
+ * carries wins; otherwise an in-market game goes to the regional network's carrier and an
+ * out-of-market one to the league package — unless a national network has it exclusively.
+ * A game nothing owned can show links to the listings under its first broadcaster's name.
+ */
+export function routeLiveGame(
+  services: WatchServices,
+  game: { league: string; awayAbbr?: string; homeAbbr?: string; broadcasts?: string[] },
+): WatchTarget {
+  const names = (game.broadcasts || []).map((b) => b.trim().toLowerCase());
+  for (const name of names) {
+    const carrier = services.services.find((k) => serviceInfo(k).networks.includes(name));
+    if (carrier) return target(carrier);
+  }
+
+  const blackedOut = isBlackedOut(services, game);
+  if (blackedOut) {
+    const regional = MARKETS_BY_KEY.get(services.homeMarket!)!.regional;
+    const carrier = services.services.find((k) => regional.includes(k));
+    if (carrier) return target(carrier);
+  }
+
+  const pkg = LEAGUE_PACKAGES[game.league];
+  const nationalExclusive = names.some((n) => NATIONAL_NETWORKS.has(n));
+  if (pkg && !blackedOut && !nationalExclusive && services.services.includes(pkg)) return target(pkg);
+
+  return { href: LISTINGS_URL, label: game.broadcasts?.[0] || "TV listings" };
+}
+
+/**
+ * Where to watch a finished game. `deepLink` is the league package's page for this game,
+ * when there is one: used when the household has the package, or has nothing else to
+ * replay it from. A DVR service's recordings come before a package nobody pays for.
+ */
+export function routeReplay(services: WatchServices, league: string, deepLink: WatchTarget | null): WatchTarget {
+  const pkg = LEAGUE_PACKAGES[league];
+  if (pkg && services.services.includes(pkg)) return deepLink ?? target(pkg);
+  const dvr = services.services.find((k) => serviceInfo(k).dvr);
+  if (dvr) return target(dvr);
+  return deepLink ?? (pkg ? target(pkg) : { href: LISTINGS_URL, label: "TV listings" });
+}
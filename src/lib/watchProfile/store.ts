@@ -0,0 +1,132 @@
+import { getWatchProfileSql } from "./db";
+import { MAX_SEEN_RECAPS, newProfileId } from "./profile";
+import type { WatchProfile, WatchProfileUpdate } from "./profile";
+import { normalizeWatchServices } from "./services";
+
+interface ProfileRow {
+  id: string;
+  teams: unknown;
+  timezone: string;
+  seen_recaps: unknown;
+  spoiler_shield: boolean;
+  services: unknown;
+  home_market: string | null;
+  updated_at: Date | string;
+}
+
+function stringList(value: unknown): string[] {
+  return Array.isArray(value) ? value.filter((v): v is string => typeof v === "string") : [];
+}
+
+function rowToProfile(row: ProfileRow): WatchProfile {
+  return {
+    id: row.id,
+    teams: stringList(row.teams),
+    timezone: row.timezone,
+    seenRecaps: stringList(row.seen_recaps),
+    spoilerShield: row.spoiler_shield === true,
+    // NULL services: a profile from before "my services", routed with the defaults.
+    ...normalizeWatchServices({ services: row.services, homeMarket: row.home_market }),
+    updatedAt: row.updated_at instanceof Date ? row.updated_at.toISOString() : new Date(row.updated_at).toISOString(),
+  };
+}
+
+let tableReady: Promise<unknown> | null = null;
+
+function ensureProfileTable(): Promise<unknown> {
+  const sql = getWatchProfileSql();
+  tableReady ??= sql`
+    CREATE TABLE IF NOT EXISTS watch_profiles (
+      id text PRIMARY KEY,
+      teams jsonb NOT NULL DEFAULT '[]'::jsonb,
+      timezone text NOT NULL,
+      seen_recaps jsonb NOT NULL DEFAULT '[]'::jsonb,
+      spoiler_shield boolean NOT NULL DEFAULT false,
+      services jsonb,
+      home_market text,
+      created_at timestamptz NOT NULL DEFAULT now(),
+      updated_at timestamptz NOT NULL DEFAULT now()
+    )
+  `
+    // Profiles created before the spoiler shield existed.
+    .then(() => sql`ALTER TABLE watch_profiles ADD COLUMN IF NOT EXISTS spoiler_shield boolean NOT NULL DEFAULT false`)
+    // ...and before "my services".
+    .then(() => sql`ALTER TABLE watch_profiles ADD COLUMN IF NOT EXISTS services jsonb`)
+    .then(() => sql`ALTER TABLE watch_profiles ADD COLUMN IF NOT EXISTS home_market text`)
+    .catch((err) => {
+      tableReady = null;
+      throw err;
+    });
+  return tableReady;
+}
+
+export async function getWatchProfile(id: string): Promise<WatchProfile | null> {
+  await ensureProfileTable();
+  const sql = getWatchProfileSql();
+  const rows = (await sql`
+    SELECT id, teams, timezone, seen_recaps, spoiler_shield, services, home_market, updated_at
+    FROM watch_profiles
+    WHERE id = ${id}
+  `) as ProfileRow[];
+  return rows[0] ? rowToProfile(rows[0]) : null;
+}
+
+export async function createWatchProfile(update: WatchProfileUpdate): Promise<WatchProfile> {
+  await ensureProfileTable();
+  const sql = getWatchProfileSql();
+  const rows = (await sql`
+    INSERT INTO watch_profiles (id, teams, timezone, seen_recaps, spoiler_shield, services, home_market)
+    VALUES (
+      ${newProfileId()},
+      ${JSON.stringify(update.teams)}::jsonb,
+      ${update.timezone},
+      ${JSON.stringify(update.seenRecaps)}::jsonb,
+      ${update.spoilerShield},
+      ${JSON.stringify(update.services)}::jsonb,
+      ${update.homeMarket}
+    )
+    RETURNING id, teams, timezone, seen_recaps, spoiler_shield, services, home_market, updated_at
+  `) as ProfileRow[];
+  return rowToProfile(rows[0]);
+}
+
+/**
+ * Last write wins for teams, timezone, the spoiler shield and services. Seen marks only ever
+ * accumulate: the stored list keeps its marks the update doesn't mention, then takes the
+ * update's, newest last, and keeps the newest {@link MAX_SEEN_RECAPS}. The merge runs inside
+ * the UPDATE so two screens saving at once can't drop each other's marks. Returns null for
+ * unknown ids.
+ */
+export async function updateWatchProfile(id: string, update: WatchProfileUpdate): Promise<WatchProfile | null> {
+  await ensureProfileTable();
+  const sql = getWatchProfileSql();
+  const incoming = JSON.stringify(update.seenRecaps);
+  const rows = (await sql`
+    UPDATE watch_profiles
+    SET
+      teams = ${JSON.stringify(update.teams)}::jsonb,
+      timezone = ${update.timezone},
+      seen_recaps = (
+        SELECT coalesce(jsonb_agg(key ORDER BY position), '[]'::jsonb)
+        FROM (
+          SELECT key, position, row_number() OVER (ORDER BY position DESC) AS newest
+          FROM (
+            SELECT key, ord AS position
+            FROM jsonb_array_elements_text(watch_profiles.seen_recaps) WITH ORDINALITY AS stored(key, ord)
+            WHERE NOT ${incoming}::jsonb ? key
+            UNION ALL
+            SELECT key, jsonb_array_length(watch_profiles.seen_recaps) + ord
+            FROM jsonb_array_elements_text(${incoming}::jsonb) WITH ORDINALITY AS saved(key, ord)
+          ) AS merged
+        ) AS ranked
+        WHERE newest <= ${MAX_SEEN_RECAPS}
+      ),
+      spoiler_shield = ${update.spoilerShield},
+      services = ${JSON.stringify(update.services)}::jsonb,
+      home_market = ${update.homeMarket},
+      updated_at = now()
+    WHERE id = ${id}
+    RETURNING id, teams, timezone, seen_recaps, spoiler_shield, services, home_market, updated_at
+  `) as ProfileRow[];
+  return rows[0] ? rowToProfile(rows[0]) : null;
+}
@@ -14,6 +14,10 @@
  *  - Skew towards longer distances (100s–400s)
  */
 
+import { paceZones, zonePace } from "./swim/paceZones";
+import type { IntervalStroke, PaceZones, SetIntent } from "./swim/paceZones";
+import { DEFAULT_POOL_LENGTH, lengthsFor, snapToLengths, wallPaceAdjust } from "./swim/pool";
+
 // ─── Types ──────────────────────────────────────────────────────────────────────
 
 type Stroke = "free" | "back" | "breast" | "fly" | "IM" | "choice" | "mixed";
@@ -57,26 +61,51 @@ export function isSetGroup(item: SetItem): item is SetItem & { items: SetItem[]
 
 export type WorkoutFocus = "any" | "endurance" | "speed" | "technique";
 
+/** A CSS-calibrated pace profile, accepted anywhere a single pace string is. */
+export interface ZoneProfile {
+  /** Critical Swim Speed per 100 ("1:25"). */
+  css: string;
+}
+
 export interface WorkoutInput {
   duration: number;
-  pace: string;
+  /** Comfortable pace per 100 ("1:30"), or a CSS profile for zone-based send-offs. */
+  pace: string | ZoneProfile;
   unit: "meters" | "yards";
+  /** Pool length in `unit` — 25 (default), 50 for long course, or any whole length like a 20y hotel pool. */
+  poolLength?: number;
   seed?: number;
   focus?: WorkoutFocus;
   equipment?: EquipmentOptions;
+  /** Force a specific main-set template by name (see MAIN_SET_NAMES); ignored if its gear is unavailable. */
+  mainSet?: string;
 }
 
 export interface Workout {
   name: string;
   duration: number;
+  /** Base pace per 100 the workout was built around (the aerobic zone when built from CSS). */
   pace: string;
+  /** CSS per 100, when send-offs were built from zones. */
+  css?: string;
   unit: string;
+  /** Pool length in `unit`; absent means a 25. */
+  poolLength?: number;
   totalDistance: number;
   estimatedMinutes: number;
   sections: Section[];
   seed?: number;
 }
 
+/**
+ * How templates pace their sets. `base` drives distance targets and time estimates;
+ * `zones`, when present, replaces it for send-offs.
+ */
+interface Pacing {
+  base: number;
+  zones?: PaceZones;
+}
+
 interface Rng {
   random: () => number;
   pick: <T>(arr: T[]) => T;
@@ -117,22 +146,37 @@ function createRng(seed: number): Rng {
 
 // ─── Helpers ───────────────────────────────────────────────────────────────────
 
-function parsePace(str: string): number {
+/** "1:30" → 90 seconds per 100. */
+export function parsePace(str: string): number {
   const [m, s] = str.split(":").map(Number);
   return m * 60 + s;
 }
 
-function formatTime(secs: number): string {
+/** 100 → "1:40" */
+export function formatTime(secs: number): string {
   const minutes = Math.floor(secs / 60);
   const seconds = Math.round(secs % 60);
   return `${minutes}:${String(seconds).padStart(2, "0")}`;
 }
 
-function roundTo5(secs: number): number {
+/** Round a send-off to the nearest 5 seconds, the granularity pace clocks are read at. */
+export function roundTo5(secs: number): number {
   return Math.round(secs / 5) * 5;
 }
 
-function calcInterval(distance: number, pacePer100: number, restAdder = 10): number {
+/**
+ * Send-off for one rep: swim time plus `restAdder` seconds per 100. With a single
+ * comfortable pace every set swims at that pace; with CSS zones the swim time comes
+ * from the set's intent and stroke instead.
+ */
+function calcInterval(
+  distance: number,
+  pace: Pacing,
+  restAdder = 10,
+  intent: SetIntent = "aerobic",
+  stroke: IntervalStroke = "free",
+): number {
+  const pacePer100 = pace.zones ? zonePace(pace.zones, intent, stroke) : pace.base;
   const swimTime = (distance / 100) * pacePer100;
   return roundTo5(swimTime + (distance / 100) * restAdder);
 }
@@ -160,7 +204,8 @@ function calcSetDuration(set: SetItem, pacePer100: number): number {
   return set.reps * (set.distance / 100) * pacePer100;
 }
 
-function groupDistance(items: SetItem[]): number {
+/** Total distance of a list of items, multiplying nested groups by their rounds. */
+export function groupDistance(items: SetItem[]): number {
   return items.reduce((sum, item) => {
     if (item.items) return sum + item.reps * groupDistance(item.items);
     return sum + (item.reps || 1) * (item.distance || 0);
@@ -174,6 +219,38 @@ function groupDuration(items: SetItem[], pacePer100: number): number {
   }, 0);
 }
 
+/**
+ * How much slower than the base pace each section is swum. Warmup, pre-set and
+ * cooldown are continuous moderate swimming, so they're estimated off a slower pace.
+ */
+const SECTION_PACE_FACTOR: Record<string, number> = {
+  Warmup: 1.15,
+  "Pre-Set": 1.1,
+  Cooldown: 1.2,
+};
+
+/** Estimated session length in whole minutes, using each section's pace factor. */
+export function estimateMinutes(sections: Array<Pick<Section, "name" | "items">>, pacePer100: number): number {
+  const totalSec = sections.reduce(
+    (total, section) => total + groupDuration(section.items, pacePer100 * (SECTION_PACE_FACTOR[section.name] ?? 1)),
+    0,
+  );
+  return Math.round(totalSec / 60);
+}
+
+/** Fill in `intervalDisplay` ("1:40") for every item with a send-off, recursing into groups. */
+export function withIntervalDisplay(items: SetItem[]): SetItem[] {
+  return items.map((item) => {
+    if (isSetGroup(item)) {
+      return { ...item, items: withIntervalDisplay(item.items) };
+    }
+    return {
+      ...item,
+      intervalDisplay: item.interval ? formatTime(item.interval) : null,
+    };
+  });
+}
+
 function weightedPick<T>(items: T[], weights: number[], rng: Rng): T {
   const total = sum(weights);
   let remaining = rng.random() * total;
@@ -193,9 +270,14 @@ function poolUtilization(durationMin: number): number {
   return 0.65;
 }
 
-function calcTargetDistance(durationMin: number, paceSec: number): number {
+/**
+ * Distance that fills the session at `paceSec` (a 25-pool pace). Longer pools mean
+ * fewer walls to push off, so the same swimmer covers less water in the same time.
+ */
+function calcTargetDistance(durationMin: number, paceSec: number, poolLength = DEFAULT_POOL_LENGTH): number {
   const utilization = poolUtilization(durationMin);
-  const rawDist = (durationMin * 60 * utilization) / (paceSec / 100);
+  const poolPace = paceSec + wallPaceAdjust(poolLength);
+  const rawDist = (durationMin * 60 * utilization) / (poolPace / 100);
   return Math.round(rawDist / 100) * 100;
 }
 
@@ -216,7 +298,7 @@ function positionLabel(
 // Warmup always starts with 200+ plain free, then an optional second piece.
 // Total warmup never exceeds 1000.
 
-function buildWarmup(target: number, _pace: number, rng: Rng, eq: EquipmentOptions = ALL_EQUIPMENT): SetItem[] {
+function buildWarmup(target: number, _pace: Pacing, rng: Rng, eq: EquipmentOptions = ALL_EQUIPMENT): SetItem[] {
   target = Math.min(target, 1000); // cap warmup at 1000
 
   // Always lead with at least 200 plain free
@@ -341,15 +423,15 @@ function buildWarmup(target: number, _pace: number, rng: Rng, eq: EquipmentOptio
 
 // ─── MAIN SET TEMPLATES ────────────────────────────────────────────────────────
 
-function mainStraight(target: number, pace: number, rng: Rng): SetItem[] {
+function mainStraight(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200, 200, 300, 400]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 10);
+  const interval = calcInterval(dist, pace, 10, "aerobic");
   const desc = rng.pick(["Hold pace", "Steady effort", "Strong & consistent"]);
   return [{ reps, distance: dist, interval, description: `Free — ${desc}`, stroke: "free" }];
 }
 
-function mainDescend(target: number, pace: number, rng: Rng): SetItem[] {
+function mainDescend(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 150, 200]);
   const rawReps = Math.round(target / dist);
   const combos = [
@@ -367,7 +449,7 @@ function mainDescend(target: number, pace: number, rng: Rng): SetItem[] {
   }
   const reps = best.reps;
   const descendGroup = best.group;
-  const interval = calcInterval(dist, pace, 12);
+  const interval = calcInterval(dist, pace, 12, "aerobic");
   const rounds = reps / descendGroup;
   const desc = rounds > 1
     ? `Free — Descend 1-${descendGroup}, ${rounds}x through`
@@ -375,7 +457,7 @@ function mainDescend(target: number, pace: number, rng: Rng): SetItem[] {
   return [{ reps, distance: dist, interval, description: desc, stroke: "free" }];
 }
 
-function mainLadder(target: number, pace: number, rng: Rng): SetItem[] {
+function mainLadder(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const patterns = [
     [100, 200, 300, 400],
     [100, 200, 300, 400, 500],
@@ -394,13 +476,13 @@ function mainLadder(target: number, pace: number, rng: Rng): SetItem[] {
 
   return steps.map((d, i) => ({
     reps: 1, distance: d,
-    interval: calcInterval(d, pace, 10),
+    interval: calcInterval(d, pace, 10, "aerobic"),
     description: `Free — ${positionLabel(i, steps.length, { first: "ease into it", middle: "settle in", last: "strong finish" })}`,
     stroke: "free" as Stroke,
   }));
 }
 
-function mainPyramid(target: number, pace: number, rng: Rng): SetItem[] {
+function mainPyramid(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const step = target >= 2000 ? 100 : 50;
   const peak = Math.max(step * 2, Math.min(Math.round(target * 0.2 / step) * step, 500));
 
@@ -414,10 +496,10 @@ function mainPyramid(target: number, pace: number, rng: Rng): SetItem[] {
     const remaining = target - pyramidTotal;
     const repDist = rng.pick([100, 200]);
     const repCount = niceReps(remaining / repDist);
-    const interval = calcInterval(repDist, pace, 10);
+    const interval = calcInterval(repDist, pace, 10, "aerobic");
     const result: SetItem[] = pyramid.map((d, i) => ({
       reps: 1, distance: d,
-      interval: calcInterval(d, pace, 10),
+      interval: calcInterval(d, pace, 10, "aerobic"),
       description: i < pyramid.length / 2 ? "Free — build up" : "Free — bring it home",
       stroke: "free" as Stroke,
     }));
@@ -427,23 +509,23 @@ function mainPyramid(target: number, pace: number, rng: Rng): SetItem[] {
 
   return pyramid.map((d, i) => ({
     reps: 1, distance: d,
-    interval: calcInterval(d, pace, 10),
+    interval: calcInterval(d, pace, 10, "aerobic"),
     description: i < pyramid.length / 2 ? "Free — build up" : "Free — bring it home",
     stroke: "free" as Stroke,
   }));
 }
 
-function mainNegSplit(target: number, pace: number, rng: Rng): SetItem[] {
+function mainNegSplit(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([200, 200, 300, 400]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 12);
+  const interval = calcInterval(dist, pace, 12, "aerobic");
   return [{ reps, distance: dist, interval, description: "Free — negative split each", stroke: "free" }];
 }
 
-function mainPullSet(target: number, pace: number, rng: Rng): SetItem[] {
+function mainPullSet(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([200, 200, 300, 400]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 10);
+  const interval = calcInterval(dist, pace, 10, "aerobic", "pull");
   const desc = rng.pick(["Descend 1-4", "Negative split each", "Build within each", "Hold strong pace"]);
   return [{ reps, distance: dist, interval, description: `Pull — ${desc}`, stroke: "free", equipment: "pull" }];
 }
@@ -463,16 +545,16 @@ function roundsThrough(rounds: number, items: SetItem[]): SetItem[] {
   }];
 }
 
-function mainMixedGear(target: number, pace: number, rng: Rng): SetItem[] {
+function mainMixedGear(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const swimDist = rng.pick([200, 300]);
   const pullDist = rng.pick([200, 300]);
   const kickDist = rng.pick([100, 200]);
   const roundTotal = swimDist + pullDist + kickDist;
   const rounds = niceReps(target / roundTotal);
 
-  const swimInterval = calcInterval(swimDist, pace, 10);
-  const pullInterval = calcInterval(pullDist, pace, 10);
-  const kickInterval = calcInterval(kickDist, pace, 20);
+  const swimInterval = calcInterval(swimDist, pace, 10, "aerobic");
+  const pullInterval = calcInterval(pullDist, pace, 10, "aerobic", "pull");
+  const kickInterval = calcInterval(kickDist, pace, 20, "aerobic", "kick");
 
   return roundsThrough(rounds, [
     { reps: 1, distance: swimDist, interval: swimInterval, description: "Swim free — strong", stroke: "free" },
@@ -481,23 +563,23 @@ function mainMixedGear(target: number, pace: number, rng: Rng): SetItem[] {
   ]);
 }
 
-function mainIMSet(target: number, pace: number, rng: Rng): SetItem[] {
+function mainIMSet(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const formats: Array<(td: number) => SetItem[]> = [
     (td) => {
       const dist = td >= 1500 ? rng.pick([100, 200]) : 100;
       const reps = niceReps(td / dist);
-      const interval = calcInterval(dist, pace, 15);
+      const interval = calcInterval(dist, pace, 15, "aerobic", "IM");
       return [{ reps, distance: dist, interval, description: "IM", stroke: "IM" }];
     },
     (td) => {
       const dist = td >= 1200 ? rng.pick([50, 100]) : 50;
       const repsPerStroke = niceReps(td / (dist * 4));
-      const interval = calcInterval(dist, pace, 15);
+      const interval = (stroke: Stroke) => calcInterval(dist, pace, 15, "aerobic", stroke);
       return [
-        { reps: repsPerStroke, distance: dist, interval, description: "Fly", stroke: "fly" },
-        { reps: repsPerStroke, distance: dist, interval, description: "Back", stroke: "back" },
-        { reps: repsPerStroke, distance: dist, interval, description: "Breast", stroke: "breast" },
-        { reps: repsPerStroke, distance: dist, interval, description: "Free — fast", stroke: "free" },
+        { reps: repsPerStroke, distance: dist, interval: interval("fly"), description: "Fly", stroke: "fly" },
+        { reps: repsPerStroke, distance: dist, interval: interval("back"), description: "Back", stroke: "back" },
+        { reps: repsPerStroke, distance: dist, interval: interval("breast"), description: "Breast", stroke: "breast" },
+        { reps: repsPerStroke, distance: dist, interval: interval("free"), description: "Free — fast", stroke: "free" },
       ];
     },
     (td) => {
@@ -505,8 +587,8 @@ function mainIMSet(target: number, pace: number, rng: Rng): SetItem[] {
       const imReps = niceReps(td * 0.5 / imDist);
       const freeDist = rng.pick([100, 200]);
       const freeReps = niceReps(td * 0.5 / freeDist);
-      const imInterval = calcInterval(imDist, pace, 15);
-      const freeInterval = calcInterval(freeDist, pace, 10);
+      const imInterval = calcInterval(imDist, pace, 15, "aerobic", "IM");
+      const freeInterval = calcInterval(freeDist, pace, 10, "aerobic");
       return [
         { reps: imReps, distance: imDist, interval: imInterval, description: "IM", stroke: "IM" },
         { reps: freeReps, distance: freeDist, interval: freeInterval, description: "Free — pick it up", stroke: "free" },
@@ -516,11 +598,11 @@ function mainIMSet(target: number, pace: number, rng: Rng): SetItem[] {
   return rng.pick(formats)(target);
 }
 
-function mainBrokenSwim(target: number, pace: number, rng: Rng): SetItem[] {
+function mainBrokenSwim(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const raceDist = target >= 1500 ? rng.pick([400, 500, 800]) : rng.pick([400, 500]);
   const breakDist = rng.pick([100, 50]);
   const pieces = raceDist / breakDist;
-  const interval = calcInterval(breakDist, pace, 5);
+  const interval = calcInterval(breakDist, pace, 5, "race");
 
   const remaining = target - raceDist;
   const result: SetItem[] = [
@@ -530,14 +612,14 @@ function mainBrokenSwim(target: number, pace: number, rng: Rng): SetItem[] {
   if (remaining >= 200) {
     const extraDist = rng.pick([100, 200]);
     const extraReps = niceReps(remaining / extraDist);
-    const extraInterval = calcInterval(extraDist, pace, 10);
+    const extraInterval = calcInterval(extraDist, pace, 10, "aerobic");
     result.push({ reps: extraReps, distance: extraDist, interval: extraInterval, description: "Free — moderate", stroke: "free" });
   }
 
   return result;
 }
 
-function mainCombo(target: number, pace: number, rng: Rng): SetItem[] {
+function mainCombo(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const patterns: Array<[number, number][]> = [
     [[400, 0.3], [200, 0.35], [100, 0.35]],
     [[400, 0.25], [200, 0.30], [100, 0.25], [50, 0.20]],
@@ -548,32 +630,32 @@ function mainCombo(target: number, pace: number, rng: Rng): SetItem[] {
 
   return pattern.map(([dist, frac], i) => {
     const reps = niceReps((target * frac) / dist);
-    const interval = calcInterval(dist, pace, 10);
+    const interval = calcInterval(dist, pace, 10, "aerobic");
     const descriptions = ["Free — settle into pace", "Free — hold steady", "Free — pick it up", "Free — fast finish"];
     return { reps, distance: dist, interval, description: descriptions[Math.min(i, descriptions.length - 1)], stroke: "free" as Stroke };
   });
 }
 
-function mainFinsSet(target: number, pace: number, rng: Rng): SetItem[] {
+function mainFinsSet(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const swimDist = rng.pick([200, 300]);
   const finsDist = rng.pick([100, 200]);
   const swimReps = niceReps((target * 0.6) / swimDist);
   const finsReps = niceReps((target * 0.4) / finsDist);
-  const swimInterval = calcInterval(swimDist, pace, 10);
-  const finsInterval = calcInterval(finsDist, pace, 5);
+  const swimInterval = calcInterval(swimDist, pace, 10, "aerobic");
+  const finsInterval = calcInterval(finsDist, pace, 5, "threshold", "fins");
   return [
     { reps: swimReps, distance: swimDist, interval: swimInterval, description: "Free — strong pace", stroke: "free" },
     { reps: finsReps, distance: finsDist, interval: finsInterval, description: "Free with fins — fast!", stroke: "free", equipment: "fins" },
   ];
 }
 
-function mainSprint(target: number, pace: number, rng: Rng): SetItem[] {
+function mainSprint(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const sprintDist = rng.pick([25, 50, 50]);
   const sprintReps = niceReps((target * 0.45) / sprintDist);
-  const sprintInterval = calcInterval(sprintDist, pace, 30);
+  const sprintInterval = calcInterval(sprintDist, pace, 30, "sprint");
   const recoveryDist = rng.pick([100, 200]);
   const recoveryReps = niceReps((target * 0.55) / recoveryDist);
-  const recoveryInterval = calcInterval(recoveryDist, pace, 10);
+  const recoveryInterval = calcInterval(recoveryDist, pace, 10, "aerobic");
   const desc = rng.pick(["All-out sprint", "Max effort", "Race pace — go!"]);
   return [
     { reps: recoveryReps, distance: recoveryDist, interval: recoveryInterval, description: "Free — moderate, settle in", stroke: "free" },
@@ -581,31 +663,31 @@ function mainSprint(target: number, pace: number, rng: Rng): SetItem[] {
   ];
 }
 
-function mainThreshold(target: number, pace: number, rng: Rng): SetItem[] {
+function mainThreshold(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([200, 300, 400]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 5);
+  const interval = calcInterval(dist, pace, 5, "threshold");
   const desc = rng.pick(["Threshold pace — hold it", "T-pace — no slowing down", "Red line — sustain it"]);
   return [{ reps, distance: dist, interval, description: `Free — ${desc}`, stroke: "free" }];
 }
 
-function mainWave(target: number, pace: number, rng: Rng): SetItem[] {
+function mainWave(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const fastDist = rng.pick([200, 300]);
   const easyDist = rng.pick([100, 100, 200]);
   const roundTotal = fastDist + easyDist;
   const rounds = niceReps(target / roundTotal);
-  const fastInterval = calcInterval(fastDist, pace, 8);
-  const easyInterval = calcInterval(easyDist, pace, 15);
+  const fastInterval = calcInterval(fastDist, pace, 8, "threshold");
+  const easyInterval = calcInterval(easyDist, pace, 15, "recovery");
   return roundsThrough(rounds, [
     { reps: 1, distance: fastDist, interval: fastInterval, description: "Free — strong effort", stroke: "free" },
     { reps: 1, distance: easyDist, interval: easyInterval, description: "Free — easy recovery", stroke: "free" },
   ]);
 }
 
-function mainOddsEvens(target: number, pace: number, rng: Rng): SetItem[] {
+function mainOddsEvens(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 150, 200]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 12);
+  const interval = calcInterval(dist, pace, 12, "aerobic");
   const pattern = rng.pick([
     "Odds fast, evens moderate",
     "Odds build, evens easy",
@@ -614,7 +696,7 @@ function mainOddsEvens(target: number, pace: number, rng: Rng): SetItem[] {
   return [{ reps, distance: dist, interval, description: `Free — ${pattern}`, stroke: "free" }];
 }
 
-function mainCountdown(target: number, pace: number, rng: Rng): SetItem[] {
+function mainCountdown(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const patterns: Array<[number, number][]> = [
     [[100, 8], [200, 4], [400, 2]],
     [[100, 6], [150, 4], [200, 3]],
@@ -627,18 +709,18 @@ function mainCountdown(target: number, pace: number, rng: Rng): SetItem[] {
 
   return pattern.map(([dist, baseReps], i) => {
     const reps = niceReps(baseReps * scale);
-    const interval = calcInterval(dist, pace, 10);
+    const interval = calcInterval(dist, pace, 10, "aerobic");
     const descs = ["Free — fast & sharp", "Free — settle into rhythm", "Free — long & strong"];
     return { reps, distance: dist, interval, description: descs[Math.min(i, descs.length - 1)], stroke: "free" as Stroke };
   });
 }
 
-function mainBackstroke(target: number, pace: number, rng: Rng): SetItem[] {
+function mainBackstroke(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200, 200]);
   const reps = niceReps(target * 0.6 / dist);
-  const interval = calcInterval(dist, pace, 15);
+  const interval = calcInterval(dist, pace, 15, "aerobic", "back");
   const freeReps = niceReps(target * 0.4 / 200);
-  const freeInterval = calcInterval(200, pace, 10);
+  const freeInterval = calcInterval(200, pace, 10, "aerobic");
   const desc = rng.pick(["Hold steady", "Descend 1-4", "Build each"]);
   return [
     { reps: freeReps, distance: 200, interval: freeInterval, description: "Free — settle in", stroke: "free" },
@@ -646,12 +728,12 @@ function mainBackstroke(target: number, pace: number, rng: Rng): SetItem[] {
   ];
 }
 
-function mainBreaststroke(target: number, pace: number, rng: Rng): SetItem[] {
+function mainBreaststroke(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200]);
   const reps = niceReps(target * 0.55 / dist);
-  const interval = calcInterval(dist, pace, 18);
+  const interval = calcInterval(dist, pace, 18, "aerobic", "breast");
   const freeReps = niceReps(target * 0.45 / 200);
-  const freeInterval = calcInterval(200, pace, 10);
+  const freeInterval = calcInterval(200, pace, 10, "aerobic");
   const desc = rng.pick(["Focus on glide", "Strong pull, patient kick", "Hold tempo"]);
   return [
     { reps: freeReps, distance: 200, interval: freeInterval, description: "Free — moderate", stroke: "free" },
@@ -659,41 +741,41 @@ function mainBreaststroke(target: number, pace: number, rng: Rng): SetItem[] {
   ];
 }
 
-function mainStrokeMix(target: number, pace: number, rng: Rng): SetItem[] {
+function mainStrokeMix(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200]);
   const secondStroke = rng.pick(["back", "breast"]) as Stroke;
   const secondName = secondStroke === "back" ? "Back" : "Breast";
   const repsPerStroke = niceReps(target / 2 / dist);
-  const interval = calcInterval(dist, pace, 12);
+  const interval = (stroke: Stroke) => calcInterval(dist, pace, 12, "aerobic", stroke);
   const format = rng.pick(["alternating", "block"]);
 
   if (format === "alternating") {
     const totalReps = repsPerStroke * 2;
-    return [{ reps: totalReps, distance: dist, interval, description: `Alternate free / ${secondName.toLowerCase()} by ${dist}`, stroke: "mixed" }];
+    return [{ reps: totalReps, distance: dist, interval: interval("mixed"), description: `Alternate free / ${secondName.toLowerCase()} by ${dist}`, stroke: "mixed" }];
   }
   return [
-    { reps: repsPerStroke, distance: dist, interval, description: "Free — hold pace", stroke: "free" },
-    { reps: repsPerStroke, distance: dist, interval, description: `${secondName} — steady`, stroke: secondStroke },
+    { reps: repsPerStroke, distance: dist, interval: interval("free"), description: "Free — hold pace", stroke: "free" },
+    { reps: repsPerStroke, distance: dist, interval: interval(secondStroke), description: `${secondName} — steady`, stroke: secondStroke },
   ];
 }
 
-function mainRacePace(target: number, pace: number, rng: Rng): SetItem[] {
+function mainRacePace(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const fastDist = rng.pick([50, 75, 100]);
   const recoveryDist = rng.pick([50, 100]);
   const roundTotal = fastDist + recoveryDist;
   const rounds = niceReps(target / roundTotal);
-  const fastInterval = calcInterval(fastDist, pace, 5);
-  const recoveryInterval = calcInterval(recoveryDist, pace, 20);
+  const fastInterval = calcInterval(fastDist, pace, 5, "race");
+  const recoveryInterval = calcInterval(recoveryDist, pace, 20, "recovery");
   return roundsThrough(rounds, [
     { reps: 1, distance: fastDist, interval: fastInterval, description: "Free — race pace", stroke: "free" },
     { reps: 1, distance: recoveryDist, interval: recoveryInterval, description: "Free — easy", stroke: "free" },
   ]);
 }
 
-function mainBuildSet(target: number, pace: number, rng: Rng): SetItem[] {
+function mainBuildSet(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([200, 300, 400]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 10);
+  const interval = calcInterval(dist, pace, 10, "aerobic");
   const desc = rng.pick([
     "Build each: easy → moderate → fast → sprint",
     "Build each rep: 25 easy, 25 mod, 25 fast, 25 all-out",
@@ -702,23 +784,22 @@ function mainBuildSet(target: number, pace: number, rng: Rng): SetItem[] {
   return [{ reps, distance: dist, interval, description: `Free — ${desc}`, stroke: "free" }];
 }
 
-function mainPaddlesSet(target: number, pace: number, rng: Rng): SetItem[] {
+function mainPaddlesSet(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const swimDist = rng.pick([200, 300]);
   const paddleDist = rng.pick([200, 300]);
   const swimReps = niceReps(target * 0.5 / swimDist);
   const paddleReps = niceReps(target * 0.5 / paddleDist);
-  const swimInterval = calcInterval(swimDist, pace, 10);
-  const paddleInterval = calcInterval(paddleDist, pace, 8);
+  const swimInterval = calcInterval(swimDist, pace, 10, "aerobic");
+  const paddleInterval = calcInterval(paddleDist, pace, 8, "aerobic", "pull");
   return [
     { reps: swimReps, distance: swimDist, interval: swimInterval, description: "Free — hold pace", stroke: "free" },
     { reps: paddleReps, distance: paddleDist, interval: paddleInterval, description: "Pull with paddles — power", stroke: "free", equipment: "pull" },
   ];
 }
 
-function mainBrokenIM(target: number, pace: number, rng: Rng): SetItem[] {
+function mainBrokenIM(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200]);
   const roundsPerStroke = niceReps(target / (dist * 4));
-  const interval = calcInterval(dist, pace, 15);
   const strokes: Array<{ name: string; stroke: Stroke }> = [
     { name: "Fly", stroke: "fly" },
     { name: "Back", stroke: "back" },
@@ -726,25 +807,25 @@ function mainBrokenIM(target: number, pace: number, rng: Rng): SetItem[] {
     { name: "Free — bring it home", stroke: "free" },
   ];
   return strokes.map(({ name, stroke }) => ({
-    reps: roundsPerStroke, distance: dist, interval, description: name, stroke,
+    reps: roundsPerStroke, distance: dist, interval: calcInterval(dist, pace, 15, "aerobic", stroke), description: name, stroke,
   }));
 }
 
-function mainEndurance(target: number, pace: number, rng: Rng): SetItem[] {
+function mainEndurance(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([400, 500, 800]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 15);
+  const interval = calcInterval(dist, pace, 15, "aerobic");
   const desc = rng.pick(["Hold pace — long & steady", "Cruise — find your rhythm", "Consistent splits"]);
   return [{ reps, distance: dist, interval, description: `Free — ${desc}`, stroke: "free" }];
 }
 
-function mainKickMain(target: number, pace: number, rng: Rng): SetItem[] {
+function mainKickMain(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const swimDist = rng.pick([200, 300]);
   const kickDist = rng.pick([100, 200]);
   const swimReps = niceReps(target * 0.55 / swimDist);
   const kickReps = niceReps(target * 0.45 / kickDist);
-  const swimInterval = calcInterval(swimDist, pace, 10);
-  const kickInterval = calcInterval(kickDist, pace, 20);
+  const swimInterval = calcInterval(swimDist, pace, 10, "aerobic");
+  const kickInterval = calcInterval(kickDist, pace, 20, "aerobic", "kick");
   const kickDesc = rng.pick(["Kick with fins — fast!", "Kick with board — build each", "Kick on back — streamline"]);
   return [
     { reps: swimReps, distance: swimDist, interval: swimInterval, description: "Free — moderate", stroke: "free" },
@@ -752,7 +833,7 @@ function mainKickMain(target: number, pace: number, rng: Rng): SetItem[] {
   ];
 }
 
-function mainDescendLadder(target: number, pace: number, rng: Rng): SetItem[] {
+function mainDescendLadder(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const patterns = [
     [400, 300, 200, 100],
     [500, 400, 300, 200, 100],
@@ -768,26 +849,26 @@ function mainDescendLadder(target: number, pace: number, rng: Rng): SetItem[] {
 
   return fullSteps.map((d, i) => ({
     reps: 1, distance: d,
-    interval: calcInterval(d, pace, 10),
+    interval: calcInterval(d, pace, 10, "aerobic"),
     description: `Free — ${positionLabel(i, fullSteps.length, { first: "long & steady", middle: "pick it up", last: "sprint to finish" })}`,
     stroke: "free" as Stroke,
   }));
 }
 
-function mainSwimPullAlternate(target: number, pace: number, rng: Rng): SetItem[] {
+function mainSwimPullAlternate(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([200, 300]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 10);
+  const interval = calcInterval(dist, pace, 10, "aerobic", "pull");
   return [{ reps, distance: dist, interval, description: "Alternate: 1 swim, 1 pull (every other with pull buoy)", stroke: "free" }];
 }
 
-function mainTest(target: number, pace: number, rng: Rng): SetItem[] {
+function mainTest(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const warmupReps = niceReps(target * 0.3 / 200);
-  const warmupInterval = calcInterval(200, pace, 10);
+  const warmupInterval = calcInterval(200, pace, 10, "aerobic");
   const testDist = rng.pick([200, 400, 500]);
-  const testInterval = calcInterval(testDist, pace, 5);
+  const testInterval = calcInterval(testDist, pace, 5, "race");
   const coolReps = niceReps(target * 0.3 / 100);
-  const coolInterval = calcInterval(100, pace, 15);
+  const coolInterval = calcInterval(100, pace, 15, "recovery");
   return [
     { reps: warmupReps, distance: 200, interval: warmupInterval, description: "Free — build to race pace", stroke: "free" },
     { reps: 1, distance: testDist, interval: testInterval, description: `Free — ${testDist} time trial, all out`, stroke: "free" },
@@ -795,7 +876,18 @@ function mainTest(target: number, pace: number, rng: Rng): SetItem[] {
   ];
 }
 
-type MainSetFn = (target: number, pace: number, rng: Rng) => SetItem[];
+/** The 400/200 pair that calibrates CSS. Never picked at random — only when pinned. */
+function mainCssTest(target: number, pace: Pacing, _rng: Rng): SetItem[] {
+  const easyReps = Math.max(2, niceReps(target * 0.3 / 100));
+  const easyInterval = calcInterval(100, pace, 15, "recovery");
+  return [
+    { reps: 1, distance: 400, description: "Free — 400 time trial, all out (note your time)", stroke: "free" },
+    { reps: easyReps, distance: 100, interval: easyInterval, description: "Free — easy, full recovery", stroke: "free" },
+    { reps: 1, distance: 200, description: "Free — 200 time trial, all out (note your time)", stroke: "free" },
+  ];
+}
+
+type MainSetFn = (target: number, pace: Pacing, rng: Rng) => SetItem[];
 type FocusTag = "endurance" | "speed" | "technique";
 
 interface MainSetTemplate {
@@ -835,12 +927,16 @@ const MAIN_SET_TEMPLATES: MainSetTemplate[] = [
   { fn: mainDescendLadder,     weight: 2, name: "Descend Ladder",         tags: ["endurance", "speed"] },
   { fn: mainSwimPullAlternate, weight: 2, name: "Swim/Pull Alternate",    tags: ["endurance", "technique"], requires: ["pull"] },
   { fn: mainTest,              weight: 1, name: "Time Trial",             tags: ["speed"] },
+  { fn: mainCssTest,           weight: 0, name: "CSS Test",               tags: ["speed"] },
 ];
 
+/** Names of every main-set template, for callers that pin one via `WorkoutInput.mainSet`. */
+export const MAIN_SET_NAMES: string[] = MAIN_SET_TEMPLATES.map((t) => t.name);
+
 // ─── COOLDOWN TEMPLATES ────────────────────────────────────────────────────────
 // NO rest intervals — cooldown is continuous
 
-function buildCooldown(target: number, _pace: number, rng: Rng): SetItem[] {
+function buildCooldown(target: number, _pace: Pacing, rng: Rng): SetItem[] {
   const freeEnd = 200;
   const remaining = target - freeEnd;
 
@@ -914,60 +1010,60 @@ function buildCooldown(target: number, _pace: number, rng: Rng): SetItem[] {
 
 // ─── PRE-SET TEMPLATES ─────────────────────────────────────────────────────────
 
-type PresetFn = (target: number, pace: number, rng: Rng) => SetItem[];
+type PresetFn = (target: number, pace: Pacing, rng: Rng) => SetItem[];
 
 interface PresetTemplate {
   fn: PresetFn;
   requires?: Array<keyof EquipmentOptions>;
 }
 
-function presetKick(target: number, pace: number, rng: Rng): SetItem[] {
+function presetKick(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([50, 100]);
   const reps = Math.min(niceReps(target / dist), 12);
-  const interval = calcInterval(dist, pace, 25);
+  const interval = calcInterval(dist, pace, 25, "aerobic", "kick");
   const desc = rng.pick(["Kick — moderate", "Kick — build each", "Kick — descend 1-4"]);
   return [{ reps, distance: dist, interval, description: desc, stroke: "free", equipment: "kickboard" }];
 }
 
-function presetPull(target: number, pace: number, rng: Rng): SetItem[] {
+function presetPull(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([100, 200]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 10);
+  const interval = calcInterval(dist, pace, 10, "aerobic", "pull");
   const desc = rng.pick(["Pull — steady", "Pull — build", "Pull — negative split each"]);
   return [{ reps, distance: dist, interval, description: desc, stroke: "free", equipment: "pull" }];
 }
 
-function presetDrill(target: number, pace: number, rng: Rng): SetItem[] {
+function presetDrill(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const drill = rng.pick(["Catch-up drill / swim by 25", "Fingertip drag / swim by 25", "Fist drill / swim by 25"]);
   const reps = niceReps(target / 50);
-  const interval = calcInterval(50, pace, 15);
+  const interval = calcInterval(50, pace, 15, "recovery");
   return [{ reps, distance: 50, interval, description: drill, stroke: "free" }];
 }
 
-function presetSprintPrep(target: number, pace: number, rng: Rng): SetItem[] {
+function presetSprintPrep(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const reps = niceReps(target / 25);
-  const interval = calcInterval(25, pace, 25);
+  const interval = calcInterval(25, pace, 25, "sprint");
   const desc = rng.pick(["Fast 25s — race starts", "25s sprint — explode off the wall", "Quick turnover 25s"]);
   return [{ reps, distance: 25, interval, description: desc, stroke: "free" }];
 }
 
-function presetIMDrill(target: number, pace: number, _rng: Rng): SetItem[] {
+function presetIMDrill(target: number, pace: Pacing, _rng: Rng): SetItem[] {
   const reps = niceReps(target / 100);
-  const interval = calcInterval(100, pace, 15);
+  const interval = calcInterval(100, pace, 15, "aerobic", "IM");
   return [{ reps, distance: 100, interval, description: "IM — 25 each stroke", stroke: "IM" }];
 }
 
-function presetFinsKick(target: number, pace: number, rng: Rng): SetItem[] {
+function presetFinsKick(target: number, pace: Pacing, rng: Rng): SetItem[] {
   const dist = rng.pick([50, 100]);
   const reps = niceReps(target / dist);
-  const interval = calcInterval(dist, pace, 15);
+  const interval = calcInterval(dist, pace, 15, "aerobic", "finsKick");
   const desc = rng.pick(["Kick with fins — fast", "Kick with fins — build each", "Streamline kick with fins"]);
   return [{ reps, distance: dist, interval, description: desc, stroke: "free", equipment: "fins" }];
 }
 
-function presetScull(target: number, pace: number, _rng: Rng): SetItem[] {
+function presetScull(target: number, pace: Pacing, _rng: Rng): SetItem[] {
   const reps = niceReps(target / 50);
-  const interval = calcInterval(50, pace, 20);
+  const interval = calcInterval(50, pace, 20, "recovery");
   return [{ reps, distance: 50, interval, description: "Scull 25 / swim 25 — feel the water", stroke: "free" }];
 }
 
@@ -981,13 +1077,109 @@ const PRESET_TEMPLATES: PresetTemplate[] = [
   { fn: presetScull },
 ];
 
+// ─── POOL LENGTHS ──────────────────────────────────────────────────────────────
+// Templates are written for a 25 pool. In any other pool each set is snapped to
+// whole lengths, and descriptions that count in 25s are reworded in lengths.
+
+interface LengthRewrite {
+  pattern: RegExp;
+  rewrite: (poolLength: number, match: RegExpMatchArray) => {
+    text: string;
+    /** Exact lengths one rep must cover once reworded (e.g. one length per IM stroke). */
+    lengths?: number;
+    /** Fewest lengths that still make sense of the description. */
+    minLengths?: number;
+  };
+}
+
+const LENGTH_REWRITES: LengthRewrite[] = [
+  { pattern: /Scull 25 \/ swim 25/, rewrite: () => ({ text: "Scull 1 length / swim 1 length", lengths: 2 }) },
+  { pattern: /25 each stroke/, rewrite: () => ({ text: "1 length each stroke", lengths: 4 }) },
+  { pattern: /swim by 25/, rewrite: () => ({ text: "swim by length", minLengths: 2 }) },
+  { pattern: /25 easy, 25 mod, 25 fast, 25 all-out/, rewrite: () => ({ text: "easy, mod, fast, all-out by quarters" }) },
+  { pattern: /\b25s\b/, rewrite: (poolLength) => ({ text: `${poolLength}s`, lengths: 1 }) },
+  { pattern: /last 50\b/, rewrite: (poolLength) => ({ text: `last ${snapToLengths(50, poolLength)}` }) },
+  {
+    // Kansas: each leg snaps on its own and the swim is whatever they add up to.
+    pattern: /Kansas \(([^)]*)\)/,
+    rewrite: (poolLength, match) => {
+      let total = 0;
+      const legs = match[1].replace(/\d+/g, (leg) => {
+        const snapped = snapToLengths(parseInt(leg, 10), poolLength);
+        total += snapped;
+        return String(snapped);
+      });
+      return { text: `Kansas (${legs})`, lengths: total / poolLength };
+    },
+  },
+];
+
+/** One item re-fit to the pool: distance snapped, interval scaled with it, reps trimmed if each got much longer. */
+function fitItemToPool(item: SetItem, poolLength: number): SetItem {
+  if (isSetGroup(item)) {
+    const items = item.items.map((sub) => fitItemToPool(sub, poolLength));
+    return { ...item, items, distance: groupDistance(items) };
+  }
+
+  let { description } = item;
+  let lengths = lengthsFor(item.distance, poolLength);
+  for (const { pattern, rewrite } of LENGTH_REWRITES) {
+    const match = description.match(pattern);
+    if (!match) continue;
+    const result = rewrite(poolLength, match);
+    description = description.replace(match[0], result.text);
+    if (result.lengths) lengths = result.lengths;
+    if (result.minLengths) lengths = Math.max(lengths, result.minLengths);
+  }
+
+  const distance = lengths * poolLength;
+  const ratio = distance / item.distance;
+  const fitted: SetItem = { ...item, distance, description };
+  if (ratio >= 1.5 && item.reps > 1) fitted.reps = Math.max(1, Math.round(item.reps / ratio));
+  if (item.interval) fitted.interval = roundTo5(item.interval * ratio);
+  return fitted;
+}
+
+function fitToPool(items: SetItem[], poolLength: number): SetItem[] {
+  if (poolLength === DEFAULT_POOL_LENGTH) return items;
+  return items.map((item) => fitItemToPool(item, poolLength));
+}
+
+/** Shift every pace by the pool's wall adjustment, so send-offs match the water actually swum. */
+function forPool(pacing: Pacing, poolLength: number): Pacing {
+  const adjust = wallPaceAdjust(poolLength);
+  if (adjust === 0) return pacing;
+  const zones = pacing.zones
+    ? (Object.fromEntries(Object.entries(pacing.zones).map(([intent, secs]) => [intent, secs + adjust])) as PaceZones)
+    : undefined;
+  return { base: pacing.base + adjust, ...(zones ? { zones } : {}) };
+}
+
 // ─── MAIN GENERATOR ────────────────────────────────────────────────────────────
 
-export function generateWorkout({ duration, pace, unit, seed, focus = "any", equipment }: WorkoutInput): Workout {
+/** A plain pace string paces everything; a CSS profile swims base work in the aerobic zone. */
+function resolvePacing(pace: string | ZoneProfile): Pacing {
+  if (typeof pace === "string") return { base: parsePace(pace) };
+  const zones = paceZones(parsePace(pace.css));
+  return { base: zones.aerobic, zones };
+}
+
+export function generateWorkout({
+  duration,
+  pace,
+  unit,
+  poolLength = DEFAULT_POOL_LENGTH,
+  seed,
+  focus = "any",
+  equipment,
+  mainSet: pinnedMainSet,
+}: WorkoutInput): Workout {
   const eq: EquipmentOptions = equipment ?? ALL_EQUIPMENT;
   const rng = createRng(seed ?? Math.floor(Math.random() * 2147483647));
-  const paceSec = parsePace(pace);
-  const totalTargetDist = calcTargetDistance(duration, paceSec);
+  const basePacing = resolvePacing(pace);
+  const pacing = forPool(basePacing, poolLength);
+  const paceSec = pacing.base;
+  const totalTargetDist = calcTargetDistance(duration, basePacing.base, poolLength);
 
   // Step 1: Generate main set first (it's the priority)
   const mainTargetRaw = Math.round(totalTargetDist * 0.62 / 100) * 100;
@@ -1003,22 +1195,27 @@ export function generateWorkout({ duration, pace, unit, seed, focus = "any", equ
     !t.requires || t.requires.every(r => eq[r])
   );
 
+  // Zero-weight templates (e.g. the CSS test) are only ever pinned, never drawn.
+  const drawableMain = eligibleMain.filter((t) => t.weight > 0);
+
   // Apply focus biasing: 4x weight boost for templates matching the focus tag
-  const effectiveWeights = eligibleMain.map((t) => {
+  const effectiveWeights = drawableMain.map((t) => {
     const matchesFocus = focus === "any" || t.tags.includes(focus as FocusTag);
     if (!matchesFocus) return t.weight;
     return t.weight * (focus === "any" ? 1 : 4);
   });
 
-  // Generate main set and pre-set
-  const mainEntry = weightedPick(eligibleMain, effectiveWeights, rng);
-  const mainSet = mainEntry.fn(mainTargetRaw, paceSec, rng);
+  // Generate main set and pre-set. The weighted pick always runs so a pinned template
+  // leaves the rest of the seeded sequence (pre-set, warmup, cooldown) unchanged.
+  const pickedEntry = weightedPick(drawableMain, effectiveWeights, rng);
+  const mainEntry = eligibleMain.find((t) => t.name === pinnedMainSet) ?? pickedEntry;
+  const mainSet = fitToPool(mainEntry.fn(mainTargetRaw, pacing, rng), poolLength);
   const mainDist = groupDistance(mainSet);
 
   let preset: SetItem[] = [];
   let presetDist = 0;
   if (hasPreset && eligiblePresets.length > 0) {
-    preset = rng.pick(eligiblePresets).fn(presetTargetRaw, paceSec, rng);
+    preset = fitToPool(rng.pick(eligiblePresets).fn(presetTargetRaw, pacing, rng), poolLength);
     presetDist = groupDistance(preset);
   }
 
@@ -1031,48 +1228,33 @@ export function generateWorkout({ duration, pace, unit, seed, focus = "any", equ
   const warmupDistFinal = Math.min(1000, Math.round(warmupDist / 50) * 50);
   const cooldownDistFinal = Math.round(cooldownDist / 50) * 50;
 
-  const warmup = buildWarmup(warmupDistFinal, paceSec, rng, eq);
-  const cooldown = buildCooldown(cooldownDistFinal, paceSec, rng);
+  const warmup = fitToPool(buildWarmup(warmupDistFinal, pacing, rng, eq), poolLength);
+  const cooldown = fitToPool(buildCooldown(cooldownDistFinal, pacing, rng), poolLength);
 
   // Calculate actual totals
   const actualWarmup = groupDistance(warmup);
   const actualCooldown = groupDistance(cooldown);
   const totalDist = actualWarmup + presetDist + mainDist + actualCooldown;
 
-  // Estimate total time
-  const totalDurSec =
-    groupDuration(warmup, paceSec * 1.15) +
-    groupDuration(preset, paceSec * 1.1) +
-    groupDuration(mainSet, paceSec) +
-    groupDuration(cooldown, paceSec * 1.2);
-
-  // Format intervals for display
-  const formatSet = (items: SetItem[]): SetItem[] =>
-    items.map((item) => {
-      if (isSetGroup(item)) {
-        return { ...item, items: formatSet(item.items) };
-      }
-      return {
-        ...item,
-        intervalDisplay: item.interval ? formatTime(item.interval) : null,
-      };
-    });
+  const sections: Section[] = [
+    { name: "Warmup", items: withIntervalDisplay(warmup), distance: actualWarmup },
+    ...(preset.length > 0
+      ? [{ name: "Pre-Set", items: withIntervalDisplay(preset), distance: presetDist }]
+      : []),
+    { name: "Main Set", items: withIntervalDisplay(mainSet), distance: mainDist },
+    { name: "Cooldown", items: withIntervalDisplay(cooldown), distance: actualCooldown },
+  ];
 
   return {
     name: mainEntry.name,
     duration,
-    pace,
+    pace: typeof pace === "string" ? pace : formatTime(basePacing.base),
+    ...(typeof pace === "string" ? {} : { css: pace.css }),
     unit,
+    ...(poolLength === DEFAULT_POOL_LENGTH ? {} : { poolLength }),
     totalDistance: totalDist,
-    estimatedMinutes: Math.round(totalDurSec / 60),
-    sections: [
-      { name: "Warmup", items: formatSet(warmup), distance: actualWarmup },
-      ...(preset.length > 0
-        ? [{ name: "Pre-Set", items: formatSet(preset), distance: presetDist }]
-        : []),
-      { name: "Main Set", items: formatSet(mainSet), distance: mainDist },
-      { name: "Cooldown", items: formatSet(cooldown), distance: actualCooldown },
-    ],
+    estimatedMinutes: estimateMinutes(sections, paceSec),
+    sections,
     seed,
   };
 }
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { buildTeamsCalendar, calendarDates, calendarEvents, parseCalendarTeams } from "./wtwtwCalendar";
+
+function event({ id, date, away, home, state = "pre", name, broadcasts = [], playoff = false }) {
+  return {
+    id,
+    date,
+    season: playoff ? { type: 3, slug: "post-season" } : undefined,
+    competitions: [
+      {
+        status: { type: { state, name, completed: false } },
+        broadcasts: broadcasts.length ? [{ names: broadcasts }] : [],
+        competitors: [
+          { homeAway: "away", team: { abbreviation: away, shortDisplayName: away } },
+          { homeAway: "home", team: { abbreviation: home, shortDisplayName: home } },
+        ],
+      },
+    ],
+  };
+}
+
+describe("parseCalendarTeams", () => {
+  it("keeps known teams in order, once each", () => {
+    expect(parseCalendarTeams("mlb-giants, mlb-cubs,nope,mlb-giants").map((t) => t.key)).toEqual([
+      "mlb-giants",
+      "mlb-cubs",
+    ]);
+    expect(parseCalendarTeams(null)).toEqual([]);
+  });
+});
+
+describe("calendarDates", () => {
+  it("covers the window starting today in Pacific Time", () => {
+    // 02:00 UTC on the 21st is still the 20th in California.
+    const dates = calendarDates(new Date("2026-05-21T02:00:00Z"), 3);
+    expect(dates).toEqual(["20260520", "20260521", "20260522"]);
+  });
+});
+
+describe("calendarEvents", () => {
+  const teams = parseCalendarTeams("mlb-giants");
+  const results = [
+    {
+      league: "baseball/mlb",
+      events: [
+        event({ id: "1", date: "2026-05-21T01:45Z", away: "CHC", home: "SF", broadcasts: ["NBCS-BA"] }),
+        event({ id: "2", date: "2026-05-20T23:10Z", away: "SF", home: "LAD", state: "post", name: "STATUS_POSTPONED" }),
+        event({ id: "3", date: "2026-05-21T00:00Z", away: "NYY", home: "BOS" }),
+      ],
+    },
+    {
+      league: "baseball/mlb",
+      // Same game pulled again from the next day's scoreboard.
+      events: [event({ id: "1", date: "2026-05-21T01:45Z", away: "CHC", home: "SF" })],
+    },
+  ];
+
+  it("includes each tracked team's game once, in start order", () => {
+    const events = calendarEvents(results, teams);
+    expect(events.map((e) => e.summary)).toEqual(["SF @ LAD", "CHC @ SF"]);
+    expect(events[1].uid).toBe("1@wtwtw.stanwood.dev");
+    expect(events[1].end.getTime() - events[1].start.getTime()).toBe(180 * 60_000);
+  });
+
+  it("links to where the game streams and lists the broadcasters", () => {
+    const [, giants] = calendarEvents(results, teams);
+    expect(giants.url).toBe("https://tv.youtube.com/");
+    expect(giants.description).toContain("Watch on YouTube TV");
+    expect(giants.description).toContain("TV: NBCS-BA");
+  });
+
+  it("marks postponed games cancelled", () => {
+    expect(calendarEvents(results, teams)[0].status).toBe("CANCELLED");
+  });
+
+  it("leaves out NBA playoff games the team isn't in", () => {
+    const nba = [{ league: "basketball/nba", events: [event({ id: "9", date: "2026-05-21T01:00Z", away: "BOS", home: "NY", playoff: true })] }];
+    expect(calendarEvents(nba, parseCalendarTeams("nba-warriors"))).toEqual([]);
+  });
+
+  it("names a single-team calendar after the team", () => {
+    expect(buildTeamsCalendar(results, teams)).toContain("X-WR-CALNAME:Giants games");
+  });
+});
@@ -0,0 +1,118 @@
+// Subscribable calendar of tracked teams' games, served by /api/wtwtw/calendar.ics.
+// Reuses the sports rails' ESPN fan-out, tracked-game walk and watch-link routing so
+// the calendar points at the same place the /tv tiles do.
+
+import { TEAM_REGISTRY, type TeamEntry } from "./teamRegistry";
+import {
+  broadcastsOf,
+  buildTeamLookup,
+  espnEventKey,
+  isPostponedLike,
+  teamSideOf,
+  trackedGames,
+  watchRecordingUrl,
+  yyyymmddInPT,
+  type ESPNEvent,
+} from "./wtwtwSports";
+import { buildIcs, type IcsEvent } from "./ics";
+import { DEFAULT_WATCH_SERVICES, type WatchServices } from "./watchProfile/services";
+import { MS_PER_DAY, MS_PER_MINUTE } from "./time";
+
+export const CALENDAR_DAYS = 14;
+export const MAX_CALENDAR_TEAMS = 10;
+/** Calendar apps are asked to re-fetch this often; the route's CDN cache matches it. */
+export const CALENDAR_REFRESH_MINUTES = 60;
+
+/** Rough broadcast windows, so the event blocks out the evening sensibly. */
+const GAME_MINUTES: Record<string, number> = {
+  baseball: 180,
+  basketball: 150,
+  football: 210,
+  hockey: 165,
+  soccer: 120,
+};
+const DEFAULT_GAME_MINUTES = 180;
+
+const UID_DOMAIN = "wtwtw.stanwood.dev";
+
+/** `teams=mlb-cubs,mlb-giants` → known teams in the order given, deduped and capped. */
+export function parseCalendarTeams(param: string | null): TeamEntry[] {
+  if (!param) return [];
+  const keys = Array.from(new Set(param.split(",").map((k) => k.trim())));
+  return keys
+    .map((k) => TEAM_REGISTRY[k])
+    .filter((t): t is TeamEntry => t !== undefined)
+    .slice(0, MAX_CALENDAR_TEAMS);
+}
+
+/** ESPN `dates` values for the feed window, starting today in Pacific Time. */
+export function calendarDates(now = new Date(), days = CALENDAR_DAYS): string[] {
+  return Array.from({ length: days }, (_, i) => yyyymmddInPT(new Date(now.getTime() + i * MS_PER_DAY)));
+}
+
+function gameMinutes(league: string): number {
+  return GAME_MINUTES[league.split("/")[0]] ?? DEFAULT_GAME_MINUTES;
+}
+
+/**
+ * Turn fetched scoreboards into calendar events for `teams`. Only games involving one
+ * of them are kept — the rails' NBA-playoff extras don't belong in someone's calendar.
+ * Postponed games stay in as cancelled so subscribers see the change.
+ */
+export function calendarEvents(
+  results: Array<{ league: string; events: ESPNEvent[] }>,
+  teams: TeamEntry[],
+  services: WatchServices = DEFAULT_WATCH_SERVICES,
+): IcsEvent[] {
+  const lookup = buildTeamLookup(teams.map((t) => t.key));
+  const out: IcsEvent[] = [];
+  for (const { league, event, match, away, home } of trackedGames(results, lookup, { include: () => true })) {
+    if (!match.matched) continue;
+    const start = new Date(event.date);
+    if (Number.isNaN(start.getTime())) continue;
+
+    const awaySide = teamSideOf(away);
+    const homeSide = teamSideOf(home);
+    const broadcasts = broadcastsOf(event);
+    const watch = watchRecordingUrl({
+      league,
+      awayAbbr: awaySide.abbr,
+      homeAbbr: homeSide.abbr,
+      isLive: true,
+      broadcasts,
+      services,
+    });
+    const description = [
+      `Watch on ${watch.label}: ${watch.href}`,
+      broadcasts.length > 0 ? `TV: ${broadcasts.join(", ")}` : null,
+    ].filter(Boolean).join("\n");
+
+    out.push({
+      uid: `${espnEventKey(league, event).replace(/[^A-Za-z0-9._-]/g, "-")}@${UID_DOMAIN}`,
+      start,
+      end: new Date(start.getTime() + gameMinutes(league) * MS_PER_MINUTE),
+      summary: `${awaySide.shortName} @ ${homeSide.shortName}`,
+      description,
+      url: watch.href,
+      status: isPostponedLike(event) ? "CANCELLED" : "CONFIRMED",
+    });
+  }
+  return out.sort((a, b) => a.start.getTime() - b.start.getTime());
+}
+
+export function buildTeamsCalendar(
+  results: Array<{ league: string; events: ESPNEvent[] }>,
+  teams: TeamEntry[],
+  now = new Date(),
+  services: WatchServices = DEFAULT_WATCH_SERVICES,
+): string {
+  return buildIcs(
+    {
+      name: teams.length === 1 ? `${teams[0].label} games` : "WTWTW games",
+      description: `Upcoming games for ${teams.map((t) => t.fullName).join(", ")}`,
+      refreshMinutes: CALENDAR_REFRESH_MINUTES,
+      events: calendarEvents(results, teams, services),
+    },
+    now,
+  );
+}
@@ -3,11 +3,14 @@ import {
   ALWAYS_SHOW_TEAMS,
   bestUnseenFinishedGame,
   buildTeamLookup,
+  finishedGameTier,
   isFinalEvent,
   isLatestStartedEventForTrackedTeams,
   isPostponedLike,
   latestStartedAtByTrackedTeam,
+  trackedGames,
   watchRecordingUrl,
+  watchTierStars,
 } from "./wtwtwSports";
 import { getTeam } from "./teamRegistry";
 
@@ -377,6 +380,15 @@ describe("finished game ranking", () => {
     expect(pick?.event.id).toBe("top");
     expect(pick?.isOverallBest).toBe(true);
   });
+
+  it("buckets finals into star tiers for the spoiler shield", () => {
+    const final = (awayScore, homeScore) =>
+      event({ id: "g", date: "2026-06-06T19:00:00Z", away: "GS", home: "NY", state: "post", completed: true, awayScore, homeScore });
+    expect(finishedGameTier(final("91", "90"))).toBe(3);
+    expect(finishedGameTier(final("90", "80"))).toBe(2);
+    expect(finishedGameTier(final("99", "70"))).toBe(1);
+    expect(watchTierStars(2)).toBe("★★☆");
+  });
 });
 
 describe("postponements", () => {
@@ -515,7 +527,6 @@ describe("sports watch links", () => {
         awayAbbr: "GS",
         homeAbbr: "MIN",
         isoDate: "2026-06-04",
-        matchedKey: "wnba-valkyries",
         wnbaGameIds,
       }),
     ).toEqual({
@@ -541,6 +552,12 @@ describe("sports watch links", () => {
     });
   });
 
+  it("routes live games through the household's services", () => {
+    const live = { league: "basketball/nba", awayAbbr: "LAL", homeAbbr: "BOS", isLive: true, broadcasts: ["TNT"] };
+    expect(watchRecordingUrl(live).label).toBe("YouTube TV");
+    expect(watchRecordingUrl({ ...live, services: { services: ["max"], homeMarket: null } }).label).toBe("Max");
+  });
+
   it("falls back to WNBA Watch when a replay game cannot be resolved", () => {
     expect(
       watchRecordingUrl({
@@ -556,3 +573,39 @@ describe("sports watch links", () => {
     });
   });
 });
+
+describe("trackedGames", () => {
+  it("surfaces NFL playoff games for untracked teams, but not regular season ones", () => {
+    const results = [
+      {
+        league: "football/nfl",
+        events: [
+          event({ id: "wc", date: "2027-01-10T21:30:00Z", away: "BUF", home: "KC", state: "pre", playoff: true }),
+          event({ id: "wk18", date: "2027-01-03T21:30:00Z", away: "NYJ", home: "MIA", state: "pre" }),
+        ],
+      },
+    ];
+    const games = [...trackedGames(results, buildTeamLookup([]), { include: () => true })];
+    expect(games.map((g) => g.event.id)).toEqual(["wc"]);
+    expect(games[0].match).toMatchObject({ matched: null, isPlayoff: true });
+  });
+
+  it("attaches where a playoff series stands going into the game", () => {
+    const game7 = event({ id: "g7", date: "2027-05-30T00:30:00Z", away: "DEN", home: "OKC", state: "pre", playoff: true });
+    const comp = game7.competitions[0];
+    comp.competitors[0].id = "7";
+    comp.competitors[1].id = "25";
+    comp.series = {
+      type: "playoff",
+      title: "West Finals",
+      totalCompetitions: 7,
+      competitors: [
+        { id: "25", wins: 3 },
+        { id: "7", wins: 3 },
+      ],
+    };
+    const results = [{ league: "basketball/nba", events: [game7] }];
+    const [game] = trackedGames(results, buildTeamLookup([]), { include: () => true });
+    expect(game.match.series).toMatchObject({ gameNumber: 7, awayWins: 3, homeWins: 3, stakes: "winner-take-all" });
+  });
+});
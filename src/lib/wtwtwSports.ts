@@ -1,21 +1,30 @@
 // Shared helpers for the /tv sports rails (yesterday recap + today schedule).
-// Pulls user team prefs from WTWTW localStorage, fans out to ESPN scoreboards,
+// Pulls user team prefs from the WTWTW watch profile, fans out to ESPN scoreboards,
 // and resolves watch-recording links per league.
 
 import { TEAM_REGISTRY, type TeamEntry } from "./teamRegistry";
 import { fetchEspnScoreboard, parseScore, TIMEZONE, isPostponedLike } from "./sportsCore";
-import { safeGet } from "./localStorage";
+import { parseSeriesState, seriesStakesMultiplier, type EspnSeries, type SeriesState } from "./playoffs/series";
+import { loadLocalWatchState, syncWatchProfile } from "./watchProfile/client";
+import {
+  DEFAULT_WATCH_SERVICES,
+  routeLiveGame,
+  routeReplay,
+  type WatchServices,
+  type WatchTarget,
+} from "./watchProfile/services";
 
-const WTWTW_LS_KEY = "wtwtw:v1";
 export const ALWAYS_SHOW_TEAMS = [
   "mlb-cubs",
   "mlb-giants",
   "mlb-athletics",
   "wnba-valkyries",
 ];
-const PLAYOFF_LEAGUES = ["basketball/nba"];
+// Postseason games in these leagues surface on the rails whoever is playing.
+const PLAYOFF_LEAGUES = ["basketball/nba", "football/nfl"];
 
 export interface ESPNCompetitor {
+  id?: string;
   team?: {
     abbreviation?: string;
     displayName?: string;
@@ -35,13 +44,16 @@ interface ESPNStatusType {
   state?: string;
   shortDetail?: string;
   detail?: string;
+  description?: string;
   completed?: boolean;
 }
 
 interface ESPNCompetition {
   competitors?: ESPNCompetitor[];
-  status?: { period?: number; type?: ESPNStatusType };
+  status?: { period?: number; displayClock?: string; type?: ESPNStatusType };
   broadcasts?: Array<{ names?: string[] }>;
+  series?: EspnSeries;
+  notes?: Array<{ headline?: string }>;
 }
 
 export interface ESPNEvent {
@@ -53,14 +65,6 @@ export interface ESPNEvent {
   season?: { type?: number; slug?: string };
 }
 
-function readUserTeamKeys(): string[] {
-  const stored = safeGet<{ teams?: unknown }>(WTWTW_LS_KEY);
-  if (stored && Array.isArray(stored.teams)) {
-    return stored.teams.filter((k): k is string => typeof k === "string");
-  }
-  return [];
-}
-
 function getRelevantLeagues(teamKeys: string[]): Set<string> {
   const out = new Set<string>();
   for (const k of teamKeys) {
@@ -91,7 +95,7 @@ export interface TrackedTeamsContext {
 // by LiveSports/TodaySports/YesterdaySports so the three stay in lockstep.
 export function getTrackedTeamsContext(): TrackedTeamsContext {
   const teamKeys = Array.from(
-    new Set([...readUserTeamKeys(), ...ALWAYS_SHOW_TEAMS]),
+    new Set([...loadLocalWatchState().teams, ...ALWAYS_SHOW_TEAMS]),
   );
   return {
     teamKeys,
@@ -100,12 +104,25 @@ export function getTrackedTeamsContext(): TrackedTeamsContext {
   };
 }
 
-function isNbaPlayoff(ev: ESPNEvent): boolean {
+/**
+ * {@link getTrackedTeamsContext} after refreshing from this device's shared profile, so
+ * the TV, phone and laptop rails agree. Falls back to the local picks when offline.
+ */
+export async function loadTrackedTeamsContext(): Promise<TrackedTeamsContext> {
+  await syncWatchProfile();
+  return getTrackedTeamsContext();
+}
+
+function isPostseason(ev: ESPNEvent): boolean {
   if (ev.season?.type === 3) return true;
   if (ev.season?.slug === "post-season") return true;
   return false;
 }
 
+function isSurfacedPlayoff(ev: ESPNEvent, league: string): boolean {
+  return PLAYOFF_LEAGUES.includes(league) && isPostseason(ev);
+}
+
 /** Accent used when a surfaced game has no tracked team to borrow a brand colour from. */
 export const DEFAULT_TEAM_ACCENT = "#1a1a1a";
 
@@ -113,12 +130,14 @@ export interface TrackedGameMatch {
   /** The tracked team in this matchup, or null when the game qualifies on playoff status alone. */
   matched: TeamEntry | null;
   isPlayoff: boolean;
+  /** Where its playoff series stands going in, for any postseason series game. */
+  series: SeriesState | null;
   accent: string;
 }
 
 /**
  * Decide whether an event belongs on the sports rails: it must involve a tracked team,
- * or be an NBA playoff game (which we surface regardless of who's playing). Returns null
+ * or be an NBA/NFL playoff game (which we surface regardless of who's playing). Returns null
  * when it's neither. Reached by the rails through {@link trackedGames}.
  */
 function trackedGameMatch(
@@ -127,9 +146,14 @@ function trackedGameMatch(
   lookup: Map<string, TeamEntry>,
 ): TrackedGameMatch | null {
   const matched = matchUserTeam(ev, league, lookup);
-  const isPlayoff = league === "basketball/nba" && isNbaPlayoff(ev);
+  const isPlayoff = isSurfacedPlayoff(ev, league);
   if (!matched && !isPlayoff) return null;
-  return { matched, isPlayoff, accent: matched?.color || DEFAULT_TEAM_ACCENT };
+  return {
+    matched,
+    isPlayoff,
+    series: isPostseason(ev) ? parseSeriesState(ev) : null,
+    accent: matched?.color || DEFAULT_TEAM_ACCENT,
+  };
 }
 
 /** One rail-worthy game: the event plus everything all three rails re-derive from it. */
@@ -145,7 +169,7 @@ export interface TrackedGame {
 
 /**
  * Walk fetched scoreboard results and yield only the games a rail should render: those
- * passing `include`, involving a tracked team (or an NBA playoff game), and with both
+ * passing `include`, involving a tracked team (or an NBA/NFL playoff game), and with both
  * competitors present — deduped by event key along the way.
  *
  * LiveSports/TodaySports/YesterdaySports differ only in `include` and in what they build
@@ -289,7 +313,8 @@ export function teamSideOf(c: ESPNCompetitor): TeamSide {
 // out, so it can't discriminate between games — we drop it and keep the two
 // signals that still separate good from bad (final margin + team quality),
 // plus an overtime bonus. Closeness penalty matches NBA Now (4 pts of margin
-// per closeness point lost).
+// per closeness point lost). Playoff games with a season on the line get the same
+// elimination bonus the live rankers give them.
 
 const FINISHED_CLOSENESS_PENALTY = 4;
 const OT_BONUS_PER_PERIOD = 0.25; // 1 OT → 1.25×, 2 OT → 1.5×
@@ -312,7 +337,33 @@ export function finishedGameWatchScore(ev: ESPNEvent): number {
   const quality = 0.5 + avgWinPct; // 0.5 (two winless teams) … 1.5 (two unbeaten)
   const period = ev.competitions?.[0]?.status?.period || 0;
   const otBonus = period > 4 ? 1 + OT_BONUS_PER_PERIOD * (period - 4) : 1;
-  return closeness * quality * otBonus;
+  return closeness * quality * otBonus * seriesStakesMultiplier(ev);
+}
+
+/** Star rating shown in place of a final score while the spoiler shield is up. */
+export type WatchTier = 1 | 2 | 3;
+
+// A one-possession game between .500 teams scores ~90; a 15-point blowout ~40.
+const TIER_THRESHOLDS: Array<[number, WatchTier]> = [
+  [75, 3],
+  [45, 2],
+];
+
+export const WATCH_TIER_LABELS: Record<WatchTier, string> = {
+  3: "Must watch",
+  2: "Worth a watch",
+  1: "Skippable",
+};
+
+/** Bucket a finished game into 1–3 stars — coarse enough not to give the margin away. */
+export function finishedGameTier(ev: ESPNEvent): WatchTier {
+  const score = finishedGameWatchScore(ev);
+  return TIER_THRESHOLDS.find(([min]) => score >= min)?.[1] ?? 1;
+}
+
+/** `★★☆` */
+export function watchTierStars(tier: WatchTier): string {
+  return "★".repeat(tier) + "☆".repeat(3 - tier);
 }
 
 function rankedFinishedGamesByWatchScore(
@@ -397,7 +448,7 @@ function trackedEventTeamKeys(
   const out = new Set<string>();
   for (const t of matchUserTeams(ev, league, lookup)) out.add(t.key);
 
-  if (league === "basketball/nba" && isNbaPlayoff(ev)) {
+  if (isSurfacedPlayoff(ev, league)) {
     for (const c of ev.competitions?.[0]?.competitors || []) {
       const abbr = (c.team?.abbreviation || "").toUpperCase();
       if (abbr) out.add(`${league}|${abbr}`);
@@ -604,55 +655,38 @@ export async function fetchWnbaGameIds(): Promise<Map<string, string>> {
 
 // ── Watch links ─────────────────────────────────────────────────────────────
 
-interface WatchTarget {
-  href: string;
-  label: string;
-}
-
-const PRIME_URL =
-  "https://www.amazon.com/gp/video/storefront?ref_=atv_pr_sw_sc";
-const YOUTUBE_TV_URL = "https://tv.youtube.com/";
 const MLB_TV_ROOT = "https://www.mlb.com/tv";
 const WNBA_WATCH_URL = "https://www.wnba.com/watch";
 
+/**
+ * Where a game's watch link goes for this household: live games by its services and
+ * home market, finished ones to the league's replay page (or a DVR's recordings).
+ */
 export function watchRecordingUrl(opts: {
   league: string;
   awayAbbr?: string;
   homeAbbr?: string;
   isoDate?: string; // YYYY-MM-DD, used for NBA daily listing + WNBA gameCode
   isLive?: boolean; // live games route around in-market MLB.tv/League Pass blackouts
-  broadcasts?: string[]; // ESPN broadcaster names — drives NBA Prime vs YTTV routing
-  matchedKey?: string; // user team key (e.g. "mlb-cubs") for blackout-aware routing
+  broadcasts?: string[]; // ESPN broadcaster names — matched against the household's services
+  services?: WatchServices; // the watch profile's "my services"; defaults to DEFAULT_WATCH_SERVICES
   mlbGamePks?: Map<string, number>;
   wnbaGameIds?: Map<string, string>;
 }): WatchTarget {
-  // ── LIVE: route around in-market blackouts. Stephen watches the local
-  // Giants/Valkyries live on YouTube TV (NBC Sports Bay Area carries them),
-  // out-of-market Cubs on MLB.tv, and NBA games by broadcaster (Prime when
-  // it's an Amazon broadcast, otherwise cable via YTTV).
-  if (opts.isLive) {
-    if (opts.league === "basketball/nba") {
-      const onPrime = (opts.broadcasts || []).some((b) => /prime/i.test(b));
-      return onPrime
-        ? { href: PRIME_URL, label: "Prime" }
-        : { href: YOUTUBE_TV_URL, label: "YouTube TV" };
-    }
-    if (opts.matchedKey === "mlb-cubs") {
-      return { href: MLB_TV_ROOT, label: "MLB.tv" };
-    }
-    if (opts.matchedKey === "mlb-giants") {
-      return { href: YOUTUBE_TV_URL, label: "YouTube TV" };
-    }
-    if (opts.matchedKey === "wnba-valkyries") {
-      return { href: YOUTUBE_TV_URL, label: "YouTube TV" };
-    }
-    if (opts.league === "baseball/mlb") {
-      return { href: MLB_TV_ROOT, label: "MLB.tv" };
-    }
-    return { href: YOUTUBE_TV_URL, label: "YouTube TV" };
-  }
+  const services = opts.services ?? DEFAULT_WATCH_SERVICES;
+  if (opts.isLive) return routeLiveGame(services, opts);
+  return routeReplay(services, opts.league, replayDeepLink(opts));
+}
 
-  // ── REPLAY: deep links into MLB.tv/WNBA game pages or NBA daily listing.
+function replayDeepLink(opts: {
+  league: string;
+  awayAbbr?: string;
+  homeAbbr?: string;
+  isoDate?: string;
+  mlbGamePks?: Map<string, number>;
+  wnbaGameIds?: Map<string, string>;
+}): WatchTarget | null {
+  // Deep links into MLB.tv/WNBA game pages or the NBA daily listing.
   if (opts.league === "baseball/mlb") {
     const key = `${(opts.awayAbbr || "").toUpperCase()}|${(opts.homeAbbr || "").toUpperCase()}`;
     const gamePk = opts.mlbGamePks?.get(key);
@@ -688,5 +722,5 @@ export function watchRecordingUrl(opts: {
       label: "WNBA League Pass",
     };
   }
-  return { href: YOUTUBE_TV_URL, label: "YouTube TV" };
+  return null;
 }
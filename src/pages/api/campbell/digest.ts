@@ -2,7 +2,7 @@ import type { APIRoute } from "astro";
 import { errJson, devErrJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
 import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
 import { CLAUDE_SONNET, extractText, stripFences, getAnthropicClient } from "../../../lib/models";
-import { getLatestAgenda } from "../../../lib/campbell/agendaScraper";
+import { getArchivedAgendaDigest, getLatestAgenda } from "../../../lib/campbell/agendaScraper";
 import type { DigestSummary } from "../../../lib/campbell/types";
 import { MS_PER_DAY } from "../../../lib/time";
 import { createTtlCache } from "../../../lib/ttlCache";
@@ -20,13 +20,20 @@ export const POST: APIRoute = async ({ clientAddress }) => {
   const fresh = digestCache.get();
   if (fresh) return okJson(fresh);
 
-  if (!import.meta.env.ANTHROPIC_API_KEY) return errJson("Service not configured", 503);
-
   // 1. Read the bundled agenda text (refreshed by the nightly data sync)
   const agenda = getLatestAgenda();
   if (!agenda) return errJson("No council agenda available yet", 502);
   const content = agenda.content;
 
+  // The sync usually summarized this agenda already for the digest archive
+  const archived = getArchivedAgendaDigest(agenda);
+  if (archived) {
+    digestCache.set(archived);
+    return okJson(archived);
+  }
+
+  if (!import.meta.env.ANTHROPIC_API_KEY) return errJson("Service not configured", 503);
+
   // 2. Summarize with Claude
   const prompt = `You are summarizing a Campbell, CA city council meeting agenda for residents.
 
@@ -0,0 +1,38 @@
+// Subscribable iCalendar feed of the merged Campbell events calendar:
+// /api/campbell/events.ics?source=Campbell+Library+Events&view=weekend. Takes the events
+// guide's filters — source, category, view (next14, today, weekend, next30, all, public)
+// and q — and rolls forward on every refresh.
+
+import type { APIRoute } from "astro";
+import { errJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import eventFeed from "../../../data/campbellEvents.json";
+import type { CampbellEvent } from "../../../lib/campbell/eventFilters";
+import {
+  EVENT_FEED_REFRESH_MINUTES,
+  buildEventsIcs,
+  parseEventFeedFilters,
+} from "../../../lib/campbell/eventSubscriptions";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+
+  try {
+    const ics = buildEventsIcs(eventFeed.items as CampbellEvent[], parseEventFeedFilters(url.searchParams));
+    const ttl = EVENT_FEED_REFRESH_MINUTES * 60;
+    return new Response(ics, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="campbell-events.ics"',
+        // The event data only changes with the nightly sync.
+        "Cache-Control": `public, max-age=${ttl}, s-maxage=${ttl}, stale-while-revalidate=86400`,
+      },
+    });
+  } catch (err) {
+    console.error("campbell events calendar failed:", toErrMsg(err));
+    return errJson("Failed to build calendar", 500);
+  }
+};
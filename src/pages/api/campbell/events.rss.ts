@@ -0,0 +1,35 @@
+// RSS feed of the merged Campbell events calendar: /api/campbell/events.rss, with the
+// same filters as /api/campbell/events.ics — source, category, view and q.
+
+import type { APIRoute } from "astro";
+import { errJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import eventFeed from "../../../data/campbellEvents.json";
+import type { CampbellEvent } from "../../../lib/campbell/eventFilters";
+import {
+  EVENT_FEED_REFRESH_MINUTES,
+  buildEventsRss,
+  parseEventFeedFilters,
+} from "../../../lib/campbell/eventSubscriptions";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+
+  try {
+    const rss = buildEventsRss(eventFeed.items as CampbellEvent[], parseEventFeedFilters(url.searchParams), url.origin);
+    const ttl = EVENT_FEED_REFRESH_MINUTES * 60;
+    return new Response(rss, {
+      status: 200,
+      headers: {
+        "Content-Type": "application/rss+xml; charset=utf-8",
+        // The event data only changes with the nightly sync.
+        "Cache-Control": `public, max-age=${ttl}, s-maxage=${ttl}, stale-while-revalidate=86400`,
+      },
+    });
+  } catch (err) {
+    console.error("campbell events feed failed:", toErrMsg(err));
+    return errJson("Failed to build feed", 500);
+  }
+};
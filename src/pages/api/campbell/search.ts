@@ -0,0 +1,44 @@
+// Full-text search across Campbell council and Planning Commission agendas, minutes and
+// public hearings: /api/campbell/search?q=bascom&body=Planning+Commission&date=past365.
+// Takes q (required), body (City Council or Planning Commission) and date (any, upcoming,
+// past90, past365), and answers from the static search index `npm run build` bundles —
+// or 503 where no build has written one, as under a bare `astro dev`.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { startOfDay } from "../../../lib/campbell/dateHelpers";
+import {
+  parseRecordSearchFilters,
+  searchRecordIndex,
+  type RecordSearchIndex,
+} from "../../../lib/campbell/recordSearch";
+
+export const prerender = false;
+
+// The build writes the index (scripts/build-campbell-search-index.mjs) and git ignores it; a
+// glob rather than an import so dev servers and type-checks run without it.
+const indexFiles = import.meta.glob<RecordSearchIndex>("../../../data/campbellRecordSearchIndex.json", {
+  eager: true,
+  import: "default",
+});
+const RECORD_INDEX: RecordSearchIndex | undefined = Object.values(indexFiles)[0];
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  if (!RECORD_INDEX) return errJson("Record search isn't available yet.", 503);
+  const filters = parseRecordSearchFilters(url.searchParams);
+  if (!filters.query) return errJson("Enter something to search for", 400);
+
+  try {
+    const results = searchRecordIndex(RECORD_INDEX, filters, startOfDay(new Date()));
+    return okJson(
+      { ...results, generatedAt: RECORD_INDEX.generatedAt },
+      // The index only changes with a deploy; date windows roll over daily.
+      { "Cache-Control": "public, max-age=3600, s-maxage=3600, stale-while-revalidate=86400" },
+    );
+  } catch (err) {
+    console.error("campbell record search failed:", toErrMsg(err));
+    return errJson("Search failed", 500);
+  }
+};
@@ -0,0 +1,20 @@
+// MLB boxscores for storylines: `/api/mlb/boxscores?ids=401820001,401820002` returns each
+// game's per-batter hit types and free passes — what MLB GameRank needs to spot a cycle
+// watch or a perfect game that the scoreboard alone can't show.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { MAX_SUMMARY_IDS, getEspnSummaries, summaryIdsParam } from "../../../lib/espnSummary/proxy";
+import { parseBoxscore } from "../../../lib/mlbStorylines/storylines";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const ids = summaryIdsParam(url);
+  if (!ids) return errJson(`ids must be 1-${MAX_SUMMARY_IDS} comma-separated ESPN event ids.`, 400);
+
+  const boxscores = await getEspnSummaries("baseball/mlb", ids, parseBoxscore);
+  return okJson({ boxscores }, { "Cache-Control": "public, max-age=0, s-maxage=30, stale-while-revalidate=60" });
+};
@@ -0,0 +1,20 @@
+// NBA play-by-play for the situation panel: `/api/nba/situations?ids=401810001,401810002`
+// returns each game's scoring timeline and leading scorers' fouls — what NBA Now needs to
+// call out a run, a seesaw game or a star in foul trouble.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { MAX_SUMMARY_IDS, getEspnSummaries, summaryIdsParam } from "../../../lib/espnSummary/proxy";
+import { parsePlayByPlay } from "../../../lib/nbaSituation/situation";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const ids = summaryIdsParam(url);
+  if (!ids) return errJson(`ids must be 1-${MAX_SUMMARY_IDS} comma-separated ESPN event ids.`, 400);
+
+  const situations = await getEspnSummaries("basketball/nba", ids, parsePlayByPlay);
+  return okJson({ situations }, { "Cache-Control": "public, max-age=0, s-maxage=30, stale-while-revalidate=60" });
+};
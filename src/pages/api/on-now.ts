@@ -0,0 +1,36 @@
+// Every league's live games on one watchability scale — the JSON behind /on-now.
+
+import type { APIRoute } from "astro";
+import { okJson, toErrMsg } from "../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../lib/rateLimit";
+import type { Game } from "../../lib/sportsCore";
+import { LEAGUES } from "../../lib/teamRegistry";
+import { yyyymmddInPT } from "../../lib/wtwtwSports";
+import { rankOnNow } from "../../lib/onNow/rank";
+import { getScoreboard } from "../../lib/scoreboard/proxy";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const ymd = yyyymmddInPT(new Date());
+  const failed: string[] = [];
+  // A league ESPN can't serve just drops out of the list.
+  const boards = await Promise.all(
+    LEAGUES.map(async (league) => {
+      const { path } = league;
+      try {
+        const { board } = await getScoreboard(league, ymd);
+        return { league: path, events: board.events as Game[] };
+      } catch (err) {
+        console.error(`on-now ${path} failed:`, toErrMsg(err));
+        failed.push(path);
+        return { league: path, events: [] };
+      }
+    }),
+  );
+  return okJson(
+    { generatedAt: new Date().toISOString(), events: rankOnNow(boards), failed },
+    { "Cache-Control": "public, max-age=0, s-maxage=30, stale-while-revalidate=60" },
+  );
+};
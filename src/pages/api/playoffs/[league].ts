@@ -0,0 +1,39 @@
+// Playoff bracket: `/api/playoffs/nba` returns every series of the current postseason as
+// rounds, with where each series stands and its next game — the JSON behind /playoffs.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import type { Game } from "../../../lib/sportsCore";
+import { MS_PER_DAY } from "../../../lib/time";
+import { yyyymmddInPT } from "../../../lib/wtwtwSports";
+import { BRACKET_LEAGUES, buildBracket } from "../../../lib/playoffs/bracket";
+import { getPostseasonScoreboard, leagueByKey } from "../../../lib/scoreboard/proxy";
+
+export const prerender = false;
+
+// The longest postseason (MLB's, wild cards through the World Series) runs about five
+// weeks; looking back 100 days keeps a finished bracket up until the next one starts.
+const LOOKBACK_DAYS = 100;
+const LOOKAHEAD_DAYS = 14;
+
+export const GET: APIRoute = async ({ params, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const key = params.league ?? "";
+  const league = leagueByKey(key);
+  if (!league || !BRACKET_LEAGUES.includes(key)) return errJson("Unknown league.", 404);
+
+  const now = Date.now();
+  const from = yyyymmddInPT(new Date(now - LOOKBACK_DAYS * MS_PER_DAY));
+  const to = yyyymmddInPT(new Date(now + LOOKAHEAD_DAYS * MS_PER_DAY));
+  try {
+    const { board } = await getPostseasonScoreboard(league, from, to);
+    return okJson(
+      { generatedAt: new Date().toISOString(), league: key, events: buildBracket(board.events as Game[], league.path) },
+      { "Cache-Control": "public, max-age=0, s-maxage=60, stale-while-revalidate=120" },
+    );
+  } catch (err) {
+    console.error(`playoffs ${league.path} failed:`, toErrMsg(err));
+    return errJson("Bracket unavailable.", 502);
+  }
+};
@@ -0,0 +1,117 @@
+// Scheduled by the `crons` entry in vercel.json: reads today's scoreboards for every league
+// a subscriber follows, works out which live alerts each one has earned, and pushes the
+// ones they haven't had yet. Subscriptions the push service reports gone are dropped.
+
+import type { APIRoute } from "astro";
+import { devErrJson, errJson, fetchWithTimeout, isCronRequest, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { buildFallbackSchedule, findActiveWindow, type BigInningSchedule } from "../../../lib/bigInning";
+import { scoreToPercent, type Game } from "../../../lib/sportsCore";
+import { TEAM_REGISTRY } from "../../../lib/teamRegistry";
+import { yyyymmddInPT } from "../../../lib/wtwtwSports";
+import { isTimelineLeague } from "../../../lib/watchHistory/history";
+import { WATCH_SCORERS } from "../../../lib/watchHistory/scorers";
+import { appendSentAlerts, bigInningAlert, liveGameAlerts, unsentAlerts, type PushAlert } from "../../../lib/push/alerts";
+import { hasPushDatabase } from "../../../lib/push/db";
+import { deletePushSignup, listPushSignups, recordSentAlerts } from "../../../lib/push/store";
+import { getVapidKeys } from "../../../lib/push/vapid";
+import { getScoreboard, leagueByPath } from "../../../lib/scoreboard/proxy";
+import { sendWebPush } from "../../../lib/push/webPush";
+
+export const prerender = false;
+
+const NO_STORE = { "Cache-Control": "private, no-store" };
+
+interface LiveGame {
+  league: string;
+  game: Game;
+  pct: number;
+}
+
+/** Live games in `league`, each with its watch-score percentage (0 where no scorer exists). */
+async function liveGames(league: string, ymd: string): Promise<LiveGame[]> {
+  const info = leagueByPath(league);
+  if (!info) return [];
+  const { board } = await getScoreboard(info, ymd);
+  const scorer = isTimelineLeague(league) ? WATCH_SCORERS[league] : null;
+  return (board.events as Game[])
+    .filter((game) => game.competitions?.[0]?.status?.type?.state === "in")
+    .map((game) => ({ league, game, pct: scorer ? scoreToPercent(scorer.score(game), scorer.max) : 0 }));
+}
+
+/** The edge-cached schedule from /api/big-inning, or the bundled one if that's unreachable. */
+async function bigInningSchedule(origin: string): Promise<BigInningSchedule> {
+  try {
+    const res = await fetchWithTimeout(`${origin}/api/big-inning`, {}, 5000);
+    if (res.ok) return (await res.json()) as BigInningSchedule;
+  } catch {
+    // Fall through to the bundled schedule.
+  }
+  return buildFallbackSchedule();
+}
+
+export const GET: APIRoute = async ({ request, url }) => {
+  if (!isCronRequest(request)) return errJson("Unauthorized", 401);
+  const vapid = getVapidKeys();
+  if (!vapid || !hasPushDatabase()) return errJson("Live alerts aren't configured.", 503);
+
+  let signups;
+  try {
+    signups = await listPushSignups();
+  } catch (err) {
+    return devErrJson("Could not load subscriptions", toErrMsg(err));
+  }
+  if (signups.length === 0) return okJson({ subscribers: 0, sent: 0, removed: 0, failed: [] }, NO_STORE);
+
+  const now = Date.now();
+  const ymd = yyyymmddInPT(new Date(now));
+  const leagues = new Set(signups.flatMap((s) => s.teams.map((k) => TEAM_REGISTRY[k]?.league).filter(Boolean)));
+  const games: LiveGame[] = [];
+  const failed: string[] = [];
+  // One league's ESPN hiccup shouldn't cost the others their alerts.
+  await Promise.all(
+    [...leagues].map(async (league) => {
+      try {
+        games.push(...(await liveGames(league, ymd)));
+      } catch (err) {
+        console.error(`push check ${league} failed:`, toErrMsg(err));
+        failed.push(league);
+      }
+    }),
+  );
+
+  const bigInning = signups.some((s) => s.bigInning)
+    ? findActiveWindow(await bigInningSchedule(url.origin), now)
+    : null;
+
+  let sent = 0;
+  let removed = 0;
+  await Promise.all(
+    signups.map(async (signup) => {
+      const earned: PushAlert[] = games.flatMap(({ league, game, pct }) =>
+        liveGameAlerts(league, game, pct, signup.teams, signup),
+      );
+      if (signup.bigInning && bigInning) earned.push(bigInningAlert(bigInning));
+
+      const delivered: string[] = [];
+      for (const alert of unsentAlerts(earned, signup.sentAlerts)) {
+        const result = await sendWebPush(signup.subscription, alert, vapid);
+        if (result === "gone") {
+          removed++;
+          await deletePushSignup(signup.subscription.endpoint).catch(() => {});
+          return;
+        }
+        // A failed push is retried on the next tick.
+        if (result === "sent") delivered.push(alert.key);
+      }
+      if (delivered.length === 0) return;
+      sent += delivered.length;
+      try {
+        await recordSentAlerts(signup.subscription.endpoint, appendSentAlerts(signup.sentAlerts, delivered));
+      } catch (err) {
+        console.error("push check could not record sent alerts:", toErrMsg(err));
+      }
+    }),
+  );
+
+  return okJson({ subscribers: signups.length, sent, removed, failed }, NO_STORE);
+};
@@ -0,0 +1,65 @@
+import type { APIRoute } from "astro";
+import { devErrJson, errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { normalizePushSignup } from "../../../lib/push/alerts";
+import { hasPushDatabase } from "../../../lib/push/db";
+import { deletePushSignup, upsertPushSignup } from "../../../lib/push/store";
+import { getVapidKeys } from "../../../lib/push/vapid";
+
+export const prerender = false;
+
+const NO_STORE = { "Cache-Control": "private, no-store" };
+
+function unavailable(): Response {
+  return errJson("Live alerts aren't configured.", 503);
+}
+
+async function readJson(request: Request): Promise<unknown | Response> {
+  if (!request.headers.get("content-type")?.toLowerCase().includes("application/json")) {
+    return errJson("Expected JSON.", 415);
+  }
+  try {
+    return await request.json();
+  } catch {
+    return errJson("Invalid JSON.", 400);
+  }
+}
+
+/** The VAPID public key the browser subscribes with. */
+export const GET: APIRoute = async ({ clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const vapid = getVapidKeys();
+  if (!vapid || !hasPushDatabase()) return unavailable();
+  return okJson({ publicKey: vapid.publicKey }, { "Cache-Control": "public, max-age=3600" });
+};
+
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+  if (!rateLimit(clientAddress, 10)) return rateLimitResponse();
+  if (!getVapidKeys() || !hasPushDatabase()) return unavailable();
+  const body = await readJson(request);
+  if (body instanceof Response) return body;
+  // In dev the local push stand-in hands out http://localhost endpoints.
+  const signup = normalizePushSignup(body, import.meta.env.DEV);
+  if (!signup) return errJson("Expected a push subscription.", 400);
+  try {
+    await upsertPushSignup(signup);
+    return okJson({ teams: signup.teams, bigInning: signup.bigInning }, NO_STORE);
+  } catch (err) {
+    return devErrJson("Could not save subscription", toErrMsg(err));
+  }
+};
+
+export const DELETE: APIRoute = async ({ request, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  if (!hasPushDatabase()) return unavailable();
+  const body = await readJson(request);
+  if (body instanceof Response) return body;
+  const endpoint = (body as { endpoint?: unknown } | null)?.endpoint;
+  if (typeof endpoint !== "string" || !endpoint) return errJson("Expected an endpoint.", 400);
+  try {
+    await deletePushSignup(endpoint);
+    return okJson({ ok: true }, NO_STORE);
+  } catch (err) {
+    return devErrJson("Could not remove subscription", toErrMsg(err));
+  }
+};
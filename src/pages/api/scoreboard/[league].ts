@@ -0,0 +1,34 @@
+// ESPN scoreboard proxy: `/api/scoreboard/nba?dates=20261019` returns ESPN's
+// `{ events }` for one league and Pacific-time day, validated and cached server-side.
+// Leagues are the `LEAGUES` keys; `dates` defaults to today.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { yyyymmddInPT } from "../../../lib/wtwtwSports";
+import { leagueByKey, getScoreboard } from "../../../lib/scoreboard/proxy";
+
+export const prerender = false;
+
+const FRESH_CACHE = "public, max-age=0, s-maxage=30, stale-while-revalidate=60";
+// A stale board is a stopgap; let the CDN retry ESPN soon.
+const STALE_CACHE = "public, max-age=0, s-maxage=10";
+
+export const GET: APIRoute = async ({ params, url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const league = leagueByKey(params.league ?? "");
+  if (!league) return errJson("Unknown league.", 404);
+  const dates = url.searchParams.get("dates") ?? yyyymmddInPT(new Date());
+  if (!/^\d{8}$/.test(dates)) return errJson("dates must be YYYYMMDD.", 400);
+
+  try {
+    const { board, source } = await getScoreboard(league, dates);
+    return okJson(board, {
+      "Cache-Control": source === "stale" ? STALE_CACHE : FRESH_CACHE,
+      "X-Scoreboard-Source": source,
+    });
+  } catch (err) {
+    console.error(`scoreboard ${league.path} ${dates} failed:`, toErrMsg(err));
+    return errJson("Scoreboard unavailable.", 502);
+  }
+};
@@ -0,0 +1,27 @@
+// Playoff race: `/api/standings/mlb` returns where every team stands against the playoff
+// line — what NBA Now and MLB GameRank weigh a game's stakes with.
+
+import type { APIRoute } from "astro";
+import { errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { leagueByKey } from "../../../lib/scoreboard/proxy";
+import { hasPlayoffRace } from "../../../lib/standings/race";
+import { getPlayoffRace } from "../../../lib/standings/proxy";
+
+export const prerender = false;
+
+export const GET: APIRoute = async ({ params, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const league = leagueByKey(params.league ?? "");
+  if (!league || !hasPlayoffRace(league.path)) return errJson("Unknown league.", 404);
+  try {
+    const race = await getPlayoffRace(league);
+    return okJson(
+      { generatedAt: new Date().toISOString(), league: league.key, ...race },
+      { "Cache-Control": "public, max-age=0, s-maxage=900, stale-while-revalidate=3600" },
+    );
+  } catch (err) {
+    console.error(`standings ${league.path} failed:`, toErrMsg(err));
+    return errJson("Standings unavailable.", 502);
+  }
+};
@@ -0,0 +1,34 @@
+// Watch-score timelines for the hero cards:
+// /api/watch-score/history?league=basketball/nba&ids=401585123,401585124
+
+import type { APIRoute } from "astro";
+import { devErrJson, errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { MAX_TIMELINE_GAMES, isTimelineLeague } from "../../../lib/watchHistory/history";
+import { hasWatchHistoryDatabase } from "../../../lib/watchHistory/db";
+import { getTimelines } from "../../../lib/watchHistory/store";
+
+export const prerender = false;
+
+const GAME_ID_PATTERN = /^\d{1,12}$/;
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  const league = url.searchParams.get("league");
+  if (!isTimelineLeague(league)) return errJson("Unknown league.", 400);
+  const ids = Array.from(new Set((url.searchParams.get("ids") || "").split(",")))
+    .filter((id) => GAME_ID_PATTERN.test(id))
+    .slice(0, MAX_TIMELINE_GAMES);
+  if (ids.length === 0) return errJson("Pass ids=<espn game id>,…", 400);
+  if (!hasWatchHistoryDatabase()) return okJson({ timelines: {} });
+
+  try {
+    const timelines = await getTimelines(league, ids);
+    // The sampler writes every couple of minutes; a minute of CDN cache costs nothing.
+    return okJson({ timelines }, {
+      "Cache-Control": "public, max-age=0, s-maxage=60, stale-while-revalidate=300",
+    });
+  } catch (err) {
+    return devErrJson("Could not load watch history", toErrMsg(err));
+  }
+};
@@ -0,0 +1,51 @@
+// Scheduled by the `crons` entry in vercel.json: reads today's scoreboards for every
+// timeline league, stores a watch-score sample per live game, and prunes old nights.
+
+import type { APIRoute } from "astro";
+import { devErrJson, errJson, isCronRequest, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import type { Game } from "../../../lib/sportsCore";
+import { yyyymmddInPT } from "../../../lib/wtwtwSports";
+import { MS_PER_DAY } from "../../../lib/time";
+import { HISTORY_RETENTION_DAYS, TIMELINE_LEAGUES } from "../../../lib/watchHistory/history";
+import { sampleScoreboard } from "../../../lib/watchHistory/scorers";
+import { hasWatchHistoryDatabase } from "../../../lib/watchHistory/db";
+import { pruneSamples, recordSamples } from "../../../lib/watchHistory/store";
+import { getScoreboard, leagueByPath } from "../../../lib/scoreboard/proxy";
+
+export const prerender = false;
+
+const NO_STORE = { "Cache-Control": "private, no-store" };
+
+export const GET: APIRoute = async ({ request }) => {
+  if (!isCronRequest(request)) return errJson("Unauthorized", 401);
+  if (!hasWatchHistoryDatabase()) return errJson("Watch history isn't configured.", 503);
+
+  const now = Date.now();
+  const ymd = yyyymmddInPT(new Date(now));
+  const sampled: Record<string, number> = {};
+  const failed: string[] = [];
+
+  // One league's ESPN hiccup shouldn't cost the others their sample.
+  await Promise.all(
+    TIMELINE_LEAGUES.map(async (league) => {
+      try {
+        const { board, source } = await getScoreboard(leagueByPath(league)!, ymd);
+        // A stale board would record old scores as new samples.
+        if (source === "stale") throw new Error("ESPN unavailable");
+        const samples = sampleScoreboard(league, board.events as Game[], now);
+        await recordSamples(league, samples);
+        sampled[league] = samples.length;
+      } catch (err) {
+        console.error(`watch-score sample ${league} failed:`, toErrMsg(err));
+        failed.push(league);
+      }
+    }),
+  );
+
+  try {
+    await pruneSamples(new Date(now - HISTORY_RETENTION_DAYS * MS_PER_DAY));
+  } catch (err) {
+    return devErrJson("Could not prune samples", toErrMsg(err));
+  }
+  return okJson({ sampled, failed }, NO_STORE);
+};
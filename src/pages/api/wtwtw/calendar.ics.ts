@@ -0,0 +1,56 @@
+// Subscribable iCalendar feed of upcoming games for a WTWTW team list:
+// /api/wtwtw/calendar.ics?teams=mlb-cubs,mlb-giants, or ?profile=<id> to follow a
+// shared watch profile's teams as they change.
+
+import type { APIRoute } from "astro";
+import { errJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { fetchEventsForLeagues } from "../../../lib/wtwtwSports";
+import {
+  CALENDAR_REFRESH_MINUTES,
+  buildTeamsCalendar,
+  calendarDates,
+  parseCalendarTeams,
+} from "../../../lib/wtwtwCalendar";
+import { hasWatchProfileDatabase } from "../../../lib/watchProfile/db";
+import { isValidProfileId } from "../../../lib/watchProfile/profile";
+import type { WatchServices } from "../../../lib/watchProfile/services";
+import { getWatchProfile } from "../../../lib/watchProfile/store";
+
+export const prerender = false;
+
+// A profile's feed links games to its own services; a bare team list gets the defaults.
+async function feedParams(url: URL): Promise<{ teams: string | null; services?: WatchServices }> {
+  const profileId = url.searchParams.get("profile");
+  if (!isValidProfileId(profileId) || !hasWatchProfileDatabase()) return { teams: url.searchParams.get("teams") };
+  const profile = await getWatchProfile(profileId);
+  return profile ? { teams: profile.teams.join(","), services: profile } : { teams: null };
+}
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+
+  try {
+    const params = await feedParams(url);
+    const teams = parseCalendarTeams(params.teams);
+    if (teams.length === 0) return errJson("Pass teams=<key>,<key> or a profile id.", 400);
+
+    const leagues = new Set(teams.map((t) => t.league));
+    const days = await Promise.all(calendarDates().map((ymd) => fetchEventsForLeagues(leagues, ymd)));
+    const ics = buildTeamsCalendar(days.flat(), teams, new Date(), params.services);
+
+    const ttl = CALENDAR_REFRESH_MINUTES * 60;
+    return new Response(ics, {
+      status: 200,
+      headers: {
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": 'inline; filename="wtwtw.ics"',
+        // Schedules shift (flex times, postponements) but not minute to minute.
+        "Cache-Control": `public, max-age=${ttl}, s-maxage=${ttl}, stale-while-revalidate=86400`,
+      },
+    });
+  } catch (err) {
+    console.error("wtwtw calendar failed:", toErrMsg(err));
+    return errJson("Failed to build calendar", 500);
+  }
+};
@@ -0,0 +1,69 @@
+import type { APIRoute } from "astro";
+import { devErrJson, errJson, okJson, toErrMsg } from "../../../lib/apiHelpers";
+import { rateLimit, rateLimitResponse } from "../../../lib/rateLimit";
+import { hasWatchProfileDatabase } from "../../../lib/watchProfile/db";
+import { isValidProfileId, normalizeProfileUpdate } from "../../../lib/watchProfile/profile";
+import type { WatchProfileUpdate } from "../../../lib/watchProfile/profile";
+import { createWatchProfile, getWatchProfile, updateWatchProfile } from "../../../lib/watchProfile/store";
+
+export const prerender = false;
+
+const NO_STORE = { "Cache-Control": "private, no-store" };
+
+function unavailable(): Response {
+  return errJson("Shared profiles aren't configured.", 503);
+}
+
+async function readUpdate(request: Request): Promise<WatchProfileUpdate | Response> {
+  if (!request.headers.get("content-type")?.toLowerCase().includes("application/json")) {
+    return errJson("Expected JSON.", 415);
+  }
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return errJson("Invalid JSON.", 400);
+  }
+  return normalizeProfileUpdate(body) ?? errJson("Expected teams and a timezone.", 400);
+}
+
+export const GET: APIRoute = async ({ url, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  if (!hasWatchProfileDatabase()) return unavailable();
+  const id = url.searchParams.get("id");
+  if (!isValidProfileId(id)) return errJson("Invalid profile id.", 400);
+  try {
+    const profile = await getWatchProfile(id);
+    return profile ? okJson(profile, NO_STORE) : errJson("Profile not found.", 404);
+  } catch (err) {
+    return devErrJson("Could not load profile", toErrMsg(err));
+  }
+};
+
+export const POST: APIRoute = async ({ request, clientAddress }) => {
+  // Creating is the only unauthenticated write that grows the table, so it gets a tighter limit.
+  if (!rateLimit(clientAddress, 10)) return rateLimitResponse();
+  if (!hasWatchProfileDatabase()) return unavailable();
+  const update = await readUpdate(request);
+  if (update instanceof Response) return update;
+  try {
+    return okJson(await createWatchProfile(update), NO_STORE);
+  } catch (err) {
+    return devErrJson("Could not create profile", toErrMsg(err));
+  }
+};
+
+export const PUT: APIRoute = async ({ url, request, clientAddress }) => {
+  if (!rateLimit(clientAddress)) return rateLimitResponse();
+  if (!hasWatchProfileDatabase()) return unavailable();
+  const id = url.searchParams.get("id");
+  if (!isValidProfileId(id)) return errJson("Invalid profile id.", 400);
+  const update = await readUpdate(request);
+  if (update instanceof Response) return update;
+  try {
+    const profile = await updateWatchProfile(id, update);
+    return profile ? okJson(profile, NO_STORE) : errJson("Profile not found.", 404);
+  } catch (err) {
+    return devErrJson("Could not save profile", toErrMsg(err));
+  }
+};